@@ -3,6 +3,36 @@
  * Centralized configuration for all AI-powered features
  */
 
+/**
+ * Per-feature request parameters, shared by every chat provider.
+ */
+const AI_FEATURE_PARAMS = {
+  maxTokens: {
+    conversation: 1024,
+    grammarFeedback: 1500,
+    recommendation: 2000,
+    quizGeneration: 2500,
+    translation: 1500,
+    pronunciationFeedback: 1000,
+    lessonAssistant: 1500,
+    lessonBuilder: 4000
+  },
+  temperature: {
+    conversation: 0.7,
+    grammarFeedback: 0.3,
+    recommendation: 0.4,
+    quizGeneration: 0.5,
+    translation: 0.3,
+    pronunciationFeedback: 0.3,
+    lessonAssistant: 0.4,
+    lessonBuilder: 0.6
+  }
+};
+
+/**
+ * Chat providers. `pricing` is USD per 1M tokens, keyed by model; models
+ * missing from the table are accounted at zero cost (self-hosted).
+ */
 const AI_PROVIDERS = {
   openai: {
     name: 'OpenAI',
@@ -11,29 +41,102 @@ const AI_PROVIDERS = {
       tts: process.env.OPENAI_TTS_MODEL || 'tts-1',
       stt: process.env.OPENAI_WHISPER_MODEL || 'whisper-1'
     },
-    maxTokens: {
-      conversation: 1024,
-      grammarFeedback: 1500,
-      recommendation: 2000,
-      quizGeneration: 2500,
-      translation: 1500,
-      pronunciationFeedback: 1000,
-      lessonAssistant: 1500,
-      lessonBuilder: 4000
+    maxTokens: AI_FEATURE_PARAMS.maxTokens,
+    temperature: AI_FEATURE_PARAMS.temperature,
+    pricing: {
+      'gpt-4o-mini': { input: 0.15, output: 0.6 },
+      'gpt-4o': { input: 2.5, output: 10 },
+      'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+      'gpt-4.1': { input: 2, output: 8 }
+    }
+  },
+  anthropic: {
+    name: 'Anthropic',
+    baseUrl: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com',
+    apiVersion: '2023-06-01',
+    models: {
+      chat: process.env.ANTHROPIC_CHAT_MODEL || 'claude-3-5-haiku-latest'
     },
-    temperature: {
-      conversation: 0.7,
-      grammarFeedback: 0.3,
-      recommendation: 0.4,
-      quizGeneration: 0.5,
-      translation: 0.3,
-      pronunciationFeedback: 0.3,
-      lessonAssistant: 0.4,
-      lessonBuilder: 0.6
+    pricing: {
+      'claude-3-5-haiku-latest': { input: 0.8, output: 4 },
+      'claude-3-5-sonnet-latest': { input: 3, output: 15 }
     }
+  },
+  // Any OpenAI-compatible server (Ollama, llama.cpp server, vLLM)
+  local: {
+    name: 'Local',
+    baseUrl: process.env.LOCAL_AI_BASE_URL || '',
+    models: {
+      chat: process.env.LOCAL_AI_CHAT_MODEL || 'llama3.1'
+    },
+    pricing: {}
+  },
+  // Deterministic offline provider for tests and local development
+  fake: {
+    name: 'Fake',
+    models: {
+      chat: 'fake-chat'
+    },
+    pricing: {}
   }
 };
 
+/**
+ * Parse a route like "anthropic:claude-3-5-sonnet-latest,openai" into
+ * [{ provider, model }]. Returns null when unset so defaults apply.
+ */
+const parseRoute = (value) => {
+  if (!value) return null;
+  const route = value
+    .split(',')
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const [provider, ...model] = part.split(':');
+      return { provider: provider.trim(), model: model.join(':').trim() || undefined };
+    });
+  return route.length > 0 ? route : null;
+};
+
+/**
+ * Provider routing
+ * Each feature tries its providers in order; unconfigured providers are
+ * skipped and a provider that fails with an outage-type error is put on
+ * cooldown so the next request goes straight to the fallback.
+ * AI_PROVIDER_OVERRIDE (e.g. "fake") pins every feature to one provider.
+ * AI_ROUTE_<FEATURE> (e.g. AI_ROUTE_GRAMMARFEEDBACK) overrides one feature.
+ * AI_DEGRADED_CHAIN overrides the over-budget route.
+ */
+const AI_ROUTING = {
+  override: parseRoute(process.env.AI_PROVIDER_OVERRIDE),
+  default: parseRoute(process.env.AI_PROVIDER_CHAIN) || [
+    { provider: 'openai' },
+    { provider: 'anthropic' },
+    { provider: 'local' }
+  ],
+  features: {
+    // Low-stakes, high-volume: prefer a self-hosted model when one is running
+    recommendation: [
+      { provider: 'local' },
+      { provider: 'openai' },
+      { provider: 'anthropic' }
+    ]
+  },
+  // Users past their monthly AI budget (config/limitations.js
+  // aiMonthlyBudget) are routed here instead, for every feature
+  degraded: parseRoute(process.env.AI_DEGRADED_CHAIN) || [
+    { provider: 'local' },
+    { provider: 'openai', model: 'gpt-4o-mini' },
+    { provider: 'anthropic', model: 'claude-3-5-haiku-latest' }
+  ],
+  // Attempts on one provider before failing over (the last provider in the
+  // chain always gets maxAttempts)
+  attemptsBeforeFailover: 1,
+  maxAttempts: 3,
+  cooldownMs: 60 * 1000,
+  requestTimeoutMs: 60 * 1000
+};
+
 /**
  * Rate Limits by User Tier
  */
@@ -210,6 +313,75 @@ const PRACTICE_SCENARIOS = {
   ]
 };
 
+/**
+ * Parse an engine list such as "local,openai".
+ * @param {String} value
+ * @returns {Array<String>|null}
+ */
+const parseEngineList = (value) => {
+  if (!value || typeof value !== 'string') return null;
+  const engines = value.split(',').map(name => name.trim()).filter(Boolean);
+  return engines.length > 0 ? engines : null;
+};
+
+/**
+ * Speech engines (services/speechEngines)
+ * local runs Piper for TTS and whisper.cpp for STT as binaries on this
+ * host; ffmpeg converts uploads to the 16 kHz WAV whisper.cpp needs and
+ * Piper's WAV to the requested format. fake is deterministic, for tests and
+ * development without any speech backend.
+ */
+const SPEECH_ENGINES = {
+  local: {
+    ffmpegBin: process.env.FFMPEG_BIN || '/usr/bin/ffmpeg',
+    piper: {
+      bin: process.env.PIPER_BIN || 'piper',
+      voicesDir: process.env.PIPER_VOICES_DIR,
+      // language -> Piper voice model, loaded from <voicesDir>/<voice>.onnx
+      voices: {
+        en: process.env.PIPER_VOICE_EN || 'en_US-lessac-medium',
+        es: process.env.PIPER_VOICE_ES || 'es_ES-davefx-medium',
+        fr: process.env.PIPER_VOICE_FR || 'fr_FR-siwis-medium',
+        de: process.env.PIPER_VOICE_DE || 'de_DE-thorsten-medium',
+        it: process.env.PIPER_VOICE_IT || 'it_IT-riccardo-x_low',
+        pt: process.env.PIPER_VOICE_PT || 'pt_BR-faber-medium',
+        zh: process.env.PIPER_VOICE_ZH || 'zh_CN-huayan-medium',
+        ar: process.env.PIPER_VOICE_AR || 'ar_JO-kareem-medium'
+      }
+    },
+    whisper: {
+      bin: process.env.WHISPER_CPP_BIN || 'whisper-cli',
+      model: process.env.WHISPER_CPP_MODEL,
+      threads: Number(process.env.WHISPER_CPP_THREADS) || 4
+    },
+    timeoutMs: 60 * 1000
+  },
+  fake: {
+    // JSON file of { "<sha256 of audio>": { "text": "...", "language": "en" } }
+    fixturesFile: process.env.SPEECH_FAKE_FIXTURES
+  }
+};
+
+/**
+ * Speech engine routing, per language
+ * Engines are tried in order, skipping ones that are not configured for the
+ * language; a failing engine falls through to the next.
+ * SPEECH_ENGINE_OVERRIDE (e.g. "fake") pins TTS and STT to one engine.
+ * TTS_ENGINES_<LANG> / STT_ENGINES_<LANG> (e.g. TTS_ENGINES_JA=openai)
+ * override one language; TTS_ENGINES / STT_ENGINES the default.
+ */
+const SPEECH_ROUTING = {
+  override: parseEngineList(process.env.SPEECH_ENGINE_OVERRIDE),
+  tts: {
+    default: parseEngineList(process.env.TTS_ENGINES) || ['openai', 'local'],
+    languages: {}
+  },
+  stt: {
+    default: parseEngineList(process.env.STT_ENGINES) || ['openai', 'local'],
+    languages: {}
+  }
+};
+
 /**
  * TTS Voice Options
  */
@@ -266,7 +438,13 @@ const PRONUNCIATION_WEIGHTS = {
 };
 
 module.exports = {
+  AI_FEATURE_PARAMS,
   AI_PROVIDERS,
+  AI_ROUTING,
+  parseRoute,
+  SPEECH_ENGINES,
+  SPEECH_ROUTING,
+  parseEngineList,
   AI_RATE_LIMITS,
   CEFR_MODIFIERS,
   CONVERSATION_TOPICS,
@@ -59,6 +59,13 @@ const UNLOCKS = {
   // count); GET /coins/balance echoes it back via `unlocks.wallpaper` so
   // the client can gate the UI without re-charging.
   wallpaper: { cost: 100, grant: 1 },
+  // sticker_pack* = price tiers for coin-sold sticker/GIF packs. Each pack
+  // names its tier in StickerPack.unlockKey and is bought ONE PACK at a
+  // time via POST /stickers/packs/:id/unlock (recorded per pack in
+  // models/StickerLibrary.js, never in coinBonus); POST /coins/unlock
+  // refuses these keys. grant:1 = one pack.
+  sticker_pack: { cost: 60, grant: 1 },
+  sticker_pack_premium: { cost: 150, grant: 1 },
 };
 
 // Coins v2 — free earn-loop rewards (Task 17a), so the shop has something to
@@ -30,11 +30,17 @@ const REELS_ENABLED = String(process.env.REELS_ENABLED || 'true').toLowerCase()
 // (on) when unset.
 const COINS_ENABLED = String(process.env.COINS_ENABLED || 'true').toLowerCase() === 'true';
 
+// Kill switch for monthly AI token/cost budgets. When 'false',
+// services/aiBudgetService.js reports every user as within budget and
+// aiProviderService skips the pre-call check (spend is still recorded).
+const AI_BUDGET_ENABLED = String(process.env.AI_BUDGET_ENABLED || 'true').toLowerCase() === 'true';
+
 module.exports = {
   AI_QUOTA_ENABLED,
   ROOMS_ENABLED,
   REELS_ENABLED,
   COINS_ENABLED,
+  AI_BUDGET_ENABLED,
 
   // ===================== VISITOR LIMITS =====================
   // Users who haven't verified email or just browsing
@@ -74,6 +80,17 @@ module.exports = {
     ttsPerHour: 10,
     sttPerHour: 5,
 
+    // Monthly AI spend (calendar month, UTC) across every chat feature.
+    // Past either limit, onExceeded 'degrade' moves the user to the cheaper
+    // AI_ROUTING.degraded models until usage reaches hardLimitMultiplier x
+    // the limit; 'block' rejects with 429 straight away. -1 = unlimited.
+    aiMonthlyBudget: {
+      tokens: 100000,
+      costUsd: 0.05,
+      onExceeded: 'degrade',
+      hardLimitMultiplier: 2,
+    },
+
     // Translation (daily chat translations)
     translationsPerDay: 5,
 
@@ -135,6 +152,14 @@ module.exports = {
     ttsPerHour: 50,
     sttPerHour: 20,
 
+    // Monthly AI spend — see visitor.aiMonthlyBudget
+    aiMonthlyBudget: {
+      tokens: 1000000,
+      costUsd: 0.5,
+      onExceeded: 'degrade',
+      hardLimitMultiplier: 2,
+    },
+
     // Translation (daily chat translations)
     translationsPerDay: 5,
 
@@ -198,6 +223,14 @@ module.exports = {
     ttsPerHour: 1000,
     sttPerHour: 500,
 
+    // Monthly AI spend — no token cap, cost ceiling only
+    aiMonthlyBudget: {
+      tokens: -1,
+      costUsd: 5,
+      onExceeded: 'degrade',
+      hardLimitMultiplier: 3,
+    },
+
     // Translation - Unlimited
     translationsPerDay: -1,
 
@@ -0,0 +1,11 @@
+'use strict';
+
+// Engagement pushes sent at each user's own best hour
+// (lib/deliveryTime.js). defaultHour is used until enough opens have been
+// seen; the learned or default hour is kept within [earliest, latest],
+// local time, both inclusive.
+module.exports = {
+  reengagement: { defaultHour: 10, earliest: 9, latest: 21 },
+  srs_review: { defaultHour: 9, earliest: 7, latest: 22 },
+  streak_reminder: { defaultHour: 20, earliest: 12, latest: 22 },
+};
@@ -454,7 +454,8 @@ exports.getAuditLog = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * @desc    AI feature usage counts grouped by feature and day
+ * @desc    AI feature usage counts grouped by feature and day, plus token
+ *          and cost totals per provider/model
  * @route   GET /api/v1/admin/ai-usage
  * @access  Admin
  * @query   feature (string, optional) — filter to one feature
@@ -497,6 +498,11 @@ exports.getAIUsageLogs = asyncHandler(async (req, res) => {
         ? { id: l.userId._id, name: l.userId.name, email: l.userId.email }
         : null,
       feature: l.feature,
+      provider: l.provider || null,
+      model: l.model || null,
+      inputTokens: l.inputTokens || 0,
+      outputTokens: l.outputTokens || 0,
+      costUsd: l.costUsd || 0,
       timestamp: l.timestamp,
     })),
     pagination: { total, page, limit, hasMore: skip + logs.length < total },
@@ -512,12 +518,43 @@ exports.getAIUsage = asyncHandler(async (req, res) => {
   const match = { timestamp: { $gte: from, $lte: to } };
   if (req.query.feature) match.feature = req.query.feature;
 
-  const [byFeature, byDay, total] = await Promise.all([
+  const [byFeature, byProvider, byDay, total] = await Promise.all([
     AIUsageLog.aggregate([
       { $match: match },
-      { $group: { _id: '$feature', count: { $sum: 1 } } },
+      {
+        $group: {
+          _id: '$feature',
+          count: { $sum: 1 },
+          costUsd: { $sum: { $ifNull: ['$costUsd', 0] } },
+        },
+      },
       { $sort: { count: -1 } },
-      { $project: { _id: 0, feature: '$_id', count: 1 } },
+      { $project: { _id: 0, feature: '$_id', count: 1, costUsd: 1 } },
+    ]),
+    // Rows written before provider accounting have no provider/model
+    AIUsageLog.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { provider: '$provider', model: '$model' },
+          count: { $sum: 1 },
+          inputTokens: { $sum: { $ifNull: ['$inputTokens', 0] } },
+          outputTokens: { $sum: { $ifNull: ['$outputTokens', 0] } },
+          costUsd: { $sum: { $ifNull: ['$costUsd', 0] } },
+        },
+      },
+      { $sort: { costUsd: -1, count: -1 } },
+      {
+        $project: {
+          _id: 0,
+          provider: { $ifNull: ['$_id.provider', 'unknown'] },
+          model: { $ifNull: ['$_id.model', null] },
+          count: 1,
+          inputTokens: 1,
+          outputTokens: 1,
+          costUsd: 1,
+        },
+      },
     ]),
     AIUsageLog.aggregate([
       { $match: match },
@@ -533,7 +570,12 @@ exports.getAIUsage = asyncHandler(async (req, res) => {
     AIUsageLog.countDocuments(match),
   ]);
 
-  res.status(200).json({ success: true, data: { total, byFeature, byDay } });
+  const totalCostUsd = byProvider.reduce((sum, p) => sum + p.costUsd, 0);
+
+  res.status(200).json({
+    success: true,
+    data: { total, totalCostUsd, byFeature, byProvider, byDay },
+  });
 });
 
 /**
@@ -9,6 +9,9 @@ const deleteFromSpaces = require('../utils/deleteFromSpaces');
 const { getVideoMetadata, isValidDuration, MAX_VIDEO_DURATION } = require('../utils/videoUtils');
 const { getEnhancedTranslation } = require('../services/aiTranslationService');
 const { generateTTS } = require('../services/speechService');
+const { assertNotEncrypted, assertPlaintextAllowed, hasDevices } = require('../services/e2eKeyService');
+const groupChatService = require('../services/groupChatService');
+const { messageText, transcriptLanguage } = require('../lib/voiceTranscription');
 
 // ========== MESSAGE CORRECTIONS (HelloTalk Style) ==========
 
@@ -18,7 +21,7 @@ const { generateTTS } = require('../services/speechService');
  * @access  Private
  */
 exports.addCorrection = asyncHandler(async (req, res, next) => {
-  const { correctedText, explanation } = req.body;
+  const { correctedText, explanation, revision } = req.body;
   const messageId = req.params.id;
   const correctorId = req.user._id;
 
@@ -32,11 +35,18 @@ exports.addCorrection = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Message not found', 404));
   }
 
+  assertNotEncrypted(message, 'correct');
+
   // Can't correct your own message
   if (message.sender.toString() === correctorId.toString()) {
     return next(new ErrorResponse('Cannot correct your own message', 400));
   }
 
+  // The corrector may say which revision they saw; refuse if it was edited since
+  if (revision !== undefined && Number(revision) !== (message.revision || 0)) {
+    return next(new ErrorResponse('The message was edited; reload it before correcting', 409, 'MESSAGE_EDITED'));
+  }
+
   // Check if conversation allows corrections
   const conversation = await Conversation.findOne({
     participants: { $all: [message.sender, correctorId] }
@@ -166,7 +176,14 @@ exports.translateMessage = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Message not found', 404));
   }
 
-  if (!message.message) {
+  assertNotEncrypted(message, 'translate');
+
+  // Voice messages are translated from their transcript
+  const text = messageText(message);
+  if (!text) {
+    if (['pending', 'processing'].includes(message.transcription?.status)) {
+      return next(new ErrorResponse('This voice message is still being transcribed', 409, 'TRANSCRIPTION_PENDING'));
+    }
     return next(new ErrorResponse('Message has no text to translate', 400));
   }
 
@@ -196,8 +213,8 @@ exports.translateMessage = asyncHandler(async (req, res, next) => {
   try {
     // Get enhanced translation with word breakdown using AI
     const translationResult = await getEnhancedTranslation({
-      text: message.message,
-      sourceLanguage: sourceLanguage || 'auto',
+      text,
+      sourceLanguage: sourceLanguage || transcriptLanguage(message) || 'auto',
       targetLanguage,
       userId,
       includeBreakdown: true,
@@ -278,6 +295,8 @@ exports.getMessageTTS = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Message not found', 404));
   }
 
+  assertNotEncrypted(message, 'read aloud');
+
   if (!message.message) {
     return next(new ErrorResponse('Message has no text for TTS', 400));
   }
@@ -319,7 +338,7 @@ exports.saveToVocabulary = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Word and translation are required', 400));
   }
 
-  const message = await Message.findById(messageId).select('message').lean();
+  const message = await Message.findById(messageId).select('message transcription').lean();
   if (!message) return next(new ErrorResponse('Message not found', 404));
 
   const user = await User.findById(userId).select('native_language').lean();
@@ -332,14 +351,14 @@ exports.saveToVocabulary = asyncHandler(async (req, res, next) => {
         user:          userId,
         word:          word.trim(),
         translation:   translation.trim(),
-        language:      language || 'unknown',
+        language:      language || transcriptLanguage(message) || 'unknown',
         nativeLanguage: user?.native_language || 'en',
         pronunciation: pronunciation || null,
         partOfSpeech:  partOfSpeech || 'other',
         context: {
           source:           'conversation',
           messageId:        message._id,
-          originalSentence: message.message,
+          originalSentence: messageText(message),
         },
         srsLevel:   0,
         easeFactor: 2.5,
@@ -389,6 +408,8 @@ exports.sendDisappearingMessage = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Message and receiver are required', 400));
   }
 
+  await assertPlaintextAllowed(senderId, receiver);
+
   const messageData = {
     sender: senderId,
     receiver,
@@ -488,8 +509,11 @@ exports.createPoll = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Not a participant of this conversation', 403));
   }
 
-  // Get receiver (for direct message)
-  const receiver = conversation.participants.find(p => p.toString() !== creatorId.toString());
+  if (conversation.isSecret) {
+    return next(new ErrorResponse('Polls are not available in secret chats', 403, 'SECRET_CHAT_E2E_ONLY'));
+  }
+
+  const isGroup = conversation.isGroup && !conversation.roomType;
 
   const pollData = {
     conversation: conversationId,
@@ -507,28 +531,43 @@ exports.createPoll = asyncHandler(async (req, res, next) => {
     pollData.expiresAt = new Date(Date.now() + expiresIn * 1000);
   }
 
-  const messageData = {
-    sender: creatorId,
-    receiver,
-    message: `📊 Poll: ${question}`,
-    messageType: 'poll'
-  };
+  // Group polls are group messages seen by the current members;
+  // otherwise the receiver is the other side of the DM
+  const messageData = isGroup
+    ? {
+      sender: creatorId,
+      conversationId: conversation._id,
+      participants: conversation.participants,
+      isGroupMessage: true,
+      message: `📊 Poll: ${question}`,
+      messageType: 'poll'
+    }
+    : {
+      sender: creatorId,
+      receiver: conversation.participants.find(p => p.toString() !== creatorId.toString()),
+      message: `📊 Poll: ${question}`,
+      messageType: 'poll'
+    };
 
   const { poll, message } = await Poll.createWithMessage(pollData, messageData);
 
   await poll.populate('creator', 'name images');
 
-  // Notify conversation participants
   const io = req.app.get('io');
+  // Groups: unread counts, live message and push for everyone the
+  // creator has no block relation with
+  const recipients = isGroup
+    ? await groupChatService.deliverMessage(conversation, message, io)
+    : conversation.participants.map(String).filter(id => id !== creatorId.toString());
+
+  // Notify conversation participants
   if (io) {
-    conversation.participants.forEach(participantId => {
-      if (participantId.toString() !== creatorId.toString()) {
-        io.to(`user_${participantId}`).emit('newPoll', {
-          poll,
-          message,
-          conversationId
-        });
-      }
+    recipients.forEach(participantId => {
+      io.to(`user_${participantId}`).emit('newPoll', {
+        poll,
+        message,
+        conversationId
+      });
     });
   }
 
@@ -694,6 +733,16 @@ exports.sendVideoMessage = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Cannot send message to this user', 403));
   }
 
+  try {
+    await assertPlaintextAllowed(senderId, receiver);
+  } catch (err) {
+    await deleteFromSpaces(req.videoMetadata.url);
+    if (req.videoMetadata.thumbnail) {
+      await deleteFromSpaces(req.videoMetadata.thumbnail);
+    }
+    return next(err);
+  }
+
   // Check message limit
   const canSend = await senderUser.canSendMessage();
   if (!canSend) {
@@ -829,6 +878,13 @@ exports.sendVoiceMessage = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Cannot send message to this user', 403));
   }
 
+  try {
+    await assertPlaintextAllowed(senderId, receiver);
+  } catch (err) {
+    await deleteFromSpaces(req.file.location);
+    return next(err);
+  }
+
   // Check message limit
   const canSend = await senderUser.canSendMessage();
   if (!canSend) {
@@ -1213,7 +1269,10 @@ exports.setNickname = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * @desc    Enable secret chat mode
+ * @desc    Enable secret chat mode. From then on the conversation only
+ *          accepts end-to-end encrypted messages, so both participants
+ *          need registered device keys (PUT /api/v1/e2e/devices/:deviceId).
+ * @route   PUT /api/v1/conversations/:id/secret
  * @route   POST /api/v1/conversations/:id/secret
  * @access  Private
  */
@@ -1232,6 +1291,15 @@ exports.enableSecretChat = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Not a participant', 403));
   }
 
+  if (conversation.isGroup || conversation.roomType || conversation.participants.length !== 2) {
+    return next(new ErrorResponse('Secret chat is only available in one-to-one conversations', 400));
+  }
+
+  const keysReady = await Promise.all(conversation.participants.map(p => hasDevices(p)));
+  if (keysReady.includes(false)) {
+    return next(new ErrorResponse('Both participants need an app version with secret chat keys registered', 409, 'E2E_KEYS_MISSING'));
+  }
+
   await conversation.enableSecretChat({
     destructTimer: destructTimer || 0,
     preventScreenshots: preventScreenshots !== false
@@ -1,5 +1,6 @@
 const asyncHandler = require('../middleware/async');
 const { ROOMS_ENABLED, REELS_ENABLED, COINS_ENABLED } = require('../config/limitations');
+const { editWindowMs } = require('../lib/messageRevisions');
 
 const DEFAULT_IOS_URL =
   'https://apps.apple.com/us/app/bananatalk-learn-meet-or-date/id6755862146';
@@ -61,6 +62,7 @@ exports.getAppConfig = asyncHandler(async (req, res) => {
       roomsEnabled: ROOMS_ENABLED,
       reelsEnabled: REELS_ENABLED,
       coinsEnabled: COINS_ENABLED,
+      messageEditWindowMinutes: editWindowMs() / 60000,
     },
   });
 });
@@ -1839,15 +1839,29 @@ exports.deleteAccount = asyncHandler(async (req, res, next) => {
       // Model not registered yet — non-fatal.
     }
 
+    // Group chats belong to all their members: leave them (handing over
+    // ownership) instead of deleting them below.
+    try {
+      const { leaveAllGroups } = require('../services/groupChatService');
+      await leaveAllGroups(userId);
+    } catch (err) {
+      console.error('⚠️ Group chat cleanup error (non-blocking):', err.message);
+    }
+
     // Top-level documents this user owns or co-owns. Each entry is run via
     // deleteMany with the listed query; failures are absorbed so a single
     // missing model doesn't abort the whole cleanup.
     const modelsToClean = [
       // --- Messaging / social graph ---
       { name: 'Message', query: { $or: [{ sender: userId }, { receiver: userId }] } },
-      { name: 'Conversation', query: { participants: userId } },
+      { name: 'Conversation', query: { participants: userId, isGroup: { $ne: true } } },
       { name: 'Call', query: { participants: userId } },
       { name: 'Wave', query: { $or: [{ sender: userId }, { receiver: userId }] } },
+      { name: 'DeviceKey', query: { user: userId } },
+      { name: 'ScheduledMessage', query: { $or: [{ sender: userId }, { receiver: userId }] } },
+      { name: 'ChatFolder', query: { user: userId } },
+      { name: 'SyncEvent', query: { user: userId } },
+      { name: 'StickerLibrary', query: { user: userId } },
       // --- Posts / feeds ---
       { name: 'Moment', query: { user: userId } },
       { name: 'Comment', query: { user: userId } },
@@ -1866,6 +1880,9 @@ exports.deleteAccount = asyncHandler(async (req, res, next) => {
       { name: 'LessonRecommendation', query: { user: userId } },
       { name: 'QuizAttempt', query: { user: userId } },
       { name: 'Vocabulary', query: { user: userId } },
+      // Authored packs go too; subscribers keep the words already copied in
+      { name: 'VocabPack', query: { owner: userId } },
+      { name: 'VocabPackSubscription', query: { user: userId } },
       { name: 'PronunciationAttempt', query: { user: userId } },
       { name: 'GrammarFeedback', query: { user: userId } },
       { name: 'ChallengeProgress', query: { user: userId } },
@@ -1875,6 +1892,7 @@ exports.deleteAccount = asyncHandler(async (req, res, next) => {
       { name: 'AIGeneratedQuiz', query: { user: userId } },
       { name: 'AITutorSession', query: { user: userId } },
       { name: 'AIUsageLog', query: { userId: userId } },
+      { name: 'AIBudgetLedger', query: { user: userId } },
       { name: 'TutorMemory', query: { user: userId } },
       // --- Misc ---
       { name: 'Report', query: { $or: [{ reporter: userId }, { reported: userId }] } },
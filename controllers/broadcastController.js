@@ -8,13 +8,15 @@ const asyncHandler = require('../middleware/async');
 const ErrorResponse = require('../utils/errorResponse');
 const User = require('../models/User');
 const fcmService = require('../services/fcmService');
+const experimentService = require('../services/notificationExperimentService');
 const AdminAuditLog = require('../models/AdminAuditLog');
 
 /**
  * @desc    Send broadcast notification to all users
  * @route   POST /api/v1/admin/broadcast
  * @access  Admin only
- * @body    { title, body, imageUrl? }
+ * @body    { title, body, imageUrl? } or, to A/B test the copy,
+ *          { name?, variants: [{ key, weight, title, body }], sampleRate?, imageUrl? }
  */
 exports.sendBroadcast = asyncHandler(async (req, res, next) => {
   // Admin only
@@ -22,6 +24,10 @@ exports.sendBroadcast = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Not authorized to send broadcasts', 403));
   }
 
+  if (req.body.variants !== undefined) {
+    return sendBroadcastExperiment(req, res);
+  }
+
   const { title, body, imageUrl } = req.body;
 
   // Validate input
@@ -41,12 +47,7 @@ exports.sendBroadcast = asyncHandler(async (req, res, next) => {
     console.log(`\n📢 Broadcasting: "${title}" - "${body}"\n`);
 
     // Get all users with active FCM tokens
-    const users = await User.find({
-      'fcmTokens': { $exists: true, $ne: [] },
-      'fcmTokens.active': true
-    }).select('_id').lean();
-
-    const activeUsers = users.filter(u => u.fcmTokens && u.fcmTokens.some(t => t.active));
+    const activeUsers = await experimentService.broadcastAudience();
 
     if (activeUsers.length === 0) {
       return next(new ErrorResponse('No users with active FCM tokens', 400));
@@ -71,7 +72,7 @@ exports.sendBroadcast = asyncHandler(async (req, res, next) => {
     // Send to all users
     const startTime = Date.now();
     const result = await fcmService.sendToUsers(
-      activeUsers.map(u => u._id),
+      activeUsers,
       notification,
       data
     );
@@ -121,6 +122,45 @@ exports.sendBroadcast = asyncHandler(async (req, res, next) => {
   }
 });
 
+/**
+ * Send a broadcast split across copy variants
+ * (services/notificationExperimentService.js). Results and promoting the
+ * winner are under /api/v1/admin/notification-experiments.
+ */
+const sendBroadcastExperiment = async (req, res) => {
+  const startTime = Date.now();
+  const { experiment, usersTargeted, heldBack, summary } =
+    await experimentService.sendBroadcastExperiment(req.body, req.user._id);
+  const duration = (Date.now() - startTime) / 1000;
+
+  const totalDevices = summary.delivered + summary.failed;
+  const successRate = totalDevices > 0
+    ? ((summary.delivered / totalDevices) * 100).toFixed(1)
+    : '0';
+
+  console.log(`✅ Broadcast experiment ${experiment._id} sent to ${summary.delivered} devices in ${duration.toFixed(2)}s\n`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Broadcast experiment sent successfully',
+    experiment: {
+      id: experiment._id,
+      broadcastId: experiment.broadcastId,
+      variants: experiment.variants.map(v => v.key),
+      sampleRate: experiment.sampleRate
+    },
+    stats: {
+      usersTargeted,
+      heldBack,
+      devicesReached: summary.delivered,
+      failed: summary.failed,
+      errored: summary.errored,
+      successRate: `${successRate}%`,
+      timeTaken: `${duration.toFixed(2)}s`
+    }
+  });
+};
+
 /**
  * @desc    Get broadcast statistics/history
  * @route   GET /api/v1/admin/broadcast/stats
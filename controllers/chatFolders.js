@@ -0,0 +1,66 @@
+const asyncHandler = require('../middleware/async');
+const chatFolderService = require('../services/chatFolderService');
+
+/**
+ * @desc    Get my smart folders
+ * @route   GET /api/v1/conversations/folders
+ * @access  Private
+ */
+exports.getFolders = asyncHandler(async (req, res, next) => {
+  const folders = await chatFolderService.listFolders(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    count: folders.length,
+    data: folders
+  });
+});
+
+/**
+ * @desc    Create a smart folder
+ * @route   POST /api/v1/conversations/folders
+ * @access  Private
+ */
+exports.createFolder = asyncHandler(async (req, res, next) => {
+  const { name, emoji, rules, position } = req.body;
+  const folder = await chatFolderService.createFolder(req.user._id, { name, emoji, rules, position });
+
+  res.status(201).json({
+    success: true,
+    data: folder
+  });
+});
+
+/**
+ * @desc    Rename, reorder or change the rules of a smart folder
+ * @route   PUT /api/v1/conversations/folders/:folderId
+ * @access  Private
+ */
+exports.updateFolder = asyncHandler(async (req, res, next) => {
+  const { name, emoji, rules, position } = req.body;
+  const folder = await chatFolderService.updateFolder(req.user._id, req.params.folderId, {
+    name,
+    emoji,
+    rules,
+    position
+  });
+
+  res.status(200).json({
+    success: true,
+    data: folder
+  });
+});
+
+/**
+ * @desc    Delete a smart folder (conversations are untouched)
+ * @route   DELETE /api/v1/conversations/folders/:folderId
+ * @access  Private
+ */
+exports.deleteFolder = asyncHandler(async (req, res, next) => {
+  await chatFolderService.deleteFolder(req.user._id, req.params.folderId);
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
@@ -44,6 +44,7 @@ const {
   nextAdRewardIndex,
 } = require('../lib/coinRewards');
 const { COINS_ENABLED } = require('../config/limitations');
+const { isStickerUnlockKey } = require('../lib/stickerPacks');
 
 const DEFAULT_TX_LIMIT = 20;
 const MAX_TX_LIMIT = 50;
@@ -445,6 +446,11 @@ function resolveUnlockRequest(featureKey) {
   if (!unlock) {
     return { ok: false, status: 404, error: 'unknown_feature' };
   }
+  // Sticker tiers are bought per pack (controllers/stickers.js#unlockPack);
+  // a coinBonus flag here would charge without unlocking anything.
+  if (isStickerUnlockKey(featureKey)) {
+    return { ok: false, status: 400, error: 'sticker_pack_unlock_per_pack' };
+  }
   return { ok: true, cost: unlock.cost, grant: unlock.grant };
 }
 
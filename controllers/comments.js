@@ -184,6 +184,9 @@ exports.createComment = asyncHandler(async (req, res, next) => {
             delete req.body.correction;
         }
 
+        // Link previews are generated server-side after the save
+        delete req.body.linkPreview;
+
         const comment = await Comment.create(req.body);
 
         // If this is a reply, increment parent's reply count
@@ -3,7 +3,22 @@ const Conversation = require('../models/Conversation');
 const Message = require('../models/Message');
 const User = require('../models/User');
 const ErrorResponse = require('../utils/errorResponse');
-const { buildConversationListQuery } = require('../lib/conversationListQuery');
+const {
+  buildConversationListQuery,
+  normalizeLabel,
+  MAX_LABELS_PER_CONVERSATION
+} = require('../lib/conversationListQuery');
+const { getFolderConditions } = require('../services/chatFolderService');
+const { cancelPendingBetween } = require('../services/scheduledMessageService');
+const { recordRead } = require('../services/syncLogService');
+const groupChatService = require('../services/groupChatService');
+const { isValidLanguageCode } = require('../services/translationService');
+const { participantLanguageSettings, resolveTargetLanguage } = require('../lib/autoTranslate');
+const { toIso } = require('../utils/languageCodes');
+
+// Labels are private to whoever added them
+const ownLabels = (conversation, userId) => (conversation.labels || [])
+  .filter(l => l.addedBy && l.addedBy.toString() === userId.toString());
 
 /**
  * @desc    Get all conversations for a user
@@ -12,16 +27,26 @@ const { buildConversationListQuery } = require('../lib/conversationListQuery');
  */
 exports.getConversations = asyncHandler(async (req, res, next) => {
   const userId = req.user._id;
-  const { archived, muted, pinned } = req.query;
+  const { archived, muted, pinned, unread, label, folder } = req.query;
 
   // Pagination with defaults (backward compatible)
   const page = parseInt(req.query.page, 10) || 1;
   const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100); // Max 100
   const skip = (page - 1) * limit;
 
+  // Smart folder rules become part of the query, so paging stays exact
+  const folderQuery = folder ? await getFolderConditions(userId, folder) : null;
+
   // Query construction (including hub exclusion, Workstream D) lives in
   // lib/conversationListQuery.js so it's unit-testable without a DB.
-  let query = buildConversationListQuery(userId, { archived, muted, pinned });
+  let query = buildConversationListQuery(userId, {
+    archived,
+    muted,
+    pinned,
+    unread,
+    label,
+    conditions: folderQuery ? folderQuery.conditions : []
+  });
 
   // Run count and find in parallel for better performance
   const [total, conversations] = await Promise.all([
@@ -29,7 +54,9 @@ exports.getConversations = asyncHandler(async (req, res, next) => {
     Conversation.find(query)
       .populate('participants', 'name images userMode') // Removed email for list view
       .populate('lastMessage', 'message messageType createdAt sender') // Only needed fields
-      .sort({ lastMessageAt: -1 }) // Simplified sort - pinned handled client-side
+      // Simplified sort - pinned handled client-side. _id breaks ties so
+      // pages never repeat or skip a chat.
+      .sort({ lastMessageAt: -1, _id: -1 })
       .skip(skip)
       .limit(limit)
       .lean()
@@ -63,7 +90,8 @@ exports.getConversations = asyncHandler(async (req, res, next) => {
       unreadCount: unread ? unread.count : 0,
       isMuted,
       isPinned,
-      isArchived
+      isArchived,
+      labels: ownLabels(conv, userId)
     };
   });
 
@@ -73,6 +101,7 @@ exports.getConversations = asyncHandler(async (req, res, next) => {
     total,
     page,
     pages: Math.ceil(total / limit),
+    ...(folderQuery && { folder: { _id: folderQuery.folder._id, name: folderQuery.folder.name } }),
     data: processedConversations
   });
 });
@@ -121,12 +150,17 @@ exports.getConversation = asyncHandler(async (req, res, next) => {
     u => u.user.toString() === userId.toString()
   );
 
+  // Only the caller's own auto-translation setting is shown
+  const { userLanguageSettings, ...rest } = conversation;
+
   res.status(200).json({
     success: true,
     data: {
-      ...conversation,
+      ...rest,
       otherParticipant,
-      unreadCount: unread ? unread.count : 0
+      unreadCount: unread ? unread.count : 0,
+      autoTranslate: participantLanguageSettings(conversation, userId),
+      labels: ownLabels(conversation, userId)
     }
   });
 });
@@ -330,6 +364,13 @@ exports.deleteConversation = asyncHandler(async (req, res, next) => {
 
   await conversation.save();
 
+  // Messages this user queued for the partner shouldn't go out after
+  // they deleted the chat
+  if (!conversation.isGroup && conversation.participants.length === 2) {
+    const partner = conversation.participants.find(p => p.toString() !== userId.toString());
+    await cancelPendingBetween(userId, partner, 'conversation_deleted');
+  }
+
   res.status(200).json({
     success: true,
     message: 'Conversation deleted successfully'
@@ -351,6 +392,17 @@ exports.markConversationAsRead = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Conversation not found', 404));
   }
 
+  // Groups keep per-member receipts instead of a read flag
+  if (conversation.isGroup && !conversation.roomType) {
+    const { group } = await groupChatService.loadGroup(id, userId);
+    await groupChatService.markRead(group, userId, req.app.get('io'));
+    return res.status(200).json({
+      success: true,
+      message: 'Conversation marked as read',
+      data: group
+    });
+  }
+
   // Mark conversation as read
   await conversation.markAsRead(userId);
 
@@ -360,7 +412,8 @@ exports.markConversationAsRead = asyncHandler(async (req, res, next) => {
   );
 
   if (otherParticipant) {
-    await Message.updateMany(
+    const readAt = new Date();
+    const result = await Message.updateMany(
       {
         $or: [
           { sender: otherParticipant, receiver: userId },
@@ -371,16 +424,20 @@ exports.markConversationAsRead = asyncHandler(async (req, res, next) => {
       {
         $set: {
           read: true,
-          readAt: new Date()
+          readAt
         },
         $push: {
           readBy: {
             user: userId,
-            readAt: new Date()
+            readAt
           }
         }
       }
     );
+
+    if (result.modifiedCount > 0) {
+      await recordRead(userId, otherParticipant, { conversationId: conversation._id, readAt });
+    }
   }
 
   res.status(200).json({
@@ -513,3 +570,237 @@ exports.getConversationTheme = asyncHandler(async (req, res, next) => {
   });
 });
 
+
+// Caller's auto-translation setting, with the language actually used
+const autoTranslateResponse = (conversation, user) => {
+  const setting = participantLanguageSettings(conversation, user._id);
+  return {
+    conversationId: conversation._id,
+    autoTranslate: setting.autoTranslate,
+    translateTo: setting.translateTo,
+    targetLanguage: resolveTargetLanguage(setting, user)
+  };
+};
+
+/**
+ * @desc    Get my auto-translation setting for a conversation
+ * @route   GET /api/v1/conversations/:id/auto-translate
+ * @access  Private
+ */
+exports.getAutoTranslate = asyncHandler(async (req, res, next) => {
+  const conversation = await Conversation.findById(req.params.id)
+    .select('participants languageSettings userLanguageSettings')
+    .lean();
+
+  if (!conversation) {
+    return next(new ErrorResponse('Conversation not found', 404));
+  }
+
+  const isParticipant = conversation.participants.some(
+    p => p.toString() === req.user._id.toString()
+  );
+  if (!isParticipant) {
+    return next(new ErrorResponse('Not authorized', 403));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: autoTranslateResponse(conversation, req.user)
+  });
+});
+
+/**
+ * @desc    Turn auto-translation of incoming messages on/off (per user)
+ * @route   PUT /api/v1/conversations/:id/auto-translate
+ * @access  Private
+ */
+exports.setAutoTranslate = asyncHandler(async (req, res, next) => {
+  const { enabled, translateTo } = req.body;
+
+  if (typeof enabled !== 'boolean') {
+    return next(new ErrorResponse('enabled must be true or false', 400));
+  }
+
+  // null/'' means "my native language"
+  let language;
+  if (translateTo !== undefined) {
+    language = translateTo ? toIso(String(translateTo)) : null;
+    if (translateTo && (!language || !isValidLanguageCode(language))) {
+      return next(new ErrorResponse(`Unsupported language: ${translateTo}`, 400));
+    }
+  }
+
+  const conversation = await Conversation.findById(req.params.id);
+
+  if (!conversation) {
+    return next(new ErrorResponse('Conversation not found', 404));
+  }
+
+  const isParticipant = conversation.participants.some(
+    p => p.toString() === req.user._id.toString()
+  );
+  if (!isParticipant) {
+    return next(new ErrorResponse('Not authorized', 403));
+  }
+
+  if (conversation.isGroup || conversation.roomType) {
+    return next(new ErrorResponse('Auto-translation is only available in direct messages', 400));
+  }
+  if (enabled && conversation.isSecret) {
+    return next(new ErrorResponse('Secret chats are end-to-end encrypted and cannot be translated', 400, 'SECRET_CHAT_E2E_ONLY'));
+  }
+
+  await conversation.setUserLanguageSettings(req.user._id, {
+    autoTranslate: enabled,
+    translateTo: language
+  });
+
+  res.status(200).json({
+    success: true,
+    data: autoTranslateResponse(conversation, req.user)
+  });
+});
+
+// Load a conversation the caller takes part in, for label routes
+const findLabelableConversation = async (id, userId) => {
+  const conversation = await Conversation.findById(id);
+
+  if (!conversation) {
+    throw new ErrorResponse('Conversation not found', 404);
+  }
+  if (!conversation.participants.some(p => p.toString() === userId.toString())) {
+    throw new ErrorResponse('Not authorized', 403);
+  }
+  if (conversation.roomType) {
+    throw new ErrorResponse('Rooms cannot be labelled', 400);
+  }
+
+  return conversation;
+};
+
+/**
+ * @desc    Get every label name I use, with how many chats carry it
+ * @route   GET /api/v1/conversations/labels
+ * @access  Private
+ */
+exports.getMyLabels = asyncHandler(async (req, res, next) => {
+  const userId = req.user._id;
+
+  const labels = await Conversation.aggregate([
+    { $match: { 'labels.addedBy': userId, participants: userId, deletedBy: { $ne: userId } } },
+    { $unwind: '$labels' },
+    { $match: { 'labels.addedBy': userId } },
+    {
+      $group: {
+        _id: '$labels.name',
+        color: { $last: '$labels.color' },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: labels.length,
+    data: labels.map(l => ({ name: l._id, color: l.color || null, count: l.count }))
+  });
+});
+
+/**
+ * @desc    Get my labels on a conversation
+ * @route   GET /api/v1/conversations/:id/labels
+ * @access  Private
+ */
+exports.getConversationLabels = asyncHandler(async (req, res, next) => {
+  const conversation = await findLabelableConversation(req.params.id, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: conversation.getUserLabels(req.user._id)
+  });
+});
+
+/**
+ * @desc    Add a label to a conversation
+ * @route   POST /api/v1/conversations/:id/labels
+ * @access  Private
+ */
+exports.addConversationLabel = asyncHandler(async (req, res, next) => {
+  const userId = req.user._id;
+  const { error, label } = normalizeLabel(req.body);
+  if (error) {
+    return next(new ErrorResponse(error, 400));
+  }
+
+  const conversation = await findLabelableConversation(req.params.id, userId);
+  const mine = conversation.getUserLabels(userId);
+
+  if (mine.some(l => l.name.toLowerCase() === label.name.toLowerCase())) {
+    return next(new ErrorResponse(`Label "${label.name}" is already on this conversation`, 409));
+  }
+  if (mine.length >= MAX_LABELS_PER_CONVERSATION) {
+    return next(new ErrorResponse(`A conversation can have at most ${MAX_LABELS_PER_CONVERSATION} labels`, 400));
+  }
+
+  await conversation.addLabel(label.name, label.color, userId);
+
+  res.status(201).json({
+    success: true,
+    data: conversation.getUserLabels(userId)
+  });
+});
+
+/**
+ * @desc    Rename or recolor one of my labels on a conversation
+ * @route   PUT /api/v1/conversations/:id/labels/:labelId
+ * @access  Private
+ */
+exports.updateConversationLabel = asyncHandler(async (req, res, next) => {
+  const userId = req.user._id;
+  const { error, label: changes } = normalizeLabel(req.body, { partial: true });
+  if (error) {
+    return next(new ErrorResponse(error, 400));
+  }
+
+  const conversation = await findLabelableConversation(req.params.id, userId);
+  const mine = conversation.getUserLabels(userId);
+  const label = mine.find(l => l._id.toString() === req.params.labelId);
+
+  if (!label) {
+    return next(new ErrorResponse('Label not found', 404));
+  }
+  if (changes.name && mine.some(l => l !== label && l.name.toLowerCase() === changes.name.toLowerCase())) {
+    return next(new ErrorResponse(`Label "${changes.name}" is already on this conversation`, 409));
+  }
+
+  if (changes.name !== undefined) label.name = changes.name;
+  if (changes.color !== undefined) label.color = changes.color;
+  await conversation.save();
+
+  res.status(200).json({
+    success: true,
+    data: conversation.getUserLabels(userId)
+  });
+});
+
+/**
+ * @desc    Remove one of my labels from a conversation
+ * @route   DELETE /api/v1/conversations/:id/labels/:labelId
+ * @access  Private
+ */
+exports.removeConversationLabel = asyncHandler(async (req, res, next) => {
+  const userId = req.user._id;
+  const conversation = await findLabelableConversation(req.params.id, userId);
+
+  if (!conversation.getUserLabels(userId).some(l => l._id.toString() === req.params.labelId)) {
+    return next(new ErrorResponse('Label not found', 404));
+  }
+
+  await conversation.removeLabel(req.params.labelId, userId);
+
+  res.status(200).json({
+    success: true,
+    data: conversation.getUserLabels(userId)
+  });
+});
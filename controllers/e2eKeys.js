@@ -0,0 +1,99 @@
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const e2eKeyService = require('../services/e2eKeyService');
+const { isDeviceId } = require('../lib/e2eEnvelope');
+
+const requireDeviceId = (req) => {
+  if (!isDeviceId(req.params.deviceId)) {
+    throw new ErrorResponse('Invalid device id', 400);
+  }
+  return req.params.deviceId;
+};
+
+/**
+ * @desc    Register or rotate this device's secret chat keys
+ * @route   PUT /api/v1/e2e/devices/:deviceId
+ * @access  Private
+ */
+exports.registerDevice = asyncHandler(async (req, res, next) => {
+  const deviceId = requireDeviceId(req);
+  const device = await e2eKeyService.registerDevice(req.user.id, deviceId, req.body);
+
+  res.status(200).json({
+    success: true,
+    data: device
+  });
+});
+
+/**
+ * @desc    Upload more one-time prekeys for this device
+ * @route   POST /api/v1/e2e/devices/:deviceId/prekeys
+ * @access  Private
+ */
+exports.addPreKeys = asyncHandler(async (req, res, next) => {
+  const deviceId = requireDeviceId(req);
+  const count = await e2eKeyService.addPreKeys(req.user.id, deviceId, req.body.preKeys);
+
+  res.status(200).json({
+    success: true,
+    data: { preKeyCount: count }
+  });
+});
+
+/**
+ * @desc    One-time prekeys left on this device
+ * @route   GET /api/v1/e2e/devices/:deviceId/prekeys/count
+ * @access  Private
+ */
+exports.getPreKeyCount = asyncHandler(async (req, res, next) => {
+  const deviceId = requireDeviceId(req);
+  const count = await e2eKeyService.preKeyCount(req.user.id, deviceId);
+
+  res.status(200).json({
+    success: true,
+    data: { preKeyCount: count }
+  });
+});
+
+/**
+ * @desc    Remove this device's secret chat keys
+ * @route   DELETE /api/v1/e2e/devices/:deviceId
+ * @access  Private
+ */
+exports.removeDevice = asyncHandler(async (req, res, next) => {
+  const deviceId = requireDeviceId(req);
+  const removed = await e2eKeyService.removeDevice(req.user.id, deviceId);
+  if (!removed) {
+    return next(new ErrorResponse('Device is not registered', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+/**
+ * @desc    Prekey bundles for every device of a user (claims one
+ *          one-time prekey per device)
+ * @route   GET /api/v1/e2e/users/:userId/bundles
+ * @access  Private
+ */
+exports.getBundles = asyncHandler(async (req, res, next) => {
+  const { userId } = req.params;
+  if (!userId.match(/^[0-9a-fA-F]{24}$/)) {
+    return next(new ErrorResponse('Invalid user id', 400));
+  }
+  if (req.user.isBlocked(userId) || req.user.isBlockedBy(userId)) {
+    return next(new ErrorResponse('Cannot start a secret chat with this user', 403));
+  }
+  await e2eKeyService.assertCanClaimBundles(req.user, userId);
+
+  const bundles = await e2eKeyService.getBundles(userId);
+
+  res.status(200).json({
+    success: true,
+    count: bundles.length,
+    data: bundles
+  });
+});
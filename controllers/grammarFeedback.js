@@ -189,7 +189,8 @@ exports.explainRule = asyncHandler(async (req, res, next) => {
     targetLanguage: targetLanguage || user?.language_to_learn || 'es',
     nativeLanguage: nativeLanguage || user?.native_language || 'en',
     cefrLevel: cefrLevel || user?.languageLevel || 'A1',
-    context
+    context,
+    userId: req.user.id
   });
 
   res.status(200).json({
@@ -0,0 +1,168 @@
+const asyncHandler = require('../middleware/async');
+const groupChatService = require('../services/groupChatService');
+
+/**
+ * @desc    Create a private group chat (3-10 members including the caller)
+ * @route   POST /api/v1/conversations/groups
+ * @access  Private
+ */
+exports.createGroup = asyncHandler(async (req, res, next) => {
+  const group = await groupChatService.createGroup(req.user._id, req.body, req.app.get('io'));
+
+  res.status(201).json({
+    success: true,
+    data: group
+  });
+});
+
+/**
+ * @desc    Get a group with its members and the caller's role
+ * @route   GET /api/v1/conversations/:id/group
+ * @access  Private (members)
+ */
+exports.getGroup = asyncHandler(async (req, res, next) => {
+  const group = await groupChatService.getGroup(req.params.id, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: group
+  });
+});
+
+/**
+ * @desc    Rename a group or change its avatar
+ * @route   PUT /api/v1/conversations/:id/group
+ * @access  Private (owner/admins)
+ */
+exports.updateGroup = asyncHandler(async (req, res, next) => {
+  const group = await groupChatService.updateGroup(req.params.id, req.user._id, req.body, req.app.get('io'));
+
+  res.status(200).json({
+    success: true,
+    data: group
+  });
+});
+
+/**
+ * @desc    Add members to a group
+ * @route   POST /api/v1/conversations/:id/members
+ * @access  Private (owner/admins)
+ */
+exports.addMembers = asyncHandler(async (req, res, next) => {
+  const group = await groupChatService.addMembers(
+    req.params.id,
+    req.user._id,
+    req.body.memberIds,
+    req.app.get('io')
+  );
+
+  res.status(200).json({
+    success: true,
+    data: group
+  });
+});
+
+/**
+ * @desc    Remove a member from a group
+ * @route   DELETE /api/v1/conversations/:id/members/:userId
+ * @access  Private (owner removes anyone, admins remove members)
+ */
+exports.removeMember = asyncHandler(async (req, res, next) => {
+  const group = await groupChatService.removeMember(
+    req.params.id,
+    req.user._id,
+    req.params.userId,
+    req.app.get('io')
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Member removed',
+    data: group
+  });
+});
+
+/**
+ * @desc    Leave a group
+ * @route   POST /api/v1/conversations/:id/leave
+ * @access  Private (members)
+ */
+exports.leaveGroup = asyncHandler(async (req, res, next) => {
+  const result = await groupChatService.leaveGroup(req.params.id, req.user._id, req.app.get('io'));
+
+  res.status(200).json({
+    success: true,
+    message: 'Left group',
+    data: result
+  });
+});
+
+/**
+ * @desc    Make a member an admin, or demote an admin
+ * @route   PUT /api/v1/conversations/:id/admins/:userId
+ * @access  Private (owner)
+ */
+exports.setAdmin = asyncHandler(async (req, res, next) => {
+  const isAdmin = req.body.isAdmin !== false;
+  const group = await groupChatService.setAdmin(
+    req.params.id,
+    req.user._id,
+    req.params.userId,
+    isAdmin,
+    req.app.get('io')
+  );
+
+  res.status(200).json({
+    success: true,
+    data: group
+  });
+});
+
+/**
+ * @desc    Get group messages, newest first (?before=<date>&limit=)
+ * @route   GET /api/v1/conversations/:id/messages
+ * @access  Private (members)
+ */
+exports.getGroupMessages = asyncHandler(async (req, res, next) => {
+  const { messages, hasMore } = await groupChatService.getMessages(req.params.id, req.user._id, req.query);
+
+  res.status(200).json({
+    success: true,
+    count: messages.length,
+    hasMore,
+    data: messages
+  });
+});
+
+/**
+ * @desc    Send a message to a group
+ * @route   POST /api/v1/conversations/:id/messages
+ * @access  Private (members)
+ */
+exports.sendGroupMessage = asyncHandler(async (req, res, next) => {
+  const message = await groupChatService.sendMessage(req.params.id, req.user._id, req.body, req.app.get('io'));
+
+  // Set by checkMessageLimit
+  if (req.limitationUser) {
+    await req.limitationUser.incrementMessageCount();
+  }
+
+  res.status(201).json({
+    success: true,
+    data: message
+  });
+});
+
+/**
+ * @desc    Who has read a group message
+ * @route   GET /api/v1/messages/:id/receipts
+ * @access  Private (members the message was sent to)
+ */
+exports.getMessageReceipts = asyncHandler(async (req, res, next) => {
+  const receipts = await groupChatService.getReceipts(req.params.id, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: receipts
+  });
+});
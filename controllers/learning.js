@@ -3,7 +3,11 @@ const ErrorResponse = require('../utils/errorResponse');
 const LearningProgress = require('../models/LearningProgress');
 const Vocabulary = require('../models/Vocabulary');
 const VocabPack = require('../models/VocabPack');
+const VocabPackSubscription = require('../models/VocabPackSubscription');
+const { canViewPack, PACK_LEVELS } = require('../lib/vocabPackAccess');
+const vocabPackService = require('../services/vocabPackService');
 const { resolveReviewQuality } = require('../lib/srsReviewContract');
+const { isValidScheduler } = require('../lib/srsScheduler');
 const { xpForChip } = require('../lib/tutorXp');
 const Lesson = require('../models/Lesson');
 const LessonProgress = require('../models/LessonProgress');
@@ -21,6 +25,9 @@ const recommendationService = require('../services/recommendationService');
 const aiQuizService = require('../services/aiQuizService');
 const aiLessonAssistantService = require('../services/aiLessonAssistantService');
 const { chatCompletion } = require('../services/aiProviderService');
+const vocabExchangeService = require('../services/vocabExchangeService');
+const { getUserTier } = require('../middleware/checkLimitations');
+const LIMITS = require('../config/limitations');
 
 // ===================== PROGRESS =====================
 
@@ -140,9 +147,13 @@ exports.updatePreferences = asyncHandler(async (req, res, next) => {
   const userId = req.user.id;
   const { preferences } = req.body;
 
-  const allowedFields = ['reminderEnabled', 'reminderTime', 'soundEffects', 'showStreakReminders', 'weeklyReportEnabled'];
+  const allowedFields = ['reminderEnabled', 'reminderTime', 'soundEffects', 'showStreakReminders', 'weeklyReportEnabled', 'srsScheduler'];
   const updateFields = {};
 
+  if (preferences.srsScheduler !== undefined && !isValidScheduler(preferences.srsScheduler)) {
+    return next(new ErrorResponse('srsScheduler must be sm2 or fsrs', 400));
+  }
+
   for (const field of allowedFields) {
     if (preferences[field] !== undefined) {
       updateFields[`preferences.${field}`] = preferences[field];
@@ -246,25 +257,178 @@ exports.addVocabulary = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * @desc    Bulk-import vocabulary from CSV/TSV or an Anki .apkg export
+ * @route   POST /api/v1/learning/vocabulary/import
+ * @access  Private
+ * @body    multipart: file, format?, mapping? (JSON { field: header|index }),
+ *          hasHeader?, onDuplicate? (skip|update), includeSrs?, language?,
+ *          dryRun? — dryRun returns the per-row plan without writing
+ */
+exports.importVocabulary = asyncHandler(async (req, res, next) => {
+  const userId = req.user.id;
+
+  if (!req.file) {
+    return next(new ErrorResponse('Please upload a CSV, TSV or .apkg file', 400));
+  }
+
+  const flag = (v) => v === true || v === 'true' || v === '1';
+  let mapping = req.body.mapping;
+  if (typeof mapping === 'string' && mapping.trim()) {
+    try {
+      mapping = JSON.parse(mapping);
+    } catch (err) {
+      return next(new ErrorResponse('mapping must be a JSON object', 400));
+    }
+  }
+
+  const { format, rows } = await vocabExchangeService.parseImportFile(
+    { buffer: req.file.buffer, filename: req.file.originalname, mimetype: req.file.mimetype },
+    {
+      format: req.body.format,
+      mapping: mapping || null,
+      hasHeader: req.body.hasHeader === undefined ? undefined : flag(req.body.hasHeader),
+    }
+  );
+
+  const user = await User.findById(userId).select('language_to_learn native_language userMode vipSubscription');
+  const limits = LIMITS[getUserTier(user)] || LIMITS.regular;
+  let capacity = -1;
+  if (limits.vocabularyLimit !== -1) {
+    const currentCount = await Vocabulary.countDocuments({ user: userId, isArchived: false });
+    capacity = Math.max(0, limits.vocabularyLimit - currentCount);
+  }
+
+  const plan = await vocabExchangeService.planImport(userId, rows, {
+    onDuplicate: req.body.onDuplicate,
+    includeSrs: flag(req.body.includeSrs),
+    defaults: {
+      language: req.body.language || user.language_to_learn,
+      nativeLanguage: user.native_language,
+    },
+    capacity,
+  });
+
+  const dryRun = flag(req.body.dryRun) || flag(req.query.dryRun);
+  let written = null;
+
+  if (!dryRun) {
+    written = await vocabExchangeService.applyImport(plan);
+    // No XP for imports — bulk files would otherwise be an XP faucet.
+    if (written.inserted > 0) {
+      await LearningProgress.updateOne(
+        { user: userId },
+        { $inc: { 'stats.vocabularyAdded': written.inserted } }
+      );
+    }
+  }
+
+  res.status(dryRun ? 200 : 201).json({
+    success: true,
+    data: {
+      dryRun,
+      format,
+      summary: plan.summary,
+      written,
+      items: plan.items.slice(0, vocabExchangeService.PREVIEW_ITEMS),
+      truncated: plan.items.length > vocabExchangeService.PREVIEW_ITEMS,
+    }
+  });
+});
+
+/**
+ * @desc    Export vocabulary (with SRS state) as CSV, TSV or Anki .apkg
+ * @route   GET /api/v1/learning/vocabulary/export
+ * @access  Private
+ * @query   format=csv|tsv|apkg (default csv), language (optional)
+ */
+exports.exportVocabulary = asyncHandler(async (req, res, next) => {
+  const { body, contentType, filename, count } = await vocabExchangeService.buildExport(req.user.id, {
+    format: req.query.format,
+    language: req.query.language,
+  });
+
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'X-Vocabulary-Count': String(count),
+  });
+  res.status(200).send(body);
+});
+
 // ===================== VOCAB PACKS =====================
 
 /**
- * @desc    List curated vocab packs (lightweight — no word bodies)
+ * @desc    List vocab packs (lightweight — no word bodies)
  * @route   GET /api/v1/learning/vocab-packs
  * @access  Private
- * @query   level=intermediate|advanced (optional), language (optional, default English)
+ * @query   source=curated|community (default curated), level, language (optional),
+ *          community only: tag, q, page, limit
  */
 exports.getVocabPacks = asyncHandler(async (req, res, next) => {
-  const { level, language } = req.query;
+  const { level, language, source = 'curated' } = req.query;
+  if (!['curated', 'community'].includes(source)) {
+    return next(new ErrorResponse('source must be curated or community', 400));
+  }
+
   const filter = { isActive: true };
   if (level) {
-    if (!['intermediate', 'advanced'].includes(level)) {
-      return next(new ErrorResponse('level must be intermediate or advanced', 400));
+    const allowedLevels = source === 'community' ? PACK_LEVELS : ['intermediate', 'advanced'];
+    if (!allowedLevels.includes(level)) {
+      return next(new ErrorResponse(`level must be ${allowedLevels.join(' or ')}`, 400));
     }
     filter.level = level;
   }
   if (language) filter.language = language;
 
+  if (source === 'community') {
+    const { tag, q } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    Object.assign(filter, {
+      owner: { $ne: null },
+      visibility: 'public',
+      hiddenPendingReview: { $ne: true },
+    });
+    if (tag) filter.tags = String(tag).toLowerCase();
+    if (q) filter.topic = { $regex: String(q).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+
+    const [packs, total] = await Promise.all([
+      VocabPack.find(filter)
+        .select('level topic description language tags owner words subscriberCount forkCount publishedAt updatedAt')
+        .populate('owner', 'name username images imageUrls')
+        .sort({ subscriberCount: -1, publishedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      VocabPack.countDocuments(filter),
+    ]);
+
+    const data = packs.map((p) => ({
+      id: p._id,
+      level: p.level,
+      topic: p.topic,
+      description: p.description,
+      language: p.language,
+      tags: p.tags || [],
+      owner: p.owner,
+      wordCount: Array.isArray(p.words) ? p.words.length : 0,
+      subscriberCount: p.subscriberCount || 0,
+      forkCount: p.forkCount || 0,
+      publishedAt: p.publishedAt,
+      updatedAt: p.updatedAt,
+    }));
+
+    return res.status(200).json({
+      success: true,
+      count: data.length,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+      data,
+    });
+  }
+
+  filter.owner = null;
   const packs = await VocabPack.find(filter)
     .select('level topic language words exercises updatedAt')
     .sort({ level: 1, topic: 1 })
@@ -286,14 +450,21 @@ exports.getVocabPacks = asyncHandler(async (req, res, next) => {
 /**
  * @desc    Get a single vocab pack with full words + exercises
  * @route   GET /api/v1/learning/vocab-packs/:id
- * @access  Private
+ * @access  Private (user-authored packs: owner, or public/unlisted)
  */
 exports.getVocabPack = asyncHandler(async (req, res, next) => {
-  const pack = await VocabPack.findOne({ _id: req.params.id, isActive: true }).lean();
-  if (!pack) {
+  const pack = await VocabPack.findById(req.params.id)
+    .populate('owner', 'name username images imageUrls')
+    .lean();
+  if (!canViewPack(pack, req.user.id)) {
     return next(new ErrorResponse('Vocab pack not found', 404));
   }
-  res.status(200).json({ success: true, data: pack });
+
+  const subscribed = pack.owner
+    ? !!(await VocabPackSubscription.exists({ user: req.user.id, pack: pack._id }))
+    : false;
+
+  res.status(200).json({ success: true, data: { ...pack, subscribed } });
 });
 
 /**
@@ -303,44 +474,14 @@ exports.getVocabPack = asyncHandler(async (req, res, next) => {
  */
 exports.addVocabPackToVocabulary = asyncHandler(async (req, res, next) => {
   const userId = req.user.id;
-  const pack = await VocabPack.findOne({ _id: req.params.id, isActive: true }).lean();
-  if (!pack) {
+  const pack = await VocabPack.findById(req.params.id).lean();
+  if (!canViewPack(pack, userId)) {
     return next(new ErrorResponse('Vocab pack not found', 404));
   }
 
-  const user = await User.findById(userId).select('native_language');
-  const nativeLanguage = user ? user.native_language : undefined;
-
   // Upsert each word — never clobber an existing personal entry (setOnInsert),
   // so re-adding a pack is idempotent and won't reset a user's SRS progress.
-  const now = new Date();
-  const ops = pack.words.map((w) => ({
-    updateOne: {
-      filter: { user: userId, word: w.word },
-      update: {
-        $setOnInsert: {
-          user: userId,
-          word: w.word,
-          translation: w.translationHint || w.definition,
-          language: pack.language || 'English',
-          nativeLanguage,
-          notes: w.definition,
-          examples: w.example ? [{ sentence: w.example }] : [],
-          context: { source: 'vocab_pack' },
-          srsLevel: 0,
-          easeFactor: 2.5,
-          interval: 0,
-          nextReview: now,
-          isArchived: false,
-          isMastered: false,
-        },
-      },
-      upsert: true,
-    },
-  }));
-
-  const result = await Vocabulary.bulkWrite(ops, { ordered: false });
-  const added = result.upsertedCount || 0;
+  const { added, overLimit } = await vocabPackService.addPackWordsToUser(userId, pack);
 
   if (added > 0) {
     await learningTrackingService.awardXP(userId, added * 2, 'add_vocab_pack');
@@ -358,13 +499,15 @@ exports.addVocabPackToVocabulary = asyncHandler(async (req, res, next) => {
       level: pack.level,
       totalWords: pack.words.length,
       added,
-      alreadyHad: pack.words.length - added,
+      alreadyHad: pack.words.length - added - overLimit,
+      // Words left out because the vocabularyLimit was reached
+      overLimit,
     },
   });
 });
 
 /**
- * @desc    Get vocabulary due for review
+ * @desc    Get vocabulary due for review, ordered by predicted recall (lowest first)
  * @route   GET /api/v1/learning/vocabulary/review
  * @access  Private
  */
@@ -407,13 +550,18 @@ exports.submitVocabularyReview = asyncHandler(async (req, res, next) => {
   }
   const quality = resolved.quality;
 
-  const vocabulary = await Vocabulary.findOne({ _id: vocabularyId, user: userId });
+  const [vocabulary, progress] = await Promise.all([
+    Vocabulary.findOne({ _id: vocabularyId, user: userId }),
+    LearningProgress.findOne({ user: userId }).select('preferences.srsScheduler').lean()
+  ]);
 
   if (!vocabulary) {
     return next(new ErrorResponse('Vocabulary not found', 404));
   }
 
-  const result = await vocabulary.processReview(quality, responseTime);
+  const result = await vocabulary.processReview(quality, responseTime, {
+    scheduler: progress?.preferences?.srsScheduler
+  });
 
   // Track for XP
   await learningTrackingService.trackVocabularyReview({
@@ -1647,6 +1795,7 @@ Return a JSON object with EXACTLY these fields:
 Return ONLY the JSON, no preamble.`;
 
   const result = await chatCompletion({
+    userId: req.user.id,
     messages: [
       {
         role: 'system',
@@ -1758,6 +1907,7 @@ Return ONLY JSON, no preamble.`;
   ];
 
   const response = await chatCompletion({
+    userId: req.user.id,
     feature: 'translation',
     messages,
     maxTokens: 500,
@@ -1823,6 +1973,7 @@ Grade the user's translation. Return JSON:
 Return ONLY JSON.`;
 
   const response = await chatCompletion({
+    userId: req.user.id,
     feature: 'translation',
     messages: [
       { role: 'system', content: 'You are a precise language teacher grader. Respond with valid JSON only.' },
@@ -0,0 +1,26 @@
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const { checkUrl } = require('../lib/linkPreview');
+const { getPreview } = require('../services/linkPreviewService');
+
+/**
+ * @desc    Preview for a URL while composing a message, comment or moment.
+ *          Saved ones get their preview attached automatically.
+ * @route   GET /api/v1/link-preview?url=
+ * @access  Private
+ */
+exports.getLinkPreview = asyncHandler(async (req, res, next) => {
+  const { url } = req.query;
+
+  const { error } = checkUrl(url);
+  if (error) {
+    return next(new ErrorResponse(error, 400));
+  }
+
+  const preview = await getPreview(url);
+
+  res.status(200).json({
+    success: true,
+    data: preview
+  });
+});
@@ -3,6 +3,11 @@ const Message = require('../models/Message');
 const User = require('../models/User');
 const ErrorResponse = require('../utils/errorResponse');
 const deleteFromSpaces = require('../utils/deleteFromSpaces');
+const { assertNotEncrypted, assertPlaintextAllowed, isSecretBetween } = require('../services/e2eKeyService');
+const { clearTranslations } = require('../services/translationService');
+const { recordChange } = require('../services/syncLogService');
+const groupChatService = require('../services/groupChatService');
+const { checkEdit, listRevisions } = require('../lib/messageRevisions');
 
 /**
  * @desc    Edit a message
@@ -22,7 +27,7 @@ exports.editMessage = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Message cannot exceed 2000 characters', 400));
   }
 
-  const msg = await Message.findById(id);
+  const msg = await Message.findById(id).select('+editHistory');
 
   if (!msg) {
     return next(new ErrorResponse('Message not found', 404));
@@ -33,27 +38,32 @@ exports.editMessage = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Not authorized to edit this message', 403));
   }
 
-  // Can only edit within 15 minutes
-  const editTimeLimit = 15 * 60 * 1000; // 15 minutes
-  const timeSinceCreation = Date.now() - msg.createdAt.getTime();
-  
-  if (timeSinceCreation > editTimeLimit) {
-    return next(new ErrorResponse('Message can only be edited within 15 minutes', 400));
+  assertNotEncrypted(msg, 'edit');
+  if (msg.isGroupMessage) {
+    await groupChatService.loadMessageGroup(msg, userId);
   }
 
-  // Can't edit deleted messages
-  if (msg.isDeleted) {
-    return next(new ErrorResponse('Cannot edit deleted message', 400));
+  // Edit window (MESSAGE_EDIT_WINDOW_MINUTES) and deleted messages
+  const text = message.trim();
+  const { error, code, unchanged } = checkEdit(msg, text);
+  if (error) {
+    return next(new ErrorResponse(error, 400, code));
   }
 
-  // Update message
-  msg.message = message.trim();
-  msg.isEdited = true;
-  msg.editedAt = new Date();
-  await msg.save();
+  if (!unchanged) {
+    // Keep the old text as a revision; corrections made on it get baseChanged
+    msg.applyEdit(text);
+    // Translations of the old text no longer apply
+    msg.translations = [];
+    await msg.save();
+    await clearTranslations(msg._id, 'message');
+  }
+  // History is served by GET /messages/:id/history only
+  msg.editHistory = undefined;
 
-  // Save receiver ID before population (population converts to object)
-  const receiverId = msg.receiver.toString();
+  // Save receiver ID before population (population converts to object);
+  // group messages have members instead
+  const receiverId = msg.receiver ? msg.receiver.toString() : null;
 
   // Populate for response
   await msg.populate('sender', 'name images userMode');
@@ -62,7 +72,14 @@ exports.editMessage = asyncHandler(async (req, res, next) => {
   // ✨ Socket.IO: Notify receiver and sender's other devices
   try {
     const io = req.app.get('io');
-    if (io) {
+    if (io && msg.isGroupMessage) {
+      await groupChatService.emitMessageUpdate(msg, io, 'messageEdited', {
+        messageId: msg._id,
+        message: msg,
+        editedAt: msg.editedAt,
+        editedBy: userId
+      });
+    } else if (io) {
       // Notify receiver that message was edited
       io.to(`user_${receiverId}`).emit('messageEdited', {
         messageId: msg._id,
@@ -93,6 +110,40 @@ exports.editMessage = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * @desc    Get a message's edit history, oldest revision first
+ * @route   GET /api/v1/messages/:id/history
+ * @access  Private (participants)
+ */
+exports.getMessageHistory = asyncHandler(async (req, res, next) => {
+  const userId = req.user._id.toString();
+
+  const msg = await Message.findById(req.params.id)
+    .select('+editHistory sender receiver participants message revision isEdited editedAt createdAt isDeleted deletedFor corrections isEncrypted')
+    .lean();
+
+  if (!msg) {
+    return next(new ErrorResponse('Message not found', 404));
+  }
+
+  const isParticipant = [msg.sender, msg.receiver, ...(msg.participants || [])]
+    .some(id => id && id.toString() === userId);
+  const deletedForMe = (msg.deletedFor || []).some(id => id.toString() === userId);
+  if (!isParticipant || deletedForMe) {
+    return next(new ErrorResponse('Message not found', 404));
+  }
+
+  assertNotEncrypted(msg, 'view the history of');
+
+  res.status(200).json({
+    success: true,
+    revision: msg.revision || 0,
+    isEdited: Boolean(msg.isEdited),
+    count: msg.isDeleted ? 0 : (msg.editHistory || []).length + 1,
+    data: msg.isDeleted ? [] : listRevisions(msg)
+  });
+});
+
 /**
  * @desc    Delete a message
  * @route   DELETE /api/v1/messages/:id
@@ -113,6 +164,9 @@ exports.deleteMessage = asyncHandler(async (req, res, next) => {
   if (msg.sender.toString() !== userId.toString()) {
     return next(new ErrorResponse('Not authorized to delete this message', 403));
   }
+  if (msg.isGroupMessage && deleteForEveryone) {
+    await groupChatService.loadMessageGroup(msg, userId);
+  }
 
   if (deleteForEveryone) {
     // Delete for everyone - only within 1 hour
@@ -126,8 +180,12 @@ exports.deleteMessage = asyncHandler(async (req, res, next) => {
     // Soft delete - mark as deleted
     msg.isDeleted = true;
     msg.deletedAt = new Date();
-    msg.deletedFor = [msg.sender, msg.receiver];
+    msg.deletedFor = msg.isGroupMessage
+      ? [...new Set([msg.sender, ...msg.participants].map(String))]
+      : [msg.sender, msg.receiver];
     msg.message = 'This message was deleted';
+    msg.editHistory = [];
+    msg.transcription = undefined;
     
     // Delete media files from S3
     if (msg.media && msg.media.url) {
@@ -139,11 +197,22 @@ exports.deleteMessage = asyncHandler(async (req, res, next) => {
     }
     
     await msg.save();
+    if (msg.isGroupMessage) {
+      await recordChange(msg.deletedFor, 'delete', { message: msg._id, data: { deletedForEveryone: true } });
+    }
 
     // ✨ Socket.IO: Notify receiver that message was deleted for everyone
     try {
       const io = req.app.get('io');
-      if (io) {
+      if (io && msg.isGroupMessage) {
+        await groupChatService.emitMessageUpdate(msg, io, 'messageDeleted', {
+          messageId: msg._id,
+          deletedForEveryone: true,
+          deletedBy: userId,
+          deletedAt: msg.deletedAt,
+          message: msg
+        });
+      } else if (io) {
         // Notify receiver
         io.to(`user_${msg.receiver}`).emit('messageDeleted', {
           messageId: msg._id,
@@ -180,6 +249,7 @@ exports.deleteMessage = asyncHandler(async (req, res, next) => {
     }
     
     await msg.save();
+    await recordChange([userId], 'delete', { message: msg._id, data: { deletedForEveryone: false } });
 
     // ✨ Socket.IO: Notify sender's other devices (receiver doesn't need to know)
     try {
@@ -242,6 +312,8 @@ exports.replyToMessage = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Cannot send message to this user', 403));
   }
 
+  await assertPlaintextAllowed(userId, receiver);
+
   // Check message limit
   const canSend = await senderUser.canSendMessage();
   if (!canSend) {
@@ -334,6 +406,8 @@ exports.forwardMessage = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Original message not found', 404));
   }
 
+  assertNotEncrypted(originalMessage, 'forward');
+
   const senderUser = await User.findById(userId);
   if (!senderUser) {
     return next(new ErrorResponse('User not found', 404));
@@ -379,6 +453,11 @@ exports.forwardMessage = asyncHandler(async (req, res, next) => {
       continue;
     }
 
+    if (await isSecretBetween(userId, receiverId)) {
+      errors.push({ receiverId, error: 'Secret chat: end-to-end encrypted messages only' });
+      continue;
+    }
+
     // Create forwarded message
     const forwardedMessage = await Message.create({
       message: originalMessage.message,
@@ -442,12 +521,16 @@ exports.pinMessage = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Message not found', 404));
   }
 
-  // Only participants can pin
-  const isParticipant = msg.sender.toString() === userId.toString() ||
-                        msg.receiver.toString() === userId.toString();
+  // Only participants can pin; in a group, current members it was sent to
+  if (msg.isGroupMessage) {
+    await groupChatService.loadMessageGroup(msg, userId);
+  } else {
+    const isParticipant = msg.sender.toString() === userId.toString() ||
+                          msg.receiver.toString() === userId.toString();
 
-  if (!isParticipant) {
-    return next(new ErrorResponse('Not authorized to pin this message', 403));
+    if (!isParticipant) {
+      return next(new ErrorResponse('Not authorized to pin this message', 403));
+    }
   }
 
   // Toggle pin status
@@ -455,13 +538,17 @@ exports.pinMessage = asyncHandler(async (req, res, next) => {
 
   // If pinning a new message, unpin any existing pinned messages in this conversation
   if (willBePinned) {
-    // Find and unpin all other pinned messages between these two users
+    // Find and unpin all other pinned messages in the group / between these two users
     await Message.updateMany(
       {
-        $or: [
-          { sender: msg.sender, receiver: msg.receiver },
-          { sender: msg.receiver, receiver: msg.sender }
-        ],
+        ...(msg.isGroupMessage
+          ? { conversationId: msg.conversationId, isGroupMessage: true }
+          : {
+            $or: [
+              { sender: msg.sender, receiver: msg.receiver },
+              { sender: msg.receiver, receiver: msg.sender }
+            ]
+          }),
         pinned: true,
         _id: { $ne: msg._id }
       },
@@ -488,7 +575,7 @@ exports.pinMessage = asyncHandler(async (req, res, next) => {
 
   // Save IDs before population (population converts to objects)
   const senderId = msg.sender.toString();
-  const receiverId = msg.receiver.toString();
+  const receiverId = msg.receiver ? msg.receiver.toString() : null;
 
   // Populate for response
   await msg.populate('sender', 'name images userMode');
@@ -497,7 +584,13 @@ exports.pinMessage = asyncHandler(async (req, res, next) => {
   // Notify other participant via socket
   try {
     const io = req.app.get('io');
-    if (io) {
+    if (io && msg.isGroupMessage) {
+      await groupChatService.emitMessageUpdate(msg, io, 'messagePinned', {
+        messageId: msg._id,
+        pinned: msg.pinned,
+        pinnedBy: userId
+      });
+    } else if (io) {
       // Determine the other user (if I'm the sender, notify receiver; vice versa)
       const otherUserId = senderId === userId.toString() ? receiverId : senderId;
 
@@ -1,6 +1,31 @@
 const asyncHandler = require('../middleware/async');
 const Message = require('../models/Message');
 const ErrorResponse = require('../utils/errorResponse');
+const groupChatService = require('../services/groupChatService');
+
+// Only the two ends of a direct message, or current members of the group a
+// group message was sent to, can react to it.
+const assertCanReact = async (message, userId) => {
+  if (message.isGroupMessage) {
+    await groupChatService.loadMessageGroup(message, userId);
+    return;
+  }
+  const isParticipant = [message.sender, message.receiver]
+    .some(id => id && id.toString() === userId.toString());
+  if (!isParticipant) {
+    throw new ErrorResponse('Not authorized to react to this message', 403);
+  }
+};
+
+// messageReaction to everyone who can see the message
+const emitReaction = async (io, message, reactionData) => {
+  if (message.isGroupMessage) {
+    await groupChatService.emitMessageUpdate(message, io, 'messageReaction', reactionData);
+    return;
+  }
+  io.to(`user_${message.sender.toString()}`).emit('messageReaction', reactionData);
+  io.to(`user_${message.receiver.toString()}`).emit('messageReaction', reactionData);
+};
 
 /**
  * @desc    Add reaction to a message
@@ -21,6 +46,7 @@ exports.addReaction = asyncHandler(async (req, res, next) => {
   if (!message) {
     return next(new ErrorResponse('Message not found', 404));
   }
+  await assertCanReact(message, userId);
 
   // Check if user already reacted with this emoji
   const existingReaction = message.reactions.find(
@@ -56,9 +82,6 @@ exports.addReaction = asyncHandler(async (req, res, next) => {
     const io = req.app.get('io');
     if (io) {
       // Notify both sender and receiver of the message
-      const senderId = message.sender.toString();
-      const receiverId = message.receiver.toString();
-
       const reactionData = {
         messageId: id,
         reactions: message.reactions,
@@ -66,8 +89,7 @@ exports.addReaction = asyncHandler(async (req, res, next) => {
         emoji: emoji
       };
 
-      io.to(`user_${senderId}`).emit('messageReaction', reactionData);
-      io.to(`user_${receiverId}`).emit('messageReaction', reactionData);
+      await emitReaction(io, message, reactionData);
 
       console.log(`📡 Reaction event sent: ${emoji} on message ${id}`);
     }
@@ -96,6 +118,7 @@ exports.removeReaction = asyncHandler(async (req, res, next) => {
   if (!message) {
     return next(new ErrorResponse('Message not found', 404));
   }
+  await assertCanReact(message, userId);
 
   // Remove reaction
   message.reactions = message.reactions.filter(
@@ -108,9 +131,6 @@ exports.removeReaction = asyncHandler(async (req, res, next) => {
   try {
     const io = req.app.get('io');
     if (io) {
-      const senderId = message.sender.toString();
-      const receiverId = message.receiver.toString();
-
       const reactionData = {
         messageId: id,
         reactions: message.reactions,
@@ -119,8 +139,7 @@ exports.removeReaction = asyncHandler(async (req, res, next) => {
         removed: true
       };
 
-      io.to(`user_${senderId}`).emit('messageReaction', reactionData);
-      io.to(`user_${receiverId}`).emit('messageReaction', reactionData);
+      await emitReaction(io, message, reactionData);
 
       console.log(`📡 Reaction removed event sent: ${emoji} on message ${id}`);
     }
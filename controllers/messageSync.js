@@ -0,0 +1,22 @@
+const asyncHandler = require('../middleware/async');
+const syncLogService = require('../services/syncLogService');
+
+/**
+ * @desc    Catch a device up on what changed in my direct messages since
+ *          its last sync: new/edited messages, deletions, reactions and
+ *          read state. Pass the returned cursor as `since` next time; keep
+ *          going while hasMore. resetRequired means reload everything,
+ *          then sync from cursor.
+ * @route   GET /api/v1/messages/sync
+ * @query   since (required, 0 = from the start), deviceId, limit
+ * @access  Private
+ */
+exports.syncMessages = asyncHandler(async (req, res, next) => {
+  const { since, deviceId, limit } = req.query;
+  const changes = await syncLogService.getChanges(req.user._id.toString(), { since, deviceId, limit });
+
+  res.status(200).json({
+    success: true,
+    data: changes
+  });
+});
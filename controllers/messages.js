@@ -8,6 +8,9 @@ const mongoose = require('mongoose');
 const { getBlockedUserIds } = require('../utils/blockingUtils');
 const { usersWithVisibleActiveStory } = require('../lib/activeStoryFlags');
 const { toCdnUrl } = require('../utils/imageUtils');
+const { attachAutoTranslations, attachInboxAutoTranslations } = require('../services/autoTranslationService');
+const stickerService = require('../services/stickerService');
+const { assertPlaintextAllowed } = require('../services/e2eKeyService');
 
 /**
  * @desc    Create a new conversation room between users
@@ -223,8 +226,13 @@ exports.createConversationRoom = asyncHandler(async (req, res, next) => {
         .lean()
     ]);
 
+    // Viewer's incoming messages, in the chats where they turned on auto-translation
+    const pageMessages = req.user._id.toString() === userId
+      ? await attachInboxAutoTranslations(messages, req.user, { io: req.app.get('io') })
+      : messages;
+
     // Transform the messages to include image URLs
-    const messagesWithImageUrls = messages.map(message => {
+    const messagesWithImageUrls = pageMessages.map(message => {
       // Ensure sender and receiver are not null
       const sender = message.sender ? {
         ...message.sender,
@@ -553,8 +561,11 @@ exports.createConversationRoom = asyncHandler(async (req, res, next) => {
         .lean()
     ]);
 
+    // Those the viewer received, in a chat where they turned on auto-translation
+    const pageMessages = await attachInboxAutoTranslations(messages, req.user, { io: req.app.get('io') });
+
     // Format messages to include image URLs
-    const messagesWithImageUrls = messages.map(message => ({
+    const messagesWithImageUrls = pageMessages.map(message => ({
       ...message,
       sender: {
         ...message.sender,
@@ -587,20 +598,28 @@ exports.createConversationRoom = asyncHandler(async (req, res, next) => {
   //@access Private
 
 exports.createMessage = asyncHandler(async (req, res, next) => {
-  const { message, receiver, replyTo, forwardedFrom, location } = req.body;
+  const { message, receiver, replyTo, forwardedFrom, location, sticker } = req.body;
   
   if (!req.user) return next(new ErrorResponse('Not authenticated', 401));
   
   const sender = req.user._id;
   
-  if (!message && !req.file && !location) {
-    return next(new ErrorResponse('Message content, attachment, or location is required', 400));
+  if (!message && !req.file && !location && !sticker) {
+    return next(new ErrorResponse('Message content, attachment, location or sticker is required', 400));
   }
   
   if (!receiver) return next(new ErrorResponse('Receiver is required', 400));
   
   const receiverExists = await User.findById(receiver);
   if (!receiverExists) return next(new ErrorResponse('Receiver not found', 404));
+
+  // Secret chats take ciphertext only (socket sendMessage)
+  try {
+    await assertPlaintextAllowed(sender, receiver);
+  } catch (err) {
+    if (req.file) await deleteFromSpaces(req.file.location);
+    return next(err);
+  }
   
   const senderUser = req.limitationUser || await User.findById(sender);
   if (!senderUser) return next(new ErrorResponse('Sender user not found', 404));
@@ -665,6 +684,11 @@ exports.createMessage = asyncHandler(async (req, res, next) => {
     receiver,
     messageType: validMessageTypes.includes(requestedType) ? requestedType : 'text'
   };
+
+  // Pack stickers must come from a pack the sender can use
+  if (sticker) {
+    messageData.sticker = await stickerService.resolveMessageSticker(senderUser, messageData.messageType, sticker);
+  }
   
   // DigitalOcean Spaces attachment logic
   if (req.file) {
@@ -711,6 +735,7 @@ exports.createMessage = asyncHandler(async (req, res, next) => {
   
   const newMessage = await Message.create(messageData);
   await senderUser.incrementMessageCount();
+  stickerService.recordUse(sender, messageData.sticker);
   
   const Conversation = require('../models/Conversation');
   let conversation = await Conversation.findOne({
@@ -917,8 +942,21 @@ exports.getConversationRooms = asyncHandler(async (req, res, next) => {
       });
     }
 
+    // Viewer's incoming messages, if they turned on auto-translation
+    let pageMessages = messages;
+    let autoTranslate = null;
+    const viewerId = req.user._id.toString();
+    if (viewerId === senderId || viewerId === receiverId) {
+      const Conversation = require('../models/Conversation');
+      const conversation = await Conversation.findOne({
+        participants: { $all: [senderObjId, receiverObjId], $size: 2 },
+        isGroup: false
+      }).select('languageSettings userLanguageSettings').lean();
+      ({ messages: pageMessages, autoTranslate } = await attachAutoTranslations(messages, req.user, conversation, { io: req.app.get('io') }));
+    }
+
     // Transform the messages to include image URLs
-    const messagesWithImageUrls = messages.map(message => ({
+    const messagesWithImageUrls = pageMessages.map(message => ({
       ...message,
       sender: {
         ...message.sender,
@@ -943,6 +981,7 @@ exports.getConversationRooms = asyncHandler(async (req, res, next) => {
         hasNextPage: page < totalPages,
         hasPrevPage: page > 1
       },
+      ...(autoTranslate && { autoTranslate }),
       data: messagesWithImageUrls,
     });
   });
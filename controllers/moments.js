@@ -10,6 +10,7 @@ const { getBlockedUserIds, checkBlockStatus, addBlockingFilter } = require('../u
 const { getVideoConstraints } = require('../utils/videoUtils');
 const { toIso } = require('../utils/languageCodes');
 const { excludeReels, buildReelsQuery, partitionByLanguage, deriveNextCursor, resolveIsReel, isReelOverCap } = require('../lib/reelsFeed');
+const { onlyPublished, isPublished, resolvePublishState, UNPUBLISHED_STATUSES } = require('../lib/momentPublishing');
 
 // Minimal user fields for population (performance optimization)
 const USER_FIELDS = 'name email bio images native_language language_to_learn';
@@ -56,14 +57,15 @@ exports.getMoments = asyncHandler(async (req, res, next) => {
 
   // Build query based on privacy and user
   // Discovery feed (plan-review I1/I4): reels are excluded here — they
-  // live only in the Reels tab (GET /moments/reels).
-  let query = excludeReels({ privacy: 'public', isDeleted: { $ne: true } });
+  // live only in the Reels tab (GET /moments/reels). Drafts and scheduled
+  // moments (even the viewer's own) stay out until published.
+  let query = onlyPublished(excludeReels({ privacy: 'public', isDeleted: { $ne: true } }));
 
   // If user is logged in, they can see their own posts
   if (req.user) {
     // Exclude blocked users from both conditions
-    const publicQuery = excludeReels({ privacy: 'public', isDeleted: { $ne: true } });
-    const ownPostsQuery = excludeReels({ user: req.user._id, isDeleted: { $ne: true } });
+    const publicQuery = onlyPublished(excludeReels({ privacy: 'public', isDeleted: { $ne: true } }));
+    const ownPostsQuery = onlyPublished(excludeReels({ user: req.user._id, isDeleted: { $ne: true } }));
 
     // Apply blocking filter to public posts
     if (blockedUserIds.length > 0) {
@@ -108,11 +110,11 @@ exports.getMoments = asyncHandler(async (req, res, next) => {
       // Replace the default $or (public + own posts) query with one scoped to
       // people the user follows, still honoring privacy/deletion/blocking.
       // Excludes reels (plan-review I4) — same as every other discovery feed.
-      const followingQuery = excludeReels({
+      const followingQuery = onlyPublished(excludeReels({
         user: { $in: followingIds },
         privacy: 'public',
         isDeleted: { $ne: true }
-      });
+      }));
 
       if (blockedUserIds.length > 0) {
         followingQuery.user = { $in: followingIds, $nin: blockedUserIds };
@@ -177,7 +179,7 @@ exports.getReelsFeed = asyncHandler(async (req, res, next) => {
 
   const blockedUserIds = Array.from(await getBlockedUserIds(req.user._id));
 
-  const query = buildReelsQuery({ before, blockedIds: blockedUserIds });
+  const query = onlyPublished(buildReelsQuery({ before, blockedIds: blockedUserIds }));
 
   // Raw, pre-partition window — sorted createdAt desc. nextCursor is
   // derived from THIS array, never from the reordered/concatenated one
@@ -301,6 +303,12 @@ exports.getMoment = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`Moment not found with id of ${req.params.id}`, 404));
   }
 
+  // Drafts and scheduled moments exist only for their author until published
+  const isAuthor = req.user && moment.user._id.toString() === req.user._id.toString();
+  if (!isPublished(moment) && !isAuthor) {
+    return next(new ErrorResponse(`Moment not found with id of ${req.params.id}`, 404));
+  }
+
   // Check if blocked (if user is authenticated)
   if (req.user && moment.user._id.toString() !== req.user._id.toString()) {
     const blockStatus = await checkBlockStatus(req.user._id, moment.user._id);
@@ -371,8 +379,9 @@ exports.getUserMoments = asyncHandler(async (req, res, next) => {
     }
   }
 
-  // Build query - show all user moments if viewing own profile, otherwise only public
-  let query = { user: targetUserId, isDeleted: { $ne: true } };
+  // Build query - show all user moments if viewing own profile, otherwise only public.
+  // Unpublished moments are listed by GET /moments/scheduled instead.
+  let query = onlyPublished({ user: targetUserId, isDeleted: { $ne: true } });
   
   // If not viewing own profile, only show public moments
   if (!req.user || req.user._id.toString() !== targetUserId) {
@@ -435,6 +444,7 @@ exports.createMoment = asyncHandler(async (req, res, next) => {
     privacy,
     location,
     scheduledFor,
+    status,
     backgroundColor,
     promptId,
     isReel
@@ -473,9 +483,10 @@ exports.createMoment = asyncHandler(async (req, res, next) => {
     return next(formatLimitError('moments', current, max, nextReset));
   }
 
-  // Validate scheduled date
-  if (scheduledFor && new Date(scheduledFor) < new Date()) {
-    return next(new ErrorResponse('Scheduled date must be in the future', 400));
+  // Draft, scheduled or published now
+  const publishState = resolvePublishState({ status, scheduledFor });
+  if (publishState.error) {
+    return next(new ErrorResponse(publishState.error, 400));
   }
 
   // Create moment data
@@ -488,7 +499,9 @@ exports.createMoment = asyncHandler(async (req, res, next) => {
     category: category || 'general',
     language: language || 'en',
     privacy: privacy || 'public',
-    scheduledFor: scheduledFor || null,
+    status: publishState.status,
+    scheduledFor: publishState.scheduledFor,
+    publishedAt: publishState.publishNow ? new Date() : null,
     backgroundColor: backgroundColor || '',
     promptId: promptId || null,
     isReel: resolveIsReel(isReel)
@@ -519,13 +532,16 @@ exports.createMoment = asyncHandler(async (req, res, next) => {
   // Increment moment count after successful creation
   await user.incrementMomentCount();
 
-  // Send notification to followers (async, don't wait)
-  const notificationService = require('../services/notificationService');
-  notificationService.sendFollowerMoment(
-    userId.toString(),
-    moment._id.toString(),
-    description || ''
-  ).catch(err => console.error('Follower moment notification failed:', err));
+  // Send notification to followers (async, don't wait). Scheduled moments
+  // notify when jobs/momentPublishJob.js publishes them; drafts never do.
+  if (publishState.publishNow) {
+    const notificationService = require('../services/notificationService');
+    notificationService.sendFollowerMoment(
+      userId.toString(),
+      moment._id.toString(),
+      description || ''
+    ).catch(err => console.error('Follower moment notification failed:', err));
+  }
 
   // Populate user for response
   await moment.populate('user', USER_FIELDS);
@@ -558,8 +574,28 @@ exports.updateMoment = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Not authorized to update this moment', 403));
   }
 
-  // Prepare update data (exclude user field for security)
-  const { user, images, ...updateData } = req.body;
+  // Prepare update data (exclude user field for security; link previews
+  // are generated server-side)
+  const { user, images, status, scheduledFor, publishedAt, linkPreview, ...updateData } = req.body;
+
+  // Reschedule, move back to draft, or publish now
+  const publishState = resolvePublishState({
+    status,
+    scheduledFor,
+    currentStatus: moment.status || 'published'
+  });
+  if (publishState.error) {
+    return next(new ErrorResponse(publishState.error, 400));
+  }
+  if (publishState.change) {
+    updateData.status = publishState.status;
+    updateData.scheduledFor = publishState.scheduledFor;
+    if (publishState.publishNow) {
+      // Enters feeds at the top, as if posted now
+      updateData.publishedAt = new Date();
+      updateData.createdAt = updateData.publishedAt;
+    }
+  }
 
   // Handle location update
   if (updateData.location && updateData.location.coordinates) {
@@ -585,6 +621,21 @@ exports.updateMoment = asyncHandler(async (req, res, next) => {
     }
   );
 
+  // findByIdAndUpdate skips the save hook that unfurls links
+  if (updateData.description !== undefined) {
+    const { attachPreview } = require('../services/linkPreviewService');
+    attachPreview(Moment, moment, 'description');
+  }
+
+  if (publishState.publishNow) {
+    const notificationService = require('../services/notificationService');
+    notificationService.sendFollowerMoment(
+      req.user._id.toString(),
+      moment._id.toString(),
+      moment.description || ''
+    ).catch(err => console.error('Follower moment notification failed:', err));
+  }
+
   await moment.populate('user', USER_FIELDS);
   const userWithImages = processUserImages(moment.user, req);
   const momentWithImages = processMomentImages(moment, req);
@@ -598,6 +649,40 @@ exports.updateMoment = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * @desc    Get my drafts and scheduled moments
+ * @route   GET /api/v1/moments/scheduled?status=draft|scheduled
+ * @access  Private
+ */
+exports.getScheduledMoments = asyncHandler(async (req, res, next) => {
+  const { status } = req.query;
+  if (status && !UNPUBLISHED_STATUSES.includes(status)) {
+    return next(new ErrorResponse(`status must be one of ${UNPUBLISHED_STATUSES.join(', ')}`, 400));
+  }
+
+  // Scheduled first in publish order, then drafts newest first
+  const moments = await Moment.find({
+    user: req.user._id,
+    isDeleted: { $ne: true },
+    status: status || { $in: UNPUBLISHED_STATUSES }
+  })
+    .populate('user', USER_FIELDS)
+    .sort({ status: -1, scheduledFor: 1, createdAt: -1 })
+    .limit(100)
+    .lean();
+
+  const data = moments.map(moment => ({
+    ...processMomentImages(moment, req),
+    user: processUserImages(moment.user, req)
+  }));
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    data
+  });
+});
+
 /**
  * @desc    Delete moment
  * @route   DELETE /api/v1/moments/:id
@@ -1385,11 +1470,11 @@ exports.getTrendingMoments = asyncHandler(async (req, res, next) => {
 
   // Discovery feed (plan-review I1/I4) — Trending is live UI and would
   // otherwise leak reels; excludes them same as the other discovery feeds.
-  let query = excludeReels({
+  let query = onlyPublished(excludeReels({
     privacy: 'public',
     isDeleted: { $ne: true },
     createdAt: { $gte: sevenDaysAgo }
-  });
+  }));
 
   // Exclude blocked users
   if (blockedUserIds.length > 0) {
@@ -1454,10 +1539,10 @@ exports.exploreMoments = asyncHandler(async (req, res, next) => {
 
   // Discovery feed (plan-review I1/I4) — excludes reels same as the other
   // discovery feeds; reels live only in the Reels tab.
-  let query = excludeReels({
+  let query = onlyPublished(excludeReels({
     privacy: 'public',
     isDeleted: { $ne: true }
-  });
+  }));
 
   // Apply filters
   if (category && category !== 'all') query.category = category;
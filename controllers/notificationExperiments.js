@@ -0,0 +1,86 @@
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const experimentService = require('../services/notificationExperimentService');
+
+/**
+ * @desc    Notification copy experiments, newest first
+ * @route   GET /api/v1/admin/notification-experiments?status=&kind=
+ * @access  Private (admin)
+ */
+exports.getExperiments = asyncHandler(async (req, res, next) => {
+  const experiments = await experimentService.listExperiments(req.query);
+
+  res.status(200).json({
+    success: true,
+    count: experiments.length,
+    data: experiments
+  });
+});
+
+/**
+ * @desc    Start an experiment on a notification template
+ * @route   POST /api/v1/admin/notification-experiments
+ * @access  Private (admin)
+ * @body    { name, templateKey, variants: [{ key, weight, title?, body?, locales? }] }
+ */
+exports.createExperiment = asyncHandler(async (req, res, next) => {
+  const experiment = await experimentService.createExperiment(req.body, req.user._id);
+
+  res.status(201).json({
+    success: true,
+    data: experiment
+  });
+});
+
+/**
+ * @desc    An experiment with sent/opened counts and open rate per variant
+ * @route   GET /api/v1/admin/notification-experiments/:id
+ * @access  Private (admin)
+ */
+exports.getExperimentResults = asyncHandler(async (req, res, next) => {
+  const { experiment, results } = await experimentService.getResults(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: experiment,
+    results
+  });
+});
+
+/**
+ * @desc    Promote a variant: it goes to everyone from now on
+ * @route   POST /api/v1/admin/notification-experiments/:id/promote
+ * @access  Private (admin)
+ * @body    { variant }
+ */
+exports.promoteVariant = asyncHandler(async (req, res, next) => {
+  if (!req.body.variant) {
+    return next(new ErrorResponse('variant is required', 400));
+  }
+
+  const { experiment, rollout } = await experimentService.promoteExperiment(
+    req.params.id,
+    req.body.variant,
+    req.user._id
+  );
+
+  res.status(200).json({
+    success: true,
+    data: experiment,
+    rollout
+  });
+});
+
+/**
+ * @desc    Stop an experiment; its template goes back to the standard copy
+ * @route   POST /api/v1/admin/notification-experiments/:id/stop
+ * @access  Private (admin)
+ */
+exports.stopExperiment = asyncHandler(async (req, res, next) => {
+  const experiment = await experimentService.stopExperiment(req.params.id, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: experiment
+  });
+});
@@ -4,8 +4,10 @@ const Message = require('../models/Message');
 const Notification = require('../models/Notification');
 const ErrorResponse = require('../utils/errorResponse');
 const notificationService = require('../services/notificationService');
+const webPushService = require('../services/webPushService');
 const templates = require('../utils/notificationTemplates');
 const { normalizeLocale } = require('../lib/normalizeLocale');
+const { parseRulesUpdate, describeRules } = require('../lib/notificationRules');
 
 /**
  * @desc    Register FCM token
@@ -114,6 +116,64 @@ exports.registerVoipToken = asyncHandler(async (req, res, next) => {
   res.status(200).json({ success: true, data: { deviceId } });
 });
 
+/**
+ * @desc    VAPID public key browsers subscribe with
+ * @route   GET /api/v1/notifications/web-push/key
+ * @access  Private
+ */
+exports.getWebPushKey = asyncHandler(async (req, res, next) => {
+  const publicKey = webPushService.getPublicKey();
+
+  if (!publicKey) {
+    return next(new ErrorResponse('Web push is not available', 503));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { publicKey }
+  });
+});
+
+/**
+ * @desc    Register a browser's Web Push subscription (call on every page
+ *          load, like register-token, so it isn't pruned)
+ * @route   POST /api/v1/notifications/web-push/subscribe
+ * @access  Private
+ * @body    { subscription: { endpoint, keys: { p256dh, auth } }, deviceId }
+ */
+exports.registerWebPushSubscription = asyncHandler(async (req, res, next) => {
+  const { subscription, deviceId } = req.body;
+
+  const data = await webPushService.saveSubscription(req.user.id, {
+    subscription,
+    deviceId,
+    userAgent: req.get('user-agent')
+  });
+
+  console.log(`✅ Registered web push subscription for user ${req.user.id}, device ${deviceId}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Web push subscription registered successfully',
+    data
+  });
+});
+
+/**
+ * @desc    Remove a browser's Web Push subscription
+ * @route   DELETE /api/v1/notifications/web-push/subscribe/:deviceId
+ * @access  Public (can be called during/after logout)
+ */
+exports.removeWebPushSubscription = asyncHandler(async (req, res, next) => {
+  const { deviceId } = req.params;
+  const removed = await webPushService.removeSubscription(req.user ? req.user.id : null, deviceId);
+
+  res.status(200).json({
+    success: true,
+    message: removed ? 'Web push subscription removed successfully' : 'Web push subscription removal processed'
+  });
+});
+
 /**
  * @desc    Remove FCM token
  * @route   DELETE /api/v1/notifications/remove-token/:deviceId
@@ -279,6 +339,9 @@ exports.muteChat = asyncHandler(async (req, res, next) => {
     {
       $addToSet: {
         'notificationSettings.mutedChats': conversationId
+      },
+      $unset: {
+        [`notificationRules.conversations.${conversationId}`]: ''
       }
     },
     { new: true }
@@ -313,6 +376,9 @@ exports.unmuteChat = asyncHandler(async (req, res, next) => {
     {
       $pull: {
         'notificationSettings.mutedChats': conversationId
+      },
+      $unset: {
+        [`notificationRules.conversations.${conversationId}`]: ''
       }
     },
     { new: true }
@@ -333,6 +399,117 @@ exports.unmuteChat = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * @desc    Get per-type, per-channel notification preferences
+ * @route   GET /api/v1/notifications/preferences
+ * @access  Private
+ */
+exports.getPreferences = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select('notificationRules quietHours');
+
+  if (!user) {
+    return next(new ErrorResponse('User not found', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: describeRules(user)
+  });
+});
+
+/**
+ * @desc    Update per-type channels and the digest time
+ * @route   PUT /api/v1/notifications/preferences
+ * @access  Private
+ */
+exports.updatePreferences = asyncHandler(async (req, res, next) => {
+  const { set, error } = parseRulesUpdate(req.body);
+  if (error) {
+    return next(new ErrorResponse(error, 400));
+  }
+
+  const user = await User.findByIdAndUpdate(
+    req.user.id,
+    { $set: set },
+    { new: true }
+  ).select('notificationRules quietHours');
+
+  if (!user) {
+    return next(new ErrorResponse('User not found', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Notification preferences updated successfully',
+    data: describeRules(user)
+  });
+});
+
+/**
+ * Set or clear a conversation/room override and respond with the
+ * preferences. Conversation overrides keep notificationSettings.mutedChats
+ * in step, so the legacy mute endpoints and GET /settings agree.
+ */
+const applyOverride = async (req, res, next, scope, id, mode) => {
+  const path = `notificationRules.${scope}.${id}`;
+  const update = mode ? { $set: { [path]: mode } } : { $unset: { [path]: '' } };
+  if (scope === 'conversations') {
+    if (mode === 'none') {
+      update.$addToSet = { 'notificationSettings.mutedChats': id };
+    } else {
+      update.$pull = { 'notificationSettings.mutedChats': id };
+    }
+  }
+
+  const user = await User.findByIdAndUpdate(req.user.id, update, { new: true })
+    .select('notificationRules quietHours');
+
+  if (!user) {
+    return next(new ErrorResponse('User not found', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: describeRules(user)
+  });
+};
+
+/**
+ * @desc    Override notifications for one conversation ('all' | 'none')
+ * @route   PUT /api/v1/notifications/preferences/conversations/:conversationId
+ * @access  Private
+ */
+exports.setConversationOverride = asyncHandler(async (req, res, next) => {
+  await applyOverride(req, res, next, 'conversations', req.params.conversationId, req.body.mode);
+});
+
+/**
+ * @desc    Remove a conversation override
+ * @route   DELETE /api/v1/notifications/preferences/conversations/:conversationId
+ * @access  Private
+ */
+exports.clearConversationOverride = asyncHandler(async (req, res, next) => {
+  await applyOverride(req, res, next, 'conversations', req.params.conversationId, null);
+});
+
+/**
+ * @desc    Override notifications for one room ('all' | 'mentions' | 'none')
+ * @route   PUT /api/v1/notifications/preferences/rooms/:roomId
+ * @access  Private
+ */
+exports.setRoomOverride = asyncHandler(async (req, res, next) => {
+  await applyOverride(req, res, next, 'rooms', req.params.roomId, req.body.mode);
+});
+
+/**
+ * @desc    Remove a room override
+ * @route   DELETE /api/v1/notifications/preferences/rooms/:roomId
+ * @access  Private
+ */
+exports.clearRoomOverride = asyncHandler(async (req, res, next) => {
+  await applyOverride(req, res, next, 'rooms', req.params.roomId, null);
+});
+
 /**
  * @desc    Get notification history
  * @route   GET /api/v1/notifications/history
@@ -393,6 +570,38 @@ exports.markAsRead = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * @desc    Record that a notification was opened (tapped). Also marks it
+ *          read. Opens are what each user's best send time is learned from
+ *          (services/deliveryTimeService.js).
+ * @route   POST /api/v1/notifications/mark-opened/:notificationId
+ * @access  Private
+ */
+exports.markAsOpened = asyncHandler(async (req, res, next) => {
+  const { notificationId } = req.params;
+  const userId = req.user.id;
+
+  const notification = await Notification.findOne({ _id: notificationId, userId });
+
+  if (!notification) {
+    return next(new ErrorResponse('Notification not found', 404));
+  }
+
+  // The first open is the one that counts
+  if (!notification.clicked) {
+    notification.clicked = true;
+    notification.clickedAt = new Date();
+  }
+  notification.read = true;
+  await notification.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Notification marked as opened',
+    data: notification
+  });
+});
+
 /**
  * @desc    Mark all notifications as read
  * @route   POST /api/v1/notifications/mark-all-read
@@ -15,6 +15,7 @@
 const Moment = require('../models/Moment');
 const User = require('../models/User');
 const { toCdnUrl } = require('../utils/imageUtils');
+const { onlyPublished } = require('../lib/momentPublishing');
 
 // Same field allow-list used by controllers/users.js getUser/getUserPublic —
 // duplicated here (rather than imported) because that list is a local const,
@@ -134,7 +135,7 @@ function isProfileNonPublic(user) {
 }
 
 async function buildMomentOg(id) {
-  const moment = await Moment.findOne({ _id: id, isDeleted: { $ne: true } }).lean();
+  const moment = await Moment.findOne(onlyPublished({ _id: id, isDeleted: { $ne: true } })).lean();
   if (!moment) return null;
 
   const rawTitle = moment.title && moment.title.trim();
@@ -176,6 +177,21 @@ async function buildUserOg(id, typeForUrl) {
   return { canonicalUrl, title, description, image };
 }
 
+/**
+ * OG data for one of our own moments/profiles, or null when it doesn't
+ * exist. Also used by services/linkPreviewService.js for links to our
+ * site pasted into chats, comments and moments.
+ *
+ * @param {string} type - moment | profile | community | user
+ * @param {string} id
+ * @returns {Promise<Object|null>} { canonicalUrl, title, description, image }
+ */
+async function buildOgData(type, id) {
+  if (type === 'moment') return buildMomentOg(id);
+  if (USER_OG_TYPES.has(type)) return buildUserOg(id, 'profile');
+  return null;
+}
+
 /**
  * @desc    Public OG/link-preview HTML for a shared moment/profile URL
  * @route   GET /og/:type/:id
@@ -185,17 +201,13 @@ async function getOg(req, res) {
   const { type, id } = req.params;
 
   try {
-    let ogData = null;
-
-    if (type === 'moment') {
-      ogData = await buildMomentOg(id);
-    } else if (USER_OG_TYPES.has(type)) {
-      ogData = await buildUserOg(id, 'profile');
-    } else {
+    if (type !== 'moment' && !USER_OG_TYPES.has(type)) {
       // Unknown type — generic card, no crash.
       return sendHtml(res, 200, genericHtml(`${FRONTEND_URL_BASE}/${type || ''}/${id || ''}`));
     }
 
+    const ogData = await buildOgData(type, id);
+
     if (!ogData) {
       // Not found — generic card with a 404 status so crawlers don't index it,
       // but still render usable HTML rather than an error page.
@@ -211,9 +223,12 @@ async function getOg(req, res) {
 
 module.exports = {
   getOg,
+  buildOgData,
   buildOgHtml,
   escapeHtml,
   DEFAULT_OG_IMAGE,
   DEFAULT_TITLE,
   DEFAULT_DESCRIPTION,
+  FRONTEND_URL_BASE,
+  APP_NAME,
 };
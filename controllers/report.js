@@ -285,6 +285,10 @@ exports.resolveReport = asyncHandler(async (req, res, next) => {
     } else if (report.type === 'message') {
       const Message = require('../models/Message');
       await Message.findByIdAndUpdate(report.reportId, { deleted: true }).catch(() => {});
+    } else if (report.type === 'vocab_pack') {
+      // Deactivate rather than delete — subscribers keep words already copied.
+      const VocabPack = require('../models/VocabPack');
+      await VocabPack.findByIdAndUpdate(report.reportId, { isActive: false }).catch(() => {});
     }
     // No-op for type === 'profile' (handle via user_warned / user_banned instead).
   }
@@ -360,8 +364,9 @@ exports.dismissReport = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * @desc    Restore a reel that was auto-hidden pending review (Workstream G).
- *          Clears hiddenPendingReview on the reported moment and resolves
+ * @desc    Restore a reel (Workstream G) or community vocab pack that was
+ *          auto-hidden pending review. Clears hiddenPendingReview on the
+ *          reported item and resolves
  *          the report as no_violation, alongside the existing remove/ban
  *          actions (resolveReport).
  * @route   PUT /api/v1/reports/:id/restore
@@ -378,6 +383,9 @@ exports.restoreReport = asyncHandler(async (req, res, next) => {
 
   if (report.type === 'moment') {
     await Moment.updateOne({ _id: report.reportId }, { $set: { hiddenPendingReview: false } });
+  } else if (report.type === 'vocab_pack') {
+    const VocabPack = require('../models/VocabPack');
+    await VocabPack.updateOne({ _id: report.reportId }, { $set: { hiddenPendingReview: false } });
   }
 
   await report.resolve(req.user.id, 'no_violation', notes || 'Restored by admin');
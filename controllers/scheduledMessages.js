@@ -0,0 +1,72 @@
+const asyncHandler = require('../middleware/async');
+const scheduledMessageService = require('../services/scheduledMessageService');
+
+/**
+ * @desc    Schedule a direct message for later delivery
+ * @route   POST /api/v1/messages/scheduled
+ * @access  Private
+ */
+exports.createScheduledMessage = asyncHandler(async (req, res, next) => {
+  const { receiver, message, messageType, scheduledFor } = req.body;
+  const sender = req.limitationUser || req.user;
+
+  const scheduled = await scheduledMessageService.scheduleMessage(sender, {
+    receiver,
+    message,
+    messageType,
+    scheduledFor
+  });
+
+  res.status(201).json({
+    success: true,
+    data: scheduled
+  });
+});
+
+/**
+ * @desc    Get my scheduled messages
+ * @route   GET /api/v1/messages/scheduled
+ * @access  Private
+ */
+exports.getScheduledMessages = asyncHandler(async (req, res, next) => {
+  const { status, receiver } = req.query;
+  const scheduled = await scheduledMessageService.listScheduled(req.user._id, { status, receiver });
+
+  res.status(200).json({
+    success: true,
+    count: scheduled.length,
+    data: scheduled
+  });
+});
+
+/**
+ * @desc    Edit the text or time of a scheduled message
+ * @route   PUT /api/v1/messages/scheduled/:id
+ * @access  Private
+ */
+exports.updateScheduledMessage = asyncHandler(async (req, res, next) => {
+  const { message, scheduledFor } = req.body;
+  const scheduled = await scheduledMessageService.updateScheduled(req.user._id, req.params.id, {
+    message,
+    scheduledFor
+  });
+
+  res.status(200).json({
+    success: true,
+    data: scheduled
+  });
+});
+
+/**
+ * @desc    Cancel a scheduled message
+ * @route   DELETE /api/v1/messages/scheduled/:id
+ * @access  Private
+ */
+exports.cancelScheduledMessage = asyncHandler(async (req, res, next) => {
+  const scheduled = await scheduledMessageService.cancelScheduled(req.user._id, req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: scheduled
+  });
+});
@@ -1,6 +1,7 @@
 const asyncHandler = require('../middleware/async');
 const ErrorResponse = require('../utils/errorResponse');
 const speechService = require('../services/speechService');
+const { toIso } = require('../utils/languageCodes');
 
 /**
  * @desc    Generate text-to-speech audio
@@ -126,6 +127,7 @@ exports.evaluatePronunciation = asyncHandler(async (req, res, next) => {
     audioFile: req.file,
     targetText,
     language,
+    nativeLanguage: toIso(req.user.native_language),
     userId,
     context: {
       source,
@@ -0,0 +1,145 @@
+const asyncHandler = require('../middleware/async');
+const stickerService = require('../services/stickerService');
+
+/**
+ * @desc    Sticker store: active packs with price and whether the caller can use them
+ * @route   GET /api/v1/stickers/packs?kind=sticker|gif
+ * @access  Private
+ */
+exports.getPacks = asyncHandler(async (req, res, next) => {
+  const packs = await stickerService.listPacks(req.user, req.query);
+
+  res.status(200).json({
+    success: true,
+    count: packs.length,
+    data: packs
+  });
+});
+
+/**
+ * @desc    One pack with its stickers
+ * @route   GET /api/v1/stickers/packs/:id
+ * @access  Private
+ */
+exports.getPack = asyncHandler(async (req, res, next) => {
+  const pack = await stickerService.getPack(req.params.id, req.user);
+
+  res.status(200).json({
+    success: true,
+    data: pack
+  });
+});
+
+/**
+ * @desc    Buy a coin pack (idempotent: a pack already owned is not charged again)
+ * @route   POST /api/v1/stickers/packs/:id/unlock
+ * @access  Private (regular+)
+ */
+exports.unlockPack = asyncHandler(async (req, res, next) => {
+  const { pack, alreadyOwned, balance } = await stickerService.unlockPack(req.params.id, req.user);
+
+  res.status(200).json({
+    success: true,
+    alreadyOwned,
+    balance,
+    data: pack
+  });
+});
+
+/**
+ * @desc    The caller's usable packs, recent and favorite stickers
+ * @route   GET /api/v1/stickers/mine
+ * @access  Private
+ */
+exports.getMyStickers = asyncHandler(async (req, res, next) => {
+  const library = await stickerService.getLibrary(req.user);
+
+  res.status(200).json({
+    success: true,
+    data: library
+  });
+});
+
+/**
+ * @desc    Favorite a sticker
+ * @route   POST /api/v1/stickers/favorites
+ * @access  Private
+ */
+exports.addFavorite = asyncHandler(async (req, res, next) => {
+  const library = await stickerService.addFavorite(req.user, req.body);
+
+  res.status(200).json({
+    success: true,
+    data: library
+  });
+});
+
+/**
+ * @desc    Unfavorite a sticker
+ * @route   DELETE /api/v1/stickers/favorites/:stickerId
+ * @access  Private
+ */
+exports.removeFavorite = asyncHandler(async (req, res, next) => {
+  const library = await stickerService.removeFavorite(req.user, req.params.stickerId);
+
+  res.status(200).json({
+    success: true,
+    data: library
+  });
+});
+
+/**
+ * @desc    Create a sticker or GIF pack
+ * @route   POST /api/v1/stickers/admin/packs
+ * @access  Private (admin)
+ */
+exports.createPack = asyncHandler(async (req, res, next) => {
+  const pack = await stickerService.createPack(req.user._id, req.body);
+
+  res.status(201).json({
+    success: true,
+    data: pack
+  });
+});
+
+/**
+ * @desc    Edit a pack (name, access, price tier, order, active)
+ * @route   PUT /api/v1/stickers/admin/packs/:id
+ * @access  Private (admin)
+ */
+exports.updatePack = asyncHandler(async (req, res, next) => {
+  const pack = await stickerService.updatePack(req.params.id, req.user._id, req.body);
+
+  res.status(200).json({
+    success: true,
+    data: pack
+  });
+});
+
+/**
+ * @desc    Upload stickers to a pack (multipart field `stickers`)
+ * @route   POST /api/v1/stickers/admin/packs/:id/stickers
+ * @access  Private (admin)
+ */
+exports.uploadStickers = asyncHandler(async (req, res, next) => {
+  const pack = await stickerService.uploadStickers(req.params.id, req.user._id, req.files, req.body);
+
+  res.status(201).json({
+    success: true,
+    data: pack
+  });
+});
+
+/**
+ * @desc    Remove a sticker from a pack
+ * @route   DELETE /api/v1/stickers/admin/packs/:id/stickers/:stickerId
+ * @access  Private (admin)
+ */
+exports.removeSticker = asyncHandler(async (req, res, next) => {
+  const pack = await stickerService.removeSticker(req.params.id, req.params.stickerId, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: pack
+  });
+});
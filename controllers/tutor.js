@@ -10,9 +10,13 @@ const tutorStoryService = require('../services/tutorStoryService');
 const tutorImageVocabService = require('../services/tutorImageVocabService');
 const speechService  = require('../services/speechService');
 const aiProvider     = require('../services/aiProviderService');
-const { score: scorePronunciation } = require('../services/pronunciationScoring');
+const { score: scorePronunciation, attemptBreakdown } = require('../services/pronunciationScoring');
+const PronunciationAttempt = require('../models/PronunciationAttempt');
+const { toIso } = require('../utils/languageCodes');
 const learningTrackingService = require('../services/learningTrackingService');
 const { xpForChip } = require('../lib/tutorXp');
+const tutorStreamService = require('../services/tutorStreamService');
+const { wantsEventStream, openEventStream } = require('../utils/sse');
 
 const VALID_PERSONAS = ['nana', 'sensei', 'riko'];
 
@@ -27,6 +31,31 @@ const awardChipXp = (userId, chip, opts = {}) => {
   }
 };
 
+// Run a streamed reply behind an SSE response. The stream opens on the first
+// event, so errors thrown before that (validation, 404s) still reach the
+// normal JSON error handler; later ones become an `error` event.
+const runEventStream = async (res, work) => {
+  let stream = null;
+  const open = () => {
+    if (!stream) stream = openEventStream(res);
+    return stream;
+  };
+  try {
+    await work(open);
+  } catch (e) {
+    if (!stream) throw e;
+    console.error('[tutor.stream] failed:', e.message);
+    stream.send('error', { message: e.message || 'Streaming failed', statusCode: e.statusCode || 500 });
+  }
+  if (stream) stream.end();
+};
+
+// A session whose opening turn was refused (AI budget) holds nothing worth
+// keeping; drop it so the refusal doesn't leave an empty chat behind.
+const discardRefusedSession = async (session, e) => {
+  if (e instanceof ErrorResponse) await AITutorSession.deleteOne({ _id: session._id });
+};
+
 /**
  * Ensure a TutorMemory exists for the user; lazy-create with profile defaults
  * pulled from User. Returns the memory doc.
@@ -195,6 +224,7 @@ exports.getSession = asyncHandler(async (req, res, next) => {
  * @route   POST /api/v1/tutor/sessions
  * @desc    Start a new chat session; AI generates an opening greeting
  *          flavored by the user's persona and last-chat summary.
+ *          Streams the greeting as SSE like sendMessage; done { session }.
  * @access  Private
  */
 exports.startSession = asyncHandler(async (req, res, next) => {
@@ -219,10 +249,33 @@ exports.startSession = asyncHandler(async (req, res, next) => {
     messageType: 'text',
   }];
 
+  if (wantsEventStream(req)) {
+    return runEventStream(res, async (open) => {
+      try {
+        await tutorStreamService.streamAssistantReply(session, {
+          systemPrompt,
+          history: openingHistory,
+          userId: req.user._id,
+          fallbackContent: "Hey there — what would you like to work on today?",
+          onStart: (msg) => open().send('start', { sessionId: session._id, messageId: msg._id }),
+          onDelta: (change) => open().send('delta', change),
+        });
+      } catch (e) {
+        await discardRefusedSession(session, e);
+        throw e;
+      }
+      open().send('done', { session });
+    });
+  }
+
   let rawReply;
   try {
-    rawReply = await tutorService.callTutorModel(systemPrompt, openingHistory);
+    rawReply = await tutorService.callTutorModel(systemPrompt, openingHistory, { userId: req.user._id });
   } catch (e) {
+    if (e instanceof ErrorResponse) {
+      await discardRefusedSession(session, e);
+      throw e;
+    }
     console.error('[tutor.startSession] AI call failed:', e.message);
     rawReply = JSON.stringify({ type: 'text', content: "Hey there — what would you like to work on today?" });
   }
@@ -242,38 +295,41 @@ exports.startSession = asyncHandler(async (req, res, next) => {
 /**
  * @route   POST /api/v1/tutor/sessions/:id/message
  * @desc    User sends a message; AI replies (may be a card).
+ *          With `Accept: text/event-stream` (or ?stream=1) the reply is
+ *          streamed as SSE: start { sessionId, messageId }, delta
+ *          { delta, replace }, done { message, sessionId, quotas }.
  * @body    { content: string }
  * @access  Private (owner only)
  */
 exports.sendMessage = asyncHandler(async (req, res, next) => {
-  const { content } = req.body || {};
-  if (!content || typeof content !== 'string' || !content.trim()) {
-    return next(new ErrorResponse('Message content is required', 400));
-  }
-
-  const session = await AITutorSession.findById(req.params.id);
-  if (!session) return next(new ErrorResponse('Session not found', 404));
-  if (session.user.toString() !== req.user._id.toString()) {
-    return next(new ErrorResponse('Not authorized', 403));
-  }
-  if (session.endedAt) {
-    return next(new ErrorResponse('Session has ended; start a new one', 409));
+  if (wantsEventStream(req)) {
+    return runEventStream(res, async (open) => {
+      const { session, message } = await tutorStreamService.streamSessionTurn({
+        sessionId: req.params.id,
+        userId: req.user._id,
+        content: req.body?.content,
+        loadMemory: ensureMemory,
+        onStart: (msg) => open().send('start', { sessionId: req.params.id, messageId: msg._id }),
+        onDelta: (change) => open().send('delta', change),
+      });
+      open().send('done', {
+        message,
+        sessionId: session._id,
+        quotas: req.tutorQuotaResult?.snapshot || null,
+      });
+    });
   }
 
-  // Persist the user message FIRST so we never lose input on an AI failure.
-  session.messages.push({ role: 'user', content: content.trim(), messageType: 'text' });
-  await session.save();
-
-  const mem = await ensureMemory(req.user._id);
-  const user = await User.findById(req.user._id).select('name').lean();
-  const scenario = session.mode === 'roleplay' && session.scenarioId
-    ? scenarios.findById(session.scenarioId)
-    : null;
-  const systemPrompt = tutorService.buildSystemPrompt(mem, user || { name: 'Friend' }, { scenario });
+  const { session, systemPrompt, scenario } = await tutorStreamService.prepareSessionTurn({
+    sessionId: req.params.id,
+    userId: req.user._id,
+    content: req.body?.content,
+    loadMemory: ensureMemory,
+  });
 
   let parsed;
   try {
-    const rawReply = await tutorService.callTutorModel(systemPrompt, session.messages);
+    const rawReply = await tutorService.callTutorModel(systemPrompt, session.messages, { userId: req.user._id });
     parsed = tutorService.parseTutorReply(rawReply);
     // In roleplay mode, force text-only — we don't want quiz cards
     // breaking character.
@@ -281,48 +337,16 @@ exports.sendMessage = asyncHandler(async (req, res, next) => {
       parsed = { messageType: 'text', content: parsed.content || '', payload: null };
     }
   } catch (e) {
+    if (e instanceof ErrorResponse) throw e;
     console.error('[tutor.sendMessage] AI call failed:', e.message);
-    parsed = { messageType: 'text', content: "I'm having a moment — try again in a sec?", payload: null };
+    parsed = { messageType: 'text', content: tutorStreamService.FALLBACK_REPLY, payload: null };
   }
 
-  // Step 18: when the AI teaches a word, auto-queue it into the SRS vocabulary.
-  // We set payload.queued so the Flutter VocabCard starts in "Added ✓" state.
   if (parsed.messageType === 'vocab_card' && parsed.payload?.word) {
-    const word = String(parsed.payload.word).trim();
-    if (word) {
-      const targetLang = parsed.payload.language || req.user?.language_to_learn || 'en';
-      const nativeLang = req.user?.native_language || 'en';
-      const example = parsed.payload.example
-        ? String(parsed.payload.example).slice(0, 500)
-        : undefined;
-      const now = new Date();
-      try {
-        await Vocabulary.findOneAndUpdate(
-          { user: req.user._id, word },
-          {
-            $setOnInsert: {
-              user: req.user._id,
-              word,
-              translation: String(parsed.payload.definition || '').slice(0, 500),
-              language: targetLang,
-              nativeLanguage: nativeLang,
-              partOfSpeech: 'other',
-              context: { source: 'conversation', ...(example ? { example } : {}) },
-              srsLevel: 0,
-              easeFactor: 2.5,
-              interval: 0,
-              nextReview: now,
-              isArchived: false,
-              isMastered: false,
-            },
-          },
-          { upsert: true, new: false }
-        );
-        parsed.payload.queued = true;
-      } catch (err) {
-        console.error('[tutor.sendMessage] vocab_card → Vocabulary failed:', err.message);
-      }
-    }
+    await tutorService.queueVocabCard(req.user._id, parsed.payload, {
+      targetLang: req.user?.language_to_learn || 'en',
+      nativeLang: req.user?.native_language || 'en',
+    });
   }
 
   const aiMsg = {
@@ -342,6 +366,33 @@ exports.sendMessage = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * @route   GET /api/v1/tutor/sessions/:id/messages/:messageId/stream
+ * @desc    Resume a streamed reply after a reconnect (SSE). Sends the text
+ *          past ?from=<chars already received> as one delta, then the rest
+ *          live; done carries the final message, whose status is
+ *          'complete' or 'interrupted'.
+ * @access  Private (owner only)
+ */
+exports.resumeMessageStream = asyncHandler(async (req, res) => {
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  return runEventStream(res, async (open) => {
+    const message = await tutorStreamService.followMessage({
+      sessionId: req.params.id,
+      userId: req.user._id,
+      messageId: req.params.messageId,
+      from: req.query.from,
+      onDelta: (change) => open().send('delta', change),
+      signal: controller.signal,
+    });
+    if (message) {
+      open().send('done', { message, sessionId: req.params.id });
+    }
+  });
+});
+
 /**
  * @route   POST /api/v1/tutor/sessions/:id/end
  * @desc    End session, generate ≤30-word summary, push it to TutorMemory.
@@ -548,6 +599,9 @@ exports.imageVocabGrade = asyncHandler(async (req, res, next) => {
  * @route   POST /api/v1/tutor/stories/generate
  * @desc    Generate a short story at the user's level using N words from
  *          their vocab list. Stateless — not persisted.
+ *          With `Accept: text/event-stream` (or ?stream=1) streams SSE:
+ *          progress { title, paragraphs: [{ text }] }, done { story, quotas }.
+ *          Nothing is saved, so a dropped story stream is regenerated, not resumed.
  * @body    { wordCount?: number (3-15), theme?: string }
  * @access  Private
  */
@@ -557,6 +611,24 @@ exports.generateStory = asyncHandler(async (req, res, next) => {
     ? req.body.theme
     : 'free';
 
+  if (wantsEventStream(req)) {
+    const stream = openEventStream(res);
+    try {
+      const story = await tutorStoryService.generateStory({
+        userId: req.user._id,
+        wordCount,
+        theme,
+        onProgress: (preview) => stream.send('progress', preview),
+      });
+      awardChipXp(req.user._id, 'story'); // H2
+      stream.send('done', { story, quotas: req.tutorQuotaResult?.snapshot || null });
+    } catch (e) {
+      console.error('[tutor.generateStory] failed:', e.message);
+      stream.send('error', { message: e.message || 'Could not generate a story' });
+    }
+    return stream.end();
+  }
+
   try {
     const story = await tutorStoryService.generateStory({
       userId: req.user._id,
@@ -601,7 +673,8 @@ exports.listScenarios = asyncHandler(async (req, res) => {
 
 /**
  * @route   POST /api/v1/tutor/sessions/roleplay
- * @desc    Start a roleplay session with a specific scenario
+ * @desc    Start a roleplay session with a specific scenario. The opening
+ *          line streams as SSE like sendMessage; done { session, quotas }.
  * @body    { scenarioId: string }
  * @access  Private
  */
@@ -634,10 +707,34 @@ exports.startRoleplaySession = asyncHandler(async (req, res, next) => {
     messageType: 'text',
   }];
 
+  if (wantsEventStream(req)) {
+    return runEventStream(res, async (open) => {
+      try {
+        await tutorStreamService.streamAssistantReply(session, {
+          systemPrompt,
+          history: openingHistory,
+          userId: req.user._id,
+          textOnly: true,
+          fallbackContent: 'Hello! How can I help you today?',
+          onStart: (msg) => open().send('start', { sessionId: session._id, messageId: msg._id }),
+          onDelta: (change) => open().send('delta', change),
+        });
+      } catch (e) {
+        await discardRefusedSession(session, e);
+        throw e;
+      }
+      open().send('done', { session, quotas: req.tutorQuotaResult?.snapshot || null });
+    });
+  }
+
   let rawReply;
   try {
-    rawReply = await tutorService.callTutorModel(systemPrompt, openingHistory);
+    rawReply = await tutorService.callTutorModel(systemPrompt, openingHistory, { userId: req.user._id });
   } catch (e) {
+    if (e instanceof ErrorResponse) {
+      await discardRefusedSession(session, e);
+      throw e;
+    }
     console.error('[tutor.startRoleplay] AI call failed:', e.message);
     rawReply = JSON.stringify({ type: 'text', content: 'Hello! How can I help you today?' });
   }
@@ -693,6 +790,7 @@ exports.generatePronunciationSentence = asyncHandler(async (req, res, next) => {
     let response;
     try {
       response = await aiProvider.chatCompletion({
+        userId: req.user._id,
         messages: [
           { role: 'system', content: systemPrompt },
           { role: 'user',   content: userPrompt },
@@ -735,13 +833,18 @@ exports.generatePronunciationSentence = asyncHandler(async (req, res, next) => {
 
 /**
  * @route   POST /api/v1/tutor/pronunciation/score
- * @desc    Score a recorded attempt against the target sentence.
- * @body    multipart: audio (file) + targetSentence (string)
+ * @desc    Score a recorded attempt against the target sentence, word by
+ *          word and phoneme by phoneme. The breakdown (not the recording)
+ *          is kept as a PronunciationAttempt for /speech/pronunciation/stats.
+ * @body    multipart: audio (file) + targetSentence (string) + language
+ *          (optional, defaults to the user's language_to_learn)
  * @access  Private
  */
 exports.scorePronunciationAttempt = asyncHandler(async (req, res, next) => {
   const file = req.file;
   const { targetSentence } = req.body || {};
+  const language = toIso(req.body?.language) || toIso(req.user.language_to_learn);
+  const nativeLanguage = toIso(req.user.native_language);
   if (!file) return next(new ErrorResponse('audio file is required', 400));
   if (!targetSentence || typeof targetSentence !== 'string') {
     return next(new ErrorResponse('targetSentence is required', 400));
@@ -759,7 +862,22 @@ exports.scorePronunciationAttempt = asyncHandler(async (req, res, next) => {
   }
   const transcript = (transcribed && transcribed.text) || '';
 
-  const result = scorePronunciation(transcript, targetSentence);
+  const result = scorePronunciation(transcript, targetSentence, { language, nativeLanguage });
+
+  if (language) {
+    PronunciationAttempt.create({
+      user: req.user._id,
+      targetText: targetSentence,
+      language,
+      nativeLanguage,
+      transcription: result.transcript,
+      score: { overall: result.overallScore, accuracy: result.accuracy },
+      ...attemptBreakdown(result),
+      context: { source: 'tutor' },
+      duration: transcribed?.duration,
+    }).catch(err => console.error('[tutor.scorePronunciationAttempt] attempt save failed:', err.message));
+  }
+
   res.status(200).json({ success: true, data: result });
 });
 
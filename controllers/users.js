@@ -9,6 +9,7 @@ const deleteFromSpaces = require('../utils/deleteFromSpaces');
 const { getBlockedUserIds } = require('../utils/blockingUtils');
 const { validateUsername } = require('../utils/usernameValidation');
 const { usersWithVisibleActiveStory } = require('../lib/activeStoryFlags');
+const aiBudgetService = require('../services/aiBudgetService');
 
 // Field selection for public user data (excludes sensitive fields like email, password)
 const USER_PUBLIC_FIELDS = 'name username bio occupation school images native_language language_to_learn level languageLevel streakDays totalXp createdAt userMode vipSubscription.isActive vipSubscription.plan location gender birth_year birth_month birth_day followers following mbti bloodType topics privacySettings isOnline lastActive';
@@ -557,7 +558,7 @@ exports.updateUser = asyncHandler(async (req, res, next) => {
   // Filter out sensitive fields that users cannot update themselves.
   // birthDateChangesAt is a server-managed audit trail — clients can never
   // write it directly (we append to it ourselves below when birth changes).
-  const restrictedFields = ['role', 'userMode', 'vipSubscription', 'fcmTokens', 'password', 'email', 'birthDateChangesAt'];
+  const restrictedFields = ['role', 'userMode', 'vipSubscription', 'fcmTokens', 'webPushSubscriptions', 'password', 'email', 'birthDateChangesAt'];
   const updateData = { ...req.body };
 
   // Only admins can update restricted fields
@@ -1329,6 +1330,33 @@ exports.getUserLimits = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc     Get current user's monthly AI budget and what is left of it
+// @route    GET /api/v1/auth/users/me/ai-budget
+// @access   Private
+exports.getMyAIBudget = asyncHandler(async (req, res, next) => {
+  const budget = await aiBudgetService.getBudgetStatus(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      tier: budget.tier,
+      period: budget.period,
+      resetsAt: budget.resetsAt,
+      // 'ok' | 'degraded' (served by cheaper models) | 'blocked'
+      status: budget.status,
+      enforced: budget.enabled,
+      onExceeded: budget.onExceeded,
+      unlimited: budget.unlimited,
+      limits: budget.limits,
+      used: budget.used,
+      remaining: budget.remaining,
+      percentUsed: budget.percentUsed,
+      calls: budget.calls,
+      degradedCalls: budget.degradedCalls
+    }
+  });
+});
+
 // @desc    Check whether a username is available for registration
 // @route   GET /api/v1/users/check-username?value=<username>
 // @access  Public (rate-limited via generalLimiter)
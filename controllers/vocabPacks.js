@@ -0,0 +1,400 @@
+const asyncHandler = require('../middleware/async');
+const ErrorResponse = require('../utils/errorResponse');
+const VocabPack = require('../models/VocabPack');
+const VocabPackSubscription = require('../models/VocabPackSubscription');
+const Vocabulary = require('../models/Vocabulary');
+const Report = require('../models/Report');
+const LearningProgress = require('../models/LearningProgress');
+const learningTrackingService = require('../services/learningTrackingService');
+const vocabPackService = require('../services/vocabPackService');
+const { logSecurityEvent } = require('../utils/securityLogger');
+const { shouldAutoHide } = require('../lib/reelsFeed');
+const {
+  PACK_LEVELS,
+  PACK_VISIBILITIES,
+  MAX_WORDS_PER_PACK,
+  MAX_PACKS_PER_USER,
+  isPackOwner,
+  canViewPack,
+  canSubscribe,
+  vocabularyToPackWord,
+  mergePackWords,
+  normalizePackTags,
+} = require('../lib/vocabPackAccess');
+
+// ===================== USER-AUTHORED VOCAB PACKS =====================
+
+const OWNER_FIELDS = 'name username images imageUrls';
+
+/**
+ * Resolve `vocabularyIds` against the caller's own, non-archived Vocabulary.
+ */
+const loadOwnWords = async (userId, vocabularyIds) => {
+  if (!Array.isArray(vocabularyIds) || vocabularyIds.length === 0) return [];
+  const vocab = await Vocabulary.find({
+    _id: { $in: vocabularyIds.slice(0, MAX_WORDS_PER_PACK) },
+    user: userId,
+    isArchived: false,
+  })
+    .select('word translation notes examples')
+    .lean();
+  return vocab.map(vocabularyToPackWord);
+};
+
+/**
+ * @desc    Create a vocab pack from the caller's Vocabulary entries
+ * @route   POST /api/v1/learning/vocab-packs
+ * @access  Private
+ * @body    { topic, description?, language, level, tags?, visibility?, vocabularyIds[] }
+ */
+exports.createVocabPack = asyncHandler(async (req, res, next) => {
+  const userId = req.user.id;
+  const { topic, description, language, level, tags, visibility = 'private', vocabularyIds } = req.body;
+
+  if (!topic || !String(topic).trim()) {
+    return next(new ErrorResponse('topic is required', 400));
+  }
+  if (!language) {
+    return next(new ErrorResponse('language is required', 400));
+  }
+  if (!PACK_LEVELS.includes(level)) {
+    return next(new ErrorResponse(`level must be one of ${PACK_LEVELS.join(', ')}`, 400));
+  }
+  if (!PACK_VISIBILITIES.includes(visibility)) {
+    return next(new ErrorResponse(`visibility must be one of ${PACK_VISIBILITIES.join(', ')}`, 400));
+  }
+
+  const ownedCount = await VocabPack.countDocuments({ owner: userId, isActive: true });
+  if (ownedCount >= MAX_PACKS_PER_USER) {
+    return next(new ErrorResponse(`You can have at most ${MAX_PACKS_PER_USER} packs`, 429));
+  }
+
+  const { words } = mergePackWords([], await loadOwnWords(userId, vocabularyIds));
+  if (words.length === 0) {
+    return next(new ErrorResponse('Add at least one word from your vocabulary', 400));
+  }
+
+  const pack = await VocabPack.create({
+    owner: userId,
+    topic: String(topic).trim(),
+    description,
+    language,
+    level,
+    tags: normalizePackTags(tags),
+    visibility,
+    words,
+    publishedAt: visibility === 'public' ? new Date() : null,
+  });
+
+  res.status(201).json({ success: true, data: pack });
+});
+
+/**
+ * @desc    Packs I own plus packs I subscribe to
+ * @route   GET /api/v1/learning/vocab-packs/mine
+ * @access  Private
+ */
+exports.getMyVocabPacks = asyncHandler(async (req, res, next) => {
+  const userId = req.user.id;
+
+  const [owned, subscriptions] = await Promise.all([
+    VocabPack.find({ owner: userId, isActive: true })
+      .select('-words -exercises')
+      .sort({ updatedAt: -1 })
+      .lean(),
+    VocabPackSubscription.find({ user: userId })
+      .populate({
+        path: 'pack',
+        select: '-words -exercises',
+        populate: { path: 'owner', select: OWNER_FIELDS },
+      })
+      .sort({ createdAt: -1 })
+      .lean(),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      owned,
+      subscribed: subscriptions
+        .filter((s) => s.pack && canViewPack(s.pack, userId))
+        .map((s) => ({ ...s.pack, subscribedAt: s.createdAt })),
+    },
+  });
+});
+
+/**
+ * @desc    Update pack metadata / visibility, or remove words
+ * @route   PUT /api/v1/learning/vocab-packs/:id
+ * @access  Private (owner)
+ * @body    { topic?, description?, language?, level?, tags?, visibility?, removeWords?[] }
+ */
+exports.updateVocabPack = asyncHandler(async (req, res, next) => {
+  const pack = await VocabPack.findOne({ _id: req.params.id, isActive: true });
+  if (!pack || !isPackOwner(pack, req.user.id)) {
+    return next(new ErrorResponse('Vocab pack not found', 404));
+  }
+
+  const { topic, description, language, level, tags, visibility, removeWords } = req.body;
+
+  if (level !== undefined && !PACK_LEVELS.includes(level)) {
+    return next(new ErrorResponse(`level must be one of ${PACK_LEVELS.join(', ')}`, 400));
+  }
+  if (visibility !== undefined && !PACK_VISIBILITIES.includes(visibility)) {
+    return next(new ErrorResponse(`visibility must be one of ${PACK_VISIBILITIES.join(', ')}`, 400));
+  }
+
+  if (topic !== undefined) pack.topic = String(topic).trim();
+  if (description !== undefined) pack.description = description;
+  if (language !== undefined) pack.language = language;
+  if (level !== undefined) pack.level = level;
+  if (tags !== undefined) pack.tags = normalizePackTags(tags);
+  if (visibility !== undefined) {
+    pack.visibility = visibility;
+    if (visibility === 'public' && !pack.publishedAt) pack.publishedAt = new Date();
+  }
+
+  if (Array.isArray(removeWords) && removeWords.length > 0) {
+    // Removal only edits the pack — subscribers keep words they already have.
+    const drop = new Set(removeWords.map((w) => String(w).trim().toLowerCase()));
+    const remaining = pack.words.filter((w) => !drop.has(w.word.trim().toLowerCase()));
+    if (remaining.length === 0) {
+      return next(new ErrorResponse('A pack must contain at least one word', 400));
+    }
+    pack.words = remaining;
+  }
+
+  await pack.save();
+
+  res.status(200).json({ success: true, data: pack });
+});
+
+/**
+ * @desc    Delete (deactivate) a pack I own; subscriptions are dropped
+ * @route   DELETE /api/v1/learning/vocab-packs/:id
+ * @access  Private (owner)
+ */
+exports.deleteVocabPack = asyncHandler(async (req, res, next) => {
+  const pack = await VocabPack.findOne({ _id: req.params.id, isActive: true });
+  if (!pack || !isPackOwner(pack, req.user.id)) {
+    return next(new ErrorResponse('Vocab pack not found', 404));
+  }
+
+  pack.isActive = false;
+  pack.subscriberCount = 0;
+  await pack.save();
+  await VocabPackSubscription.deleteMany({ pack: pack._id });
+
+  res.status(200).json({ success: true, data: {} });
+});
+
+/**
+ * @desc    Add words from my Vocabulary to a pack I own; pushed to subscribers
+ * @route   POST /api/v1/learning/vocab-packs/:id/words
+ * @access  Private (owner)
+ * @body    { vocabularyIds[] }
+ */
+exports.addWordsToVocabPack = asyncHandler(async (req, res, next) => {
+  const userId = req.user.id;
+  const pack = await VocabPack.findOne({ _id: req.params.id, isActive: true });
+  if (!pack || !isPackOwner(pack, userId)) {
+    return next(new ErrorResponse('Vocab pack not found', 404));
+  }
+
+  const incoming = await loadOwnWords(userId, req.body.vocabularyIds);
+  if (incoming.length === 0) {
+    return next(new ErrorResponse('vocabularyIds must reference words in your vocabulary', 400));
+  }
+
+  const { words, added, skipped } = mergePackWords(
+    pack.words.map((w) => (w.toObject ? w.toObject() : w)),
+    incoming
+  );
+  if (added.length > 0) {
+    pack.words = words;
+    await pack.save();
+
+    // Fire-and-forget — popular packs can have many subscribers.
+    vocabPackService.pushWordsToSubscribers(pack, added).catch((err) =>
+      console.error('Vocab pack subscriber push failed:', err.message)
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      packId: pack._id,
+      added: added.length,
+      skipped,
+      totalWords: pack.words.length,
+    },
+  });
+});
+
+/**
+ * @desc    Clone a visible pack into a new private pack I own
+ * @route   POST /api/v1/learning/vocab-packs/:id/fork
+ * @access  Private
+ */
+exports.forkVocabPack = asyncHandler(async (req, res, next) => {
+  const userId = req.user.id;
+  const source = await VocabPack.findById(req.params.id).lean();
+  if (!canViewPack(source, userId)) {
+    return next(new ErrorResponse('Vocab pack not found', 404));
+  }
+
+  const ownedCount = await VocabPack.countDocuments({ owner: userId, isActive: true });
+  if (ownedCount >= MAX_PACKS_PER_USER) {
+    return next(new ErrorResponse(`You can have at most ${MAX_PACKS_PER_USER} packs`, 429));
+  }
+
+  // (level, topic, language, owner) is unique — suffix the copy on collision.
+  let topic = source.topic;
+  const clash = await VocabPack.exists({ owner: userId, level: source.level, topic, language: source.language });
+  if (clash) topic = `${source.topic} (copy ${Date.now().toString(36)})`.slice(0, 100);
+
+  const fork = await VocabPack.create({
+    owner: userId,
+    topic,
+    description: source.description,
+    language: source.language,
+    level: source.level,
+    tags: source.tags || [],
+    visibility: 'private',
+    words: source.words,
+    exercises: source.exercises || [],
+    forkedFrom: source._id,
+  });
+
+  if (!isPackOwner(source, userId)) {
+    await VocabPack.updateOne({ _id: source._id }, { $inc: { forkCount: 1 } });
+  }
+
+  res.status(201).json({ success: true, data: fork });
+});
+
+/**
+ * @desc    Subscribe to a pack: copy its words now and receive future additions
+ * @route   POST /api/v1/learning/vocab-packs/:id/subscribe
+ * @access  Private
+ */
+exports.subscribeVocabPack = asyncHandler(async (req, res, next) => {
+  const userId = req.user.id;
+  const pack = await VocabPack.findById(req.params.id).lean();
+  const allowed = canSubscribe(pack, userId);
+  if (allowed.error) {
+    return next(new ErrorResponse(allowed.error, allowed.status));
+  }
+
+  const result = await VocabPackSubscription.updateOne(
+    { user: userId, pack: pack._id },
+    { $setOnInsert: { user: userId, pack: pack._id, lastSyncedAt: new Date() } },
+    { upsert: true }
+  );
+  const isNew = (result.upsertedCount || 0) > 0;
+  if (isNew) {
+    await VocabPack.updateOne({ _id: pack._id }, { $inc: { subscriberCount: 1 } });
+  }
+
+  const { added, overLimit } = await vocabPackService.addPackWordsToUser(userId, pack);
+  if (added > 0) {
+    await learningTrackingService.awardXP(userId, added * 2, 'add_vocab_pack');
+    await LearningProgress.updateOne(
+      { user: userId },
+      { $inc: { 'stats.vocabularyAdded': added } }
+    );
+  }
+
+  res.status(isNew ? 201 : 200).json({
+    success: true,
+    data: {
+      packId: pack._id,
+      subscribed: true,
+      added,
+      alreadyHad: pack.words.length - added - overLimit,
+      // Words left out because the vocabularyLimit was reached
+      overLimit,
+    },
+  });
+});
+
+/**
+ * @desc    Unsubscribe from a pack (words already added are kept)
+ * @route   DELETE /api/v1/learning/vocab-packs/:id/subscribe
+ * @access  Private
+ */
+exports.unsubscribeVocabPack = asyncHandler(async (req, res, next) => {
+  const result = await VocabPackSubscription.deleteOne({ user: req.user.id, pack: req.params.id });
+  if (result.deletedCount > 0) {
+    await VocabPack.updateOne(
+      { _id: req.params.id, subscriberCount: { $gt: 0 } },
+      { $inc: { subscriberCount: -1 } }
+    );
+  }
+
+  res.status(200).json({ success: true, data: { packId: req.params.id, subscribed: false } });
+});
+
+/**
+ * @desc    Report a user-authored pack (files a Report of type vocab_pack)
+ * @route   POST /api/v1/learning/vocab-packs/:id/report
+ * @access  Private
+ * @body    { reason, description? }
+ */
+exports.reportVocabPack = asyncHandler(async (req, res, next) => {
+  const userId = req.user.id;
+  const { reason, description } = req.body;
+
+  const pack = await VocabPack.findById(req.params.id).select('owner visibility isActive hiddenPendingReview').lean();
+  if (!pack || !pack.owner || !canViewPack(pack, userId)) {
+    return next(new ErrorResponse('Vocab pack not found', 404));
+  }
+  if (isPackOwner(pack, userId)) {
+    return next(new ErrorResponse('You cannot report your own pack', 400));
+  }
+  if (!reason) {
+    return next(new ErrorResponse('Please provide a reason', 400));
+  }
+
+  let report;
+  try {
+    report = await Report.create({
+      type: 'vocab_pack',
+      reportId: pack._id,
+      reportedBy: userId,
+      reportedUser: pack.owner,
+      reason,
+      description,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(new ErrorResponse('You have already reported this content. Please wait for moderation.', 400));
+    }
+    throw error;
+  }
+
+  logSecurityEvent('CONTENT_REPORTED', {
+    reportId: report._id,
+    type: 'vocab_pack',
+    reportedBy: userId,
+    reportedUser: pack.owner,
+    reason,
+  });
+
+  // Same distinct-reporter threshold as reels: hide from community listings
+  // until a moderator resolves or restores. Non-blocking.
+  try {
+    const reportCount = await Report.countDocuments({ type: 'vocab_pack', reportId: pack._id });
+    if (shouldAutoHide(reportCount)) {
+      await VocabPack.updateOne({ _id: pack._id }, { $set: { hiddenPendingReview: true } });
+    }
+  } catch (err) {
+    console.error('Vocab pack auto-hide check failed (non-blocking):', err.message);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Report submitted successfully. We will review it within 24 hours.',
+    data: report,
+  });
+});
@@ -9,6 +9,8 @@ const ChallengeProgress = require('../models/ChallengeProgress');
 const User = require('../models/User');
 const { calculateLevel } = require('../config/xpRewards');
 const learningTrackingService = require('../services/learningTrackingService');
+const deliveryTimeService = require('../services/deliveryTimeService');
+const { localDateKey, DEFAULT_TIMEZONE } = require('../lib/deliveryTime');
 
 /**
  * Check and reset broken streaks
@@ -250,132 +252,151 @@ const updateLeaderboardRankings = async () => {
 };
 
 /**
- * Send tiered vocabulary review reminders.
+ * Plan tiered vocabulary review reminders.
  * Replaces the old 5+-word static-copy version.
- * Sends to all users with ≥1 due word; copy is tiered (1 / 2–5 / 6+).
+ * Plans one for every user with ≥1 due word, sent at their own best time
+ * (services/deliveryTimeService.js); the tiered copy (1 / 2–5 / 6+) is
+ * built from their due words when it goes out.
  */
 const sendSrsReviewReminders = async () => {
-  console.log('[LearningJobs] Sending SRS review reminders...');
+  console.log('[LearningJobs] Planning SRS review reminders...');
 
   try {
     const Vocabulary = require('../models/Vocabulary');
-    const notificationService = require('../services/notificationService');
-    const templates = require('../utils/notificationTemplates');
 
     const now = new Date();
 
-    // Aggregate: users with due words + count + top (oldest) due word
-    const usersWithDueWords = await Vocabulary.aggregate([
-      {
-        $match: {
-          nextReview: { $lte: now },
-          isArchived: false,
-          isMastered: false,
-        },
-      },
-      { $sort: { nextReview: 1 } },
-      {
-        $group: {
-          _id: '$user',
-          dueCount: { $sum: 1 },
-          topWord: { $first: '$word' },
-        },
-      },
-      { $match: { dueCount: { $gte: 1 } } },
-    ]);
+    const dueUserIds = await Vocabulary.distinct('user', {
+      nextReview: { $lte: now },
+      isArchived: false,
+      isMastered: false,
+    });
 
-    if (usersWithDueWords.length === 0) {
+    if (dueUserIds.length === 0) {
       console.log('[LearningJobs] No users have due words.');
       return;
     }
 
     // Filter to users who have reminders enabled and at least one FCM token
     const eligibleUsers = await User.find({
-      _id: { $in: usersWithDueWords.map(u => u._id) },
+      _id: { $in: dueUserIds },
       'notificationSettings.vocabularyReviewReminders': true,
       'fcmTokens.0': { $exists: true },
     }).select('_id');
 
-    const eligibleSet = new Set(eligibleUsers.map(u => u._id.toString()));
-    let sent = 0;
-    let skipped = 0;
-
-    for (const due of usersWithDueWords) {
-      if (!eligibleSet.has(due._id.toString())) {
-        skipped++;
-        continue;
-      }
-      const notification = templates.getSrsReviewTemplate(due.dueCount, due.topWord);
-      // Task 2 (Workstream E-core) — send as 'srs_review' (dedicated gate on
-      // vocabularyReviewReminders), not 'system' (was gated on marketing).
-      await notificationService.send(due._id, 'srs_review', notification);
-      sent++;
-    }
+    const { planned } = await deliveryTimeService.planSends(
+      'srs_review',
+      eligibleUsers.map(u => u._id),
+      { now }
+    );
 
-    console.log(`[LearningJobs] SRS reminders: sent ${sent}, skipped ${skipped}`);
+    console.log(`[LearningJobs] SRS reminders: planned ${planned}, skipped ${dueUserIds.length - eligibleUsers.length}`);
   } catch (error) {
     console.error('[LearningJobs] sendSrsReviewReminders error:', error);
   }
 };
 
 /**
- * Send streak reminder notifications
- * Should run at 8 PM
+ * Send one planned SRS review reminder for the words due now
+ * @param {string|ObjectId} userId
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<boolean>} whether it was sent
+ */
+const sendSrsReviewReminderTo = async (userId, { now = new Date() } = {}) => {
+  const Vocabulary = require('../models/Vocabulary');
+  const notificationService = require('../services/notificationService');
+  const templates = require('../utils/notificationTemplates');
+
+  const due = { user: userId, nextReview: { $lte: now }, isArchived: false, isMastered: false };
+  const [dueCount, topWord] = await Promise.all([
+    Vocabulary.countDocuments(due),
+    Vocabulary.findOne(due).sort({ nextReview: 1 }).select('word').lean(),
+  ]);
+  if (!dueCount || !topWord) return false;
+
+  const notification = templates.getSrsReviewTemplate(dueCount, topWord.word);
+  // Task 2 (Workstream E-core) — send as 'srs_review' (dedicated gate on
+  // vocabularyReviewReminders), not 'system' (was gated on marketing).
+  const result = await notificationService.send(userId, 'srs_review', notification);
+  return Boolean(result.success && !result.skipped);
+};
+
+/**
+ * Plan streak reminders for users with a streak going, each at their own
+ * best time. Whether they have already been active today (in their
+ * timezone) is checked when it goes out.
  */
 const sendStreakReminders = async () => {
-  console.log('[LearningJobs] Checking for streak reminders...');
+  console.log('[LearningJobs] Planning streak reminders...');
 
   try {
-    const notificationService = require('../services/notificationService');
-
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-
-    // Find users who haven't been active today but have a streak
-    const usersAtRisk = await LearningProgress.find({
-      currentStreak: { $gt: 0 },
-      $or: [
-        { lastActivityDate: { $lt: today } },
-        { lastActivityDate: null }
-      ]
-    }).select('user currentStreak');
+    const withStreak = await LearningProgress.find({
+      currentStreak: { $gt: 0 }
+    }).select('user');
 
     // Cheap pre-filter on notificationSettings.streakReminders (Task 2,
     // reviewer C2 option a) — the authoritative gate now lives in
     // notificationService._shouldSendNotification's 'streak_reminder' case,
-    // this query filter just avoids fetching users who are already excluded.
+    // this query filter just avoids planning users who are already excluded.
     const usersToNotify = await User.find({
-      _id: { $in: usersAtRisk.map(u => u.user) },
+      _id: { $in: withStreak.map(p => p.user) },
       'notificationSettings.streakReminders': true,
       'fcmTokens.0': { $exists: true }
-    }).select('_id fcmTokens');
-
-    let sent = 0;
-    for (const user of usersToNotify) {
-      const progressInfo = usersAtRisk.find(u => u.user.toString() === user._id.toString());
-
-      // Task 2 (Workstream E-core) — route through notificationService.send
-      // instead of a raw fcmService.sendToUser call, so streak reminders get
-      // preference gating, in-app history, and badge increments like every
-      // other notification type (reviewer C2).
-      await notificationService.send(
-        user._id,
-        'streak_reminder',
-        {
-          title: `Don't lose your ${progressInfo.currentStreak}-day streak! 🔥`,
-          body: 'Complete any learning activity today to keep your streak alive',
-          data: { type: 'streak_reminder', currentStreak: progressInfo.currentStreak }
-        }
-      );
-      sent++;
-    }
+    }).select('_id');
+
+    const { planned } = await deliveryTimeService.planSends(
+      'streak_reminder',
+      usersToNotify.map(u => u._id)
+    );
 
-    console.log(`[LearningJobs] Sent streak reminders to ${sent} users`);
+    console.log(`[LearningJobs] Planned streak reminders for ${planned} users`);
   } catch (error) {
     console.error('[LearningJobs] Send streak reminders error:', error);
   }
 };
 
+/**
+ * Send one planned streak reminder, unless the user has been active today
+ * @param {string|ObjectId} userId
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<boolean>} whether it was sent
+ */
+const sendStreakReminderTo = async (userId, { now = new Date() } = {}) => {
+  const notificationService = require('../services/notificationService');
+
+  const [progress, user] = await Promise.all([
+    LearningProgress.findOne({ user: userId }).select('currentStreak lastActivityDate'),
+    User.findById(userId).select('quietHours'),
+  ]);
+  if (!progress || !user || progress.currentStreak <= 0) return false;
+
+  const timezone = (user.quietHours && user.quietHours.timezone) || DEFAULT_TIMEZONE;
+  if (progress.lastActivityDate &&
+      localDateKey(progress.lastActivityDate, timezone) === localDateKey(now, timezone)) {
+    return false;
+  }
+
+  // Task 2 (Workstream E-core) — route through notificationService.send
+  // instead of a raw fcmService.sendToUser call, so streak reminders get
+  // preference gating, in-app history, and badge increments like every
+  // other notification type (reviewer C2).
+  const result = await notificationService.send(
+    userId,
+    'streak_reminder',
+    {
+      title: `Don't lose your ${progress.currentStreak}-day streak! 🔥`,
+      body: 'Complete any learning activity today to keep your streak alive',
+      data: { type: 'streak_reminder', currentStreak: progress.currentStreak }
+    }
+  );
+  return Boolean(result.success && !result.skipped);
+};
+
+deliveryTimeService.registerSender('srs_review', sendSrsReviewReminderTo);
+deliveryTimeService.registerSender('streak_reminder', sendStreakReminderTo);
+
 /**
  * Schedule helper function
  */
@@ -427,6 +448,8 @@ module.exports = {
   syncUserLearningStats,
   updateLeaderboardRankings,
   sendSrsReviewReminders,
+  sendSrsReviewReminderTo,
   sendStreakReminders,
+  sendStreakReminderTo,
   startLearningJobs
 };
@@ -0,0 +1,75 @@
+/**
+ * Moment Publish Job
+ *
+ * Publishes scheduled moments whose `scheduledFor` has passed: flips
+ * status 'scheduled' → 'published', stamps publishedAt and resets
+ * createdAt to the publish time (feeds sort by createdAt, so the moment
+ * enters them at the top as if posted now), then sends the
+ * follower_moment notification that createMoment skipped.
+ *
+ * Runs every 60s. Each moment is flipped with an atomic findOneAndUpdate
+ * guarded on status, so an overrunning tick or a second instance can't
+ * publish (and notify) twice. A moment the author deleted, moved back to
+ * draft or published by hand in the meantime no longer matches.
+ */
+
+const Moment = require('../models/Moment');
+const { sendFollowerMoment } = require('../services/notificationService');
+
+const TICK_MS = 60 * 1000;
+const BATCH_SIZE = 200;
+
+let _intervalHandle = null;
+
+async function _runPublishes(now = new Date()) {
+  const due = await Moment.find({
+    status: 'scheduled',
+    scheduledFor: { $lte: now },
+    isDeleted: { $ne: true },
+  })
+    .select('_id')
+    .sort({ scheduledFor: 1 })
+    .limit(BATCH_SIZE)
+    .lean();
+
+  let published = 0;
+  for (const { _id } of due) {
+    try {
+      const moment = await Moment.findOneAndUpdate(
+        { _id, status: 'scheduled', isDeleted: { $ne: true } },
+        { $set: { status: 'published', publishedAt: now, createdAt: now } },
+        { new: true }
+      ).select('_id user description');
+      if (!moment) continue;
+
+      published += 1;
+      sendFollowerMoment(String(moment.user), String(moment._id), moment.description || '').catch(err =>
+        console.error('[momentPublish] follower notification failed:', err.message)
+      );
+    } catch (err) {
+      console.error('[momentPublish/_runPublishes]', err);
+    }
+  }
+
+  if (published > 0) {
+    console.log(`[momentPublish] published ${published} scheduled moment(s)`);
+  }
+  return { published };
+}
+
+function start() {
+  if (_intervalHandle) return;
+  _intervalHandle = setInterval(() => {
+    _runPublishes().catch(err => console.error('[momentPublish]', err));
+  }, TICK_MS);
+  console.log('[momentPublish] job started (every 60s)');
+}
+
+function stop() {
+  if (_intervalHandle) {
+    clearInterval(_intervalHandle);
+    _intervalHandle = null;
+  }
+}
+
+module.exports = { start, stop, _runPublishes };
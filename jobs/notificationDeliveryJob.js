@@ -0,0 +1,47 @@
+/**
+ * Notification Delivery Job
+ *
+ * Sends engagement pushes planned for each user's own best time
+ * (services/deliveryTimeService.js dispatchDue). Runs every 60s, so a push
+ * goes out at most ~1 min after its planned time. Each plan is claimed
+ * atomically before it is sent, so an overrunning tick or a second app
+ * instance never sends one twice. Senders are registered by
+ * jobs/notificationJobs.js and jobs/learningJobs.js.
+ */
+
+const { dispatchDue } = require('../services/deliveryTimeService');
+
+const TICK_MS = 60 * 1000;
+
+let _intervalHandle = null;
+let _running = false;
+
+async function _runDispatch() {
+  if (_running) return;
+  _running = true;
+  try {
+    const counts = await dispatchDue();
+    if (counts.sent || counts.skipped || counts.failed) {
+      console.log(`[notificationDelivery] sent=${counts.sent} skipped=${counts.skipped} failed=${counts.failed}`);
+    }
+  } finally {
+    _running = false;
+  }
+}
+
+function start() {
+  if (_intervalHandle) return;
+  _intervalHandle = setInterval(() => {
+    _runDispatch().catch(err => console.error('[notificationDelivery]', err));
+  }, TICK_MS);
+  console.log('[notificationDelivery] job started (every 60s)');
+}
+
+function stop() {
+  if (_intervalHandle) {
+    clearInterval(_intervalHandle);
+    _intervalHandle = null;
+  }
+}
+
+module.exports = { start, stop, _runDispatch };
@@ -0,0 +1,46 @@
+/**
+ * Notification Digest Job
+ *
+ * Sends daily notification summaries
+ * (services/notificationDigestService.js sendDueDigests). Runs every 5
+ * minutes, so a summary goes out within minutes of the user's digest time.
+ * Each summary is claimed atomically before it is sent, so an overrunning
+ * tick or a second app instance never sends one twice.
+ */
+
+const { sendDueDigests } = require('../services/notificationDigestService');
+
+const TICK_MS = 5 * 60 * 1000;
+
+let _intervalHandle = null;
+let _running = false;
+
+async function _runDigests() {
+  if (_running) return;
+  _running = true;
+  try {
+    const counts = await sendDueDigests();
+    if (counts.sent) {
+      console.log(`[notificationDigest] sent=${counts.sent}`);
+    }
+  } finally {
+    _running = false;
+  }
+}
+
+function start() {
+  if (_intervalHandle) return;
+  _intervalHandle = setInterval(() => {
+    _runDigests().catch(err => console.error('[notificationDigest]', err));
+  }, TICK_MS);
+  console.log('[notificationDigest] job started (every 5 min)');
+}
+
+function stop() {
+  if (_intervalHandle) {
+    clearInterval(_intervalHandle);
+    _intervalHandle = null;
+  }
+}
+
+module.exports = { start, stop, _runDigests };
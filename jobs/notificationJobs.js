@@ -4,14 +4,14 @@
  */
 
 const User = require('../models/User');
-const fcmService = require('../services/fcmService');
 const templates = require('../utils/notificationTemplates');
 const notificationService = require('../services/notificationService');
+const deliveryTimeService = require('../services/deliveryTimeService');
 const { shouldNotify } = notificationService;
 
 /**
- * Clean up inactive FCM tokens
- * Remove tokens that haven't been updated in 90 days
+ * Clean up inactive FCM tokens and Web Push subscriptions
+ * Remove ones that haven't been updated in 90 days
  */
 const cleanupInactiveTokens = async () => {
   try {
@@ -19,11 +19,14 @@ const cleanupInactiveTokens = async () => {
     
     const ninetyDaysAgo = new Date(Date.now() - 90 * 24 * 60 * 60 * 1000);
     
+    // Browsers re-register their Web Push subscription on every load, like
+    // apps do their FCM token; one that hasn't in 90 days is gone
     const result = await User.updateMany(
       {},
       {
         $pull: {
-          fcmTokens: { lastUpdated: { $lt: ninetyDaysAgo } }
+          fcmTokens: { lastUpdated: { $lt: ninetyDaysAgo } },
+          webPushSubscriptions: { lastUpdated: { $lt: ninetyDaysAgo } }
         }
       }
     );
@@ -104,16 +107,37 @@ const testAndCleanTokens = async () => {
   }
 };
 
+const REENGAGEMENT_SELECT = '_id name language_to_learn notificationPreferences notificationSettings fcmTokens lastReengagementAt lastSeenAt lastActive';
+
 /**
- * Send re-engagement notifications to inactive users
- * Targets users who haven't been active for 7+ days
+ * Whether a user should get a re-engagement push now: inactive for 7+
+ * days, opted in, not nudged in the last 6 days and reachable
+ * @param {Object} user
+ * @param {Date} now
+ * @returns {boolean}
+ */
+const isReengagementDue = (user, now) => {
+  const sevenDaysAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+  const sixDaysAgo = new Date(now.getTime() - 6 * 24 * 60 * 60 * 1000);
+  const lastSeen = user.lastSeenAt != null ? user.lastSeenAt : user.lastActive;
+
+  if (!lastSeen || lastSeen >= sevenDaysAgo) return false;
+  if (!shouldNotify(user, 'reengagement')) return false;
+  if (user.lastReengagementAt && user.lastReengagementAt > sixDaysAgo) return false;
+  return (user.fcmTokens || []).some(t => t.active !== false);
+};
+
+/**
+ * Plan re-engagement notifications for inactive users
+ * Targets users who haven't been active for 7+ days; each is sent at their
+ * own best time (services/deliveryTimeService.js)
  */
 const sendReengagementNotifications = async () => {
   try {
-    console.log('\n💌 Sending re-engagement notifications...');
+    console.log('\n💌 Planning re-engagement notifications...');
 
-    const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
-    const sixDaysAgo = new Date(Date.now() - 6 * 24 * 60 * 60 * 1000);
+    const now = new Date();
+    const sevenDaysAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
 
     const inactiveUsers = await User.find({
       $or: [
@@ -122,46 +146,49 @@ const sendReengagementNotifications = async () => {
       ],
       'fcmTokens.0': { $exists: true },
     })
-      .select('_id name language_to_learn notificationPreferences fcmTokens lastReengagementAt')
+      .select(REENGAGEMENT_SELECT)
       .limit(500);
 
-    let sent = 0;
-    let skipped = 0;
-    let failed = 0;
-
-    for (const user of inactiveUsers) {
-      try {
-        if (!shouldNotify(user, 'reengagement')) { skipped++; continue; }
-
-        if (user.lastReengagementAt && user.lastReengagementAt > sixDaysAgo) { skipped++; continue; }
-
-        const hasActiveToken = user.fcmTokens.some(t => t.active !== false);
-        if (!hasActiveToken) { skipped++; continue; }
-
-        const notification = templates.getReengagementTemplate(user);
-
-        await fcmService.sendToUser(
-          user._id,
-          { title: notification.title, body: notification.body },
-          { type: 'reengagement', route: '/home' }
-        );
+    const due = inactiveUsers.filter(user => isReengagementDue(user, now));
+    const { planned } = await deliveryTimeService.planSends('reengagement', due.map(user => user._id), { now });
+    const skipped = inactiveUsers.length - due.length;
 
-        await User.updateOne({ _id: user._id }, { lastReengagementAt: new Date() });
-        sent++;
-      } catch (err) {
-        console.error('[reengagement] per-user error:', user._id, err.message);
-        failed++;
-      }
-    }
-
-    console.log(`✅ Re-engagement complete: ${sent} sent, ${skipped} skipped, ${failed} failed`);
-    return { success: true, sent, skipped, failed };
+    console.log(`✅ Re-engagement planned: ${planned} planned, ${skipped} skipped`);
+    return { success: true, planned, skipped };
   } catch (error) {
     console.error('❌ Re-engagement notifications failed:', error);
     return { success: false, error: error.message };
   }
 };
 
+/**
+ * Send one planned re-engagement push, if the user still qualifies
+ * @param {string|ObjectId} userId
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<boolean>} whether it was sent
+ */
+const sendReengagementTo = async (userId, { now = new Date() } = {}) => {
+  const user = await User.findById(userId).select(REENGAGEMENT_SELECT);
+  if (!user || !isReengagementDue(user, now)) return false;
+
+  const notification = templates.getReengagementTemplate(user);
+
+  // A 'system' notification (marketing-gated, like shouldNotify's
+  // 'reengagement'), so it gets a history row and its open is counted
+  const result = await notificationService.send(user._id, 'system', {
+    title: notification.title,
+    body: notification.body,
+    data: { type: 'reengagement', route: '/home' }
+  });
+  if (!result.success || result.skipped) return false;
+
+  await User.updateOne({ _id: user._id }, { lastReengagementAt: new Date() });
+  return true;
+};
+
+deliveryTimeService.registerSender('reengagement', sendReengagementTo);
+
 /**
  * Send VIP subscription expiring reminders
  * Notifies VIP users 3 days before their subscription expires
@@ -258,6 +285,7 @@ module.exports = {
   cleanupInactiveTokens,
   testAndCleanTokens,
   sendReengagementNotifications,
+  sendReengagementTo,
   sendSubscriptionReminders,
   cleanupOldNotifications
 };
@@ -15,8 +15,8 @@
  *   runs skip it. Safe to retry on transient failures.
  *
  * Scope: only the legacy /speech/pronunciation/evaluate endpoint writes
- *   userAudioUrl. The new /tutor/pronunciation/score endpoint is
- *   memory-only and never touches this collection.
+ *   userAudioUrl. The /tutor/pronunciation/score endpoint stores its
+ *   attempts without a recording, so they never match this query.
  */
 
 const PronunciationAttempt = require('../models/PronunciationAttempt');
@@ -0,0 +1,46 @@
+/**
+ * Scheduled Message Job
+ *
+ * Delivers queued direct messages whose `scheduledFor` has passed
+ * (services/scheduledMessageService.js deliverDueMessages). Runs every
+ * 30s, so a message goes out at most ~30s late. Each message is claimed
+ * atomically before delivery, so an overrunning tick or a second app
+ * instance never sends one twice.
+ */
+
+const { deliverDueMessages } = require('../services/scheduledMessageService');
+
+const TICK_MS = 30 * 1000;
+
+let _intervalHandle = null;
+let _running = false;
+
+async function _runDeliveries(io) {
+  if (_running) return;
+  _running = true;
+  try {
+    const counts = await deliverDueMessages({ io });
+    if (counts.sent || counts.cancelled || counts.failed) {
+      console.log(`[scheduledMessages] sent=${counts.sent} cancelled=${counts.cancelled} failed=${counts.failed}`);
+    }
+  } finally {
+    _running = false;
+  }
+}
+
+function start(io) {
+  if (_intervalHandle) return;
+  _intervalHandle = setInterval(() => {
+    _runDeliveries(io).catch(err => console.error('[scheduledMessages]', err));
+  }, TICK_MS);
+  console.log('[scheduledMessages] job started (every 30s)');
+}
+
+function stop() {
+  if (_intervalHandle) {
+    clearInterval(_intervalHandle);
+    _intervalHandle = null;
+  }
+}
+
+module.exports = { start, stop, _runDeliveries };
@@ -29,10 +29,18 @@ const weeklyCounterResetJob = require('./weeklyCounterResetJob');
 const voiceRoomCleanupJob = require('./voiceRoomCleanupJob');
 const waveDailySummaryJob = require('./waveDailySummaryJob');
 const voiceRoomSchedulerJob = require('./voiceRoomSchedulerJob');
+const scheduledMessageJob = require('./scheduledMessageJob');
+const voiceTranscriptionJob = require('./voiceTranscriptionJob');
+const notificationBundlingService = require('../services/notificationBundlingService');
+const notificationDigestJob = require('./notificationDigestJob');
+const notificationDeliveryJob = require('./notificationDeliveryJob');
+const { learnOpenTimes } = require('../services/deliveryTimeService');
+const momentPublishJob = require('./momentPublishJob');
 const { purgeLegacyPronunciationAudio } = require('./pronunciationAudioPurgeJob');
 const { purgeAudioCacheOrphans } = require('./audioCacheOrphanPurgeJob');
 const { runDailyRoomPromptJob } = require('./dailyRoomPromptJob');
 const { runTutorMemoryDecayJob } = require('./tutorMemoryDecayJob');
+const { runSyncLogPruneJob } = require('./syncLogPruneJob');
 
 // Track if scheduler is already running
 let isSchedulerRunning = false;
@@ -159,7 +167,8 @@ const scheduleTokenCleanup = () => {
 };
 
 /**
- * Schedule re-engagement notifications (weekly, Monday at 10:00 AM)
+ * Schedule re-engagement planning (weekly, Monday at 10:00 AM). Each push
+ * goes out at the user's own time (jobs/notificationDeliveryJob.js).
  */
 const scheduleReengagement = () => {
   const runJob = async () => {
@@ -222,7 +231,8 @@ const scheduleNotificationCleanup = () => {
 };
 
 /**
- * Schedule SRS review reminders (daily at 9:00 AM KST)
+ * Schedule SRS review reminder planning (daily at 9:00 AM KST). Each
+ * reminder goes out at the user's own time (jobs/notificationDeliveryJob.js).
  */
 const scheduleSrsReviewReminders = () => {
   const { sendSrsReviewReminders } = require('./learningJobs');
@@ -243,7 +253,8 @@ const scheduleSrsReviewReminders = () => {
 };
 
 /**
- * Schedule streak reminders (daily at 8:00 PM KST).
+ * Schedule streak reminder planning (daily at 8:00 PM KST). Each reminder
+ * goes out at the user's own time (jobs/notificationDeliveryJob.js).
  * Task 3 (Workstream E-core) — sendStreakReminders lived as dead code in
  * jobs/learningJobs.js (defined :323, exported :418, never called from
  * startLearningJobs, which only supports interval scheduling via
@@ -268,6 +279,27 @@ const scheduleStreakReminders = () => {
   setTimeout(runJob, msUntilNextRun);
 };
 
+/**
+ * Schedule learning each user's best notification hour from their opens
+ * (daily at 7:30 AM KST), ahead of the morning planning runs
+ */
+const scheduleOpenTimeLearning = () => {
+  const runJob = async () => {
+    console.log('\n⏰ Running scheduled notification open-time learning...');
+    try {
+      const { learned } = await learnOpenTimes();
+      console.log(`Learned notification times for ${learned} users`);
+    } catch (error) {
+      console.error('Scheduled notification open-time learning failed:', error);
+    }
+    setTimeout(runJob, 24 * 60 * 60 * 1000);
+  };
+
+  const msUntilNextRun = getMillisecondsUntil(7, 30); // 7:30 AM KST
+  console.log(`📅 Notification open-time learning scheduled in ${Math.round(msUntilNextRun / 1000 / 60)} minutes`);
+  setTimeout(runJob, msUntilNextRun);
+};
+
 /**
  * Schedule the daily language-room ("hub") prompt job (daily at 8:30 AM KST).
  * Staggered 30min before the 9 AM cluster (inactivity/subscription/SRS jobs)
@@ -315,6 +347,25 @@ const scheduleTutorMemoryDecay = () => {
   setTimeout(runJob, msUntilNextRun);
 };
 
+/**
+ * Schedule multi-device sync log pruning (daily at 4:00 AM KST)
+ */
+const scheduleSyncLogPrune = () => {
+  const runJob = async () => {
+    console.log('\n⏰ Running scheduled sync log prune...');
+    try {
+      await runSyncLogPruneJob();
+    } catch (error) {
+      console.error('Scheduled sync log prune failed:', error);
+    }
+    setTimeout(runJob, 24 * 60 * 60 * 1000);
+  };
+
+  const msUntilNextRun = getMillisecondsUntil(4, 0);
+  console.log(`📅 Sync log prune scheduled in ${Math.round(msUntilNextRun / 1000 / 60)} minutes`);
+  setTimeout(runJob, msUntilNextRun);
+};
+
 /**
  * Schedule subscription expiry check (every hour)
  * Critical job for billing integrity - checks expired VIP subscriptions
@@ -484,8 +535,11 @@ const scheduleAudioCacheOrphanPurge = () => {
 
 /**
  * Start all scheduled jobs
+ * @param {Object} [options]
+ * @param {Object} [options.io] - Socket.IO server, for jobs that deliver
+ *   over sockets (scheduled messages)
  */
-const startScheduler = () => {
+const startScheduler = ({ io } = {}) => {
   if (isSchedulerRunning) {
     console.log('⚠️ Scheduler is already running');
     return;
@@ -505,6 +559,7 @@ const startScheduler = () => {
   scheduleSubscriptionReminders();
   scheduleSrsReviewReminders();  // ← new
   scheduleStreakReminders();     // ← new (Task 3, Workstream E-core)
+  scheduleOpenTimeLearning();
   scheduleNotificationCleanup();
 
   // Subscription/billing jobs
@@ -532,6 +587,26 @@ const startScheduler = () => {
   // Voice room scheduler job (every 60s — start scheduled rooms + reminders)
   voiceRoomSchedulerJob.start();
 
+  // Scheduled direct messages (every 30s — socket + push delivery)
+  scheduledMessageJob.start(io);
+
+  // Voice message transcription (every 15s — socket 'voiceTranscribed')
+  voiceTranscriptionJob.start(io);
+
+  // Notification bundles (every 5s — the first poll flushes bundles whose
+  // window closed while the app was down; dispatchers are registered by
+  // notificationService, loaded through notificationJobs)
+  notificationBundlingService.start();
+
+  // Daily notification summaries (every 5 min — each user's at their digest time)
+  notificationDigestJob.start();
+
+  // Planned engagement pushes (every 60s — each at the user's own time)
+  notificationDeliveryJob.start();
+
+  // Scheduled moments (every 60s — publish + follower notification)
+  momentPublishJob.start();
+
   // Wave daily summary job (9 AM UTC, hourly tick)
   waveDailySummaryJob.start();
 
@@ -545,6 +620,9 @@ const startScheduler = () => {
   // Tutor memory decay/mastery (3:30 AM KST, daily) — H6
   scheduleTutorMemoryDecay();
 
+  // Multi-device sync log pruning (4:00 AM KST, daily)
+  scheduleSyncLogPrune();
+
   console.log('✅ All jobs scheduled!\n');
 };
 
@@ -616,6 +694,7 @@ module.exports = {
   scheduleWeeklyCounterReset,
   scheduleSrsReviewReminders,
   scheduleStreakReminders,
+  scheduleOpenTimeLearning,
   scheduleDailyRoomPrompt
 };
 
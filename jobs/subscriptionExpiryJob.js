@@ -13,7 +13,6 @@
 const User = require('../models/User');
 const { logSecurityEvent } = require('../utils/securityLogger');
 const notificationService = require('../services/notificationService');
-const fcmService = require('../services/fcmService');
 
 /**
  * Grace period in hours after subscription expires
@@ -169,14 +168,15 @@ async function sendWarningNotification(user, daysRemaining) {
 }
 
 /**
- * Send grace period notification
+ * Send grace period notification. Like the warnings, it follows the
+ * user's vip_renewal_warning rules.
  */
 async function sendGracePeriodNotification(user) {
   const title = 'VIP Subscription Expired';
   const body = `Your VIP subscription has expired. You have ${GRACE_PERIOD_HOURS} hours to renew and keep your benefits.`;
 
   try {
-    await fcmService.sendToUser(user._id, { title, body }, {
+    await notificationService.sendPush(user._id, 'vip_renewal_warning', { title, body }, {
       type: 'subscription_grace_period',
       hoursRemaining: GRACE_PERIOD_HOURS.toString(),
       action: 'open_subscription'
@@ -194,7 +194,7 @@ async function sendExpirationNotification(user) {
   const body = 'Your VIP subscription has ended. Subscribe again anytime to restore your premium features.';
 
   try {
-    await fcmService.sendToUser(user._id, { title, body }, {
+    await notificationService.sendPush(user._id, 'vip_renewal_warning', { title, body }, {
       type: 'subscription_expired',
       action: 'open_subscription'
     });
@@ -0,0 +1,21 @@
+/**
+ * Sync Log Prune Job
+ *
+ * Daily pass over the multi-device sync log (models/SyncEvent.js). For
+ * each user it drops entries every recently synced device has already
+ * acknowledged (cursor on User.fcmTokens), plus anything older than the
+ * retention window. Devices idle past STALE_DEVICE_MS don't hold the log
+ * back; on their next sync they get resetRequired and reload. Hosted in
+ * jobs/scheduler.js at 4:00 AM KST.
+ */
+
+const { pruneSyncLog } = require('../services/syncLogService');
+
+const runSyncLogPruneJob = async () => {
+  const started = Date.now();
+  const { users, pruned } = await pruneSyncLog();
+  console.log(`[syncLogPrune] pruned ${pruned} event(s) for ${users} user(s) in ${Date.now() - started}ms`);
+  return { users, pruned };
+};
+
+module.exports = { runSyncLogPruneJob };
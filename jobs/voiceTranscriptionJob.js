@@ -0,0 +1,46 @@
+/**
+ * Voice Transcription Job
+ *
+ * Transcribes queued voice messages
+ * (services/voiceTranscriptionService.js transcribePending). Runs every
+ * 15s, so a transcript usually follows its voice message within seconds.
+ * Each message is claimed atomically before transcription, so an
+ * overrunning tick or a second app instance never transcribes one twice.
+ */
+
+const { transcribePending } = require('../services/voiceTranscriptionService');
+
+const TICK_MS = 15 * 1000;
+
+let _intervalHandle = null;
+let _running = false;
+
+async function _runTranscriptions(io) {
+  if (_running) return;
+  _running = true;
+  try {
+    const counts = await transcribePending({ io });
+    if (counts.completed || counts.retried || counts.failed) {
+      console.log(`[voiceTranscription] completed=${counts.completed} retried=${counts.retried} failed=${counts.failed}`);
+    }
+  } finally {
+    _running = false;
+  }
+}
+
+function start(io) {
+  if (_intervalHandle) return;
+  _intervalHandle = setInterval(() => {
+    _runTranscriptions(io).catch(err => console.error('[voiceTranscription]', err));
+  }, TICK_MS);
+  console.log('[voiceTranscription] job started (every 15s)');
+}
+
+function stop() {
+  if (_intervalHandle) {
+    clearInterval(_intervalHandle);
+    _intervalHandle = null;
+  }
+}
+
+module.exports = { start, stop, _runTranscriptions };
@@ -16,8 +16,7 @@
 
 const Wave = require('../models/Wave');
 const User = require('../models/User');
-const { shouldNotify } = require('../services/notificationService');
-const fcmService = require('../services/fcmService');
+const notificationService = require('../services/notificationService');
 
 const SUMMARY_HOUR_UTC = 0; // 00:00 UTC == 09:00 KST
 const SKIP_WINDOW_MS = 23 * 60 * 60 * 1000; // don't double-fire within 23h
@@ -47,18 +46,19 @@ async function runOnce() {
     for (const { _id: userId, count } of candidates) {
       try {
         const user = await User.findById(userId).select(
-          'notificationPreferences lastDailySummaryAt fcmTokens'
+          'lastDailySummaryAt fcmTokens'
         );
         if (!user) continue;
-        if (!shouldNotify(user, 'wave')) continue;
         if (user.lastDailySummaryAt && user.lastDailySummaryAt > skipBefore) continue;
-        // fcmService.sendToUser checks active tokens internally; skip if none
         const hasActiveToken = Array.isArray(user.fcmTokens) &&
           user.fcmTokens.some(t => t.active);
         if (!hasActiveToken) continue;
 
-        await fcmService.sendToUser(
+        // Read under the wave rules, so turning wave pushes off (or moving
+        // waves to the daily digest) also stops the summary
+        const result = await notificationService.sendPush(
           userId,
+          'wave',
           {
             title: 'New waves waiting',
             body: count === 1
@@ -70,6 +70,7 @@ async function runOnce() {
             route: '/community?tab=waves',
           }
         );
+        if (result.skipped) continue;
 
         await User.updateOne(
           { _id: userId },
@@ -0,0 +1,97 @@
+/**
+ * Monthly AI budget evaluation — pure, no I/O.
+ *
+ * Consumed by services/aiBudgetService.js, which loads the user's tier
+ * budget (config/limitations.js aiMonthlyBudget) and this month's ledger
+ * row (models/AIBudgetLedger.js) and asks evaluateBudget() what to do with
+ * the next AI call:
+ * - 'ok'       under both the token and the cost limit
+ * - 'degraded' past a limit with onExceeded 'degrade' — the call goes to
+ *              the cheaper AI_ROUTING.degraded route instead of failing
+ * - 'blocked'  past a limit with onExceeded 'block', or past
+ *              hardLimitMultiplier x the limit while degraded, so cheap
+ *              calls cannot run up an unbounded bill either
+ *
+ * Budgets reset on the first of each calendar month, UTC. A limit of -1 is
+ * unlimited; a budget with both limits -1 never degrades or blocks.
+ */
+
+const UNLIMITED = -1;
+
+/**
+ * Ledger key for the month containing `now`, e.g. '2026-10'.
+ * @param {Date} [now]
+ * @returns {string}
+ */
+function budgetPeriod(now = new Date()) {
+  return `${now.getUTCFullYear()}-${String(now.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Start of the next budget period.
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+function periodResetsAt(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+}
+
+const isLimited = (limit) => typeof limit === 'number' && limit !== UNLIMITED;
+
+const roundUsd = (n) => Math.round(n * 1e6) / 1e6;
+
+/**
+ * @param {Object} budget - { tokens, costUsd, onExceeded, hardLimitMultiplier }
+ * @param {Object} [used] - { tokens, costUsd } spent so far this period
+ * @returns {{
+ *   status: 'ok'|'degraded'|'blocked',
+ *   unlimited: boolean,
+ *   limits: { tokens: number, costUsd: number },
+ *   used: { tokens: number, costUsd: number },
+ *   remaining: { tokens: number|null, costUsd: number|null },
+ *   percentUsed: number
+ * }}
+ */
+function evaluateBudget(budget = {}, used = {}) {
+  const limits = {
+    tokens: isLimited(budget.tokens) ? budget.tokens : UNLIMITED,
+    costUsd: isLimited(budget.costUsd) ? budget.costUsd : UNLIMITED,
+  };
+  const spent = {
+    tokens: used.tokens || 0,
+    costUsd: roundUsd(used.costUsd || 0),
+  };
+
+  // Fraction of each limited dimension used; the larger one decides.
+  const fractions = [];
+  if (isLimited(limits.tokens)) fractions.push(limits.tokens > 0 ? spent.tokens / limits.tokens : Infinity);
+  if (isLimited(limits.costUsd)) fractions.push(limits.costUsd > 0 ? spent.costUsd / limits.costUsd : Infinity);
+
+  const unlimited = fractions.length === 0;
+  const fraction = unlimited ? 0 : Math.max(...fractions);
+
+  let status = 'ok';
+  if (fraction >= 1) {
+    const hardLimit = budget.hardLimitMultiplier > 1 ? budget.hardLimitMultiplier : 1;
+    status = budget.onExceeded === 'degrade' && fraction < hardLimit ? 'degraded' : 'blocked';
+  }
+
+  return {
+    status,
+    unlimited,
+    limits,
+    used: spent,
+    remaining: {
+      tokens: isLimited(limits.tokens) ? Math.max(0, limits.tokens - spent.tokens) : null,
+      costUsd: isLimited(limits.costUsd) ? roundUsd(Math.max(0, limits.costUsd - spent.costUsd)) : null,
+    },
+    percentUsed: unlimited ? 0 : Math.min(100, Math.round(fraction * 100)),
+  };
+}
+
+module.exports = {
+  UNLIMITED,
+  budgetPeriod,
+  periodResetsAt,
+  evaluateBudget,
+};
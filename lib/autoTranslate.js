@@ -0,0 +1,78 @@
+/**
+ * Per-conversation auto-translation — pure decision logic, no I/O.
+ *
+ * Each participant turns auto-translation on for themselves
+ * (Conversation.userLanguageSettings); it only ever applies to messages
+ * they receive, in their chosen language (falling back to their native
+ * language). Every fresh translation costs one use of the translation
+ * quota, the same as tapping "translate"; cached ones are free. Nothing
+ * here decides quota — see services/autoTranslationService.js.
+ */
+
+const { toIso } = require('../utils/languageCodes');
+
+// Background translations per message-list page; older uncached messages
+// in the page are left for the manual translate button.
+const AUTO_TRANSLATE_PAGE_LIMIT = 20;
+
+const MAX_AUTO_TRANSLATE_LENGTH = 2000;
+
+const idOf = (value) => {
+  if (!value) return null;
+  return String(value._id || value);
+};
+
+/**
+ * Whether `message` should be auto-translated for `viewerId`: an incoming,
+ * plain text message with something to translate. Ciphertext (secret
+ * chats), deleted and system messages never are.
+ * @param {Object} message
+ * @param {string} viewerId
+ * @returns {boolean}
+ */
+function isAutoTranslatable(message, viewerId) {
+  if (!message || message.isEncrypted || message.isDeleted) return false;
+  if (message.messageType && message.messageType !== 'text') return false;
+  if (idOf(message.sender) === String(viewerId)) return false;
+  const text = typeof message.message === 'string' ? message.message.trim() : '';
+  return text.length > 0 && text.length <= MAX_AUTO_TRANSLATE_LENGTH;
+}
+
+/**
+ * A participant's auto-translation setting in a conversation (document or
+ * lean object). Their own userLanguageSettings entry wins; without one the
+ * conversation-wide languageSettings apply.
+ * @param {Object} conversation
+ * @param {string} userId
+ * @returns {{ autoTranslate: boolean, translateTo: string|null }}
+ */
+function participantLanguageSettings(conversation, userId) {
+  const own = ((conversation && conversation.userLanguageSettings) || [])
+    .find(s => idOf(s.user) === String(userId));
+  const fallback = (conversation && conversation.languageSettings) || {};
+
+  return {
+    autoTranslate: own ? Boolean(own.autoTranslate) : Boolean(fallback.autoTranslate),
+    translateTo: (own ? own.translateTo : fallback.translateTo) || null
+  };
+}
+
+/**
+ * Target language for a participant: their translateTo, else their
+ * native language. Null when neither maps to a language code.
+ * @param {Object} setting - { translateTo }
+ * @param {Object} user - { native_language }
+ * @returns {string|null}
+ */
+function resolveTargetLanguage(setting, user) {
+  return toIso(setting && setting.translateTo) || toIso(user && user.native_language);
+}
+
+module.exports = {
+  idOf,
+  isAutoTranslatable,
+  participantLanguageSettings,
+  resolveTargetLanguage,
+  AUTO_TRANSLATE_PAGE_LIMIT,
+  MAX_AUTO_TRANSLATE_LENGTH
+};
@@ -3,15 +3,214 @@
  * Extracted so the hub-exclusion behavior (Workstream D) is unit-testable
  * without a database — this module has no Mongoose/DB dependency.
  *
+ * Labels and smart folders are evaluated here too, as query conditions
+ * rather than a post-filter, so count/skip/limit stay correct. Rules that
+ * need another collection (partner language, corrections) arrive already
+ * resolved to partner ids — see services/chatFolderService.js.
+ */
+
+const MAX_LABELS_PER_CONVERSATION = 20;
+const MAX_LABEL_LENGTH = 30;
+const MAX_FOLDERS_PER_USER = 20;
+const MAX_FOLDER_NAME_LENGTH = 40;
+const MAX_RULE_VALUES = 10;
+const MAX_RULE_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const HEX_COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const LANGUAGE_CODE_PATTERN = /^[a-z]{2,3}$/;
+
+/**
+ * Validate a label from a request body. On update (partial) missing
+ * fields are left out of the result.
+ * @param {Object} input - { name, color }
+ * @param {Object} [options]
+ * @param {boolean} [options.partial]
+ * @returns {{ error?: string, label?: { name?: string, color?: string|null } }}
+ */
+function normalizeLabel(input = {}, { partial = false } = {}) {
+  const label = {};
+
+  if (input.name !== undefined || !partial) {
+    const name = typeof input.name === 'string' ? input.name.trim().replace(/\s+/g, ' ') : '';
+    if (!name) return { error: 'Label name is required' };
+    if (name.length > MAX_LABEL_LENGTH) {
+      return { error: `Label name cannot exceed ${MAX_LABEL_LENGTH} characters` };
+    }
+    label.name = name;
+  }
+
+  if (input.color !== undefined && input.color !== null && input.color !== '') {
+    if (typeof input.color !== 'string' || !HEX_COLOR_PATTERN.test(input.color)) {
+      return { error: 'Label color must be a hex color like #4F46E5' };
+    }
+    label.color = input.color.toUpperCase();
+  } else if (input.color !== undefined || !partial) {
+    label.color = null;
+  }
+
+  return { label };
+}
+
+const positiveDays = (value) => Number.isInteger(value) && value >= 1 && value <= MAX_RULE_DAYS;
+
+const stringList = (value, transform = v => v) => {
+  if (!Array.isArray(value)) return null;
+  const list = [...new Set(value
+    .filter(v => typeof v === 'string')
+    .map(v => transform(v.trim()))
+    .filter(Boolean))];
+  return list.length > 0 && list.length <= MAX_RULE_VALUES ? list : null;
+};
+
+/**
+ * Validate smart-folder rules. Every rule given must match (AND); an
+ * empty rule set is rejected because it would just be the inbox.
+ *
+ *   unread          true  → at least one unread message
+ *   languages       ['ja'] → partner's native language (or the chat's
+ *                           primary language) is one of these
+ *   hasCorrections  true  → a message in the chat has a correction
+ *   lastActive      { withinDays } and/or { olderThanDays } on lastMessageAt
+ *   labels          ['Tutor'] → carries any of the caller's labels
+ *
+ * @param {Object} input
+ * @returns {{ error?: string, rules?: Object }}
+ */
+function normalizeFolderRules(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'rules must be an object' };
+  }
+
+  const rules = {};
+
+  if (input.unread !== undefined) {
+    if (input.unread !== true) return { error: 'rules.unread must be true when set' };
+    rules.unread = true;
+  }
+
+  if (input.languages !== undefined) {
+    const languages = stringList(input.languages, v => v.toLowerCase());
+    if (!languages || !languages.every(code => LANGUAGE_CODE_PATTERN.test(code))) {
+      return { error: `rules.languages must be 1-${MAX_RULE_VALUES} ISO 639-1 codes` };
+    }
+    rules.languages = languages;
+  }
+
+  if (input.hasCorrections !== undefined) {
+    if (input.hasCorrections !== true) return { error: 'rules.hasCorrections must be true when set' };
+    rules.hasCorrections = true;
+  }
+
+  if (input.lastActive !== undefined) {
+    const { withinDays, olderThanDays } = input.lastActive || {};
+    if (withinDays === undefined && olderThanDays === undefined) {
+      return { error: 'rules.lastActive needs withinDays or olderThanDays' };
+    }
+    if ((withinDays !== undefined && !positiveDays(withinDays)) ||
+        (olderThanDays !== undefined && !positiveDays(olderThanDays))) {
+      return { error: `rules.lastActive days must be whole numbers from 1 to ${MAX_RULE_DAYS}` };
+    }
+    if (withinDays !== undefined && olderThanDays !== undefined && olderThanDays >= withinDays) {
+      return { error: 'rules.lastActive.olderThanDays must be less than withinDays' };
+    }
+    rules.lastActive = {};
+    if (withinDays !== undefined) rules.lastActive.withinDays = withinDays;
+    if (olderThanDays !== undefined) rules.lastActive.olderThanDays = olderThanDays;
+  }
+
+  if (input.labels !== undefined) {
+    const labels = stringList(input.labels, v => v.replace(/\s+/g, ' '));
+    if (!labels || labels.some(name => name.length > MAX_LABEL_LENGTH)) {
+      return { error: `rules.labels must be 1-${MAX_RULE_VALUES} label names` };
+    }
+    rules.labels = labels;
+  }
+
+  if (Object.keys(rules).length === 0) {
+    return { error: 'A smart folder needs at least one rule' };
+  }
+
+  return { rules };
+}
+
+/**
+ * The caller's labels matching any of `names`.
+ * @param {String|Object} userId
+ * @param {String[]} names
+ * @returns {Object}
+ */
+function labelCondition(userId, names) {
+  return { labels: { $elemMatch: { addedBy: userId, name: { $in: names } } } };
+}
+
+/**
+ * Mongo conditions for a folder's rules, to be ANDed with the list query.
+ *
+ * @param {String|Object} userId
+ * @param {Object} rules - output of normalizeFolderRules
+ * @param {Object} [context]
+ * @param {Date} [context.now]
+ * @param {Array} [context.languagePartnerIds] - chat partners whose native
+ *   language matches rules.languages
+ * @param {Array} [context.correctionPartnerIds] - chat partners with a
+ *   corrected message in the 1:1 chat
+ * @returns {Object[]}
+ */
+function buildFolderConditions(userId, rules, context = {}) {
+  const { now = new Date(), languagePartnerIds = [], correctionPartnerIds = [] } = context;
+  const conditions = [];
+
+  if (rules.unread) {
+    conditions.push({ unreadCount: { $elemMatch: { user: userId, count: { $gt: 0 } } } });
+  }
+
+  if (rules.languages) {
+    conditions.push({
+      $or: [
+        { isGroup: { $ne: true }, participants: { $in: languagePartnerIds } },
+        { 'languageSettings.primaryLanguage': { $in: rules.languages } }
+      ]
+    });
+  }
+
+  if (rules.hasCorrections) {
+    conditions.push({ isGroup: { $ne: true }, participants: { $in: correctionPartnerIds } });
+  }
+
+  if (rules.lastActive) {
+    const lastMessageAt = {};
+    if (rules.lastActive.withinDays) {
+      lastMessageAt.$gte = new Date(now.getTime() - rules.lastActive.withinDays * DAY_MS);
+    }
+    if (rules.lastActive.olderThanDays) {
+      lastMessageAt.$lt = new Date(now.getTime() - rules.lastActive.olderThanDays * DAY_MS);
+    }
+    if (Object.keys(lastMessageAt).length > 0) {
+      conditions.push({ lastMessageAt });
+    }
+  }
+
+  if (rules.labels) {
+    conditions.push(labelCondition(userId, rules.labels));
+  }
+
+  return conditions;
+}
+
+/**
  * @param {String|Object} userId - requesting user's id
  * @param {Object} [filters]
  * @param {String} [filters.archived] - 'true' | 'false'
  * @param {String} [filters.muted] - 'true' | 'false'
  * @param {String} [filters.pinned] - 'true' | 'false'
+ * @param {String} [filters.unread] - 'true'
+ * @param {String} [filters.label] - one of the caller's label names
+ * @param {Object[]} [filters.conditions] - extra conditions (smart folder)
  * @returns {Object} Mongo query object
  */
 function buildConversationListQuery(userId, filters = {}) {
-  const { archived, muted, pinned } = filters;
+  const { archived, muted, pinned, unread, label, conditions = [] } = filters;
 
   const query = {
     participants: userId,
@@ -43,7 +242,28 @@ function buildConversationListQuery(userId, filters = {}) {
     query['pinnedBy.user'] = { $ne: userId };
   }
 
+  const extra = [...conditions];
+  if (unread === 'true') {
+    extra.push({ unreadCount: { $elemMatch: { user: userId, count: { $gt: 0 } } } });
+  }
+  if (typeof label === 'string' && label.trim()) {
+    extra.push(labelCondition(userId, [label.trim()]));
+  }
+  // $and so folder conditions (which may carry their own $or or
+  // participants clause) never overwrite the base filters above
+  if (extra.length > 0) {
+    query.$and = extra;
+  }
+
   return query;
 }
 
-module.exports = { buildConversationListQuery };
+module.exports = {
+  buildConversationListQuery,
+  buildFolderConditions,
+  normalizeFolderRules,
+  normalizeLabel,
+  MAX_LABELS_PER_CONVERSATION,
+  MAX_FOLDERS_PER_USER,
+  MAX_FOLDER_NAME_LENGTH
+};
@@ -0,0 +1,162 @@
+'use strict';
+
+/**
+ * Delivery-time selection for engagement pushes — pure, no I/O.
+ *
+ * Each user's best hour is learned from when they open notifications
+ * (Notification.clickedAt over LOOKBACK_DAYS, in their timezone): the
+ * busiest hour once lightly smoothed over its neighbours, or null below
+ * MIN_SAMPLES opens. A send is planned at that hour, or the kind's default
+ * (config/notificationDelivery.js), kept inside the kind's window and
+ * moved out of the user's quiet hours. The minute comes from a hash of the
+ * user, so users sharing an hour don't all go out at :00.
+ *
+ * Hours are local to the user's quiet-hours timezone. A plan is made for
+ * the next occurrence of that local time; a DST change in between can move
+ * it by an hour.
+ */
+
+const crypto = require('crypto');
+const { isQuietAt } = require('./quietHours');
+
+const LOOKBACK_DAYS = 30;
+const MIN_SAMPLES = 5;
+const DEFAULT_TIMEZONE = 'Asia/Seoul';
+// Share of an hour's opens credited to each neighbouring hour
+const NEIGHBOUR_WEIGHT = 0.5;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Busiest open hour from a 24-slot histogram, or null with too few opens
+ * @param {number[]} hourCounts - opens per local hour 0-23
+ * @returns {number|null}
+ */
+function preferredHour(hourCounts) {
+  const counts = Array.from({ length: 24 }, (_, h) => Number(hourCounts[h]) || 0);
+  const total = counts.reduce((sum, n) => sum + n, 0);
+  if (total < MIN_SAMPLES) return null;
+
+  let best = null;
+  let bestScore = -1;
+  for (let h = 0; h < 24; h++) {
+    const score = counts[h] +
+      NEIGHBOUR_WEIGHT * (counts[(h + 23) % 24] + counts[(h + 1) % 24]);
+    if (score > bestScore) {
+      best = h;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Local hour and minute of a moment in a timezone
+ * @param {Date} date
+ * @param {string} timezone
+ * @returns {{ hour: number, minute: number }}
+ */
+function localTime(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+    timeZone: timezone,
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find(p => p.type === type).value);
+  return { hour: get('hour'), minute: get('minute') };
+}
+
+/**
+ * Local calendar date ('YYYY-MM-DD') of a moment in a timezone
+ * @param {Date} date
+ * @param {string} timezone
+ * @returns {string}
+ */
+function localDateKey(date, timezone) {
+  return new Intl.DateTimeFormat('en-CA', {
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    timeZone: timezone,
+  }).format(date);
+}
+
+/**
+ * Minute within the hour for a user's send, stable per user and kind
+ * @param {string} userId
+ * @param {string} kind
+ * @returns {number} 0-59
+ */
+function spreadMinute(userId, kind) {
+  const digest = crypto.createHash('sha1').update(`${userId}:${kind}`).digest();
+  return digest.readUInt16BE(0) % 60;
+}
+
+/**
+ * Hour to send at: the learned hour or the default, inside the window and,
+ * where the window allows, outside quiet hours (the nearest free hour)
+ * @param {number|null} learnedHour
+ * @param {{ defaultHour: number, earliest: number, latest: number }} config
+ * @param {Object} [quietHours]
+ * @returns {number}
+ */
+function chooseHour(learnedHour, config, quietHours) {
+  const wanted = Number.isInteger(learnedHour) ? learnedHour : config.defaultHour;
+  const start = Math.min(Math.max(wanted, config.earliest), config.latest);
+
+  const candidates = [];
+  for (let h = config.earliest; h <= config.latest; h++) candidates.push(h);
+  candidates.sort((a, b) => Math.abs(a - start) - Math.abs(b - start) || a - b);
+
+  // Quiet from the top of the hour is quiet for all of it
+  const free = candidates.find(h => !isQuietAt(`${pad(h)}:00`, quietHours) &&
+    !isQuietAt(`${pad(h)}:59`, quietHours));
+  return free === undefined ? start : free;
+}
+
+/**
+ * Next moment after `now` that is hour:minute local time
+ * @param {Date} now
+ * @param {string} timezone
+ * @param {number} hour
+ * @param {number} minute
+ * @returns {Date}
+ */
+function nextLocalTime(now, timezone, hour, minute) {
+  const local = localTime(now, timezone);
+  let delta = (hour * 60 + minute) - (local.hour * 60 + local.minute);
+  if (delta <= 0) delta += 24 * 60;
+  const at = new Date(now.getTime() + delta * 60 * 1000);
+  at.setUTCSeconds(0, 0);
+  return at;
+}
+
+/**
+ * When to send a user an engagement push of a kind
+ * @param {Object} options
+ * @param {Object} options.user - { _id, quietHours, notificationTiming }
+ * @param {string} options.kind
+ * @param {Object} options.config - the kind's config/notificationDelivery.js entry
+ * @param {Date} [options.now]
+ * @returns {Date}
+ */
+function planSendAt({ user, kind, config, now = new Date() }) {
+  const timezone = (user.quietHours && user.quietHours.timezone) || DEFAULT_TIMEZONE;
+  const learned = user.notificationTiming ? user.notificationTiming.preferredHour : null;
+  const hour = chooseHour(learned, config, user.quietHours);
+  return nextLocalTime(now, timezone, hour, spreadMinute(String(user._id), kind));
+}
+
+module.exports = {
+  LOOKBACK_DAYS,
+  MIN_SAMPLES,
+  DEFAULT_TIMEZONE,
+  preferredHour,
+  localTime,
+  localDateKey,
+  spreadMinute,
+  chooseHour,
+  nextLocalTime,
+  planSendAt,
+};
@@ -0,0 +1,160 @@
+/**
+ * End-to-end encryption payload checks — pure, no I/O.
+ *
+ * Secret chats use the Signal model: every device registers a long-term
+ * identity key, a signed prekey and a batch of one-time prekeys; a sender
+ * fetches the recipient's prekey bundles, runs X3DH / Double Ratchet on
+ * the device and sends one ciphertext per recipient device. The server
+ * never sees a private key or plaintext and cannot check signatures made
+ * with XEdDSA, so it only checks that what it stores and relays is
+ * well-formed — sizes, base64, bounded counts — and clients verify bundle
+ * signatures themselves.
+ *
+ * Envelope (Message.encrypted):
+ *   {
+ *     v: 1,
+ *     senderDeviceId: 'phone-1',
+ *     recipients: [
+ *       { user, deviceId, type: 'prekey' | 'message', body: '<base64>' }
+ *     ]
+ *   }
+ * `recipients` covers the receiver's devices and the sender's other
+ * devices, so every device of both users can decrypt.
+ */
+
+const ENVELOPE_VERSION = 1;
+const MAX_RECIPIENT_DEVICES = 20;
+const MAX_CIPHERTEXT_BYTES = 64 * 1024;
+const MAX_PREKEYS_PER_UPLOAD = 100;
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9._:-]{1,64}$/;
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+/**
+ * Decoded length of a base64 string, or -1 if it is not base64.
+ * @param {*} value
+ * @returns {number}
+ */
+const base64Bytes = (value) => {
+  if (typeof value !== 'string' || value.length === 0 || value.length % 4 !== 0 || !BASE64_PATTERN.test(value)) {
+    return -1;
+  }
+  return Buffer.from(value, 'base64').length;
+};
+
+// Curve25519 public keys: 32 bytes, or 33 with Signal's 0x05 type prefix
+const isPublicKey = (value) => [32, 33].includes(base64Bytes(value));
+const isSignature = (value) => base64Bytes(value) === 64;
+const isKeyId = (value) => Number.isInteger(value) && value >= 0 && value < 2 ** 31;
+
+const isDeviceId = (value) => typeof value === 'string' && DEVICE_ID_PATTERN.test(value);
+
+/**
+ * Validate a batch of one-time prekeys.
+ * @param {*} preKeys
+ * @returns {string|null} error message
+ */
+const checkPreKeys = (preKeys) => {
+  if (!Array.isArray(preKeys)) return 'preKeys must be an array';
+  if (preKeys.length > MAX_PREKEYS_PER_UPLOAD) return `At most ${MAX_PREKEYS_PER_UPLOAD} preKeys per upload`;
+  const ids = new Set();
+  for (const preKey of preKeys) {
+    if (!preKey || !isKeyId(preKey.keyId) || !isPublicKey(preKey.publicKey)) {
+      return 'Each preKey needs an integer keyId and a base64 Curve25519 publicKey';
+    }
+    if (ids.has(preKey.keyId)) return `Duplicate preKey keyId ${preKey.keyId}`;
+    ids.add(preKey.keyId);
+  }
+  return null;
+};
+
+/**
+ * Validate a device registration.
+ * @param {Object} body - { identityKey, registrationId, signedPreKey: { keyId, publicKey, signature }, preKeys[] }
+ * @returns {string|null} error message
+ */
+const checkDeviceRegistration = (body) => {
+  if (!body || typeof body !== 'object') return 'Registration body is required';
+  if (!isPublicKey(body.identityKey)) return 'identityKey must be a base64 Curve25519 public key';
+  if (body.registrationId !== undefined && !isKeyId(body.registrationId)) {
+    return 'registrationId must be a non-negative integer';
+  }
+  const spk = body.signedPreKey;
+  if (!spk || !isKeyId(spk.keyId) || !isPublicKey(spk.publicKey) || !isSignature(spk.signature)) {
+    return 'signedPreKey needs keyId, a base64 publicKey and a 64-byte base64 signature';
+  }
+  return checkPreKeys(body.preKeys || []);
+};
+
+/**
+ * Validate and normalize a message envelope.
+ * @param {*} envelope
+ * @param {Object} params
+ * @param {string} params.senderId
+ * @param {string} params.receiverId
+ * @returns {{ error: string|null, envelope?: Object }}
+ */
+const checkEnvelope = (envelope, { senderId, receiverId }) => {
+  if (!envelope || typeof envelope !== 'object') {
+    return { error: 'Encrypted payload is required' };
+  }
+  if (envelope.v !== ENVELOPE_VERSION) {
+    return { error: `Unsupported envelope version ${envelope.v}` };
+  }
+  if (!isDeviceId(envelope.senderDeviceId)) {
+    return { error: 'senderDeviceId is invalid' };
+  }
+  const recipients = envelope.recipients;
+  if (!Array.isArray(recipients) || recipients.length === 0) {
+    return { error: 'recipients must list at least one device' };
+  }
+  if (recipients.length > MAX_RECIPIENT_DEVICES) {
+    return { error: `At most ${MAX_RECIPIENT_DEVICES} recipient devices` };
+  }
+
+  const allowedUsers = new Set([String(senderId), String(receiverId)]);
+  const seen = new Set();
+  let reachesReceiver = false;
+  const normalized = [];
+  for (const r of recipients) {
+    const user = r && String(r.user || '');
+    if (!OBJECT_ID_PATTERN.test(user) || !allowedUsers.has(user)) {
+      return { error: 'Each recipient must be the sender or the receiver' };
+    }
+    if (!isDeviceId(r.deviceId)) {
+      return { error: 'Recipient deviceId is invalid' };
+    }
+    if (!['prekey', 'message'].includes(r.type)) {
+      return { error: 'Recipient type must be prekey or message' };
+    }
+    const bytes = base64Bytes(r.body);
+    if (bytes <= 0 || bytes > MAX_CIPHERTEXT_BYTES) {
+      return { error: 'Recipient body must be base64 ciphertext up to 64 KB' };
+    }
+    const key = `${user}|${r.deviceId}`;
+    if (seen.has(key)) {
+      return { error: 'A device can only appear once in recipients' };
+    }
+    seen.add(key);
+    if (user === String(receiverId)) reachesReceiver = true;
+    normalized.push({ user, deviceId: r.deviceId, type: r.type, body: r.body });
+  }
+  if (!reachesReceiver) {
+    return { error: 'recipients must include at least one of the receiver\'s devices' };
+  }
+
+  return {
+    error: null,
+    envelope: { v: ENVELOPE_VERSION, senderDeviceId: envelope.senderDeviceId, recipients: normalized }
+  };
+};
+
+module.exports = {
+  checkDeviceRegistration,
+  checkPreKeys,
+  checkEnvelope,
+  isDeviceId,
+  ENVELOPE_VERSION,
+  MAX_PREKEYS_PER_UPLOAD
+};
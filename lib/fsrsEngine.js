@@ -0,0 +1,258 @@
+/**
+ * Pure FSRS (Free Spaced Repetition Scheduler, v4.5 model) engine — no I/O,
+ * no Mongoose. Sibling of lib/srsEngine.js (SM-2); both are registered in
+ * lib/srsScheduler.js and selected per user via
+ * LearningProgress.preferences.srsScheduler.
+ *
+ * Why: SM-2 multiplies the interval by a per-card ease factor that only ever
+ * drifts, so heavy reviewers see intervals balloon (EF creeping up on easy
+ * cards) or collapse (a single lapse resets to day 0 and EF sinks to the
+ * 1.3 floor). FSRS models each card as memory stability S (days until
+ * recall probability drops to 90%), difficulty D (1-10) and retrievability
+ * R (current recall probability), and schedules the next review at the
+ * point R is predicted to hit the desired retention.
+ *
+ * Ratings: the app's 0-5 quality scale (see lib/srsReviewContract.js) maps
+ * onto FSRS's four buttons — 0-2 Again, 3 Hard, 4 Good, 5 Easy — so the
+ * review endpoint contract does not change.
+ *
+ * Migration: cards that have only ever been scheduled by SM-2 are seeded
+ * with fromSm2() on their first FSRS review (interval → stability,
+ * easeFactor → difficulty), so switching schedulers keeps the learner's
+ * progress instead of restarting every card.
+ */
+
+const { tallyReviewStats, advanceLevel } = require('./srsEngine');
+
+// Default FSRS-4.5 parameters (w0..w16).
+const DEFAULT_WEIGHTS = Object.freeze([
+  0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474,
+  0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755,
+]);
+
+const DECAY = -0.5;
+const FACTOR = 19 / 81; // Makes R(S, S) === 0.9 with DECAY = -0.5.
+const DESIRED_RETENTION = 0.9;
+const MAX_INTERVAL_DAYS = 36500;
+const MIN_STABILITY = 0.01;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RATING = Object.freeze({ AGAIN: 1, HARD: 2, GOOD: 3, EASY: 4 });
+
+const clamp = (n, lo, hi) => Math.min(hi, Math.max(lo, n));
+
+/**
+ * Map the app's 0-5 quality onto an FSRS rating.
+ * @param {number} quality
+ * @returns {number} 1-4
+ */
+function ratingFromQuality(quality) {
+  if (quality >= 5) return RATING.EASY;
+  if (quality >= 4) return RATING.GOOD;
+  if (quality >= 3) return RATING.HARD;
+  return RATING.AGAIN;
+}
+
+/**
+ * Recall probability after `elapsedDays` for a card with stability S.
+ * @param {number} elapsedDays
+ * @param {number} stability
+ * @returns {number} 0-1
+ */
+function forgettingCurve(elapsedDays, stability) {
+  if (!(stability > 0)) return 0;
+  return Math.pow(1 + (FACTOR * Math.max(0, elapsedDays)) / stability, DECAY);
+}
+
+/**
+ * Days until recall probability falls to `retention`.
+ * @param {number} stability
+ * @param {number} [retention]
+ * @returns {number} Whole days, >= 1.
+ */
+function nextIntervalDays(stability, retention = DESIRED_RETENTION) {
+  const days = (stability / FACTOR) * (Math.pow(retention, 1 / DECAY) - 1);
+  return clamp(Math.round(days), 1, MAX_INTERVAL_DAYS);
+}
+
+function initialStability(rating, w = DEFAULT_WEIGHTS) {
+  return Math.max(w[rating - 1], MIN_STABILITY);
+}
+
+function initialDifficulty(rating, w = DEFAULT_WEIGHTS) {
+  return clamp(w[4] - (rating - 3) * w[5], 1, 10);
+}
+
+function nextDifficulty(difficulty, rating, w = DEFAULT_WEIGHTS) {
+  const shifted = difficulty - w[6] * (rating - 3);
+  // Mean reversion towards the "Good" initial difficulty keeps D from
+  // getting stuck at either bound.
+  return clamp(w[7] * initialDifficulty(RATING.GOOD, w) + (1 - w[7]) * shifted, 1, 10);
+}
+
+function nextRecallStability(difficulty, stability, retrievability, rating, w = DEFAULT_WEIGHTS) {
+  const hardPenalty = rating === RATING.HARD ? w[15] : 1;
+  const easyBonus = rating === RATING.EASY ? w[16] : 1;
+  return stability * (
+    1 +
+    Math.exp(w[8]) *
+      (11 - difficulty) *
+      Math.pow(stability, -w[9]) *
+      (Math.exp(w[10] * (1 - retrievability)) - 1) *
+      hardPenalty *
+      easyBonus
+  );
+}
+
+function nextForgetStability(difficulty, stability, retrievability, w = DEFAULT_WEIGHTS) {
+  const s =
+    w[11] *
+    Math.pow(difficulty, -w[12]) *
+    (Math.pow(stability + 1, w[13]) - 1) *
+    Math.exp(w[14] * (1 - retrievability));
+  // A lapse can never make a memory *more* stable than it was.
+  return clamp(s, MIN_STABILITY, stability);
+}
+
+/**
+ * Seed FSRS memory state from a card's SM-2 fields. Never-reviewed cards
+ * have no memory yet and return null (the first FSRS review initialises
+ * them from the rating instead).
+ *
+ * interval → stability: SM-2 scheduled the card for `interval` days out,
+ * which is our best estimate of when recall would have dropped to ~90%.
+ * easeFactor → difficulty: the SM-2 default 2.5 lands mid-scale (5), the
+ * 1.3 floor lands at 10 and anything >= 3.7 at 1.
+ *
+ * @param {Object} current - { interval, easeFactor, nextReview, reviewStats }
+ * @returns {{ stability: number, difficulty: number, lastReview: Date } | null}
+ */
+function fromSm2(current = {}) {
+  const stats = current.reviewStats || {};
+  if (!stats.totalReviews && !stats.lastReviewedAt) return null;
+
+  const interval = current.interval || 0;
+  const stability = interval > 0 ? interval : DEFAULT_WEIGHTS[0];
+  const easeFactor = current.easeFactor || 2.5;
+  const difficulty = clamp(5 + (2.5 - easeFactor) * (5 / 1.2), 1, 10);
+
+  let lastReview = stats.lastReviewedAt ? new Date(stats.lastReviewedAt) : null;
+  if (!lastReview && current.nextReview) {
+    lastReview = new Date(new Date(current.nextReview).getTime() - interval * DAY_MS);
+  }
+
+  return { stability, difficulty, lastReview: lastReview || new Date() };
+}
+
+/**
+ * The card's FSRS memory state, re-seeding from SM-2 when it has none or
+ * when SM-2 has reviewed it since FSRS last did (the user switched back and
+ * forth between schedulers).
+ * @param {Object} current - Vocabulary fields incl. optional `fsrs`
+ * @returns {{ stability: number, difficulty: number, lastReview: Date } | null}
+ */
+function resolveMemoryState(current = {}) {
+  const fsrs = current.fsrs || {};
+  const lastSm2Review = current.reviewStats?.lastReviewedAt
+    ? new Date(current.reviewStats.lastReviewedAt).getTime()
+    : 0;
+  const lastFsrsReview = fsrs.lastReview ? new Date(fsrs.lastReview).getTime() : 0;
+
+  if (fsrs.stability > 0 && fsrs.difficulty > 0 && lastFsrsReview >= lastSm2Review) {
+    return {
+      stability: fsrs.stability,
+      difficulty: fsrs.difficulty,
+      lastReview: new Date(lastFsrsReview),
+    };
+  }
+  return fromSm2(current);
+}
+
+/**
+ * Predicted recall probability for a card right now.
+ * @param {Object} current - Vocabulary fields
+ * @param {Date} [now]
+ * @returns {number|null} 0-1, or null for a never-reviewed card.
+ */
+function retrievability(current = {}, now = new Date()) {
+  const memory = resolveMemoryState(current);
+  if (!memory) return null;
+  const elapsedDays = (now.getTime() - memory.lastReview.getTime()) / DAY_MS;
+  return forgettingCurve(elapsedDays, memory.stability);
+}
+
+/**
+ * Apply one review. Same return shape as srsEngine.applyReview plus the new
+ * `fsrs` memory state, so models/Vocabulary.js persists either uniformly.
+ * srsLevel / mastery keep the shared ladder (lib/srsEngine.js#advanceLevel)
+ * so stats, XP and achievements read the same under both schedulers.
+ *
+ * @param {Object} current - Vocabulary fields incl. optional `fsrs`
+ * @param {number} quality - 0-5
+ * @param {Date} [now]
+ * @param {Object} [options]
+ * @param {number[]} [options.weights]
+ * @param {number} [options.retention] - desired retention, default 0.9
+ * @returns {Object} Does not mutate `current`.
+ */
+function applyFsrsReview(current = {}, quality, now = new Date(), options = {}) {
+  const w = options.weights || DEFAULT_WEIGHTS;
+  const retention = options.retention || DESIRED_RETENTION;
+  const rating = ratingFromQuality(quality);
+  const wasCorrect = quality >= 3;
+
+  const memory = resolveMemoryState(current);
+  let stability;
+  let difficulty;
+
+  if (!memory) {
+    stability = initialStability(rating, w);
+    difficulty = initialDifficulty(rating, w);
+  } else {
+    const elapsedDays = Math.max(0, (now.getTime() - memory.lastReview.getTime()) / DAY_MS);
+    const r = forgettingCurve(elapsedDays, memory.stability);
+    difficulty = nextDifficulty(memory.difficulty, rating, w);
+    stability = rating === RATING.AGAIN
+      ? nextForgetStability(memory.difficulty, memory.stability, r, w)
+      : nextRecallStability(memory.difficulty, memory.stability, r, rating, w);
+  }
+  stability = Math.max(stability, MIN_STABILITY);
+
+  let interval;
+  const nextReview = new Date(now);
+  if (rating === RATING.AGAIN) {
+    // Relearn in the same session, exactly like an SM-2 lapse.
+    interval = 0;
+  } else {
+    interval = nextIntervalDays(stability, retention);
+    nextReview.setDate(nextReview.getDate() + interval);
+  }
+
+  const level = advanceLevel(current, wasCorrect, now);
+
+  return {
+    wasCorrect,
+    reviewStats: tallyReviewStats(current.reviewStats || {}, wasCorrect, now),
+    srsLevel: level.srsLevel,
+    interval,
+    // SM-2's ease factor is left untouched so switching back resumes cleanly.
+    easeFactor: current.easeFactor || 2.5,
+    nextReview,
+    isMastered: level.isMastered,
+    justMastered: level.justMastered,
+    masteredAt: level.masteredAt,
+    fsrs: { stability, difficulty, lastReview: now },
+  };
+}
+
+module.exports = {
+  applyFsrsReview,
+  retrievability,
+  fromSm2,
+  ratingFromQuality,
+  forgettingCurve,
+  nextIntervalDays,
+  RATING,
+  DEFAULT_WEIGHTS,
+  DESIRED_RETENTION,
+};
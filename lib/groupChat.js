@@ -0,0 +1,168 @@
+/**
+ * Private group chats — pure membership, role and delivery rules.
+ *
+ * A group is a Conversation with isGroup:true and roomType:null (never a
+ * hub/topic room). The creator is `owner`, `admins[]` can invite and kick
+ * members, and the owner also promotes/demotes admins. Group messages are
+ * Message documents with isGroupMessage:true, conversationId set to the
+ * group and `participants` holding the members at send time — that
+ * snapshot is who may read the message, get receipts and sync it.
+ *
+ * Blocking stays personal inside a group: nobody can invite someone they
+ * have a block relation with, and two members with a block relation
+ * don't see each other's messages. The group itself keeps working.
+ *
+ * No Mongoose/DB dependency here; services/groupChatService.js does the I/O.
+ */
+
+const MIN_GROUP_MEMBERS = 3;
+const MAX_GROUP_MEMBERS = 10;
+const MAX_GROUP_NAME_LENGTH = 50;
+
+const toId = (id) => (id && id._id ? id._id : id).toString();
+const includesId = (list, id) => Array.isArray(list) && list.some(item => item != null && toId(item) === toId(id));
+const uniqueIds = (ids) => [...new Set((ids || []).filter(Boolean).map(toId))];
+
+/**
+ * @param {*} name
+ * @returns {string|null} trimmed name, or null when empty/too long
+ */
+function normalizeGroupName(name) {
+  if (typeof name !== 'string') return null;
+  const trimmed = name.replace(/\s+/g, ' ').trim();
+  if (!trimmed || trimmed.length > MAX_GROUP_NAME_LENGTH) return null;
+  return trimmed;
+}
+
+/**
+ * @param {Object} group - { owner, admins, participants }
+ * @param {*} userId
+ * @returns {'owner'|'admin'|'member'|null} null when not a member
+ */
+function memberRole(group, userId) {
+  if (!group || userId == null || !includesId(group.participants, userId)) return null;
+  if (group.owner && toId(group.owner) === toId(userId)) return 'owner';
+  if (includesId(group.admins, userId)) return 'admin';
+  return 'member';
+}
+
+/**
+ * Owner and admins invite; the owner removes anyone, admins remove
+ * plain members only.
+ * @param {string|null} actorRole
+ * @param {string|null} targetRole
+ * @returns {boolean}
+ */
+function canRemove(actorRole, targetRole) {
+  if (!targetRole || targetRole === 'owner') return false;
+  if (actorRole === 'owner') return true;
+  return actorRole === 'admin' && targetRole === 'member';
+}
+
+/**
+ * Validate the people a new group starts with
+ * @param {*} creatorId
+ * @param {Array} memberIds - invitees, creator optional
+ * @param {Array} blockedIds - block relations of the creator (both directions)
+ * @returns {{ error?: string, code?: string, memberIds?: string[] }}
+ *   memberIds includes the creator, first
+ */
+function checkNewGroup(creatorId, memberIds, blockedIds = []) {
+  const creator = toId(creatorId);
+  const invitees = uniqueIds(memberIds).filter(id => id !== creator);
+
+  if (invitees.some(id => includesId(blockedIds, id))) {
+    return { error: 'You cannot add a user you have blocked or who has blocked you', code: 'GROUP_MEMBER_BLOCKED' };
+  }
+
+  const members = [creator, ...invitees];
+  if (members.length < MIN_GROUP_MEMBERS) {
+    return { error: `A group needs at least ${MIN_GROUP_MEMBERS} members including you`, code: 'GROUP_TOO_SMALL' };
+  }
+  if (members.length > MAX_GROUP_MEMBERS) {
+    return { error: `A group can have at most ${MAX_GROUP_MEMBERS} members`, code: 'GROUP_FULL' };
+  }
+  return { memberIds: members };
+}
+
+/**
+ * Validate an invite to an existing group
+ * @param {Object} group - { participants }
+ * @param {Array} inviteeIds
+ * @param {Array} blockedIds - block relations of the inviter
+ * @returns {{ error?: string, code?: string, added?: string[] }}
+ *   added omits people already in the group
+ */
+function checkInvite(group, inviteeIds, blockedIds = []) {
+  const added = uniqueIds(inviteeIds).filter(id => !includesId(group.participants, id));
+
+  if (added.some(id => includesId(blockedIds, id))) {
+    return { error: 'You cannot add a user you have blocked or who has blocked you', code: 'GROUP_MEMBER_BLOCKED' };
+  }
+  if ((group.participants || []).length + added.length > MAX_GROUP_MEMBERS) {
+    return { error: `A group can have at most ${MAX_GROUP_MEMBERS} members`, code: 'GROUP_FULL' };
+  }
+  return { added };
+}
+
+/**
+ * Who becomes owner when the owner leaves: the longest-standing admin,
+ * otherwise the longest-standing member.
+ * @param {Object} group - { admins, participants }
+ * @param {*} leavingId
+ * @returns {string|null} null when nobody is left
+ */
+function nextOwner(group, leavingId) {
+  const leaving = toId(leavingId);
+  const remaining = uniqueIds(group.participants).filter(id => id !== leaving);
+  const admin = uniqueIds(group.admins).find(id => id !== leaving && remaining.includes(id));
+  return admin || remaining[0] || null;
+}
+
+/**
+ * Members a message is delivered to live and by push: everyone in the
+ * snapshot except the sender and anyone with a block relation to them.
+ * @param {Array} memberIds
+ * @param {*} senderId
+ * @param {Array} senderBlockedIds - block relations of the sender
+ * @returns {string[]}
+ */
+function deliveryRecipients(memberIds, senderId, senderBlockedIds = []) {
+  const sender = toId(senderId);
+  return uniqueIds(memberIds).filter(id => id !== sender && !includesId(senderBlockedIds, id));
+}
+
+/**
+ * Per-member read state of a group message, for the sender's "read by" view
+ * @param {Object} message - { sender, participants, readBy }
+ * @returns {{ readBy: Object[], unreadBy: string[] }}
+ */
+function readReceipts(message) {
+  const sender = toId(message.sender);
+  const members = uniqueIds(message.participants).filter(id => id !== sender);
+  const reads = new Map();
+  for (const entry of message.readBy || []) {
+    if (!entry || !entry.user) continue;
+    const id = toId(entry.user);
+    if (members.includes(id) && !reads.has(id)) reads.set(id, entry.readAt || null);
+  }
+
+  return {
+    readBy: [...reads].map(([user, readAt]) => ({ user, readAt })),
+    unreadBy: members.filter(id => !reads.has(id))
+  };
+}
+
+module.exports = {
+  MIN_GROUP_MEMBERS,
+  MAX_GROUP_MEMBERS,
+  MAX_GROUP_NAME_LENGTH,
+  normalizeGroupName,
+  memberRole,
+  canRemove,
+  checkNewGroup,
+  checkInvite,
+  nextOwner,
+  deliveryRecipients,
+  readReceipts
+};
@@ -0,0 +1,219 @@
+/**
+ * Known L1-interference patterns — pure, no I/O.
+ *
+ * When a learner's mispronounced phoneme (lib/phonemes.js) matches a
+ * substitution their native language is known to cause, pronunciation
+ * scoring tags it with the pattern id so the app can explain *why* ("Korean
+ * has one liquid sound for both R and L") and stats can count how often
+ * each habit shows up. Only substitutions and dropped sounds are matched;
+ * the transcript never shows a sound the recogniser didn't turn into text.
+ *
+ * Each pattern:
+ *   id         stable tag stored on PronunciationAttempt (never rename)
+ *   l1         native languages (ISO 639-1) the pattern applies to
+ *   languages  target languages whose phoneme set the pairs are written in
+ *   pairs      [expected, heard] phoneme pairs; heard null = sound dropped
+ */
+
+const PATTERNS = [
+  // ---- learners of English (ARPAbet labels) ------------------------------
+  {
+    id: 'ko_r_l', l1: ['ko'], languages: ['en'],
+    pairs: [['R', 'L'], ['L', 'R']],
+    label: 'R / L confusion',
+    tip: 'Korean ㄹ covers both sounds. Curl the tongue back without touching the roof of the mouth for R; touch the ridge behind the teeth for L.',
+  },
+  {
+    id: 'ko_f_p', l1: ['ko'], languages: ['en'],
+    pairs: [['F', 'P'], ['F', 'HH']],
+    label: 'F heard as P',
+    tip: 'Rest the top teeth on the lower lip and push air through — the lips never close for F.',
+  },
+  {
+    id: 'ko_v_b', l1: ['ko', 'ja', 'es'], languages: ['en'],
+    pairs: [['V', 'B'], ['B', 'V']],
+    label: 'V / B confusion',
+    tip: 'V is F with voice: teeth on the lower lip. B closes both lips.',
+  },
+  {
+    id: 'ko_z_j', l1: ['ko'], languages: ['en'],
+    pairs: [['Z', 'JH']],
+    label: 'Z heard as J',
+    tip: 'Keep the tongue behind the teeth and let Z buzz like a bee instead of releasing it like J.',
+  },
+  {
+    id: 'th_stopping', l1: ['ko', 'ja', 'zh', 'fr', 'de', 'es', 'ar'], languages: ['en'],
+    pairs: [['TH', 'S'], ['TH', 'T'], ['TH', 'D'], ['TH', 'Z'], ['TH', 'F']],
+    label: 'TH replaced',
+    tip: 'Put the tongue tip lightly between the teeth and blow — TH has no equivalent in your first language.',
+  },
+  {
+    id: 'ja_r_l', l1: ['ja'], languages: ['en'],
+    pairs: [['R', 'L'], ['L', 'R']],
+    label: 'R / L confusion',
+    tip: 'Japanese ら行 sits between the two. Round the lips slightly for R; press the tongue tip to the gum ridge for L.',
+  },
+  {
+    id: 'ja_f_h', l1: ['ja'], languages: ['en'],
+    pairs: [['F', 'HH']],
+    label: 'F heard as H',
+    tip: 'Japanese ふ uses both lips; English F needs the top teeth on the lower lip.',
+  },
+  {
+    id: 'asian_short_long_i', l1: ['ko', 'ja', 'zh', 'es', 'fr'], languages: ['en'],
+    pairs: [['IH', 'IY'], ['IY', 'IH']],
+    label: 'Short i / long ee',
+    tip: '"ship" is short and relaxed; "sheep" is longer with spread lips.',
+  },
+  {
+    id: 'zh_n_l', l1: ['zh'], languages: ['en'],
+    pairs: [['N', 'L'], ['L', 'N']],
+    label: 'N / L confusion',
+    tip: 'N sends the air through the nose; for L, air flows over the sides of the tongue.',
+  },
+  {
+    id: 'zh_v_w', l1: ['zh', 'de'], languages: ['en'],
+    pairs: [['V', 'W'], ['W', 'V']],
+    label: 'V / W confusion',
+    tip: 'W rounds the lips without touching the teeth; V puts the top teeth on the lower lip.',
+  },
+  {
+    id: 'es_sh_ch', l1: ['es'], languages: ['en'],
+    pairs: [['SH', 'CH'], ['CH', 'SH']],
+    label: 'SH / CH confusion',
+    tip: 'SH is a continuous hiss ("shoe"); CH starts with a stop ("chew").',
+  },
+  {
+    id: 'es_j_y', l1: ['es'], languages: ['en'],
+    pairs: [['JH', 'Y'], ['Y', 'JH']],
+    label: 'J / Y confusion',
+    tip: '"jet" starts with a stop like D; "yet" glides from an ee sound.',
+  },
+  {
+    id: 'es_z_s', l1: ['es'], languages: ['en'],
+    pairs: [['Z', 'S']],
+    label: 'Z devoiced to S',
+    tip: 'Keep the voice on through Z — touch your throat and feel it buzz.',
+  },
+  {
+    id: 'ar_p_b', l1: ['ar'], languages: ['en'],
+    pairs: [['P', 'B'], ['B', 'P']],
+    label: 'P / B confusion',
+    tip: 'Arabic has no P. Release it with a puff of air and no voice; B is voiced.',
+  },
+  {
+    id: 'ar_v_f', l1: ['ar'], languages: ['en'],
+    pairs: [['V', 'F']],
+    label: 'V devoiced to F',
+    tip: 'Same mouth position as F — add your voice for V.',
+  },
+  {
+    id: 'h_dropping', l1: ['fr'], languages: ['en'],
+    pairs: [['HH', null]],
+    label: 'Dropped H',
+    tip: 'French never sounds H. Breathe out audibly at the start of "house".',
+  },
+
+  // ---- learners of Spanish -----------------------------------------------
+  {
+    id: 'en_es_trill', l1: ['en', 'ko', 'ja', 'zh'], languages: ['es'],
+    pairs: [['RR', 'R'], ['RR', 'L'], ['R', 'L']],
+    label: 'Rolled R',
+    tip: 'Tap the tongue tip on the gum ridge for r; let it flutter several times for rr.',
+  },
+  {
+    id: 'en_es_ny', l1: ['en'], languages: ['es'],
+    pairs: [['NY', 'N']],
+    label: 'Ñ flattened to N',
+    tip: 'Press the middle of the tongue to the roof of the mouth, as in "canyon".',
+  },
+
+  // ---- learners of Korean (romanised jamo) -------------------------------
+  {
+    id: 'ko_stop_series', l1: ['en', 'es', 'fr', 'de', 'zh', 'ja', 'ar'], languages: ['ko'],
+    pairs: [
+      ['g', 'k'], ['k', 'g'], ['g', 'kk'], ['kk', 'g'], ['k', 'kk'], ['kk', 'k'],
+      ['d', 't'], ['t', 'd'], ['d', 'tt'], ['tt', 'd'], ['t', 'tt'], ['tt', 't'],
+      ['b', 'p'], ['p', 'b'], ['b', 'pp'], ['pp', 'b'], ['p', 'pp'], ['pp', 'p'],
+      ['j', 'ch'], ['ch', 'j'], ['j', 'jj'], ['jj', 'j'], ['ch', 'jj'], ['jj', 'ch'],
+      ['s', 'ss'], ['ss', 's'],
+    ],
+    label: 'Plain / aspirated / tense consonants',
+    tip: 'Korean contrasts three kinds of stops: plain (ㄱ), aspirated with a puff of air (ㅋ) and tense with no air (ㄲ).',
+  },
+  {
+    id: 'ko_eo_o', l1: ['en', 'es', 'fr', 'de', 'zh', 'ja', 'ar'], languages: ['ko'],
+    pairs: [['eo', 'o'], ['o', 'eo'], ['yeo', 'yo'], ['yo', 'yeo']],
+    label: 'ㅓ / ㅗ confusion',
+    tip: 'ㅓ is open with unrounded lips; ㅗ rounds the lips tightly.',
+  },
+  {
+    id: 'ko_eu_u', l1: ['en', 'es', 'fr', 'de', 'zh', 'ja', 'ar'], languages: ['ko'],
+    pairs: [['eu', 'u'], ['u', 'eu']],
+    label: 'ㅡ / ㅜ confusion',
+    tip: 'ㅡ keeps the lips flat as if smiling; ㅜ rounds them.',
+  },
+
+  // ---- learners of Japanese (kana morae) ---------------------------------
+  {
+    id: 'ja_geminate', l1: ['en', 'es', 'fr', 'de', 'zh', 'ko', 'ar'], languages: ['ja'],
+    pairs: [['Q', null]],
+    label: 'Missing small っ',
+    tip: 'Hold the consonant for one extra beat before releasing it (きって = ki-t-te).',
+  },
+  {
+    id: 'ja_long_vowel', l1: ['en', 'es', 'fr', 'de', 'zh', 'ko', 'ar'], languages: ['ja'],
+    pairs: [['ː', null], ['u', null], ['i', null]],
+    label: 'Shortened long vowel',
+    tip: 'Long vowels take two beats in Japanese; shortening one can change the word (おばあさん vs おばさん).',
+  },
+];
+
+const baseLanguage = (language) => String(language || '').toLowerCase().split(/[-_]/)[0];
+
+// "<l1>|<language>|<expected>|<heard>" → pattern
+const INDEX = new Map();
+for (const pattern of PATTERNS) {
+  for (const l1 of pattern.l1) {
+    for (const language of pattern.languages) {
+      for (const [expected, heard] of pattern.pairs) {
+        const key = `${l1}|${language}|${expected}|${heard}`;
+        if (!INDEX.has(key)) INDEX.set(key, pattern);
+      }
+    }
+  }
+}
+
+const BY_ID = new Map(PATTERNS.map(pattern => [pattern.id, pattern]));
+
+/**
+ * The interference pattern explaining a mispronounced phoneme, if any.
+ * @param {Object} params
+ * @param {string} params.nativeLanguage - learner's L1 (ISO 639-1)
+ * @param {string} params.language - target language (ISO 639-1)
+ * @param {string} params.expected - phoneme in the target word
+ * @param {string|null} params.heard - phoneme recognised instead; null when dropped
+ * @returns {string|null} pattern id
+ */
+const matchInterference = ({ nativeLanguage, language, expected, heard }) => {
+  const l1 = baseLanguage(nativeLanguage);
+  const lang = baseLanguage(language);
+  if (!l1 || !lang || l1 === lang) return null;
+  return INDEX.get(`${l1}|${lang}|${expected}|${heard ?? null}`)?.id || null;
+};
+
+/**
+ * Display fields for a pattern id.
+ * @param {string} id
+ * @returns {{ id: string, label: string, tip: string }|null}
+ */
+const describeInterference = (id) => {
+  const pattern = BY_ID.get(id);
+  return pattern ? { id: pattern.id, label: pattern.label, tip: pattern.tip } : null;
+};
+
+module.exports = {
+  PATTERNS,
+  matchInterference,
+  describeInterference,
+};
@@ -0,0 +1,275 @@
+/**
+ * Link previews for URLs in messages, comments and moments — pure helpers.
+ *
+ * services/linkPreviewService.js fetches the page; everything that decides
+ * what may be fetched and what ends up in a preview lives here so it is
+ * unit-testable: which URL in the text is previewed, which hosts and
+ * addresses are off limits (SSRF), how title/description/image are read
+ * from the page and cleaned, and which URLs point at our own site.
+ */
+
+const net = require('net');
+
+const MAX_URL_LENGTH = 2048;
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 300;
+const MAX_SITE_NAME_LENGTH = 100;
+const ALLOWED_PORTS = ['', '80', '443'];
+// Hostnames that only resolve inside our network
+const BLOCKED_HOST_SUFFIXES = ['localhost', '.local', '.internal', '.localdomain', '.home.arpa'];
+
+// Stored on Message, Comment and Moment as `linkPreview`
+const LINK_PREVIEW_FIELDS = {
+  url: String,
+  title: String,
+  description: String,
+  image: String,
+  siteName: String,
+  // Links to our own moments/profiles, read from the database
+  internal: Boolean,
+  fetchedAt: Date
+};
+
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"'`]+/gi;
+// Trailing punctuation is part of the sentence, not the URL
+const TRAILING_PUNCTUATION = /[.,;:!?'")\]}>]+$/;
+
+/**
+ * The first http(s) URL in a piece of text
+ * @param {*} text
+ * @returns {string|null}
+ */
+function firstUrl(text) {
+  if (typeof text !== 'string') return null;
+  const matches = text.match(URL_PATTERN) || [];
+  for (const match of matches) {
+    let url = match.replace(TRAILING_PUNCTUATION, '');
+    // Keep a closing paren that belongs to the URL, e.g. wiki links
+    if (match.length > url.length && match[url.length] === ')' && url.includes('(')) {
+      url += ')';
+    }
+    if (url.length <= MAX_URL_LENGTH && checkUrl(url).url) return url;
+  }
+  return null;
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local, reserved or
+ * otherwise not on the public internet
+ * @param {string} address
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) return isPrivateIPv4(address);
+  if (family === 6) return isPrivateIPv6(address);
+  return true;
+}
+
+function isPrivateIPv4(address) {
+  const [a, b, c] = address.split('.').map(Number);
+  return a === 0 ||
+    a === 10 ||
+    a === 127 ||
+    (a === 100 && b >= 64 && b <= 127) || // carrier-grade NAT
+    (a === 169 && b === 254) || // link-local, cloud metadata
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 0 && (c === 0 || c === 2)) ||
+    (a === 192 && b === 168) ||
+    (a === 198 && (b === 18 || b === 19)) ||
+    (a === 198 && b === 51 && c === 100) ||
+    (a === 203 && b === 0 && c === 113) ||
+    a >= 224; // multicast, reserved, broadcast
+}
+
+function isPrivateIPv6(address) {
+  const lower = address.toLowerCase();
+  // IPv4-mapped (::ffff:10.0.0.1) and NAT64 (64:ff9b::10.0.0.1)
+  const embedded = lower.match(/^(?:::ffff:|64:ff9b::)(\d+\.\d+\.\d+\.\d+)$/);
+  if (embedded) return isPrivateIPv4(embedded[1]);
+  const mappedHex = lower.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (mappedHex) {
+    const high = parseInt(mappedHex[1], 16);
+    const low = parseInt(mappedHex[2], 16);
+    return isPrivateIPv4(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+  }
+  return lower === '::' ||
+    lower === '::1' ||
+    /^f[cd]/.test(lower) || // unique local
+    /^fe[89ab]/.test(lower) || // link-local
+    /^ff/.test(lower) || // multicast
+    /^2001:db8:/.test(lower) || // documentation
+    /^::/.test(lower); // other IPv4-compatible forms
+}
+
+/**
+ * Whether a URL may be fetched at all, before DNS. Addresses a hostname
+ * resolves to are checked again at connect time.
+ * @param {string} raw
+ * @returns {{ url?: URL, error?: string }}
+ */
+function checkUrl(raw) {
+  if (typeof raw !== 'string' || !raw || raw.length > MAX_URL_LENGTH) {
+    return { error: 'Invalid URL' };
+  }
+  let url;
+  try {
+    url = new URL(raw);
+  } catch (err) {
+    return { error: 'Invalid URL' };
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return { error: 'Only http and https links can be previewed' };
+  }
+  if (url.username || url.password) {
+    return { error: 'Links with credentials cannot be previewed' };
+  }
+  if (!ALLOWED_PORTS.includes(url.port)) {
+    return { error: 'Links to non-standard ports cannot be previewed' };
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (!host || !host.includes('.') && !net.isIP(host)) {
+    return { error: 'Links to internal hosts cannot be previewed' };
+  }
+  if (BLOCKED_HOST_SUFFIXES.some(suffix => host === suffix.replace(/^\./, '') || host.endsWith(suffix))) {
+    return { error: 'Links to internal hosts cannot be previewed' };
+  }
+  if (net.isIP(host) && isPrivateAddress(host)) {
+    return { error: 'Links to private addresses cannot be previewed' };
+  }
+
+  url.hash = '';
+  return { url };
+}
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', '#39': "'" };
+
+function decodeEntities(value) {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+\d*);/gi, (entity, name) => {
+    const lower = name.toLowerCase();
+    if (lower.startsWith('#x') || lower.startsWith('#')) {
+      const code = lower.startsWith('#x') ? parseInt(lower.slice(2), 16) : parseInt(lower.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+    }
+    return NAMED_ENTITIES[lower] !== undefined ? NAMED_ENTITIES[lower] : entity;
+  });
+}
+
+/**
+ * Plain, single-line text: entities decoded, tags and control characters
+ * removed, whitespace collapsed, cut to `max` characters
+ * @param {*} value
+ * @param {number} max
+ * @returns {string|null}
+ */
+function sanitizeText(value, max) {
+  if (typeof value !== 'string') return null;
+  const text = decodeEntities(value.replace(/<[^>]*>/g, ' '))
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/[\u0000-\u001f\u007f-\u009f\u200b-\u200f\u202a-\u202e\u2066-\u2069]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (!text) return null;
+  return text.length > max ? `${text.slice(0, max - 1).trimEnd()}…` : text;
+}
+
+/**
+ * An absolute http(s) image URL, resolved against the page
+ * @param {*} value
+ * @param {string} pageUrl
+ * @returns {string|null}
+ */
+function sanitizeImageUrl(value, pageUrl) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  try {
+    const url = new URL(decodeEntities(value.trim()), pageUrl);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    if (url.username || url.password) return null;
+    const href = url.toString();
+    return href.length <= MAX_URL_LENGTH ? href : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+const META_TAG = /<meta\b[^>]*>/gi;
+const ATTRIBUTE = /([a-z][a-z0-9:_-]*)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/gi;
+
+function readMetaTags(html) {
+  const tags = new Map();
+  for (const tag of html.match(META_TAG) || []) {
+    const attrs = {};
+    let match;
+    ATTRIBUTE.lastIndex = 0;
+    while ((match = ATTRIBUTE.exec(tag)) !== null) {
+      attrs[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4] ?? '';
+    }
+    const key = (attrs.property || attrs.name || '').toLowerCase();
+    if (key && attrs.content !== undefined && !tags.has(key)) {
+      tags.set(key, attrs.content);
+    }
+  }
+  return tags;
+}
+
+/**
+ * Preview fields from a page's HTML: Open Graph first, then Twitter card
+ * tags, then <title> and the description meta tag
+ * @param {string} html
+ * @param {string} pageUrl - final URL after redirects
+ * @returns {Object|null} null when the page has no title
+ */
+function parseMetadata(html, pageUrl) {
+  if (typeof html !== 'string') return null;
+  const tags = readMetaTags(html);
+  const first = (...keys) => keys.map(key => tags.get(key)).find(value => value && value.trim());
+  const titleTag = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+
+  const title = sanitizeText(first('og:title', 'twitter:title') || (titleTag && titleTag[1]), MAX_TITLE_LENGTH);
+  if (!title) return null;
+
+  const host = new URL(pageUrl).hostname.replace(/^www\./, '');
+  return {
+    url: pageUrl,
+    title,
+    description: sanitizeText(first('og:description', 'twitter:description', 'description'), MAX_DESCRIPTION_LENGTH),
+    image: sanitizeImageUrl(first('og:image:secure_url', 'og:image', 'og:image:url', 'twitter:image', 'twitter:image:src'), pageUrl),
+    siteName: sanitizeText(first('og:site_name', 'application-name'), MAX_SITE_NAME_LENGTH) || host,
+    internal: false
+  };
+}
+
+const INTERNAL_PATH = /^\/(moment|profile|community|user)\/([0-9a-f]{24})\/?$/i;
+
+/**
+ * The moment or profile a link to our own site points at
+ * @param {URL|string} url
+ * @param {string} frontendBase - e.g. https://banatalk.com
+ * @returns {{ type: string, id: string }|null}
+ */
+function internalTarget(url, frontendBase) {
+  try {
+    const link = typeof url === 'string' ? new URL(url) : url;
+    const ours = new URL(frontendBase).hostname.replace(/^www\./, '');
+    if (link.hostname.replace(/^www\./, '') !== ours) return null;
+    const match = link.pathname.match(INTERNAL_PATH);
+    return match ? { type: match[1].toLowerCase(), id: match[2].toLowerCase() } : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = {
+  LINK_PREVIEW_FIELDS,
+  MAX_TITLE_LENGTH,
+  MAX_DESCRIPTION_LENGTH,
+  firstUrl,
+  isPrivateAddress,
+  checkUrl,
+  sanitizeText,
+  sanitizeImageUrl,
+  parseMetadata,
+  internalTarget
+};
@@ -0,0 +1,182 @@
+/**
+ * In-process stand-in for the subset of ioredis that Redis-backed state
+ * (services/notificationBundlingService.js) uses: hashes, lists, sorted
+ * sets, key expiry and MULTI/EXEC.
+ *
+ * Used when REDIS_URL isn't set (single instance, state lost on restart,
+ * as before Redis) and by the tests. Commands resolve like ioredis; a
+ * MULTI runs all its commands in one synchronous step, so it is atomic
+ * here too, and exec() resolves to [[err, result], ...].
+ */
+
+class MemoryRedis {
+  constructor() {
+    this.store = new Map(); // key -> { type, value, expiresAt }
+  }
+
+  _entry(key, type) {
+    const entry = this.store.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.store.delete(key);
+      return null;
+    }
+    if (type && entry.type !== type) {
+      throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+    }
+    return entry;
+  }
+
+  _ensure(key, type, init) {
+    let entry = this._entry(key, type);
+    if (!entry) {
+      entry = { type, value: init(), expiresAt: null };
+      this.store.set(key, entry);
+    }
+    return entry;
+  }
+
+  // ---- commands (synchronous; the public methods wrap them) ----
+
+  _del(...keys) {
+    let removed = 0;
+    for (const key of keys.flat()) {
+      if (this._entry(key)) removed += 1;
+      this.store.delete(key);
+    }
+    return removed;
+  }
+
+  _expire(key, seconds) {
+    const entry = this._entry(key);
+    if (!entry) return 0;
+    entry.expiresAt = Date.now() + Number(seconds) * 1000;
+    return 1;
+  }
+
+  _hset(key, ...args) {
+    const pairs = args.length === 1 && typeof args[0] === 'object'
+      ? Object.entries(args[0])
+      : args.reduce((acc, v, i) => (i % 2 ? acc : [...acc, [v, args[i + 1]]]), []);
+    const hash = this._ensure(key, 'hash', () => new Map()).value;
+    let added = 0;
+    for (const [field, value] of pairs) {
+      if (!hash.has(field)) added += 1;
+      hash.set(field, String(value));
+    }
+    return added;
+  }
+
+  _hsetnx(key, field, value) {
+    const hash = this._ensure(key, 'hash', () => new Map()).value;
+    if (hash.has(field)) return 0;
+    hash.set(field, String(value));
+    return 1;
+  }
+
+  _hincrby(key, field, increment) {
+    const hash = this._ensure(key, 'hash', () => new Map()).value;
+    const next = Number(hash.get(field) || 0) + Number(increment);
+    hash.set(field, String(next));
+    return next;
+  }
+
+  _hgetall(key) {
+    const entry = this._entry(key, 'hash');
+    return entry ? Object.fromEntries(entry.value) : {};
+  }
+
+  _rpush(key, ...values) {
+    const list = this._ensure(key, 'list', () => []).value;
+    list.push(...values.flat().map(String));
+    return list.length;
+  }
+
+  _lrange(key, start, stop) {
+    const entry = this._entry(key, 'list');
+    if (!entry) return [];
+    const list = entry.value;
+    const from = start < 0 ? Math.max(list.length + start, 0) : start;
+    const to = stop < 0 ? list.length + stop : Math.min(stop, list.length - 1);
+    return list.slice(from, to + 1);
+  }
+
+  _zadd(key, ...args) {
+    const nx = args[0] === 'NX';
+    if (nx) args = args.slice(1);
+    const zset = this._ensure(key, 'zset', () => new Map()).value;
+    let added = 0;
+    for (let i = 0; i < args.length; i += 2) {
+      const member = String(args[i + 1]);
+      if (zset.has(member)) {
+        if (!nx) zset.set(member, Number(args[i]));
+      } else {
+        zset.set(member, Number(args[i]));
+        added += 1;
+      }
+    }
+    return added;
+  }
+
+  _zrem(key, ...members) {
+    const entry = this._entry(key, 'zset');
+    if (!entry) return 0;
+    let removed = 0;
+    for (const member of members.flat()) {
+      if (entry.value.delete(String(member))) removed += 1;
+    }
+    return removed;
+  }
+
+  _zrangebyscore(key, min, max, ...rest) {
+    const entry = this._entry(key, 'zset');
+    if (!entry) return [];
+    const bound = (v) => (v === '-inf' ? -Infinity : v === '+inf' ? Infinity : Number(v));
+    let result = [...entry.value.entries()]
+      .filter(([, score]) => score >= bound(min) && score <= bound(max))
+      .sort((a, b) => a[1] - b[1] || (a[0] < b[0] ? -1 : 1))
+      .map(([member]) => member);
+    const limit = rest.indexOf('LIMIT');
+    if (limit !== -1) {
+      const offset = Number(rest[limit + 1]);
+      const count = Number(rest[limit + 2]);
+      result = result.slice(offset, count < 0 ? undefined : offset + count);
+    }
+    return result;
+  }
+
+  _zcard(key) {
+    const entry = this._entry(key, 'zset');
+    return entry ? entry.value.size : 0;
+  }
+
+  multi() {
+    const queued = [];
+    const chain = {
+      exec: async () => queued.map(([name, args]) => {
+        try {
+          return [null, this[`_${name}`](...args)];
+        } catch (err) {
+          return [err, null];
+        }
+      })
+    };
+    for (const name of COMMANDS) {
+      chain[name] = (...args) => {
+        queued.push([name, args]);
+        return chain;
+      };
+    }
+    return chain;
+  }
+}
+
+const COMMANDS = ['del', 'expire', 'hset', 'hsetnx', 'hincrby', 'hgetall', 'rpush', 'lrange', 'zadd', 'zrem', 'zrangebyscore', 'zcard'];
+
+for (const name of COMMANDS) {
+  MemoryRedis.prototype[name] = async function(...args) {
+    return this[`_${name}`](...args);
+  };
+}
+
+module.exports = MemoryRedis;
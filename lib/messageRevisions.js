@@ -0,0 +1,89 @@
+/**
+ * Message edit window and revision history — pure helpers.
+ *
+ * A message starts at revision 0. Each edit moves the text it replaces
+ * into Message.editHistory and bumps `revision`. Corrections record the
+ * revision they were made against, and are flagged `baseChanged` once
+ * the text moves on, so a correction never silently points at words the
+ * sender has since rewritten. No Mongoose/DB dependency here.
+ */
+
+const DEFAULT_EDIT_WINDOW_MINUTES = 15;
+// Oldest revisions are dropped past this; corrections keep their own
+// copy of the text they were made against (originalText).
+const MAX_EDIT_REVISIONS = 20;
+
+/**
+ * Edit window in ms, from MESSAGE_EDIT_WINDOW_MINUTES (default 15)
+ * @param {Object} [env]
+ * @returns {number}
+ */
+function editWindowMs(env = process.env) {
+  const minutes = parseInt(env.MESSAGE_EDIT_WINDOW_MINUTES, 10);
+  return (minutes > 0 ? minutes : DEFAULT_EDIT_WINDOW_MINUTES) * 60 * 1000;
+}
+
+/**
+ * Whether `text` may replace the message's current text now
+ * @param {Object} message - { createdAt, isDeleted, message }
+ * @param {string} text - trimmed new text
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {number} [options.windowMs]
+ * @returns {{ error?: string, code?: string, unchanged?: boolean }}
+ */
+function checkEdit(message, text, { now = new Date(), windowMs = editWindowMs() } = {}) {
+  if (message.isDeleted) {
+    return { error: 'Cannot edit deleted message' };
+  }
+  if (now - new Date(message.createdAt) > windowMs) {
+    const minutes = Math.round(windowMs / 60000);
+    return {
+      error: `Message can only be edited within ${minutes} minute${minutes === 1 ? '' : 's'}`,
+      code: 'EDIT_WINDOW_EXPIRED'
+    };
+  }
+  if (text === message.message) {
+    return { unchanged: true };
+  }
+  return {};
+}
+
+/**
+ * The message's text versions, oldest first, current last. Each lists the
+ * ids of corrections made against it.
+ * @param {Object} message - with editHistory selected
+ * @returns {Object[]} { revision, message, createdAt, current, corrections }
+ */
+function listRevisions(message) {
+  const current = message.revision || 0;
+  const correctionsFor = (revision) => (message.corrections || [])
+    .filter(c => (c.revision || 0) === revision)
+    .map(c => String(c._id));
+
+  const previous = (message.editHistory || []).map(entry => ({
+    revision: entry.revision,
+    message: entry.message,
+    createdAt: entry.createdAt,
+    current: false,
+    corrections: correctionsFor(entry.revision)
+  }));
+
+  return [
+    ...previous,
+    {
+      revision: current,
+      message: message.message,
+      createdAt: message.editedAt || message.createdAt,
+      current: true,
+      corrections: correctionsFor(current)
+    }
+  ];
+}
+
+module.exports = {
+  MAX_EDIT_REVISIONS,
+  editWindowMs,
+  checkEdit,
+  listRevisions
+};
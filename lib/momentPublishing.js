@@ -0,0 +1,110 @@
+/**
+ * Moment drafts and scheduled posting — pure decision/query logic.
+ *
+ * A moment is 'draft' (saved, never published automatically), 'scheduled'
+ * (published by jobs/momentPublishJob.js once scheduledFor passes) or
+ * 'published'. Until it is published a moment is visible only to its
+ * author through GET /moments/scheduled: every feed, profile grid, single
+ * moment read by someone else and share page filters with onlyPublished().
+ * Moments saved before `status` existed have no status and count as
+ * published, hence $nin rather than an equality match.
+ */
+
+const UNPUBLISHED_STATUSES = ['draft', 'scheduled'];
+const MOMENT_STATUSES = [...UNPUBLISHED_STATUSES, 'published'];
+
+// Furthest ahead a moment can be scheduled
+const MAX_SCHEDULE_AHEAD_MS = 90 * 24 * 60 * 60 * 1000;
+
+/**
+ * Stamp the "published only" filter onto a flat Mongo query. Returns a new
+ * object, like excludeReels() in lib/reelsFeed.js.
+ * @param {Object} query
+ * @returns {Object}
+ */
+function onlyPublished(query = {}) {
+  return { ...query, status: { $nin: UNPUBLISHED_STATUSES } };
+}
+
+/**
+ * @param {Object} moment
+ * @returns {boolean}
+ */
+function isPublished(moment) {
+  return !UNPUBLISHED_STATUSES.includes(moment && moment.status);
+}
+
+/**
+ * Work out a moment's publish state from a create/update request.
+ *
+ * - status 'draft' → draft, whatever scheduledFor says.
+ * - scheduledFor (or status 'scheduled') → scheduled; the time must be in
+ *   the future and at most 90 days ahead.
+ * - otherwise → published now.
+ * A published moment can't go back to draft or scheduled. On update,
+ * neither field given means "no change" (returns { change: false }).
+ *
+ * @param {Object} params
+ * @param {string} [params.status] - requested status
+ * @param {string|Date|null} [params.scheduledFor] - requested time
+ * @param {string} [params.currentStatus] - existing moment's status (update only)
+ * @param {Date} [params.now]
+ * @returns {{ error?: string, change?: boolean, status?: string, scheduledFor?: Date|null, publishNow?: boolean }}
+ */
+function resolvePublishState({ status, scheduledFor, currentStatus, now = new Date() } = {}) {
+  const isUpdate = currentStatus !== undefined;
+  if (isUpdate && status === undefined && scheduledFor === undefined) {
+    return { change: false };
+  }
+  if (status !== undefined && !MOMENT_STATUSES.includes(status)) {
+    return { error: `status must be one of ${MOMENT_STATUSES.join(', ')}` };
+  }
+
+  const wasPublished = isUpdate && isPublished({ status: currentStatus });
+  if (wasPublished) {
+    if (status === 'draft' || status === 'scheduled' || scheduledFor) {
+      return { error: 'A published moment cannot be unpublished or rescheduled' };
+    }
+    return { change: false };
+  }
+
+  // Clearing the time alone is ambiguous (publish now? keep as draft?)
+  if (isUpdate && status === undefined && !scheduledFor) {
+    return { error: 'Pass status "draft" or "published" to unschedule a moment' };
+  }
+
+  let when = null;
+  if (scheduledFor) {
+    when = scheduledFor instanceof Date ? scheduledFor : new Date(scheduledFor);
+    if (Number.isNaN(when.getTime())) {
+      return { error: 'scheduledFor must be a valid date' };
+    }
+  }
+
+  if (status === 'draft') {
+    return { change: true, status: 'draft', scheduledFor: when, publishNow: false };
+  }
+
+  if (when || status === 'scheduled') {
+    if (!when) {
+      return { error: 'scheduledFor is required to schedule a moment' };
+    }
+    if (when <= now) {
+      return { error: 'Scheduled date must be in the future' };
+    }
+    if (when.getTime() - now.getTime() > MAX_SCHEDULE_AHEAD_MS) {
+      return { error: 'Moments can be scheduled at most 90 days ahead' };
+    }
+    return { change: true, status: 'scheduled', scheduledFor: when, publishNow: false };
+  }
+
+  return { change: true, status: 'published', scheduledFor: null, publishNow: true };
+}
+
+module.exports = {
+  onlyPublished,
+  isPublished,
+  resolvePublishState,
+  MOMENT_STATUSES,
+  UNPUBLISHED_STATUSES
+};
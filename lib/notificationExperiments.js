@@ -0,0 +1,282 @@
+'use strict';
+
+/**
+ * Notification copy experiments — pure rules, no I/O.
+ *
+ * An experiment tests copy variants against each other:
+ * - `template` experiments replace one notification_templates key (e.g.
+ *   'moment_comment'). A variant without copy is the control and renders
+ *   the standard template; a variant with copy uses its own, per locale
+ *   with a default, and the same {placeholders}
+ * - `broadcast` experiments split one admin broadcast; every variant has
+ *   copy. With a sampleRate below 1 only that share of users gets a
+ *   variant and the rest get the winner once it is promoted
+ *
+ * Each user lands in a variant by a hash of the experiment and user ids,
+ * weighted, so they keep seeing the same variant for as long as the
+ * experiment runs (variants and weights can't change once started). A
+ * promoted experiment sends its winner to everyone.
+ *
+ * Performance is measured on the in-app history rows the experiment
+ * produced (Notification.experiment / .variant): how many were sent and
+ * how many were opened (Notification.clicked, POST
+ * /notifications/mark-opened). The first variant is the baseline the
+ * others are compared with.
+ */
+
+const crypto = require('crypto');
+
+const EXPERIMENT_KINDS = ['template', 'broadcast'];
+const EXPERIMENT_STATUSES = ['running', 'promoted', 'stopped'];
+const MIN_VARIANTS = 2;
+const MAX_VARIANTS = 5;
+const MAX_NAME_LENGTH = 100;
+const MAX_TITLE_LENGTH = 100;
+const MAX_BODY_LENGTH = 500;
+const VARIANT_KEY = /^[a-z0-9_-]{1,20}$/;
+const LOCALE_KEY = /^[a-z]{2}$/;
+// |z| at or above this is a significant difference (95%, two-sided)
+const Z_SIGNIFICANT = 1.96;
+
+// Keys with no in-app history row can't be measured
+const UNMEASURABLE_KEYS = new Set(['chat_message', 'secret_chat_message', 'notification_digest']);
+
+const isPlainObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+
+/**
+ * {placeholders} used in a string
+ * @param {string} str
+ * @returns {string[]}
+ */
+function placeholders(str) {
+  return [...String(str || '').matchAll(/\{(\w+)\}/g)].map(m => m[1]);
+}
+
+/**
+ * Fraction in [0, 1) for a user within an experiment, stable for both
+ * @param {string} experimentId
+ * @param {string} userId
+ * @returns {number}
+ */
+function bucketOf(experimentId, userId) {
+  const digest = crypto.createHash('sha1').update(`${experimentId}:${userId}`).digest();
+  return digest.readUInt32BE(0) / 0x100000000;
+}
+
+/**
+ * Whether a user is in a broadcast experiment's sample
+ * @param {Object} experiment - { _id, sampleRate }
+ * @param {string} userId
+ * @returns {boolean}
+ */
+function inSample(experiment, userId) {
+  const rate = experiment.sampleRate === undefined ? 1 : experiment.sampleRate;
+  // A second hash, so the sample doesn't line up with the variant split
+  return bucketOf(`${experiment._id}:sample`, String(userId)) < rate;
+}
+
+/**
+ * The variant a user gets: the winner once promoted, otherwise a weighted
+ * pick that is the same every time for the same user
+ * @param {Object} experiment - { _id, status, winner, variants }
+ * @param {string} userId
+ * @returns {Object|null} variant, or null when the experiment is stopped
+ */
+function assignVariant(experiment, userId) {
+  if (!experiment || !Array.isArray(experiment.variants) || !experiment.variants.length) return null;
+  if (experiment.status === 'promoted') {
+    return experiment.variants.find(v => v.key === experiment.winner) || null;
+  }
+  if (experiment.status !== 'running') return null;
+
+  const total = experiment.variants.reduce((sum, v) => sum + v.weight, 0);
+  const point = bucketOf(String(experiment._id), String(userId)) * total;
+  let upTo = 0;
+  for (const variant of experiment.variants) {
+    upTo += variant.weight;
+    if (point < upTo) return variant;
+  }
+  return experiment.variants[experiment.variants.length - 1];
+}
+
+/**
+ * A variant's copy for a locale, or null for the control (standard template)
+ * @param {Object} variant - { title, body, locales }
+ * @param {string} locale
+ * @returns {{ title: string, body: string }|null}
+ */
+function variantCopy(variant, locale) {
+  if (!variant) return null;
+  const localized = variant.locales && (typeof variant.locales.get === 'function'
+    ? variant.locales.get(locale)
+    : variant.locales[locale]);
+  if (localized && localized.title && localized.body) {
+    return { title: localized.title, body: localized.body };
+  }
+  if (variant.title && variant.body) return { title: variant.title, body: variant.body };
+  return null;
+}
+
+/**
+ * Check one piece of variant copy
+ * @param {Object} copy - { title, body }
+ * @param {string} where - field path for the error
+ * @param {string[]} [allowedVars]
+ * @returns {string|null} error
+ */
+function checkCopy(copy, where, allowedVars) {
+  if (!isPlainObject(copy)) return `${where} must be an object with title and body`;
+  const { title, body } = copy;
+  if (typeof title !== 'string' || !title.trim() || title.length > MAX_TITLE_LENGTH) {
+    return `${where}.title is required (at most ${MAX_TITLE_LENGTH} characters)`;
+  }
+  if (typeof body !== 'string' || !body.trim() || body.length > MAX_BODY_LENGTH) {
+    return `${where}.body is required (at most ${MAX_BODY_LENGTH} characters)`;
+  }
+  if (allowedVars) {
+    const unknown = [...placeholders(title), ...placeholders(body)].find(v => !allowedVars.includes(v));
+    if (unknown) return `${where} uses {${unknown}}, which this template doesn't provide`;
+  }
+  return null;
+}
+
+/**
+ * Validate a new experiment
+ * @param {Object} body - { name, kind, templateKey, variants: [{ key, weight, title?, body?, locales? }], sampleRate? }
+ * @param {Object} [options]
+ * @param {string[]} [options.templateVars] - placeholders the template key
+ *   provides; variants may only use these
+ * @returns {{ experiment: Object, error: string|null }}
+ */
+function parseExperiment(body = {}, { templateVars } = {}) {
+  const fail = (error) => ({ experiment: null, error });
+  const kind = body.kind === undefined ? 'template' : body.kind;
+  if (!EXPERIMENT_KINDS.includes(kind)) return fail(`kind must be one of ${EXPERIMENT_KINDS.join(', ')}`);
+
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name || name.length > MAX_NAME_LENGTH) return fail(`name is required (at most ${MAX_NAME_LENGTH} characters)`);
+
+  const experiment = { name, kind };
+
+  if (kind === 'template') {
+    if (typeof body.templateKey !== 'string' || !body.templateKey) return fail('templateKey is required');
+    if (UNMEASURABLE_KEYS.has(body.templateKey)) {
+      return fail(`${body.templateKey} has no in-app history, so it can't be measured`);
+    }
+    experiment.templateKey = body.templateKey;
+  } else {
+    const rate = body.sampleRate === undefined ? 1 : body.sampleRate;
+    if (typeof rate !== 'number' || !(rate > 0 && rate <= 1)) return fail('sampleRate must be a number above 0 and at most 1');
+    experiment.sampleRate = rate;
+  }
+
+  const { variants } = body;
+  if (!Array.isArray(variants) || variants.length < MIN_VARIANTS || variants.length > MAX_VARIANTS) {
+    return fail(`variants must be a list of ${MIN_VARIANTS} to ${MAX_VARIANTS}`);
+  }
+
+  const seen = new Set();
+  experiment.variants = [];
+  for (const [i, v] of variants.entries()) {
+    const where = `variants[${i}]`;
+    if (!isPlainObject(v)) return fail(`${where} must be an object`);
+    if (typeof v.key !== 'string' || !VARIANT_KEY.test(v.key)) {
+      return fail(`${where}.key must be 1-20 lowercase letters, digits, _ or -`);
+    }
+    if (seen.has(v.key)) return fail(`Duplicate variant key: ${v.key}`);
+    seen.add(v.key);
+
+    const weight = v.weight === undefined ? 1 : v.weight;
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight <= 0) {
+      return fail(`${where}.weight must be a positive number`);
+    }
+
+    const variant = { key: v.key, weight };
+    const hasCopy = v.title !== undefined || v.body !== undefined;
+    if (hasCopy || kind === 'broadcast') {
+      const error = checkCopy(v, where, templateVars);
+      if (error) return fail(error);
+      variant.title = v.title.trim();
+      variant.body = v.body.trim();
+    }
+
+    if (v.locales !== undefined) {
+      if (kind === 'broadcast') return fail(`${where}.locales: broadcasts are sent in one language`);
+      if (!isPlainObject(v.locales)) return fail(`${where}.locales must be an object keyed by locale`);
+      variant.locales = {};
+      for (const [locale, copy] of Object.entries(v.locales)) {
+        if (!LOCALE_KEY.test(locale)) return fail(`${where}.locales: invalid locale ${locale}`);
+        const error = checkCopy(copy, `${where}.locales.${locale}`, templateVars);
+        if (error) return fail(error);
+        variant.locales[locale] = { title: copy.title.trim(), body: copy.body.trim() };
+      }
+    }
+
+    experiment.variants.push(variant);
+  }
+
+  if (kind === 'template' && experiment.variants.every(v => !v.title && !v.locales)) {
+    return fail('At least one variant needs its own copy');
+  }
+
+  return { experiment, error: null };
+}
+
+/**
+ * Compare variants on open rate. Each is compared with the first variant
+ * (the baseline) with a two-proportion z-test.
+ * @param {Array<{ key: string, weight: number }>} variants
+ * @param {Array<{ _id: string, sent: number, opened: number, read: number }>} rows - counts per variant
+ * @returns {{ variants: Object[], leader: string|null }}
+ */
+function compareVariants(variants, rows) {
+  const byKey = new Map(rows.map(r => [r._id, r]));
+  const results = variants.map(v => {
+    const row = byKey.get(v.key) || {};
+    const sent = row.sent || 0;
+    const opened = row.opened || 0;
+    return {
+      key: v.key,
+      weight: v.weight,
+      sent,
+      opened,
+      read: row.read || 0,
+      openRate: sent ? opened / sent : 0,
+    };
+  });
+
+  const [baseline] = results;
+  for (const r of results) {
+    if (r === baseline || !r.sent || !baseline.sent) {
+      r.lift = null;
+      r.zScore = null;
+      r.significant = false;
+      continue;
+    }
+    r.lift = baseline.openRate ? (r.openRate - baseline.openRate) / baseline.openRate : null;
+    const pooled = (r.opened + baseline.opened) / (r.sent + baseline.sent);
+    const se = Math.sqrt(pooled * (1 - pooled) * (1 / r.sent + 1 / baseline.sent));
+    r.zScore = se ? (r.openRate - baseline.openRate) / se : 0;
+    r.significant = Math.abs(r.zScore) >= Z_SIGNIFICANT;
+  }
+
+  const measured = results.filter(r => r.sent);
+  const leader = measured.length
+    ? measured.reduce((best, r) => (r.openRate > best.openRate ? r : best)).key
+    : null;
+
+  return { variants: results, leader };
+}
+
+module.exports = {
+  EXPERIMENT_KINDS,
+  EXPERIMENT_STATUSES,
+  UNMEASURABLE_KEYS,
+  placeholders,
+  bucketOf,
+  inSample,
+  assignVariant,
+  variantCopy,
+  parseExperiment,
+  compareVariants,
+};
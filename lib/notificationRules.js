@@ -0,0 +1,320 @@
+'use strict';
+
+/**
+ * Notification rules — per-type, per-channel preferences, pure (no I/O).
+ *
+ * Stored on User.notificationRules:
+ *   types          Map<type, { push, inApp, email, digest }>  unset = default
+ *   conversations  Map<conversationId, 'all'|'none'>
+ *   rooms          Map<roomId, 'all'|'mentions'|'none'>
+ *   digest         { time: 'HH:mm' in the quiet-hours timezone, lastSentAt }
+ *
+ * services/notificationService.js _shouldSendNotification combines these
+ * with the legacy notificationSettings/notificationPreferences toggles
+ * (which still switch whole categories off) into one decision per send:
+ * - a conversation or room override of 'none' silences every channel;
+ *   'mentions' lets only room_mention through
+ * - a type with digest on skips its push and is counted in the daily
+ *   summary instead (jobs/notificationDigestJob.js)
+ * - a push that passes is still held back by quiet hours and frequency caps
+ */
+
+const caps = require('../config/notificationCaps');
+const { isInQuietHours, formatHHmm } = require('./quietHours');
+const { localDateKey } = require('./deliveryTime');
+
+// Lockstep with models/Notification.js's type enum
+const NOTIFICATION_TYPES = [
+  'chat_message',
+  'moment_like',
+  'moment_comment',
+  'friend_request',
+  'profile_visit',
+  'follower_moment',
+  'system',
+  'wave',
+  'comment_reply',
+  'comment_reaction',
+  'comment_mention',
+  'room_mention',
+  'vip_renewal_warning',
+  'srs_review',
+  'streak_reminder',
+  'new_follower',
+  'story_mention',
+  'room_message',
+  'room_join',
+  'room_join_request',
+  'room_join_approved',
+  'room_join_denied',
+];
+
+const CHANNELS = ['push', 'inApp', 'email'];
+const DEFAULT_CHANNELS = { push: true, inApp: true, email: false };
+
+// Chat pushes have no in-app history row; the chat list is their inbox
+const NO_IN_APP_TYPES = new Set(['chat_message']);
+
+// Social activity that can wait for the daily summary. Chats, reminders,
+// account notices and join-request outcomes always go out on their own.
+const DIGESTIBLE_TYPES = new Set([
+  'moment_like',
+  'moment_comment',
+  'friend_request',
+  'profile_visit',
+  'follower_moment',
+  'wave',
+  'comment_reply',
+  'comment_reaction',
+  'comment_mention',
+  'room_mention',
+  'new_follower',
+  'story_mention',
+  'room_message',
+  'room_join',
+]);
+
+const CONVERSATION_MODES = ['all', 'none'];
+const ROOM_MODES = ['all', 'mentions', 'none'];
+const ROOM_MENTION_TYPES = new Set(['room_mention']);
+
+const DEFAULT_DIGEST_TIME = '20:00';
+const DEFAULT_TIMEZONE = 'Asia/Seoul';
+const HHMM = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const URGENT_TYPES = new Set(['incoming_call', 'missed_call']);
+
+// Mongoose Map exposes .get(key); plain objects fall back to bracket access for tests.
+const readMap = (map, key) => {
+  if (!map || key === undefined || key === null) return undefined;
+  if (typeof map.get === 'function') return map.get(String(key));
+  return map[String(key)];
+};
+
+const entriesOf = (map) => {
+  if (!map) return [];
+  if (typeof map.entries === 'function' && !Array.isArray(map)) return [...map.entries()];
+  return Object.entries(map);
+};
+
+/**
+ * Channels a type can be delivered on
+ * @param {string} type
+ * @returns {string[]}
+ */
+function availableChannels(type) {
+  return CHANNELS.filter(channel => channel !== 'inApp' || !NO_IN_APP_TYPES.has(type));
+}
+
+/**
+ * A user's channel settings for one type, defaults filled in
+ * @param {Object} user
+ * @param {string} type
+ * @returns {{ push: boolean, inApp: boolean, email: boolean, digest: boolean }}
+ */
+function typeRule(user, type) {
+  const stored = readMap(user && user.notificationRules && user.notificationRules.types, type) || {};
+  const rule = {};
+  for (const channel of CHANNELS) {
+    rule[channel] = availableChannels(type).includes(channel) &&
+      (typeof stored[channel] === 'boolean' ? stored[channel] : DEFAULT_CHANNELS[channel]);
+  }
+  rule.digest = DIGESTIBLE_TYPES.has(type) && stored.digest === true;
+  return rule;
+}
+
+/**
+ * The override that applies to a notification about a conversation or room.
+ * A chat muted the legacy way (notificationSettings.mutedChats) counts as
+ * 'none' unless it has an explicit override.
+ * @param {Object} user
+ * @param {Object} data - push data; conversationId / roomId
+ * @returns {string|null} mode, or null when there is none
+ */
+function overrideMode(user, data = {}) {
+  const rules = (user && user.notificationRules) || {};
+  if (data.roomId) {
+    const mode = readMap(rules.rooms, data.roomId);
+    if (mode) return mode;
+  }
+  if (data.conversationId) {
+    const mode = readMap(rules.conversations, data.conversationId);
+    if (mode) return mode;
+    const muted = (user.notificationSettings && user.notificationSettings.mutedChats) || [];
+    if (muted.some(id => String(id) === String(data.conversationId))) return 'none';
+  }
+  return null;
+}
+
+/**
+ * Which channels a notification goes out on, from the type's rule and any
+ * override. A digested type has push off and digest on.
+ * @param {Object} user
+ * @param {string} type
+ * @param {Object} [data]
+ * @returns {{ push: boolean, inApp: boolean, email: boolean, digest: boolean }}
+ */
+function resolveChannels(user, type, data = {}) {
+  const mode = overrideMode(user, data);
+  if (mode === 'none' || (mode === 'mentions' && !ROOM_MENTION_TYPES.has(type))) {
+    return { push: false, inApp: false, email: false, digest: false };
+  }
+
+  const rule = typeRule(user, type);
+  const digest = rule.push && rule.digest;
+  return { push: rule.push && !digest, inApp: rule.inApp, email: rule.email, digest };
+}
+
+/**
+ * Check whether a user has hit a daily or weekly cap for a notification type.
+ * @param {Object} user - User document (Mongoose doc or plain object for tests)
+ * @param {String} type - Notification type
+ * @returns {Boolean}
+ */
+function isCapped(user, type) {
+  if (!user || !user.notificationCounters) return false;
+  const dailyCap = caps.daily[type];
+  const weeklyCap = caps.weekly[type];
+  const readCount = (counter, key) => readMap(counter, key) ?? 0;
+  if (dailyCap !== undefined) {
+    if (readCount(user.notificationCounters.daily, type) >= dailyCap) return true;
+  }
+  if (weeklyCap !== undefined) {
+    if (readCount(user.notificationCounters.weekly, type) >= weeklyCap) return true;
+  }
+  return false;
+}
+
+/**
+ * Why a push can't go out right now, if it can't
+ * @param {Object} user
+ * @param {string} type
+ * @param {Date} [now]
+ * @returns {'quiet_hours'|'frequency_cap'|null}
+ */
+function pushSuppression(user, type, now = new Date()) {
+  if (
+    isInQuietHours(user, now) &&
+    !URGENT_TYPES.has(type) &&
+    !(user.quietHours && user.quietHours.allowUrgent && type === 'chat_message' /* TODO: VIP-partner gating in C2 */)
+  ) {
+    return 'quiet_hours';
+  }
+  if (isCapped(user, type)) return 'frequency_cap';
+  return null;
+}
+
+const timezoneOf = (user) => (user && user.quietHours && user.quietHours.timezone) || DEFAULT_TIMEZONE;
+
+/**
+ * Whether today's digest is due: it is past the user's digest time in their
+ * timezone and none has been sent today
+ * @param {Object} user
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isDigestDue(user, now = new Date()) {
+  const digest = (user && user.notificationRules && user.notificationRules.digest) || {};
+  const timezone = timezoneOf(user);
+  if (formatHHmm(now, timezone) < (digest.time || DEFAULT_DIGEST_TIME)) return false;
+  return !digest.lastSentAt || localDateKey(new Date(digest.lastSentAt), timezone) !== localDateKey(now, timezone);
+}
+
+/**
+ * Count of digested notifications per type
+ * @param {Array<{ type: string }>} items
+ * @returns {Object<string, number>}
+ */
+function digestCounts(items) {
+  const counts = {};
+  for (const { type } of items) counts[type] = (counts[type] || 0) + 1;
+  return counts;
+}
+
+/**
+ * Validate a preferences update into $set paths
+ * @param {Object} body - { types: { <type>: { push, inApp, email, digest } }, digest: { time } }
+ * @returns {{ set: Object, error: string|null }}
+ */
+function parseRulesUpdate(body = {}) {
+  const set = {};
+  const fail = (error) => ({ set: {}, error });
+
+  if (body.types !== undefined) {
+    if (!body.types || typeof body.types !== 'object' || Array.isArray(body.types)) {
+      return fail('types must be an object keyed by notification type');
+    }
+    for (const [type, channels] of Object.entries(body.types)) {
+      if (!NOTIFICATION_TYPES.includes(type)) return fail(`Unknown notification type: ${type}`);
+      if (!channels || typeof channels !== 'object' || Array.isArray(channels)) {
+        return fail(`types.${type} must be an object`);
+      }
+      for (const [channel, value] of Object.entries(channels)) {
+        const allowed = channel === 'digest'
+          ? DIGESTIBLE_TYPES.has(type)
+          : availableChannels(type).includes(channel);
+        if (!allowed) return fail(`${type} has no ${channel} setting`);
+        if (typeof value !== 'boolean') return fail(`types.${type}.${channel} must be a boolean`);
+        set[`notificationRules.types.${type}.${channel}`] = value;
+      }
+    }
+  }
+
+  if (body.digest !== undefined) {
+    const time = body.digest && body.digest.time;
+    if (time !== undefined && (typeof time !== 'string' || !HHMM.test(time))) {
+      return fail('Invalid digest.time; use HH:mm');
+    }
+    if (time !== undefined) set['notificationRules.digest.time'] = time;
+  }
+
+  return { set, error: null };
+}
+
+/**
+ * Preferences as returned by GET /notifications/preferences: every type
+ * with its effective channels, the overrides and the digest time
+ * @param {Object} user
+ * @returns {Object}
+ */
+function describeRules(user) {
+  const rules = (user && user.notificationRules) || {};
+  const types = {};
+  for (const type of NOTIFICATION_TYPES) {
+    types[type] = {
+      ...typeRule(user, type),
+      channels: availableChannels(type),
+      digestible: DIGESTIBLE_TYPES.has(type),
+    };
+  }
+  return {
+    types,
+    conversations: Object.fromEntries(entriesOf(rules.conversations)),
+    rooms: Object.fromEntries(entriesOf(rules.rooms)),
+    digest: {
+      time: (rules.digest && rules.digest.time) || DEFAULT_DIGEST_TIME,
+      timezone: timezoneOf(user),
+      lastSentAt: (rules.digest && rules.digest.lastSentAt) || null,
+    },
+  };
+}
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  CHANNELS,
+  DIGESTIBLE_TYPES,
+  CONVERSATION_MODES,
+  ROOM_MODES,
+  DEFAULT_DIGEST_TIME,
+  URGENT_TYPES,
+  availableChannels,
+  typeRule,
+  overrideMode,
+  resolveChannels,
+  isCapped,
+  pushSuppression,
+  isDigestDue,
+  digestCounts,
+  parseRulesUpdate,
+  describeRules,
+};
@@ -0,0 +1,314 @@
+/**
+ * Word → phoneme conversion and phoneme alignment — pure, no I/O.
+ *
+ * Pronunciation scoring (services/pronunciationScoring.js) only has the
+ * target sentence and the STT transcript, both as text. Running both
+ * through the same grapheme-to-phoneme rules and aligning the results shows
+ * which sounds the recogniser heard differently, which is what learners
+ * need ("you said L where the word has R") and what L1-interference
+ * patterns (lib/l1Interference.js) are written against.
+ *
+ * Phoneme sets, by language:
+ * - 'arpabet'  English, ARPAbet-style labels from spelling rules (no
+ *              lexicon, so irregular spellings are approximate — both
+ *              sides share the approximation)
+ * - 'es'       Spanish, near-phonemic spelling rules (Latin-American
+ *              seseo: c/z → S)
+ * - 'jamo'     Korean, exact Hangul decomposition with the seven final
+ *              consonant sounds; romanised labels
+ * - 'kana'     Japanese kana as morae ('shi', 'kya', Q for っ, N for ん)
+ * - 'grapheme' anything else: one unit per letter / character
+ */
+
+const baseLanguage = (language) => String(language || '').toLowerCase().split(/[-_]/)[0];
+
+// ---------------------------------------------------------------------------
+// English
+// ---------------------------------------------------------------------------
+
+const EN_VOWELS = 'aeiouy';
+const isEnVowel = (ch) => EN_VOWELS.includes(ch);
+
+// Longest match first at each position. `start: true` only at word start.
+const EN_RULES = [
+  ['eigh', ['EY']], ['ough', ['AO']], ['tch', ['CH']], ['igh', ['AY']],
+  ['kn', ['N'], { start: true }], ['wr', ['R'], { start: true }],
+  ['sh', ['SH']], ['ch', ['CH']], ['th', ['TH']], ['ph', ['F']], ['wh', ['W']],
+  ['ck', ['K']], ['ng', ['NG']], ['qu', ['K', 'W']], ['gh', []],
+  ['ee', ['IY']], ['ea', ['IY']], ['ie', ['IY']], ['oo', ['UW']],
+  ['ai', ['EY']], ['ay', ['EY']], ['ei', ['EY']], ['ey', ['EY']],
+  ['oa', ['OW']], ['ow', ['OW']], ['ou', ['AW']], ['oi', ['OY']], ['oy', ['OY']],
+  ['au', ['AO']], ['aw', ['AO']], ['ew', ['UW']], ['ue', ['UW']],
+  ['ar', ['AA', 'R']], ['or', ['AO', 'R']], ['er', ['ER']], ['ir', ['ER']], ['ur', ['ER']],
+];
+
+const EN_SHORT = { a: 'AE', e: 'EH', i: 'IH', o: 'AA', u: 'AH' };
+const EN_LONG = { a: 'EY', e: 'IY', i: 'AY', o: 'OW', u: 'UW' };
+const EN_CONSONANTS = {
+  b: ['B'], d: ['D'], f: ['F'], h: ['HH'], j: ['JH'], k: ['K'], l: ['L'],
+  m: ['M'], n: ['N'], p: ['P'], q: ['K'], r: ['R'], s: ['S'], t: ['T'],
+  v: ['V'], w: ['W'], x: ['K', 'S'], z: ['Z'],
+};
+
+const englishPhonemes = (word) => {
+  // Doubled consonants sound once ("berry", "little")
+  let w = word.toLowerCase().replace(/[^a-z]/g, '').replace(/([^aeiouy])\1/g, '$1');
+  if (!w) return [];
+
+  // Silent final e: lengthens a single vowel before one consonant ("make",
+  // "ride"); the only vowel of a short word is IY ("he", "the").
+  let longVowelAt = -1;
+  let softEnd = false; // "page", "dance": the dropped e softens g / c
+  if (w.length > 1 && w.endsWith('e') && !isEnVowel(w[w.length - 2])) {
+    const v = w.length - 3;
+    if (v >= 0 && 'aeiou'.includes(w[v]) && (v === 0 || !isEnVowel(w[v - 1]))) {
+      longVowelAt = v;
+    }
+    if (/[aeiouy]/.test(w.slice(0, -1))) {
+      softEnd = /[cg]e$/.test(w);
+      w = w.slice(0, -1);
+    } else {
+      longVowelAt = w.length - 1; // "the", "she"
+    }
+  }
+
+  const out = [];
+  let i = 0;
+  while (i < w.length) {
+    const rule = EN_RULES.find(([graph, , opts]) =>
+      w.startsWith(graph, i) && (!opts?.start || i === 0));
+    if (rule) {
+      out.push(...rule[1]);
+      i += rule[0].length;
+      continue;
+    }
+
+    const ch = w[i];
+    const next = w[i + 1];
+    if (i === longVowelAt) {
+      out.push(EN_LONG[ch]);
+    } else if (EN_SHORT[ch]) {
+      out.push(EN_SHORT[ch]);
+    } else if (ch === 'y') {
+      out.push(i === 0 ? 'Y' : 'IY');
+    } else if (ch === 'c') {
+      out.push((next && 'eiy'.includes(next)) || (softEnd && !next) ? 'S' : 'K');
+    } else if (ch === 'g') {
+      out.push(softEnd && !next ? 'JH' : 'G');
+    } else if (ch === 'd' && next === 'g' && softEnd && i + 2 === w.length) {
+      // "judge", "bridge": the g carries the sound
+    } else if (EN_CONSONANTS[ch]) {
+      out.push(...EN_CONSONANTS[ch]);
+    }
+    i++;
+  }
+  return out;
+};
+
+// ---------------------------------------------------------------------------
+// Spanish
+// ---------------------------------------------------------------------------
+
+const ES_RULES = [
+  ['ch', ['CH']], ['ll', ['Y']], ['rr', ['RR']], ['qu', ['K']],
+  ['gue', ['G', 'E']], ['gui', ['G', 'I']], ['güe', ['G', 'W', 'E']], ['güi', ['G', 'W', 'I']],
+];
+const ES_SINGLE = {
+  a: 'A', e: 'E', i: 'I', o: 'O', u: 'U',
+  b: 'B', v: 'B', d: 'D', f: 'F', j: 'X', k: 'K', l: 'L', m: 'M', n: 'N',
+  'ñ': 'NY', p: 'P', s: 'S', t: 'T', w: 'W', z: 'S',
+};
+
+const spanishPhonemes = (word) => {
+  const w = word.toLowerCase()
+    .replace(/[áà]/g, 'a').replace(/[éè]/g, 'e').replace(/[íì]/g, 'i')
+    .replace(/[óò]/g, 'o').replace(/[úù]/g, 'u')
+    .replace(/[^a-zñü]/g, '');
+  const out = [];
+  let i = 0;
+  while (i < w.length) {
+    const rule = ES_RULES.find(([graph]) => w.startsWith(graph, i));
+    if (rule) {
+      out.push(...rule[1]);
+      i += rule[0].length;
+      continue;
+    }
+    const ch = w[i];
+    const next = w[i + 1];
+    if (ch === 'h') {
+      // silent
+    } else if (ch === 'c') {
+      out.push(next && 'ei'.includes(next) ? 'S' : 'K');
+    } else if (ch === 'g') {
+      out.push(next && 'ei'.includes(next) ? 'X' : 'G');
+    } else if (ch === 'r') {
+      out.push(i === 0 ? 'RR' : 'R');
+    } else if (ch === 'x') {
+      out.push('K', 'S');
+    } else if (ch === 'y') {
+      out.push(i === w.length - 1 ? 'I' : 'Y');
+    } else if (ch === 'ü') {
+      out.push('U');
+    } else if (ES_SINGLE[ch]) {
+      out.push(ES_SINGLE[ch]);
+    }
+    i++;
+  }
+  return out;
+};
+
+// ---------------------------------------------------------------------------
+// Korean
+// ---------------------------------------------------------------------------
+
+const KO_INITIALS = ['g', 'kk', 'n', 'd', 'tt', 'r', 'm', 'b', 'pp', 's', 'ss', '', 'j', 'jj', 'ch', 'k', 't', 'p', 'h'];
+const KO_MEDIALS = ['a', 'ae', 'ya', 'yae', 'eo', 'e', 'yeo', 'ye', 'o', 'wa', 'wae', 'oe', 'yo', 'u', 'wo', 'we', 'wi', 'yu', 'eu', 'ui', 'i'];
+// The seven sounds a syllable can end in (clusters keep one consonant)
+const KO_FINALS = ['', 'k', 'k', 'k', 'n', 'n', 'n', 't', 'l', 'k', 'm', 'l', 'l', 'l', 'p', 'l', 'm', 'p', 'p', 't', 't', 'ng', 't', 't', 'k', 't', 'p', 't'];
+
+const koreanPhonemes = (word) => {
+  const out = [];
+  for (const ch of word) {
+    const code = ch.codePointAt(0) - 0xac00;
+    if (code < 0 || code > 11171) continue;
+    const initial = KO_INITIALS[Math.floor(code / 588)];
+    const medial = KO_MEDIALS[Math.floor((code % 588) / 28)];
+    const final = KO_FINALS[code % 28];
+    if (initial) out.push(initial);
+    out.push(medial);
+    if (final) out.push(`${final}_`); // codas are distinct sounds from onsets
+  }
+  return out;
+};
+
+// ---------------------------------------------------------------------------
+// Japanese
+// ---------------------------------------------------------------------------
+
+const KANA_ROWS = {
+  'あいうえお': ['a', 'i', 'u', 'e', 'o'],
+  'かきくけこ': ['ka', 'ki', 'ku', 'ke', 'ko'], 'がぎぐげご': ['ga', 'gi', 'gu', 'ge', 'go'],
+  'さしすせそ': ['sa', 'shi', 'su', 'se', 'so'], 'ざじずぜぞ': ['za', 'ji', 'zu', 'ze', 'zo'],
+  'たちつてと': ['ta', 'chi', 'tsu', 'te', 'to'], 'だぢづでど': ['da', 'ji', 'zu', 'de', 'do'],
+  'なにぬねの': ['na', 'ni', 'nu', 'ne', 'no'],
+  'はひふへほ': ['ha', 'hi', 'fu', 'he', 'ho'], 'ばびぶべぼ': ['ba', 'bi', 'bu', 'be', 'bo'],
+  'ぱぴぷぺぽ': ['pa', 'pi', 'pu', 'pe', 'po'],
+  'まみむめも': ['ma', 'mi', 'mu', 'me', 'mo'],
+  'やゆよ': ['ya', 'yu', 'yo'],
+  'らりるれろ': ['ra', 'ri', 'ru', 're', 'ro'],
+  'わを': ['wa', 'o'],
+};
+const KANA = {};
+for (const [row, sounds] of Object.entries(KANA_ROWS)) {
+  [...row].forEach((kana, idx) => { KANA[kana] = sounds[idx]; });
+}
+const SMALL_Y = { 'ゃ': 'a', 'ゅ': 'u', 'ょ': 'o' };
+
+const japanesePhonemes = (word) => {
+  // Katakana → hiragana
+  const kana = [...word].map((ch) => {
+    const code = ch.codePointAt(0);
+    return code >= 0x30a1 && code <= 0x30f6 ? String.fromCodePoint(code - 0x60) : ch;
+  });
+  const out = [];
+  for (let i = 0; i < kana.length; i++) {
+    const ch = kana[i];
+    if (ch === 'っ') { out.push('Q'); continue; }
+    if (ch === 'ん') { out.push('N'); continue; }
+    if (ch === 'ー') { out.push('ː'); continue; }
+    const mora = KANA[ch];
+    if (!mora) continue;
+    const small = SMALL_Y[kana[i + 1]];
+    if (small && mora.endsWith('i') && mora !== 'i') {
+      // きゃ → kya, しゃ → sha, ちゃ → cha, じゃ → ja
+      const stem = mora.slice(0, -1);
+      out.push(/(sh|ch|j)$/.test(stem) ? `${stem}${small}` : `${stem}y${small}`);
+      i++;
+    } else {
+      out.push(mora);
+    }
+  }
+  return out;
+};
+
+// ---------------------------------------------------------------------------
+
+const graphemes = (word) => [...String(word || '').toLowerCase()].filter(ch => /[\p{L}\p{N}]/u.test(ch));
+
+const PHONEME_SETS = {
+  en: { set: 'arpabet', convert: englishPhonemes },
+  es: { set: 'es', convert: spanishPhonemes },
+  ko: { set: 'jamo', convert: koreanPhonemes },
+  ja: { set: 'kana', convert: japanesePhonemes },
+};
+
+/**
+ * Name of the phoneme inventory used for a language.
+ * @param {string} language
+ * @returns {string}
+ */
+const phonemeSet = (language) => PHONEME_SETS[baseLanguage(language)]?.set || 'grapheme';
+
+/**
+ * Phonemes of one word. Falls back to graphemes when the language has no
+ * rules or the word is written in another script (kanji, Latin in a
+ * Korean sentence).
+ * @param {string} word
+ * @param {string} language
+ * @returns {string[]}
+ */
+const toPhonemes = (word, language) => {
+  const entry = PHONEME_SETS[baseLanguage(language)];
+  const phonemes = entry ? entry.convert(String(word || '')) : [];
+  return phonemes.length > 0 ? phonemes : graphemes(word);
+};
+
+/**
+ * Align target phonemes against the phonemes heard (Levenshtein).
+ * @param {string[]} target
+ * @param {string[]} heard
+ * @returns {Array<{ phoneme: string, heard: string|null, status: 'ok'|'substituted'|'missing' }>}
+ *   one entry per target phoneme; extra heard phonemes are dropped
+ */
+const alignPhonemes = (target, heard) => {
+  const m = target.length, n = heard.length;
+  const dp = Array.from({ length: m + 1 }, () => new Array(n + 1).fill(0));
+  for (let i = 0; i <= m; i++) dp[i][0] = i;
+  for (let j = 0; j <= n; j++) dp[0][j] = j;
+  for (let i = 1; i <= m; i++) {
+    for (let j = 1; j <= n; j++) {
+      const cost = target[i - 1] === heard[j - 1] ? 0 : 1;
+      dp[i][j] = Math.min(dp[i - 1][j - 1] + cost, dp[i - 1][j] + 1, dp[i][j - 1] + 1);
+    }
+  }
+
+  const out = [];
+  let i = m, j = n;
+  while (i > 0) {
+    if (j > 0) {
+      const cost = target[i - 1] === heard[j - 1] ? 0 : 1;
+      if (dp[i][j] === dp[i - 1][j - 1] + cost) {
+        out.unshift({
+          phoneme: target[i - 1],
+          heard: heard[j - 1],
+          status: cost === 0 ? 'ok' : 'substituted',
+        });
+        i--; j--;
+        continue;
+      }
+      if (dp[i][j] === dp[i][j - 1] + 1) {
+        j--; // inserted sound
+        continue;
+      }
+    }
+    out.unshift({ phoneme: target[i - 1], heard: null, status: 'missing' });
+    i--;
+  }
+  return out;
+};
+
+module.exports = {
+  toPhonemes,
+  phonemeSet,
+  alignPhonemes,
+};
@@ -9,12 +9,9 @@ function formatHHmm(date, timezone) {
   }).format(date);
 }
 
-function isInQuietHours(user, now = new Date()) {
-  const qh = user && user.quietHours;
+// Whether a local 'HH:mm' falls in the quiet window (which may wrap midnight)
+function isQuietAt(current, qh) {
   if (!qh || !qh.enabled) return false;
-
-  const tz = qh.timezone || 'Asia/Seoul';
-  const current = formatHHmm(now, tz);
   const { start, end } = qh;
 
   if (start === end) return false;
@@ -25,4 +22,12 @@ function isInQuietHours(user, now = new Date()) {
   return current >= start || current < end;
 }
 
-module.exports = { isInQuietHours };
+function isInQuietHours(user, now = new Date()) {
+  const qh = user && user.quietHours;
+  if (!qh || !qh.enabled) return false;
+
+  const tz = qh.timezone || 'Asia/Seoul';
+  return isQuietAt(formatHHmm(now, tz), qh);
+}
+
+module.exports = { isInQuietHours, isQuietAt, formatHHmm };
@@ -0,0 +1,266 @@
+/**
+ * Message search text handling — pure, no I/O.
+ *
+ * MongoDB's $text index splits on whitespace and stems for one language per
+ * index, so Korean with particles attached ("학교에서"), Japanese and
+ * Chinese (no spaces at all) and chats that mix scripts mostly fail to
+ * match. Instead every message stores its own search tokens
+ * (Message.searchTokens, multikey-indexed) built here:
+ *
+ * - Latin, Cyrillic and other spaced scripts: one token per word,
+ *   lowercased with Latin diacritics folded ("Café" → "cafe").
+ * - Han, Hiragana, Katakana and Hangul (CJK): character unigrams and
+ *   bigrams over each run, plus the whole run when it is short. A
+ *   query for "학교" then finds "학교에서", and "東京" finds "東京に行く",
+ *   without a dictionary or morphological analyser.
+ *
+ * Queries go through the same rules (CJK runs become bigrams only, so two
+ * characters must be adjacent to match) and every query token must be
+ * present. Ranking and snippet highlighting also live here so the
+ * relevance rules can be tested without a database.
+ */
+
+// Cap per message so a 2000-character CJK message doesn't store 4000 keys
+const MAX_TOKENS_PER_MESSAGE = 512;
+const MAX_QUERY_TOKENS = 16;
+
+const CJK_CHAR = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}ー々]/u;
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+
+// Fold one character: lowercase, Latin diacritics stripped. Only the
+// U+0300–U+036F block is removed so Japanese dakuten (が) and Hangul
+// syllables survive the NFD round trip.
+const foldChar = (ch) => ch.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').normalize('NFC').toLowerCase();
+
+/**
+ * Normalize text for matching, keeping a map back to original positions.
+ * @param {string} text
+ * @returns {{ folded: string, map: number[] }} map[i] = index in `text` of folded char i
+ */
+const foldWithMap = (text) => {
+  let folded = '';
+  const map = [];
+  let i = 0;
+  for (const ch of String(text || '')) {
+    const f = foldChar(ch);
+    for (let k = 0; k < f.length; k++) map.push(i);
+    folded += f;
+    i += ch.length;
+  }
+  map.push(i);
+  return { folded, map };
+};
+
+/**
+ * Split folded text into runs: { text, cjk }.
+ * @param {string} folded
+ * @returns {Array<{ text: string, cjk: boolean }>}
+ */
+const segment = (folded) => {
+  const runs = [];
+  let current = null;
+  for (const ch of folded) {
+    const cjk = CJK_CHAR.test(ch);
+    if (!cjk && !WORD_CHAR.test(ch) && ch !== '\'') {
+      current = null;
+      continue;
+    }
+    if (current && current.cjk === cjk) {
+      current.text += ch;
+    } else {
+      current = { text: ch, cjk };
+      runs.push(current);
+    }
+  }
+  return runs
+    .map(run => (run.cjk ? run : { ...run, text: run.text.replace(/^'+|'+$/g, '').replace(/'/g, '') }))
+    .filter(run => run.text.length > 0);
+};
+
+const ngrams = (chars, n) => {
+  const out = [];
+  for (let i = 0; i + n <= chars.length; i++) out.push(chars.slice(i, i + n).join(''));
+  return out;
+};
+
+/**
+ * Tokens stored on a message.
+ * @param {...string} texts - message body, media file name, …
+ * @returns {string[]} unique tokens, capped at MAX_TOKENS_PER_MESSAGE
+ */
+const indexTokens = (...texts) => {
+  const tokens = new Set();
+  for (const text of texts) {
+    for (const run of segment(foldWithMap(text).folded)) {
+      if (!run.cjk) {
+        tokens.add(run.text);
+        continue;
+      }
+      const chars = [...run.text];
+      if (chars.length <= 4) tokens.add(run.text);
+      for (const gram of chars) tokens.add(gram);
+      for (const gram of ngrams(chars, 2)) tokens.add(gram);
+    }
+    if (tokens.size >= MAX_TOKENS_PER_MESSAGE) break;
+  }
+  return [...tokens].slice(0, MAX_TOKENS_PER_MESSAGE);
+};
+
+/**
+ * Parse a search query.
+ * @param {string} q
+ * @returns {{ tokens: string[], terms: string[], phrase: string }}
+ *   tokens — all must be in Message.searchTokens;
+ *   terms  — the query's words / CJK runs, for ranking and highlighting;
+ *   phrase — whole folded query, for the exact-phrase bonus
+ */
+const parseQuery = (q) => {
+  const { folded } = foldWithMap(q);
+  const runs = segment(folded);
+  const tokens = new Set();
+  for (const run of runs) {
+    const chars = [...run.text];
+    if (!run.cjk || chars.length === 1) {
+      tokens.add(run.text);
+    } else {
+      for (const gram of ngrams(chars, 2)) tokens.add(gram);
+    }
+  }
+  return {
+    tokens: [...tokens].slice(0, MAX_QUERY_TOKENS),
+    terms: [...new Set(runs.map(run => run.text))],
+    phrase: folded.replace(/\s+/g, ' ').trim(),
+  };
+};
+
+const countOccurrences = (haystack, needle) => {
+  if (!needle) return 0;
+  let count = 0;
+  let at = haystack.indexOf(needle);
+  while (at !== -1) {
+    count++;
+    at = haystack.indexOf(needle, at + needle.length);
+  }
+  return count;
+};
+
+const RECENCY_HALF_LIFE_DAYS = 30;
+
+/**
+ * Relevance of one message for a parsed query. Term frequency with a
+ * rarity weight (idf over the candidate set), a bonus when the whole
+ * phrase or a whole word matches, decayed by age so a fresh exact hit
+ * beats an old one.
+ * @param {Object} params
+ * @param {string} params.text - message text (plus file name)
+ * @param {Object} params.query - from parseQuery()
+ * @param {Map<string, number>} [params.termWeights] - term → idf; 1 when absent
+ * @param {Date|string} [params.createdAt]
+ * @param {number} [params.now=Date.now()]
+ * @returns {number}
+ */
+const rankScore = ({ text, query, termWeights, createdAt, now = Date.now() }) => {
+  const { folded } = foldWithMap(text);
+  const words = new Set(segment(folded).filter(run => !run.cjk).map(run => run.text));
+
+  let score = 0;
+  for (const term of query.terms) {
+    const tf = countOccurrences(folded, term);
+    if (tf === 0) continue;
+    const weight = termWeights?.get(term) ?? 1;
+    score += weight * (1 + Math.log(tf));
+    if (words.has(term)) score += 0.5 * weight; // whole word, not a prefix of one
+  }
+  if (query.terms.length > 1 && query.phrase && folded.includes(query.phrase)) {
+    score *= 1.5;
+  }
+
+  const ageDays = createdAt ? Math.max(0, (now - new Date(createdAt).getTime()) / 86400000) : 0;
+  const recency = Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+  return Math.round(score * (0.6 + 0.4 * recency) * 1000) / 1000;
+};
+
+/**
+ * Rarity weight per query term across the candidate texts.
+ * @param {string[]} texts
+ * @param {string[]} terms
+ * @returns {Map<string, number>}
+ */
+const termWeights = (texts, terms) => {
+  const foldedTexts = texts.map(text => foldWithMap(text).folded);
+  const weights = new Map();
+  for (const term of terms) {
+    const df = foldedTexts.filter(text => text.includes(term)).length;
+    weights.set(term, Math.log(1 + (foldedTexts.length + 1) / (df + 1)));
+  }
+  return weights;
+};
+
+/**
+ * Snippet of `text` around the first match with highlight ranges.
+ * CJK terms longer than two characters are also matched by bigram, so a
+ * query whose characters appear split up still lights up the parts found.
+ * @param {string} text
+ * @param {string[]} terms - from parseQuery().terms
+ * @param {Object} [options]
+ * @param {number} [options.maxLength=120]
+ * @returns {{ text: string, highlights: Array<[number, number]> }}
+ *   highlights are [start, end) offsets into the returned snippet text
+ */
+const highlightSnippet = (text, terms, { maxLength = 120 } = {}) => {
+  const source = String(text || '');
+  const { folded, map } = foldWithMap(source);
+
+  const needles = new Set();
+  for (const term of terms) {
+    needles.add(term);
+    const chars = [...term];
+    if (CJK_CHAR.test(term) && chars.length > 2) {
+      for (const gram of ngrams(chars, 2)) needles.add(gram);
+    }
+  }
+
+  const ranges = [];
+  for (const needle of needles) {
+    let at = folded.indexOf(needle);
+    while (at !== -1) {
+      ranges.push([map[at], map[at + needle.length]]);
+      at = folded.indexOf(needle, at + needle.length);
+    }
+  }
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+    else merged.push([...range]);
+  }
+
+  if (source.length <= maxLength) {
+    return { text: source, highlights: merged };
+  }
+
+  // Window starting a little before the first match
+  const first = merged[0]?.[0] ?? 0;
+  let start = Math.max(0, first - Math.floor(maxLength / 4));
+  const end = Math.min(source.length, start + maxLength);
+  start = Math.max(0, end - maxLength);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < source.length ? '…' : '';
+
+  return {
+    text: `${prefix}${source.slice(start, end)}${suffix}`,
+    highlights: merged
+      .filter(([s, e]) => e > start && s < end)
+      .map(([s, e]) => [Math.max(s, start) - start + prefix.length, Math.min(e, end) - start + prefix.length]),
+  };
+};
+
+module.exports = {
+  indexTokens,
+  parseQuery,
+  rankScore,
+  termWeights,
+  highlightSnippet,
+  MAX_TOKENS_PER_MESSAGE,
+};
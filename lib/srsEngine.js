@@ -15,29 +15,22 @@
  */
 
 /**
- * @param {Object} current
- * @param {number} current.srsLevel
- * @param {number} current.interval
- * @param {number} current.easeFactor
- * @param {boolean} current.isMastered
- * @param {Date|null} [current.masteredAt]
- * @param {Object} [current.reviewStats] - { totalReviews, correctReviews, incorrectReviews, currentStreak, longestStreak, lastReviewedAt, firstReviewedAt }
- * @param {number} quality - SM-2 quality rating, 0-5
- * @returns {Object} New state + derived flags. Does not mutate `current`.
+ * Shared review bookkeeping — every scheduler (SM-2 here, FSRS in
+ * lib/fsrsEngine.js) tallies reviewStats the same way.
+ * @param {Object} [prevStats]
+ * @param {boolean} wasCorrect
+ * @param {Date} [now]
+ * @returns {Object} New reviewStats. Does not mutate `prevStats`.
  */
-function applyReview(current = {}, quality) {
-  const wasCorrect = quality >= 3;
-  const wasAlreadyMastered = !!current.isMastered;
-
-  const prevStats = current.reviewStats || {};
+function tallyReviewStats(prevStats = {}, wasCorrect, now = new Date()) {
   const reviewStats = {
     totalReviews: (prevStats.totalReviews || 0) + 1,
     correctReviews: prevStats.correctReviews || 0,
     incorrectReviews: prevStats.incorrectReviews || 0,
     currentStreak: prevStats.currentStreak || 0,
     longestStreak: prevStats.longestStreak || 0,
-    lastReviewedAt: new Date(),
-    firstReviewedAt: prevStats.firstReviewedAt || new Date(),
+    lastReviewedAt: now,
+    firstReviewedAt: prevStats.firstReviewedAt || now,
   };
 
   if (wasCorrect) {
@@ -51,16 +44,52 @@ function applyReview(current = {}, quality) {
     reviewStats.currentStreak = 0;
   }
 
-  let srsLevel = current.srsLevel || 0;
+  return reviewStats;
+}
+
+/**
+ * Level ladder + mastery transition. A pass climbs one level (cap 9), a
+ * lapse drops to 0; reaching 9 masters the word once and for good.
+ * `wasAlreadyMastered` is read BEFORE any mutation (the H1 fix).
+ * @param {Object} current - { srsLevel, isMastered, masteredAt }
+ * @param {boolean} wasCorrect
+ * @param {Date} [now]
+ * @returns {{ srsLevel: number, isMastered: boolean, justMastered: boolean, masteredAt: Date|undefined }}
+ */
+function advanceLevel(current = {}, wasCorrect, now = new Date()) {
+  const wasAlreadyMastered = !!current.isMastered;
+  const srsLevel = wasCorrect ? Math.min((current.srsLevel || 0) + 1, 9) : 0;
+  const isMastered = srsLevel >= 9 ? true : wasAlreadyMastered;
+  const justMastered = isMastered && !wasAlreadyMastered;
+  const masteredAt = justMastered ? now : (current.masteredAt || undefined);
+  return { srsLevel, isMastered, justMastered, masteredAt };
+}
+
+/**
+ * @param {Object} current
+ * @param {number} current.srsLevel
+ * @param {number} current.interval
+ * @param {number} current.easeFactor
+ * @param {boolean} current.isMastered
+ * @param {Date|null} [current.masteredAt]
+ * @param {Object} [current.reviewStats] - { totalReviews, correctReviews, incorrectReviews, currentStreak, longestStreak, lastReviewedAt, firstReviewedAt }
+ * @param {number} quality - SM-2 quality rating, 0-5
+ * @param {Date} [now]
+ * @returns {Object} New state + derived flags. Does not mutate `current`.
+ */
+function applyReview(current = {}, quality, now = new Date()) {
+  const wasCorrect = quality >= 3;
+  const reviewStats = tallyReviewStats(current.reviewStats || {}, wasCorrect, now);
+
+  const srsLevel = current.srsLevel || 0;
   let interval = current.interval || 0;
   let easeFactor = current.easeFactor || 2.5;
   let nextReview;
 
   if (quality < 3) {
     // Failed review — reset to beginning (SM-2: lapse).
-    srsLevel = 0;
     interval = 0;
-    nextReview = new Date();
+    nextReview = new Date(now);
   } else {
     if (srsLevel === 0) {
       interval = 1;
@@ -69,8 +98,7 @@ function applyReview(current = {}, quality) {
     } else {
       interval = Math.round(interval * easeFactor);
     }
-    srsLevel = Math.min(srsLevel + 1, 9);
-    nextReview = new Date();
+    nextReview = new Date(now);
     nextReview.setDate(nextReview.getDate() + interval);
   }
 
@@ -80,21 +108,19 @@ function applyReview(current = {}, quality) {
     easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
   );
 
-  const isMastered = srsLevel >= 9 ? true : wasAlreadyMastered;
-  const justMastered = isMastered && !wasAlreadyMastered;
-  const masteredAt = justMastered ? new Date() : (current.masteredAt || undefined);
+  const level = advanceLevel(current, wasCorrect, now);
 
   return {
     wasCorrect,
     reviewStats,
-    srsLevel,
+    srsLevel: level.srsLevel,
     interval,
     easeFactor,
     nextReview,
-    isMastered,
-    justMastered,
-    masteredAt,
+    isMastered: level.isMastered,
+    justMastered: level.justMastered,
+    masteredAt: level.masteredAt,
   };
 }
 
-module.exports = { applyReview };
+module.exports = { applyReview, tallyReviewStats, advanceLevel };
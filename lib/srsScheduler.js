@@ -0,0 +1,75 @@
+/**
+ * SRS scheduler registry — pure, no I/O.
+ *
+ * Vocabulary review math lives in interchangeable engines (lib/srsEngine.js
+ * SM-2, lib/fsrsEngine.js FSRS) that share one signature:
+ *   applyReview(current, quality, now) → { wasCorrect, reviewStats, srsLevel,
+ *     interval, easeFactor, nextReview, isMastered, justMastered, masteredAt,
+ *     fsrs? }
+ * Each user picks one via LearningProgress.preferences.srsScheduler; unknown
+ * or missing values fall back to SM-2 so existing users see no change.
+ *
+ * Recall prediction is scheduler-independent: every card that has been
+ * reviewed at least once gets an FSRS retrievability (SM-2 cards are seeded
+ * through fsrsEngine.fromSm2), which is what GET /learning/vocabulary/review
+ * sorts on.
+ */
+
+const { applyReview } = require('./srsEngine');
+const { applyFsrsReview, retrievability } = require('./fsrsEngine');
+
+const DEFAULT_SCHEDULER = 'sm2';
+
+const SCHEDULERS = Object.freeze({
+  sm2: { name: 'sm2', applyReview },
+  fsrs: { name: 'fsrs', applyReview: applyFsrsReview },
+});
+
+/**
+ * @param {string} [name]
+ * @returns {boolean}
+ */
+function isValidScheduler(name) {
+  return Object.prototype.hasOwnProperty.call(SCHEDULERS, name);
+}
+
+/**
+ * @param {string} [name] - 'sm2' | 'fsrs'
+ * @returns {{ name: string, applyReview: Function }}
+ */
+function getScheduler(name) {
+  return isValidScheduler(name) ? SCHEDULERS[name] : SCHEDULERS[DEFAULT_SCHEDULER];
+}
+
+/**
+ * Order review candidates by predicted recall, weakest memory first.
+ * Never-reviewed cards (no recall estimate) go after every reviewed card so
+ * a freshly imported pack cannot starve the existing review backlog; among
+ * themselves they keep the incoming order (oldest due first).
+ *
+ * @param {Array<Object>} cards - lean Vocabulary docs
+ * @param {Date} [now]
+ * @returns {Array<Object>} New array of `{ ...card, predictedRecall }`.
+ */
+function rankByRecall(cards, now = new Date()) {
+  return (Array.isArray(cards) ? cards : [])
+    .map((card, index) => ({ card, index, recall: retrievability(card, now) }))
+    .sort((a, b) => {
+      if (a.recall === null && b.recall === null) return a.index - b.index;
+      if (a.recall === null) return 1;
+      if (b.recall === null) return -1;
+      return a.recall - b.recall || a.index - b.index;
+    })
+    .map(({ card, recall }) => ({
+      ...card,
+      predictedRecall: recall === null ? null : Math.round(recall * 1000) / 1000,
+    }));
+}
+
+module.exports = {
+  SCHEDULERS,
+  DEFAULT_SCHEDULER,
+  isValidScheduler,
+  getScheduler,
+  rankByRecall,
+};
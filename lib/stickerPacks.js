@@ -0,0 +1,239 @@
+/**
+ * Sticker and GIF packs — pure rules, no I/O.
+ *
+ * Consumed by services/stickerService.js and the message send paths. Rules:
+ * - a pack is `free` (everyone), `vip` (while the user is VIP) or `coins`
+ *   (bought once per pack; the price is UNLOCKS[pack.unlockKey] in
+ *   config/coinCatalog.js, and only sticker_pack* keys can be used)
+ * - inactive packs can't be used or bought, but stay in recents/favorites
+ *   as locked until an admin re-enables them
+ * - a message references a sticker as { pack, stickerId }; the sticker
+ *   must exist in that pack, the pack kind must match the message type
+ *   ('sticker' packs send sticker messages, 'gif' packs send gif messages)
+ *   and the sender must be able to use the pack
+ * - messages without a reference keep working: a sticker can still be an
+ *   emoji in the text and a GIF a URL, as before packs existed
+ */
+
+const { UNLOCKS } = require('../config/coinCatalog');
+
+const PACK_KINDS = ['sticker', 'gif'];
+const PACK_ACCESS = ['free', 'coins', 'vip'];
+const STICKER_UNLOCK_PREFIX = 'sticker_pack';
+const MAX_PACK_NAME_LENGTH = 50;
+const MAX_STICKERS_PER_PACK = 60;
+const MAX_UPLOAD_FILES = 20;
+const MAX_RECENT_STICKERS = 30;
+const MAX_FAVORITE_STICKERS = 100;
+const MAX_STICKER_TAGS = 5;
+
+// Upload limits per pack kind
+const UPLOAD_RULES = {
+  sticker: { mimeTypes: ['image/png', 'image/webp', 'image/gif'], maxBytes: 1024 * 1024 },
+  gif: { mimeTypes: ['image/gif', 'image/webp'], maxBytes: 5 * 1024 * 1024 }
+};
+
+const EXTENSIONS = { 'image/png': 'png', 'image/webp': 'webp', 'image/gif': 'gif' };
+
+const idOf = (v) => (v && v._id ? String(v._id) : v ? String(v) : null);
+
+/**
+ * Whether an UNLOCKS key prices sticker packs
+ * @param {*} key
+ * @returns {boolean}
+ */
+function isStickerUnlockKey(key) {
+  return typeof key === 'string' && key.startsWith(STICKER_UNLOCK_PREFIX) && !!UNLOCKS[key];
+}
+
+/**
+ * Coin price of a pack, or null when it isn't sold for coins
+ * @param {Object} pack
+ * @returns {number|null}
+ */
+function packCost(pack) {
+  if (!pack || pack.access !== 'coins' || !isStickerUnlockKey(pack.unlockKey)) return null;
+  return UNLOCKS[pack.unlockKey].cost;
+}
+
+/**
+ * Whether a user can send stickers from a pack right now
+ * @param {Object} pack
+ * @param {Object} user - { userMode }
+ * @param {Array} ownedPackIds - packs bought with coins
+ * @returns {boolean}
+ */
+function canUsePack(pack, user, ownedPackIds = []) {
+  if (!pack || pack.isActive === false) return false;
+  if (pack.access === 'free') return true;
+  if (pack.access === 'vip') return !!user && user.userMode === 'vip';
+  if (pack.access === 'coins') return ownedPackIds.map(String).includes(idOf(pack));
+  return false;
+}
+
+/**
+ * Why a user may not buy a pack, or null when they can
+ * @param {Object} pack
+ * @param {Object} user
+ * @returns {{ error: string, status: number, code: string }|null}
+ */
+function checkUnlock(pack, user) {
+  if (!pack || pack.isActive === false) {
+    return { error: 'Sticker pack not found', status: 404, code: 'STICKER_PACK_NOT_FOUND' };
+  }
+  if (packCost(pack) === null) {
+    return { error: 'This sticker pack is not sold for coins', status: 400, code: 'STICKER_PACK_NOT_FOR_SALE' };
+  }
+  if (user && user.userMode === 'visitor') {
+    return { error: 'Verify your account to unlock sticker packs', status: 403, code: 'VISITOR_RESTRICTED' };
+  }
+  return null;
+}
+
+/**
+ * A sticker subdocument of a pack
+ * @param {Object} pack
+ * @param {string} stickerId
+ * @returns {Object|null}
+ */
+function findSticker(pack, stickerId) {
+  if (!pack || !Array.isArray(pack.stickers)) return null;
+  return pack.stickers.find(s => idOf(s) === String(stickerId)) || null;
+}
+
+/**
+ * What a message stores about the sticker it sends; a snapshot, so old
+ * messages keep rendering if the sticker is later removed from its pack
+ * @param {Object} pack
+ * @param {Object} sticker
+ * @returns {Object}
+ */
+function stickerSnapshot(pack, sticker) {
+  return {
+    pack: idOf(pack),
+    stickerId: idOf(sticker),
+    url: sticker.url,
+    width: sticker.width || null,
+    height: sticker.height || null,
+    animated: !!sticker.animated
+  };
+}
+
+/**
+ * Check a sticker reference on an outgoing message
+ * @param {string} messageType
+ * @param {Object} ref - { pack, stickerId } from the request
+ * @param {Object|null} pack - the referenced pack, loaded
+ * @param {Object} user - the sender
+ * @param {Array} ownedPackIds
+ * @returns {{ sticker: Object }|{ error: string, status: number, code: string }}
+ */
+function checkStickerMessage(messageType, ref, pack, user, ownedPackIds = []) {
+  if (!ref || !ref.pack || !ref.stickerId) {
+    return { error: 'sticker must have pack and stickerId', status: 400, code: 'INVALID_STICKER' };
+  }
+  if (!PACK_KINDS.includes(messageType)) {
+    return { error: 'Only sticker and gif messages can carry a sticker', status: 400, code: 'INVALID_STICKER' };
+  }
+  const sticker = findSticker(pack, ref.stickerId);
+  if (!pack || pack.isActive === false || !sticker) {
+    return { error: 'Sticker not found', status: 404, code: 'STICKER_NOT_FOUND' };
+  }
+  if ((pack.kind || 'sticker') !== messageType) {
+    return { error: `Stickers from this pack must be sent as ${pack.kind} messages`, status: 400, code: 'INVALID_STICKER' };
+  }
+  if (!canUsePack(pack, user, ownedPackIds)) {
+    return { error: 'You do not own this sticker pack', status: 403, code: 'STICKER_PACK_NOT_OWNED' };
+  }
+  return { sticker: stickerSnapshot(pack, sticker) };
+}
+
+/**
+ * Trimmed pack name, or null when empty or too long
+ * @param {*} name
+ * @returns {string|null}
+ */
+function normalizePackName(name) {
+  if (typeof name !== 'string') return null;
+  const trimmed = name.trim().replace(/\s+/g, ' ');
+  if (!trimmed || trimmed.length > MAX_PACK_NAME_LENGTH) return null;
+  return trimmed;
+}
+
+/**
+ * Emoji/keywords a sticker is found by: de-duplicated, capped
+ * @param {Array<string>|string} tags
+ * @returns {string[]}
+ */
+function normalizeStickerTags(tags) {
+  const list = Array.isArray(tags) ? tags : typeof tags === 'string' ? tags.split(',') : [];
+  return [...new Set(
+    list.map(t => String(t).trim().toLowerCase().slice(0, 30)).filter(Boolean)
+  )].slice(0, MAX_STICKER_TAGS);
+}
+
+/**
+ * Validate an uploaded sticker file for a pack kind
+ * @param {Object} file - multer file { mimetype, size }
+ * @param {string} kind
+ * @returns {{ extension: string }|{ error: string }}
+ */
+function checkUpload(file, kind) {
+  const rules = UPLOAD_RULES[kind] || UPLOAD_RULES.sticker;
+  if (!file || !rules.mimeTypes.includes(file.mimetype)) {
+    return { error: `${kind} files must be ${rules.mimeTypes.join(', ')}` };
+  }
+  if (file.size > rules.maxBytes) {
+    return { error: `${kind} files must be at most ${rules.maxBytes / (1024 * 1024)}MB` };
+  }
+  return { extension: EXTENSIONS[file.mimetype] };
+}
+
+/**
+ * Recents/favorites resolved against the current catalog: stickers that
+ * were removed are dropped, and ones the user can no longer use are
+ * marked locked
+ * @param {Array<Object>} entries - [{ pack, stickerId, ... }]
+ * @param {Map<string, Object>} packsById
+ * @param {Object} user
+ * @param {Array} ownedPackIds
+ * @returns {Array<Object>}
+ */
+function resolveStickerEntries(entries = [], packsById, user, ownedPackIds = []) {
+  const resolved = [];
+  for (const entry of entries) {
+    const pack = packsById.get(idOf(entry.pack));
+    const sticker = findSticker(pack, entry.stickerId);
+    if (!sticker) continue;
+    resolved.push({
+      ...stickerSnapshot(pack, sticker),
+      kind: pack.kind || 'sticker',
+      tags: sticker.tags || [],
+      locked: !canUsePack(pack, user, ownedPackIds),
+      ...(entry.usedAt ? { usedAt: entry.usedAt } : {}),
+      ...(entry.addedAt ? { addedAt: entry.addedAt } : {})
+    });
+  }
+  return resolved;
+}
+
+module.exports = {
+  PACK_KINDS,
+  PACK_ACCESS,
+  MAX_STICKERS_PER_PACK,
+  MAX_UPLOAD_FILES,
+  MAX_RECENT_STICKERS,
+  MAX_FAVORITE_STICKERS,
+  UPLOAD_RULES,
+  isStickerUnlockKey,
+  packCost,
+  canUsePack,
+  checkUnlock,
+  findSticker,
+  stickerSnapshot,
+  checkStickerMessage,
+  normalizePackName,
+  normalizeStickerTags,
+  checkUpload,
+  resolveStickerEntries
+};
@@ -0,0 +1,159 @@
+/**
+ * Per-user change log for multi-device message sync — pure helpers.
+ *
+ * Every change a user's devices must catch up on (message created or
+ * edited, deleted, reactions changed, messages read) is appended to
+ * SyncEvent with the next value of User.syncSeq. A device asks for
+ * everything after the last seq it applied (GET /messages/sync?since=).
+ * No Mongoose/DB dependency here, so paging, folding and pruning rules
+ * are unit-testable; services/syncLogService.js does the I/O.
+ */
+
+const SYNC_EVENT_KINDS = ['message', 'reaction', 'delete', 'read'];
+const DEFAULT_SYNC_LIMIT = 200;
+const MAX_SYNC_LIMIT = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Events are kept at most this long, even for devices that haven't caught up
+const SYNC_RETENTION_MS = 30 * DAY_MS;
+// A device that hasn't synced for this long stops holding the log back
+const STALE_DEVICE_MS = 14 * DAY_MS;
+// seq is taken before the event is written, so a lower seq can land
+// after a higher one. A gap younger than this may still fill in.
+const GAP_GRACE_MS = 5 * 1000;
+
+/**
+ * Parse the `since` cursor from a query string
+ * @param {*} value
+ * @returns {number|null} null when invalid
+ */
+function parseSince(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const since = Number(value);
+  return Number.isSafeInteger(since) && since >= 0 ? since : null;
+}
+
+/**
+ * @param {*} value
+ * @returns {number}
+ */
+function parseLimit(value) {
+  const limit = parseInt(value, 10);
+  if (!Number.isInteger(limit) || limit < 1) return DEFAULT_SYNC_LIMIT;
+  return Math.min(limit, MAX_SYNC_LIMIT);
+}
+
+/**
+ * The events a device can safely apply now: in seq order, at most
+ * `limit`, stopping at a recent gap so a still-in-flight lower seq is
+ * never skipped. A gap older than GAP_GRACE_MS is a write that failed
+ * and is stepped over.
+ *
+ * @param {Object[]} events - { seq, createdAt }, sorted by seq, seq > since
+ * @param {number} since
+ * @param {number} limit
+ * @param {Date} [now]
+ * @returns {{ events: Object[], hasMore: boolean }}
+ */
+function readablePage(events, since, limit, now = new Date()) {
+  const page = [];
+  let expected = since + 1;
+
+  for (const event of events) {
+    if (page.length === limit) break;
+    if (event.seq !== expected && now - new Date(event.createdAt) < GAP_GRACE_MS) break;
+    page.push(event);
+    expected = event.seq + 1;
+  }
+
+  return { events: page, hasMore: page.length < events.length };
+}
+
+/**
+ * Collapse a page of events to what the device has to apply. A message
+ * touched several times is reported once: deleted beats everything,
+ * a full message (created/edited) beats a reactions-only change. Read
+ * events keep the latest per conversation and reader.
+ *
+ * @param {Object[]} events - SyncEvent documents, in seq order
+ * @returns {{ messageIds: string[], reactionIds: string[], deleted: Object[], reads: Object[] }}
+ */
+function foldChanges(events) {
+  const messages = new Map();
+  const reads = new Map();
+
+  for (const event of events) {
+    if (event.kind === 'read') {
+      const data = event.data || {};
+      const key = `${event.conversation || ''}:${event.peer || ''}:${data.readBy || ''}`;
+      reads.delete(key);
+      reads.set(key, {
+        conversationId: event.conversation ? String(event.conversation) : null,
+        peerId: event.peer ? String(event.peer) : null,
+        readBy: data.readBy ? String(data.readBy) : null,
+        readAt: data.readAt || event.createdAt
+      });
+      continue;
+    }
+
+    if (!event.message) continue;
+    const id = String(event.message);
+    const previous = messages.get(id);
+
+    if (event.kind === 'delete') {
+      messages.set(id, {
+        kind: 'delete',
+        deletedForEveryone: Boolean(event.data && event.data.deletedForEveryone)
+      });
+    } else if (!previous || (previous.kind === 'reaction' && event.kind === 'message')) {
+      messages.set(id, { kind: event.kind });
+    }
+  }
+
+  const messageIds = [];
+  const reactionIds = [];
+  const deleted = [];
+  for (const [id, change] of messages) {
+    if (change.kind === 'delete') {
+      deleted.push({ messageId: id, deletedForEveryone: change.deletedForEveryone });
+    } else if (change.kind === 'message') {
+      messageIds.push(id);
+    } else {
+      reactionIds.push(id);
+    }
+  }
+
+  return { messageIds, reactionIds, deleted, reads: [...reads.values()] };
+}
+
+/**
+ * Highest seq of a user's log that no device still needs. Devices that
+ * synced within STALE_DEVICE_MS hold the log back to their cursor;
+ * stale or never-synced devices don't (they get resetRequired instead).
+ * Events past SYNC_RETENTION_MS go regardless.
+ *
+ * @param {Object[]} devices - User.fcmTokens entries
+ * @param {number} expiredSeq - highest seq older than the retention window
+ * @param {Date} [now]
+ * @returns {number}
+ */
+function pruneThrough(devices, expiredSeq = 0, now = new Date()) {
+  const fresh = (devices || []).filter(d =>
+    d.active !== false && d.lastSyncAt && now - new Date(d.lastSyncAt) <= STALE_DEVICE_MS
+  );
+  const acknowledged = fresh.length > 0
+    ? Math.min(...fresh.map(d => d.syncCursor || 0))
+    : 0;
+  return Math.max(acknowledged, expiredSeq || 0);
+}
+
+module.exports = {
+  SYNC_EVENT_KINDS,
+  SYNC_RETENTION_MS,
+  STALE_DEVICE_MS,
+  GAP_GRACE_MS,
+  parseSince,
+  parseLimit,
+  readablePage,
+  foldChanges,
+  pruneThrough
+};
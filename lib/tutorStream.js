@@ -0,0 +1,165 @@
+/**
+ * Streaming helpers for tutor replies — pure, no I/O.
+ *
+ * Tutor turns and stories are generated in JSON mode, so the tokens coming
+ * off the provider are fragments of a JSON document, not display text.
+ * parsePartialJson() closes whatever is open in a prefix of that document
+ * (strings, arrays, objects, a key still waiting for its value) so the
+ * streaming paths in services/tutorStreamService.js can read the fields
+ * generated so far and forward the user-visible part:
+ * - tutorReplyPreview()  the "content" of a tutor turn
+ * - storyPreview()       title + paragraph texts of a story
+ *
+ * Bare numbers and literals at the very end are dropped until a delimiter
+ * confirms them ("1" may still become "12"), and a half-received \u escape
+ * is cut off rather than decoded.
+ */
+
+/**
+ * Parse a prefix of a JSON document into the value it describes so far.
+ * @param {string} raw
+ * @returns {*} the partial value, or null when nothing parseable yet
+ */
+const parsePartialJson = (raw) => {
+  if (typeof raw !== 'string') return null;
+  const start = raw.search(/[{[]/);
+  if (start === -1) return null;
+
+  let text = raw.slice(start);
+  const stack = [];          // open containers: { close, expectKey }
+  let inString = false;
+  let escaped = false;
+  let stringIsKey = false;
+  let pendingKey = false;    // a key string closed, no ':' yet
+  let unicodeStart = -1;
+  let unicodeRemaining = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    const top = stack[stack.length - 1];
+
+    if (inString) {
+      if (unicodeRemaining > 0) {
+        unicodeRemaining--;
+      } else if (escaped) {
+        escaped = false;
+        if (ch === 'u') {
+          unicodeStart = i - 1;
+          unicodeRemaining = 4;
+        }
+      } else if (ch === '\\') {
+        escaped = true;
+      } else if (ch === '"') {
+        inString = false;
+        if (stringIsKey) pendingKey = true;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inString = true;
+      stringIsKey = Boolean(top && top.close === '}' && top.expectKey);
+    } else if (ch === '{') {
+      stack.push({ close: '}', expectKey: true });
+    } else if (ch === '[') {
+      stack.push({ close: ']', expectKey: false });
+    } else if (ch === '}' || ch === ']') {
+      stack.pop();
+      if (stack.length === 0) {
+        text = text.slice(0, i + 1);
+        break;
+      }
+    } else if (ch === ':') {
+      pendingKey = false;
+      if (top) top.expectKey = false;
+    } else if (ch === ',') {
+      if (top && top.close === '}') top.expectKey = true;
+    }
+  }
+
+  if (inString) {
+    if (unicodeRemaining > 0) {
+      text = text.slice(0, unicodeStart);
+    } else if (escaped) {
+      text = text.slice(0, -1);
+    }
+    text += '"';
+    if (stringIsKey) text += ':null';
+  } else {
+    text = text.replace(/\s+$/, '');
+    if (stack.length > 0) {
+      // Unconfirmed bare token (number / true / false / null)
+      text = text.replace(/[-+.\w]+$/, '').replace(/\s+$/, '');
+    }
+    if (pendingKey) {
+      text += ':null';
+    } else if (text.endsWith(':')) {
+      text += 'null';
+    } else if (text.endsWith(',')) {
+      text = text.slice(0, -1);
+    }
+  }
+
+  for (let i = stack.length - 1; i >= 0; i--) {
+    text += stack[i].close;
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * User-visible text of a tutor reply generated so far. Models that ignore
+ * JSON mode and answer in prose are passed through as-is, matching
+ * tutorService.parseTutorReply().
+ * @param {string} raw - Accumulated model output
+ * @returns {string}
+ */
+const tutorReplyPreview = (raw) => {
+  if (typeof raw !== 'string') return '';
+  if (!raw.trimStart().startsWith('{')) return raw;
+  const partial = parsePartialJson(raw);
+  return partial && typeof partial.content === 'string' ? partial.content : '';
+};
+
+/**
+ * Title and paragraph texts of a story generated so far. Questions and
+ * vocabUsed are left for the final, sanitized story.
+ * @param {string} raw - Accumulated model output
+ * @returns {{ title: string, paragraphs: Array<{ text: string }> }}
+ */
+const storyPreview = (raw) => {
+  const partial = parsePartialJson(raw) || {};
+  const paragraphs = Array.isArray(partial.paragraphs) ? partial.paragraphs : [];
+  return {
+    title: typeof partial.title === 'string' ? partial.title : '',
+    paragraphs: paragraphs
+      .filter(p => p && typeof p.text === 'string')
+      .map(p => ({ text: p.text })),
+  };
+};
+
+/**
+ * What to send for a preview that moved from `previous` to `next`: the
+ * appended text, or the whole value when earlier text changed.
+ * @param {string} previous
+ * @param {string} next
+ * @returns {{ delta: string, replace: boolean }|null} null when unchanged
+ */
+const previewDelta = (previous, next) => {
+  if (next === previous) return null;
+  if (next.startsWith(previous)) {
+    return { delta: next.slice(previous.length), replace: false };
+  }
+  return { delta: next, replace: true };
+};
+
+module.exports = {
+  parsePartialJson,
+  tutorReplyPreview,
+  storyPreview,
+  previewDelta,
+};
@@ -0,0 +1,307 @@
+/**
+ * Vocabulary CSV/TSV exchange — pure parse/serialize, no I/O.
+ *
+ * Consumed by services/vocabExchangeService.js for
+ * POST /learning/vocabulary/import and GET /learning/vocabulary/export.
+ *
+ * - parseDelimited: RFC 4180 quoting (quoted fields may contain the
+ *   delimiter, doubled quotes and newlines), BOM-tolerant, delimiter sniffed
+ *   from the first line when not given (tab > semicolon > comma).
+ * - resolveFieldMapping: turns the client's `mapping` (column header or
+ *   0-based index → Vocabulary field) into a column index per field; when
+ *   no mapping is sent, headers are matched against FIELD_ALIASES so our
+ *   own exports and the common Anki/Quizlet "Front/Back" layouts import
+ *   without any configuration.
+ * - serializeDelimited: the export side, with formula-injection guarding
+ *   (cells starting with = + - @ are prefixed with ') because these files
+ *   are opened in spreadsheet apps.
+ */
+
+const IMPORTABLE_FIELDS = [
+  'word',
+  'translation',
+  'language',
+  'partOfSpeech',
+  'pronunciation',
+  'notes',
+  'tags',
+  'example',
+  'exampleTranslation',
+  // SRS state (optional — carried by our own exports)
+  'srsLevel',
+  'easeFactor',
+  'interval',
+  'nextReview',
+  'totalReviews',
+  'correctReviews',
+  'incorrectReviews',
+  'lastReviewedAt',
+  'isMastered',
+  'fsrsStability',
+  'fsrsDifficulty',
+];
+
+// Lower-cased header → field. Keep the canonical field name first.
+const FIELD_ALIASES = {
+  word: ['word', 'front', 'term', 'expression', 'vocab', 'vocabulary'],
+  translation: ['translation', 'back', 'meaning', 'definition'],
+  language: ['language', 'lang'],
+  partOfSpeech: ['partofspeech', 'part_of_speech', 'pos'],
+  pronunciation: ['pronunciation', 'reading', 'ipa', 'phonetic'],
+  notes: ['notes', 'note', 'extra'],
+  tags: ['tags', 'tag'],
+  example: ['example', 'sentence', 'example_sentence'],
+  exampleTranslation: ['exampletranslation', 'example_translation', 'sentence_translation'],
+  srsLevel: ['srslevel', 'srs_level'],
+  easeFactor: ['easefactor', 'ease_factor', 'ease'],
+  interval: ['interval', 'ivl'],
+  nextReview: ['nextreview', 'next_review', 'due'],
+  totalReviews: ['totalreviews', 'total_reviews', 'reps'],
+  correctReviews: ['correctreviews', 'correct_reviews'],
+  incorrectReviews: ['incorrectreviews', 'incorrect_reviews', 'lapses'],
+  lastReviewedAt: ['lastreviewedat', 'last_reviewed_at'],
+  isMastered: ['ismastered', 'is_mastered', 'mastered'],
+  fsrsStability: ['fsrsstability', 'fsrs_stability', 'stability'],
+  fsrsDifficulty: ['fsrsdifficulty', 'fsrs_difficulty', 'difficulty'],
+};
+
+const PARTS_OF_SPEECH = ['noun', 'verb', 'adjective', 'adverb', 'pronoun', 'preposition', 'conjunction', 'interjection', 'phrase', 'other'];
+
+const DELIMITERS = { csv: ',', tsv: '\t' };
+
+/**
+ * Guess the delimiter from the first line (outside quotes).
+ * @param {string} text
+ * @returns {string}
+ */
+function sniffDelimiter(text) {
+  const firstLine = String(text || '').split(/\r?\n/, 1)[0] || '';
+  const counts = { '\t': 0, ';': 0, ',': 0 };
+  let inQuotes = false;
+  for (const ch of firstLine) {
+    if (ch === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && counts[ch] !== undefined) counts[ch] += 1;
+  }
+  if (counts['\t'] > 0) return '\t';
+  if (counts[';'] > counts[',']) return ';';
+  return ',';
+}
+
+/**
+ * Parse delimited text into rows of strings.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] - sniffed when omitted
+ * @returns {{ delimiter: string, rows: string[][] }}
+ */
+function parseDelimited(text, options = {}) {
+  const src = String(text || '').replace(/^﻿/, '');
+  const delimiter = options.delimiter || sniffDelimiter(src);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') {
+          field += '"';
+          i += 1;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop fully blank lines.
+  return { delimiter, rows: rows.filter((r) => r.some((c) => c.trim() !== '')) };
+}
+
+const normalizeHeader = (h) => String(h || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+/**
+ * Work out which column feeds which Vocabulary field.
+ *
+ * @param {string[]} headerRow - first row of the file
+ * @param {Object} [mapping] - { field: headerName | columnIndex }
+ * @param {Object} [options]
+ * @param {boolean} [options.hasHeader] - default: auto (true when the
+ *   header row matches any alias or an explicit mapping names a header)
+ * @returns {{ columns: Object<string, number>, hasHeader: boolean } | { error: string }}
+ */
+function resolveFieldMapping(headerRow = [], mapping = null, options = {}) {
+  const headers = headerRow.map(normalizeHeader);
+  const columns = {};
+
+  if (mapping && typeof mapping === 'object' && Object.keys(mapping).length > 0) {
+    let namedHeader = false;
+    for (const [field, source] of Object.entries(mapping)) {
+      if (!IMPORTABLE_FIELDS.includes(field)) {
+        return { error: `Unknown mapping field: ${field}` };
+      }
+      if (source === null || source === undefined || source === '') continue;
+      const asIndex = Number(source);
+      if (Number.isInteger(asIndex) && String(source).trim() !== '' && !Number.isNaN(asIndex)) {
+        if (asIndex < 0 || asIndex >= headerRow.length) {
+          return { error: `Column ${asIndex} for ${field} is out of range` };
+        }
+        columns[field] = asIndex;
+      } else {
+        const idx = headers.indexOf(normalizeHeader(source));
+        if (idx === -1) return { error: `Column "${source}" for ${field} not found` };
+        columns[field] = idx;
+        namedHeader = true;
+      }
+    }
+    if (columns.word === undefined || columns.translation === undefined) {
+      return { error: 'mapping must include word and translation' };
+    }
+    return { columns, hasHeader: options.hasHeader ?? namedHeader };
+  }
+
+  for (const [field, aliases] of Object.entries(FIELD_ALIASES)) {
+    const idx = headers.findIndex((h) => aliases.includes(h.replace(/_/g, '')) || aliases.includes(h));
+    if (idx !== -1 && !Object.values(columns).includes(idx)) columns[field] = idx;
+  }
+
+  if (columns.word !== undefined && columns.translation !== undefined && options.hasHeader !== false) {
+    return { columns, hasHeader: true };
+  }
+
+  // Headerless file: first column is the word, second the translation.
+  if (headerRow.length < 2) {
+    return { error: 'Each row needs at least a word and a translation column' };
+  }
+  return { columns: { word: 0, translation: 1 }, hasHeader: false };
+}
+
+const toNumber = (v) => {
+  if (v === undefined || v === null || String(v).trim() === '') return undefined;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : undefined;
+};
+
+const toDate = (v) => {
+  if (v === undefined || v === null || String(v).trim() === '') return undefined;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? undefined : d;
+};
+
+/**
+ * Turn one parsed row into an import candidate (not yet a Vocabulary doc —
+ * the service fills in user / language defaults).
+ * @param {string[]} row
+ * @param {Object<string, number>} columns
+ * @returns {{ entry: Object } | { error: string }}
+ */
+function rowToEntry(row, columns) {
+  const cell = (field) => (columns[field] === undefined ? undefined : (row[columns[field]] ?? '').trim());
+
+  const word = cell('word');
+  const translation = cell('translation');
+  if (!word) return { error: 'word is empty' };
+  if (!translation) return { error: 'translation is empty' };
+  if (word.length > 200) return { error: 'word exceeds 200 characters' };
+  if (translation.length > 500) return { error: 'translation exceeds 500 characters' };
+
+  const entry = { word, translation };
+
+  const language = cell('language');
+  if (language) entry.language = language;
+
+  const pos = (cell('partOfSpeech') || '').toLowerCase();
+  if (pos) entry.partOfSpeech = PARTS_OF_SPEECH.includes(pos) ? pos : 'other';
+
+  const pronunciation = cell('pronunciation');
+  if (pronunciation) entry.pronunciation = pronunciation.slice(0, 100);
+
+  const notes = cell('notes');
+  if (notes) entry.notes = notes.slice(0, 1000);
+
+  const tags = cell('tags');
+  if (tags) {
+    entry.tags = [...new Set(tags.split(/[\s,;]+/).map((t) => t.trim()).filter(Boolean))]
+      .map((t) => t.slice(0, 50));
+  }
+
+  const example = cell('example');
+  if (example) {
+    entry.examples = [{
+      sentence: example.slice(0, 500),
+      translation: (cell('exampleTranslation') || '').slice(0, 500) || undefined,
+    }];
+  }
+
+  const srs = {
+    srsLevel: toNumber(cell('srsLevel')),
+    easeFactor: toNumber(cell('easeFactor')),
+    interval: toNumber(cell('interval')),
+    nextReview: toDate(cell('nextReview')),
+    totalReviews: toNumber(cell('totalReviews')),
+    correctReviews: toNumber(cell('correctReviews')),
+    incorrectReviews: toNumber(cell('incorrectReviews')),
+    lastReviewedAt: toDate(cell('lastReviewedAt')),
+    isMastered: cell('isMastered') === undefined ? undefined : /^(true|1|yes)$/i.test(cell('isMastered')),
+    fsrsStability: toNumber(cell('fsrsStability')),
+    fsrsDifficulty: toNumber(cell('fsrsDifficulty')),
+  };
+  if (Object.values(srs).some((v) => v !== undefined)) entry.srs = srs;
+
+  return { entry };
+}
+
+const FORMULA_PREFIX = /^[=+\-@]/;
+
+function escapeCell(value, delimiter) {
+  if (value === undefined || value === null) return '';
+  let s = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_PREFIX.test(s) && !/^-?\d+(\.\d+)?$/.test(s)) s = `'${s}`;
+  if (s.includes('"') || s.includes(delimiter) || s.includes('\n') || s.includes('\r')) {
+    return `"${s.replace(/"/g, '""')}"`;
+  }
+  return s;
+}
+
+/**
+ * @param {string[]} header
+ * @param {Array<Array<*>>} rows
+ * @param {string} [delimiter]
+ * @returns {string}
+ */
+function serializeDelimited(header, rows, delimiter = ',') {
+  const lines = [header, ...rows].map((r) => r.map((c) => escapeCell(c, delimiter)).join(delimiter));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  IMPORTABLE_FIELDS,
+  FIELD_ALIASES,
+  DELIMITERS,
+  sniffDelimiter,
+  parseDelimited,
+  resolveFieldMapping,
+  rowToEntry,
+  serializeDelimited,
+};
@@ -0,0 +1,124 @@
+/**
+ * User-authored vocab pack rules — pure, no I/O.
+ *
+ * Consumed by controllers/vocabPacks.js, controllers/learning.js
+ * (getVocabPack) and services/vocabPackService.js. Rules:
+ * - curated packs (owner null) are visible to everyone while active
+ * - user packs: owner always sees them; others only when visibility is
+ *   public or unlisted, the pack is active, and it is not hidden pending
+ *   moderation review
+ * - subscribing/forking requires visibility; you cannot subscribe to your
+ *   own pack (you already get your own additions)
+ * - pack words are unique per pack, case-insensitively; the first
+ *   occurrence wins
+ */
+
+const PACK_LEVELS = ['beginner', 'intermediate', 'advanced'];
+const PACK_VISIBILITIES = ['private', 'unlisted', 'public'];
+const MAX_WORDS_PER_PACK = 1000;
+const MAX_PACKS_PER_USER = 50;
+const MAX_TAGS = 10;
+
+const idOf = (v) => (v && v._id ? String(v._id) : v ? String(v) : null);
+
+/**
+ * @param {Object} pack - VocabPack (lean or doc)
+ * @param {string} userId
+ * @returns {boolean}
+ */
+function isPackOwner(pack, userId) {
+  return !!pack && !!pack.owner && idOf(pack.owner) === String(userId);
+}
+
+/**
+ * @param {Object} pack
+ * @param {string} userId
+ * @returns {boolean}
+ */
+function canViewPack(pack, userId) {
+  if (!pack || pack.isActive === false) return false;
+  if (!pack.owner) return true;
+  if (isPackOwner(pack, userId)) return true;
+  if (pack.hiddenPendingReview) return false;
+  return pack.visibility === 'public' || pack.visibility === 'unlisted';
+}
+
+/**
+ * @param {Object} pack
+ * @param {string} userId
+ * @returns {{ ok: true } | { error: string, status: number }}
+ */
+function canSubscribe(pack, userId) {
+  if (!canViewPack(pack, userId)) return { error: 'Vocab pack not found', status: 404 };
+  if (isPackOwner(pack, userId)) return { error: 'You cannot subscribe to your own pack', status: 400 };
+  return { ok: true };
+}
+
+/**
+ * Map a personal Vocabulary entry onto a pack word.
+ * @param {Object} vocab - lean Vocabulary doc
+ * @returns {{ word: string, definition: string, example?: string, translationHint: string }}
+ */
+function vocabularyToPackWord(vocab) {
+  const example = Array.isArray(vocab.examples) && vocab.examples[0] && vocab.examples[0].sentence;
+  return {
+    word: String(vocab.word).trim(),
+    definition: String(vocab.notes || vocab.translation).trim().slice(0, 500),
+    ...(example ? { example: String(example).trim().slice(0, 500) } : {}),
+    translationHint: String(vocab.translation).trim().slice(0, 500),
+  };
+}
+
+const wordKey = (w) => String(w || '').trim().normalize('NFC').toLowerCase();
+
+/**
+ * Append new words to a pack's words, skipping case-insensitive duplicates
+ * and stopping at MAX_WORDS_PER_PACK.
+ * @param {Array<Object>} existing
+ * @param {Array<Object>} incoming
+ * @returns {{ words: Array<Object>, added: Array<Object>, skipped: number }}
+ */
+function mergePackWords(existing = [], incoming = []) {
+  const seen = new Set(existing.map((w) => wordKey(w.word)));
+  const words = [...existing];
+  const added = [];
+  let skipped = 0;
+
+  for (const w of incoming) {
+    const key = wordKey(w && w.word);
+    if (!key || seen.has(key) || words.length >= MAX_WORDS_PER_PACK) {
+      skipped += 1;
+      continue;
+    }
+    seen.add(key);
+    words.push(w);
+    added.push(w);
+  }
+
+  return { words, added, skipped };
+}
+
+/**
+ * Lower-case, de-duplicate and cap free-form tags.
+ * @param {Array<string>|string} tags
+ * @returns {string[]}
+ */
+function normalizePackTags(tags) {
+  const list = Array.isArray(tags) ? tags : typeof tags === 'string' ? tags.split(',') : [];
+  return [...new Set(
+    list.map((t) => String(t).trim().toLowerCase().replace(/^#/, '').slice(0, 30)).filter(Boolean)
+  )].slice(0, MAX_TAGS);
+}
+
+module.exports = {
+  PACK_LEVELS,
+  PACK_VISIBILITIES,
+  MAX_WORDS_PER_PACK,
+  MAX_PACKS_PER_USER,
+  isPackOwner,
+  canViewPack,
+  canSubscribe,
+  vocabularyToPackWord,
+  mergePackWords,
+  normalizePackTags,
+};
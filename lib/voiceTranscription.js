@@ -0,0 +1,252 @@
+/**
+ * Voice message transcription — pure rules, no I/O.
+ *
+ * Consumed by models/Message.js (queueing), services/voiceTranscriptionService.js
+ * (the worker) and the translate/vocabulary handlers. Rules:
+ * - a new, unencrypted voice message with audio is queued as `pending`
+ * - the worker claims it (`processing`, attempts + 1); a claim older than
+ *   CLAIM_TIMEOUT_MS is treated as abandoned and can be claimed again,
+ *   counting as a failed attempt if it was the last one
+ * - a failed attempt goes back to `pending`, retried after RETRY_DELAY_MS,
+ *   until MAX_ATTEMPTS, then `failed`; audio we can't ever transcribe (not ours, too large, not a
+ *   supported format) fails at once
+ * - only audio on our own media hosts is fetched: the socket send path
+ *   takes the URL from the client
+ * - a completed transcript stands in for the text of a voice message
+ */
+
+const path = require('path');
+const { normalizeLanguage } = require('./normalizeLanguage');
+
+const TRANSCRIPTION_STATUSES = ['pending', 'processing', 'completed', 'failed'];
+const MAX_ATTEMPTS = 3;
+const CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+const RETRY_DELAY_MS = 60 * 1000;
+const MAX_TRANSCRIPT_LENGTH = 5000;
+
+// Defaults mirror middleware/uploadToSpaces.js
+const DEFAULT_MEDIA_HOSTS = [
+  'my-projects-media.sfo3.cdn.digitaloceanspaces.com',
+  'my-projects-media.sfo3.digitaloceanspaces.com'
+];
+
+// Extension <-> MIME type for formats the speech engines take
+const AUDIO_TYPES = {
+  mp3: 'audio/mpeg',
+  m4a: 'audio/mp4',
+  mp4: 'audio/mp4',
+  aac: 'audio/aac',
+  wav: 'audio/wav',
+  webm: 'audio/webm',
+  ogg: 'audio/ogg',
+  flac: 'audio/flac'
+};
+const MIME_EXTENSIONS = {
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/m4a': 'm4a',
+  'audio/x-m4a': 'm4a',
+  'audio/aac': 'aac',
+  'audio/x-aac': 'aac',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/flac': 'flac'
+};
+
+const hostOf = (value) => {
+  if (!value) return null;
+  try {
+    return new URL(/^https?:\/\//.test(value) ? value : `https://${value}`).hostname.toLowerCase();
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Whether a message should be queued for transcription when created
+ * @param {Object} message
+ * @returns {boolean}
+ */
+function shouldTranscribe(message) {
+  return !!message &&
+    message.messageType === 'voice' &&
+    !message.isEncrypted &&
+    !!(message.media && message.media.url) &&
+    !message.transcription;
+}
+
+/**
+ * Query for messages the worker may claim now
+ * @param {Date} now
+ * @returns {Object}
+ */
+function claimableFilter(now = new Date()) {
+  return {
+    messageType: 'voice',
+    isDeleted: { $ne: true },
+    $or: [
+      { 'transcription.status': 'pending', 'transcription.claimedAt': null },
+      {
+        'transcription.status': 'pending',
+        'transcription.claimedAt': { $lt: new Date(now.getTime() - RETRY_DELAY_MS) }
+      },
+      // Abandoned by a worker that died mid-attempt
+      {
+        'transcription.status': 'processing',
+        'transcription.claimedAt': { $lt: new Date(now.getTime() - CLAIM_TIMEOUT_MS) }
+      }
+    ]
+  };
+}
+
+/**
+ * Status after a failed attempt
+ * @param {number} attempts - attempts made, including this one
+ * @param {boolean} permanent - the audio can never be transcribed
+ * @returns {'pending'|'failed'}
+ */
+function statusAfterFailure(attempts, permanent = false) {
+  return permanent || attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+}
+
+/**
+ * Hosts our uploaded media is served from
+ * @param {Object} env - process.env
+ * @returns {string[]}
+ */
+function mediaHosts(env = {}) {
+  const hosts = [
+    hostOf(env.SPACES_CDN_URL),
+    hostOf(env.DO_SPACES_CDN_ENDPOINT),
+    env.DO_SPACES_ENDPOINT ? hostOf(`${env.DO_SPACES_BUCKET || 'bananatalk'}.${env.DO_SPACES_ENDPOINT}`) : null,
+    ...DEFAULT_MEDIA_HOSTS
+  ];
+  return [...new Set(hosts.filter(Boolean))];
+}
+
+/**
+ * Whether a URL is https on one of our media hosts
+ * @param {string} url
+ * @param {string[]} hosts
+ * @returns {boolean}
+ */
+function isOwnMediaUrl(url, hosts) {
+  if (typeof url !== 'string') return false;
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    return false;
+  }
+  return parsed.protocol === 'https:' &&
+    !parsed.username && !parsed.password &&
+    (parsed.port === '' || parsed.port === '443') &&
+    hosts.includes(parsed.hostname.toLowerCase());
+}
+
+/**
+ * File name and MIME type to hand the speech engine, from the URL
+ * extension or the stored MIME type
+ * @param {string} url
+ * @param {string} [mimeType]
+ * @returns {{ originalname: string, mimetype: string }|null} null when
+ *   neither names a supported format
+ */
+function audioFileInfo(url, mimeType) {
+  let ext = '';
+  try {
+    ext = path.extname(new URL(url).pathname).toLowerCase().slice(1);
+  } catch (err) {
+    ext = '';
+  }
+  if (!AUDIO_TYPES[ext]) ext = MIME_EXTENSIONS[mimeType] || '';
+  if (!ext) return null;
+
+  const mimetype = MIME_EXTENSIONS[mimeType] === ext ? mimeType : AUDIO_TYPES[ext];
+  return { originalname: `voice.${ext}`, mimetype };
+}
+
+/**
+ * Transcript text as stored: whitespace collapsed, capped
+ * @param {*} text
+ * @returns {string}
+ */
+function normalizeTranscript(text) {
+  if (typeof text !== 'string') return '';
+  return text.replace(/\s+/g, ' ').trim().slice(0, MAX_TRANSCRIPT_LENGTH);
+}
+
+/**
+ * ISO 639-1 code for a language the engine reported, as a code
+ * ('en', 'pt-BR') or a name ('english'); null when unrecognised
+ * @param {*} value
+ * @returns {string|null}
+ */
+function languageTag(value) {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  if (/^[a-z]{2,3}(?:[-_][a-z0-9]{2,8})*$/i.test(trimmed)) {
+    return trimmed.split(/[-_]/)[0].toLowerCase();
+  }
+  return normalizeLanguage(trimmed);
+}
+
+/**
+ * Text of a message for translation and vocabulary: its own text, or
+ * the completed transcript of a voice message
+ * @param {Object} message
+ * @returns {string|null}
+ */
+function messageText(message) {
+  if (!message) return null;
+  if (message.message) return message.message;
+  const t = message.transcription;
+  return t && t.status === 'completed' && t.text ? t.text : null;
+}
+
+/**
+ * Detected language of a voice message's transcript
+ * @param {Object} message
+ * @returns {string|null}
+ */
+function transcriptLanguage(message) {
+  const t = message && message.transcription;
+  return t && t.status === 'completed' && t.language ? t.language : null;
+}
+
+/**
+ * What clients are sent about a transcription
+ * @param {Object} transcription
+ * @returns {Object}
+ */
+function publicTranscription(transcription) {
+  if (!transcription) return null;
+  return {
+    status: transcription.status,
+    text: transcription.status === 'completed' ? transcription.text || '' : null,
+    language: transcription.language || null,
+    completedAt: transcription.completedAt || null
+  };
+}
+
+module.exports = {
+  TRANSCRIPTION_STATUSES,
+  MAX_ATTEMPTS,
+  CLAIM_TIMEOUT_MS,
+  RETRY_DELAY_MS,
+  MAX_TRANSCRIPT_LENGTH,
+  shouldTranscribe,
+  claimableFilter,
+  statusAfterFailure,
+  mediaHosts,
+  isOwnMediaUrl,
+  audioFileInfo,
+  normalizeTranscript,
+  languageTag,
+  messageText,
+  transcriptLanguage,
+  publicTranscription
+};
@@ -0,0 +1,319 @@
+'use strict';
+
+/**
+ * Web Push protocol — pure, no I/O (node:crypto only).
+ *
+ * Builds the request a push service (FCM for Chrome, Mozilla autopush,
+ * Apple, WNS) expects for one browser subscription:
+ * - VAPID (RFC 8292): an ES256 JWT for the endpoint's origin, signed with
+ *   our VAPID key and sent as `Authorization: vapid t=<jwt>, k=<public key>`
+ * - payload encryption (RFC 8291, aes128gcm / RFC 8188): ECDH with the
+ *   browser's p256dh key and its auth secret, one record
+ *
+ * services/webPushService.js sends the request and prunes subscriptions the
+ * push service reports gone (404/410). decryptPayload is the browser's side,
+ * used by local push-service stubs in tests.
+ *
+ * Keys are base64url: the VAPID public key and p256dh are uncompressed
+ * P-256 points (65 bytes), the VAPID private key is the 32-byte scalar.
+ */
+
+const crypto = require('crypto');
+
+const RECORD_SIZE = 4096;
+const TAG_LENGTH = 16;
+const HEADER_LENGTH = 16 + 4 + 1 + 65;
+// Push services accept 4096 bytes of body: header, one record, its tag
+// and the padding delimiter
+const MAX_PAYLOAD_BYTES = RECORD_SIZE - HEADER_LENGTH - TAG_LENGTH - 1;
+const JWT_TTL_SECONDS = 12 * 60 * 60;
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+const URGENCIES = ['very-low', 'low', 'normal', 'high'];
+// Push services we deliver to. An endpoint is a URL the browser gave us, so
+// anything else is refused rather than POSTed to from the server.
+const PUSH_SERVICE_HOSTS = [
+  'fcm.googleapis.com',
+  'android.googleapis.com',
+  'updates.push.services.mozilla.com',
+  'push.services.mozilla.com',
+  'web.push.apple.com',
+  'notify.windows.com',
+];
+
+const b64u = {
+  encode: (buf) => Buffer.from(buf).toString('base64url'),
+  decode: (str) => Buffer.from(String(str), 'base64url'),
+};
+
+/**
+ * A new VAPID key pair, for VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY
+ * @returns {{ publicKey: string, privateKey: string }}
+ */
+function generateVapidKeys() {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  return {
+    publicKey: b64u.encode(ecdh.getPublicKey()),
+    privateKey: b64u.encode(ecdh.getPrivateKey()),
+  };
+}
+
+/**
+ * Signing key from a raw VAPID key pair
+ * @param {string} publicKey
+ * @param {string} privateKey
+ * @returns {crypto.KeyObject}
+ */
+function vapidSigningKey(publicKey, privateKey) {
+  const point = b64u.decode(publicKey);
+  if (point.length !== 65 || point[0] !== 0x04) throw new Error('Invalid VAPID public key');
+  return crypto.createPrivateKey({
+    key: {
+      kty: 'EC',
+      crv: 'P-256',
+      x: b64u.encode(point.subarray(1, 33)),
+      y: b64u.encode(point.subarray(33)),
+      d: privateKey,
+    },
+    format: 'jwk',
+  });
+}
+
+/**
+ * VAPID Authorization header value for an endpoint
+ * @param {string} endpoint
+ * @param {{ publicKey: string, privateKey: string, subject: string }} vapid
+ * @param {Date} [now]
+ * @returns {string}
+ */
+function vapidAuthorization(endpoint, vapid, now = new Date()) {
+  const header = { typ: 'JWT', alg: 'ES256' };
+  const claims = {
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(now.getTime() / 1000) + JWT_TTL_SECONDS,
+    sub: vapid.subject,
+  };
+  const unsigned = `${b64u.encode(JSON.stringify(header))}.${b64u.encode(JSON.stringify(claims))}`;
+  const signature = crypto.sign('sha256', Buffer.from(unsigned), {
+    key: vapidSigningKey(vapid.publicKey, vapid.privateKey),
+    dsaEncoding: 'ieee-p1363',
+  });
+  return `vapid t=${unsigned}.${b64u.encode(signature)}, k=${vapid.publicKey}`;
+}
+
+/**
+ * Verify a VAPID Authorization header (push-service side, for stubs)
+ * @param {string} authorization
+ * @param {Date} [now]
+ * @returns {{ claims: Object, publicKey: string }|null} null when invalid
+ */
+function verifyVapidAuthorization(authorization, now = new Date()) {
+  const match = /^vapid t=([^,\s]+),\s*k=([A-Za-z0-9_-]+)$/.exec(String(authorization || ''));
+  if (!match) return null;
+  const [, jwt, publicKey] = match;
+  const [header, payload, signature] = jwt.split('.');
+  if (!signature) return null;
+
+  const point = b64u.decode(publicKey);
+  if (point.length !== 65) return null;
+  const key = crypto.createPublicKey({
+    key: { kty: 'EC', crv: 'P-256', x: b64u.encode(point.subarray(1, 33)), y: b64u.encode(point.subarray(33)) },
+    format: 'jwk',
+  });
+  const valid = crypto.verify('sha256', Buffer.from(`${header}.${payload}`), { key, dsaEncoding: 'ieee-p1363' }, b64u.decode(signature));
+  if (!valid) return null;
+
+  const claims = JSON.parse(b64u.decode(payload).toString('utf8'));
+  if (!claims.exp || claims.exp * 1000 < now.getTime()) return null;
+  return { claims, publicKey };
+}
+
+const hkdf = (salt, ikm, info, length) => Buffer.from(crypto.hkdfSync('sha256', ikm, salt, info, length));
+
+const contentKeys = (salt, ikm) => ({
+  key: hkdf(salt, ikm, Buffer.from('Content-Encoding: aes128gcm\0'), 16),
+  nonce: hkdf(salt, ikm, Buffer.from('Content-Encoding: nonce\0'), 12),
+});
+
+/**
+ * Encrypt a payload for a subscription (aes128gcm, one record)
+ * @param {Buffer|string} payload
+ * @param {{ p256dh: string, auth: string }} keys - the subscription's keys
+ * @param {Object} [options] - fixed salt / server key, for tests
+ * @returns {Buffer} request body
+ */
+function encryptPayload(payload, keys, { salt = crypto.randomBytes(16), serverKeys } = {}) {
+  const plaintext = Buffer.from(payload);
+  if (plaintext.length > MAX_PAYLOAD_BYTES) {
+    throw new Error(`Web push payload is ${plaintext.length} bytes; at most ${MAX_PAYLOAD_BYTES}`);
+  }
+
+  const uaPublic = b64u.decode(keys.p256dh);
+  const authSecret = b64u.decode(keys.auth);
+  const ecdh = serverKeys || crypto.createECDH('prime256v1');
+  if (!serverKeys) ecdh.generateKeys();
+  const asPublic = ecdh.getPublicKey();
+
+  const sharedSecret = ecdh.computeSecret(uaPublic);
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), uaPublic, asPublic]);
+  const ikm = hkdf(authSecret, sharedSecret, keyInfo, 32);
+  const { key, nonce } = contentKeys(salt, ikm);
+
+  const cipher = crypto.createCipheriv('aes-128-gcm', key, nonce);
+  const record = Buffer.concat([
+    cipher.update(Buffer.concat([plaintext, Buffer.from([0x02])])),
+    cipher.final(),
+    cipher.getAuthTag(),
+  ]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(asPublic.length, 20);
+  return Buffer.concat([header, asPublic, record]);
+}
+
+/**
+ * Decrypt a request body with the browser's keys (the receiving side)
+ * @param {Buffer} body
+ * @param {{ ecdh: crypto.ECDH, auth: string }} receiver - the subscription's key pair and auth secret
+ * @returns {Buffer}
+ */
+function decryptPayload(body, { ecdh, auth }) {
+  const salt = body.subarray(0, 16);
+  const idLength = body.readUInt8(20);
+  const asPublic = body.subarray(21, 21 + idLength);
+  const record = body.subarray(21 + idLength);
+
+  const uaPublic = ecdh.getPublicKey();
+  const sharedSecret = ecdh.computeSecret(asPublic);
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), uaPublic, asPublic]);
+  const ikm = hkdf(b64u.decode(auth), sharedSecret, keyInfo, 32);
+  const { key, nonce } = contentKeys(salt, ikm);
+
+  const decipher = crypto.createDecipheriv('aes-128-gcm', key, nonce);
+  decipher.setAuthTag(record.subarray(record.length - TAG_LENGTH));
+  const padded = Buffer.concat([decipher.update(record.subarray(0, record.length - TAG_LENGTH)), decipher.final()]);
+
+  // Strip padding back to the delimiter
+  let end = padded.length - 1;
+  while (end >= 0 && padded[end] === 0) end--;
+  if (end < 0 || padded[end] !== 0x02) throw new Error('Invalid web push padding');
+  return padded.subarray(0, end);
+}
+
+const hostAllowed = (hostname, hosts) =>
+  hosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+
+/**
+ * Check a PushSubscription from the browser
+ * @param {Object} subscription - { endpoint, keys: { p256dh, auth } }
+ * @param {Object} [options]
+ * @param {string[]} [options.extraHosts] - more push-service hosts (local stubs)
+ * @param {boolean} [options.allowInsecure] - allow http:// endpoints (local stubs)
+ * @returns {{ subscription: Object, error: string|null }}
+ */
+function checkSubscription(subscription, { extraHosts = [], allowInsecure = false } = {}) {
+  const fail = (error) => ({ subscription: null, error });
+  if (!subscription || typeof subscription !== 'object') return fail('subscription is required');
+
+  let url;
+  try {
+    url = new URL(subscription.endpoint);
+  } catch (err) {
+    return fail('subscription.endpoint must be a URL');
+  }
+  if (url.protocol !== 'https:' && !(allowInsecure && url.protocol === 'http:')) {
+    return fail('subscription.endpoint must be https');
+  }
+  if (!hostAllowed(url.hostname, [...PUSH_SERVICE_HOSTS, ...extraHosts])) {
+    return fail('subscription.endpoint is not a known push service');
+  }
+
+  const keys = subscription.keys || {};
+  if (typeof keys.p256dh !== 'string' || b64u.decode(keys.p256dh).length !== 65) {
+    return fail('subscription.keys.p256dh must be a P-256 public key');
+  }
+  if (typeof keys.auth !== 'string' || b64u.decode(keys.auth).length !== 16) {
+    return fail('subscription.keys.auth must be 16 bytes');
+  }
+
+  return { subscription: { endpoint: url.href, keys: { p256dh: keys.p256dh, auth: keys.auth } }, error: null };
+}
+
+/**
+ * JSON payload the service worker shows, trimmed to fit
+ * @param {Object} notification - { title, body, imageUrl }
+ * @param {Object} [data]
+ * @returns {string}
+ */
+function buildPayload(notification, data = {}) {
+  const full = JSON.stringify({
+    title: notification.title,
+    body: notification.body,
+    image: notification.imageUrl || undefined,
+    data,
+  });
+  if (Buffer.byteLength(full) <= MAX_PAYLOAD_BYTES) return full;
+
+  // Keep what the client needs to route the tap; drop the rest
+  const slim = {
+    title: String(notification.title || '').slice(0, 100),
+    body: String(notification.body || '').slice(0, 500),
+    data: { type: data.type, notificationId: data.notificationId },
+  };
+  return JSON.stringify(slim);
+}
+
+/**
+ * The HTTP request that delivers a payload to a subscription
+ * @param {Object} subscription - { endpoint, keys }
+ * @param {string} payload
+ * @param {Object} options
+ * @param {Object} options.vapid - { publicKey, privateKey, subject }
+ * @param {number} [options.ttl] - seconds the push service keeps it
+ * @param {string} [options.urgency]
+ * @param {string} [options.topic] - replaces an undelivered push with the same topic
+ * @param {Date} [options.now]
+ * @returns {{ url: string, method: string, headers: Object, body: Buffer }}
+ */
+function buildRequest(subscription, payload, { vapid, ttl = DEFAULT_TTL_SECONDS, urgency = 'normal', topic, now = new Date() }) {
+  const headers = {
+    Authorization: vapidAuthorization(subscription.endpoint, vapid, now),
+    TTL: String(ttl),
+    Urgency: URGENCIES.includes(urgency) ? urgency : 'normal',
+    'Content-Encoding': 'aes128gcm',
+    'Content-Type': 'application/octet-stream',
+  };
+  if (topic) headers.Topic = String(topic).replace(/[^A-Za-z0-9_-]/g, '').slice(0, 32);
+
+  const body = encryptPayload(payload, subscription.keys);
+  headers['Content-Length'] = String(body.length);
+  return { url: subscription.endpoint, method: 'POST', headers, body };
+}
+
+/**
+ * What a push-service response means for the subscription
+ * @param {number} status
+ * @returns {'delivered'|'gone'|'failed'}
+ */
+function responseOutcome(status) {
+  if (status >= 200 && status < 300) return 'delivered';
+  // Unsubscribed or expired in the browser: never valid again
+  if (status === 404 || status === 410) return 'gone';
+  return 'failed';
+}
+
+module.exports = {
+  MAX_PAYLOAD_BYTES,
+  PUSH_SERVICE_HOSTS,
+  generateVapidKeys,
+  vapidAuthorization,
+  verifyVapidAuthorization,
+  encryptPayload,
+  decryptPayload,
+  checkSubscription,
+  buildPayload,
+  buildRequest,
+  responseOutcome,
+};
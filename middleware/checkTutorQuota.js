@@ -119,3 +119,6 @@ exports.checkChatQuotaSessionAware = asyncHandler(async (req, res, next) => {
   req.tutorQuotaResult = { ...result, feature: 'chat' };
   next();
 });
+
+// Shared with socket/tutorHandler.js so socket quota errors match the REST 429 body.
+exports.buildQuotaExceededResponse = buildQuotaExceededResponse;
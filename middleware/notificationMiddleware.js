@@ -1,4 +1,5 @@
 const { body, param, query } = require('express-validator');
+const { CONVERSATION_MODES, ROOM_MODES } = require('../lib/notificationRules');
 
 /**
  * Notification Middleware
@@ -25,6 +26,20 @@ exports.validateTokenRegistration = [
     .isLength({ min: 10, max: 200 }).withMessage('Invalid device ID')
 ];
 
+/**
+ * Validate Web Push subscription registration. The subscription itself is
+ * checked by services/webPushService.js (known push service, key sizes).
+ */
+exports.validateWebPushSubscription = [
+  body('subscription')
+    .isObject().withMessage('subscription must be the browser PushSubscription'),
+
+  body('deviceId')
+    .trim()
+    .notEmpty().withMessage('Device ID is required')
+    .isLength({ min: 10, max: 200 }).withMessage('Invalid device ID')
+];
+
 /**
  * Validate notification settings update
  */
@@ -76,6 +91,32 @@ exports.validateConversationId = [
     .isMongoId().withMessage('Invalid conversation ID')
 ];
 
+/**
+ * Validate room ID parameter
+ */
+exports.validateRoomId = [
+  param('roomId')
+    .trim()
+    .notEmpty().withMessage('Room ID is required')
+    .isMongoId().withMessage('Invalid room ID')
+];
+
+/**
+ * Validate a conversation notification override
+ */
+exports.validateConversationOverride = [
+  body('mode')
+    .isIn(CONVERSATION_MODES).withMessage(`mode must be one of: ${CONVERSATION_MODES.join(', ')}`)
+];
+
+/**
+ * Validate a room notification override
+ */
+exports.validateRoomOverride = [
+  body('mode')
+    .isIn(ROOM_MODES).withMessage(`mode must be one of: ${ROOM_MODES.join(', ')}`)
+];
+
 /**
  * Validate notification ID parameter
  */
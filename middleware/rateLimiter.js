@@ -304,3 +304,39 @@ exports.searchLimiter = rateLimit({
   }
 });
 
+
+/**
+ * Rate limiter for link previews (each miss fetches a remote page)
+ */
+exports.linkPreviewLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000, // 1 minute
+  max: 30, // 30 previews per minute
+  message: {
+    success: false,
+    error: 'Too many link preview requests. Please slow down.',
+    message: 'Too many link preview requests. Please slow down.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => {
+    return req.user ? `linkPreview:${req.user.id}` : `linkPreview:${req.ip}`;
+  }
+});
+
+/**
+ * Rate limiter for prekey bundle fetches (each one claims a prekey per device)
+ */
+exports.preKeyBundleLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 30, // 30 bundle fetches per hour
+  message: {
+    success: false,
+    error: 'Too many key bundle requests. Please try again later.',
+    message: 'Too many key bundle requests. Please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => {
+    return req.user ? `preKeyBundle:${req.user.id}` : `preKeyBundle:${req.ip}`;
+  }
+});
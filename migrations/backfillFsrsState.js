@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const LearningProgress = require('../models/LearningProgress');
+const Vocabulary = require('../models/Vocabulary');
+const { fromSm2 } = require('../lib/fsrsEngine');
+
+/**
+ * Seed Vocabulary.fsrs from SM-2 fields (interval/easeFactor) for users who
+ * opted into the FSRS scheduler. Reviews already do this lazily per card
+ * (lib/fsrsEngine.js#resolveMemoryState); running this up front lets
+ * GET /learning/vocabulary/review and analytics read a stored FSRS state
+ * for every reviewed card. Never-reviewed cards are left alone — FSRS
+ * initialises them from the first rating. Safe to re-run.
+ */
+async function migrate() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected. Seeding FSRS state from SM-2 fields…');
+
+    const fsrsUsers = await LearningProgress.find({ 'preferences.srsScheduler': 'fsrs' })
+      .select('user')
+      .lean();
+
+    let seeded = 0;
+    for (const { user } of fsrsUsers) {
+      const cursor = Vocabulary.find({
+        user,
+        isArchived: false,
+        'fsrs.stability': { $in: [null, 0] },
+        'reviewStats.totalReviews': { $gt: 0 },
+      })
+        .select('interval easeFactor nextReview reviewStats')
+        .lean()
+        .cursor();
+
+      const ops = [];
+      for await (const word of cursor) {
+        const memory = fromSm2(word);
+        if (!memory) continue;
+        ops.push({
+          updateOne: {
+            filter: { _id: word._id, 'fsrs.stability': { $in: [null, 0] } },
+            update: { $set: { fsrs: memory } },
+          },
+        });
+      }
+
+      if (ops.length > 0) {
+        const result = await Vocabulary.bulkWrite(ops, { ordered: false });
+        seeded += result.modifiedCount || 0;
+      }
+    }
+
+    console.log(`Seeded FSRS state on ${seeded} words across ${fsrsUsers.length} FSRS users.`);
+  } catch (err) {
+    console.error('Migration failed:', err);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+migrate();
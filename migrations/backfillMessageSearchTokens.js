@@ -0,0 +1,81 @@
+/**
+ * Migration: backfill Message.searchTokens for message search.
+ *
+ * New and edited messages get their tokens from the Message save and
+ * query-update hooks; messages written before GET /messages/search moved
+ * to token matching have none and are invisible to text queries until
+ * this runs. Walks
+ * messages without searchTokens in _id order and $sets
+ * lib/searchTokenizer.js indexTokens(message, media.fileName) in batches.
+ *
+ * Idempotent — only touches messages where searchTokens is missing, so
+ * re-running resumes where a previous run stopped.
+ *
+ * Usage:
+ *   npm run migrate:message-search-tokens                      # performs the $set writes
+ *   node migrations/backfillMessageSearchTokens.js --dry-run   # read-only: counts only
+ *   node migrations/backfillMessageSearchTokens.js             # performs the $set writes
+ *
+ * NOTE: connects to process.env.MONGO_URI (config/config.env). Like
+ * seedPrompts.js, the real run is intended for the server post-deploy.
+ */
+
+require('dotenv').config({ path: './config/config.env' });
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const { indexTokens } = require('../lib/searchTokenizer');
+
+const BATCH_SIZE = 1000;
+
+const MISSING_TOKENS_FILTER = { searchTokens: { $exists: false } };
+
+async function backfillMessageSearchTokens({ dryRun = false } = {}) {
+  try {
+    console.log('🔄 Connecting to MongoDB…');
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log(`✅ Connected${dryRun ? ' (dry run — no writes)' : ''}\n`);
+
+    if (dryRun) {
+      const pending = await Message.countDocuments(MISSING_TOKENS_FILTER);
+      console.log(`Dry run complete — ${pending} messages WOULD be indexed, 0 written.`);
+      return { wouldUpdate: pending };
+    }
+
+    let updated = 0;
+    let lastId = null;
+    for (;;) {
+      const filter = lastId ? { ...MISSING_TOKENS_FILTER, _id: { $gt: lastId } } : MISSING_TOKENS_FILTER;
+      const batch = await Message.find(filter)
+        .select('_id message media.fileName')
+        .sort({ _id: 1 })
+        .limit(BATCH_SIZE)
+        .lean();
+      if (batch.length === 0) break;
+
+      const result = await Message.bulkWrite(batch.map(msg => ({
+        updateOne: {
+          filter: { _id: msg._id, ...MISSING_TOKENS_FILTER },
+          update: { $set: { searchTokens: indexTokens(msg.message, msg.media?.fileName) } },
+        },
+      })), { ordered: false });
+
+      updated += result.modifiedCount;
+      lastId = batch[batch.length - 1]._id;
+      console.log(`  … ${updated} messages indexed`);
+    }
+
+    console.log(`\n✅ Done. ${updated} messages indexed.`);
+    return { updated };
+  } catch (err) {
+    console.error('❌ Backfill failed:', err);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+if (require.main === module) {
+  backfillMessageSearchTokens({ dryRun: process.argv.includes('--dry-run') });
+}
+
+module.exports = backfillMessageSearchTokens;
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const VocabPack = require('../models/VocabPack');
+
+/**
+ * User-authored vocab packs share the VocabPack collection with the curated
+ * catalog, so the unique key moves from (level, topic, language) to
+ * (level, topic, language, owner). Drops the old index and builds the new
+ * ones; safe to re-run.
+ */
+async function migrate() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected. Updating VocabPack indexes…');
+
+    const indexes = await VocabPack.collection.indexes();
+    if (indexes.some((idx) => idx.name === 'level_1_topic_1_language_1')) {
+      await VocabPack.collection.dropIndex('level_1_topic_1_language_1');
+      console.log('Dropped level_1_topic_1_language_1.');
+    }
+
+    const curated = await VocabPack.updateMany(
+      { owner: { $exists: false } },
+      { $set: { owner: null, visibility: 'public' } },
+    );
+
+    await VocabPack.syncIndexes();
+    console.log(`Backfilled ${curated.modifiedCount} curated packs; indexes in sync.`);
+  } catch (err) {
+    console.error('Migration failed:', err);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+migrate();
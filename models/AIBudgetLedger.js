@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+/**
+ * AIBudgetLedger Model
+ * One row per user per calendar month (UTC) holding running AI token and
+ * cost totals. aiProviderService $inc's it after every chat call made on a
+ * user's behalf, so budget checks read a single document instead of
+ * aggregating AIUsageLog. Per-provider detail stays in AIUsageLog.
+ */
+const AIBudgetLedgerSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // 'YYYY-MM' — see lib/aiBudget.js budgetPeriod()
+  period: {
+    type: String,
+    required: true
+  },
+  inputTokens: {
+    type: Number,
+    default: 0
+  },
+  outputTokens: {
+    type: Number,
+    default: 0
+  },
+  costUsd: {
+    type: Number,
+    default: 0
+  },
+  calls: {
+    type: Number,
+    default: 0
+  },
+  // Calls served on the cheaper degraded route after the budget ran out
+  degradedCalls: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+AIBudgetLedgerSchema.index({ user: 1, period: 1 }, { unique: true });
+AIBudgetLedgerSchema.index({ period: 1, costUsd: -1 });
+
+module.exports = mongoose.model('AIBudgetLedger', AIBudgetLedgerSchema);
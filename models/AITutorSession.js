@@ -6,6 +6,11 @@ const TutorMessageSchema = new mongoose.Schema({
   messageType: { type: String, enum: ['text', 'quiz_card', 'vocab_card', 'grammar_card', 'srs_due_card', 'mini_lesson_card'], default: 'text' },
   payload:     { type: mongoose.Schema.Types.Mixed },
   createdAt:   { type: Date, default: Date.now },
+  // Streamed assistant replies are saved while they generate so a client
+  // that reconnects can resume: 'streaming' until the model finishes,
+  // 'interrupted' if it failed (or the server died) after partial output.
+  status:      { type: String, enum: ['complete', 'streaming', 'interrupted'], default: 'complete' },
+  streamUpdatedAt: { type: Date },
 }, { _id: true });
 
 const AITutorSessionSchema = new mongoose.Schema({
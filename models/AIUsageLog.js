@@ -12,6 +12,28 @@ const AIUsageLogSchema = new mongoose.Schema({
     required: true,
     index: true,
   },
+  // Chat provider that served the call (openai, anthropic, local, fake),
+  // or the speech engine for tts/stt; absent on legacy rows and on calls
+  // that don't report it
+  provider: {
+    type: String,
+  },
+  model: {
+    type: String,
+  },
+  inputTokens: {
+    type: Number,
+    default: 0,
+  },
+  outputTokens: {
+    type: Number,
+    default: 0,
+  },
+  // USD, priced from config/aiConfig.js AI_PROVIDERS[provider].pricing
+  costUsd: {
+    type: Number,
+    default: 0,
+  },
   timestamp: {
     type: Date,
     default: Date.now,
@@ -21,5 +43,6 @@ const AIUsageLogSchema = new mongoose.Schema({
 
 AIUsageLogSchema.index({ feature: 1, timestamp: -1 });
 AIUsageLogSchema.index({ userId: 1, timestamp: -1 });
+AIUsageLogSchema.index({ provider: 1, timestamp: -1 });
 
 module.exports = mongoose.model('AIUsageLog', AIUsageLogSchema);
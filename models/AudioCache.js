@@ -51,7 +51,7 @@ const AudioCacheSchema = new mongoose.Schema({
   // Audio format
   format: {
     type: String,
-    enum: ['mp3', 'opus', 'aac', 'flac'],
+    enum: ['mp3', 'opus', 'aac', 'flac', 'wav'],
     default: 'mp3'
   },
 
@@ -79,10 +79,11 @@ const AudioCacheSchema = new mongoose.Schema({
     index: true
   },
 
-  // Provider
+  // Speech engine that generated the audio (services/speechEngines).
+  // Part of the cache key: engines sound different for the same text.
   provider: {
     type: String,
-    enum: ['openai', 'elevenlabs', 'google', 'azure'],
+    enum: ['openai', 'local', 'fake', 'elevenlabs', 'google', 'azure'],
     default: 'openai'
   }
 }, { timestamps: true });
@@ -94,18 +95,20 @@ AudioCacheSchema.index(
 );
 
 /**
- * Generate content hash for caching
+ * Generate content hash for caching. OpenAI keeps the original unprefixed
+ * format so clips cached before other engines existed are still found.
  */
-AudioCacheSchema.statics.generateHash = function(text, language, voice, speed) {
-  const content = `${text}|${language}|${voice}|${speed}`;
+AudioCacheSchema.statics.generateHash = function(text, language, voice, speed, engine = 'openai') {
+  const base = `${text}|${language}|${voice}|${speed}`;
+  const content = engine === 'openai' ? base : `${engine}|${base}`;
   return crypto.createHash('sha256').update(content).digest('hex');
 };
 
 /**
  * Get cached audio or return null
  */
-AudioCacheSchema.statics.getCached = async function(text, language, voice = 'nova', speed = 1.0) {
-  const hash = this.generateHash(text, language, voice, speed);
+AudioCacheSchema.statics.getCached = async function(text, language, voice = 'nova', speed = 1.0, engine = 'openai') {
+  const hash = this.generateHash(text, language, voice, speed, engine);
 
   const cached = await this.findOneAndUpdate(
     { contentHash: hash },
@@ -136,7 +139,7 @@ AudioCacheSchema.statics.saveToCache = async function(options) {
     provider = 'openai'
   } = options;
 
-  const hash = this.generateHash(text, language, voice, speed);
+  const hash = this.generateHash(text, language, voice, speed, provider);
 
   return await this.findOneAndUpdate(
     { contentHash: hash },
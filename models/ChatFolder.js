@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+/**
+ * ChatFolder Model
+ * A saved smart folder for the chat list: a named set of rules (unread,
+ * partner language, has corrections, last active, labels) that
+ * GET /conversations?folder=<id> evaluates server-side. Rules are stored
+ * already normalized by lib/conversationListQuery.js normalizeFolderRules.
+ */
+const ChatFolderSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Folder name is required'],
+    trim: true,
+    maxlength: [40, 'Folder name cannot exceed 40 characters']
+  },
+  emoji: {
+    type: String,
+    default: null
+  },
+  rules: {
+    unread: Boolean,
+    languages: {
+      type: [String],
+      default: undefined
+    },
+    hasCorrections: Boolean,
+    lastActive: {
+      withinDays: Number,
+      olderThanDays: Number
+    },
+    labels: {
+      type: [String],
+      default: undefined
+    }
+  },
+  // Order in the folder tab bar (ascending)
+  position: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+ChatFolderSchema.index({ user: 1, position: 1 });
+
+module.exports = mongoose.model('ChatFolder', ChatFolderSchema);
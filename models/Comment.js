@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { LINK_PREVIEW_FIELDS } = require('../lib/linkPreview');
 
 const CommentSchema = new mongoose.Schema({
   text: {
@@ -98,6 +99,11 @@ const CommentSchema = new mongoose.Schema({
     required: false,
     default: undefined,
   },
+  // First link in the comment, unfurled after save (services/linkPreviewService.js)
+  linkPreview: {
+    type: new mongoose.Schema(LINK_PREVIEW_FIELDS, { _id: false }),
+    default: undefined
+  },
 });
 
 // Indexes for performance
@@ -106,4 +112,16 @@ CommentSchema.index({ user: 1, createdAt: -1 }); // For finding user's comments
 CommentSchema.index({ moment: 1, user: 1 }); // For checking user's comment on moment
 CommentSchema.index({ parentComment: 1, createdAt: 1 }); // For finding replies
 
+// Unfurl the first link after the comment is saved
+CommentSchema.pre('save', function(next) {
+  this.$locals.unfurl = this.isNew || this.isModified('text');
+  next();
+});
+
+CommentSchema.post('save', function(doc) {
+  if (!doc.$locals.unfurl) return;
+  doc.$locals.unfurl = false;
+  require('../services/linkPreviewService').attachPreview(doc.constructor, doc, 'text');
+});
+
 module.exports = mongoose.model('Comment', CommentSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { participantLanguageSettings } = require('../lib/autoTranslate');
 
 const ConversationSchema = new mongoose.Schema({
   participants: [{
@@ -264,13 +265,18 @@ const ConversationSchema = new mongoose.Schema({
     }
   }],
   
-  // Chat Labels/Tags (for organizing)
+  // Chat Labels/Tags (for organizing). Private to addedBy: each
+  // participant sees and filters by their own labels only.
   labels: [{
     name: String,
     color: String,
     addedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
     }
   }],
   
@@ -291,6 +297,26 @@ const ConversationSchema = new mongoose.Schema({
     // Target language for translation
     translateTo: String
   },
+
+  // Per-user auto-translation (each participant translates what they
+  // receive into their own language). Falls back to languageSettings.
+  userLanguageSettings: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    autoTranslate: {
+      type: Boolean,
+      default: false
+    },
+    // ISO 639-1; empty means the user's native language
+    translateTo: String,
+    updatedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   
   // Conversation settings
   settings: {
@@ -334,6 +360,8 @@ ConversationSchema.index({ participants: 1, lastMessageAt: -1 });
 ConversationSchema.index({ 'mutedBy.user': 1 });
 ConversationSchema.index({ 'archivedBy': 1 });
 ConversationSchema.index({ 'pinnedBy.user': 1 });
+// Label filters and smart folders ($elemMatch on addedBy + name)
+ConversationSchema.index({ 'labels.addedBy': 1, 'labels.name': 1 });
 
 // ========== PERFORMANCE INDEXES ==========
 
@@ -603,10 +631,16 @@ ConversationSchema.methods.disableSecretChat = function() {
   return this.save();
 };
 
-// Add label
+// Get a user's own labels
+ConversationSchema.methods.getUserLabels = function(userId) {
+  return this.labels.filter(l => l.addedBy && l.addedBy.toString() === userId.toString());
+};
+
+// Add label (names are unique per user, case-insensitively)
 ConversationSchema.methods.addLabel = function(name, color, userId) {
-  const existingLabel = this.labels.find(l => l.name === name);
-  
+  const existingLabel = this.getUserLabels(userId)
+    .find(l => l.name.toLowerCase() === name.toLowerCase());
+
   if (!existingLabel) {
     this.labels.push({
       name,
@@ -614,13 +648,16 @@ ConversationSchema.methods.addLabel = function(name, color, userId) {
       addedBy: userId
     });
   }
-  
+
   return this.save();
 };
 
-// Remove label
-ConversationSchema.methods.removeLabel = function(labelName) {
-  this.labels = this.labels.filter(l => l.name !== labelName);
+// Remove one of a user's labels
+ConversationSchema.methods.removeLabel = function(labelId, userId) {
+  this.labels = this.labels.filter(l => !(
+    l._id.toString() === labelId.toString() &&
+    l.addedBy && l.addedBy.toString() === userId.toString()
+  ));
   return this.save();
 };
 
@@ -633,6 +670,31 @@ ConversationSchema.methods.updateLanguageSettings = function(settings) {
   return this.save();
 };
 
+// Set auto-translation for a user
+ConversationSchema.methods.setUserLanguageSettings = function(userId, settings) {
+  const existing = this.userLanguageSettings.find(s => s.user.toString() === userId.toString());
+
+  if (existing) {
+    if (settings.autoTranslate !== undefined) existing.autoTranslate = settings.autoTranslate;
+    if (settings.translateTo !== undefined) existing.translateTo = settings.translateTo;
+    existing.updatedAt = new Date();
+  } else {
+    this.userLanguageSettings.push({
+      user: userId,
+      autoTranslate: Boolean(settings.autoTranslate),
+      translateTo: settings.translateTo,
+      updatedAt: new Date()
+    });
+  }
+
+  return this.save();
+};
+
+// Get auto-translation for a user (falls back to conversation languageSettings)
+ConversationSchema.methods.getUserLanguageSettings = function(userId) {
+  return participantLanguageSettings(this, userId);
+};
+
 // Static method to get secret chats for a user
 ConversationSchema.statics.getSecretChats = async function(userId) {
   return await this.find({
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+/**
+ * DeviceKey Model
+ * Public key material one device registers for end-to-end encrypted
+ * secret chats (identity key, signed prekey, one-time prekeys). Private
+ * keys never leave the device. deviceId is the same id the app sends with
+ * its FCM token (User.fcmTokens[].deviceId). One-time prekeys are handed
+ * out once by services/e2eKeyService.js and removed as they are claimed.
+ */
+const PreKeySchema = new mongoose.Schema({
+  keyId: { type: Number, required: true },
+  publicKey: { type: String, required: true }
+}, { _id: false });
+
+const DeviceKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  deviceId: {
+    type: String,
+    required: true
+  },
+  // Long-term Curve25519 identity key (base64)
+  identityKey: {
+    type: String,
+    required: true
+  },
+  registrationId: {
+    type: Number,
+    default: 0
+  },
+  signedPreKey: {
+    keyId: { type: Number, required: true },
+    publicKey: { type: String, required: true },
+    signature: { type: String, required: true }
+  },
+  oneTimePreKeys: {
+    type: [PreKeySchema],
+    default: []
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+DeviceKeySchema.index({ user: 1, deviceId: 1 }, { unique: true });
+
+module.exports = mongoose.model('DeviceKey', DeviceKeySchema);
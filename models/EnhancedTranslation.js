@@ -132,7 +132,7 @@ const EnhancedTranslationSchema = new mongoose.Schema({
   // Provider used
   provider: {
     type: String,
-    enum: ['openai', 'anthropic', 'google'],
+    enum: ['openai', 'anthropic', 'google', 'local', 'fake'],
     default: 'openai'
   }
 }, { timestamps: true });
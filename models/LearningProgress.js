@@ -150,7 +150,9 @@ const LearningProgressSchema = new mongoose.Schema({
     reminderTime: { type: String, default: '09:00' }, // HH:mm format
     soundEffects: { type: Boolean, default: true },
     showStreakReminders: { type: Boolean, default: true },
-    weeklyReportEnabled: { type: Boolean, default: true }
+    weeklyReportEnabled: { type: Boolean, default: true },
+    // Vocabulary review scheduler (lib/srsScheduler.js)
+    srsScheduler: { type: String, enum: ['sm2', 'fsrs'], default: 'sm2' }
   },
 
   // ========== RANKINGS ==========
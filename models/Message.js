@@ -1,5 +1,11 @@
 const mongoose = require('mongoose');
 const slugify = require('slugify');
+const { indexTokens } = require('../lib/searchTokenizer');
+const { MAX_EDIT_REVISIONS } = require('../lib/messageRevisions');
+const { LINK_PREVIEW_FIELDS } = require('../lib/linkPreview');
+const { TRANSCRIPTION_STATUSES, shouldTranscribe } = require('../lib/voiceTranscription');
+const { AI_FEATURES } = require('../config/aiConfig');
+const ErrorResponse = require('../utils/errorResponse');
 
 const MessageSchema = new mongoose.Schema({
   sender: {
@@ -41,7 +47,7 @@ const MessageSchema = new mongoose.Schema({
   message: {
     type: String,
     required: function() {
-      return !this.media || !this.media.type;
+      return !this.isEncrypted && (!this.media || !this.media.type) && !(this.sticker && this.sticker.url);
     },
     maxlength: [2000, 'Message cannot exceed 2000 characters'],
     trim: true
@@ -143,6 +149,16 @@ const MessageSchema = new mongoose.Schema({
     isAccepted: {
       type: Boolean,
       default: false
+    },
+    // Message revision the correction was made against (see editHistory);
+    // baseChanged is set once the sender edits the text after it
+    revision: {
+      type: Number,
+      default: 0
+    },
+    baseChanged: {
+      type: Boolean,
+      default: false
     }
   }],
   
@@ -208,12 +224,59 @@ const MessageSchema = new mongoose.Schema({
     index: true
   },
 
-  // Scheduled message reference
+  // Set on messages delivered from the ScheduledMessage queue
+  // (services/scheduledMessageService.js); scheduledFor is the time asked for
   isScheduled: {
     type: Boolean,
     default: false
   },
   scheduledFor: Date,
+
+  // Pack sticker/GIF this message sends, checked against the sender's
+  // packs by services/stickerService.js and snapshotted so it keeps
+  // rendering if removed from the pack. Emoji stickers carry no reference.
+  sticker: {
+    type: new mongoose.Schema({
+      pack: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StickerPack'
+      },
+      stickerId: mongoose.Schema.Types.ObjectId,
+      url: String,
+      width: Number,
+      height: Number,
+      animated: Boolean
+    }, { _id: false }),
+    default: undefined
+  },
+
+  // Speech-to-text of a voice message, filled in by the background worker
+  // (services/voiceTranscriptionService.js); language is ISO 639-1
+  transcription: {
+    type: new mongoose.Schema({
+      status: {
+        type: String,
+        enum: TRANSCRIPTION_STATUSES,
+        default: 'pending'
+      },
+      text: String,
+      language: String,
+      attempts: {
+        type: Number,
+        default: 0
+      },
+      claimedAt: Date,
+      error: String,
+      completedAt: Date
+    }, { _id: false }),
+    default: undefined
+  },
+
+  // First link in the text, unfurled after save (services/linkPreviewService.js)
+  linkPreview: {
+    type: new mongoose.Schema(LINK_PREVIEW_FIELDS, { _id: false }),
+    default: undefined
+  },
   
   // Message type for special messages
   messageType: {
@@ -233,6 +296,35 @@ const MessageSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Search index keys (lib/searchTokenizer.js) for message text and media
+  // file name. Maintained by the save / findOneAndUpdate hooks below;
+  // backfilled by migrations/backfillMessageSearchTokens.js.
+  searchTokens: {
+    type: [String],
+    select: false
+  },
+  // End-to-end encrypted (secret chat) message: no message text or media,
+  // only one ciphertext per recipient device (lib/e2eEnvelope.js). The
+  // server can't read it, so it is never translated, spoken, corrected,
+  // indexed for search or previewed in a push.
+  isEncrypted: {
+    type: Boolean,
+    default: false
+  },
+  encrypted: {
+    v: Number,
+    senderDeviceId: String,
+    recipients: {
+      type: [{
+        _id: false,
+        user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        deviceId: String,
+        type: { type: String, enum: ['prekey', 'message'] },
+        body: String
+      }],
+      default: undefined
+    }
+  },
   // Message management fields
   editedAt: {
     type: Date
@@ -241,6 +333,23 @@ const MessageSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Current text revision (0 = as sent). Earlier texts are kept in
+  // editHistory, oldest first (lib/messageRevisions.js); not selected by
+  // default, read through GET /messages/:id/history.
+  revision: {
+    type: Number,
+    default: 0
+  },
+  editHistory: {
+    type: [{
+      _id: false,
+      revision: Number,
+      message: String,
+      // When this text became current
+      createdAt: Date
+    }],
+    select: false
+  },
   isDeleted: {
     type: Boolean,
     default: false
@@ -327,6 +436,113 @@ MessageSchema.pre('save', function(next) {
   next();
 });
 
+// Keep search tokens in step with the text
+MessageSchema.pre('save', function(next) {
+  if (this.isEncrypted) {
+    this.searchTokens = [];
+  } else if (this.isNew || this.isModified('message') || this.isModified('media.fileName')) {
+    this.searchTokens = indexTokens(this.message, this.media?.fileName);
+  }
+  next();
+});
+
+// Secret chats are ciphertext-only. Whatever path creates a direct message
+// (REST send, reply, forward, story reply, socket), plaintext between two
+// users with a secret conversation is refused here. System and call
+// records carry no user content and are still allowed.
+MessageSchema.pre('save', async function() {
+  if (!this.isNew || this.isEncrypted || this.isGroupMessage || !this.receiver) return;
+  if (['system', 'call'].includes(this.messageType)) return;
+  const Conversation = mongoose.models.Conversation;
+  if (!Conversation) return;
+
+  const secret = await Conversation.exists({
+    participants: { $all: [this.sender, this.receiver], $size: 2 },
+    isGroup: false,
+    isSecret: true
+  });
+  if (secret) {
+    throw new ErrorResponse('This is a secret chat; send an end-to-end encrypted message instead', 403, 'SECRET_CHAT_E2E_ONLY');
+  }
+});
+
+// Multi-device sync log (services/syncLogService.js). Room broadcasts
+// (no participants) are paged from their own history instead; private
+// group messages go to the members they were sent to. Deleting for me and
+// reads don't pass through here; their call sites record them.
+MessageSchema.pre('save', function(next) {
+  if (this.isGroupMessage && this.participants.length === 0) {
+    this.$locals.syncKind = null;
+  } else if (this.isNew) {
+    this.$locals.syncKind = 'message';
+  } else if (this.isModified('isDeleted') && this.isDeleted) {
+    this.$locals.syncKind = 'delete';
+  } else if (this.isModified('message')) {
+    this.$locals.syncKind = 'message';
+  } else if (this.isModified('reactions')) {
+    this.$locals.syncKind = 'reaction';
+  } else {
+    this.$locals.syncKind = null;
+  }
+  next();
+});
+
+MessageSchema.post('save', function(doc) {
+  const kind = doc.$locals.syncKind;
+  if (!kind) return;
+  doc.$locals.syncKind = null;
+
+  const { recordChange } = require('../services/syncLogService');
+  recordChange(doc.participants, kind, {
+    message: doc._id,
+    data: kind === 'delete' ? { deletedForEveryone: true } : undefined
+  });
+});
+
+// Link preview for the first URL in the text. Fetched after the save so
+// sending never waits on a remote site; other devices pick it up via sync.
+MessageSchema.pre('save', function(next) {
+  this.$locals.unfurl = !this.isEncrypted &&
+    !['system', 'call', 'sticker', 'gif'].includes(this.messageType) &&
+    (this.isNew || this.isModified('message'));
+  next();
+});
+
+MessageSchema.post('save', function(doc) {
+  if (!doc.$locals.unfurl) return;
+  doc.$locals.unfurl = false;
+
+  const { attachPreview } = require('../services/linkPreviewService');
+  attachPreview(doc.constructor, doc, 'message').then(preview => {
+    if (!preview || doc.participants.length === 0) return;
+    const { recordChange } = require('../services/syncLogService');
+    recordChange(doc.participants, 'message', { message: doc._id });
+  });
+});
+
+// Voice messages are transcribed by jobs/voiceTranscriptionJob.js, not
+// inline: sending never waits on the speech engine.
+MessageSchema.pre('save', function(next) {
+  if (this.isNew && AI_FEATURES.speechFeatures && shouldTranscribe(this)) {
+    this.transcription = { status: 'pending' };
+  }
+  next();
+});
+
+// Query updates (REST edits, moderation, bulk fixes) skip the save hooks;
+// keep search tokens in step with the text there too
+MessageSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function(next) {
+  const update = this.getUpdate();
+  if (!update || Array.isArray(update)) return next();
+  const set = { ...update, ...(update.$set || {}) };
+  if (set.isEncrypted === true) {
+    this.set('searchTokens', []);
+  } else if ('message' in set) {
+    this.set('searchTokens', indexTokens(set.message, set['media.fileName'] || set.media?.fileName));
+  }
+  next();
+});
+
 // Enhanced getConversation to handle both direct and group chats
 MessageSchema.statics.getConversation = async function(user1Id, user2Id = null, limit = 50) {
   const query = user2Id 
@@ -440,7 +656,8 @@ MessageSchema.methods.removeParticipant = function(userId) {
 
 // ========== ADVANCED FEATURE METHODS ==========
 
-// Add a correction to a message (HelloTalk style)
+// Add a correction to a message (HelloTalk style), pinned to the
+// revision the corrector saw
 MessageSchema.methods.addCorrection = function(correctorId, originalText, correctedText, explanation) {
   this.corrections.push({
     corrector: correctorId,
@@ -448,11 +665,35 @@ MessageSchema.methods.addCorrection = function(correctorId, originalText, correc
     correctedText,
     explanation,
     createdAt: new Date(),
-    isAccepted: false
+    isAccepted: false,
+    revision: this.revision || 0
   });
   return this.save();
 };
 
+// Replace the text, keeping the old one as a revision. The document must
+// have been loaded with +editHistory.
+MessageSchema.methods.applyEdit = function(text, editedAt = new Date()) {
+  const previous = this.revision || 0;
+  this.editHistory.push({
+    revision: previous,
+    message: this.message,
+    createdAt: this.editedAt || this.createdAt
+  });
+  if (this.editHistory.length > MAX_EDIT_REVISIONS) {
+    this.editHistory.splice(0, this.editHistory.length - MAX_EDIT_REVISIONS);
+  }
+
+  this.message = text;
+  this.revision = previous + 1;
+  this.isEdited = true;
+  this.editedAt = editedAt;
+  this.corrections.forEach(correction => {
+    correction.baseChanged = true;
+  });
+  return this;
+};
+
 // Accept a correction
 MessageSchema.methods.acceptCorrection = function(correctionId) {
   const correction = this.corrections.id(correctionId);
@@ -569,6 +810,9 @@ MessageSchema.index({ 'selfDestruct.destructAt': 1 }, { sparse: true });
 // Index for mentions
 MessageSchema.index({ 'mentions.user': 1 }, { sparse: true });
 
+// Voice transcription queue (services/voiceTranscriptionService.js)
+MessageSchema.index({ 'transcription.status': 1, createdAt: 1 }, { sparse: true });
+
 // ========== PERFORMANCE INDEXES ==========
 
 // Compound index for conversation queries (most common query pattern)
@@ -591,6 +835,10 @@ MessageSchema.index({ isDeleted: 1, createdAt: -1 });
 // Text index for full-text message search
 MessageSchema.index({ message: 'text', 'media.fileName': 'text' });
 
+// Token search (services/messageSearchService.js): every query token must
+// match, newest candidates first
+MessageSchema.index({ searchTokens: 1, createdAt: -1 });
+
 // Optimized indexes for conversation queries with $or
 // Covers: { sender: X, receiver: Y, isDeleted: { $ne: true } }
 MessageSchema.index({ sender: 1, receiver: 1, isDeleted: 1, createdAt: -1 });
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const ISO6391 = require('iso-639-1');
+const { LINK_PREVIEW_FIELDS } = require('../lib/linkPreview');
 const MomentSchema = new mongoose.Schema({
   // Kept as optional for backward compatibility with old app versions
   title: {
@@ -231,6 +232,19 @@ const MomentSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Drafts and scheduled moments are hidden from every feed until
+  // published (lib/momentPublishing.js); jobs/momentPublishJob.js flips
+  // due scheduled moments to 'published'. Older moments have no status
+  // and count as published.
+  status: {
+    type: String,
+    enum: ['draft', 'scheduled', 'published'],
+    default: 'published'
+  },
+  publishedAt: {
+    type: Date,
+    default: null
+  },
 
   // Optional link to the daily prompt this moment was written in response to.
   // No index needed at this scale.
@@ -258,12 +272,19 @@ const MomentSchema = new mongoose.Schema({
   hiddenPendingReview: {
     type: Boolean,
     default: false
+  },
+  // First link in the description, unfurled after save (services/linkPreviewService.js)
+  linkPreview: {
+    type: new mongoose.Schema(LINK_PREVIEW_FIELDS, { _id: false }),
+    default: undefined
   }
 });
 
 // Database Indexes for Performance
 MomentSchema.index({ user: 1, createdAt: -1 }); // For user moments queries
 MomentSchema.index({ privacy: 1, createdAt: -1 }); // For public feed queries
+MomentSchema.index({ status: 1, scheduledFor: 1 }); // Publish job: due scheduled moments
+MomentSchema.index({ user: 1, status: 1, scheduledFor: 1 }); // GET /moments/scheduled
 MomentSchema.index({ category: 1, createdAt: -1 }); // For category filtering
 MomentSchema.index({ language: 1, createdAt: -1 }); // For language filtering
 MomentSchema.index({ 'location.coordinates': '2dsphere' }); // For geospatial queries
@@ -280,6 +301,18 @@ MomentSchema.index({ savedBy: 1 }); // For checking if user saved moment
 MomentSchema.index({ privacy: 1, user: 1, createdAt: -1 }); // For feed with $or query optimization
 MomentSchema.index({ likeCount: -1, createdAt: -1 }); // For trending moments
 
+// Unfurl the first link after the moment is saved
+MomentSchema.pre('save', function(next) {
+  this.$locals.unfurl = this.isNew || this.isModified('description');
+  next();
+});
+
+MomentSchema.post('save', function(doc) {
+  if (!doc.$locals.unfurl) return;
+  doc.$locals.unfurl = false;
+  require('../services/linkPreviewService').attachPreview(doc.constructor, doc, 'description');
+});
+
 // Validation function for tags array
 function arrayLimit(val) {
   return val.length <= 5;
@@ -85,11 +85,17 @@ const NotificationSchema = new mongoose.Schema({
   },
   bundleSize: { type: Number, default: 1 },
   bundleActors: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  // Copy experiment this was sent under (models/NotificationExperiment.js)
+  experiment: { type: mongoose.Schema.Types.ObjectId, ref: 'NotificationExperiment', default: null },
+  variant: { type: String, default: null },
 });
 
 // Compound index for efficient queries
 NotificationSchema.index({ userId: 1, sentAt: -1 });
 
+// Experiment results
+NotificationSchema.index({ experiment: 1, variant: 1 }, { partialFilterExpression: { experiment: { $type: 'objectId' } } });
+
 // TTL index for automatic cleanup
 NotificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
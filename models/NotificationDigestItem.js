@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const { NOTIFICATION_TYPES } = require('../lib/notificationRules');
+
+/**
+ * NotificationDigestItem Model
+ * A push held back for the recipient's daily summary because they turned
+ * digest on for its type (User.notificationRules). jobs/notificationDigestJob.js
+ * sends one summary per user at their digest time and deletes the items it
+ * counted. The in-app history row, if any, is written as usual at send time.
+ */
+const NotificationDigestItemSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  title: String,
+  body: String,
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Job: users with items waiting, then one user's items
+NotificationDigestItemSchema.index({ user: 1, createdAt: 1 });
+// Items of a user who never gets a summary (deleted, push off) don't linger
+NotificationDigestItemSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: 7 * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model('NotificationDigestItem', NotificationDigestItemSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const { EXPERIMENT_KINDS, EXPERIMENT_STATUSES } = require('../lib/notificationExperiments');
+
+/**
+ * NotificationExperiment Model
+ * Copy variants tested against each other, for one notification template
+ * key or one admin broadcast. Rules (bucketing, copy, comparison) live in
+ * lib/notificationExperiments.js; services/notificationExperimentService.js
+ * renders with them and reports results from the Notification rows tagged
+ * with the experiment.
+ */
+const VariantSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  weight: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Default copy; none on a template experiment's control variant
+  title: String,
+  body: String,
+  // Per-locale copy: { ko: { title, body } }
+  locales: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  }
+}, { _id: false });
+
+const NotificationExperimentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    maxlength: 100
+  },
+  kind: {
+    type: String,
+    enum: EXPERIMENT_KINDS,
+    default: 'template'
+  },
+  // template experiments: the notification_templates key they replace
+  templateKey: {
+    type: String,
+    default: null
+  },
+  // broadcast experiments: the broadcast they split, and the share of users
+  // who got a variant (the rest get the winner when it is promoted)
+  broadcastId: {
+    type: String,
+    default: null
+  },
+  sampleRate: {
+    type: Number,
+    default: 1
+  },
+  // Fixed once created, so every user keeps their variant
+  variants: {
+    type: [VariantSchema],
+    required: true
+  },
+  // running → promoted (winner goes to everyone) | stopped (back to the
+  // standard template)
+  status: {
+    type: String,
+    enum: EXPERIMENT_STATUSES,
+    default: 'running'
+  },
+  winner: {
+    type: String,
+    default: null
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Live experiment per template key (render path)
+NotificationExperimentSchema.index({ kind: 1, status: 1, templateKey: 1 });
+NotificationExperimentSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('NotificationExperiment', NotificationExperimentSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+/**
+ * PlannedNotification Model
+ * An engagement push (re-engagement, SRS review, streak reminder) planned
+ * for the recipient's own best time rather than a fixed hour for everyone.
+ * The daily planning runs (jobs/notificationJobs.js, jobs/learningJobs.js)
+ * pick the users; services/deliveryTimeService.js plans the time and
+ * jobs/notificationDeliveryJob.js sends it, re-checking that the user still
+ * qualifies.
+ */
+const PLANNED_KINDS = ['reengagement', 'srs_review', 'streak_reminder'];
+
+const PlannedNotificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: PLANNED_KINDS,
+    required: true
+  },
+  sendAt: {
+    type: Date,
+    required: true
+  },
+  // pending → sending (claimed by the job) → sent | skipped (no longer
+  // qualifies) | failed
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'skipped', 'failed'],
+    default: 'pending'
+  },
+  claimedAt: Date,
+  sentAt: Date
+}, {
+  timestamps: true
+});
+
+// Job: due pending plans
+PlannedNotificationSchema.index({ status: 1, sendAt: 1 });
+// At most one pending plan per user and kind, even with two planners
+PlannedNotificationSchema.index(
+  { user: 1, kind: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+// Planning skips users planned recently
+PlannedNotificationSchema.index({ kind: 1, user: 1, createdAt: -1 });
+// History is only needed for that check
+PlannedNotificationSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: 14 * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model('PlannedNotification', PlannedNotificationSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { describeInterference } = require('../lib/l1Interference');
 
 /**
  * Word Score Schema
@@ -13,6 +14,49 @@ const WordScoreSchema = new mongoose.Schema({
   feedback: String
 });
 
+/**
+ * Phoneme Score Schema — one target phoneme, aligned against what the
+ * recogniser heard (services/pronunciationScoring.js)
+ */
+const PhonemeScoreSchema = new mongoose.Schema({
+  phoneme: String,
+  heard: String,
+  status: {
+    type: String,
+    enum: ['ok', 'substituted', 'missing']
+  },
+  // lib/l1Interference.js pattern id
+  interference: String
+}, { _id: false });
+
+/**
+ * Token Score Schema — per-word accuracy with its phoneme breakdown
+ */
+const TokenScoreSchema = new mongoose.Schema({
+  word: String,
+  status: {
+    type: String,
+    enum: ['ok', 'wrong', 'missing']
+  },
+  accuracy: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  phonemes: [PhonemeScoreSchema]
+}, { _id: false });
+
+/**
+ * Phoneme Tally Schema — per-phoneme counts for the attempt, kept flat so
+ * getUserStats can aggregate trends without unwinding every token
+ */
+const PhonemeTallySchema = new mongoose.Schema({
+  phoneme: String,
+  attempts: Number,
+  correct: Number,
+  interference: [String]
+}, { _id: false });
+
 /**
  * Pronunciation Attempt Schema
  * Tracks user pronunciation practice
@@ -39,11 +83,12 @@ const PronunciationAttemptSchema = new mongoose.Schema({
     index: true
   },
 
-  // User's recorded audio URL
-  userAudioUrl: {
-    type: String,
-    required: true
-  },
+  // User's recorded audio URL. Absent for tutor drills, which score the
+  // transcript without keeping the recording.
+  userAudioUrl: String,
+
+  // Learner's native language (ISO 639-1) at the time of the attempt
+  nativeLanguage: String,
 
   // Transcription from Whisper
   transcription: String,
@@ -76,6 +121,11 @@ const PronunciationAttemptSchema = new mongoose.Schema({
     wordScores: [WordScoreSchema]
   },
 
+  // Word / phoneme alignment (lib/phonemes.js phoneme set names)
+  phonemeSet: String,
+  tokenScores: [TokenScoreSchema],
+  phonemeTally: [PhonemeTallySchema],
+
   // Feedback
   feedback: {
     summary: String,
@@ -87,7 +137,7 @@ const PronunciationAttemptSchema = new mongoose.Schema({
   context: {
     source: {
       type: String,
-      enum: ['vocabulary', 'lesson', 'practice', 'challenge'],
+      enum: ['vocabulary', 'lesson', 'practice', 'challenge', 'tutor'],
       default: 'practice'
     },
     vocabularyId: {
@@ -201,15 +251,107 @@ PronunciationAttemptSchema.statics.getUserStats = async function(userId, languag
     totalDuration: 0
   };
 
+  const { phonemes, interference } = await this.getPhonemeTrends(matchQuery);
+
   return {
     ...baseStats,
     recentAverage: recentAvg[0]?.recentAverage || 0,
     averageScore: Math.round(baseStats.averageScore || 0),
     averageAccuracy: Math.round(baseStats.averageAccuracy || 0),
-    averageFluency: Math.round(baseStats.averageFluency || 0)
+    averageFluency: Math.round(baseStats.averageFluency || 0),
+    phonemes,
+    interference
   };
 };
 
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+// Attempts expire after 30 days, so four weekly buckets cover everything
+const TREND_WEEKS = 4;
+const TREND_PHONEME_LIMIT = 20;
+
+/**
+ * Static: Per-phoneme accuracy by week and the most frequent L1-interference
+ * patterns, for the attempts matching `matchQuery`.
+ * @returns {Promise<{ phonemes: Array, interference: Array }>}
+ *   phonemes[]: { language, phoneme, attempts, accuracy, change, weekly[] },
+ *   weakest first; weekly[] oldest first, { weekStart, attempts, accuracy };
+ *   change is the accuracy difference between the first and last week with
+ *   data (null with fewer than two weeks)
+ */
+PronunciationAttemptSchema.statics.getPhonemeTrends = async function(matchQuery) {
+  const since = new Date(Date.now() - TREND_WEEKS * WEEK_MS);
+  const match = { ...matchQuery, createdAt: { $gte: since }, 'phonemeTally.0': { $exists: true } };
+
+  const [weeklyRows, interferenceRows] = await Promise.all([
+    this.aggregate([
+      { $match: match },
+      { $unwind: '$phonemeTally' },
+      {
+        $group: {
+          _id: {
+            language: '$language',
+            phoneme: '$phonemeTally.phoneme',
+            week: { $floor: { $divide: [{ $subtract: ['$createdAt', since] }, WEEK_MS] } }
+          },
+          attempts: { $sum: '$phonemeTally.attempts' },
+          correct: { $sum: '$phonemeTally.correct' }
+        }
+      }
+    ]),
+    this.aggregate([
+      { $match: match },
+      { $unwind: '$phonemeTally' },
+      { $unwind: '$phonemeTally.interference' },
+      {
+        $group: {
+          _id: '$phonemeTally.interference',
+          count: { $sum: 1 },
+          lastSeen: { $max: '$createdAt' }
+        }
+      },
+      { $sort: { count: -1 } },
+      { $limit: 5 }
+    ])
+  ]);
+
+  const byPhoneme = new Map();
+  for (const row of weeklyRows) {
+    const key = `${row._id.language}|${row._id.phoneme}`;
+    const entry = byPhoneme.get(key)
+      || { language: row._id.language, phoneme: row._id.phoneme, attempts: 0, correct: 0, weekly: [] };
+    entry.attempts += row.attempts;
+    entry.correct += row.correct;
+    entry.weekly.push({
+      weekStart: new Date(since.getTime() + row._id.week * WEEK_MS),
+      attempts: row.attempts,
+      accuracy: row.attempts > 0 ? Math.round((100 * row.correct) / row.attempts) : 0
+    });
+    byPhoneme.set(key, entry);
+  }
+
+  const phonemes = [...byPhoneme.values()].map(({ correct, ...entry }) => {
+    entry.weekly.sort((a, b) => a.weekStart - b.weekStart);
+    const first = entry.weekly[0];
+    const last = entry.weekly[entry.weekly.length - 1];
+    return {
+      ...entry,
+      accuracy: entry.attempts > 0 ? Math.round((100 * correct) / entry.attempts) : 0,
+      change: entry.weekly.length > 1 ? last.accuracy - first.accuracy : null
+    };
+  })
+    .sort((a, b) => a.accuracy - b.accuracy || b.attempts - a.attempts)
+    .slice(0, TREND_PHONEME_LIMIT);
+
+  const interference = interferenceRows
+    .map(row => {
+      const pattern = describeInterference(row._id);
+      return pattern && { ...pattern, count: row.count, lastSeen: row.lastSeen };
+    })
+    .filter(Boolean);
+
+  return { phonemes, interference };
+};
+
 /**
  * Static: Get best attempt for a text
  */
@@ -4,7 +4,7 @@ const ReportSchema = new mongoose.Schema({
   type: {
     type: String,
     required: [true, "Please add the type of report"],
-    enum: ["user", "moment", "comment", "message", "story"],
+    enum: ["user", "moment", "comment", "message", "story", "vocab_pack"],
   },
   reportId: {
     type: mongoose.Schema.Types.ObjectId,
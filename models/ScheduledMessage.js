@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+/**
+ * ScheduledMessage Model
+ * A direct message queued for later delivery (e.g. the partner's morning
+ * in another time zone). Nothing is written to Message until the
+ * scheduled time: jobs/scheduledMessageJob.js then creates the real
+ * Message (isScheduled: true) through services/scheduledMessageService.js
+ * and delivers it over the socket + FCM path like any other DM, so the
+ * receiver can't see a queued message early.
+ */
+const ScheduledMessageSchema = new mongoose.Schema({
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  receiver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  message: {
+    type: String,
+    required: [true, 'Message text is required'],
+    maxlength: [2000, 'Message cannot exceed 2000 characters'],
+    trim: true
+  },
+  messageType: {
+    type: String,
+    enum: ['text', 'sticker', 'gif'],
+    default: 'text'
+  },
+  scheduledFor: {
+    type: Date,
+    required: true
+  },
+  // pending → sending (claimed by the job) → sent | cancelled | failed
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'cancelled', 'failed'],
+    default: 'pending'
+  },
+  // Why a message was cancelled or failed: 'user' (sender cancelled),
+  // 'blocked', 'conversation_deleted', 'user_not_found', 'secret_chat',
+  // 'error'
+  reason: {
+    type: String,
+    default: null
+  },
+  claimedAt: Date,
+  sentAt: Date,
+  messageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Job: due pending messages
+ScheduledMessageSchema.index({ status: 1, scheduledFor: 1 });
+// Sender's queue
+ScheduledMessageSchema.index({ sender: 1, status: 1, scheduledFor: 1 });
+ScheduledMessageSchema.index({ receiver: 1, status: 1 });
+
+module.exports = mongoose.model('ScheduledMessage', ScheduledMessageSchema);
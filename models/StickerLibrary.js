@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+/**
+ * StickerLibrary Model
+ * One per user: the coin packs they bought, their recently sent stickers
+ * (newest first, capped) and their favorites. Free and VIP packs are not
+ * recorded here; they are usable without owning them.
+ */
+const StickerRefSchema = {
+  pack: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StickerPack',
+    required: true
+  },
+  stickerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  }
+};
+
+const StickerLibrarySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  ownedPacks: [{
+    pack: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StickerPack',
+      required: true
+    },
+    // CoinTransaction of the purchase
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CoinTransaction',
+      default: null
+    },
+    acquiredAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  recent: [{
+    _id: false,
+    ...StickerRefSchema,
+    usedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  favorites: [{
+    _id: false,
+    ...StickerRefSchema,
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('StickerLibrary', StickerLibrarySchema);
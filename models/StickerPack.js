@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+/**
+ * StickerPack Model
+ * A catalog pack of hosted sticker or GIF artwork, uploaded by admins to
+ * Spaces (services/stickerService.js). `access` decides who can send from
+ * it: free packs are everyone's, vip packs follow the VIP subscription,
+ * and coin packs are bought once per user for UNLOCKS[unlockKey].cost
+ * (config/coinCatalog.js). Ownership of bought packs, recents and
+ * favorites live in models/StickerLibrary.js. Rules: lib/stickerPacks.js.
+ */
+const StickerSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  // Emoji/keywords the sticker is found by, e.g. ['😂', 'laugh']
+  tags: {
+    type: [String],
+    default: []
+  },
+  width: Number,
+  height: Number,
+  animated: {
+    type: Boolean,
+    default: false
+  },
+  mimeType: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+const StickerPackSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Pack name is required'],
+    trim: true,
+    maxlength: [50, 'Pack name cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  kind: {
+    type: String,
+    enum: ['sticker', 'gif'],
+    default: 'sticker'
+  },
+  access: {
+    type: String,
+    enum: ['free', 'coins', 'vip'],
+    default: 'free'
+  },
+  // UNLOCKS key (sticker_pack*) pricing a coin pack; null otherwise
+  unlockKey: {
+    type: String,
+    default: null
+  },
+  // Defaults to the first sticker
+  coverUrl: String,
+  stickers: {
+    type: [StickerSchema],
+    default: []
+  },
+  // Order in the sticker store (ascending)
+  position: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+StickerPackSchema.index({ isActive: 1, kind: 1, position: 1 });
+
+module.exports = mongoose.model('StickerPack', StickerPackSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const { SYNC_EVENT_KINDS } = require('../lib/syncLog');
+
+/**
+ * SyncEvent Model
+ * One entry in a user's change log for multi-device sync. `seq` comes
+ * from User.syncSeq and only grows, so a device catches up with
+ * GET /messages/sync?since=<last seq it applied>. Entries carry ids, not
+ * content: the sync endpoint loads the message as it is now. Pruned by
+ * jobs/syncLogPruneJob.js once every active device has acknowledged them.
+ */
+const SyncEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  seq: {
+    type: Number,
+    required: true
+  },
+  // message: created/edited, reaction: reactions changed,
+  // delete: deleted (for everyone, or for this user), read: messages read
+  kind: {
+    type: String,
+    enum: SYNC_EVENT_KINDS,
+    required: true
+  },
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    default: null
+  },
+  // The other user in the DM (read events); null for group reads
+  peer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // kind-specific: { deletedForEveryone } | { readBy, readAt }
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+SyncEventSchema.index({ user: 1, seq: 1 }, { unique: true });
+SyncEventSchema.index({ user: 1, createdAt: 1 });
+
+module.exports = mongoose.model('SyncEvent', SyncEventSchema);
@@ -8,7 +8,8 @@ const TranslationSchema = new mongoose.Schema({
   },
   sourceType: {
     type: String,
-    enum: ['moment', 'comment'],
+    // 'message': chat auto-translation (services/autoTranslationService.js)
+    enum: ['moment', 'comment', 'message'],
     required: true,
     index: true
   },
@@ -102,9 +102,32 @@ const UserSchema = new mongoose.Schema({
     active: {
       type: Boolean,
       default: true
+    },
+    // Multi-device sync: last change seq this device acknowledged
+    // (GET /messages/sync). Lives on the token entry so a device that is
+    // unregistered or pruned stops holding back the sync log.
+    syncCursor: {
+      type: Number,
+      default: 0
+    },
+    lastSyncAt: {
+      type: Date,
+      default: null
     }
   }],
 
+  // Change log sequence for multi-device sync (models/SyncEvent.js).
+  // syncSeq is the latest seq handed out; everything up to syncPrunedSeq
+  // has been pruned, so a device behind it must reload from scratch.
+  syncSeq: {
+    type: Number,
+    default: 0
+  },
+  syncPrunedSeq: {
+    type: Number,
+    default: 0
+  },
+
   // VoIP push tokens (iOS PushKit only). Stored separately from fcmTokens
   // because Apple issues a distinct token for VoIP that requires its own
   // APNs auth key with the "VoIP Services" capability. Incoming-call pushes
@@ -118,6 +141,22 @@ const UserSchema = new mongoose.Schema({
     active: { type: Boolean, default: true }
   }],
 
+  // Web Push subscriptions, one per browser (deviceId). fcmTokens above are
+  // phones only; browsers get pushes over Web Push with our VAPID key
+  // (services/webPushService.js). Removed when the push service reports the
+  // subscription gone, or after 90 days without re-registering.
+  webPushSubscriptions: [{
+    endpoint: { type: String, required: true },
+    keys: {
+      p256dh: { type: String, required: true },
+      auth: { type: String, required: true }
+    },
+    deviceId: { type: String, required: true },
+    userAgent: { type: String, default: null },
+    lastUpdated: { type: Date, default: Date.now },
+    active: { type: Boolean, default: true }
+  }],
+
   // Preferred locale for localized pushes (and later emails). One of the 19
   // supported template codes (lib/normalizeLocale.js SUPPORTED_LOCALES), or
   // null = unknown → renderers fall back to 'en'. Written server-side from
@@ -211,6 +250,13 @@ const UserSchema = new mongoose.Schema({
     dailyResetAt: { type: Date, default: null },
     weeklyResetAt: { type: Date, default: null },
   },
+  // Learned from notification opens (services/deliveryTimeService.js):
+  // the local hour engagement pushes are planned for; null until enough opens
+  notificationTiming: {
+    preferredHour: { type: Number, min: 0, max: 23, default: null },
+    samples: { type: Number, default: 0 },
+    learnedAt: { type: Date, default: null },
+  },
 
   // BADGE COUNTS
   badges: {
@@ -840,6 +886,36 @@ bannedAt: {
     }
   },
 
+  // Per-type, per-channel notification rules (lib/notificationRules.js).
+  // Unset entries mean the defaults; the toggles above still switch whole
+  // categories off.
+  notificationRules: {
+    types: {
+      type: Map,
+      of: new mongoose.Schema({
+        push: Boolean,
+        inApp: Boolean,
+        email: Boolean,
+        digest: Boolean
+      }, { _id: false }),
+      default: () => new Map()
+    },
+    conversations: {
+      type: Map,
+      of: { type: String, enum: ['all', 'none'] },
+      default: () => new Map()
+    },
+    rooms: {
+      type: Map,
+      of: { type: String, enum: ['all', 'mentions', 'none'] },
+      default: () => new Map()
+    },
+    digest: {
+      time: { type: String, default: '20:00' },
+      lastSentAt: { type: Date, default: null }
+    }
+  },
+
   // Activity tracking for inactivity emails
   lastActivityAt: {
     type: Date,
@@ -1830,6 +1906,8 @@ UserSchema.index({ username: 1 });
 
 UserSchema.index({ 'fcmTokens.token': 1 });
 UserSchema.index({ 'fcmTokens.deviceId': 1 });
+UserSchema.index({ 'webPushSubscriptions.endpoint': 1 });
+UserSchema.index({ 'webPushSubscriptions.deviceId': 1 });
 
 // ========== CHAT PERFORMANCE INDEXES ==========
 // Index for user lookup by ID with commonly needed fields
@@ -10,11 +10,20 @@ const mongoose = require('mongoose');
  * full content (GET /learning/vocab-packs/:id), and bulk-add its words into
  * their personal Vocabulary (POST /learning/vocab-packs/:id/add), which feeds
  * SRS review, vocabFocus, story generation, and the Today surface.
+ *
+ * User-authored packs share this collection: `owner` is set, and
+ * `visibility` decides who can see them (private = owner only, unlisted =
+ * anyone with the id, public = listed under ?source=community). Curated
+ * packs have no owner and are always public. Subscribers
+ * (models/VocabPackSubscription.js) get words the owner adds later pushed
+ * into their Vocabulary by services/vocabPackService.js.
  */
 const VocabPackWordSchema = new mongoose.Schema({
   word:            { type: String, required: true, trim: true, maxlength: 200 },
   definition:      { type: String, required: true, trim: true, maxlength: 500 },
-  example:         { type: String, required: true, trim: true, maxlength: 500 },
+  // Required for curated packs by lib/vocabPackShape.js (the seeder gate);
+  // optional here because learners' own Vocabulary often has no example.
+  example:         { type: String, trim: true, maxlength: 500 },
   translationHint: { type: String, trim: true, maxlength: 500 },
 }, { _id: false });
 
@@ -49,7 +58,7 @@ const VocabPackExerciseSchema = new mongoose.Schema({
 const VocabPackSchema = new mongoose.Schema({
   level: {
     type: String,
-    enum: ['intermediate', 'advanced'],
+    enum: ['beginner', 'intermediate', 'advanced'],
     required: true,
     index: true,
   },
@@ -85,9 +94,49 @@ const VocabPackSchema = new mongoose.Schema({
     default: true,
     index: true,
   },
+
+  // ========== USER-AUTHORED PACKS ==========
+  // null for curated packs.
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true,
+  },
+  visibility: {
+    type: String,
+    enum: ['private', 'unlisted', 'public'],
+    default: 'public',
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: 30,
+  }],
+  forkedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VocabPack',
+    default: null,
+  },
+  subscriberCount: { type: Number, default: 0 },
+  forkCount: { type: Number, default: 0 },
+  publishedAt: { type: Date, default: null },
+  // Set once enough distinct users report the pack (see
+  // controllers/vocabPacks.js#reportVocabPack); hides it from community
+  // listings until a moderator resolves or restores it.
+  hiddenPendingReview: { type: Boolean, default: false },
 }, { timestamps: true });
 
-// One pack per (level, topic, language) — the seeder's upsert key.
-VocabPackSchema.index({ level: 1, topic: 1, language: 1 }, { unique: true });
+// One pack per (level, topic, language) per owner — for curated packs
+// (owner null) this is the seeder's upsert key.
+VocabPackSchema.index({ level: 1, topic: 1, language: 1, owner: 1 }, { unique: true });
+// Community browse: public, visible packs by language/level, most subscribed first.
+VocabPackSchema.index({ visibility: 1, isActive: 1, language: 1, level: 1, subscriberCount: -1 });
 
 module.exports = mongoose.model('VocabPack', VocabPackSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+/**
+ * VocabPackSubscription Model
+ * A learner following someone else's vocab pack. Subscribing copies the
+ * pack's current words into the subscriber's Vocabulary; words the owner
+ * adds later are pushed in by services/vocabPackService.js.
+ */
+const VocabPackSubscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  pack: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VocabPack',
+    required: true,
+    index: true
+  },
+  // Last time words from this pack were pushed into the user's Vocabulary
+  lastSyncedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+VocabPackSubscriptionSchema.index({ user: 1, pack: 1 }, { unique: true });
+
+module.exports = mongoose.model('VocabPackSubscription', VocabPackSubscriptionSchema);
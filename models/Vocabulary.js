@@ -1,6 +1,6 @@
 const mongoose = require('mongoose');
 const { SRS_INTERVALS, getNextReviewDate } = require('../config/xpRewards');
-const { applyReview } = require('../lib/srsEngine');
+const { getScheduler, rankByRecall } = require('../lib/srsScheduler');
 
 /**
  * Vocabulary Model
@@ -66,7 +66,7 @@ const VocabularySchema = new mongoose.Schema({
   context: {
     source: {
       type: String,
-      enum: ['conversation', 'lesson', 'manual', 'quiz', 'import'],
+      enum: ['conversation', 'lesson', 'manual', 'quiz', 'import', 'vocab_pack'],
       default: 'manual'
     },
     conversationId: {
@@ -81,6 +81,10 @@ const VocabularySchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Lesson'
     },
+    packId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'VocabPack'
+    },
     originalSentence: String
   },
 
@@ -143,6 +147,24 @@ const VocabularySchema = new mongoose.Schema({
     index: true
   },
 
+  // FSRS memory state (lib/fsrsEngine.js). Only written when the owner
+  // reviews with the FSRS scheduler; SM-2 cards are seeded from
+  // interval/easeFactor on their first FSRS review.
+  fsrs: {
+    stability: {
+      type: Number, // Days until recall probability drops to 90%
+      default: null
+    },
+    difficulty: {
+      type: Number, // 1 (easy) - 10 (hard)
+      default: null
+    },
+    lastReview: {
+      type: Date,
+      default: null
+    }
+  },
+
   // Review statistics
   reviewStats: {
     totalReviews: {
@@ -228,7 +250,7 @@ VocabularySchema.index({ user: 1, tags: 1 });
 VocabularySchema.index({ user: 1, word: 1 }, { unique: true }); // Prevent duplicate words per user
 
 /**
- * Process a review using SM-2 algorithm
+ * Process a review with the owner's scheduler (SM-2 by default, or FSRS)
  * @param {number} quality - Review quality (0-5)
  *   0 - Complete blackout
  *   1 - Incorrect, but remembered upon seeing answer
@@ -237,21 +259,27 @@ VocabularySchema.index({ user: 1, word: 1 }, { unique: true }); // Prevent dupli
  *   4 - Correct with some hesitation
  *   5 - Perfect recall
  * @param {number} responseTime - Time in ms to respond
+ * @param {Object} [options]
+ * @param {string} [options.scheduler] - 'sm2' | 'fsrs' (lib/srsScheduler.js)
  */
-VocabularySchema.methods.processReview = async function(quality, responseTime = null) {
-  // Delegate the SM-2 math + mastery transition to the pure, unit-tested engine
-  // (lib/srsEngine.js). This fixes the long-standing justMastered bug: the old
-  // inline version set masteredAt BEFORE computing `justMastered && !masteredAt`,
-  // so justMastered was always false. The engine captures wasAlreadyMastered
-  // before any mutation. (H1 — workstream-h-aistudy)
-  const result = applyReview(
+VocabularySchema.methods.processReview = async function(quality, responseTime = null, options = {}) {
+  // Delegate the review math + mastery transition to the pure, unit-tested
+  // engines (lib/srsEngine.js, lib/fsrsEngine.js). This fixes the
+  // long-standing justMastered bug: the old inline version set masteredAt
+  // BEFORE computing `justMastered && !masteredAt`, so justMastered was
+  // always false. The engines capture wasAlreadyMastered before any
+  // mutation. (H1 — workstream-h-aistudy)
+  const scheduler = getScheduler(options.scheduler);
+  const result = scheduler.applyReview(
     {
       srsLevel: this.srsLevel,
       interval: this.interval,
       easeFactor: this.easeFactor,
+      nextReview: this.nextReview,
       isMastered: this.isMastered,
       masteredAt: this.masteredAt,
       reviewStats: this.reviewStats ? this.reviewStats.toObject?.() ?? this.reviewStats : {},
+      fsrs: this.fsrs ? this.fsrs.toObject?.() ?? this.fsrs : {},
     },
     quality
   );
@@ -266,6 +294,7 @@ VocabularySchema.methods.processReview = async function(quality, responseTime =
   this.nextReview = result.nextReview;
   this.isMastered = result.isMastered;
   if (result.masteredAt !== undefined) this.masteredAt = result.masteredAt;
+  if (result.fsrs) this.fsrs = result.fsrs;
 
   // Review history (last 10) — persistence-only concern, not part of the engine.
   this.reviewHistory.push({
@@ -282,6 +311,7 @@ VocabularySchema.methods.processReview = async function(quality, responseTime =
 
   return {
     wasCorrect,
+    scheduler: scheduler.name,
     newSrsLevel: this.srsLevel,
     nextReview: this.nextReview,
     interval: this.interval,
@@ -291,19 +321,25 @@ VocabularySchema.methods.processReview = async function(quality, responseTime =
 };
 
 /**
- * Get words due for review
+ * Get words due for review, weakest predicted recall first.
+ * Pulls a bounded window of the most overdue cards, then ranks that window
+ * by recall probability (lib/srsScheduler.js#rankByRecall) — recall depends
+ * on elapsed time so it cannot be a stored sort key.
  */
 VocabularySchema.statics.getDueForReview = async function(userId, limit = 20) {
   const now = new Date();
+  const candidateWindow = Math.min(Math.max(limit * 5, 100), 500);
 
-  return this.find({
+  const candidates = await this.find({
     user: userId,
     nextReview: { $lte: now },
     isArchived: false
   })
-    .sort({ nextReview: 1, srsLevel: 1 }) // Prioritize overdue and lower SRS level
-    .limit(limit)
+    .sort({ nextReview: 1, srsLevel: 1 }) // Most overdue first within the window
+    .limit(candidateWindow)
     .lean();
+
+  return rankByRecall(candidates, now).slice(0, limit);
 };
 
 /**
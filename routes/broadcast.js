@@ -19,7 +19,8 @@ router.use(protect, authorize('admin'));
  * @route   POST /api/v1/admin/broadcast
  * @desc    Send broadcast notification to all users
  * @access  Admin
- * @body    { title, body, imageUrl? }
+ * @body    { title, body, imageUrl? } or, to A/B test the copy,
+ *          { name?, variants: [{ key, weight, title, body }], sampleRate?, imageUrl? }
  */
 router.post('/', sendBroadcast);
 
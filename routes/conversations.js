@@ -9,10 +9,35 @@ const {
   pinConversation,
   unpinConversation,
   markConversationAsRead,
-  deleteConversation
+  deleteConversation,
+  getAutoTranslate,
+  setAutoTranslate,
+  getMyLabels,
+  getConversationLabels,
+  addConversationLabel,
+  updateConversationLabel,
+  removeConversationLabel
 } = require('../controllers/conversations');
+const {
+  getFolders,
+  createFolder,
+  updateFolder,
+  deleteFolder
+} = require('../controllers/chatFolders');
+const {
+  createGroup,
+  getGroup,
+  updateGroup,
+  addMembers,
+  removeMember,
+  leaveGroup,
+  setAdmin,
+  getGroupMessages,
+  sendGroupMessage
+} = require('../controllers/groupChats');
 const advancedMessages = require('../controllers/advancedMessages');
 const { protect } = require('../middleware/auth');
+const { checkMessageLimit } = require('../middleware/checkLimitations');
 const router = express.Router();
 
 // All routes require authentication
@@ -20,6 +45,15 @@ router.use(protect);
 
 // ========== BASIC CONVERSATION ROUTES ==========
 router.route('/').get(getConversations);
+
+// Labels and smart folders (before /:id)
+router.route('/labels').get(getMyLabels);
+router.route('/folders').get(getFolders).post(createFolder);
+router.route('/folders/:folderId').put(updateFolder).delete(deleteFolder);
+
+// Private group chats
+router.route('/groups').post(createGroup);
+
 router.route('/:id')
   .get(getConversation)
   .delete(deleteConversation);
@@ -31,6 +65,16 @@ router.route('/:id/pin').post(pinConversation);
 router.route('/:id/unpin').post(unpinConversation);
 router.route('/:id/read').put(markConversationAsRead);
 
+// ========== GROUP CHATS ==========
+router.route('/:id/group').get(getGroup).put(updateGroup);
+router.route('/:id/members').post(addMembers);
+router.route('/:id/members/:userId').delete(removeMember);
+router.route('/:id/leave').post(leaveGroup);
+router.route('/:id/admins/:userId').put(setAdmin);
+router.route('/:id/messages')
+  .get(getGroupMessages)
+  .post(checkMessageLimit, sendGroupMessage);
+
 // ========== ADVANCED FEATURES (KakaoTalk/HelloTalk Style) ==========
 
 // Theme customization
@@ -41,8 +85,23 @@ router.route('/:id/theme')
 // Nicknames
 router.route('/:id/nickname').put(advancedMessages.setNickname);
 
+// Labels (private to the user who adds them)
+router.route('/:id/labels')
+  .get(getConversationLabels)
+  .post(addConversationLabel);
+router.route('/:id/labels/:labelId')
+  .put(updateConversationLabel)
+  .delete(removeConversationLabel);
+
+// Auto-translation of incoming messages (per user)
+router.route('/:id/auto-translate')
+  .get(getAutoTranslate)
+  .put(setAutoTranslate);
+
 // Secret chat
-router.route('/:id/secret').post(advancedMessages.enableSecretChat);
+router.route('/:id/secret')
+  .put(advancedMessages.enableSecretChat)
+  .post(advancedMessages.enableSecretChat);
 
 // Quick replies
 router.route('/:id/quick-replies')
@@ -0,0 +1,26 @@
+const express = require('express');
+const {
+  registerDevice,
+  addPreKeys,
+  getPreKeyCount,
+  removeDevice,
+  getBundles
+} = require('../controllers/e2eKeys');
+const { protect } = require('../middleware/auth');
+const { preKeyBundleLimiter } = require('../middleware/rateLimiter');
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// ========== DEVICE KEYS (secret chats) ==========
+router.route('/devices/:deviceId')
+  .put(registerDevice)
+  .delete(removeDevice);
+router.route('/devices/:deviceId/prekeys').post(addPreKeys);
+router.route('/devices/:deviceId/prekeys/count').get(getPreKeyCount);
+
+// ========== PREKEY BUNDLES ==========
+router.route('/users/:userId/bundles').get(preKeyBundleLimiter, getBundles);
+
+module.exports = router;
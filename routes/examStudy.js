@@ -221,7 +221,7 @@ router.post(
 
       // Fire-and-forget: the client polls /evaluations/:id. Failures
       // mark the job as failed rather than crashing the route.
-      _evaluateInBackground(job._id, text).catch((err) => {
+      _evaluateInBackground(job._id, text, req.user.id).catch((err) => {
         console.error('[examStudy] background eval crashed:', err);
       });
 
@@ -309,7 +309,7 @@ router.post(
 
     // Fire-and-forget. Failures mark the job as failed; never crash
     // the request.
-    _evaluateSpeakingInBackground(job._id, req.file.buffer, req.file.mimetype).catch(
+    _evaluateSpeakingInBackground(job._id, req.file.buffer, req.file.mimetype, req.user.id).catch(
       (err) => {
         console.error('[examStudy] background speaking eval crashed:', err);
       }
@@ -369,7 +369,7 @@ router.get(
  * 2) Evaluate the transcript with examEvaluationService.evaluateSpeaking.
  * 3) Write transcript + score + feedback to the job, bump progress.
  */
-async function _evaluateSpeakingInBackground(jobId, audioBuffer, mimeType) {
+async function _evaluateSpeakingInBackground(jobId, audioBuffer, mimeType, userId) {
   let job;
   try {
     job = await EvaluationJob.findById(jobId);
@@ -404,7 +404,7 @@ async function _evaluateSpeakingInBackground(jobId, audioBuffer, mimeType) {
     }
 
     // 2. Evaluate transcript.
-    const result = await examEvaluationService.evaluateSpeaking({ transcript });
+    const result = await examEvaluationService.evaluateSpeaking({ transcript, userId });
     job.status = 'completed';
     job.score = result.score;
     job.feedback = result.feedback;
@@ -445,13 +445,13 @@ async function _evaluateSpeakingInBackground(jobId, audioBuffer, mimeType) {
  * Also writes through to UserExamProgress so a completed essay counts
  * the same as a graded MC question.
  */
-async function _evaluateInBackground(jobId, essay) {
+async function _evaluateInBackground(jobId, essay, userId) {
   let job;
   try {
     job = await EvaluationJob.findById(jobId);
     if (!job) return;
 
-    const result = await examEvaluationService.evaluateEssay({ essay });
+    const result = await examEvaluationService.evaluateEssay({ essay, userId });
 
     job.status = 'completed';
     job.score = result.score;
@@ -566,6 +566,7 @@ router.post(
         targetScore: Number(targetScore),
         targetExamDate: parsedDate,
         progress,
+        userId: req.user.id,
       });
 
     let plan = await UserStudyPlan.findOne({ userId, examId, status: 'active' });
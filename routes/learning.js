@@ -1,5 +1,7 @@
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
+const ErrorResponse = require('../utils/errorResponse');
 
 const {
   // Progress
@@ -16,6 +18,8 @@ const {
   submitVocabularyReview,
   updateVocabulary,
   deleteVocabulary,
+  importVocabulary,
+  exportVocabulary,
   // Vocab Packs
   getVocabPacks,
   getVocabPack,
@@ -70,10 +74,36 @@ const {
   gradeDailyPractice
 } = require('../controllers/learning');
 
+const {
+  createVocabPack,
+  getMyVocabPacks,
+  updateVocabPack,
+  deleteVocabPack,
+  addWordsToVocabPack,
+  forkVocabPack,
+  subscribeVocabPack,
+  unsubscribeVocabPack,
+  reportVocabPack
+} = require('../controllers/vocabPacks');
+
 const { protect } = require('../middleware/auth');
-const { aiRateLimiter } = require('../middleware/rateLimiter');
+const { aiRateLimiter, reportLimiter } = require('../middleware/rateLimiter');
 const { checkVocabularyLimit } = require('../middleware/checkLimitations');
 
+// Vocabulary import files (CSV/TSV text or Anki .apkg zip) — 20MB cap.
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const ext = (file.originalname || '').toLowerCase().split('.').pop();
+    if (['csv', 'tsv', 'txt', 'apkg'].includes(ext)) {
+      cb(null, true);
+    } else {
+      cb(new ErrorResponse(`Invalid import file: ${file.originalname}. Use .csv, .tsv, .txt or .apkg`, 400), false);
+    }
+  },
+});
+
 // All routes require authentication
 router.use(protect);
 
@@ -91,6 +121,8 @@ router.route('/vocabulary')
 
 router.get('/vocabulary/stats', getVocabularyStats);
 router.get('/vocabulary/review', getVocabularyReview);
+router.post('/vocabulary/import', importUpload.single('file'), importVocabulary);
+router.get('/vocabulary/export', exportVocabulary);
 
 router.route('/vocabulary/:id')
   .put(updateVocabulary)
@@ -99,9 +131,23 @@ router.route('/vocabulary/:id')
 router.post('/vocabulary/:id/review', submitVocabularyReview);
 
 // ===================== VOCAB PACK ROUTES =====================
-router.get('/vocab-packs', getVocabPacks);
-router.get('/vocab-packs/:id', getVocabPack);
+router.route('/vocab-packs')
+  .get(getVocabPacks)
+  .post(createVocabPack);
+router.get('/vocab-packs/mine', getMyVocabPacks);
+
+router.route('/vocab-packs/:id')
+  .get(getVocabPack)
+  .put(updateVocabPack)
+  .delete(deleteVocabPack);
+
 router.post('/vocab-packs/:id/add', addVocabPackToVocabulary);
+router.post('/vocab-packs/:id/words', addWordsToVocabPack);
+router.post('/vocab-packs/:id/fork', forkVocabPack);
+router.route('/vocab-packs/:id/subscribe')
+  .post(subscribeVocabPack)
+  .delete(unsubscribeVocabPack);
+router.post('/vocab-packs/:id/report', reportLimiter, reportVocabPack);
 
 // ===================== LESSON ROUTES =====================
 router.get('/lessons', getLessons);
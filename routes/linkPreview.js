@@ -0,0 +1,10 @@
+const express = require('express');
+const { getLinkPreview } = require('../controllers/linkPreview');
+const { protect } = require('../middleware/auth');
+const { linkPreviewLimiter } = require('../middleware/rateLimiter');
+
+const router = express.Router();
+
+router.route('/').get(protect, linkPreviewLimiter, getLinkPreview);
+
+module.exports = router;
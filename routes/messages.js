@@ -14,6 +14,14 @@ const {
   getConversationRooms
 } = require('../controllers/messages');
 const { searchMessages } = require('../controllers/messageSearch');
+const { syncMessages } = require('../controllers/messageSync');
+const { getMessageReceipts } = require('../controllers/groupChats');
+const {
+  createScheduledMessage,
+  getScheduledMessages,
+  updateScheduledMessage,
+  cancelScheduledMessage
+} = require('../controllers/scheduledMessages');
 const advancedResults = require('../middleware/advancedResults');
 const { checkMessageLimit } = require('../middleware/checkLimitations');
 const { uploadSingle, uploadSingleCompressed } = require('../middleware/uploadToSpaces');
@@ -39,6 +47,17 @@ router.route('/').get(protect, getMessages).post(
   createMessage
 );
 router.route('/search').get(protect, searchLimiter, searchMessages);
+
+// Multi-device catch-up from the per-user change log
+router.route('/sync').get(protect, syncMessages);
+
+// Scheduled direct messages (delivered by jobs/scheduledMessageJob.js)
+router.route('/scheduled')
+  .get(protect, getScheduledMessages)
+  .post(protect, messageLimiter, checkMessageLimit, createScheduledMessage);
+router.route('/scheduled/:id')
+  .put(protect, updateScheduledMessage)
+  .delete(protect, cancelScheduledMessage);
 router.route('/conversations').post(protect, createConversationRoom).get(protect, getConversationRooms);
 
 // ========== ADVANCED FEATURES (HelloTalk/KakaoTalk Style) ==========
@@ -86,6 +105,8 @@ router.route('/:id/reply').post(protect, messageLimiter, replyMessageValidation,
 router.route('/:id/forward').post(protect, messageLimiter, forwardMessageValidation, validate, messageManagement.forwardMessage);
 router.route('/:id/pin').post(protect, messageManagement.pinMessage);
 router.route('/:id/replies').get(protect, messageManagement.getMessageReplies);
+router.route('/:id/history').get(protect, messageManagement.getMessageHistory);
+router.route('/:id/receipts').get(protect, getMessageReceipts);
 router.route('/:id/reactions').get(protect, messageReactions.getMessageReactions).post(protect, messageReactions.addReaction);
 router.route('/:id/reactions/:emoji').delete(protect, messageReactions.removeReaction);
 
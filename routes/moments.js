@@ -26,7 +26,8 @@ const {
   translateMoment,
   getMomentTranslations,
   reactToMoment,
-  unreactToMoment
+  unreactToMoment,
+  getScheduledMoments
 } = require('../controllers/moments');
 const { validate } = require('../middleware/validation');
 const { createMomentValidation, updateMomentValidation } = require('../validators/momentValidator');
@@ -56,6 +57,9 @@ router.route('/prompt-of-day').get(optionalAuth, getPromptOfDay);
 // be reached. Gated by REELS_ENABLED (404 when off).
 router.route('/reels').get(protect, reelsEnabledGuard, getReelsFeed);
 
+// Own drafts + scheduled queue — also before '/:id'
+router.route('/scheduled').get(protect, getScheduledMoments);
+
 router.route('/:id').get(optionalAuth, getMoment);
 
 // ========== PROTECTED ROUTES ==========
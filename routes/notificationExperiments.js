@@ -0,0 +1,27 @@
+/**
+ * Notification Experiment Routes
+ *
+ * Admin-only A/B tests of notification copy
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const {
+  getExperiments,
+  createExperiment,
+  getExperimentResults,
+  promoteVariant,
+  stopExperiment
+} = require('../controllers/notificationExperiments');
+
+// All routes require authentication and admin role
+router.use(protect, authorize('admin'));
+
+router.get('/', getExperiments);
+router.post('/', createExperiment);
+router.get('/:id', getExperimentResults);
+router.post('/:id/promote', promoteVariant);
+router.post('/:id/stop', stopExperiment);
+
+module.exports = router;
@@ -4,8 +4,12 @@ const { protect, authorize } = require('../middleware/auth');
 const { validate } = require('../middleware/validation');
 const {
   validateTokenRegistration,
+  validateWebPushSubscription,
   validateNotificationSettings,
   validateConversationId,
+  validateRoomId,
+  validateConversationOverride,
+  validateRoomOverride,
   validateNotificationId,
   validateDeviceId,
   validatePagination,
@@ -18,12 +22,22 @@ const {
   registerToken,
   registerVoipToken,
   removeToken,
+  getWebPushKey,
+  registerWebPushSubscription,
+  removeWebPushSubscription,
   getSettings,
   updateSettings,
   muteChat,
   unmuteChat,
+  getPreferences,
+  updatePreferences,
+  setConversationOverride,
+  clearConversationOverride,
+  setRoomOverride,
+  clearRoomOverride,
   getHistory,
   markAsRead,
+  markAsOpened,
   markAllAsRead,
   clearAll,
   getBadgeCount,
@@ -41,6 +55,13 @@ router.delete(
   removeToken
 );
 
+router.delete(
+  '/web-push/subscribe/:deviceId',
+  validateDeviceId,
+  validate,
+  removeWebPushSubscription
+);
+
 // All other routes require authentication
 router.use(protect);
 
@@ -57,6 +78,16 @@ router.post(
 // platform-supplied (Apple) hex.
 router.post('/register-voip-token', registerVoipToken);
 
+// Browser (Web Push) subscriptions
+router.get('/web-push/key', getWebPushKey);
+
+router.post(
+  '/web-push/subscribe',
+  validateWebPushSubscription,
+  validate,
+  registerWebPushSubscription
+);
+
 // Settings Management
 router.get('/settings', getSettings);
 
@@ -81,6 +112,41 @@ router.post(
   unmuteChat
 );
 
+// Per-type, per-channel preferences and conversation/room overrides
+router.get('/preferences', getPreferences);
+
+router.put('/preferences', updatePreferences);
+
+router.put(
+  '/preferences/conversations/:conversationId',
+  validateConversationId,
+  validateConversationOverride,
+  validate,
+  setConversationOverride
+);
+
+router.delete(
+  '/preferences/conversations/:conversationId',
+  validateConversationId,
+  validate,
+  clearConversationOverride
+);
+
+router.put(
+  '/preferences/rooms/:roomId',
+  validateRoomId,
+  validateRoomOverride,
+  validate,
+  setRoomOverride
+);
+
+router.delete(
+  '/preferences/rooms/:roomId',
+  validateRoomId,
+  validate,
+  clearRoomOverride
+);
+
 // Notification History
 router.get(
   '/history',
@@ -96,6 +162,13 @@ router.post(
   markAsRead
 );
 
+router.post(
+  '/mark-opened/:notificationId',
+  validateNotificationId,
+  validate,
+  markAsOpened
+);
+
 router.post('/mark-all-read', markAllAsRead);
 
 router.delete('/clear-all', clearAll);
@@ -95,7 +95,7 @@ router.get('/pronunciation/history', getPronunciationHistory);
 
 /**
  * @route   GET /api/v1/speech/pronunciation/stats
- * @desc    Get pronunciation statistics
+ * @desc    Get pronunciation statistics, with per-phoneme accuracy trends
  * @access  Private
  */
 router.get('/pronunciation/stats', getPronunciationStats);
@@ -0,0 +1,49 @@
+const express = require('express');
+const multer = require('multer');
+const {
+  getPacks,
+  getPack,
+  unlockPack,
+  getMyStickers,
+  addFavorite,
+  removeFavorite,
+  createPack,
+  updatePack,
+  uploadStickers,
+  removeSticker
+} = require('../controllers/stickers');
+const { protect, authorize } = require('../middleware/auth');
+const { MAX_UPLOAD_FILES, UPLOAD_RULES } = require('../lib/stickerPacks');
+
+const router = express.Router();
+
+// Sticker artwork — type and per-kind size are checked by the service
+const stickerUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: Math.max(...Object.values(UPLOAD_RULES).map(rule => rule.maxBytes)),
+    files: MAX_UPLOAD_FILES
+  }
+});
+
+router.use(protect);
+
+router.get('/packs', getPacks);
+router.get('/packs/:id', getPack);
+router.post('/packs/:id/unlock', unlockPack);
+router.get('/mine', getMyStickers);
+router.post('/favorites', addFavorite);
+router.delete('/favorites/:stickerId', removeFavorite);
+
+// ===================== ADMIN =====================
+router.post('/admin/packs', authorize('admin'), createPack);
+router.put('/admin/packs/:id', authorize('admin'), updatePack);
+router.post(
+  '/admin/packs/:id/stickers',
+  authorize('admin'),
+  stickerUpload.array('stickers', MAX_UPLOAD_FILES),
+  uploadStickers
+);
+router.delete('/admin/packs/:id/stickers/:stickerId', authorize('admin'), removeSticker);
+
+module.exports = router;
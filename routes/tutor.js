@@ -11,6 +11,7 @@ const {
   getSession,
   startSession,
   sendMessage,
+  resumeMessageStream,
   endSession,
   speakMessage,
   transcribeVoice,
@@ -131,6 +132,12 @@ router.get('/sessions/:id', getSession);
  */
 router.post('/sessions/:id/message', checkChatQuotaSessionAware, tutorMessageLimiter, sendMessage);
 
+/**
+ * @route   GET /api/v1/tutor/sessions/:id/messages/:messageId/stream
+ * @desc    Resume a streamed reply after a reconnect (SSE)
+ */
+router.get('/sessions/:id/messages/:messageId/stream', resumeMessageStream);
+
 /**
  * @route   POST /api/v1/tutor/sessions/:id/end
  */
@@ -28,7 +28,8 @@ const {
   getUserLimits,
   checkUsernameAvailability,
   getNotificationPreferences,
-  updateNotificationPreferences
+  updateNotificationPreferences,
+  getMyAIBudget
 } = require('../controllers/users');
 
 const {
@@ -90,6 +91,10 @@ router
   .get(protect, getNotificationPreferences)
   .put(protect, updateNotificationPreferences);
 
+router
+  .route('/me/ai-budget')
+  .get(protect, getMyAIBudget);
+
 // ============================================
 // /:userId routes (come after /me routes)
 // ============================================
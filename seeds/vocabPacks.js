@@ -7,9 +7,10 @@
  * Safety pattern (mirrors seeds/languages.js):
  * - validates the ENTIRE data file shape up front; refuses to write anything
  *   on any validation error (no half-seeds)
- * - upserts on the unique (level, topic, language) key — re-running is
- *   idempotent; existing packs get their words/exercises refreshed, nothing is
- *   deleted
+ * - upserts on the unique (level, topic, language, owner: null) key —
+ *   re-running is idempotent; existing packs get their words/exercises
+ *   refreshed, nothing is deleted, and user-authored packs with the same
+ *   topic are never touched
  * - prints a per-pack audit line; exits non-zero on failure
  *
  * Usage: node seeds/vocabPacks.js [--dry-run]
@@ -63,6 +64,7 @@ const seedVocabPacks = async ({ dryRun = false } = {}) => {
       level: pack.level,
       topic: pack.topic.trim(),
       language: pack.language || 'English',
+      owner: null,
     };
 
     const exercises = Array.isArray(pack.exercises) ? pack.exercises.map(_cleanExercise) : [];
@@ -44,6 +44,7 @@ const stories = require('./routes/story');
 const purchases = require('./routes/purchases');
 const userBlocks = require('./routes/userBlocks');
 const conversations = require('./routes/conversations');
+const e2eKeys = require('./routes/e2eKeys');
 const reports = require('./routes/report');
 const notifications = require('./routes/notifications');
 const learning = require('./routes/learning');
@@ -61,6 +62,7 @@ const livekit = require('./routes/livekit');
 const tutor = require('./routes/tutor');
 const admin = require('./routes/admin');
 const broadcast = require('./routes/broadcast');
+const notificationExperiments = require('./routes/notificationExperiments');
 const rooms = require('./routes/rooms');
 const coins = require('./routes/coins'); // Workstream F — coins v1
 const geocode = require('./routes/geocode');
@@ -322,11 +324,14 @@ app.use('/api/v1/stories', stories);
 app.use('/api/v1/purchases', purchases);
 app.use('/api/v1/users', userBlocks);
 app.use('/api/v1/conversations', conversations);
+app.use('/api/v1/e2e', e2eKeys);
 app.use('/api/v1/reports', reports);
 app.use('/api/v1/notifications', notifications);
 app.use('/api/v1/contact', require('./routes/contact'));
 app.use('/api/v1/email', require('./routes/emailUnsubscribe'));
 app.use('/api/v1/app-config', require('./routes/appConfig'));
+app.use('/api/v1/link-preview', require('./routes/linkPreview'));
+app.use('/api/v1/stickers', require('./routes/stickers'));
 app.use('/api/v1/learning', learning);
 app.use('/api/v1/community', community);
 app.use('/api/v1/interactions', require('./routes/interactions'));
@@ -345,6 +350,7 @@ app.use('/api/v1/livekit', livekit);
 app.use('/api/v1/tutor', tutor);
 app.use('/api/v1/admin', admin);
 app.use('/api/v1/admin/broadcast', broadcast);
+app.use('/api/v1/admin/notification-experiments', notificationExperiments);
 app.use('/api/v1/analytics', require('./routes/analytics'));
 app.use('/api/v1/users/chat-phrases', require('./routes/chatPhrases'));
 app.use('/api/v1/exam-study', require('./routes/examStudy'));
@@ -391,7 +397,7 @@ server.listen(PORT, HOST, () => {
   // Start scheduled jobs (email notifications, story archival, etc.)
   if (process.env.ENABLE_SCHEDULER !== 'false') {
     const { startScheduler } = require('./jobs/scheduler');
-    startScheduler();
+    startScheduler({ io });
   }
 });
 
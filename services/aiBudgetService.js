@@ -0,0 +1,107 @@
+/**
+ * AI Budget Service
+ * Monthly per-user AI token/cost budgets. aiProviderService calls
+ * checkBudget() before every chat call made on a user's behalf and
+ * recordSpend() after it; the decision itself lives in lib/aiBudget.js.
+ *
+ * Budgets come from config/limitations.js (<tier>.aiMonthlyBudget) and are
+ * switched off wholesale with AI_BUDGET_ENABLED=false — spend is still
+ * recorded so the ledger is complete when budgets are turned back on.
+ */
+
+const AIBudgetLedger = require('../models/AIBudgetLedger');
+const User = require('../models/User');
+const LIMITS = require('../config/limitations');
+const { getUserTier } = require('../middleware/checkLimitations');
+const ErrorResponse = require('../utils/errorResponse');
+const { budgetPeriod, periodResetsAt, evaluateBudget } = require('../lib/aiBudget');
+
+/**
+ * Current budget position for a user.
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {string} [options.tier] - skips the User lookup when the caller already knows it
+ * @returns {Promise<Object>} evaluateBudget() result plus tier, period, resetsAt, enabled
+ */
+const getBudgetStatus = async (userId, { now = new Date(), tier } = {}) => {
+  let userTier = tier;
+  if (!userTier) {
+    const user = await User.findById(userId).select('userMode vipSubscription').lean();
+    userTier = getUserTier(user);
+  }
+
+  const period = budgetPeriod(now);
+  const ledger = await AIBudgetLedger.findOne({ user: userId, period }).lean();
+  const budget = (LIMITS[userTier] || LIMITS.regular).aiMonthlyBudget;
+
+  const evaluation = evaluateBudget(budget, {
+    tokens: ledger ? (ledger.inputTokens || 0) + (ledger.outputTokens || 0) : 0,
+    costUsd: ledger ? ledger.costUsd : 0
+  });
+
+  return {
+    ...evaluation,
+    status: LIMITS.AI_BUDGET_ENABLED ? evaluation.status : 'ok',
+    enabled: LIMITS.AI_BUDGET_ENABLED,
+    onExceeded: budget?.onExceeded || 'block',
+    tier: userTier,
+    period,
+    resetsAt: periodResetsAt(now),
+    calls: ledger ? ledger.calls : 0,
+    degradedCalls: ledger ? ledger.degradedCalls : 0
+  };
+};
+
+/**
+ * Pre-call check. Resolves with the budget status ('ok' or 'degraded');
+ * rejects with a 429 when the user is blocked until the period resets.
+ * @param {string} userId
+ * @param {Object} [options] - as getBudgetStatus
+ * @returns {Promise<Object>}
+ */
+const checkBudget = async (userId, options = {}) => {
+  if (!LIMITS.AI_BUDGET_ENABLED) {
+    return { status: 'ok', enabled: false };
+  }
+
+  const status = await getBudgetStatus(userId, options);
+  if (status.status === 'blocked') {
+    throw new ErrorResponse(
+      `Monthly AI budget used up. It resets on ${status.resetsAt.toISOString().slice(0, 10)}.`,
+      429
+    );
+  }
+  return status;
+};
+
+/**
+ * Add a completed call to this month's ledger row.
+ * @param {string} userId
+ * @param {Object} spend
+ * @param {Object} spend.usage - { inputTokens, outputTokens }
+ * @param {number} [spend.costUsd]
+ * @param {boolean} [spend.degraded]
+ * @param {Date} [now]
+ * @returns {Promise}
+ */
+const recordSpend = (userId, { usage, costUsd = 0, degraded = false }, now = new Date()) =>
+  AIBudgetLedger.updateOne(
+    { user: userId, period: budgetPeriod(now) },
+    {
+      $inc: {
+        inputTokens: usage?.inputTokens || 0,
+        outputTokens: usage?.outputTokens || 0,
+        costUsd: costUsd || 0,
+        calls: 1,
+        degradedCalls: degraded ? 1 : 0
+      }
+    },
+    { upsert: true }
+  );
+
+module.exports = {
+  getBudgetStatus,
+  checkBudget,
+  recordSpend
+};
@@ -123,6 +123,7 @@ const startConversation = async (options) => {
 
   try {
     const response = await chatCompletion({
+      userId,
       messages: initialMessages,
       feature: 'conversation'
     });
@@ -149,7 +150,8 @@ const startConversation = async (options) => {
       userId,
       feature: 'conversation',
       tokensUsed: response.usage,
-      provider: 'openai'
+      provider: response.provider,
+      model: response.model
     });
 
     return {
@@ -214,6 +216,7 @@ const sendMessage = async (options) => {
 
   try {
     const response = await chatCompletion({
+      userId,
       messages,
       feature: 'conversation'
     });
@@ -249,7 +252,8 @@ const sendMessage = async (options) => {
       userId,
       feature: 'conversation',
       tokensUsed: response.usage,
-      provider: 'openai'
+      provider: response.provider,
+      model: response.model
     });
 
     return {
@@ -307,6 +311,7 @@ const sendMessageStreaming = async (options, onChunk) => {
 
   try {
     const response = await streamChatCompletion({
+      userId,
       messages,
       feature: 'conversation',
       onChunk
@@ -332,6 +337,15 @@ const sendMessageStreaming = async (options, onChunk) => {
 
     await conversation.save();
 
+    // Track usage
+    await trackUsage({
+      userId,
+      feature: 'conversation',
+      tokensUsed: response.usage,
+      provider: response.provider,
+      model: response.model
+    });
+
     return {
       message: {
         role: 'assistant',
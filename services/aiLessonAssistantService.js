@@ -46,6 +46,7 @@ const getExerciseHint = async (userId, lessonId, exerciseIndex, hintLevel = 1) =
   const hintPrompt = buildHintPrompt(exercise, hintLevel, lesson.language, proficiencyLevel, cefrModifiers);
 
   const response = await chatCompletion({
+    userId,
     messages: [{ role: 'user', content: hintPrompt }],
     feature: 'lessonAssistant',
     json: true
@@ -58,7 +59,8 @@ const getExerciseHint = async (userId, lessonId, exerciseIndex, hintLevel = 1) =
     userId,
     feature: 'lessonAssistant',
     tokensUsed: response.usage,
-    provider: 'openai'
+    provider: response.provider,
+    model: response.model
   });
 
   return {
@@ -155,6 +157,7 @@ Respond in JSON:
 Keep the explanation simple and appropriate for ${proficiencyLevel} level.`;
 
   const response = await chatCompletion({
+    userId,
     messages: [{ role: 'user', content: prompt }],
     feature: 'lessonAssistant',
     json: true
@@ -167,7 +170,8 @@ Keep the explanation simple and appropriate for ${proficiencyLevel} level.`;
     userId,
     feature: 'lessonAssistant',
     tokensUsed: response.usage,
-    provider: 'openai'
+    provider: response.provider,
+    model: response.model
   });
 
   return {
@@ -234,6 +238,7 @@ Respond in JSON:
 Be supportive and constructive, not discouraging.`;
 
   const response = await chatCompletion({
+    userId,
     messages: [{ role: 'user', content: prompt }],
     feature: 'lessonAssistant',
     json: true
@@ -246,7 +251,8 @@ Be supportive and constructive, not discouraging.`;
     userId,
     feature: 'lessonAssistant',
     tokensUsed: response.usage,
-    provider: 'openai'
+    provider: response.provider,
+    model: response.model
   });
 
   return {
@@ -306,6 +312,7 @@ Respond in JSON:
 }`;
 
   const response = await chatCompletion({
+    userId,
     messages: [{ role: 'user', content: prompt }],
     feature: 'lessonAssistant',
     json: true
@@ -318,7 +325,8 @@ Respond in JSON:
     userId,
     feature: 'lessonAssistant',
     tokensUsed: response.usage,
-    provider: 'openai'
+    provider: response.provider,
+    model: response.model
   });
 
   return {
@@ -399,6 +407,7 @@ Respond in JSON:
 Keep the answer helpful, concise, and appropriate for their level.`;
 
   const response = await chatCompletion({
+    userId,
     messages: [{ role: 'user', content: prompt }],
     feature: 'lessonAssistant',
     json: true
@@ -411,7 +420,8 @@ Keep the answer helpful, concise, and appropriate for their level.`;
     userId,
     feature: 'lessonAssistant',
     tokensUsed: response.usage,
-    provider: 'openai'
+    provider: response.provider,
+    model: response.model
   });
 
   return {
@@ -487,6 +497,7 @@ Make sure:
 - Multiple choice has exactly 4 options with 1 correct`;
 
   const response = await chatCompletion({
+    userId,
     messages: [{ role: 'user', content: prompt }],
     feature: 'lessonAssistant',
     json: true
@@ -499,7 +510,8 @@ Make sure:
     userId,
     feature: 'lessonAssistant',
     tokensUsed: response.usage,
-    provider: 'openai'
+    provider: response.provider,
+    model: response.model
   });
 
   return {
@@ -580,6 +592,7 @@ Respond in JSON:
 }`;
 
   const response = await chatCompletion({
+    userId,
     messages: [{ role: 'user', content: prompt }],
     feature: 'lessonAssistant',
     json: true
@@ -592,7 +605,8 @@ Respond in JSON:
     userId,
     feature: 'lessonAssistant',
     tokensUsed: response.usage,
-    provider: 'openai'
+    provider: response.provider,
+    model: response.model
   });
 
   return {
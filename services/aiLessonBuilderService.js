@@ -160,6 +160,7 @@ const generateLesson = async (options = {}) => {
 
   try {
     const response = await chatCompletion({
+      userId,
       messages: [{ role: 'user', content: prompt }],
       feature: 'lessonBuilder',
       json: true
@@ -221,7 +222,8 @@ const generateLesson = async (options = {}) => {
         userId,
         feature: 'lessonBuilder',
         tokensUsed: response.usage,
-        provider: 'openai'
+        provider: response.provider,
+        model: response.model
       });
     }
 
@@ -292,6 +294,7 @@ const generateExercises = async (options = {}) => {
   });
 
   const response = await chatCompletion({
+    userId,
     messages: [{ role: 'user', content: prompt }],
     feature: 'lessonBuilder',
     json: true
@@ -305,7 +308,8 @@ const generateExercises = async (options = {}) => {
       userId,
       feature: 'lessonBuilder',
       tokensUsed: response.usage,
-      provider: 'openai'
+      provider: response.provider,
+      model: response.model
     });
   }
 
@@ -378,6 +382,7 @@ Make vocabulary appropriate for ${level} level:
 - ${cefrModifiers.complexity} complexity`;
 
   const response = await chatCompletion({
+    userId,
     messages: [{ role: 'user', content: prompt }],
     feature: 'lessonBuilder',
     json: true
@@ -390,7 +395,8 @@ Make vocabulary appropriate for ${level} level:
       userId,
       feature: 'lessonBuilder',
       tokensUsed: response.usage,
-      provider: 'openai'
+      provider: response.provider,
+      model: response.model
     });
   }
 
@@ -460,6 +466,7 @@ Respond in JSON:
 Make it progressive - earlier lessons should be simpler, building to more complex topics.`;
 
   const structureResponse = await chatCompletion({
+    userId,
     messages: [{ role: 'user', content: structurePrompt }],
     feature: 'lessonBuilder',
     json: true
@@ -579,6 +586,7 @@ Respond in JSON:
 }`;
 
   const response = await chatCompletion({
+    userId,
     messages: [{ role: 'user', content: prompt }],
     feature: 'lessonBuilder',
     json: true
@@ -621,7 +629,8 @@ Respond in JSON:
       userId,
       feature: 'lessonBuilder',
       tokensUsed: response.usage,
-      provider: 'openai'
+      provider: response.provider,
+      model: response.model
     });
   }
 
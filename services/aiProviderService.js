@@ -1,172 +1,205 @@
 /**
  * AI Provider Service
- * Abstraction layer for OpenAI API
- * Handles all AI-related API calls with rate limiting, error handling, and retries
+ * Entry point for all AI-related API calls. Chat calls are routed through
+ * the provider registry (services/aiProviders) per feature, with retries,
+ * failover to the next configured provider, and per-provider cost
+ * accounting. Speech (TTS/STT) remains OpenAI-only.
  */
 
-const { AI_PROVIDERS, AI_RATE_LIMITS, CEFR_MODIFIERS } = require('../config/aiConfig');
+const {
+  AI_PROVIDERS,
+  AI_FEATURE_PARAMS,
+  AI_ROUTING,
+  AI_RATE_LIMITS,
+  CEFR_MODIFIERS
+} = require('../config/aiConfig');
 const AIUsageLog = require('../models/AIUsageLog');
-
-// Lazy load OpenAI to avoid initialization issues if not configured
-let openaiClient = null;
+const registry = require('./aiProviders');
+const aiBudgetService = require('./aiBudgetService');
+const { estimateTokens } = require('./aiProviders/fake');
 
 /**
  * Get OpenAI client (lazy initialization)
+ * Still used directly for speech and vision calls.
  */
-const getOpenAIClient = () => {
-  if (!openaiClient) {
-    const OpenAI = require('openai');
-
-    if (!process.env.OPENAI_API_KEY) {
-      throw new Error('OPENAI_API_KEY is not configured');
-    }
-
-    openaiClient = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
-  }
-  return openaiClient;
-};
+const getOpenAIClient = () => registry.providers.openai.getClient();
 
 /**
  * Sleep utility for retry logic
  */
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
+const isRetryable = (error) => error.status === 429 || error.status >= 500;
+
 /**
- * Send a chat completion request to OpenAI
- * @param {Object} options - Request options
- * @param {Array} options.messages - Array of message objects
- * @param {String} options.feature - Feature name for config (conversation, grammarFeedback, etc.)
- * @param {Number} options.maxTokens - Override max tokens
- * @param {Number} options.temperature - Override temperature
- * @param {Boolean} options.json - Request JSON response format
- * @returns {Promise<Object>} Response with content and usage
+ * Call one provider, retrying rate limits and server errors with
+ * exponential backoff. Gives up sooner when a fallback is available.
  */
-const chatCompletion = async (options) => {
-  const {
-    messages,
-    feature = 'conversation',
-    maxTokens,
-    temperature,
-    json = false
-  } = options;
+const callWithRetry = async (fn, { providerName, maxAttempts }) => {
+  let lastError;
 
-  const openai = getOpenAIClient();
-  const config = AI_PROVIDERS.openai;
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      lastError = error;
 
-  const requestOptions = {
-    model: config.models.chat,
-    messages,
-    max_tokens: maxTokens || config.maxTokens[feature] || 1024,
-    temperature: temperature ?? config.temperature[feature] ?? 0.7
-  };
+      if (!isRetryable(error) || attempt === maxAttempts - 1) {
+        break;
+      }
+
+      // Rate limit waits longer than server errors
+      const waitTime = Math.pow(2, attempt) * (error.status === 429 ? 1000 : 500);
+      console.warn(`${providerName} ${error.status === 429 ? 'rate limit hit' : 'server error'}, waiting ${waitTime}ms before retry`);
+      await sleep(waitTime);
+    }
+  }
+
+  throw lastError;
+};
 
-  if (json) {
-    requestOptions.response_format = { type: 'json_object' };
+/**
+ * Run `invoke` against each provider in the feature's route until one
+ * succeeds. `canFailover()` lets streaming stop failing over once output
+ * has reached the client; `degraded` switches to the over-budget route.
+ */
+const runWithFailover = async (feature, invoke, { canFailover = () => true, degraded = false } = {}) => {
+  const route = registry.orderByHealth(registry.resolveRoute(feature, { degraded }));
+
+  if (route.length === 0) {
+    throw new Error(`No AI provider is configured for feature "${feature}"`);
   }
 
   let lastError;
-  const maxRetries = 3;
 
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
+  for (let i = 0; i < route.length; i++) {
+    const { provider, model } = route[i];
+    const isLast = i === route.length - 1;
+
     try {
-      const response = await openai.chat.completions.create(requestOptions);
+      const result = await callWithRetry(() => invoke(provider, model), {
+        providerName: provider.name,
+        maxAttempts: isLast ? AI_ROUTING.maxAttempts : AI_ROUTING.attemptsBeforeFailover
+      });
+      registry.markHealthy(provider.name);
 
+      const usage = result.usage || estimateUsage(result.content, result.messages);
       return {
-        content: response.choices[0].message.content,
-        usage: {
-          inputTokens: response.usage.prompt_tokens,
-          outputTokens: response.usage.completion_tokens,
-          totalTokens: response.usage.total_tokens
-        },
-        finishReason: response.choices[0].finish_reason,
-        model: response.model
+        content: result.content,
+        usage,
+        finishReason: result.finishReason,
+        model: result.model || model,
+        provider: provider.name,
+        costUsd: registry.estimateCostUsd(provider.name, result.model || model, usage),
+        failedOver: i > 0
       };
     } catch (error) {
       lastError = error;
 
-      // Rate limit - exponential backoff
-      if (error.status === 429) {
-        const waitTime = Math.pow(2, attempt) * 1000;
-        console.warn(`OpenAI rate limit hit, waiting ${waitTime}ms before retry`);
-        await sleep(waitTime);
-        continue;
+      if (!registry.isFailoverError(error) || !canFailover()) {
+        throw error;
       }
 
-      // Server errors - retry with backoff
-      if (error.status >= 500) {
-        const waitTime = Math.pow(2, attempt) * 500;
-        console.warn(`OpenAI server error, waiting ${waitTime}ms before retry`);
-        await sleep(waitTime);
-        continue;
+      registry.markUnhealthy(provider.name);
+      if (!isLast) {
+        console.warn(`[aiProvider] ${provider.name} failed for ${feature} (${error.status || error.message}), failing over to ${route[i + 1].provider.name}`);
       }
-
-      // Client errors - don't retry
-      throw error;
     }
   }
 
   throw lastError;
 };
 
+/**
+ * Some OpenAI-compatible servers omit usage on streams; estimate it so the
+ * call is still accounted.
+ */
+const estimateUsage = (content, messages = []) => {
+  const inputTokens = messages.reduce((sum, m) => sum + estimateTokens(typeof m.content === 'string' ? m.content : ''), 0);
+  const outputTokens = estimateTokens(content);
+  return { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens, estimated: true };
+};
+
+/**
+ * Enforce the user's monthly AI budget around a chat call: reject when
+ * blocked, route to cheaper models when degraded, and add the call's
+ * tokens and cost to the ledger afterwards. Calls without a userId
+ * (system jobs) are not budgeted.
+ */
+const runBudgeted = async (userId, run) => {
+  const budget = userId ? await aiBudgetService.checkBudget(userId) : null;
+  const degraded = budget?.status === 'degraded';
+
+  const result = await run({ degraded });
+
+  if (userId) {
+    aiBudgetService.recordSpend(userId, { usage: result.usage, costUsd: result.costUsd, degraded })
+      .catch((err) => console.error('[AIBudgetLedger] write failed:', err.message));
+  }
+
+  return { ...result, degraded };
+};
+
+const buildChatRequest = ({ messages, feature, maxTokens, temperature, json }, model) => ({
+  model,
+  messages,
+  feature,
+  maxTokens: maxTokens || AI_FEATURE_PARAMS.maxTokens[feature] || 1024,
+  temperature: temperature ?? AI_FEATURE_PARAMS.temperature[feature] ?? 0.7,
+  json
+});
+
+/**
+ * Send a chat completion request to the feature's provider chain
+ * @param {Object} options - Request options
+ * @param {Array} options.messages - Array of message objects
+ * @param {String} options.feature - Feature name for config (conversation, grammarFeedback, etc.)
+ * @param {Number} options.maxTokens - Override max tokens
+ * @param {Number} options.temperature - Override temperature
+ * @param {Boolean} options.json - Request JSON response format
+ * @param {String} options.userId - User the call is made for; enables budget enforcement
+ * @returns {Promise<Object>} Response with content, usage, model, provider, costUsd and degraded
+ */
+const chatCompletion = async (options) => {
+  const { messages, feature = 'conversation', json = false, userId } = options;
+
+  return runBudgeted(userId, ({ degraded }) => runWithFailover(feature, async (provider, model) => {
+    const result = await provider.chat(buildChatRequest({ ...options, feature, json }, model));
+    return { ...result, messages };
+  }, { degraded }));
+};
+
 /**
  * Stream a chat completion response
+ * Fails over to the next provider only while nothing has been streamed yet.
  * @param {Object} options - Request options
  * @param {Array} options.messages - Array of message objects
  * @param {String} options.feature - Feature name for config
  * @param {Function} options.onChunk - Callback for each chunk
  * @param {Function} options.onComplete - Callback when complete
+ * @param {String} options.userId - User the call is made for; enables budget enforcement
  * @returns {Promise<Object>} Final response
  */
 const streamChatCompletion = async (options) => {
-  const {
-    messages,
-    feature = 'conversation',
-    maxTokens,
-    temperature,
-    onChunk,
-    onComplete
-  } = options;
-
-  const openai = getOpenAIClient();
-  const config = AI_PROVIDERS.openai;
-
-  const stream = await openai.chat.completions.create({
-    model: config.models.chat,
-    messages,
-    max_tokens: maxTokens || config.maxTokens[feature] || 1024,
-    temperature: temperature ?? config.temperature[feature] ?? 0.7,
-    stream: true
-  });
+  const { messages, feature = 'conversation', onChunk, onComplete, userId } = options;
+  let streamed = false;
 
-  let fullContent = '';
-  let usage = null;
-
-  for await (const chunk of stream) {
-    const content = chunk.choices[0]?.delta?.content || '';
-    if (content) {
-      fullContent += content;
+  const result = await runBudgeted(userId, ({ degraded }) => runWithFailover(feature, async (provider, model) => {
+    const request = buildChatRequest({ ...options, feature }, model);
+    const onProviderChunk = (delta, full) => {
+      streamed = true;
       if (onChunk) {
-        onChunk(content, fullContent);
+        onChunk(delta, full);
       }
-    }
-
-    // Capture usage from final chunk
-    if (chunk.usage) {
-      usage = {
-        inputTokens: chunk.usage.prompt_tokens,
-        outputTokens: chunk.usage.completion_tokens,
-        totalTokens: chunk.usage.total_tokens
-      };
-    }
-  }
-
-  const result = {
-    content: fullContent,
-    usage,
-    finishReason: 'stop'
-  };
+    };
+    const response = typeof provider.streamChat === 'function'
+      ? await provider.streamChat({ ...request, onChunk: onProviderChunk })
+      : await provider.chat(request).then((r) => {
+        onProviderChunk(r.content, r.content);
+        return r;
+      });
+    return { ...response, messages };
+  }, { canFailover: () => !streamed, degraded }));
 
   if (onComplete) {
     onComplete(result);
@@ -646,12 +679,32 @@ const checkUsageLimit = async (userId, feature, userTier = 'free') => {
 
 /**
  * Track AI usage for a user
+ * Chat callers pass the response's provider/model/usage so the log carries
+ * per-provider token counts and cost.
  * @param {Object} options - Usage options
+ * @param {String} options.userId
+ * @param {String} options.feature
+ * @param {String} [options.provider]
+ * @param {String} [options.model]
+ * @param {Object} [options.tokensUsed] - { inputTokens, outputTokens }
+ * @param {Number} [options.costUsd] - Computed from pricing when omitted
  */
 const trackUsage = async (options) => {
-  const { userId, feature } = options;
+  const { userId, feature, provider, model, tokensUsed, costUsd } = options;
   if (!userId || !feature) return;
-  AIUsageLog.create({ userId, feature }).catch((err) =>
+
+  const entry = { userId, feature };
+  if (provider) entry.provider = provider;
+  if (model) entry.model = model;
+  if (tokensUsed) {
+    entry.inputTokens = tokensUsed.inputTokens || 0;
+    entry.outputTokens = tokensUsed.outputTokens || 0;
+  }
+  if (provider && (costUsd !== undefined || tokensUsed)) {
+    entry.costUsd = costUsd ?? registry.estimateCostUsd(provider, model, tokensUsed);
+  }
+
+  AIUsageLog.create(entry).catch((err) =>
     console.error('[AIUsageLog] write failed:', err.message)
   );
 };
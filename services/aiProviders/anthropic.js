@@ -0,0 +1,190 @@
+/**
+ * Anthropic chat provider
+ * Talks to the Messages API over axios (no SDK dependency). OpenAI-style
+ * messages are translated: system messages are lifted into `system`, and
+ * consecutive same-role turns are merged because the API requires strict
+ * user/assistant alternation.
+ */
+
+const axios = require('axios');
+const { AI_PROVIDERS, AI_ROUTING } = require('../../config/aiConfig');
+
+const FINISH_REASONS = {
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  max_tokens: 'length'
+};
+
+const JSON_INSTRUCTION = 'Respond with a single valid JSON object and nothing else.';
+
+/**
+ * Convert OpenAI-style messages to { system, messages } for the Messages API.
+ * @param {Array} messages
+ * @param {Boolean} json - Append a JSON-only instruction to the system prompt
+ * @returns {{ system: String, messages: Array }}
+ */
+const toAnthropicMessages = (messages, json = false) => {
+  const system = [];
+  const turns = [];
+
+  for (const message of messages) {
+    const text = typeof message.content === 'string'
+      ? message.content
+      : (message.content || []).filter(p => p.type === 'text').map(p => p.text).join('\n');
+
+    if (message.role === 'system') {
+      system.push(text);
+      continue;
+    }
+
+    const role = message.role === 'assistant' ? 'assistant' : 'user';
+    const last = turns[turns.length - 1];
+    if (last && last.role === role) {
+      last.content += `\n\n${text}`;
+    } else {
+      turns.push({ role, content: text });
+    }
+  }
+
+  // The API rejects a conversation that opens with an assistant turn
+  if (turns.length === 0 || turns[0].role !== 'user') {
+    turns.unshift({ role: 'user', content: '(continue)' });
+  }
+
+  if (json) {
+    system.push(JSON_INSTRUCTION);
+  }
+
+  return { system: system.join('\n\n'), messages: turns };
+};
+
+/**
+ * Copy the HTTP status onto the error so failover logic can classify it
+ * the same way as OpenAI SDK errors.
+ */
+const normalizeError = (error) => {
+  if (error.response) {
+    const apiMessage = error.response.data?.error?.message;
+    const normalized = new Error(`Anthropic API error: ${apiMessage || error.message}`);
+    normalized.status = error.response.status;
+    return normalized;
+  }
+  return error;
+};
+
+const config = AI_PROVIDERS.anthropic;
+
+const headers = () => ({
+  'x-api-key': process.env.ANTHROPIC_API_KEY,
+  'anthropic-version': config.apiVersion,
+  'content-type': 'application/json'
+});
+
+const buildBody = ({ model, messages, maxTokens, temperature, json }) => {
+  const converted = toAnthropicMessages(messages, json);
+  const body = {
+    model,
+    max_tokens: maxTokens,
+    temperature,
+    messages: converted.messages
+  };
+  if (converted.system) {
+    body.system = converted.system;
+  }
+  return body;
+};
+
+const chat = async (request) => {
+  let response;
+  try {
+    response = await axios.post(`${config.baseUrl}/v1/messages`, buildBody(request), {
+      headers: headers(),
+      timeout: AI_ROUTING.requestTimeoutMs
+    });
+  } catch (error) {
+    throw normalizeError(error);
+  }
+
+  const data = response.data;
+  const inputTokens = data.usage?.input_tokens || 0;
+  const outputTokens = data.usage?.output_tokens || 0;
+
+  return {
+    content: (data.content || []).filter(b => b.type === 'text').map(b => b.text).join(''),
+    usage: { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens },
+    finishReason: FINISH_REASONS[data.stop_reason] || data.stop_reason || 'stop',
+    model: data.model || request.model
+  };
+};
+
+const streamChat = async ({ onChunk, ...request }) => {
+  let response;
+  try {
+    response = await axios.post(
+      `${config.baseUrl}/v1/messages`,
+      { ...buildBody(request), stream: true },
+      { headers: headers(), timeout: AI_ROUTING.requestTimeoutMs, responseType: 'stream' }
+    );
+  } catch (error) {
+    throw normalizeError(error);
+  }
+
+  let fullContent = '';
+  let inputTokens = 0;
+  let outputTokens = 0;
+  let finishReason = 'stop';
+  let buffered = '';
+
+  const handleEvent = (line) => {
+    if (!line.startsWith('data:')) return;
+    let event;
+    try {
+      event = JSON.parse(line.slice(5).trim());
+    } catch {
+      return;
+    }
+
+    if (event.type === 'message_start') {
+      inputTokens = event.message?.usage?.input_tokens || 0;
+    } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+      fullContent += event.delta.text;
+      if (onChunk) {
+        onChunk(event.delta.text, fullContent);
+      }
+    } else if (event.type === 'message_delta') {
+      outputTokens = event.usage?.output_tokens || outputTokens;
+      if (event.delta?.stop_reason) {
+        finishReason = FINISH_REASONS[event.delta.stop_reason] || event.delta.stop_reason;
+      }
+    } else if (event.type === 'error') {
+      const error = new Error(`Anthropic API error: ${event.error?.message || 'stream error'}`);
+      error.status = event.error?.type === 'overloaded_error' ? 529 : 500;
+      throw error;
+    }
+  };
+
+  for await (const chunk of response.data) {
+    buffered += chunk.toString('utf8');
+    const lines = buffered.split('\n');
+    buffered = lines.pop();
+    lines.forEach(handleEvent);
+  }
+  if (buffered) {
+    handleEvent(buffered);
+  }
+
+  return {
+    content: fullContent,
+    usage: { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens },
+    finishReason,
+    model: request.model
+  };
+};
+
+module.exports = {
+  name: 'anthropic',
+  isConfigured: () => !!process.env.ANTHROPIC_API_KEY,
+  chat,
+  streamChat,
+  toAnthropicMessages
+};
@@ -0,0 +1,132 @@
+/**
+ * Fake chat provider
+ * Deterministic, offline stand-in for tests and local development. The same
+ * request always produces the same reply and token counts, so assertions can
+ * be exact. Tests can script replies or failures with queue():
+ *
+ *   fake.queue('scripted reply');
+ *   fake.queue({ error: { status: 503, message: 'overloaded' } });
+ *   fake.queue((request) => ({ content: JSON.stringify({ ok: true }) }));
+ *
+ * Every request is recorded on `calls` for inspection.
+ */
+
+// Minimal valid payloads for the JSON features so parsers downstream see
+// the shape they expect rather than an empty object.
+const JSON_FIXTURES = {
+  grammarFeedback: {
+    overallScore: 100,
+    errors: [],
+    suggestions: [],
+    positives: ['Clear and correct.'],
+    summary: 'No errors found.'
+  },
+  recommendation: { recommendations: [], learningInsight: 'Keep going.' },
+  quizGeneration: { title: 'Practice Quiz', questions: [] },
+  translation: {
+    translation: '',
+    alternatives: [],
+    breakdown: [],
+    grammar: [],
+    idioms: [],
+    cultural: {},
+    analysis: {}
+  },
+  pronunciationFeedback: {
+    score: { overall: 100, accuracy: 100, fluency: 100, completeness: 100 },
+    wordScores: [],
+    summary: 'Great job.',
+    improvements: [],
+    strengths: []
+  }
+};
+
+/** Rough, stable token estimate: ~4 characters per token. */
+const estimateTokens = (text) => Math.ceil(String(text || '').length / 4);
+
+const messageText = (message) => (typeof message.content === 'string'
+  ? message.content
+  : (message.content || []).filter(p => p.type === 'text').map(p => p.text).join('\n'));
+
+const lastUserText = (messages) => {
+  for (let i = messages.length - 1; i >= 0; i--) {
+    if (messages[i].role === 'user') return messageText(messages[i]);
+  }
+  return '';
+};
+
+const defaultReply = (request) => {
+  const echo = lastUserText(request.messages);
+  if (request.json) {
+    return JSON.stringify({ ...(JSON_FIXTURES[request.feature] || {}), fake: true, echo: echo.slice(0, 200) });
+  }
+  return `[fake] ${echo}`;
+};
+
+/**
+ * @param {Object} [options]
+ * @param {String} [options.name='fake'] - Registry name, so tests can run two fakes in one chain
+ * @returns {Object} provider
+ */
+const createFakeProvider = ({ name = 'fake' } = {}) => {
+  const scripted = [];
+  const calls = [];
+
+  const respond = (request) => {
+    calls.push(request);
+    let next = scripted.length > 0 ? scripted.shift() : null;
+    if (typeof next === 'function') {
+      next = next(request);
+    }
+    if (next && next.error) {
+      const error = new Error(next.error.message || `${name} provider error`);
+      error.status = next.error.status;
+      throw error;
+    }
+
+    const content = typeof next === 'string'
+      ? next
+      : (next && next.content !== undefined ? next.content : defaultReply(request));
+    const inputTokens = request.messages.reduce((sum, m) => sum + estimateTokens(messageText(m)), 0);
+    const outputTokens = estimateTokens(content);
+
+    return {
+      content,
+      usage: { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens },
+      finishReason: 'stop',
+      model: request.model
+    };
+  };
+
+  const chat = async (request) => respond(request);
+
+  const streamChat = async ({ onChunk, ...request }) => {
+    const result = respond(request);
+    let fullContent = '';
+    // Split on word boundaries, keeping the whitespace with each piece
+    for (const piece of result.content.match(/\S+\s*|\s+/g) || []) {
+      fullContent += piece;
+      if (onChunk) {
+        onChunk(piece, fullContent);
+      }
+    }
+    return result;
+  };
+
+  return {
+    name,
+    isConfigured: () => true,
+    chat,
+    streamChat,
+    calls,
+    queue: (...replies) => {
+      scripted.push(...replies);
+    },
+    reset: () => {
+      scripted.length = 0;
+      calls.length = 0;
+    }
+  };
+};
+
+module.exports = { createFakeProvider, estimateTokens, JSON_FIXTURES };
@@ -0,0 +1,165 @@
+/**
+ * AI Provider Registry
+ * Holds the chat providers aiProviderService can route to, resolves the
+ * ordered provider chain for a feature, tracks provider health for
+ * failover, and prices token usage for AIUsageLog.
+ *
+ * A provider implements:
+ *   name            registry key
+ *   isConfigured()  true when credentials / base URL are present
+ *   chat(request)   → { content, usage, finishReason, model }
+ *   streamChat({ onChunk, ...request }) → same, calling onChunk(delta, full)
+ * where request = { model, messages, maxTokens, temperature, json, feature }.
+ */
+
+const { AI_PROVIDERS, AI_ROUTING, parseRoute } = require('../../config/aiConfig');
+const { createOpenAICompatibleProvider } = require('./openaiCompatible');
+const anthropic = require('./anthropic');
+const { createFakeProvider } = require('./fake');
+
+const openai = createOpenAICompatibleProvider({
+  name: 'openai',
+  clientOptions: () => (process.env.OPENAI_API_KEY
+    ? { apiKey: process.env.OPENAI_API_KEY }
+    : null),
+  streamUsage: true
+});
+
+const local = createOpenAICompatibleProvider({
+  name: 'local',
+  clientOptions: () => (AI_PROVIDERS.local.baseUrl
+    ? {
+      baseURL: AI_PROVIDERS.local.baseUrl,
+      // Ollama / llama.cpp ignore the key but the SDK requires one
+      apiKey: process.env.LOCAL_AI_API_KEY || 'local'
+    }
+    : null)
+});
+
+const fake = createFakeProvider();
+
+const providers = new Map([
+  [openai.name, openai],
+  [anthropic.name, anthropic],
+  [local.name, local],
+  [fake.name, fake]
+]);
+
+// provider name -> timestamp (ms) until which it is skipped
+const cooldowns = new Map();
+
+/**
+ * Register (or replace) a provider. Used by tests and for adding backends
+ * without touching aiProviderService.
+ * @param {Object} provider
+ */
+const registerProvider = (provider) => {
+  if (!provider || !provider.name || typeof provider.chat !== 'function') {
+    throw new Error('AI provider must have a name and a chat() function');
+  }
+  providers.set(provider.name, provider);
+};
+
+const getProvider = (name) => providers.get(name) || null;
+
+/**
+ * Ordered provider chain for a feature.
+ * Precedence: AI_PROVIDER_OVERRIDE, the degraded (over-budget) route,
+ * AI_ROUTE_<FEATURE>, AI_ROUTING.features, AI_ROUTING.default. Unknown and
+ * unconfigured providers are dropped.
+ * @param {String} feature
+ * @param {Object} [options]
+ * @param {Boolean} [options.degraded] - User is past their monthly AI budget
+ * @returns {Array<{ provider: Object, model: String }>}
+ */
+const resolveRoute = (feature, { degraded = false } = {}) => {
+  const route = AI_ROUTING.override
+    || (degraded && AI_ROUTING.degraded)
+    || parseRoute(process.env[`AI_ROUTE_${String(feature).toUpperCase()}`])
+    || AI_ROUTING.features[feature]
+    || AI_ROUTING.default;
+
+  return route
+    .map(({ provider: name, model }) => {
+      const provider = providers.get(name);
+      if (!provider || !provider.isConfigured()) return null;
+      return {
+        provider,
+        model: model || AI_PROVIDERS[name]?.models?.chat
+      };
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Put healthy providers first, keeping route order within each group, so a
+ * provider on cooldown is still tried as a last resort.
+ */
+const orderByHealth = (route, now = Date.now()) => {
+  const healthy = route.filter(r => !isCoolingDown(r.provider.name, now));
+  const cooling = route.filter(r => isCoolingDown(r.provider.name, now));
+  return [...healthy, ...cooling];
+};
+
+const isCoolingDown = (name, now = Date.now()) => (cooldowns.get(name) || 0) > now;
+
+const markUnhealthy = (name, now = Date.now()) => {
+  cooldowns.set(name, now + AI_ROUTING.cooldownMs);
+};
+
+const markHealthy = (name) => {
+  cooldowns.delete(name);
+};
+
+const resetHealth = () => {
+  cooldowns.clear();
+};
+
+/**
+ * Outage-type errors move on to the next provider: rate limits, server
+ * errors, timeouts / network failures (no status), and auth or unknown-model
+ * errors, which mean that provider is misconfigured rather than that the
+ * request is bad. Other 4xx would fail the same way everywhere.
+ * @param {Error} error
+ * @returns {Boolean}
+ */
+const isFailoverError = (error) => {
+  const status = error && error.status;
+  if (!status) return true;
+  return status === 429 || status >= 500 || status === 401 || status === 403 || status === 404;
+};
+
+/**
+ * Price a call in USD from AI_PROVIDERS[provider].pricing (per 1M tokens).
+ * Unknown providers or models cost 0.
+ * @param {String} providerName
+ * @param {String} model
+ * @param {Object} usage - { inputTokens, outputTokens }
+ * @returns {Number}
+ */
+const estimateCostUsd = (providerName, model, usage) => {
+  const pricing = AI_PROVIDERS[providerName]?.pricing || {};
+  // Dated model ids ("gpt-4o-mini-2024-07-18") fall back to their base entry
+  const key = pricing[model] ? model : Object.keys(pricing)
+    .filter(k => model && model.startsWith(`${k}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  const rate = key && pricing[key];
+  if (!rate || !usage) return 0;
+
+  const cost = ((usage.inputTokens || 0) * rate.input + (usage.outputTokens || 0) * rate.output) / 1e6;
+  return Math.round(cost * 1e6) / 1e6;
+};
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  resolveRoute,
+  orderByHealth,
+  isCoolingDown,
+  markUnhealthy,
+  markHealthy,
+  resetHealth,
+  isFailoverError,
+  estimateCostUsd,
+  providers: { openai, anthropic, local, fake }
+};
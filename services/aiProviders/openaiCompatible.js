@@ -0,0 +1,101 @@
+/**
+ * OpenAI-compatible chat provider
+ * Used for OpenAI itself and for self-hosted servers that speak the same
+ * API (Ollama, llama.cpp server, vLLM) — only the base URL, key and the
+ * streaming-usage flag differ.
+ */
+
+/**
+ * @param {Object} options
+ * @param {String} options.name - Registry name ('openai', 'local')
+ * @param {Function} options.clientOptions - () => options for `new OpenAI()`, or null when not configured
+ * @param {Boolean} [options.streamUsage] - Ask for usage on the final stream chunk
+ * @returns {Object} provider
+ */
+const createOpenAICompatibleProvider = ({ name, clientOptions, streamUsage = false }) => {
+  let client = null;
+
+  const getClient = () => {
+    if (!client) {
+      const opts = clientOptions();
+      if (!opts) {
+        throw new Error(`AI provider "${name}" is not configured`);
+      }
+      const OpenAI = require('openai');
+      client = new OpenAI(opts);
+    }
+    return client;
+  };
+
+  const buildRequest = ({ model, messages, maxTokens, temperature, json }) => {
+    const request = {
+      model,
+      messages,
+      max_tokens: maxTokens,
+      temperature
+    };
+    if (json) {
+      request.response_format = { type: 'json_object' };
+    }
+    return request;
+  };
+
+  const toUsage = (usage) => (usage
+    ? {
+      inputTokens: usage.prompt_tokens || 0,
+      outputTokens: usage.completion_tokens || 0,
+      totalTokens: usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0)
+    }
+    : null);
+
+  const chat = async (request) => {
+    const response = await getClient().chat.completions.create(buildRequest(request));
+    return {
+      content: response.choices[0].message.content,
+      usage: toUsage(response.usage),
+      finishReason: response.choices[0].finish_reason,
+      model: response.model || request.model
+    };
+  };
+
+  const streamChat = async ({ onChunk, ...request }) => {
+    const body = { ...buildRequest(request), stream: true };
+    if (streamUsage) {
+      body.stream_options = { include_usage: true };
+    }
+    const stream = await getClient().chat.completions.create(body);
+
+    let fullContent = '';
+    let usage = null;
+    let finishReason = 'stop';
+
+    for await (const chunk of stream) {
+      const choice = chunk.choices && chunk.choices[0];
+      const content = choice?.delta?.content || '';
+      if (content) {
+        fullContent += content;
+        if (onChunk) {
+          onChunk(content, fullContent);
+        }
+      }
+      if (choice?.finish_reason) {
+        finishReason = choice.finish_reason;
+      }
+      if (chunk.usage) {
+        usage = toUsage(chunk.usage);
+      }
+    }
+
+    return { content: fullContent, usage, finishReason, model: request.model };
+  };
+
+  return {
+    name,
+    isConfigured: () => !!clientOptions(),
+    getClient,
+    chat,
+    streamChat
+  };
+};
+
+module.exports = { createOpenAICompatibleProvider };
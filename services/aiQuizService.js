@@ -180,6 +180,7 @@ const generatePracticeQuiz = async (userId, options = {}) => {
     const prompt = buildQuizGenerationPrompt(quizContext);
 
     const response = await chatCompletion({
+      userId,
       messages: [{ role: 'user', content: prompt }],
       feature: 'quizGeneration',
       json: true
@@ -232,7 +233,8 @@ const generatePracticeQuiz = async (userId, options = {}) => {
       userId,
       feature: 'quizGeneration',
       tokensUsed: response.usage,
-      provider: 'openai'
+      provider: response.provider,
+      model: response.model
     });
 
     return {
@@ -69,6 +69,7 @@ const getEnhancedTranslation = async (options) => {
     });
 
     const response = await chatCompletion({
+      userId,
       messages: [
         { role: 'system', content: systemPrompt },
         { role: 'user', content: `Translate and analyze: "${text}"` }
@@ -95,7 +96,7 @@ const getEnhancedTranslation = async (options) => {
         input: response.usage.inputTokens,
         output: response.usage.outputTokens
       },
-      provider: 'openai'
+      provider: response.provider
     });
 
     // Track usage
@@ -104,7 +105,8 @@ const getEnhancedTranslation = async (options) => {
         userId,
         feature: 'translation',
         tokensUsed: response.usage,
-        provider: 'openai'
+        provider: response.provider,
+        model: response.model
       });
     }
 
@@ -144,6 +146,7 @@ const detectIdioms = async (options) => {
 
   try {
     const response = await chatCompletion({
+      userId,
       messages: [
         {
           role: 'system',
@@ -180,7 +183,8 @@ Return a JSON response:
         userId,
         feature: 'idiomDetection',
         tokensUsed: response.usage,
-        provider: 'openai'
+        provider: response.provider,
+        model: response.model
       });
     }
 
@@ -215,6 +219,7 @@ const explainGrammarDifferences = async (options) => {
 
   try {
     const response = await chatCompletion({
+      userId,
       messages: [
         {
           role: 'system',
@@ -258,7 +263,8 @@ Return a JSON response:
         userId,
         feature: 'grammarExplanation',
         tokensUsed: response.usage,
-        provider: 'openai'
+        provider: response.provider,
+        model: response.model
       });
     }
 
@@ -299,6 +305,7 @@ const getAlternativeTranslations = async (options) => {
     }
 
     const response = await chatCompletion({
+      userId,
       messages: [
         {
           role: 'system',
@@ -335,7 +342,8 @@ Return a JSON response:
         userId,
         feature: 'alternativeTranslations',
         tokensUsed: response.usage,
-        provider: 'openai'
+        provider: response.provider,
+        model: response.model
       });
     }
 
@@ -377,6 +385,7 @@ const getContextualTranslation = async (options) => {
     if (audience) contextDescription += `Target audience: ${audience}\n`;
 
     const response = await chatCompletion({
+      userId,
       messages: [
         {
           role: 'system',
@@ -419,7 +428,8 @@ Return a JSON response:
         userId,
         feature: 'contextualTranslation',
         tokensUsed: response.usage,
-        provider: 'openai'
+        provider: response.provider,
+        model: response.model
       });
     }
 
@@ -0,0 +1,339 @@
+/**
+ * Anki Package Service
+ * Reads and writes Anki `.apkg` deck exports for vocabulary import/export.
+ *
+ * An .apkg is a zip holding a SQLite collection (`collection.anki21` or the
+ * legacy `collection.anki2`, schema v11) plus a `media` manifest. We read
+ * notes (fields split on \x1f), each note's first card for SRS state and
+ * the revlog for the last review time; on export we write a single
+ * "BananaTalk" note type (Word / Translation / Pronunciation / Example /
+ * Notes) so a round trip through Anki maps back without a field mapping.
+ *
+ * Anki >= 2.1.50 "new format" exports (`collection.anki21b`, zstd) are not
+ * readable here — the user is asked to re-export with "Support older Anki
+ * versions" ticked, which every current Anki build offers.
+ */
+
+const crypto = require('crypto');
+const AdmZip = require('adm-zip');
+const initSqlJs = require('sql.js');
+const { SRS_INTERVALS } = require('../config/xpRewards');
+const { resolveFieldMapping, rowToEntry } = require('../lib/vocabCsv');
+const ErrorResponse = require('../utils/errorResponse');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Uncompressed collection cap: the upload limit is 20MB compressed, so
+// this refuses zip bombs before they are inflated into memory
+const MAX_COLLECTION_BYTES = 100 * 1024 * 1024;
+const FIELD_SEPARATOR = '\x1f';
+const EXPORT_FIELDS = ['Word', 'Translation', 'Pronunciation', 'Example', 'Notes'];
+
+let sqlPromise = null;
+const getSql = () => {
+  if (!sqlPromise) sqlPromise = initSqlJs();
+  return sqlPromise;
+};
+
+/**
+ * Strip Anki's HTML/sound markup down to plain text.
+ * @param {string} html
+ * @returns {string}
+ */
+const stripAnkiMarkup = (html) => String(html || '')
+  .replace(/\[sound:[^\]]*\]/g, '')
+  .replace(/<br\s*\/?>/gi, ' ')
+  .replace(/<[^>]*>/g, '')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&amp;/g, '&')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const escapeHtml = (s) => String(s || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * Highest SRS ladder level whose interval the card has already reached.
+ * 365+ days is level 9 (mastered), matching config/xpRewards.js.
+ */
+const levelForInterval = (ivlDays) => {
+  let level = 0;
+  for (const [lvl, days] of Object.entries(SRS_INTERVALS)) {
+    if (ivlDays >= days && days > 0) level = Number(lvl);
+  }
+  return level;
+};
+
+const queryAll = (db, sql) => {
+  const res = db.exec(sql);
+  if (!res.length) return [];
+  const { columns, values } = res[0];
+  return values.map((v) => Object.fromEntries(columns.map((c, i) => [c, v[i]])));
+};
+
+/**
+ * Map an Anki card row onto our SRS import shape (lib/vocabCsv.js `srs`).
+ * @param {Object} card - { type, queue, due, ivl, factor, reps, lapses }
+ * @param {number} crtSeconds - collection creation time (day 0 for review dues)
+ * @param {number|null} lastReviewMs - newest revlog id for the card
+ * @returns {Object|undefined}
+ */
+function cardToSrs(card, crtSeconds, lastReviewMs) {
+  if (!card || !card.reps) return undefined;
+
+  const lapses = card.lapses || 0;
+  const srs = {
+    totalReviews: card.reps,
+    incorrectReviews: lapses,
+    correctReviews: Math.max(0, card.reps - lapses),
+    easeFactor: card.factor ? Math.max(1.3, card.factor / 1000) : undefined,
+    lastReviewedAt: lastReviewMs ? new Date(lastReviewMs) : undefined,
+  };
+
+  if (card.type === 2) {
+    // Review card: `due` is days since collection creation.
+    srs.interval = Math.max(1, card.ivl || 1);
+    srs.nextReview = new Date(crtSeconds * 1000 + card.due * DAY_MS);
+    srs.srsLevel = levelForInterval(srs.interval);
+    srs.isMastered = srs.srsLevel >= 9;
+  } else {
+    // (Re)learning: `due` is an epoch timestamp in seconds.
+    srs.interval = 0;
+    srs.srsLevel = 0;
+    srs.nextReview = card.due > 1e9 ? new Date(card.due * 1000) : new Date();
+  }
+  return srs;
+}
+
+/**
+ * Parse an .apkg buffer into import rows.
+ * @param {Buffer} buffer
+ * @param {Object} [options]
+ * @param {Object} [options.mapping] - { field: noteFieldName | index }, applied to every note type
+ * @returns {Promise<{ rows: Array<{ line: number, entry?: Object, error?: string }> }>}
+ */
+async function readApkg(buffer, options = {}) {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch (err) {
+    throw new ErrorResponse('Not a valid .apkg file', 400);
+  }
+
+  const entry = zip.getEntry('collection.anki21') || zip.getEntry('collection.anki2');
+  if (!entry) {
+    throw new ErrorResponse(zip.getEntry('collection.anki21b')
+      ? 'This deck uses the newer Anki format. Re-export it with "Support older Anki versions" enabled.'
+      : 'No Anki collection found in .apkg', 400);
+  }
+
+  if (entry.header.size > MAX_COLLECTION_BYTES) {
+    throw new ErrorResponse('Anki collection is too large to import', 400);
+  }
+
+  const SQL = await getSql();
+  let db;
+  try {
+    db = new SQL.Database(new Uint8Array(entry.getData()));
+    const [col] = queryAll(db, 'SELECT crt, models FROM col LIMIT 1');
+    if (!col) {
+      throw new ErrorResponse('Anki collection is empty', 400);
+    }
+    const models = JSON.parse(col.models || '{}');
+
+    const notes = queryAll(db, 'SELECT id, mid, tags, flds FROM notes ORDER BY id');
+    // First card (lowest ord) per note carries the SRS state we import.
+    const cards = queryAll(db, 'SELECT id, nid, ord, type, queue, due, ivl, factor, reps, lapses FROM cards ORDER BY nid, ord');
+    const cardByNote = new Map();
+    for (const c of cards) if (!cardByNote.has(c.nid)) cardByNote.set(c.nid, c);
+    const lastReviewByCard = new Map(
+      queryAll(db, 'SELECT cid, MAX(id) AS last FROM revlog GROUP BY cid').map((r) => [r.cid, r.last])
+    );
+
+    const columnsByModel = new Map();
+    const rows = notes.map((note, i) => {
+      const line = i + 1;
+      const model = models[String(note.mid)];
+      const fieldNames = model && Array.isArray(model.flds)
+        ? [...model.flds].sort((a, b) => a.ord - b.ord).map((f) => f.name)
+        : [];
+      const values = String(note.flds || '').split(FIELD_SEPARATOR).map(stripAnkiMarkup);
+      const header = fieldNames.length === values.length ? fieldNames : values.map((_, idx) => `Field ${idx + 1}`);
+
+      if (!columnsByModel.has(note.mid)) {
+        columnsByModel.set(note.mid, resolveFieldMapping(header, options.mapping, { hasHeader: true }));
+      }
+      const resolved = columnsByModel.get(note.mid);
+      if (resolved.error) return { line, error: resolved.error };
+
+      const parsed = rowToEntry(values, resolved.columns);
+      if (parsed.error) return { line, error: parsed.error };
+
+      const result = { ...parsed.entry };
+      const tags = String(note.tags || '').trim().split(/\s+/).filter(Boolean);
+      if (tags.length && !result.tags) result.tags = tags.map((t) => t.slice(0, 50));
+
+      const card = cardByNote.get(note.id);
+      const srs = card ? cardToSrs(card, col.crt, lastReviewByCard.get(card.id)) : undefined;
+      if (srs) result.srs = srs;
+
+      return { line, entry: result };
+    });
+
+    return { rows };
+  } catch (err) {
+    if (err instanceof ErrorResponse) throw err;
+    // Bad zip data, not a SQLite database, or unreadable note types
+    throw new ErrorResponse('Invalid .apkg file', 400);
+  } finally {
+    if (db) db.close();
+  }
+}
+
+const SCHEMA_SQL = `
+CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null, ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null, models text not null, decks text not null, dconf text not null, tags text not null);
+CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null, usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null, flags integer not null, data text not null);
+CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null, mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null, ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null);
+CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null);
+CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+CREATE INDEX ix_notes_usn on notes (usn);
+CREATE INDEX ix_cards_usn on cards (usn);
+CREATE INDEX ix_revlog_usn on revlog (usn);
+CREATE INDEX ix_cards_nid on cards (nid);
+CREATE INDEX ix_cards_sched on cards (did, queue, due);
+CREATE INDEX ix_revlog_cid on revlog (cid);
+CREATE INDEX ix_notes_csum on notes (csum);
+`;
+
+// Anki's checksum: first 8 hex digits of sha1(sort field) as an integer.
+const fieldChecksum = (text) => parseInt(crypto.createHash('sha1').update(stripAnkiMarkup(text)).digest('hex').slice(0, 8), 16);
+
+const ankiGuid = () => crypto.randomBytes(8).toString('base64').replace(/[+/=]/g, '').slice(0, 10);
+
+/**
+ * Build an .apkg from Vocabulary docs, carrying SRS state onto the cards.
+ * @param {Array<Object>} words - lean Vocabulary docs
+ * @param {Object} [options]
+ * @param {string} [options.deckName]
+ * @param {Date} [options.now]
+ * @returns {Promise<Buffer>}
+ */
+async function buildApkg(words, options = {}) {
+  const now = options.now || new Date();
+  const nowSec = Math.floor(now.getTime() / 1000);
+  const crtDay = new Date(now);
+  crtDay.setUTCHours(0, 0, 0, 0);
+  const crt = Math.floor(crtDay.getTime() / 1000);
+
+  const modelId = 1700000000000;
+  const deckId = nowSec * 1000;
+  const deckName = options.deckName || 'BananaTalk Vocabulary';
+
+  const models = {
+    [modelId]: {
+      id: modelId,
+      name: 'BananaTalk',
+      type: 0,
+      mod: nowSec,
+      usn: -1,
+      sortf: 0,
+      did: deckId,
+      tmpls: [{
+        name: 'Card 1',
+        ord: 0,
+        qfmt: '{{Word}}<br><i>{{Pronunciation}}</i>',
+        afmt: '{{FrontSide}}<hr id=answer>{{Translation}}<br><br>{{Example}}<br>{{Notes}}',
+        did: null,
+        bqfmt: '',
+        bafmt: '',
+      }],
+      flds: EXPORT_FIELDS.map((name, ord) => ({ name, ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: [] })),
+      css: '.card { font-family: arial; font-size: 20px; text-align: center; }',
+      latexPre: '',
+      latexPost: '',
+      tags: [],
+      vers: [],
+      req: [[0, 'any', [0]]],
+    },
+  };
+  const deckTemplate = (id, name) => ({
+    id, name, desc: '', mod: nowSec, usn: -1, collapsed: false, browserCollapsed: false,
+    newToday: [0, 0], revToday: [0, 0], lrnToday: [0, 0], timeToday: [0, 0],
+    dyn: 0, conf: 1, extendNew: 10, extendRev: 50,
+  });
+  const decks = { 1: deckTemplate(1, 'Default'), [deckId]: deckTemplate(deckId, deckName) };
+  const dconf = {
+    1: {
+      id: 1, name: 'Default', mod: 0, usn: 0, maxTaken: 60, autoplay: true, timer: 0, replayq: true, dyn: false,
+      new: { delays: [1, 10], ints: [1, 4, 7], initialFactor: 2500, order: 1, perDay: 20, bury: true, separate: true },
+      rev: { perDay: 200, ease4: 1.3, fuzz: 0.05, ivlFct: 1, maxIvl: 36500, bury: true, minSpace: 1 },
+      lapse: { delays: [10], mult: 0, minInt: 1, leechFails: 8, leechAction: 0 },
+    },
+  };
+  const conf = { nextPos: words.length + 1, estTimes: true, activeDecks: [1], sortType: 'noteFld', timeLim: 0, sortBackwards: false, addToCur: true, curDeck: 1, newBury: true, newSpread: 0, dueCounts: true, curModel: String(modelId), collapseTime: 1200 };
+
+  const SQL = await getSql();
+  const db = new SQL.Database();
+  try {
+    db.run(SCHEMA_SQL);
+    db.run(
+      'INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, ?)',
+      [crt, nowSec * 1000, nowSec * 1000, JSON.stringify(conf), JSON.stringify(models), JSON.stringify(decks), JSON.stringify(dconf), '{}']
+    );
+
+    const noteStmt = db.prepare('INSERT INTO notes VALUES (?, ?, ?, ?, -1, ?, ?, ?, ?, 0, \'\')');
+    const cardStmt = db.prepare('INSERT INTO cards VALUES (?, ?, ?, 0, ?, -1, ?, ?, ?, ?, ?, ?, ?, 0, 0, 0, 0, \'\')');
+    const baseId = now.getTime();
+
+    words.forEach((w, i) => {
+      const id = baseId + i;
+      const example = Array.isArray(w.examples) && w.examples[0]
+        ? [w.examples[0].sentence, w.examples[0].translation].filter(Boolean).join(' — ')
+        : '';
+      const fields = [w.word, w.translation, w.pronunciation, example, w.notes].map(escapeHtml);
+      const tags = Array.isArray(w.tags) && w.tags.length
+        ? ` ${w.tags.map((t) => String(t).replace(/\s+/g, '_')).join(' ')} `
+        : '';
+      noteStmt.run([id, ankiGuid(), modelId, nowSec, tags, fields.join(FIELD_SEPARATOR), fields[0], fieldChecksum(fields[0])]);
+
+      const stats = w.reviewStats || {};
+      if (!stats.totalReviews) {
+        // New card, shown in export order.
+        cardStmt.run([id, id, deckId, nowSec, 0, 0, i + 1, 0, 0, 0, 0]);
+      } else {
+        const nextReview = w.nextReview ? new Date(w.nextReview).getTime() : now.getTime();
+        const due = Math.max(0, Math.round((nextReview - crt * 1000) / DAY_MS));
+        cardStmt.run([
+          id, id, deckId, nowSec,
+          2, 2, due,
+          Math.max(1, w.interval || 1),
+          Math.round((w.easeFactor || 2.5) * 1000),
+          stats.totalReviews,
+          stats.incorrectReviews || 0,
+        ]);
+      }
+    });
+    noteStmt.free();
+    cardStmt.free();
+
+    const zip = new AdmZip();
+    zip.addFile('collection.anki2', Buffer.from(db.export()));
+    zip.addFile('media', Buffer.from('{}'));
+    return zip.toBuffer();
+  } finally {
+    db.close();
+  }
+}
+
+module.exports = {
+  readApkg,
+  buildApkg,
+  cardToSrs,
+  stripAnkiMarkup,
+  EXPORT_FIELDS,
+};
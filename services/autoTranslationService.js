@@ -0,0 +1,312 @@
+/**
+ * Auto-translation of incoming chat messages.
+ *
+ * Participants opt in per conversation (PUT /conversations/:id/auto-translate).
+ * Live messages are translated after delivery and follow as a
+ * `messageTranslated` socket event, so sending never waits on a translation
+ * API. Message lists attach the cached translations to the page and send
+ * the rest the same way.
+ *
+ * Translations are stored in the shared Translation cache (sourceType
+ * 'message') through translationService, and cost the same as the manual
+ * translate button: a cache hit is free, a fresh translation uses one of
+ * the viewer's daily translations, then their coin-unlocked pool. Once both
+ * run out only cached translations are shown.
+ */
+
+const Conversation = require('../models/Conversation');
+const User = require('../models/User');
+const translationService = require('./translationService');
+const {
+  idOf,
+  isAutoTranslatable,
+  participantLanguageSettings,
+  resolveTargetLanguage,
+  AUTO_TRANSLATE_PAGE_LIMIT
+} = require('../lib/autoTranslate');
+
+/**
+ * Translate one message for a viewer, charging their quota on a cache miss.
+ * Out of quota, no provider is called at all (not even detection).
+ *
+ * @param {Object} message - { _id, message }
+ * @param {Object} viewer - User document (canTranslate, incrementTranslationCount)
+ * @param {string} targetLanguage
+ * @param {Object} [options]
+ * @param {boolean} [options.cacheOnly] - never translate afresh
+ * @returns {Promise<{ translation?: Object, skipped?: string }>}
+ *   skipped is 'same_language', 'limit_reached' or 'not_cached'
+ */
+const translateForViewer = async (message, viewer, targetLanguage, { cacheOnly = false } = {}) => {
+  const cached = await translationService.getCachedTranslation(message._id, 'message', targetLanguage);
+  if (cached) {
+    return { translation: cached };
+  }
+  if (cacheOnly) {
+    return { skipped: 'not_cached' };
+  }
+
+  if (!viewer.canTranslate().allowed) {
+    return { skipped: 'limit_reached' };
+  }
+
+  const sourceLanguage = await translationService.detectLanguage(message.message);
+  if (sourceLanguage === targetLanguage) {
+    return { skipped: 'same_language' };
+  }
+
+  const translation = await translationService.getOrCreateTranslation(
+    message._id,
+    'message',
+    message.message,
+    targetLanguage,
+    sourceLanguage
+  );
+  if (!translation.cached) {
+    await viewer.incrementTranslationCount();
+  }
+
+  return { translation };
+};
+
+/**
+ * Shape sent to clients
+ * @param {Object} translation
+ * @returns {Object}
+ */
+const toAutoTranslation = (translation) => ({
+  language: translation.language,
+  sourceLanguage: translation.sourceLanguage || null,
+  translatedText: translation.translatedText,
+  cached: Boolean(translation.cached)
+});
+
+// Background translations under way: `${viewerId}:${messageId}:${language}`.
+// A page fetched twice in a row doesn't translate (or charge) twice.
+const inFlight = new Set();
+
+/**
+ * Translate queued messages for a viewer, one at a time, and emit each as
+ * `messageTranslated`. Stops at the quota (emitting
+ * `autoTranslateLimitReached`) or the first provider failure. Never throws.
+ *
+ * @param {Object} io
+ * @param {Object} viewer - User document
+ * @param {Object[]} queue - [{ message, conversationId, targetLanguage }], newest first
+ */
+const translateQueued = async (io, viewer, queue) => {
+  const room = `user_${viewer._id}`;
+  const keyOf = ({ message, targetLanguage }) => `${viewer._id}:${message._id}:${targetLanguage}`;
+  const items = queue.filter(item => !inFlight.has(keyOf(item)));
+  items.forEach(item => inFlight.add(keyOf(item)));
+
+  try {
+    for (const { message, conversationId, targetLanguage } of items) {
+      const result = await translateForViewer(message, viewer, targetLanguage);
+      const messageId = String(message._id);
+      if (result.skipped === 'limit_reached') {
+        io.to(room).emit('autoTranslateLimitReached', { messageId, conversationId });
+        return;
+      }
+      if (result.translation) {
+        io.to(room).emit('messageTranslated', {
+          messageId,
+          conversationId,
+          autoTranslation: toAutoTranslation(result.translation)
+        });
+      }
+    }
+  } catch (error) {
+    // Provider down: leave the rest untranslated
+    console.error('Auto-translation failed:', error.message);
+  } finally {
+    items.forEach(item => inFlight.delete(keyOf(item)));
+  }
+};
+
+/**
+ * Cached translations for the viewer's incoming messages in one
+ * conversation, and the uncached ones left to translate (newest first).
+ * @returns {Promise<{ autoTranslate: Object|null, byId: Map, queue: Object[] }>}
+ */
+const collectConversation = async (messages, viewer, conversation) => {
+  const setting = conversation ? participantLanguageSettings(conversation, viewer._id) : null;
+  if (!setting || !setting.autoTranslate) {
+    return { autoTranslate: null, byId: new Map(), queue: [] };
+  }
+
+  const targetLanguage = resolveTargetLanguage(setting, viewer);
+  const autoTranslate = { enabled: true, translateTo: targetLanguage, limitReached: false, pending: 0 };
+  if (!targetLanguage) {
+    return { autoTranslate, byId: new Map(), queue: [] };
+  }
+
+  const incoming = messages.filter(message => isAutoTranslatable(message, viewer._id));
+  const cached = await Promise.all(incoming.map(message => (
+    translationService.getCachedTranslation(message._id, 'message', targetLanguage)
+  )));
+
+  const byId = new Map();
+  const queue = [];
+  const conversationId = conversation._id ? String(conversation._id) : null;
+  incoming.forEach((message, i) => {
+    if (cached[i]) {
+      byId.set(String(message._id), toAutoTranslation(cached[i]));
+    } else {
+      queue.unshift({ message, conversationId, targetLanguage });
+    }
+  });
+
+  return { autoTranslate, byId, queue };
+};
+
+const withTranslations = (messages, byId) => messages.map(message => (
+  byId.has(String(message._id))
+    ? { ...message, autoTranslation: byId.get(String(message._id)) }
+    : message
+));
+
+// Start translating up to AUTO_TRANSLATE_PAGE_LIMIT queued messages after
+// the response; returns how many were queued, or -1 when out of quota.
+const startQueue = (io, viewer, queue) => {
+  if (!queue.length) return 0;
+  if (!viewer.canTranslate().allowed) return -1;
+  if (!io) return 0;
+  const batch = queue.slice(0, AUTO_TRANSLATE_PAGE_LIMIT);
+  setImmediate(() => translateQueued(io, viewer, batch));
+  return batch.length;
+};
+
+/**
+ * Attach `autoTranslation` to a page of messages for the viewer, if they
+ * turned auto-translation on in this conversation. Only cached translations
+ * are attached, so the page never waits on the provider; uncached ones are
+ * translated afterwards, newest first and at most AUTO_TRANSLATE_PAGE_LIMIT
+ * per page, and follow as `messageTranslated` events.
+ *
+ * @param {Object[]} messages - lean messages, oldest first
+ * @param {Object} viewer - User document
+ * @param {Object|null} conversation - lean or document
+ * @param {Object} [options]
+ * @param {Object} [options.io] - without it nothing is queued
+ * @returns {Promise<{ messages: Object[], autoTranslate: Object|null }>}
+ */
+const attachAutoTranslations = async (messages, viewer, conversation, { io } = {}) => {
+  const { autoTranslate, byId, queue } = await collectConversation(messages, viewer, conversation);
+  if (!autoTranslate) {
+    return { messages, autoTranslate: null };
+  }
+
+  const queued = startQueue(io, viewer, queue);
+  autoTranslate.limitReached = queued < 0;
+  autoTranslate.pending = Math.max(queued, 0);
+
+  return { messages: withTranslations(messages, byId), autoTranslate };
+};
+
+/**
+ * attachAutoTranslations for a list that spans several 1:1 chats (a user's
+ * inbox): each message the viewer received follows their setting in that
+ * chat. One background queue for the whole list, newest first.
+ *
+ * @param {Object[]} messages - lean messages with createdAt
+ * @param {Object} viewer - User document
+ * @param {Object} [options]
+ * @param {Object} [options.io]
+ * @returns {Promise<Object[]>}
+ */
+const attachInboxAutoTranslations = async (messages, viewer, { io } = {}) => {
+  const viewerId = String(viewer._id);
+  const byPartner = new Map();
+  for (const message of messages) {
+    if (idOf(message.receiver) !== viewerId || !isAutoTranslatable(message, viewerId)) continue;
+    const partnerId = idOf(message.sender);
+    if (!byPartner.has(partnerId)) byPartner.set(partnerId, []);
+    byPartner.get(partnerId).push(message);
+  }
+  if (!byPartner.size) return messages;
+
+  const conversations = await Conversation.find({
+    participants: { $all: [viewer._id], $in: [...byPartner.keys()] },
+    isGroup: false
+  }).select('participants languageSettings userLanguageSettings').lean();
+
+  const byId = new Map();
+  const queue = [];
+  for (const conversation of conversations) {
+    const partnerId = (conversation.participants || []).map(String).find(id => id !== viewerId);
+    const received = byPartner.get(partnerId);
+    if (!received || conversation.participants.length !== 2) continue;
+
+    const oldestFirst = [...received].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    const collected = await collectConversation(oldestFirst, viewer, conversation);
+    collected.byId.forEach((value, key) => byId.set(key, value));
+    queue.push(...collected.queue);
+  }
+
+  queue.sort((a, b) => new Date(b.message.createdAt) - new Date(a.message.createdAt));
+  startQueue(io, viewer, queue);
+
+  return withTranslations(messages, byId);
+};
+
+/**
+ * Translate a just-delivered direct message for its receiver and emit
+ * `messageTranslated` to them. Emits `autoTranslateLimitReached` instead
+ * when their quota is used up. Never throws.
+ *
+ * @param {Object} params
+ * @param {Object} params.io
+ * @param {Object} params.message - the saved Message
+ * @param {string} params.receiverId
+ * @param {Object|null} [params.conversation] - the DM, if already loaded
+ * @returns {Promise<Object|null>} the autoTranslation sent, if any
+ */
+const translateIncoming = async ({ io, message, receiverId, conversation = null }) => {
+  try {
+    if (!isAutoTranslatable(message, receiverId)) return null;
+
+    const conv = conversation || await Conversation.findOne({
+      participants: { $all: [message.sender, receiverId], $size: 2 },
+      isGroup: false
+    }).select('languageSettings userLanguageSettings').lean();
+    if (!conv) return null;
+
+    const setting = participantLanguageSettings(conv, receiverId);
+    if (!setting.autoTranslate) return null;
+
+    const receiver = await User.findById(receiverId);
+    const targetLanguage = resolveTargetLanguage(setting, receiver);
+    if (!receiver || !targetLanguage) return null;
+
+    const result = await translateForViewer(message, receiver, targetLanguage);
+    const room = `user_${receiverId}`;
+
+    if (result.skipped === 'limit_reached') {
+      io.to(room).emit('autoTranslateLimitReached', {
+        messageId: message._id.toString(),
+        conversationId: conv._id.toString()
+      });
+      return null;
+    }
+    if (!result.translation) return null;
+
+    const autoTranslation = toAutoTranslation(result.translation);
+    io.to(room).emit('messageTranslated', {
+      messageId: message._id.toString(),
+      conversationId: conv._id.toString(),
+      autoTranslation
+    });
+    return autoTranslation;
+  } catch (error) {
+    console.error('Auto-translation failed:', error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  translateForViewer,
+  attachAutoTranslations,
+  attachInboxAutoTranslations,
+  translateIncoming
+};
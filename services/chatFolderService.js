@@ -0,0 +1,201 @@
+/**
+ * Smart folders for the chat list.
+ *
+ * A folder is a saved rule set (models/ChatFolder.js). Listing a folder
+ * turns its rules into Mongo conditions for the ordinary chat-list query
+ * (lib/conversationListQuery.js), so the page, count and skip come from
+ * one query. The language and corrections rules depend on other
+ * collections; they are resolved here to the ids of the caller's chat
+ * partners first. Both lookups are bounded by the caller's own chats and
+ * messages.
+ */
+
+const ChatFolder = require('../models/ChatFolder');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const ErrorResponse = require('../utils/errorResponse');
+const { toIso } = require('../utils/languageCodes');
+const {
+  buildFolderConditions,
+  normalizeFolderRules,
+  MAX_FOLDERS_PER_USER,
+  MAX_FOLDER_NAME_LENGTH
+} = require('../lib/conversationListQuery');
+
+const sameId = (a, b) => String(a) === String(b);
+
+/**
+ * Validate name/emoji/rules from a request body
+ * @param {Object} body
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - update: only validate given fields
+ * @returns {Object} fields to save
+ */
+const folderFields = (body = {}, { partial = false } = {}) => {
+  const fields = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > MAX_FOLDER_NAME_LENGTH) {
+      throw new ErrorResponse(`Folder name must be 1-${MAX_FOLDER_NAME_LENGTH} characters`, 400);
+    }
+    fields.name = name;
+  }
+
+  if (body.emoji !== undefined) {
+    if (body.emoji !== null && (typeof body.emoji !== 'string' || body.emoji.length > 16)) {
+      throw new ErrorResponse('emoji must be a short string', 400);
+    }
+    fields.emoji = body.emoji || null;
+  }
+
+  if (body.rules !== undefined || !partial) {
+    const { error, rules } = normalizeFolderRules(body.rules);
+    if (error) {
+      throw new ErrorResponse(error, 400);
+    }
+    fields.rules = rules;
+  }
+
+  if (body.position !== undefined) {
+    if (!Number.isInteger(body.position) || body.position < 0) {
+      throw new ErrorResponse('position must be a non-negative integer', 400);
+    }
+    fields.position = body.position;
+  }
+
+  return fields;
+};
+
+/**
+ * @param {string} userId
+ * @returns {Promise<Object[]>}
+ */
+const listFolders = (userId) => ChatFolder.find({ user: userId })
+  .sort({ position: 1, createdAt: 1 })
+  .lean();
+
+/**
+ * @param {string} userId
+ * @param {Object} body - { name, emoji, rules, position }
+ * @returns {Promise<Object>}
+ */
+const createFolder = async (userId, body) => {
+  const fields = folderFields(body);
+
+  const count = await ChatFolder.countDocuments({ user: userId });
+  if (count >= MAX_FOLDERS_PER_USER) {
+    throw new ErrorResponse(`You can have at most ${MAX_FOLDERS_PER_USER} folders`, 400);
+  }
+
+  return ChatFolder.create({
+    position: count,
+    ...fields,
+    user: userId
+  });
+};
+
+/**
+ * @param {string} userId
+ * @param {string} folderId
+ * @param {Object} body
+ * @returns {Promise<Object>}
+ */
+const updateFolder = async (userId, folderId, body) => {
+  const fields = folderFields(body, { partial: true });
+
+  const folder = await ChatFolder.findOneAndUpdate(
+    { _id: folderId, user: userId },
+    { $set: fields },
+    { new: true, runValidators: true }
+  );
+  if (!folder) {
+    throw new ErrorResponse('Folder not found', 404);
+  }
+  return folder;
+};
+
+/**
+ * @param {string} userId
+ * @param {string} folderId
+ * @returns {Promise<void>}
+ */
+const deleteFolder = async (userId, folderId) => {
+  const result = await ChatFolder.deleteOne({ _id: folderId, user: userId });
+  if (!result.deletedCount) {
+    throw new ErrorResponse('Folder not found', 404);
+  }
+};
+
+/**
+ * Ids of the caller's 1:1 partners whose native language is one of `languages`
+ * @param {string} userId
+ * @param {string[]} languages - ISO 639-1
+ * @returns {Promise<Array>}
+ */
+const partnersSpeaking = async (userId, languages) => {
+  const participantIds = await Conversation.distinct('participants', {
+    participants: userId,
+    isGroup: { $ne: true },
+    roomType: { $nin: ['hub', 'topic'] },
+    deletedBy: { $ne: userId }
+  });
+  const partnerIds = participantIds.filter(id => !sameId(id, userId));
+  if (partnerIds.length === 0) return [];
+
+  // native_language holds names ('Japanese') and codes ('ja') alike
+  const partners = await User.find({ _id: { $in: partnerIds } })
+    .select('native_language')
+    .lean();
+  return partners
+    .filter(partner => languages.includes(toIso(partner.native_language)))
+    .map(partner => partner._id);
+};
+
+/**
+ * Ids of the caller's partners with a corrected message between them
+ * @param {string} userId
+ * @returns {Promise<Array>}
+ */
+const partnersWithCorrections = async (userId) => {
+  const corrected = { 'corrections.0': { $exists: true }, isDeleted: { $ne: true } };
+  const [receivers, senders] = await Promise.all([
+    Message.distinct('receiver', { sender: userId, ...corrected }),
+    Message.distinct('sender', { receiver: userId, ...corrected })
+  ]);
+  return [...receivers, ...senders].filter(id => id && !sameId(id, userId));
+};
+
+/**
+ * Mongo conditions for one of the caller's folders
+ * @param {string} userId
+ * @param {string} folderId
+ * @param {Date} [now]
+ * @returns {Promise<{ folder: Object, conditions: Object[] }>}
+ */
+const getFolderConditions = async (userId, folderId, now = new Date()) => {
+  const folder = await ChatFolder.findOne({ _id: folderId, user: userId }).lean();
+  if (!folder) {
+    throw new ErrorResponse('Folder not found', 404);
+  }
+
+  const { rules } = folder;
+  const [languagePartnerIds, correctionPartnerIds] = await Promise.all([
+    rules.languages && rules.languages.length ? partnersSpeaking(userId, rules.languages) : [],
+    rules.hasCorrections ? partnersWithCorrections(userId) : []
+  ]);
+
+  return {
+    folder,
+    conditions: buildFolderConditions(userId, rules, { now, languagePartnerIds, correctionPartnerIds })
+  };
+};
+
+module.exports = {
+  listFolders,
+  createFolder,
+  updateFolder,
+  deleteFolder,
+  getFolderConditions
+};
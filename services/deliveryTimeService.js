@@ -0,0 +1,216 @@
+/**
+ * Delivery Time Service
+ * Sends engagement pushes (re-engagement, SRS review, streak reminders) at
+ * each user's own best hour instead of one burst at a fixed KST time.
+ *
+ * - learnOpenTimes (daily) stores each user's preferred local hour from
+ *   when they opened notifications (Notification.clickedAt, see
+ *   POST /notifications/mark-opened/:notificationId)
+ * - planSends is called by the daily jobs with the users who qualify and
+ *   plans one PlannedNotification per user at their hour
+ *   (lib/deliveryTime.js planSendAt), so sends spread across the day
+ * - dispatchDue (jobs/notificationDeliveryJob.js) claims due plans
+ *   atomically and hands each to the sender registered for its kind,
+ *   which re-checks that the user still qualifies
+ */
+
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const PlannedNotification = require('../models/PlannedNotification');
+const deliveryConfig = require('../config/notificationDelivery');
+const { LOOKBACK_DAYS, DEFAULT_TIMEZONE, preferredHour, planSendAt } = require('../lib/deliveryTime');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DISPATCH_BATCH = 200;
+const WRITE_BATCH = 500;
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+// A plan that couldn't go out this long after its time (the app was down)
+// is dropped; the next daily run plans again
+const MAX_LATENESS_MS = 2 * 60 * 60 * 1000;
+// Users planned this recently aren't planned again, so a second run of a
+// daily job (or a second instance) doesn't double up
+const REPLAN_AFTER_MS = 20 * 60 * 60 * 1000;
+
+const senders = new Map(); // kind -> async (userId, { now }) => boolean
+
+/**
+ * Set how planned pushes of a kind are sent
+ * @param {string} kind
+ * @param {Function} sender - async (userId, { now }) => whether it was sent
+ */
+function registerSender(kind, sender) {
+  senders.set(kind, sender);
+}
+
+/**
+ * Learn every user's preferred hour from their opens in the last
+ * LOOKBACK_DAYS; users without enough opens go back to the defaults
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<{ learned: number }>}
+ */
+const learnOpenTimes = async ({ now = new Date() } = {}) => {
+  const since = new Date(now.getTime() - LOOKBACK_DAYS * DAY_MS);
+
+  const rows = await Notification.aggregate([
+    { $match: { clicked: true, clickedAt: { $gte: since } } },
+    {
+      $lookup: {
+        from: 'users',
+        let: { id: '$userId' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$_id', '$$id'] } } },
+          { $project: { timezone: '$quietHours.timezone' } }
+        ],
+        as: 'user'
+      }
+    },
+    { $unwind: '$user' },
+    {
+      $group: {
+        _id: {
+          user: '$userId',
+          hour: {
+            $hour: { date: '$clickedAt', timezone: { $ifNull: ['$user.timezone', DEFAULT_TIMEZONE] } }
+          }
+        },
+        count: { $sum: 1 }
+      }
+    },
+    { $group: { _id: '$_id.user', hours: { $push: { hour: '$_id.hour', count: '$count' } } } }
+  ]).allowDiskUse(true);
+
+  const ops = rows.map(row => {
+    const counts = new Array(24).fill(0);
+    for (const { hour, count } of row.hours) counts[hour] = count;
+    return {
+      updateOne: {
+        filter: { _id: row._id },
+        update: {
+          $set: {
+            'notificationTiming.preferredHour': preferredHour(counts),
+            'notificationTiming.samples': counts.reduce((sum, n) => sum + n, 0),
+            'notificationTiming.learnedAt': now
+          }
+        }
+      }
+    };
+  });
+  for (let i = 0; i < ops.length; i += WRITE_BATCH) {
+    await User.bulkWrite(ops.slice(i, i + WRITE_BATCH), { ordered: false });
+  }
+
+  // No opens left in the window: forget the old hour
+  await User.updateMany(
+    { 'notificationTiming.preferredHour': { $ne: null }, 'notificationTiming.learnedAt': { $lt: now } },
+    { $set: { 'notificationTiming.preferredHour': null, 'notificationTiming.samples': 0, 'notificationTiming.learnedAt': now } }
+  );
+
+  return { learned: ops.length };
+};
+
+/**
+ * Plan a push of a kind for each user at their own time
+ * @param {string} kind - a config/notificationDelivery.js key
+ * @param {Array<string|ObjectId>} userIds - users who qualify now
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<{ planned: number }>}
+ */
+const planSends = async (kind, userIds, { now = new Date() } = {}) => {
+  const config = deliveryConfig[kind];
+  if (!config) throw new Error(`Unknown planned notification kind: ${kind}`);
+  if (!userIds.length) return { planned: 0 };
+
+  const recent = await PlannedNotification.find({
+    kind,
+    user: { $in: userIds },
+    $or: [
+      { status: { $in: ['pending', 'sending'] } },
+      { createdAt: { $gt: new Date(now.getTime() - REPLAN_AFTER_MS) } }
+    ]
+  }).distinct('user');
+  const recentSet = new Set(recent.map(String));
+
+  const users = await User.find({ _id: { $in: userIds.filter(id => !recentSet.has(String(id))) } })
+    .select('quietHours notificationTiming')
+    .lean();
+
+  const ops = users.map(user => ({
+    updateOne: {
+      filter: { user: user._id, kind, status: 'pending' },
+      update: { $setOnInsert: { sendAt: planSendAt({ user, kind, config, now }) } },
+      upsert: true
+    }
+  }));
+
+  let planned = 0;
+  for (let i = 0; i < ops.length; i += WRITE_BATCH) {
+    try {
+      const result = await PlannedNotification.bulkWrite(ops.slice(i, i + WRITE_BATCH), { ordered: false });
+      planned += result.upsertedCount;
+    } catch (err) {
+      // Another planner got there first for some users
+      if (err.code !== 11000) throw err;
+      planned += (err.result && err.result.upsertedCount) || 0;
+    }
+  }
+
+  return { planned };
+};
+
+/**
+ * Send every plan whose time has come
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<{ sent: number, skipped: number, failed: number }>}
+ */
+const dispatchDue = async ({ now = new Date() } = {}) => {
+  const counts = { sent: 0, skipped: 0, failed: 0 };
+  const staleBefore = new Date(now.getTime() - STALE_CLAIM_MS);
+
+  const expired = await PlannedNotification.updateMany(
+    { status: 'pending', sendAt: { $lt: new Date(now.getTime() - MAX_LATENESS_MS) } },
+    { $set: { status: 'skipped' } }
+  );
+  counts.skipped += expired.modifiedCount || 0;
+
+  for (let i = 0; i < DISPATCH_BATCH; i++) {
+    const plan = await PlannedNotification.findOneAndUpdate(
+      {
+        sendAt: { $lte: now },
+        $or: [
+          { status: 'pending' },
+          { status: 'sending', claimedAt: { $lt: staleBefore } }
+        ]
+      },
+      { $set: { status: 'sending', claimedAt: now } },
+      { new: true, sort: { sendAt: 1 } }
+    );
+    if (!plan) break;
+
+    try {
+      const sender = senders.get(plan.kind);
+      if (!sender) throw new Error(`no sender for ${plan.kind}`);
+      const sent = await sender(plan.user, { now });
+      await PlannedNotification.updateOne(
+        { _id: plan._id },
+        { $set: sent ? { status: 'sent', sentAt: new Date() } : { status: 'skipped' } }
+      );
+      counts[sent ? 'sent' : 'skipped'] += 1;
+    } catch (err) {
+      console.error(`[notificationDelivery] ${plan.kind} for ${plan.user} failed:`, err.message);
+      await PlannedNotification.updateOne({ _id: plan._id }, { $set: { status: 'failed' } });
+      counts.failed += 1;
+    }
+  }
+
+  return counts;
+};
+
+module.exports = {
+  registerSender,
+  learnOpenTimes,
+  planSends,
+  dispatchDue
+};
@@ -0,0 +1,241 @@
+/**
+ * E2E Key Service
+ * Device key registry for end-to-end encrypted secret chats, and the
+ * server-side rules that keep secret chats ciphertext-only.
+ *
+ * The server is a key directory and a relay: devices publish public keys
+ * (models/DeviceKey.js), senders fetch prekey bundles to open a session,
+ * and messages in a secret conversation carry only a per-device
+ * ciphertext envelope (lib/e2eEnvelope.js). Anything that would need the
+ * plaintext — translation, TTS, corrections, search, push previews — is
+ * refused or skipped for those messages.
+ */
+
+const DeviceKey = require('../models/DeviceKey');
+const Conversation = require('../models/Conversation');
+const ErrorResponse = require('../utils/errorResponse');
+const { checkDeviceRegistration, checkPreKeys } = require('../lib/e2eEnvelope');
+
+// Devices per user that may hold keys; older devices must be removed first
+const MAX_DEVICES_PER_USER = 10;
+// One-time prekeys kept per device; uploads beyond this are rejected
+const MAX_ONE_TIME_PREKEYS = 200;
+
+/**
+ * Register or rotate a device's keys. Re-registering replaces the identity
+ * key, signed prekey and one-time prekeys (a reinstall generates new ones).
+ * @param {string} userId
+ * @param {string} deviceId
+ * @param {Object} keys - see lib/e2eEnvelope.js checkDeviceRegistration()
+ * @returns {Promise<Object>} the device record, without one-time prekeys
+ */
+const registerDevice = async (userId, deviceId, keys) => {
+  const error = checkDeviceRegistration(keys);
+  if (error) {
+    throw new ErrorResponse(error, 400, 'E2E_INVALID_KEYS');
+  }
+
+  const existing = await DeviceKey.exists({ user: userId, deviceId });
+  if (!existing) {
+    const count = await DeviceKey.countDocuments({ user: userId });
+    if (count >= MAX_DEVICES_PER_USER) {
+      throw new ErrorResponse(`At most ${MAX_DEVICES_PER_USER} devices can hold secret chat keys`, 409, 'E2E_TOO_MANY_DEVICES');
+    }
+  }
+
+  const device = await DeviceKey.findOneAndUpdate(
+    { user: userId, deviceId },
+    {
+      $set: {
+        identityKey: keys.identityKey,
+        registrationId: keys.registrationId || 0,
+        signedPreKey: {
+          keyId: keys.signedPreKey.keyId,
+          publicKey: keys.signedPreKey.publicKey,
+          signature: keys.signedPreKey.signature
+        },
+        oneTimePreKeys: (keys.preKeys || []).map(({ keyId, publicKey }) => ({ keyId, publicKey })),
+        lastSeenAt: new Date()
+      }
+    },
+    { upsert: true, new: true, runValidators: true, projection: { oneTimePreKeys: 0 } }
+  ).lean();
+
+  return { ...device, preKeyCount: (keys.preKeys || []).length };
+};
+
+/**
+ * Top up a device's one-time prekeys. Key ids already stored are skipped.
+ * @param {string} userId
+ * @param {string} deviceId
+ * @param {Array<{ keyId: number, publicKey: string }>} preKeys
+ * @returns {Promise<number>} prekeys now available
+ */
+const addPreKeys = async (userId, deviceId, preKeys) => {
+  const error = checkPreKeys(preKeys);
+  if (error) {
+    throw new ErrorResponse(error, 400, 'E2E_INVALID_KEYS');
+  }
+
+  const device = await DeviceKey.findOne({ user: userId, deviceId }).select('oneTimePreKeys.keyId').lean();
+  if (!device) {
+    throw new ErrorResponse('Device is not registered', 404);
+  }
+
+  const known = new Set(device.oneTimePreKeys.map(k => k.keyId));
+  const fresh = preKeys
+    .filter(k => !known.has(k.keyId))
+    .map(({ keyId, publicKey }) => ({ keyId, publicKey }));
+  if (device.oneTimePreKeys.length + fresh.length > MAX_ONE_TIME_PREKEYS) {
+    throw new ErrorResponse(`A device can hold at most ${MAX_ONE_TIME_PREKEYS} prekeys`, 400, 'E2E_INVALID_KEYS');
+  }
+
+  if (fresh.length > 0) {
+    await DeviceKey.updateOne(
+      { user: userId, deviceId },
+      { $push: { oneTimePreKeys: { $each: fresh } }, $set: { lastSeenAt: new Date() } }
+    );
+  }
+  return device.oneTimePreKeys.length + fresh.length;
+};
+
+/**
+ * One-time prekeys left on a device, so the app knows when to top up.
+ * @param {string} userId
+ * @param {string} deviceId
+ * @returns {Promise<number>}
+ */
+const preKeyCount = async (userId, deviceId) => {
+  const device = await DeviceKey.findOne({ user: userId, deviceId }).select('oneTimePreKeys.keyId').lean();
+  if (!device) {
+    throw new ErrorResponse('Device is not registered', 404);
+  }
+  return device.oneTimePreKeys.length;
+};
+
+/**
+ * Forget a device's keys (sign-out, lost phone).
+ * @param {string} userId
+ * @param {string} deviceId
+ * @returns {Promise<boolean>} whether a device was removed
+ */
+const removeDevice = async (userId, deviceId) => {
+  const result = await DeviceKey.deleteOne({ user: userId, deviceId });
+  return result.deletedCount > 0;
+};
+
+/**
+ * Prekey bundles for every device of a user. Each device's oldest
+ * one-time prekey is claimed atomically and removed, so no two senders
+ * open a session with the same one. A device with none left returns its
+ * signed prekey only (X3DH still works, with weaker forward secrecy).
+ * @param {string} userId
+ * @returns {Promise<Array<Object>>}
+ */
+const getBundles = async (userId) => {
+  const devices = await DeviceKey.find({ user: userId }).select('_id').lean();
+
+  const bundles = await Promise.all(devices.map(async ({ _id }) => {
+    // Returns the document as it was before the $pop, sliced to the claimed key
+    const device = await DeviceKey.findOneAndUpdate(
+      { _id },
+      { $pop: { oneTimePreKeys: -1 } },
+      { new: false, projection: { oneTimePreKeys: { $slice: 1 } } }
+    ).lean();
+    if (!device) return null;
+    return {
+      deviceId: device.deviceId,
+      registrationId: device.registrationId,
+      identityKey: device.identityKey,
+      signedPreKey: device.signedPreKey,
+      preKey: device.oneTimePreKeys?.[0] || null
+    };
+  }));
+
+  return bundles.filter(Boolean);
+};
+
+/**
+ * Refuse a bundle claim unless the requester already knows the target: it
+ * is themselves, one follows the other, or they share a 1:1 chat. Each claim
+ * burns a one-time prekey, so strangers must not be able to drain them.
+ * @param {Object} requester - the authenticated user document
+ * @param {string} targetId
+ * @throws {ErrorResponse} 403 E2E_NOT_CONNECTED
+ */
+const assertCanClaimBundles = async (requester, targetId) => {
+  const requesterId = String(requester._id);
+  if (requesterId === String(targetId)) return;
+  const follows = [...(requester.following || []), ...(requester.followers || [])]
+    .some(id => String(id) === String(targetId));
+  if (follows) return;
+  const chatted = await Conversation.exists({
+    participants: { $all: [requesterId, targetId], $size: 2 },
+    isGroup: false
+  });
+  if (!chatted) {
+    throw new ErrorResponse('You can only start a secret chat with people you follow, who follow you or you have chatted with', 403, 'E2E_NOT_CONNECTED');
+  }
+};
+
+/**
+ * Whether a user has any device that can take part in a secret chat.
+ * @param {string} userId
+ * @returns {Promise<boolean>}
+ */
+const hasDevices = async (userId) => Boolean(await DeviceKey.exists({ user: userId }));
+
+/**
+ * Whether two users share a secret 1:1 conversation.
+ * @param {string} userA
+ * @param {string} userB
+ * @returns {Promise<boolean>}
+ */
+const isSecretBetween = async (userA, userB) => {
+  if (!userA || !userB) return false;
+  return Boolean(await Conversation.exists({
+    participants: { $all: [userA, userB], $size: 2 },
+    isGroup: false,
+    isSecret: true
+  }));
+};
+
+/**
+ * Refuse a plaintext send between two users who share a secret chat: only
+ * ciphertext goes there, whichever endpoint it comes through.
+ * @param {string} sender
+ * @param {string} receiver
+ * @throws {ErrorResponse} 403 SECRET_CHAT_E2E_ONLY
+ */
+const assertPlaintextAllowed = async (sender, receiver) => {
+  if (await isSecretBetween(sender, receiver)) {
+    throw new ErrorResponse('This is a secret chat; send an end-to-end encrypted message instead', 403, 'SECRET_CHAT_E2E_ONLY');
+  }
+};
+
+/**
+ * Refuse features that would need the plaintext of an encrypted message.
+ * @param {Object} message - Message document or lean object
+ * @param {string} action - what was asked for, for the error text
+ * @throws {ErrorResponse} 403 E2E_ENCRYPTED
+ */
+const assertNotEncrypted = (message, action) => {
+  if (message && message.isEncrypted) {
+    throw new ErrorResponse(`Cannot ${action} an end-to-end encrypted message`, 403, 'E2E_ENCRYPTED');
+  }
+};
+
+module.exports = {
+  registerDevice,
+  addPreKeys,
+  preKeyCount,
+  removeDevice,
+  getBundles,
+  assertCanClaimBundles,
+  hasDevices,
+  isSecretBetween,
+  assertPlaintextAllowed,
+  assertNotEncrypted,
+  MAX_DEVICES_PER_USER,
+  MAX_ONE_TIME_PREKEYS
+};
@@ -187,6 +187,33 @@ exports.sendNewFollowerEmail = async (user, followerName, followerImage) => {
   }
 };
 
+/**
+ * Email a notification the user turned the email channel on for
+ * (notificationService.send)
+ */
+exports.sendNotificationEmail = async (user, title, body) => {
+  try {
+    // Check if user has email notifications enabled
+    if (user.privacySettings?.emailNotifications === false) {
+      return false;
+    }
+
+    const locale = resolveEmailLocale(user);
+    const template = templates.notificationEmail(user.name, title, body, locale);
+    await sendEmail({
+      email: user.email,
+      subject: template.subject,
+      message: template.text,
+      html: template.html
+    });
+    console.log(`✅ Notification email sent to ${user.email}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ Failed to send notification email to ${user.email}:`, error);
+    return false;
+  }
+};
+
 /**
  * Send new message notification (for inactive users)
  */
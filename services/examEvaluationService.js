@@ -19,12 +19,14 @@ const MAX_CHARS = 5000;
  * @param {String} opts.essay        The user's answer text.
  * @param {String} [opts.rubric]     Rubric criteria comma-separated.
  * @param {Number} [opts.targetBand] Target band score (default 6).
+ * @param {String} [opts.userId]     User being evaluated; their monthly AI budget applies.
  * @returns {Promise<{score:Number, feedback:String, strengths:String[], improvements:String[]}>}
  */
 async function evaluateEssay({
   essay,
   rubric = 'grammar, vocabulary, coherence, task response',
   targetBand = 6,
+  userId,
 }) {
   if (!essay || essay.trim().length < MIN_CHARS) {
     throw new Error(`Essay must be at least ${MIN_CHARS} characters`);
@@ -59,6 +61,7 @@ Respond ONLY with JSON in this exact shape:
     feature: 'examEssayEvaluation',
     temperature: 0.4,
     json: true,
+    userId,
   });
 
   let parsed;
@@ -112,12 +115,14 @@ function _stubEvaluation(essay) {
  * @param {String} opts.transcript   Whisper-STT output of the user's spoken answer.
  * @param {String} [opts.rubric]     Rubric criteria comma-separated.
  * @param {Number} [opts.targetBand] Target band score (default 6).
+ * @param {String} [opts.userId]     User being evaluated; their monthly AI budget applies.
  * @returns {Promise<{score:Number, feedback:String, strengths:String[], improvements:String[]}>}
  */
 async function evaluateSpeaking({
   transcript,
   rubric = 'fluency and coherence, vocabulary range, grammar accuracy, task response',
   targetBand = 6,
+  userId,
 }) {
   if (!transcript || transcript.trim().length < 5) {
     throw new Error('Transcript is too short to evaluate');
@@ -151,6 +156,7 @@ Respond ONLY with JSON in this exact shape:
     feature: 'examSpeakingEvaluation',
     temperature: 0.4,
     json: true,
+    userId,
   });
 
   let parsed;
@@ -19,6 +19,7 @@ const LESSONS_PER_WEEK = 5;  // schedule weekdays only by default
  * @param {Number} opts.targetScore
  * @param {Date}   opts.targetExamDate
  * @param {Object} [opts.progress]    UserExamProgress doc, may be null
+ * @param {String} [opts.userId]      Plan owner; their monthly AI budget applies.
  * @returns {Promise<{milestones:Object[], dailyLessons:Object[]}>}
  */
 async function generateStudyPlan({
@@ -26,6 +27,7 @@ async function generateStudyPlan({
   targetScore,
   targetExamDate,
   progress,
+  userId,
 }) {
   const daysAhead = Math.max(
     MIN_DAYS_AHEAD,
@@ -65,6 +67,7 @@ async function generateStudyPlan({
       feature: 'examStudyPlan',
       temperature: 0.6,
       json: true,
+      userId,
     });
     const parsed = JSON.parse(response.content);
     const milestones = Array.isArray(parsed.milestones)
@@ -1,10 +1,9 @@
 const admin = require('../config/firebase');
 const User = require('../models/User');
 const Notification = require('../models/Notification');
-const { isInQuietHours } = require('../lib/quietHours');
+const { isCapped, pushSuppression } = require('../lib/notificationRules');
 const caps = require('../config/notificationCaps');
 
-const URGENT_TYPES = new Set(['incoming_call', 'missed_call']);
 // Task 5 (Workstream E-core) — kept in lockstep with models/Notification.js's
 // type enum (additive: wave/comment_*/room_mention/vip_renewal_warning/
 // srs_review/streak_reminder/new_follower). This is the audit set used below
@@ -48,31 +47,6 @@ const TYPE_TO_CATEGORY = {
   profile_visit: 'PROFILE_SOCIAL',
 };
 
-/**
- * Check whether a user has hit a daily or weekly cap for a notification type.
- * @param {Object} user - User document (Mongoose doc or plain object for tests)
- * @param {String} type - Notification type
- * @returns {Boolean}
- */
-function isCapped(user, type) {
-  if (!user || !user.notificationCounters) return false;
-  const dailyCap = caps.daily[type];
-  const weeklyCap = caps.weekly[type];
-  // Mongoose Map exposes .get(key); plain objects fall back to bracket access for tests.
-  const readCount = (counter, key) => {
-    if (!counter) return 0;
-    if (typeof counter.get === 'function') return counter.get(key) ?? 0;
-    return counter[key] ?? 0;
-  };
-  if (dailyCap !== undefined) {
-    if (readCount(user.notificationCounters.daily, type) >= dailyCap) return true;
-  }
-  if (weeklyCap !== undefined) {
-    if (readCount(user.notificationCounters.weekly, type) >= weeklyCap) return true;
-  }
-  return false;
-}
-
 /**
  * Increment per-type daily/weekly counters after a successful send.
  * No-op for types not listed in the caps config.
@@ -99,9 +73,11 @@ async function recordSend(userId, type) {
  * @param {String} userId - User ID
  * @param {Object} notification - { title, body, imageUrl }
  * @param {Object} data - Custom payload data
+ * @param {Object} [options]
+ * @param {boolean} [options.preChecked] - skip the quiet-hours/cap gates
  * @returns {Object} - { success, delivered, failed }
  */
-const sendToUser = async (userId, notification, data = {}) => {
+const sendToUser = async (userId, notification, data = {}, options = {}) => {
   try {
     const user = await User.findById(userId);
 
@@ -110,13 +86,11 @@ const sendToUser = async (userId, notification, data = {}) => {
       return { success: false, error: 'User not found' };
     }
 
-    // Quiet-hours gate
+    // Quiet-hours and frequency-cap gates; notificationService.send()
+    // has already applied them (and the user's rules) when preChecked
     const type = data && data.type;
-    if (
-      isInQuietHours(user, new Date()) &&
-      !URGENT_TYPES.has(type) &&
-      !(user.quietHours && user.quietHours.allowUrgent && type === 'chat_message' /* TODO: VIP-partner gating in C2 */)
-    ) {
+    const suppressedReason = options.preChecked ? null : pushSuppression(user, type, new Date());
+    if (suppressedReason) {
       const auditType = NOTIFICATION_TYPE_ENUM.has(type) ? type : 'system';
       await Notification.create({
         userId,
@@ -124,31 +98,13 @@ const sendToUser = async (userId, notification, data = {}) => {
         title: notification.title,
         body: notification.body,
         data: { ...data, originalType: type || 'unknown' },
-        suppressedReason: 'quiet_hours',
-        bundleSize: data.bundleSize || 1,
-        bundleActors: Array.isArray(data.bundleActors) ? data.bundleActors : [],
-        sentAt: new Date(),
-      });
-      console.log(`🔕 Suppressed ${type || 'unknown'} push to user ${userId} (quiet hours)`);
-      return { suppressed: true, reason: 'quiet_hours' };
-    }
-
-    // Frequency cap gate
-    if (isCapped(user, type)) {
-      const auditTypeCap = NOTIFICATION_TYPE_ENUM.has(type) ? type : 'system';
-      await Notification.create({
-        userId,
-        type: auditTypeCap,
-        title: notification.title,
-        body: notification.body,
-        data: { ...data, originalType: type || 'unknown' },
-        suppressedReason: 'frequency_cap',
+        suppressedReason,
         bundleSize: data.bundleSize || 1,
         bundleActors: Array.isArray(data.bundleActors) ? data.bundleActors : [],
         sentAt: new Date(),
       });
-      console.log(`🚦 Suppressed ${type || 'unknown'} push to user ${userId} (frequency cap)`);
-      return { suppressed: true, reason: 'frequency_cap' };
+      console.log(`🔕 Suppressed ${type || 'unknown'} push to user ${userId} (${suppressedReason})`);
+      return { suppressed: true, reason: suppressedReason };
     }
 
     // Get active FCM tokens
@@ -51,6 +51,7 @@ const analyzeGrammar = async (options) => {
 
   // Call AI for analysis
   const response = await chatCompletion({
+    userId,
     messages: [
       { role: 'system', content: systemPrompt },
       { role: 'user', content: `Analyze this text:\n\n"${text}"` }
@@ -127,7 +128,8 @@ const analyzeGrammar = async (options) => {
     userId,
     feature: 'grammarFeedback',
     tokensUsed: response.usage,
-    provider: 'openai'
+    provider: response.provider,
+    model: response.model
   });
 
   return {
@@ -158,7 +160,8 @@ const explainRule = async (options) => {
     targetLanguage,
     nativeLanguage = 'en',
     cefrLevel = 'A1',
-    context
+    context,
+    userId
   } = options;
 
   const prompt = `Explain the following ${targetLanguage} grammar rule in ${nativeLanguage}, suitable for a ${cefrLevel} level learner:
@@ -181,6 +184,7 @@ Format as JSON:
 }`;
 
   const response = await chatCompletion({
+    userId,
     messages: [{ role: 'user', content: prompt }],
     feature: 'grammarFeedback',
     json: true
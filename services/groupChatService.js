@@ -0,0 +1,686 @@
+/**
+ * Group Chat Service
+ * Private group chats of 3–10 people (lib/groupChat.js has the rules).
+ *
+ * Members, roles and unread counts live on the Conversation; messages are
+ * group Messages whose `participants` snapshot the members at send time.
+ * Every membership change also posts a 'system' message so the history
+ * shows who joined and left. Live updates go to each member's
+ * `user_<id>` socket room: 'newMessage' for messages, 'groupUpdated'
+ * for membership and details, 'groupRead' for read receipts. Edits,
+ * deletes, pins and reactions on a group message reach the same members
+ * through emitMessageUpdate.
+ *
+ * Only people the inviter already knows (a 1:1 chat, or a follow either
+ * way) can be added, so nobody lands in a stranger's group.
+ */
+
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const ErrorResponse = require('../utils/errorResponse');
+const { getBlockedUserIds } = require('../utils/blockingUtils');
+const notificationService = require('./notificationService');
+const { recordGroupRead } = require('./syncLogService');
+const stickerService = require('./stickerService');
+const { isMemberMuted } = require('../lib/roomMessageNotify');
+const {
+  normalizeGroupName,
+  memberRole,
+  canRemove,
+  checkNewGroup,
+  checkInvite,
+  nextOwner,
+  deliveryRecipients,
+  readReceipts,
+  MAX_GROUP_NAME_LENGTH
+} = require('../lib/groupChat');
+
+const MAX_GROUP_MESSAGE_LENGTH = 2000;
+const GROUP_MESSAGE_TYPES = ['text', 'sticker', 'gif'];
+const MEMBER_FIELDS = 'name username images userMode';
+
+const sameId = (a, b) => String(a) === String(b);
+
+const assertObjectIds = (ids, label) => {
+  if (!Array.isArray(ids) || ids.some(id => !mongoose.isValidObjectId(id))) {
+    throw new ErrorResponse(`${label} must be an array of user ids`, 400);
+  }
+};
+
+/**
+ * Load a group the caller belongs to
+ * @param {string} groupId
+ * @param {string} userId
+ * @returns {Promise<{ group: Object, role: string }>}
+ */
+const loadGroup = async (groupId, userId) => {
+  if (!mongoose.isValidObjectId(groupId)) {
+    throw new ErrorResponse('Group not found', 404);
+  }
+  const group = await Conversation.findOne({ _id: groupId, isGroup: true, roomType: null });
+  if (!group) {
+    throw new ErrorResponse('Group not found', 404);
+  }
+  const role = memberRole(group, userId);
+  if (!role) {
+    throw new ErrorResponse('Not a member of this group', 403);
+  }
+  return { group, role };
+};
+
+const requireAdmin = (role) => {
+  if (role !== 'owner' && role !== 'admin') {
+    throw new ErrorResponse('Only group admins can do this', 403, 'GROUP_ADMIN_ONLY');
+  }
+};
+
+/**
+ * Group as the client sees it, with the caller's own unread count and role
+ * @param {Object} group
+ * @param {string} userId
+ * @returns {Promise<Object>}
+ */
+const toGroupResponse = async (group, userId) => {
+  await group.populate('participants', MEMBER_FIELDS);
+  const plain = group.toObject();
+  const unread = (plain.unreadCount || []).find(u => sameId(u.user, userId));
+  return {
+    _id: plain._id,
+    isGroup: true,
+    groupName: plain.groupName,
+    groupAvatar: plain.groupAvatar || null,
+    owner: plain.owner,
+    admins: plain.admins || [],
+    participants: plain.participants,
+    memberCount: plain.participants.length,
+    lastMessage: plain.lastMessage || null,
+    lastMessageAt: plain.lastMessageAt,
+    unreadCount: unread ? unread.count : 0,
+    role: memberRole(group, userId)
+  };
+};
+
+const emitToMembers = (io, memberIds, event, payload) => {
+  if (!io) return;
+  [...new Set(memberIds.map(String))].forEach(id => io.to(`user_${id}`).emit(event, payload));
+};
+
+/**
+ * Deliver a saved group message: bump lastMessage and the recipients'
+ * unread counts, emit it live and push it to members who aren't muted.
+ * Members with a block relation to the sender get none of it.
+ * @param {Object} group
+ * @param {Object} message - saved group Message
+ * @param {Object} [io]
+ * @param {Object} [options]
+ * @param {boolean} [options.notify] - push notification (not for system messages)
+ * @returns {Promise<string[]>} recipient ids
+ */
+const deliverMessage = async (group, message, io, { notify = true } = {}) => {
+  const senderId = message.sender._id || message.sender;
+  const blockedIds = await getBlockedUserIds(senderId);
+  const recipients = deliveryRecipients(message.participants, senderId, blockedIds);
+
+  await Conversation.updateOne(
+    { _id: group._id },
+    {
+      $set: { lastMessage: message._id, lastMessageAt: message.createdAt || new Date() },
+      $pull: { deletedBy: { $in: recipients } },
+      $inc: { 'unreadCount.$[member].count': 1 }
+    },
+    { arrayFilters: [{ 'member.user': { $in: recipients.map(id => new mongoose.Types.ObjectId(id)) } }] }
+  );
+
+  const payload = {
+    message: message.toObject ? message.toObject() : message,
+    conversationId: String(group._id),
+    senderId: String(senderId)
+  };
+  emitToMembers(io, recipients, 'newMessage', payload);
+  emitToMembers(io, [senderId], 'messageSent', payload);
+
+  if (notify) {
+    recipients
+      .filter(id => !isMemberMuted(group.mutedBy, id))
+      .forEach(id => {
+        notificationService.sendGroupMessage(id, senderId, group, message)
+          .catch(err => console.error('Group message push failed:', err.message));
+      });
+  }
+
+  return recipients;
+};
+
+/**
+ * The group a message was posted in, for a caller who is a member now and
+ * was one when it was sent (the message's participants snapshot)
+ * @param {Object} message - group Message
+ * @param {string} userId
+ * @returns {Promise<Object>} group
+ */
+const loadMessageGroup = async (message, userId) => {
+  if (!(message.participants || []).some(id => sameId(id, userId))) {
+    throw new ErrorResponse('Message not found', 404);
+  }
+  const { group } = await loadGroup(message.conversationId, userId);
+  return group;
+};
+
+/**
+ * Tell everyone a group message reached, and the sender's devices, that it
+ * changed (edited, deleted, pinned, reacted to)
+ * @param {Object} message - group Message
+ * @param {Object} io
+ * @param {string} event
+ * @param {Object} payload - conversationId is added
+ * @returns {Promise<void>}
+ */
+const emitMessageUpdate = async (message, io, event, payload) => {
+  if (!io) return;
+  const senderId = message.sender._id || message.sender;
+  const blockedIds = await getBlockedUserIds(senderId);
+  const recipients = deliveryRecipients(message.participants, senderId, blockedIds);
+  emitToMembers(io, [...recipients, senderId], event, {
+    ...payload,
+    conversationId: String(message.conversationId)
+  });
+};
+
+/**
+ * Post a system message ("Ana added Ben") to everyone currently in the group
+ * @param {Object} group
+ * @param {string} actorId
+ * @param {string} text
+ * @param {Object} [io]
+ * @returns {Promise<Object>}
+ */
+const postSystemMessage = async (group, actorId, text, io) => {
+  const message = await Message.create({
+    sender: actorId,
+    conversationId: group._id,
+    participants: group.participants,
+    isGroupMessage: true,
+    messageType: 'system',
+    message: text
+  });
+  await message.populate('sender', MEMBER_FIELDS);
+  await deliverMessage(group, message, io, { notify: false });
+  return message;
+};
+
+/**
+ * Invitees the inviter has no tie to: no 1:1 chat between them and neither
+ * follows the other. Groups only take people who already know the inviter.
+ * @param {string} inviterId
+ * @param {string[]} inviteeIds
+ * @returns {Promise<string[]>}
+ */
+const strangersTo = async (inviterId, inviteeIds) => {
+  if (inviteeIds.length === 0) return [];
+  const [inviter, chats] = await Promise.all([
+    User.findById(inviterId).select('followers following').lean(),
+    Conversation.find({
+      isGroup: false,
+      participants: { $all: [inviterId], $in: inviteeIds }
+    }).select('participants').lean()
+  ]);
+  const known = new Set([
+    ...((inviter && inviter.followers) || []),
+    ...((inviter && inviter.following) || []),
+    ...chats.flatMap(chat => chat.participants)
+  ].map(String));
+  return inviteeIds.filter(id => !known.has(String(id)));
+};
+
+const assertConnected = async (inviterId, inviteeIds) => {
+  const strangers = await strangersTo(inviterId, inviteeIds);
+  if (strangers.length > 0) {
+    throw new ErrorResponse(
+      'You can only add people you follow, who follow you or you have chatted with',
+      403,
+      'GROUP_MEMBER_NOT_CONNECTED'
+    );
+  }
+};
+
+const userNames = async (ids) => {
+  const users = await User.find({ _id: { $in: ids } }).select('name').lean();
+  const names = new Map(users.map(u => [String(u._id), u.name]));
+  return ids.map(id => names.get(String(id))).filter(Boolean);
+};
+
+/**
+ * @param {string} creatorId
+ * @param {Object} body - { name, avatar, memberIds }
+ * @param {Object} [io]
+ * @returns {Promise<Object>}
+ */
+const createGroup = async (creatorId, { name, avatar, memberIds } = {}, io) => {
+  const groupName = normalizeGroupName(name);
+  if (!groupName) {
+    throw new ErrorResponse(`Group name must be 1-${MAX_GROUP_NAME_LENGTH} characters`, 400);
+  }
+  assertObjectIds(memberIds, 'memberIds');
+
+  const blockedIds = await getBlockedUserIds(creatorId);
+  const checked = checkNewGroup(creatorId, memberIds, blockedIds);
+  if (checked.error) {
+    throw new ErrorResponse(checked.error, checked.code === 'GROUP_MEMBER_BLOCKED' ? 403 : 400, checked.code);
+  }
+
+  const invitees = checked.memberIds.slice(1);
+  const found = await User.countDocuments({ _id: { $in: invitees } });
+  if (found !== invitees.length) {
+    throw new ErrorResponse('User not found', 404);
+  }
+  await assertConnected(creatorId, invitees);
+
+  const group = await Conversation.create({
+    participants: checked.memberIds,
+    isGroup: true,
+    groupName,
+    groupAvatar: typeof avatar === 'string' && avatar ? avatar : undefined,
+    owner: creatorId,
+    admins: [],
+    memberCount: checked.memberIds.length,
+    unreadCount: checked.memberIds.map(user => ({ user, count: 0 }))
+  });
+
+  const [creatorName] = await userNames([creatorId]);
+  await postSystemMessage(group, creatorId, `${creatorName} created the group "${groupName}"`, io);
+  emitToMembers(io, checked.memberIds, 'groupUpdated', { conversationId: String(group._id), event: 'created' });
+
+  return toGroupResponse(group, creatorId);
+};
+
+/**
+ * @param {string} groupId
+ * @param {string} userId
+ * @returns {Promise<Object>}
+ */
+const getGroup = async (groupId, userId) => {
+  const { group } = await loadGroup(groupId, userId);
+  return toGroupResponse(group, userId);
+};
+
+/**
+ * Owner/admins invite more people
+ * @param {string} groupId
+ * @param {string} actorId
+ * @param {Array} memberIds
+ * @param {Object} [io]
+ * @returns {Promise<Object>}
+ */
+const addMembers = async (groupId, actorId, memberIds, io) => {
+  assertObjectIds(memberIds, 'memberIds');
+  const { group, role } = await loadGroup(groupId, actorId);
+  requireAdmin(role);
+
+  const blockedIds = await getBlockedUserIds(actorId);
+  const checked = checkInvite(group, memberIds, blockedIds);
+  if (checked.error) {
+    throw new ErrorResponse(checked.error, checked.code === 'GROUP_MEMBER_BLOCKED' ? 403 : 400, checked.code);
+  }
+  if (checked.added.length === 0) {
+    return toGroupResponse(group, actorId);
+  }
+
+  const names = await userNames(checked.added);
+  if (names.length !== checked.added.length) {
+    throw new ErrorResponse('User not found', 404);
+  }
+  await assertConnected(actorId, checked.added);
+
+  checked.added.forEach(id => {
+    group.participants.push(id);
+    group.unreadCount = group.unreadCount.filter(u => !sameId(u.user, id));
+    group.unreadCount.push({ user: id, count: 0 });
+  });
+  group.memberCount = group.participants.length;
+  await group.save();
+
+  const [actorName] = await userNames([actorId]);
+  await postSystemMessage(group, actorId, `${actorName} added ${names.join(', ')}`, io);
+  emitToMembers(io, group.participants, 'groupUpdated', {
+    conversationId: String(group._id),
+    event: 'members_added',
+    userIds: checked.added
+  });
+
+  return toGroupResponse(group, actorId);
+};
+
+// Take a member out of the group document (not saved)
+const dropMember = (group, userId) => {
+  group.participants = group.participants.filter(id => !sameId(id, userId));
+  group.admins = (group.admins || []).filter(id => !sameId(id, userId));
+  group.unreadCount = group.unreadCount.filter(u => !sameId(u.user, userId));
+  group.memberCount = group.participants.length;
+};
+
+/**
+ * Owner removes anyone but themselves; admins remove plain members
+ * @param {string} groupId
+ * @param {string} actorId
+ * @param {string} targetId
+ * @param {Object} [io]
+ * @returns {Promise<Object>}
+ */
+const removeMember = async (groupId, actorId, targetId, io) => {
+  if (!mongoose.isValidObjectId(targetId)) {
+    throw new ErrorResponse('Invalid user id', 400);
+  }
+  if (sameId(actorId, targetId)) {
+    throw new ErrorResponse('Use leave to remove yourself from a group', 400);
+  }
+  const { group, role } = await loadGroup(groupId, actorId);
+  const targetRole = memberRole(group, targetId);
+  if (!targetRole) {
+    throw new ErrorResponse('User is not a member of this group', 404);
+  }
+  if (!canRemove(role, targetRole)) {
+    throw new ErrorResponse('You cannot remove this member', 403, 'GROUP_ADMIN_ONLY');
+  }
+
+  dropMember(group, targetId);
+  await group.save();
+
+  const [actorName, targetName] = await userNames([actorId, targetId]);
+  await postSystemMessage(group, actorId, `${actorName} removed ${targetName}`, io);
+  emitToMembers(io, [...group.participants, targetId], 'groupUpdated', {
+    conversationId: String(group._id),
+    event: 'member_removed',
+    userId: String(targetId)
+  });
+
+  return toGroupResponse(group, actorId);
+};
+
+/**
+ * Leave a group. An owner leaving hands the group to the next admin or
+ * member; the last member leaving deletes it.
+ * @param {string} groupId
+ * @param {string} userId
+ * @param {Object} [io]
+ * @returns {Promise<{ deleted: boolean, newOwner: string|null }>}
+ */
+const leaveGroup = async (groupId, userId, io) => {
+  const { group, role } = await loadGroup(groupId, userId);
+  const successor = role === 'owner' ? nextOwner(group, userId) : null;
+
+  dropMember(group, userId);
+  if (group.participants.length === 0) {
+    await Conversation.deleteOne({ _id: group._id });
+    return { deleted: true, newOwner: null };
+  }
+  if (successor) {
+    group.owner = successor;
+    group.admins = group.admins.filter(id => !sameId(id, successor));
+  }
+  await group.save();
+
+  const [leaverName] = await userNames([userId]);
+  await postSystemMessage(group, userId, `${leaverName} left the group`, io);
+  emitToMembers(io, [...group.participants, userId], 'groupUpdated', {
+    conversationId: String(group._id),
+    event: 'member_left',
+    userId: String(userId),
+    ...(successor && { owner: successor })
+  });
+
+  return { deleted: false, newOwner: successor };
+};
+
+/**
+ * Leave every group a user is in (account deletion). Failures are logged
+ * per group so one bad group doesn't stop the rest.
+ * @param {string} userId
+ * @returns {Promise<number>} groups left
+ */
+const leaveAllGroups = async (userId) => {
+  const groups = await Conversation.find({ participants: userId, isGroup: true, roomType: null })
+    .select('_id')
+    .lean();
+  let left = 0;
+  for (const { _id } of groups) {
+    try {
+      await leaveGroup(_id, userId);
+      left += 1;
+    } catch (err) {
+      console.error(`[groupChat] failed to leave group ${_id}:`, err.message);
+    }
+  }
+  return left;
+};
+
+/**
+ * Owner promotes a member to admin or demotes an admin
+ * @param {string} groupId
+ * @param {string} actorId
+ * @param {string} targetId
+ * @param {boolean} isAdmin
+ * @param {Object} [io]
+ * @returns {Promise<Object>}
+ */
+const setAdmin = async (groupId, actorId, targetId, isAdmin, io) => {
+  if (!mongoose.isValidObjectId(targetId)) {
+    throw new ErrorResponse('Invalid user id', 400);
+  }
+  const { group, role } = await loadGroup(groupId, actorId);
+  if (role !== 'owner') {
+    throw new ErrorResponse('Only the group owner can change admins', 403, 'GROUP_OWNER_ONLY');
+  }
+  const targetRole = memberRole(group, targetId);
+  if (!targetRole) {
+    throw new ErrorResponse('User is not a member of this group', 404);
+  }
+  if (targetRole === 'owner') {
+    throw new ErrorResponse('The group owner is always an admin', 400);
+  }
+
+  group.admins = group.admins.filter(id => !sameId(id, targetId));
+  if (isAdmin) group.admins.push(targetId);
+  await group.save();
+
+  emitToMembers(io, group.participants, 'groupUpdated', {
+    conversationId: String(group._id),
+    event: 'admins_changed',
+    userId: String(targetId),
+    isAdmin: Boolean(isAdmin)
+  });
+
+  return toGroupResponse(group, actorId);
+};
+
+/**
+ * Owner/admins rename the group or change its avatar
+ * @param {string} groupId
+ * @param {string} actorId
+ * @param {Object} body - { name, avatar }
+ * @param {Object} [io]
+ * @returns {Promise<Object>}
+ */
+const updateGroup = async (groupId, actorId, { name, avatar } = {}, io) => {
+  const { group, role } = await loadGroup(groupId, actorId);
+  requireAdmin(role);
+
+  if (name !== undefined) {
+    const groupName = normalizeGroupName(name);
+    if (!groupName) {
+      throw new ErrorResponse(`Group name must be 1-${MAX_GROUP_NAME_LENGTH} characters`, 400);
+    }
+    group.groupName = groupName;
+  }
+  if (avatar !== undefined) {
+    if (avatar !== null && typeof avatar !== 'string') {
+      throw new ErrorResponse('avatar must be a URL string', 400);
+    }
+    group.groupAvatar = avatar || undefined;
+  }
+  await group.save();
+
+  emitToMembers(io, group.participants, 'groupUpdated', {
+    conversationId: String(group._id),
+    event: 'details_changed',
+    groupName: group.groupName,
+    groupAvatar: group.groupAvatar || null
+  });
+
+  return toGroupResponse(group, actorId);
+};
+
+/**
+ * Send a text, sticker or GIF message to a group
+ * @param {string} groupId
+ * @param {string} senderId
+ * @param {Object} body - { message, messageType, sticker? }
+ * @param {Object} [io]
+ * @returns {Promise<Object>} populated message
+ */
+const sendMessage = async (groupId, senderId, { message, messageType, sticker } = {}, io) => {
+  const text = typeof message === 'string' ? message.trim() : '';
+  if (!text && !sticker) {
+    throw new ErrorResponse('Message text is required', 400);
+  }
+  if (text.length > MAX_GROUP_MESSAGE_LENGTH) {
+    throw new ErrorResponse(`Message too long. Maximum ${MAX_GROUP_MESSAGE_LENGTH} characters allowed.`, 400);
+  }
+
+  const { group } = await loadGroup(groupId, senderId);
+  const type = GROUP_MESSAGE_TYPES.includes(messageType) ? messageType : 'text';
+  let packSticker = null;
+  if (sticker) {
+    const sender = await User.findById(senderId).select('userMode').lean();
+    packSticker = await stickerService.resolveMessageSticker(sender, type, sticker);
+  }
+
+  const created = await Message.create({
+    sender: senderId,
+    conversationId: group._id,
+    participants: group.participants,
+    isGroupMessage: true,
+    messageType: type,
+    message: text || undefined,
+    ...(packSticker && { sticker: packSticker })
+  });
+  stickerService.recordUse(senderId, packSticker);
+  await created.populate('sender', MEMBER_FIELDS);
+  await deliverMessage(group, created, io);
+  return created;
+};
+
+/**
+ * A page of group history, newest first. Messages from members with a
+ * block relation to the caller are left out.
+ * @param {string} groupId
+ * @param {string} userId
+ * @param {Object} [query] - { before, limit }
+ * @returns {Promise<{ messages: Object[], hasMore: boolean }>}
+ */
+const getMessages = async (groupId, userId, { before, limit } = {}) => {
+  const { group } = await loadGroup(groupId, userId);
+  const pageSize = Math.min(parseInt(limit, 10) || 50, 100);
+  const blockedIds = await getBlockedUserIds(userId);
+
+  const query = {
+    conversationId: group._id,
+    isGroupMessage: true,
+    participants: userId,
+    deletedFor: { $ne: userId },
+    isDeleted: { $ne: true }
+  };
+  if (blockedIds.length) query.sender = { $nin: blockedIds };
+  if (before) {
+    const beforeDate = new Date(before);
+    if (Number.isNaN(beforeDate.getTime())) {
+      throw new ErrorResponse('before must be a date', 400);
+    }
+    query.createdAt = { $lt: beforeDate };
+  }
+
+  const messages = await Message.find(query)
+    .sort({ createdAt: -1 })
+    .limit(pageSize + 1)
+    .populate('sender', MEMBER_FIELDS)
+    .populate('poll')
+    .lean();
+
+  return { messages: messages.slice(0, pageSize), hasMore: messages.length > pageSize };
+};
+
+/**
+ * Mark everything in a group read for one member and tell the others
+ * @param {Object} group - Conversation document
+ * @param {string} userId
+ * @param {Object} [io]
+ * @returns {Promise<number>} messages newly marked read
+ */
+const markRead = async (group, userId, io) => {
+  const readAt = new Date();
+  await group.markAsRead(userId);
+
+  const result = await Message.updateMany(
+    {
+      conversationId: group._id,
+      isGroupMessage: true,
+      participants: userId,
+      sender: { $ne: userId },
+      'readBy.user': { $ne: userId }
+    },
+    { $push: { readBy: { user: userId, readAt } } }
+  );
+
+  if (result.modifiedCount > 0) {
+    await recordGroupRead(userId, group.participants, { conversationId: group._id, readAt });
+    emitToMembers(io, group.participants.filter(id => !sameId(id, userId)), 'groupRead', {
+      conversationId: String(group._id),
+      userId: String(userId),
+      readAt
+    });
+  }
+
+  return result.modifiedCount;
+};
+
+/**
+ * Who has and hasn't read a group message
+ * @param {string} messageId
+ * @param {string} userId - any member the message was sent to
+ * @returns {Promise<Object>}
+ */
+const getReceipts = async (messageId, userId) => {
+  if (!mongoose.isValidObjectId(messageId)) {
+    throw new ErrorResponse('Message not found', 404);
+  }
+  const message = await Message.findById(messageId).select('sender participants readBy isGroupMessage conversationId').lean();
+  if (!message || !message.isGroupMessage || !message.conversationId) {
+    throw new ErrorResponse('Message not found', 404);
+  }
+  if (!message.participants.some(id => sameId(id, userId))) {
+    throw new ErrorResponse('Not authorized to view receipts for this message', 403);
+  }
+
+  const { readBy, unreadBy } = readReceipts(message);
+  return { messageId: String(message._id), readBy, unreadBy };
+};
+
+module.exports = {
+  loadGroup,
+  createGroup,
+  getGroup,
+  addMembers,
+  removeMember,
+  leaveGroup,
+  leaveAllGroups,
+  setAdmin,
+  updateGroup,
+  sendMessage,
+  deliverMessage,
+  loadMessageGroup,
+  emitMessageUpdate,
+  getMessages,
+  markRead,
+  getReceipts
+};
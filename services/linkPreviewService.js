@@ -0,0 +1,227 @@
+/**
+ * Link Preview Service
+ * Unfurls the first URL in a message, comment or moment into a
+ * `linkPreview` (title, description, image, site name).
+ *
+ * External pages are fetched here and cached in Redis for a day.
+ * Requests are guarded against SSRF: only http(s) on ports 80/443, every
+ * address a hostname resolves to must be public (checked in the socket
+ * lookup itself, so DNS rebinding can't swap in a private address after
+ * the check), each redirect is checked again, and only the first
+ * MAX_HTML_BYTES of an HTML response are read. Links to our own moments
+ * and profiles are answered from the database via controllers/og.js.
+ *
+ * Previews are attached after the document is saved (see the post-save
+ * hooks in models/Message.js, Comment.js and Moment.js), so posting
+ * never waits on a remote site.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const cache = require('./redisService');
+const {
+  firstUrl,
+  checkUrl,
+  isPrivateAddress,
+  parseMetadata,
+  internalTarget,
+  sanitizeText,
+  MAX_TITLE_LENGTH,
+  MAX_DESCRIPTION_LENGTH
+} = require('../lib/linkPreview');
+
+const PREVIEW_TTL_SECONDS = 24 * 60 * 60;
+const FETCH_TIMEOUT_MS = 5000;
+const MAX_REDIRECTS = 3;
+const MAX_HTML_BYTES = 512 * 1024;
+const USER_AGENT = 'BananaTalkBot/1.0 (+https://banatalk.com)';
+
+/**
+ * dns.lookup that refuses private addresses. Used as the socket's lookup,
+ * so the address checked is the address connected to.
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!addresses.length || addresses.some(a => isPrivateAddress(a.address))) {
+      return callback(new Error(`Refusing to connect to a private address for ${hostname}`));
+    }
+    if (options && options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * One GET, no redirects followed
+ * @param {URL} url
+ * @returns {Promise<{ redirect?: string, html?: string }|null>} null for a
+ *   page that can't be previewed (not HTML, not 200)
+ */
+const requestPage = (url) => new Promise((resolve, reject) => {
+  let settled = false;
+  let deadline = null;
+  const finish = (err, value) => {
+    if (settled) return;
+    settled = true;
+    clearTimeout(deadline);
+    if (err) reject(err);
+    else resolve(value);
+  };
+
+  const client = url.protocol === 'https:' ? https : http;
+  const req = client.get(url, {
+    lookup: publicLookup,
+    headers: {
+      'User-Agent': USER_AGENT,
+      Accept: 'text/html,application/xhtml+xml',
+      'Accept-Encoding': 'identity'
+    }
+  }, (res) => {
+    const status = res.statusCode || 0;
+    if (status >= 300 && status < 400 && res.headers.location) {
+      res.resume();
+      return finish(null, { redirect: res.headers.location });
+    }
+    const type = String(res.headers['content-type'] || '');
+    if (status !== 200 || !/text\/html|application\/xhtml\+xml/i.test(type)) {
+      res.resume();
+      return finish(null, null);
+    }
+
+    const chunks = [];
+    let size = 0;
+    const done = () => finish(null, { html: Buffer.concat(chunks).toString('utf8') });
+    res.on('data', (chunk) => {
+      chunks.push(chunk);
+      size += chunk.length;
+      // The <head> is all we need; stop reading past the cap
+      if (size >= MAX_HTML_BYTES) {
+        res.destroy();
+        done();
+      }
+    });
+    res.on('end', done);
+    res.on('error', err => finish(err));
+  });
+
+  deadline = setTimeout(() => req.destroy(new Error('Link preview request timed out')), FETCH_TIMEOUT_MS);
+  req.on('error', err => finish(err));
+});
+
+/**
+ * Fetch and parse an external page, following checked redirects
+ * @param {URL} url
+ * @returns {Promise<Object|null>} null when the page has no preview;
+ *   throws on network errors (not cached)
+ */
+const fetchPreview = async (url) => {
+  let current = url;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop += 1) {
+    const page = await requestPage(current);
+    if (!page) return null;
+    if (page.html !== undefined) {
+      const preview = parseMetadata(page.html, current.toString());
+      return preview && { ...preview, fetchedAt: new Date() };
+    }
+
+    let next;
+    try {
+      next = checkUrl(new URL(page.redirect, current).toString());
+    } catch (err) {
+      return null;
+    }
+    if (next.error) return null;
+    current = next.url;
+  }
+  return null;
+};
+
+/**
+ * Preview for one of our own moments/profiles
+ * @param {Object} target - { type, id }
+ * @param {URL} url
+ * @returns {Promise<Object|null>}
+ */
+const internalPreview = async ({ type, id }, url) => {
+  // Loaded lazily: og.js pulls in the Moment and User models
+  const { buildOgData, APP_NAME } = require('../controllers/og');
+  const og = await buildOgData(type, id);
+  if (!og) return null;
+  return {
+    url: url.toString(),
+    title: sanitizeText(og.title, MAX_TITLE_LENGTH),
+    description: sanitizeText(og.description, MAX_DESCRIPTION_LENGTH),
+    image: og.image || null,
+    siteName: APP_NAME,
+    internal: true,
+    fetchedAt: new Date()
+  };
+};
+
+/**
+ * Preview for a URL, or null when it can't or mustn't be previewed
+ * @param {string} rawUrl
+ * @returns {Promise<Object|null>}
+ */
+const getPreview = async (rawUrl) => {
+  const { url, error } = checkUrl(rawUrl);
+  if (error) return null;
+
+  const { FRONTEND_URL_BASE } = require('../controllers/og');
+  const target = internalTarget(url, FRONTEND_URL_BASE);
+  if (target) return internalPreview(target, url);
+
+  const key = `linkPreview:${crypto.createHash('sha1').update(url.toString()).digest('hex')}`;
+  let failed = false;
+  const preview = await cache.get(key, async () => {
+    try {
+      return await fetchPreview(url);
+    } catch (err) {
+      failed = true;
+      return null;
+    }
+  }, PREVIEW_TTL_SECONDS);
+
+  // Timeouts and refused connections may be temporary; don't remember them
+  if (failed) await cache.invalidate(key);
+  return preview;
+};
+
+/**
+ * Set or clear a saved document's linkPreview from its text. The write is
+ * skipped if the text changed again meanwhile; the later save unfurls it.
+ * @param {Object} Model - Message, Comment or Moment
+ * @param {Object} doc - the saved document
+ * @param {string} textField - 'message' | 'text' | 'description'
+ * @returns {Promise<Object|null>} the preview now stored
+ */
+const attachPreview = async (Model, doc, textField) => {
+  try {
+    const text = doc[textField];
+    const url = firstUrl(text);
+    const current = doc.linkPreview && doc.linkPreview.url;
+
+    if (!url) {
+      if (current) {
+        await Model.updateOne({ _id: doc._id, [textField]: text }, { $unset: { linkPreview: 1 } });
+      }
+      return null;
+    }
+
+    const preview = await getPreview(url);
+    const update = preview ? { $set: { linkPreview: preview } } : { $unset: { linkPreview: 1 } };
+    if (!preview && !current) return null;
+    const result = await Model.updateOne({ _id: doc._id, [textField]: text }, update);
+    return result.modifiedCount > 0 ? preview : null;
+  } catch (err) {
+    console.error(`[linkPreview] failed for ${Model.modelName} ${doc._id}:`, err.message);
+    return null;
+  }
+};
+
+module.exports = {
+  getPreview,
+  attachPreview
+};
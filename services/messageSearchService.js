@@ -0,0 +1,288 @@
+/**
+ * Message Search Service
+ *
+ * Full-text search over the caller's direct messages and the language /
+ * topic rooms they belong to, with language-aware tokenization, ranking
+ * and highlighted snippets (lib/searchTokenizer.js).
+ *
+ * Matching is done by a search engine. The built-in 'tokens' engine needs
+ * nothing beyond MongoDB: it looks up Message.searchTokens (a multikey
+ * index) for messages containing every query token, newest first, capped
+ * at CANDIDATE_LIMIT. Another backend (a local Meilisearch/Tantivy sidecar,
+ * say) can be plugged in with registerSearchEngine() and selected with
+ * MESSAGE_SEARCH_ENGINE. An engine implements:
+ *   name
+ *   findCandidates({ scope, tokens, limit })
+ *     → Promise<Array<{ _id, message, media, createdAt }>>, newest first
+ *
+ * Ranking, snippets and the final page load happen here for every engine.
+ */
+
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const ErrorResponse = require('../utils/errorResponse');
+const {
+  parseQuery,
+  rankScore,
+  termWeights,
+  highlightSnippet
+} = require('../lib/searchTokenizer');
+
+// Messages ranked per query; older matches beyond this are not considered
+const CANDIDATE_LIMIT = 500;
+const MAX_PAGE_SIZE = 100;
+const ROOM_TYPES = ['hub', 'topic'];
+const MESSAGE_TYPES = Message.schema.path('messageType').enumValues;
+
+const tokensEngine = {
+  name: 'tokens',
+  findCandidates: ({ scope, tokens, limit }) => Message.find({ ...scope, searchTokens: { $all: tokens } })
+    .select('message media.fileName createdAt')
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean()
+};
+
+const engines = new Map([[tokensEngine.name, tokensEngine]]);
+
+/**
+ * Register (or replace) a search engine.
+ * @param {Object} engine
+ */
+const registerSearchEngine = (engine) => {
+  if (!engine || !engine.name || typeof engine.findCandidates !== 'function') {
+    throw new Error('Search engine must have a name and a findCandidates() function');
+  }
+  engines.set(engine.name, engine);
+};
+
+const activeEngine = () => engines.get(process.env.MESSAGE_SEARCH_ENGINE) || tokensEngine;
+
+const isObjectId = (value) => mongoose.Types.ObjectId.isValid(value);
+
+const parseDate = (value, field) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ErrorResponse(`${field} must be a valid date`, 400);
+  }
+  return date;
+};
+
+/**
+ * Mongo filter for the messages a user may search, narrowed by the
+ * request's filters.
+ * @param {String} userId
+ * @param {Object} filters - see searchMessages()
+ * @returns {Promise<Object>}
+ */
+const buildScope = async (userId, filters) => {
+  const {
+    scope = 'all',
+    conversationId,
+    roomId,
+    senderId,
+    receiverId,
+    messageType,
+    mediaType,
+    hasMedia,
+    isPinned,
+    dateFrom,
+    dateTo
+  } = filters;
+
+  for (const [field, value] of Object.entries({ conversationId, roomId, senderId, receiverId })) {
+    if (value && !isObjectId(value)) {
+      throw new ErrorResponse(`${field} is not a valid id`, 400);
+    }
+  }
+  if (!['all', 'direct', 'rooms'].includes(scope)) {
+    throw new ErrorResponse('scope must be one of all, direct, rooms', 400);
+  }
+
+  const userObjectId = new mongoose.Types.ObjectId(userId);
+  // Secret chat messages have no searchable text on the server
+  const clauses = [
+    { isDeleted: { $ne: true } },
+    { deletedFor: { $ne: userObjectId } },
+    { isEncrypted: { $ne: true } }
+  ];
+
+  // Which conversations: one DM partner, one room, or everything visible
+  if (conversationId) {
+    // conversationId is the other user's id, as in the rest of /messages
+    clauses.push({
+      isGroupMessage: { $ne: true },
+      $or: [
+        { sender: userObjectId, receiver: conversationId },
+        { sender: conversationId, receiver: userObjectId }
+      ]
+    });
+  } else if (roomId) {
+    const room = await Conversation.findOne({ _id: roomId, roomType: { $in: ROOM_TYPES }, participants: userObjectId })
+      .select('_id')
+      .lean();
+    if (!room) {
+      throw new ErrorResponse('Room not found', 404);
+    }
+    clauses.push({ conversationId: room._id });
+  } else {
+    const visible = [];
+    if (scope !== 'rooms') {
+      visible.push({ isGroupMessage: { $ne: true }, sender: userObjectId });
+      visible.push({ isGroupMessage: { $ne: true }, receiver: userObjectId });
+    }
+    if (scope !== 'direct') {
+      const roomIds = await Conversation.find({ participants: userObjectId, roomType: { $in: ROOM_TYPES } })
+        .distinct('_id');
+      if (roomIds.length > 0) {
+        visible.push({ conversationId: { $in: roomIds } });
+      }
+    }
+    if (visible.length === 0) {
+      return null;
+    }
+    clauses.push({ $or: visible });
+  }
+
+  if (senderId) clauses.push({ sender: senderId });
+  if (receiverId) clauses.push({ receiver: receiverId });
+
+  if (messageType) {
+    const types = String(messageType).split(',').map(t => t.trim()).filter(Boolean);
+    const unknown = types.filter(t => !MESSAGE_TYPES.includes(t));
+    if (unknown.length > 0) {
+      throw new ErrorResponse(`Unknown messageType: ${unknown.join(', ')}`, 400);
+    }
+    clauses.push({ messageType: { $in: types } });
+  }
+
+  if (mediaType) {
+    clauses.push({ 'media.type': mediaType });
+  }
+  if (hasMedia === 'true') {
+    clauses.push({ 'media.type': { $exists: true, $ne: null } });
+  } else if (hasMedia === 'false') {
+    clauses.push({ $or: [{ 'media.type': { $exists: false } }, { 'media.type': null }] });
+  }
+
+  if (isPinned === 'true') {
+    clauses.push({ pinned: true });
+  } else if (isPinned === 'false') {
+    clauses.push({ pinned: { $ne: true } });
+  }
+
+  const from = parseDate(dateFrom, 'dateFrom');
+  const to = parseDate(dateTo, 'dateTo');
+  if (from || to) {
+    const createdAt = {};
+    if (from) createdAt.$gte = from;
+    if (to) createdAt.$lte = to;
+    clauses.push({ createdAt });
+  }
+
+  return { $and: clauses };
+};
+
+const loadPage = (ids) => Message.find({ _id: { $in: ids } })
+  .populate('sender', 'name username images userMode')
+  .populate('receiver', 'name images userMode')
+  .populate('replyTo', 'message sender messageType')
+  .lean();
+
+/**
+ * Search messages.
+ * @param {String} userId
+ * @param {Object} params
+ * @param {String} [params.q] - query; without one, matching messages are
+ *   listed newest first
+ * @param {String} [params.sort] - 'relevance' (default with q) | 'recent'
+ * @param {String} [params.scope] - 'all' | 'direct' | 'rooms'
+ * @param {String} [params.conversationId] - DM partner's user id
+ * @param {String} [params.roomId] - hub / topic room the user is in
+ * @param {String} [params.senderId]
+ * @param {String} [params.receiverId]
+ * @param {String} [params.messageType] - comma-separated Message.messageType values
+ * @param {String} [params.mediaType]
+ * @param {String} [params.hasMedia] - 'true' | 'false'
+ * @param {String} [params.isPinned] - 'true' | 'false'
+ * @param {String} [params.dateFrom]
+ * @param {String} [params.dateTo]
+ * @param {Number} [params.page=1]
+ * @param {Number} [params.limit=20]
+ * @returns {Promise<{ messages: Array, total: Number, page: Number, limit: Number, terms: String[] }>}
+ *   each message carries `search: { score, snippet: { text, highlights } }` when q is given
+ */
+const searchMessages = async (userId, params = {}) => {
+  const page = Math.max(1, parseInt(params.page, 10) || 1);
+  const limit = Math.min(Math.max(1, parseInt(params.limit, 10) || 20), MAX_PAGE_SIZE);
+  const skip = (page - 1) * limit;
+  const q = typeof params.q === 'string' ? params.q.trim() : '';
+
+  const scope = await buildScope(userId, params);
+  if (!scope) {
+    return { messages: [], total: 0, page, limit, terms: [] };
+  }
+
+  if (!q) {
+    const [total, messages] = await Promise.all([
+      Message.countDocuments(scope),
+      Message.find(scope)
+        .populate('sender', 'name username images userMode')
+        .populate('receiver', 'name images userMode')
+        .populate('replyTo', 'message sender messageType')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean()
+    ]);
+    return { messages, total, page, limit, terms: [] };
+  }
+
+  const query = parseQuery(q);
+  if (query.tokens.length === 0) {
+    throw new ErrorResponse('Search query must contain letters or numbers', 400);
+  }
+
+  const candidates = await activeEngine().findCandidates({ scope, tokens: query.tokens, limit: CANDIDATE_LIMIT });
+  const textOf = (m) => [m.message, m.media?.fileName].filter(Boolean).join(' ');
+
+  const weights = termWeights(candidates.map(textOf), query.terms);
+  const now = Date.now();
+  const ranked = candidates.map(m => ({
+    message: m,
+    score: rankScore({ text: textOf(m), query, termWeights: weights, createdAt: m.createdAt, now })
+  }));
+  if (params.sort !== 'recent') {
+    // Stable: equal scores stay newest first
+    ranked.sort((a, b) => b.score - a.score);
+  }
+
+  const pageHits = ranked.slice(skip, skip + limit);
+  const docs = await loadPage(pageHits.map(hit => hit.message._id));
+  const byId = new Map(docs.map(doc => [doc._id.toString(), doc]));
+
+  const messages = pageHits
+    .map(hit => {
+      const doc = byId.get(hit.message._id.toString());
+      if (!doc) return null;
+      return {
+        ...doc,
+        search: {
+          score: hit.score,
+          snippet: highlightSnippet(doc.message || doc.media?.fileName || '', query.terms)
+        }
+      };
+    })
+    .filter(Boolean);
+
+  // Ranked matches only, so at most CANDIDATE_LIMIT
+  return { messages, total: candidates.length, page, limit, terms: query.terms };
+};
+
+module.exports = {
+  searchMessages,
+  registerSearchEngine,
+  CANDIDATE_LIMIT
+};
@@ -1,5 +1,34 @@
 'use strict';
 
+/**
+ * Notification Bundling Service
+ * Coalesces bursts of the same push (likes on one moment, profile visits,
+ * friend requests) into one notification per window.
+ *
+ * Buckets live in Redis (redisService), so a restart or deploy doesn't
+ * drop them and every instance adds to the same bucket:
+ *   bt:nbundle:b:<id>  hash  { count, dueAt }
+ *   bt:nbundle:a:<id>  list  actor IDs
+ *   bt:nbundle:v:<id>  hash  template vars, JSON per field (latest wins)
+ *   bt:nbundle:due     zset  <id> scored by when its window closes
+ * where <id> is `${userId}|${type}|${bundleKey}`. A collect is one
+ * MULTI; the window starts at the bucket's first collect.
+ *
+ * Every instance polls `due`. Removing an <id> from it is the claim: only
+ * the instance whose ZREM succeeds flushes that bucket, reading and
+ * deleting it in one MULTI. Buckets whose window closed while no instance
+ * was running are flushed by the first poll after boot.
+ *
+ * Because a bucket can be flushed by another instance or after a restart,
+ * the push is built by a dispatcher registered per type
+ * (registerDispatcher) from the bundle alone, not by a closure.
+ *
+ * Without REDIS_URL an in-process stand-in (lib/memoryRedis.js) is used:
+ * bundling still works on a single instance but doesn't survive restarts.
+ */
+
+const MemoryRedis = require('../lib/memoryRedis');
+
 const BUNDLEABLE = {
   moment_like:      { window: 60_000,  keyFn: (d) => d.momentId },
   follower_moment:  { window: 60_000,  keyFn: (d) => d.momentId },
@@ -7,17 +36,66 @@ const BUNDLEABLE = {
   friend_request:   { window: 60_000,  keyFn: () => 'all' },
 };
 
-const buckets = new Map(); // `${userId}|${type}|${key}` -> { count, actorIds, vars, timer }
+const KEY_PREFIX = 'bt:nbundle:';
+const DUE_KEY = `${KEY_PREFIX}due`;
+const POLL_MS = 5_000;
+const FLUSH_BATCH = 100;
+// Buckets outlive their window by this much, so one orphaned by a crash
+// mid-flush doesn't stay in Redis forever
+const BUCKET_TTL_GRACE_SECONDS = 60 * 60;
+
+const dispatchers = new Map(); // type -> async (bundle) => void
+const memoryClient = new MemoryRedis();
+let _client = null; // set by tests
+let _pollHandle = null;
+let _polling = false;
+
+function client() {
+  if (_client) return _client;
+  const cache = require('./redisService');
+  return cache.isRedisAvailable() ? cache.redis : memoryClient;
+}
 
-function bucketKey(userId, type, ck) {
+function bucketId(userId, type, ck) {
   return `${userId}|${type}|${ck}`;
 }
 
-async function collect(userId, type, data, dispatcher) {
+const keysFor = (id) => ({
+  bucket: `${KEY_PREFIX}b:${id}`,
+  actors: `${KEY_PREFIX}a:${id}`,
+  vars: `${KEY_PREFIX}v:${id}`,
+});
+
+/**
+ * Set how bundles of a type are sent
+ * @param {string} type
+ * @param {Function} dispatcher - async ({ userId, type, count, actorIds, vars })
+ */
+function registerDispatcher(type, dispatcher) {
+  dispatchers.set(type, dispatcher);
+}
+
+async function dispatch(bundle) {
+  const dispatcher = dispatchers.get(bundle.type);
+  if (!dispatcher) {
+    console.error(`[notificationBundling] no dispatcher for ${bundle.type}; dropped ${bundle.count}`);
+    return;
+  }
+  await dispatcher(bundle);
+}
+
+/**
+ * Add one notification to its bucket, or send it at once when its type
+ * isn't bundled
+ * @param {string} userId - recipient
+ * @param {string} type
+ * @param {Object} data - template vars; actorId is collected separately
+ */
+async function collect(userId, type, data) {
   const cfg = BUNDLEABLE[type];
   if (!cfg) {
     // Pass-through for non-bundleable types
-    await dispatcher({
+    await dispatch({
       userId,
       type,
       count: 1,
@@ -26,45 +104,150 @@ async function collect(userId, type, data, dispatcher) {
     });
     return;
   }
-  const ck = cfg.keyFn(data) || 'all';
-  const k = bucketKey(userId, type, ck);
-  let bucket = buckets.get(k);
-  if (!bucket) {
-    bucket = { count: 0, actorIds: [], vars: data, timer: null };
-    buckets.set(k, bucket);
-    bucket.timer = setTimeout(() => flush(k, dispatcher), cfg.window);
+
+  const id = bucketId(userId, type, cfg.keyFn(data) || 'all');
+  const keys = keysFor(id);
+  const dueAt = Date.now() + cfg.window;
+  const ttl = Math.ceil(cfg.window / 1000) + BUCKET_TTL_GRACE_SECONDS;
+  const vars = Object.entries(data)
+    .filter(([, value]) => value !== undefined)
+    .map(([field, value]) => [field, JSON.stringify(value)]);
+
+  const multi = client().multi()
+    .hsetnx(keys.bucket, 'dueAt', dueAt)
+    .hincrby(keys.bucket, 'count', 1)
+    .expire(keys.bucket, ttl);
+  if (data.actorId) {
+    multi.rpush(keys.actors, String(data.actorId)).expire(keys.actors, ttl);
+  }
+  if (vars.length) {
+    multi.hset(keys.vars, Object.fromEntries(vars)).expire(keys.vars, ttl);
+  }
+  multi.zadd(DUE_KEY, 'NX', dueAt, id);
+  await multi.exec();
+
+  // The collecting process always polls too, so bundles flush even where
+  // the scheduler doesn't run
+  start();
+}
+
+/**
+ * Read, delete and send one bucket. The caller must hold the claim.
+ * @param {string} id
+ * @returns {Promise<boolean>} whether a bundle was sent
+ */
+async function flush(id) {
+  const keys = keysFor(id);
+  const results = await client().multi()
+    .hgetall(keys.bucket)
+    .lrange(keys.actors, 0, -1)
+    .hgetall(keys.vars)
+    .del(keys.bucket, keys.actors, keys.vars)
+    .exec();
+  const [[, bucket], [, actorIds], [, rawVars]] = results;
+
+  const count = Number((bucket && bucket.count) || 0);
+  if (!count) return false;
+
+  const vars = {};
+  for (const [field, value] of Object.entries(rawVars || {})) {
+    try {
+      vars[field] = JSON.parse(value);
+    } catch (err) {
+      vars[field] = value;
+    }
+  }
+
+  const [userId, type] = id.split('|');
+  await dispatch({ userId, type, count, actorIds: actorIds || [], vars });
+  return true;
+}
+
+/**
+ * Flush every bucket whose window has closed and that this instance
+ * manages to claim
+ * @param {Object} [options]
+ * @param {number} [options.now]
+ * @returns {Promise<{ sent: number }>}
+ */
+async function flushDue({ now = Date.now() } = {}) {
+  const counts = { sent: 0 };
+  const redis = client();
+
+  for (;;) {
+    const ids = await redis.zrangebyscore(DUE_KEY, '-inf', now, 'LIMIT', 0, FLUSH_BATCH);
+    if (!ids.length) break;
+
+    for (const id of ids) {
+      const claimed = await redis.zrem(DUE_KEY, id);
+      if (!claimed) continue; // another instance has it
+      try {
+        if (await flush(id)) counts.sent += 1;
+      } catch (err) {
+        console.error(`[notificationBundling] flush of ${id} failed:`, err.message);
+      }
+    }
+    if (ids.length < FLUSH_BATCH) break;
   }
-  bucket.count += 1;
-  if (data.actorId) bucket.actorIds.push(data.actorId);
-  // Keep most-recent vars (e.g. latest actorName) for template rendering
-  bucket.vars = { ...bucket.vars, ...data };
+
+  return counts;
 }
 
-async function flush(key, dispatcher) {
-  const bucket = buckets.get(key);
-  if (!bucket) return;
-  buckets.delete(key);
-  if (bucket.timer) clearTimeout(bucket.timer);
-  const [userId, type] = key.split('|');
-  await dispatcher({
-    userId,
-    type,
-    count: bucket.count,
-    actorIds: bucket.actorIds,
-    vars: bucket.vars,
-  });
+async function _poll() {
+  if (_polling) return;
+  _polling = true;
+  try {
+    await flushDue();
+  } catch (err) {
+    console.error('[notificationBundling]', err.message);
+  } finally {
+    _polling = false;
+  }
+}
+
+/**
+ * Start polling for due buckets; the first poll runs at once, recovering
+ * buckets left by a restart
+ */
+function start() {
+  if (_pollHandle) return;
+  _pollHandle = setInterval(_poll, POLL_MS);
+  _pollHandle.unref();
+  _poll();
+}
+
+function stop() {
+  if (_pollHandle) {
+    clearInterval(_pollHandle);
+    _pollHandle = null;
+  }
 }
 
 // Test helpers
-function _flushNow(userId, type, ck, dispatcher) {
-  return flush(bucketKey(userId, type, ck), dispatcher);
+async function _flushNow(userId, type, ck) {
+  const id = bucketId(userId, type, ck);
+  if (!(await client().zrem(DUE_KEY, id))) return false;
+  return flush(id);
+}
+
+function _setClient(redis) {
+  _client = redis;
 }
 
 function _reset() {
-  for (const b of buckets.values()) {
-    if (b.timer) clearTimeout(b.timer);
-  }
-  buckets.clear();
+  stop();
+  _client = new MemoryRedis();
+  dispatchers.clear();
 }
 
-module.exports = { collect, _flushNow, _reset, BUNDLEABLE };
+module.exports = {
+  collect,
+  registerDispatcher,
+  flushDue,
+  start,
+  stop,
+  BUNDLEABLE,
+  _flushNow,
+  _setClient,
+  _reset,
+};
@@ -0,0 +1,102 @@
+/**
+ * Notification Digest Service
+ * Daily summaries for the types a user moved to the digest
+ * (User.notificationRules, lib/notificationRules.js).
+ *
+ * notificationService.send() queues a NotificationDigestItem instead of
+ * pushing. jobs/notificationDigestJob.js then calls sendDueDigests: once it
+ * is past a user's digest time in their timezone, they get one push
+ * counting everything queued since the last summary. Stamping
+ * notificationRules.digest.lastSentAt is the claim, so a second app
+ * instance never sends the same summary.
+ */
+
+const User = require('../models/User');
+const NotificationDigestItem = require('../models/NotificationDigestItem');
+const fcmService = require('./fcmService');
+const templateService = require('./notificationTemplateService');
+const { isDigestDue, digestCounts } = require('../lib/notificationRules');
+
+const USER_BATCH = 500;
+
+/**
+ * Hold a notification for the recipient's next summary
+ * @param {string} userId
+ * @param {string} type
+ * @param {Object} notification - { title, body, data }
+ */
+const queue = async (userId, type, notification) => {
+  await NotificationDigestItem.create({
+    user: userId,
+    type,
+    title: notification.title,
+    body: notification.body,
+    data: notification.data
+  });
+};
+
+/**
+ * Send the summary of every user whose digest time has come
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<{ sent: number }>}
+ */
+const sendDueDigests = async ({ now = new Date() } = {}) => {
+  const counts = { sent: 0 };
+  const userIds = await NotificationDigestItem.distinct('user', { createdAt: { $lte: now } });
+
+  for (const userId of userIds.slice(0, USER_BATCH)) {
+    try {
+      const user = await User.findById(userId)
+        .select('notificationRules.digest quietHours preferredLocale')
+        .lean();
+      if (!user) {
+        await NotificationDigestItem.deleteMany({ user: userId });
+        continue;
+      }
+      if (!isDigestDue(user, now)) continue;
+
+      const lastSentAt = (user.notificationRules && user.notificationRules.digest &&
+        user.notificationRules.digest.lastSentAt) || null;
+      const claim = await User.updateOne(
+        { _id: userId, 'notificationRules.digest.lastSentAt': lastSentAt },
+        { $set: { 'notificationRules.digest.lastSentAt': now } }
+      );
+      if (!claim.modifiedCount) continue; // another instance has it
+
+      const items = await NotificationDigestItem.find({ user: userId, createdAt: { $lte: now } })
+        .select('type')
+        .lean();
+      if (!items.length) continue;
+      await NotificationDigestItem.deleteMany({ _id: { $in: items.map(item => item._id) } });
+
+      const { title, body } = templateService.render(
+        'notification_digest',
+        user.preferredLocale || 'en',
+        { count: items.length }
+      );
+      // Sent at the time the user picked, so quiet hours and caps don't apply
+      await fcmService.sendToUser(
+        userId,
+        { title, body },
+        {
+          type: 'notification_digest',
+          count: String(items.length),
+          types: JSON.stringify(digestCounts(items)),
+          screen: 'notifications'
+        },
+        { preChecked: true }
+      );
+      counts.sent += 1;
+    } catch (err) {
+      console.error(`[notificationDigest] summary for ${userId} failed:`, err.message);
+    }
+  }
+
+  return counts;
+};
+
+module.exports = {
+  queue,
+  sendDueDigests
+};
@@ -0,0 +1,366 @@
+/**
+ * Notification Experiment Service
+ * A/B tests of notification copy (lib/notificationExperiments.js).
+ *
+ * - render() is what notificationService uses in place of
+ *   notificationTemplateService.render() wherever the notification gets an
+ *   in-app history row: it picks the user's variant of a live experiment on
+ *   that template key and returns the experiment tag that send() stores on
+ *   the row
+ * - sendBroadcastExperiment() splits an admin broadcast across variants,
+ *   with a history row per user so opens can be counted
+ * - admins compare variants (getResults) and promote the winner, which
+ *   then goes to everyone (and, for a sampled broadcast, to the users
+ *   held back)
+ *
+ * Live template experiments are cached (LIVE_TTL_SECONDS) and dropped on
+ * every admin change.
+ */
+
+const NotificationExperiment = require('../models/NotificationExperiment');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const AdminAuditLog = require('../models/AdminAuditLog');
+const ErrorResponse = require('../utils/errorResponse');
+const templateService = require('./notificationTemplateService');
+const {
+  EXPERIMENT_STATUSES,
+  EXPERIMENT_KINDS,
+  placeholders,
+  inSample,
+  assignVariant,
+  variantCopy,
+  parseExperiment,
+  compareVariants
+} = require('../lib/notificationExperiments');
+
+const LIVE_KEY = 'notificationExperiments:live';
+const LIVE_TTL_SECONDS = 60;
+const SEND_BATCH = 500;
+
+// Required on first use: notificationService loads this module, and
+// redisService connects and starts its cleanup timer as soon as it loads
+const cache = () => require('./redisService');
+const notifications = () => require('./notificationService');
+
+/**
+ * Running and promoted template experiments (cached)
+ * @returns {Promise<Object[]>}
+ */
+const getLiveExperiments = () => cache().get(LIVE_KEY, () =>
+  NotificationExperiment.find({ kind: 'template', status: { $in: ['running', 'promoted'] } })
+    .select('templateKey variants status winner')
+    .lean(),
+LIVE_TTL_SECONDS);
+
+const invalidateLive = () => cache().invalidate(LIVE_KEY);
+
+/**
+ * Render a template for one recipient, with their variant if the key has a
+ * live experiment. Falls back to the standard template if experiments
+ * can't be loaded.
+ * @param {string} userId - recipient
+ * @param {string} type - notification_templates key
+ * @param {string} locale
+ * @param {Object} vars
+ * @returns {Promise<{ title: string, body: string, experiment: { id: string, variant: string }|null }>}
+ */
+const render = async (userId, type, locale = 'en', vars = {}) => {
+  let experiment = null;
+  try {
+    experiment = (await getLiveExperiments()).find(e => e.templateKey === type) || null;
+  } catch (err) {
+    console.error('[notificationExperiments] live experiments unavailable:', err.message);
+  }
+
+  const variant = experiment && assignVariant(experiment, userId);
+  if (!variant) {
+    return { ...templateService.render(type, locale, vars), experiment: null };
+  }
+
+  const copy = variantCopy(variant, locale);
+  const rendered = copy
+    ? { title: templateService.interpolate(copy.title, vars), body: templateService.interpolate(copy.body, vars) }
+    : templateService.render(type, locale, vars);
+  return { ...rendered, experiment: { id: String(experiment._id), variant: variant.key } };
+};
+
+/**
+ * @param {Object} [query] - { status, kind }
+ * @returns {Promise<Object[]>}
+ */
+const listExperiments = async ({ status, kind } = {}) => {
+  const filter = {};
+  if (status !== undefined) {
+    if (!EXPERIMENT_STATUSES.includes(status)) {
+      throw new ErrorResponse(`status must be one of ${EXPERIMENT_STATUSES.join(', ')}`, 400);
+    }
+    filter.status = status;
+  }
+  if (kind !== undefined) {
+    if (!EXPERIMENT_KINDS.includes(kind)) {
+      throw new ErrorResponse(`kind must be one of ${EXPERIMENT_KINDS.join(', ')}`, 400);
+    }
+    filter.kind = kind;
+  }
+  return NotificationExperiment.find(filter).sort({ createdAt: -1 }).limit(100).lean();
+};
+
+const findExperiment = async (experimentId) => {
+  const experiment = await NotificationExperiment.findById(experimentId);
+  if (!experiment) {
+    throw new ErrorResponse('Experiment not found', 404, 'EXPERIMENT_NOT_FOUND');
+  }
+  return experiment;
+};
+
+/**
+ * Start a template experiment
+ * @param {Object} body - see lib/notificationExperiments.js parseExperiment
+ * @param {string} adminId
+ * @returns {Promise<Object>}
+ */
+const createExperiment = async (body, adminId) => {
+  if (body && body.kind === 'broadcast') {
+    throw new ErrorResponse('Broadcast experiments are started by sending a broadcast with variants', 400);
+  }
+  const standard = body && typeof body.templateKey === 'string' ? templateService.source(body.templateKey) : null;
+  if (body && body.templateKey && !standard) {
+    throw new ErrorResponse(`Unknown notification template: ${body.templateKey}`, 400);
+  }
+
+  const templateVars = standard ? [...placeholders(standard.title), ...placeholders(standard.body)] : [];
+  const { experiment: fields, error } = parseExperiment(body, { templateVars });
+  if (error) throw new ErrorResponse(error, 400);
+
+  const live = await NotificationExperiment.exists({
+    kind: 'template',
+    templateKey: fields.templateKey,
+    status: { $in: ['running', 'promoted'] }
+  });
+  if (live) {
+    throw new ErrorResponse(`${fields.templateKey} already has a live experiment; stop it first`, 409, 'EXPERIMENT_EXISTS');
+  }
+
+  const experiment = await NotificationExperiment.create({ ...fields, createdBy: adminId });
+  await invalidateLive();
+
+  AdminAuditLog.logAction({
+    moderator: adminId,
+    action: 'notification_experiment_created',
+    targetType: 'notification_experiment',
+    details: { experiment: experiment._id, templateKey: experiment.templateKey, variants: experiment.variants.map(v => v.key) }
+  });
+  return experiment;
+};
+
+/**
+ * An experiment with its per-variant results
+ * @param {string} experimentId
+ * @returns {Promise<Object>}
+ */
+const getResults = async (experimentId) => {
+  const experiment = await findExperiment(experimentId);
+  const rows = await Notification.aggregate([
+    { $match: { experiment: experiment._id } },
+    {
+      $group: {
+        _id: '$variant',
+        sent: { $sum: 1 },
+        opened: { $sum: { $cond: ['$clicked', 1, 0] } },
+        read: { $sum: { $cond: ['$read', 1, 0] } }
+      }
+    }
+  ]);
+
+  return { experiment, results: compareVariants(experiment.variants, rows) };
+};
+
+/**
+ * Send a push to many users, SEND_BATCH at a time. Broadcasts are 'system'
+ * notifications, so each one still goes through the recipient's rules.
+ * @param {Array<{ userId, notification, data }>} sends
+ * @returns {Promise<{ successful: number, errored: number, delivered: number, failed: number }>}
+ */
+const sendAll = async (sends) => {
+  const summary = { successful: 0, errored: 0, delivered: 0, failed: 0 };
+  for (let i = 0; i < sends.length; i += SEND_BATCH) {
+    const results = await Promise.allSettled(
+      sends.slice(i, i + SEND_BATCH).map(s => notifications().sendPush(s.userId, 'system', s.notification, s.data))
+    );
+    for (const result of results) {
+      if (result.status === 'fulfilled' && result.value.success) {
+        summary.successful++;
+        summary.delivered += result.value.delivered || 0;
+        summary.failed += result.value.failed || 0;
+      } else {
+        summary.errored++;
+      }
+    }
+  }
+  return summary;
+};
+
+/**
+ * Users a broadcast goes to: everyone with an active FCM token
+ * @returns {Promise<string[]>}
+ */
+const broadcastAudience = async () => {
+  const users = await User.find({ 'fcmTokens.active': true }).select('_id').lean();
+  return users.map(u => u._id);
+};
+
+/**
+ * Send a broadcast split across copy variants. Each user in the sample gets
+ * a history row tagged with their variant, so opens can be compared.
+ * @param {Object} body - { name?, variants: [{ key, weight, title, body }], sampleRate?, imageUrl? }
+ * @param {string} adminId
+ * @returns {Promise<{ experiment: Object, usersTargeted: number, heldBack: number, summary: Object }>}
+ */
+const sendBroadcastExperiment = async (body, adminId) => {
+  const broadcastId = `broadcast_${Date.now()}`;
+  const { experiment: fields, error } = parseExperiment({
+    ...body,
+    kind: 'broadcast',
+    name: body.name || broadcastId
+  });
+  if (error) throw new ErrorResponse(error, 400);
+
+  const audience = await broadcastAudience();
+  if (audience.length === 0) {
+    throw new ErrorResponse('No users with active FCM tokens', 400);
+  }
+
+  const experiment = await NotificationExperiment.create({ ...fields, broadcastId, createdBy: adminId });
+  const sample = audience.filter(userId => inSample(experiment, userId));
+
+  const data = { type: 'system_broadcast', timestamp: new Date().toISOString(), broadcastId };
+  const sends = [];
+  for (let i = 0; i < sample.length; i += SEND_BATCH) {
+    const rows = sample.slice(i, i + SEND_BATCH).map(userId => {
+      const variant = assignVariant(experiment, userId);
+      return {
+        userId,
+        type: 'system',
+        title: variant.title,
+        body: variant.body,
+        imageUrl: body.imageUrl || null,
+        data,
+        experiment: experiment._id,
+        variant: variant.key
+      };
+    });
+    const saved = await Notification.insertMany(rows, { ordered: false });
+    for (const row of saved) {
+      sends.push({
+        userId: row.userId,
+        notification: { title: row.title, body: row.body, imageUrl: row.imageUrl || undefined },
+        data: { ...data, notificationId: String(row._id) }
+      });
+    }
+  }
+
+  const summary = await sendAll(sends);
+
+  AdminAuditLog.logAction({
+    moderator: adminId,
+    action: 'broadcast_experiment_sent',
+    targetType: 'notification_experiment',
+    details: {
+      experiment: experiment._id,
+      broadcastId,
+      variants: experiment.variants.map(v => ({ key: v.key, title: v.title })),
+      usersTargeted: sample.length,
+      devicesReached: summary.delivered
+    }
+  });
+
+  return { experiment, usersTargeted: sample.length, heldBack: audience.length - sample.length, summary };
+};
+
+/**
+ * Make a variant the winner. A template experiment's winner then goes to
+ * everyone; a sampled broadcast's winner is sent to the users held back.
+ * @param {string} experimentId
+ * @param {string} variantKey
+ * @param {string} adminId
+ * @returns {Promise<{ experiment: Object, rollout: Object|null }>}
+ */
+const promoteExperiment = async (experimentId, variantKey, adminId) => {
+  const experiment = await findExperiment(experimentId);
+  if (experiment.status !== 'running') {
+    throw new ErrorResponse(`Only a running experiment can be promoted (this one is ${experiment.status})`, 400);
+  }
+  const winner = experiment.variants.find(v => v.key === variantKey);
+  if (!winner) {
+    throw new ErrorResponse(`Unknown variant: ${variantKey}`, 400);
+  }
+
+  const updated = await NotificationExperiment.findOneAndUpdate(
+    { _id: experiment._id, status: 'running' },
+    { $set: { status: 'promoted', winner: winner.key, endedAt: new Date() } },
+    { new: true }
+  );
+  if (!updated) {
+    throw new ErrorResponse('Experiment was changed by someone else; reload it', 409);
+  }
+
+  let rollout = null;
+  if (updated.kind === 'template') {
+    await invalidateLive();
+  } else if (updated.sampleRate < 1) {
+    const rest = (await broadcastAudience()).filter(userId => !inSample(updated, userId));
+    const data = { type: 'system_broadcast', timestamp: new Date().toISOString(), broadcastId: updated.broadcastId };
+    rollout = {
+      usersTargeted: rest.length,
+      ...(await sendAll(rest.map(userId => ({
+        userId,
+        notification: { title: winner.title, body: winner.body },
+        data
+      }))))
+    };
+  }
+
+  AdminAuditLog.logAction({
+    moderator: adminId,
+    action: 'notification_experiment_promoted',
+    targetType: 'notification_experiment',
+    details: { experiment: updated._id, winner: winner.key, rollout }
+  });
+  return { experiment: updated, rollout };
+};
+
+/**
+ * End an experiment; a template key goes back to its standard copy
+ * @param {string} experimentId
+ * @param {string} adminId
+ * @returns {Promise<Object>}
+ */
+const stopExperiment = async (experimentId, adminId) => {
+  const experiment = await findExperiment(experimentId);
+  if (experiment.status === 'stopped') return experiment;
+
+  experiment.status = 'stopped';
+  experiment.endedAt = experiment.endedAt || new Date();
+  await experiment.save();
+  if (experiment.kind === 'template') await invalidateLive();
+
+  AdminAuditLog.logAction({
+    moderator: adminId,
+    action: 'notification_experiment_stopped',
+    targetType: 'notification_experiment',
+    details: { experiment: experiment._id }
+  });
+  return experiment;
+};
+
+module.exports = {
+  render,
+  listExperiments,
+  createExperiment,
+  getResults,
+  broadcastAudience,
+  sendBroadcastExperiment,
+  promoteExperiment,
+  stopExperiment
+};
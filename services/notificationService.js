@@ -1,9 +1,13 @@
 const User = require('../models/User');
 const Notification = require('../models/Notification');
 const fcmService = require('./fcmService');
+const webPushService = require('./webPushService');
 const templates = require('../utils/notificationTemplates');
 const templateService = require('./notificationTemplateService');
+const experimentService = require('./notificationExperimentService');
 const bundlingService = require('./notificationBundlingService');
+const digestService = require('./notificationDigestService');
+const { resolveChannels, pushSuppression } = require('../lib/notificationRules');
 
 /**
  * Notification Service
@@ -35,7 +39,8 @@ function shouldNotify(user, type) {
  * Generic send notification method
  * @param {String} userId - Recipient user ID
  * @param {String} type - Notification type
- * @param {Object} notificationData - { title, body, imageUrl, data }
+ * @param {Object} notificationData - { title, body, imageUrl, data, experiment }
+ *   (experiment: { id, variant } from notificationExperimentService.render)
  * @returns {Object} - Result
  */
 const send = async (userId, type, notificationData) => {
@@ -46,37 +51,77 @@ const send = async (userId, type, notificationData) => {
       return { success: false, error: 'User not found' };
     }
 
-    // Check if we should send this notification
-    const shouldSend = await _shouldSendNotification(user, type, notificationData.data);
+    // Check how (and whether) the user wants this notification
+    const decision = await _shouldSendNotification(user, type, notificationData.data);
+    const { push, inApp, email, digest, suppressedReason } = decision;
 
-    if (!shouldSend) {
+    if (!push && !inApp && !email && !digest && !suppressedReason) {
       console.log(`ℹ️ Skipping notification for user ${userId} (preferences/muted)`);
       return { success: true, skipped: true, reason: 'User preferences' };
     }
 
-    // Save to notification history (skip chat_message - shown in chat list)
+    const body = user.notificationSettings.showPreview ? notificationData.body : 'You have a new message';
+
+    // Save to notification history (chat_message never has in-app - shown in chat list)
     let historyRow = null;
-    if (type !== 'chat_message') {
+    if (inApp) {
       historyRow = await _saveToHistory(
         userId,
         type,
         notificationData.title,
         notificationData.body,
         notificationData.data,
-        notificationData.imageUrl
+        notificationData.imageUrl,
+        suppressedReason,
+        notificationData.experiment
       );
     }
 
-    // Send via FCM
-    const result = await fcmService.sendToUser(
-      userId,
-      {
-        title: notificationData.title,
-        body: user.notificationSettings.showPreview ? notificationData.body : 'You have a new message',
-        imageUrl: notificationData.imageUrl
-      },
-      notificationData.data
-    );
+    if (digest) {
+      await digestService.queue(userId, type, notificationData);
+    }
+
+    if (email) {
+      // Not awaited: mail delivery is slow and sendNotificationEmail never throws
+      require('./emailService').sendNotificationEmail(user, notificationData.title, body);
+    }
+
+    if (!push) {
+      if (suppressedReason) {
+        console.log(`🔕 Suppressed ${type} push to user ${userId} (${suppressedReason})`);
+        return { suppressed: true, reason: suppressedReason };
+      }
+      return { success: true, skipped: true, reason: digest ? 'Digest' : 'User preferences' };
+    }
+
+    // The app reports a tap back with this id (POST /mark-opened), which is
+    // what send times are learned from
+    const pushData = historyRow
+      ? { ...notificationData.data, notificationId: String(historyRow._id) }
+      : notificationData.data;
+
+    // Each device on its own channel: phones through FCM, browsers through
+    // Web Push. The gates above already covered quiet hours and caps.
+    const pushNotification = {
+      title: notificationData.title,
+      body,
+      imageUrl: notificationData.imageUrl
+    };
+    const [fcmResult, webResult] = await Promise.all([
+      fcmService.sendToUser(userId, pushNotification, pushData, { preChecked: true }),
+      webPushService.sendToUser(user, pushNotification, pushData)
+    ]);
+    const result = _mergePushResults(fcmResult, webResult);
+
+    // fcmService counts its own deliveries toward the caps; count a push
+    // that only reached browsers here
+    if (webResult.delivered > 0 && !(fcmResult.delivered > 0)) {
+      try {
+        await fcmService.recordSend(userId, type);
+      } catch (err) {
+        console.error(`⚠️ Failed to record send counter for user ${userId}:`, err);
+      }
+    }
 
     // Update badge count (skip chat_message - uses unreadMessages badge instead).
     // Task 5 (Workstream E-core) — badge must only bump when the history row
@@ -94,6 +139,51 @@ const send = async (userId, type, notificationData) => {
   }
 };
 
+/**
+ * Push that has no history row of its own (or already has one) but still
+ * goes through the user's rules: category toggles, the type's push channel
+ * and conversation/room overrides. Quiet hours and caps are left to
+ * fcmService.sendToUser, which records a suppressed push.
+ * @param {String} userId - Recipient user ID
+ * @param {String} type - Notification type the rules are read for
+ * @param {Object} notification - { title, body, imageUrl }
+ * @param {Object} data - Push data
+ * @returns {Object} - Result
+ */
+const sendPush = async (userId, type, notification, data = {}) => {
+  try {
+    const user = await User.findById(userId);
+    if (!user) {
+      return { success: false, error: 'User not found' };
+    }
+
+    const { push, suppressedReason } = await _shouldSendNotification(user, type, data);
+    if (!push && !suppressedReason) {
+      return { success: true, skipped: true, reason: 'User preferences' };
+    }
+
+    return await fcmService.sendToUser(userId, notification, data);
+  } catch (error) {
+    console.error('❌ Error in notification sendPush:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * One result for a push sent over FCM and Web Push. The FCM result as is
+ * when the user has no browser subscriptions.
+ * @private
+ */
+const _mergePushResults = (fcmResult, webResult) => {
+  if (!webResult.delivered && !webResult.failed && webResult.success) return fcmResult;
+  return {
+    success: !!(fcmResult.success || webResult.success),
+    delivered: (fcmResult.delivered || 0) + (webResult.delivered || 0),
+    failed: (fcmResult.failed || 0) + (webResult.failed || 0),
+    ...(fcmResult.error && webResult.error ? { error: fcmResult.error } : {})
+  };
+};
+
 /**
  * Send chat message notification
  * @param {String} recipientId - Recipient user ID
@@ -173,6 +263,108 @@ const sendChatMessage = async (recipientId, senderId, message) => {
   }
 };
 
+/**
+ * Send a private group chat message notification. Goes through the
+ * chat_message preferences and mutes like a DM; the title names the group.
+ * @param {String} recipientId - Group member (not the sender)
+ * @param {String} senderId - Sender user ID
+ * @param {Object} group - Conversation with `_id`, `groupName`
+ * @param {Object} message - Message with `_id`, `message`, `messageType`
+ * @returns {Object} - Result
+ */
+const sendGroupMessage = async (recipientId, senderId, group, message) => {
+  try {
+    const [sender, recipient] = await Promise.all([
+      User.findById(senderId),
+      User.findById(recipientId),
+    ]);
+    if (!sender) return { success: false, error: 'Sender not found' };
+
+    let snippet = message.message || '';
+    if (message.messageType === 'gif') snippet = '🎬 GIF';
+    else if (message.messageType === 'sticker') snippet = '🏷️ Sticker';
+    else if (message.messageType === 'poll') snippet = message.message || '📊 Poll';
+    if (snippet.length > 100) snippet = `${snippet.substring(0, 100)}...`;
+
+    const { title, body } = templateService.render(
+      'room_message',
+      recipient?.preferredLocale || 'en',
+      { actorName: sender.name, roomName: group.groupName || 'a group', snippet },
+    );
+
+    const notification = {
+      title,
+      body,
+      data: {
+        type: 'chat_message',
+        senderId: String(senderId),
+        conversationId: String(group._id),
+        messageId: String(message._id),
+        isGroup: 'true',
+        screen: 'chat',
+      },
+    };
+
+    if (group.groupAvatar) {
+      notification.imageUrl = group.groupAvatar;
+    } else if (sender.images && sender.images.length > 0) {
+      notification.imageUrl = sender.images[0];
+    }
+
+    const result = await send(recipientId, 'chat_message', notification);
+    if (result.success && !result.skipped) {
+      await _updateBadgeCount(recipientId, 'messages', 1);
+    }
+    return result;
+  } catch (error) {
+    console.error('❌ Error sending group message notification:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Send a secret chat (end-to-end encrypted) message notification.
+ * Content-free: the server can't read the message, and the push names
+ * neither the sender nor the text — only which conversation to open.
+ * Goes through send() as 'chat_message' so chat preferences and muted
+ * chats still apply.
+ * @param {String} recipientId - Recipient user ID
+ * @param {String} senderId - Sender user ID (not included in the payload)
+ * @param {Object} message - { _id, conversation }
+ * @returns {Object} - Result
+ */
+const sendSecretChatMessage = async (recipientId, senderId, message) => {
+  try {
+    const recipient = await User.findById(recipientId);
+
+    const { title, body } = templateService.render(
+      'secret_chat_message',
+      recipient?.preferredLocale || 'en',
+      {},
+    );
+
+    const result = await send(recipientId, 'chat_message', {
+      title,
+      body,
+      data: {
+        type: 'secret_chat_message',
+        conversationId: message.conversation?.toString() || '',
+        messageId: message._id?.toString() || '',
+        screen: 'chat',
+      },
+    });
+
+    if (result.success && !result.skipped) {
+      await _updateBadgeCount(recipientId, 'messages', 1);
+    }
+
+    return result;
+  } catch (error) {
+    console.error('❌ Error sending secret chat notification:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 /**
  * Send moment like notification
  * @param {String} momentOwnerId - Moment owner user ID
@@ -192,46 +384,12 @@ const sendMomentLike = async (momentOwnerId, likerId, momentId) => {
       return { success: false, error: 'Liker, moment, or owner not found' };
     }
 
-    await bundlingService.collect(
-      String(momentOwnerId),
-      'moment_like',
-      {
-        momentId: String(momentId),
-        actorId: String(likerId),
-        actorName: liker.name,
-        likerImage: liker.images && liker.images.length > 0 ? liker.images[0] : null,
-      },
-      async (bundle) => {
-        const tplKey = bundle.count > 1 ? 'moment_like_bundle' : 'moment_like_single';
-        const { title, body } = templateService.render(
-          tplKey,
-          owner.preferredLocale || 'en',
-          {
-            actorName: bundle.vars.actorName,
-            othersCount: Math.max(bundle.count - 1, 0),
-          },
-        );
-
-        const notification = {
-          title,
-          body,
-          data: {
-            type: 'moment_like',
-            userId: likerId,
-            momentId: String(momentId),
-            screen: 'moment_detail',
-            bundleSize: bundle.count,
-            bundleActors: bundle.actorIds,
-          },
-        };
-
-        if (bundle.vars.likerImage) {
-          notification.imageUrl = bundle.vars.likerImage;
-        }
-
-        await send(String(momentOwnerId), 'moment_like', notification);
-      },
-    );
+    await bundlingService.collect(String(momentOwnerId), 'moment_like', {
+      momentId: String(momentId),
+      actorId: String(likerId),
+      actorName: liker.name,
+      likerImage: liker.images && liker.images.length > 0 ? liker.images[0] : null,
+    });
 
     return { success: true, bundled: true };
   } catch (error) {
@@ -264,7 +422,8 @@ const sendMomentComment = async (momentOwnerId, commenterId, momentId, comment)
       ? `${commentText.substring(0, 80)}...`
       : commentText;
 
-    const { title, body } = templateService.render(
+    const { title, body, experiment } = await experimentService.render(
+      momentOwnerId,
       'moment_comment',
       owner?.preferredLocale || 'en',
       { actorName: commenter.name, snippet },
@@ -273,6 +432,7 @@ const sendMomentComment = async (momentOwnerId, commenterId, momentId, comment)
     const notification = {
       title,
       body,
+      experiment,
       data: {
         type: 'moment_comment',
         userId: commenterId,
@@ -311,44 +471,11 @@ const sendFriendRequest = async (recipientId, requesterId) => {
       return { success: false, error: 'Requester or recipient not found' };
     }
 
-    await bundlingService.collect(
-      String(recipientId),
-      'friend_request',
-      {
-        actorId: String(requesterId),
-        actorName: requester.name,
-        requesterImage: requester.images && requester.images.length > 0 ? requester.images[0] : null,
-      },
-      async (bundle) => {
-        const tplKey = bundle.count > 1 ? 'friend_request_bundle' : 'friend_request_single';
-        const { title, body } = templateService.render(
-          tplKey,
-          recipient.preferredLocale || 'en',
-          {
-            actorName: bundle.vars.actorName,
-            count: bundle.count,
-          },
-        );
-
-        const notification = {
-          title,
-          body,
-          data: {
-            type: 'friend_request',
-            userId: requesterId,
-            screen: 'profile',
-            bundleSize: bundle.count,
-            bundleActors: bundle.actorIds,
-          },
-        };
-
-        if (bundle.vars.requesterImage) {
-          notification.imageUrl = bundle.vars.requesterImage;
-        }
-
-        await send(String(recipientId), 'friend_request', notification);
-      },
-    );
+    await bundlingService.collect(String(recipientId), 'friend_request', {
+      actorId: String(requesterId),
+      actorName: requester.name,
+      requesterImage: requester.images && requester.images.length > 0 ? requester.images[0] : null,
+    });
 
     return { success: true, bundled: true };
   } catch (error) {
@@ -407,44 +534,11 @@ const sendProfileVisit = async (profileOwnerId, visitorId) => {
       return { success: false, error: 'Visitor or profile owner not found' };
     }
 
-    await bundlingService.collect(
-      String(profileOwnerId),
-      'profile_visit',
-      {
-        actorId: String(visitorId),
-        actorName: visitor.name,
-        visitorImage: visitor.images && visitor.images.length > 0 ? visitor.images[0] : null,
-      },
-      async (bundle) => {
-        const tplKey = bundle.count > 1 ? 'profile_visit_bundle' : 'profile_visit_single';
-        const { title, body } = templateService.render(
-          tplKey,
-          profileOwner.preferredLocale || 'en',
-          {
-            actorName: bundle.vars.actorName,
-            count: bundle.count,
-          },
-        );
-
-        const notification = {
-          title,
-          body,
-          data: {
-            type: 'profile_visit',
-            userId: visitorId,
-            screen: 'profile',
-            bundleSize: bundle.count,
-            bundleActors: bundle.actorIds,
-          },
-        };
-
-        if (bundle.vars.visitorImage) {
-          notification.imageUrl = bundle.vars.visitorImage;
-        }
-
-        await send(String(profileOwnerId), 'profile_visit', notification);
-      },
-    );
+    await bundlingService.collect(String(profileOwnerId), 'profile_visit', {
+      actorId: String(visitorId),
+      actorName: visitor.name,
+      visitorImage: visitor.images && visitor.images.length > 0 ? visitor.images[0] : null,
+    });
 
     return { success: true, bundled: true };
   } catch (error) {
@@ -551,14 +645,15 @@ const sendStoryMention = async (recipientId, senderId, storyId) => {
 };
 
 /**
- * Check if notification should be sent based on user preferences
+ * Whether the user's category toggles (notificationSettings and
+ * notificationPreferences) allow a type at all
  * @private
  * @param {Object} user - User document
  * @param {String} type - Notification type
  * @param {Object} data - Notification data
- * @returns {Boolean} - Whether to send
+ * @returns {Boolean}
  */
-const _shouldSendNotification = async (user, type, data = {}) => {
+const _typeEnabled = (user, type, data = {}) => {
   // Check if notifications are globally enabled
   if (!user.notificationSettings.enabled) {
     return false;
@@ -570,10 +665,6 @@ const _shouldSendNotification = async (user, type, data = {}) => {
       if (!user.notificationSettings.chatMessages) {
         return false;
       }
-      // Check if conversation is muted
-      if (data.conversationId && user.notificationSettings.mutedChats.includes(data.conversationId)) {
-        return false;
-      }
       // notification preferences gate
       if (!shouldNotify(user, 'chat')) return false;
       break;
@@ -690,6 +781,32 @@ const _shouldSendNotification = async (user, type, data = {}) => {
   return true;
 };
 
+/**
+ * Decide how a notification reaches the user. This is the one place their
+ * preferences are enforced: category toggles, per-type channel rules,
+ * conversation/room overrides (muted chats included) and the daily digest
+ * (lib/notificationRules.js), then quiet hours and frequency caps for the
+ * push.
+ * @private
+ * @param {Object} user - User document
+ * @param {String} type - Notification type
+ * @param {Object} data - Notification data
+ * @param {Date} [now]
+ * @returns {Object} - { push, inApp, email, digest, suppressedReason }
+ */
+const _shouldSendNotification = async (user, type, data = {}, now = new Date()) => {
+  if (!_typeEnabled(user, type, data)) {
+    return { push: false, inApp: false, email: false, digest: false, suppressedReason: null };
+  }
+
+  const decision = { ...resolveChannels(user, type, data), suppressedReason: null };
+  if (decision.push) {
+    decision.suppressedReason = pushSuppression(user, type, now);
+    if (decision.suppressedReason) decision.push = false;
+  }
+  return decision;
+};
+
 /**
  * Update user's badge count
  * @private
@@ -724,9 +841,11 @@ const _updateBadgeCount = async (userId, type, increment = 1) => {
  * @param {String} body - Notification body
  * @param {Object} data - Notification data
  * @param {String} imageUrl - Optional image URL
+ * @param {String} suppressedReason - Why the push was held back, if it was
+ * @param {Object} experiment - { id, variant } of the copy experiment, if any
  * @returns {Object} - Created notification
  */
-const _saveToHistory = async (userId, type, title, body, data = {}, imageUrl = null) => {
+const _saveToHistory = async (userId, type, title, body, data = {}, imageUrl = null, suppressedReason = null, experiment = null) => {
   try {
     const notification = await Notification.create({
       userId,
@@ -735,8 +854,11 @@ const _saveToHistory = async (userId, type, title, body, data = {}, imageUrl = n
       body,
       imageUrl,
       data,
+      suppressedReason,
       bundleSize: data.bundleSize || 1,
       bundleActors: Array.isArray(data.bundleActors) ? data.bundleActors : [],
+      experiment: experiment ? experiment.id : null,
+      variant: experiment ? experiment.variant : null,
     });
 
     return notification;
@@ -774,49 +896,14 @@ const sendFollowerMoment = async (momentAuthorId, momentId, momentText) => {
           return;
         }
 
-        const followerLocale = follower.preferredLocale || 'en';
         const authorImage = author.images && author.images.length > 0 ? author.images[0] : null;
 
-        await bundlingService.collect(
-          String(follower._id),
-          'follower_moment',
-          {
-            momentId: String(momentId),
-            actorId: String(momentAuthorId),
-            actorName: author.name,
-            authorImage,
-          },
-          async (bundle) => {
-            const tplKey = bundle.count > 1 ? 'follower_moment_bundle' : 'follower_moment_single';
-            const { title, body } = templateService.render(
-              tplKey,
-              followerLocale,
-              {
-                actorName: bundle.vars.actorName,
-                othersCount: Math.max(bundle.count - 1, 0),
-              },
-            );
-
-            const notification = {
-              title,
-              body,
-              data: {
-                type: 'follower_moment',
-                userId: momentAuthorId,
-                momentId: String(momentId),
-                screen: 'moment_detail',
-                bundleSize: bundle.count,
-                bundleActors: bundle.actorIds,
-              },
-            };
-
-            if (bundle.vars.authorImage) {
-              notification.imageUrl = bundle.vars.authorImage;
-            }
-
-            await send(String(follower._id), 'follower_moment', notification);
-          },
-        );
+        await bundlingService.collect(String(follower._id), 'follower_moment', {
+          momentId: String(momentId),
+          actorId: String(momentAuthorId),
+          actorName: author.name,
+          authorImage,
+        });
 
         sentCount++;
       } catch (error) {
@@ -855,7 +942,8 @@ const sendCommentReply = async (parentAuthorId, replierId, momentId, replyText)
       ? `${replyText.substring(0, 100)}...`
       : replyText;
 
-    const { title, body } = templateService.render(
+    const { title, body, experiment } = await experimentService.render(
+      parentAuthorId,
       'comment_reply',
       parentAuthor?.preferredLocale || 'en',
       { actorName: replier.name, snippet },
@@ -864,6 +952,7 @@ const sendCommentReply = async (parentAuthorId, replierId, momentId, replyText)
     const notification = {
       title,
       body,
+      experiment,
       data: { type: 'comment_reply', userId: replierId, momentId: momentId.toString() }
     };
 
@@ -889,7 +978,8 @@ const sendCommentReaction = async (commentAuthorId, reactorId, momentId, emoji)
     ]);
     if (!reactor) return { success: false, error: 'Reactor not found' };
 
-    const { title, body } = templateService.render(
+    const { title, body, experiment } = await experimentService.render(
+      commentAuthorId,
       'comment_reaction',
       commentAuthor?.preferredLocale || 'en',
       { emoji, actorName: reactor.name },
@@ -898,6 +988,7 @@ const sendCommentReaction = async (commentAuthorId, reactorId, momentId, emoji)
     const notification = {
       title,
       body,
+      experiment,
       data: { type: 'comment_reaction', userId: reactorId, momentId: momentId.toString() }
     };
 
@@ -927,7 +1018,8 @@ const sendCommentMention = async (mentionedUserId, mentionerId, momentId, commen
       ? `${commentText.substring(0, 100)}...`
       : commentText;
 
-    const { title, body } = templateService.render(
+    const { title, body, experiment } = await experimentService.render(
+      mentionedUserId,
       'comment_mention',
       mentionedUser?.preferredLocale || 'en',
       { actorName: mentioner.name, snippet },
@@ -936,6 +1028,7 @@ const sendCommentMention = async (mentionedUserId, mentionerId, momentId, commen
     const notification = {
       title,
       body,
+      experiment,
       data: { type: 'comment_mention', userId: mentionerId, momentId: momentId.toString() }
     };
 
@@ -976,7 +1069,8 @@ const sendRoomMention = async (mentionedUserId, senderId, roomId, messageText) =
       ? `${messageText.substring(0, 100)}...`
       : (messageText || '');
 
-    const { title, body } = templateService.render(
+    const { title, body, experiment } = await experimentService.render(
+      mentionedUserId,
       'room_mention',
       mentionedUser?.preferredLocale || 'en',
       { actorName: sender.name, snippet },
@@ -985,6 +1079,7 @@ const sendRoomMention = async (mentionedUserId, senderId, roomId, messageText) =
     const notification = {
       title,
       body,
+      experiment,
       data: { type: 'room_mention', userId: senderId, roomId: roomId.toString() }
     };
 
@@ -1027,7 +1122,8 @@ const sendRoomMessage = async (recipientId, senderId, room, messageText) => {
       ? `${messageText.substring(0, 100)}...`
       : (messageText || '');
 
-    const { title, body } = templateService.render(
+    const { title, body, experiment } = await experimentService.render(
+      recipientId,
       'room_message',
       recipient?.preferredLocale || 'en',
       { actorName: sender.name, roomName: room?.title || 'a room', snippet },
@@ -1036,6 +1132,7 @@ const sendRoomMessage = async (recipientId, senderId, room, messageText) => {
     const notification = {
       title,
       body,
+      experiment,
       data: {
         type: 'room_message',
         userId: String(senderId),
@@ -1074,7 +1171,8 @@ const sendRoomJoin = async (ownerId, joinerId, room) => {
     ]);
     if (!joiner) return { success: false, error: 'Joiner not found' };
 
-    const { title, body } = templateService.render(
+    const { title, body, experiment } = await experimentService.render(
+      ownerId,
       'room_join',
       owner?.preferredLocale || 'en',
       { actorName: joiner.name, roomName: room?.title || 'a room' },
@@ -1083,6 +1181,7 @@ const sendRoomJoin = async (ownerId, joinerId, room) => {
     const notification = {
       title,
       body,
+      experiment,
       data: {
         type: 'room_join',
         userId: String(joinerId),
@@ -1123,7 +1222,8 @@ const sendRoomJoinRequest = async (ownerId, requesterId, room) => {
     ]);
     if (!requester) return { success: false, error: 'Requester not found' };
 
-    const { title, body } = templateService.render(
+    const { title, body, experiment } = await experimentService.render(
+      ownerId,
       'room_join_request',
       owner?.preferredLocale || 'en',
       { actorName: requester.name, roomName: room?.title || 'a room' },
@@ -1132,6 +1232,7 @@ const sendRoomJoinRequest = async (ownerId, requesterId, room) => {
     const notification = {
       title,
       body,
+      experiment,
       data: {
         type: 'room_join_request',
         userId: String(requesterId),
@@ -1163,7 +1264,8 @@ const sendRoomJoinApproved = async (requesterId, room) => {
     const requester = await User.findById(requesterId);
     if (!requester) return { success: false, error: 'Requester not found' };
 
-    const { title, body } = templateService.render(
+    const { title, body, experiment } = await experimentService.render(
+      requesterId,
       'room_join_approved',
       requester?.preferredLocale || 'en',
       { roomName: room?.title || 'a room' },
@@ -1172,6 +1274,7 @@ const sendRoomJoinApproved = async (requesterId, room) => {
     const notification = {
       title,
       body,
+      experiment,
       data: {
         type: 'room_join_approved',
         roomId: String(room._id),
@@ -1200,7 +1303,8 @@ const sendRoomJoinDenied = async (requesterId, room) => {
     const requester = await User.findById(requesterId);
     if (!requester) return { success: false, error: 'Requester not found' };
 
-    const { title, body } = templateService.render(
+    const { title, body, experiment } = await experimentService.render(
+      requesterId,
       'room_join_denied',
       requester?.preferredLocale || 'en',
       { roomName: room?.title || 'a room' },
@@ -1209,6 +1313,7 @@ const sendRoomJoinDenied = async (requesterId, room) => {
     const notification = {
       title,
       body,
+      experiment,
       data: {
         type: 'room_join_denied',
         roomId: String(room._id),
@@ -1229,15 +1334,9 @@ const sendRoomJoinDenied = async (requesterId, room) => {
  * @param {string} title - room title
  */
 const sendScheduledRoomStarted = async (userId, roomId, title) => {
-  // fcmTokens (plural array) is the real schema field — the old singular
-  // `fcmToken` select never matched anything, so this early-return fired for
-  // every user and these pushes silently never sent (E-core audit fix).
-  const user = await User.findById(userId).select('fcmTokens notificationPreferences');
-  if (!user?.fcmTokens?.some((t) => t.active)) return;
-  if (!shouldNotify(user, 'voiceRoomStart')) return;
-
-  await fcmService.sendToUser(
-    user._id,
+  return sendPush(
+    userId,
+    'voice_room_start',
     {
       title: 'Room starting now',
       body: `${title} is starting now`,
@@ -1258,17 +1357,13 @@ const sendScheduledRoomStarted = async (userId, roomId, title) => {
  * @param {'1h'|'15min'} when - reminder window label
  */
 const sendScheduledRoomReminder = async (userId, roomId, title, when) => {
-  // Same fcmTokens-array fix as sendScheduledRoomStarted (E-core audit).
-  const user = await User.findById(userId).select('fcmTokens notificationPreferences');
-  if (!user?.fcmTokens?.some((t) => t.active)) return;
-  if (!shouldNotify(user, 'scheduledRoomReminder')) return;
-
   const body = when === '1h'
     ? `${title} starts in 1 hour`
     : `${title} starts in 15 minutes`;
 
-  await fcmService.sendToUser(
-    user._id,
+  return sendPush(
+    userId,
+    'scheduled_room_reminder',
     {
       title: 'Upcoming room',
       body,
@@ -1317,11 +1412,154 @@ const sendVipRenewalWarning = async (userId, daysLeft) => {
   }
 };
 
+// ========== BUNDLED PUSHES ==========
+// Sent by notificationBundlingService when a bundle's window closes, maybe
+// on another instance or after a restart, so each push is rebuilt from the
+// bundle alone: recipient, count, actor IDs and the latest actor's vars.
+
+const recipientLocale = async (userId) => {
+  const user = await User.findById(userId).select('preferredLocale').lean();
+  return (user && user.preferredLocale) || 'en';
+};
+
+bundlingService.registerDispatcher('moment_like', async (bundle) => {
+  const tplKey = bundle.count > 1 ? 'moment_like_bundle' : 'moment_like_single';
+  const { title, body, experiment } = await experimentService.render(
+    bundle.userId,
+    tplKey,
+    await recipientLocale(bundle.userId),
+    {
+      actorName: bundle.vars.actorName,
+      othersCount: Math.max(bundle.count - 1, 0),
+    },
+  );
+
+  const notification = {
+    title,
+    body,
+    experiment,
+    data: {
+      type: 'moment_like',
+      userId: bundle.vars.actorId,
+      momentId: bundle.vars.momentId,
+      screen: 'moment_detail',
+      bundleSize: bundle.count,
+      bundleActors: bundle.actorIds,
+    },
+  };
+
+  if (bundle.vars.likerImage) {
+    notification.imageUrl = bundle.vars.likerImage;
+  }
+
+  await send(bundle.userId, 'moment_like', notification);
+});
+
+bundlingService.registerDispatcher('follower_moment', async (bundle) => {
+  const tplKey = bundle.count > 1 ? 'follower_moment_bundle' : 'follower_moment_single';
+  const { title, body, experiment } = await experimentService.render(
+    bundle.userId,
+    tplKey,
+    await recipientLocale(bundle.userId),
+    {
+      actorName: bundle.vars.actorName,
+      othersCount: Math.max(bundle.count - 1, 0),
+    },
+  );
+
+  const notification = {
+    title,
+    body,
+    experiment,
+    data: {
+      type: 'follower_moment',
+      userId: bundle.vars.actorId,
+      momentId: bundle.vars.momentId,
+      screen: 'moment_detail',
+      bundleSize: bundle.count,
+      bundleActors: bundle.actorIds,
+    },
+  };
+
+  if (bundle.vars.authorImage) {
+    notification.imageUrl = bundle.vars.authorImage;
+  }
+
+  await send(bundle.userId, 'follower_moment', notification);
+});
+
+bundlingService.registerDispatcher('friend_request', async (bundle) => {
+  const tplKey = bundle.count > 1 ? 'friend_request_bundle' : 'friend_request_single';
+  const { title, body, experiment } = await experimentService.render(
+    bundle.userId,
+    tplKey,
+    await recipientLocale(bundle.userId),
+    {
+      actorName: bundle.vars.actorName,
+      count: bundle.count,
+    },
+  );
+
+  const notification = {
+    title,
+    body,
+    experiment,
+    data: {
+      type: 'friend_request',
+      userId: bundle.vars.actorId,
+      screen: 'profile',
+      bundleSize: bundle.count,
+      bundleActors: bundle.actorIds,
+    },
+  };
+
+  if (bundle.vars.requesterImage) {
+    notification.imageUrl = bundle.vars.requesterImage;
+  }
+
+  await send(bundle.userId, 'friend_request', notification);
+});
+
+bundlingService.registerDispatcher('profile_visit', async (bundle) => {
+  const tplKey = bundle.count > 1 ? 'profile_visit_bundle' : 'profile_visit_single';
+  const { title, body, experiment } = await experimentService.render(
+    bundle.userId,
+    tplKey,
+    await recipientLocale(bundle.userId),
+    {
+      actorName: bundle.vars.actorName,
+      count: bundle.count,
+    },
+  );
+
+  const notification = {
+    title,
+    body,
+    experiment,
+    data: {
+      type: 'profile_visit',
+      userId: bundle.vars.actorId,
+      screen: 'profile',
+      bundleSize: bundle.count,
+      bundleActors: bundle.actorIds,
+    },
+  };
+
+  if (bundle.vars.visitorImage) {
+    notification.imageUrl = bundle.vars.visitorImage;
+  }
+
+  await send(bundle.userId, 'profile_visit', notification);
+});
+
 module.exports = {
   shouldNotify,
   _shouldSendNotification,
   send,
+  sendPush,
   sendChatMessage,
+  sendGroupMessage,
+  sendSecretChatMessage,
   sendMomentLike,
   sendMomentComment,
   sendFriendRequest,
@@ -31,4 +31,10 @@ function render(type, locale = 'en', vars = {}) {
   };
 }
 
-module.exports = { render };
+// Uninterpolated template, or null when there is none
+function source(type, locale = 'en') {
+  const templates = load(locale) || load('en');
+  return (templates && templates[type]) || null;
+}
+
+module.exports = { render, interpolate, source };
@@ -1,3 +1,6 @@
+const { toPhonemes, phonemeSet, alignPhonemes } = require('../lib/phonemes');
+const { matchInterference, describeInterference } = require('../lib/l1Interference');
+
 const PRONUNCIATION_WRONG_THRESHOLD = 0.6;
 
 function normalize(s) {
@@ -94,7 +97,36 @@ function alignWords(targetWords, transcriptWords) {
   return out;
 }
 
-function score(transcript, target) {
+// Phoneme breakdown of one scored word. Words the recogniser heard exactly
+// are all-ok; missing words have nothing to align against.
+function phonemeBreakdown(targetW, spokenW, status, { language, nativeLanguage }) {
+  const expected = toPhonemes(targetW, language);
+  if (status === 'ok') {
+    return expected.map(p => ({ phoneme: p, heard: p, status: 'ok', interference: null }));
+  }
+  if (status === 'missing') {
+    return expected.map(p => ({ phoneme: p, heard: null, status: 'missing', interference: null }));
+  }
+  return alignPhonemes(expected, toPhonemes(spokenW, language)).map(p => ({
+    ...p,
+    interference: p.status === 'ok'
+      ? null
+      : matchInterference({ nativeLanguage, language, expected: p.phoneme, heard: p.heard }),
+  }));
+}
+
+/**
+ * Score a transcript against the target sentence.
+ * @param {string} transcript
+ * @param {string} target
+ * @param {Object} [options]
+ * @param {string} [options.language] - target language; picks the phoneme set
+ * @param {string} [options.nativeLanguage] - learner's L1 (ISO 639-1); enables
+ *   interference tagging
+ * @returns {{ overallScore, accuracy, wordScores, transcript, phonemeSet, interference }}
+ *   wordScores[]: { word, status, charDiff, accuracy, phonemes[] }
+ */
+function score(transcript, target, options = {}) {
   const targetWords = tokens(target);
   const transcriptWords = tokens(transcript);
   const transcriptNorm = transcriptWords.join(' ');
@@ -102,32 +134,41 @@ function score(transcript, target) {
   const alignment = alignWords(targetWords, transcriptWords);
   const wordScores = [];
 
+  const push = (word, spoken, status, charDiff) => {
+    const phonemes = phonemeBreakdown(word, spoken, status, options);
+    const ok = phonemes.filter(p => p.status === 'ok').length;
+    const accuracy = status === 'ok' ? 100
+      : status === 'missing' || phonemes.length === 0 ? 0
+        : Math.round((100 * ok) / phonemes.length);
+    wordScores.push({ word, status, charDiff, accuracy, phonemes });
+  };
+
   for (const pair of alignment) {
     if (pair.targetIdx === -1) continue;
     const targetW = targetWords[pair.targetIdx];
 
     if (pair.transcriptIdx === -1) {
-      wordScores.push({ word: targetW, status: 'missing', charDiff: null });
+      push(targetW, null, 'missing', null);
       continue;
     }
 
     const spokenW = transcriptWords[pair.transcriptIdx];
     if (targetW === spokenW) {
-      wordScores.push({ word: targetW, status: 'ok', charDiff: null });
+      push(targetW, spokenW, 'ok', null);
       continue;
     }
 
-    const dist = editDistance(targetW, spokenW);
-    const ratio = 1 - dist / Math.max(targetW.length, spokenW.length);
+    // Judged on sounds, not letters: one Hangul syllable is up to three
+    // phonemes, and "berry"/"very" differ by one sound but two letters.
+    const targetP = toPhonemes(targetW, options.language);
+    const spokenP = toPhonemes(spokenW, options.language);
+    const dist = editDistance(targetP, spokenP);
+    const ratio = 1 - dist / Math.max(targetP.length, spokenP.length, 1);
 
     if (ratio >= PRONUNCIATION_WRONG_THRESHOLD) {
-      wordScores.push({
-        word: targetW,
-        status: 'wrong',
-        charDiff: computeCharDiff(targetW, spokenW),
-      });
+      push(targetW, spokenW, 'wrong', computeCharDiff(targetW, spokenW));
     } else {
-      wordScores.push({ word: targetW, status: 'missing', charDiff: null });
+      push(targetW, spokenW, 'missing', null);
     }
   }
 
@@ -139,8 +180,63 @@ function score(transcript, target) {
     totalWeight += weight;
   }
   const overallScore = totalWeight > 0 ? Math.round((100 * weightedSum) / totalWeight) : 0;
+  const accuracy = wordScores.length > 0
+    ? Math.round(wordScores.reduce((sum, w) => sum + w.accuracy, 0) / wordScores.length)
+    : 0;
+
+  const interference = new Map();
+  for (const w of wordScores) {
+    for (const p of w.phonemes) {
+      if (!p.interference) continue;
+      const entry = interference.get(p.interference)
+        || { ...describeInterference(p.interference), count: 0, words: [] };
+      entry.count++;
+      if (!entry.words.includes(w.word)) entry.words.push(w.word);
+      interference.set(p.interference, entry);
+    }
+  }
+
+  return {
+    overallScore,
+    accuracy,
+    wordScores,
+    transcript: transcriptNorm,
+    phonemeSet: phonemeSet(options.language),
+    interference: [...interference.values()].sort((a, b) => b.count - a.count),
+  };
+}
+
+/**
+ * Per-phoneme counts for one scored attempt, in the shape stored on
+ * PronunciationAttempt.phonemeTally.
+ * @param {Array} wordScores - from score()
+ * @returns {Array<{ phoneme: string, attempts: number, correct: number, interference: string[] }>}
+ */
+function tallyPhonemes(wordScores) {
+  const tally = new Map();
+  for (const w of wordScores || []) {
+    for (const p of w.phonemes || []) {
+      const entry = tally.get(p.phoneme) || { phoneme: p.phoneme, attempts: 0, correct: 0, interference: [] };
+      entry.attempts++;
+      if (p.status === 'ok') entry.correct++;
+      if (p.interference) entry.interference.push(p.interference);
+      tally.set(p.phoneme, entry);
+    }
+  }
+  return [...tally.values()];
+}
 
-  return { overallScore, wordScores, transcript: transcriptNorm };
+/**
+ * Fields a scored attempt adds to a PronunciationAttempt document.
+ * @param {Object} result - from score()
+ * @returns {{ phonemeSet: string, tokenScores: Array, phonemeTally: Array }}
+ */
+function attemptBreakdown(result) {
+  return {
+    phonemeSet: result.phonemeSet,
+    tokenScores: result.wordScores.map(({ word, status, accuracy, phonemes }) => ({ word, status, accuracy, phonemes })),
+    phonemeTally: tallyPhonemes(result.wordScores),
+  };
 }
 
-module.exports = { score, PRONUNCIATION_WRONG_THRESHOLD };
+module.exports = { score, tallyPhonemes, attemptBreakdown, PRONUNCIATION_WRONG_THRESHOLD };
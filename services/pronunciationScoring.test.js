@@ -1,6 +1,6 @@
 const { test } = require('node:test');
 const assert = require('node:assert/strict');
-const { score, PRONUNCIATION_WRONG_THRESHOLD } = require('./pronunciationScoring');
+const { score, attemptBreakdown, PRONUNCIATION_WRONG_THRESHOLD } = require('./pronunciationScoring');
 
 test('exact match returns 100 and all ok', () => {
   const r = score('I walked to the park yesterday', 'I walked to the park yesterday.');
@@ -91,3 +91,43 @@ test('returns the normalized transcript in the result', () => {
   assert.equal(typeof r.transcript, 'string');
   assert.ok(r.transcript.length > 0);
 });
+
+test('phoneme breakdown: each word gets an accuracy and aligned phonemes', () => {
+  const r = score('I want to eat lice', 'I want to eat rice', { language: 'en' });
+  const rice = r.wordScores.find(w => w.word === 'rice');
+  assert.equal(r.phonemeSet, 'arpabet');
+  assert.deepEqual(rice.phonemes.map(p => [p.phoneme, p.heard, p.status]), [
+    ['R', 'L', 'substituted'], ['AY', 'AY', 'ok'], ['S', 'S', 'ok'],
+  ]);
+  assert.equal(rice.accuracy, 67);
+  assert.equal(r.wordScores.find(w => w.word === 'want').accuracy, 100);
+});
+
+test('mispronounced phonemes are tagged with the learner\'s L1-interference pattern', () => {
+  const target = 'I want to eat rice and berry pie';
+  const transcript = 'I want to eat lice and very pie';
+  const korean = score(transcript, target, { language: 'en', nativeLanguage: 'ko' });
+  assert.deepEqual(korean.interference.map(i => i.id), ['ko_r_l', 'ko_v_b']);
+  assert.deepEqual(korean.interference[0].words, ['rice']);
+
+  // Same mistakes from a German speaker: r/l is not a known German habit
+  const german = score(transcript, target, { language: 'en', nativeLanguage: 'de' });
+  assert.deepEqual(german.interference, []);
+});
+
+test('Korean words are judged on jamo, so a one-sound slip is wrong rather than missing', () => {
+  const r = score('방을 먹어요', '빵을 먹어요', { language: 'ko', nativeLanguage: 'en' });
+  const word = r.wordScores[0];
+  assert.equal(word.status, 'wrong');
+  assert.deepEqual(word.phonemes[0], { phoneme: 'pp', heard: 'b', status: 'substituted', interference: 'ko_stop_series' });
+});
+
+test('attemptBreakdown tallies phonemes across words for PronunciationAttempt', () => {
+  const r = score('lice and lock', 'rice and rock', { language: 'en', nativeLanguage: 'ja' });
+  const { phonemeSet, tokenScores, phonemeTally } = attemptBreakdown(r);
+  assert.equal(phonemeSet, 'arpabet');
+  assert.equal(tokenScores.length, 3);
+  assert.equal(tokenScores[0].charDiff, undefined);
+  const rTally = phonemeTally.find(p => p.phoneme === 'R');
+  assert.deepEqual(rTally, { phoneme: 'R', attempts: 2, correct: 0, interference: ['ja_r_l', 'ja_r_l'] });
+});
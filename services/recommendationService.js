@@ -65,6 +65,7 @@ const getAdaptiveRecommendations = async (userId, options = {}) => {
     });
 
     const response = await chatCompletion({
+      userId,
       messages: [{ role: 'user', content: prompt }],
       feature: 'recommendation',
       json: true
@@ -132,7 +133,8 @@ const getAdaptiveRecommendations = async (userId, options = {}) => {
       userId,
       feature: 'recommendation',
       tokensUsed: response.usage,
-      provider: 'openai'
+      provider: response.provider,
+      model: response.model
     });
 
     // Populate lessons for response
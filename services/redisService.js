@@ -382,6 +382,8 @@ class RedisCacheService {
         console.log(`🧹 Memory cache cleanup: removed ${cleaned} expired entries`);
       }
     }, 60000);
+    // Never the only thing keeping the process alive (tests, one-off scripts)
+    this.cleanupInterval.unref();
   }
 
   /**
@@ -0,0 +1,386 @@
+/**
+ * Scheduled Message Service
+ * Queue direct messages for later and deliver them when due.
+ *
+ * A queued message lives in ScheduledMessage only; at delivery time it
+ * becomes a normal Message (isScheduled: true, same _id as the queue
+ * entry) and goes out like any DM: conversation updated, 'newMessage' to
+ * the receiver, 'messageSent' to the sender's devices, and a chat push
+ * when the receiver has no live socket.
+ *
+ * What happens between scheduling and delivery:
+ * - Either user blocks the other → not delivered (cancelled, 'blocked').
+ * - The sender deletes the conversation → their pending messages to that
+ *   partner are cancelled ('conversation_deleted'). The receiver deleting
+ *   it doesn't stop delivery; the conversation reappears for them, as it
+ *   does for a live message.
+ * - Either account is gone → failed ('user_not_found').
+ * - The chat became a secret chat → failed ('secret_chat'); the server
+ *   can't encrypt on the sender's behalf.
+ */
+
+const Message = require('../models/Message');
+const ScheduledMessage = require('../models/ScheduledMessage');
+const Conversation = require('../models/Conversation');
+const User = require('../models/User');
+const ErrorResponse = require('../utils/errorResponse');
+const notificationService = require('./notificationService');
+const { isSecretBetween } = require('./e2eKeyService');
+
+const MIN_LEAD_MS = 60 * 1000;
+const MAX_LEAD_MS = 30 * 24 * 60 * 60 * 1000;
+const MAX_PENDING_PER_USER = 50;
+const FIRST_CHAT_MESSAGE_LIMIT = 5;
+const DELIVERY_BATCH = 100;
+// A claim older than this is assumed to belong to a crashed worker
+const STALE_CLAIM_MS = 10 * 60 * 1000;
+const MESSAGE_TYPES = ScheduledMessage.schema.path('messageType').enumValues;
+
+const parseScheduledFor = (value, now = Date.now()) => {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) {
+    throw new ErrorResponse('scheduledFor must be a valid date', 400);
+  }
+  if (date.getTime() < now + MIN_LEAD_MS) {
+    throw new ErrorResponse('scheduledFor must be at least a minute in the future', 400);
+  }
+  if (date.getTime() > now + MAX_LEAD_MS) {
+    throw new ErrorResponse('Messages can be scheduled at most 30 days ahead', 400);
+  }
+  return date;
+};
+
+const parseText = (value) => {
+  const text = typeof value === 'string' ? value.trim() : '';
+  if (!text) {
+    throw new ErrorResponse('Message text is required', 400);
+  }
+  if (text.length > 2000) {
+    throw new ErrorResponse('Message cannot exceed 2000 characters', 400);
+  }
+  return text;
+};
+
+/**
+ * Queue a message.
+ * @param {Object} sender - User document (req.user)
+ * @param {Object} params - { receiver, message, messageType, scheduledFor }
+ * @returns {Promise<Object>} the ScheduledMessage
+ */
+const scheduleMessage = async (sender, { receiver, message, messageType = 'text', scheduledFor }) => {
+  const text = parseText(message);
+  const when = parseScheduledFor(scheduledFor);
+  if (!MESSAGE_TYPES.includes(messageType)) {
+    throw new ErrorResponse(`messageType must be one of ${MESSAGE_TYPES.join(', ')}`, 400);
+  }
+  if (!receiver || !/^[0-9a-fA-F]{24}$/.test(String(receiver))) {
+    throw new ErrorResponse('A valid receiver is required', 400);
+  }
+  if (String(receiver) === String(sender._id)) {
+    throw new ErrorResponse('Cannot send message to yourself', 400);
+  }
+
+  const receiverExists = await User.exists({ _id: receiver });
+  if (!receiverExists) {
+    throw new ErrorResponse('Receiver not found', 404);
+  }
+  if (sender.isBlocked(receiver) || sender.isBlockedBy(receiver)) {
+    throw new ErrorResponse('Cannot send message to this user', 403);
+  }
+  if (await isSecretBetween(sender._id, receiver)) {
+    throw new ErrorResponse('Messages in a secret chat cannot be scheduled', 403, 'SECRET_CHAT_E2E_ONLY');
+  }
+
+  const [pending, receiverHasReplied, sentToReceiver, queuedToReceiver] = await Promise.all([
+    ScheduledMessage.countDocuments({ sender: sender._id, status: 'pending' }),
+    Message.exists({ sender: receiver, receiver: sender._id }),
+    Message.countDocuments({ sender: sender._id, receiver }),
+    ScheduledMessage.countDocuments({ sender: sender._id, receiver, status: 'pending' })
+  ]);
+  if (pending >= MAX_PENDING_PER_USER) {
+    throw new ErrorResponse(`You can have at most ${MAX_PENDING_PER_USER} scheduled messages`, 429);
+  }
+  // Same first-chat rule as live messages; queued ones count too
+  if (!receiverHasReplied && sentToReceiver + queuedToReceiver >= FIRST_CHAT_MESSAGE_LIMIT) {
+    throw new ErrorResponse(
+      `You can only send ${FIRST_CHAT_MESSAGE_LIMIT} messages until they reply. Please wait for a response.`,
+      429
+    );
+  }
+
+  const scheduled = await ScheduledMessage.create({
+    sender: sender._id,
+    receiver,
+    message: text,
+    messageType,
+    scheduledFor: when
+  });
+
+  // Counts toward the daily limit when queued, not when delivered
+  await sender.incrementMessageCount();
+
+  return scheduled;
+};
+
+/**
+ * The sender's scheduled messages.
+ * @param {string} userId
+ * @param {Object} [params] - { status: 'pending' (default) | 'sent' | 'cancelled' | 'failed' | 'all', receiver }
+ * @returns {Promise<Array>}
+ */
+const listScheduled = async (userId, { status = 'pending', receiver } = {}) => {
+  const filter = { sender: userId };
+  if (status !== 'all') {
+    if (!ScheduledMessage.schema.path('status').enumValues.includes(status)) {
+      throw new ErrorResponse('Unknown status', 400);
+    }
+    filter.status = status === 'pending' ? { $in: ['pending', 'sending'] } : status;
+  }
+  if (receiver) filter.receiver = receiver;
+
+  return ScheduledMessage.find(filter)
+    .populate('receiver', 'name username images')
+    .sort({ scheduledFor: status === 'pending' ? 1 : -1 })
+    .limit(200)
+    .lean();
+};
+
+/**
+ * Change the text or time of a pending message.
+ * @param {string} userId
+ * @param {string} id
+ * @param {Object} changes - { message, scheduledFor }
+ * @returns {Promise<Object>}
+ */
+const updateScheduled = async (userId, id, { message, scheduledFor } = {}) => {
+  const $set = {};
+  if (message !== undefined) $set.message = parseText(message);
+  if (scheduledFor !== undefined) $set.scheduledFor = parseScheduledFor(scheduledFor);
+  if (Object.keys($set).length === 0) {
+    throw new ErrorResponse('Nothing to update', 400);
+  }
+
+  // Guarded on status so an edit can't race the delivery job
+  const updated = await ScheduledMessage.findOneAndUpdate(
+    { _id: id, sender: userId, status: 'pending' },
+    { $set },
+    { new: true, runValidators: true }
+  );
+  if (!updated) {
+    throw new ErrorResponse('Scheduled message not found or already sent', 404);
+  }
+  return updated;
+};
+
+/**
+ * Cancel a pending message.
+ * @param {string} userId
+ * @param {string} id
+ * @returns {Promise<Object>}
+ */
+const cancelScheduled = async (userId, id) => {
+  const cancelled = await ScheduledMessage.findOneAndUpdate(
+    { _id: id, sender: userId, status: 'pending' },
+    { $set: { status: 'cancelled', reason: 'user' } },
+    { new: true }
+  );
+  if (!cancelled) {
+    throw new ErrorResponse('Scheduled message not found or already sent', 404);
+  }
+  return cancelled;
+};
+
+/**
+ * Cancel a user's pending messages to one partner. Called when the user
+ * deletes the conversation.
+ * @param {string} senderId
+ * @param {string} receiverId
+ * @param {string} reason
+ * @returns {Promise<number>} messages cancelled
+ */
+const cancelPendingBetween = async (senderId, receiverId, reason) => {
+  const result = await ScheduledMessage.updateMany(
+    { sender: senderId, receiver: receiverId, status: 'pending' },
+    { $set: { status: 'cancelled', reason } }
+  );
+  return result.modifiedCount || 0;
+};
+
+const finish = (scheduled, status, reason, extra = {}) => ScheduledMessage.updateOne(
+  { _id: scheduled._id, status: 'sending' },
+  { $set: { status, reason, ...extra } }
+);
+
+/**
+ * Why a claimed message must not be delivered, or null.
+ * @returns {Promise<string|null>}
+ */
+const undeliverableReason = async (scheduled, sender, receiver) => {
+  if (!sender || !receiver) return 'user_not_found';
+  if (sender.isBlocked(receiver._id) || sender.isBlockedBy(receiver._id)) return 'blocked';
+  if (await isSecretBetween(sender._id, receiver._id)) return 'secret_chat';
+  return null;
+};
+
+/**
+ * Deliver one claimed (status 'sending') message.
+ * @param {Object} scheduled - ScheduledMessage
+ * @param {Object} [io] - Socket.IO server; without one only the push goes out
+ * @returns {Promise<{ status: string, reason?: string, messageId?: string }>}
+ */
+const deliver = async (scheduled, io) => {
+  const [sender, receiver] = await Promise.all([
+    User.findById(scheduled.sender),
+    User.findById(scheduled.receiver)
+  ]);
+
+  const reason = await undeliverableReason(scheduled, sender, receiver);
+  if (reason) {
+    const status = reason === 'blocked' ? 'cancelled' : 'failed';
+    await finish(scheduled, status, reason);
+    if (io) {
+      io.to(`user_${scheduled.sender}`).emit('scheduledMessageFailed', {
+        scheduledMessageId: scheduled._id.toString(),
+        status,
+        reason
+      });
+    }
+    return { status, reason };
+  }
+
+  // Same _id as the queue entry: a retry after a crash finds the Message
+  // it already wrote instead of sending a duplicate
+  let message;
+  try {
+    message = await Message.create({
+      _id: scheduled._id,
+      sender: scheduled.sender,
+      receiver: scheduled.receiver,
+      message: scheduled.message,
+      messageType: scheduled.messageType,
+      isScheduled: true,
+      scheduledFor: scheduled.scheduledFor
+    });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    await finish(scheduled, 'sent', null, { messageId: scheduled._id, sentAt: new Date() });
+    return { status: 'sent', messageId: scheduled._id.toString() };
+  }
+
+  let conversation = await Conversation.findOne({
+    participants: { $all: [scheduled.sender, scheduled.receiver], $size: 2 },
+    isGroup: false
+  });
+  if (!conversation) {
+    conversation = await Conversation.create({
+      participants: [scheduled.sender, scheduled.receiver],
+      isGroup: false
+    });
+  }
+  conversation.lastMessage = message._id;
+  conversation.lastMessageAt = new Date();
+  // The conversation reappears for a receiver who had deleted it
+  if (conversation.deletedBy && conversation.deletedBy.length > 0) {
+    conversation.deletedBy = conversation.deletedBy.filter(
+      id => id.toString() !== scheduled.receiver.toString()
+    );
+  }
+  await conversation.updateUnreadCount(scheduled.receiver, 1);
+
+  await finish(scheduled, 'sent', null, { messageId: message._id, sentAt: new Date() });
+
+  const payload = {
+    _id: message._id,
+    sender: { _id: sender._id, name: sender.name, username: sender.username, images: sender.images, userMode: sender.userMode },
+    receiver: { _id: receiver._id, name: receiver.name, username: receiver.username, images: receiver.images, userMode: receiver.userMode },
+    message: message.message,
+    messageType: message.messageType,
+    isScheduled: true,
+    scheduledFor: message.scheduledFor,
+    read: false,
+    createdAt: message.createdAt
+  };
+
+  let receiverOnline = false;
+  if (io) {
+    io.to(`user_${scheduled.receiver}`).emit('newMessage', {
+      message: payload,
+      unreadCount: 1,
+      senderId: scheduled.sender.toString()
+    });
+    io.to(`user_${scheduled.sender}`).emit('messageSent', {
+      message: payload,
+      unreadCount: 0,
+      receiverId: scheduled.receiver.toString()
+    });
+    io.to(`user_${scheduled.sender}`).emit('scheduledMessageSent', {
+      scheduledMessageId: scheduled._id.toString(),
+      messageId: message._id.toString(),
+      conversationId: conversation._id.toString()
+    });
+    const sockets = await io.in(`user_${scheduled.receiver}`).fetchSockets();
+    receiverOnline = sockets.length > 0;
+  }
+
+  // Same rule as live socket messages: push only when the receiver is offline
+  if (!receiverOnline) {
+    notificationService.sendChatMessage(scheduled.receiver, scheduled.sender, {
+      _id: message._id,
+      text: message.message,
+      messageType: message.messageType,
+      conversation: conversation._id
+    }).catch(err => console.error('[scheduledMessages] push failed:', err.message));
+  }
+
+  return { status: 'sent', messageId: message._id.toString() };
+};
+
+/**
+ * Deliver every message that is due. Each one is claimed atomically
+ * (pending → sending) so overlapping runs or several app instances never
+ * send the same message twice.
+ * @param {Object} [options]
+ * @param {Object} [options.io]
+ * @param {Date} [options.now]
+ * @returns {Promise<{ sent: number, cancelled: number, failed: number }>}
+ */
+const deliverDueMessages = async ({ io, now = new Date() } = {}) => {
+  const counts = { sent: 0, cancelled: 0, failed: 0 };
+  const staleBefore = new Date(now.getTime() - STALE_CLAIM_MS);
+
+  for (let i = 0; i < DELIVERY_BATCH; i++) {
+    const scheduled = await ScheduledMessage.findOneAndUpdate(
+      {
+        scheduledFor: { $lte: now },
+        $or: [
+          { status: 'pending' },
+          { status: 'sending', claimedAt: { $lt: staleBefore } }
+        ]
+      },
+      { $set: { status: 'sending', claimedAt: now } },
+      { new: true, sort: { scheduledFor: 1 } }
+    );
+    if (!scheduled) break;
+
+    try {
+      const result = await deliver(scheduled, io);
+      counts[result.status] += 1;
+    } catch (err) {
+      console.error(`[scheduledMessages] delivery of ${scheduled._id} failed:`, err.message);
+      await finish(scheduled, 'failed', err.errorCode === 'SECRET_CHAT_E2E_ONLY' ? 'secret_chat' : 'error');
+      counts.failed += 1;
+    }
+  }
+
+  return counts;
+};
+
+module.exports = {
+  scheduleMessage,
+  listScheduled,
+  updateScheduled,
+  cancelScheduled,
+  cancelPendingBetween,
+  deliverDueMessages,
+  MAX_PENDING_PER_USER
+};
@@ -0,0 +1,122 @@
+/**
+ * Fake speech engine
+ * Deterministic, offline stand-in for tests and local development.
+ *
+ * TTS returns a silent WAV whose length follows the text, so clients can
+ * play it and durations look plausible. STT looks the audio up in fixtures
+ * keyed by its SHA-256 — loaded from SPEECH_ENGINES.fake.fixturesFile or
+ * added with addFixture() — and transcribes unknown audio as empty text.
+ * Tests can script results or failures with queue(), as with the fake chat
+ * provider:
+ *
+ *   fake.addFixture(audioBuffer, { text: 'hola', language: 'es' });
+ *   fake.queue({ text: 'scripted' });
+ *   fake.queue({ error: { message: 'engine down' } });
+ *
+ * Every request is recorded on `calls` for inspection.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { SPEECH_ENGINES } = require('../../config/aiConfig');
+const { estimateAudioDuration } = require('../../utils/audioUtils');
+
+const SAMPLE_RATE = 8000;
+
+/** Fixture key for a piece of audio. */
+const fixtureKey = (audio) => crypto.createHash('sha256').update(audio).digest('hex');
+
+/**
+ * 16-bit mono PCM WAV of silence.
+ * @param {Number} seconds
+ * @returns {Buffer}
+ */
+const silentWav = (seconds) => {
+  const dataSize = Math.round(SAMPLE_RATE * seconds) * 2;
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + dataSize, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);             // fmt chunk size
+  header.writeUInt16LE(1, 20);              // PCM
+  header.writeUInt16LE(1, 22);              // mono
+  header.writeUInt32LE(SAMPLE_RATE, 24);
+  header.writeUInt32LE(SAMPLE_RATE * 2, 28); // byte rate
+  header.writeUInt16LE(2, 32);              // block align
+  header.writeUInt16LE(16, 34);             // bits per sample
+  header.write('data', 36);
+  header.writeUInt32LE(dataSize, 40);
+  return Buffer.concat([header, Buffer.alloc(dataSize)]);
+};
+
+const loadFixturesFile = (file) => {
+  if (!file) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    console.error(`[speech:fake] could not load fixtures from ${file}:`, error.message);
+    return {};
+  }
+};
+
+/**
+ * @param {Object} [options]
+ * @param {String} [options.name='fake'] - Registry name
+ * @param {String} [options.fixturesFile]
+ * @returns {Object} engine
+ */
+const createFakeSpeechEngine = ({ name = 'fake', fixturesFile = SPEECH_ENGINES.fake.fixturesFile } = {}) => {
+  const fixtures = new Map(Object.entries(loadFixturesFile(fixturesFile)));
+  const scripted = [];
+  const calls = [];
+
+  const next = (request) => {
+    calls.push(request);
+    let result = scripted.length > 0 ? scripted.shift() : null;
+    if (typeof result === 'function') {
+      result = result(request);
+    }
+    if (result && result.error) {
+      throw new Error(result.error.message || `${name} speech engine error`);
+    }
+    return result;
+  };
+
+  const synthesize = async (request) => {
+    next({ kind: 'tts', ...request });
+    const seconds = Math.min(30, Math.max(0.5, estimateAudioDuration(request.text || '', request.speed || 1.0)));
+    return { audio: silentWav(seconds), format: 'wav', mimeType: 'audio/wav', voice: 'fake' };
+  };
+
+  const transcribe = async (request) => {
+    const scriptedResult = next({ kind: 'stt', ...request });
+    const result = scriptedResult || fixtures.get(fixtureKey(request.audio)) || { text: '' };
+    return {
+      text: result.text || '',
+      language: result.language || request.language,
+      duration: result.duration
+    };
+  };
+
+  return {
+    name,
+    supports: () => true,
+    ttsVoice: () => 'fake',
+    synthesize,
+    transcribe,
+    calls,
+    addFixture: (audio, result) => {
+      fixtures.set(fixtureKey(audio), result);
+    },
+    queue: (...results) => {
+      scripted.push(...results);
+    },
+    reset: () => {
+      scripted.length = 0;
+      calls.length = 0;
+    }
+  };
+};
+
+module.exports = { createFakeSpeechEngine, fixtureKey, silentWav };
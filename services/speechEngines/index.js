@@ -0,0 +1,111 @@
+/**
+ * Speech Engine Registry
+ * TTS / STT backends speechService can use, chosen per language from
+ * SPEECH_ROUTING (config/aiConfig.js) with fall-through to the next engine
+ * when one fails.
+ *
+ * An engine implements:
+ *   name                       registry key (also stored on AudioCache)
+ *   supports(kind, language)   kind 'tts' | 'stt'; false when not configured
+ *   ttsVoice(language, voice)  the voice it will actually use
+ *   synthesize({ text, language, voice, speed, format })
+ *     → { audio: Buffer, format, mimeType, voice? }
+ *   transcribe({ audio, filename, language, prompt })
+ *     → { text, language, duration }
+ */
+
+const { SPEECH_ROUTING, parseEngineList } = require('../../config/aiConfig');
+const openai = require('./openai');
+const local = require('./local');
+const { createFakeSpeechEngine } = require('./fake');
+
+const fake = createFakeSpeechEngine();
+
+const engines = new Map([
+  [openai.name, openai],
+  [local.name, local],
+  [fake.name, fake]
+]);
+
+/**
+ * Register (or replace) an engine. Used by tests and for adding backends
+ * without touching speechService.
+ * @param {Object} engine
+ */
+const registerEngine = (engine) => {
+  if (!engine || !engine.name || typeof engine.supports !== 'function') {
+    throw new Error('Speech engine must have a name and a supports() function');
+  }
+  engines.set(engine.name, engine);
+};
+
+const getEngine = (name) => engines.get(name) || null;
+
+const baseLanguage = (language) => String(language || '').toLowerCase().split(/[-_]/)[0];
+
+/**
+ * Ordered engines for a language.
+ * Precedence: SPEECH_ENGINE_OVERRIDE, <KIND>_ENGINES_<LANG>,
+ * SPEECH_ROUTING[kind].languages, SPEECH_ROUTING[kind].default. Unknown
+ * engines and engines that do not support the language are dropped.
+ * @param {String} kind - 'tts' | 'stt'
+ * @param {String} [language]
+ * @returns {Array<Object>}
+ */
+const resolveEngines = (kind, language) => {
+  const lang = baseLanguage(language);
+  const names = SPEECH_ROUTING.override
+    || (lang && parseEngineList(process.env[`${kind.toUpperCase()}_ENGINES_${lang.toUpperCase()}`]))
+    || (lang && SPEECH_ROUTING[kind].languages[lang])
+    || SPEECH_ROUTING[kind].default;
+
+  return names
+    .map(name => engines.get(name))
+    .filter(engine => engine && engine.supports(kind, language));
+};
+
+// Try each engine in turn; the last error is rethrown if all fail.
+const runChain = async (kind, language, invoke) => {
+  const chain = resolveEngines(kind, language);
+  if (chain.length === 0) {
+    throw new Error(`No ${kind.toUpperCase()} engine available for language "${language || 'unknown'}"`);
+  }
+
+  let lastError;
+  for (const engine of chain) {
+    try {
+      return { ...(await invoke(engine)), engine: engine.name };
+    } catch (error) {
+      lastError = error;
+      console.error(`[speech] ${kind} engine ${engine.name} failed:`, error.message);
+    }
+  }
+  throw lastError;
+};
+
+/**
+ * Text to speech through the language's engine chain.
+ * @param {Object} request - { text, language, voice, speed, format }
+ * @returns {Promise<Object>} { audio, format, mimeType, voice, engine }
+ */
+const synthesize = (request) => runChain('tts', request.language, async (engine) => {
+  const voice = engine.ttsVoice(request.language, request.voice);
+  const result = await engine.synthesize({ ...request, voice });
+  return { ...result, voice: result.voice || voice };
+});
+
+/**
+ * Speech to text through the language's engine chain.
+ * @param {Object} request - { audio, filename, language, prompt }
+ * @returns {Promise<Object>} { text, language, duration, engine }
+ */
+const transcribe = (request) => runChain('stt', request.language, engine => engine.transcribe(request));
+
+module.exports = {
+  registerEngine,
+  getEngine,
+  resolveEngines,
+  synthesize,
+  transcribe,
+  engines: { openai, local, fake }
+};
@@ -0,0 +1,140 @@
+/**
+ * Local speech engine — Piper (TTS) and whisper.cpp (STT) run as binaries
+ * on this host, so speech works offline and in development without a cloud
+ * key. Configured in SPEECH_ENGINES.local (config/aiConfig.js):
+ *   TTS  PIPER_VOICES_DIR with a <voice>.onnx model for the language
+ *   STT  WHISPER_CPP_MODEL (a ggml model file)
+ * ffmpeg converts between Piper/whisper.cpp WAV and the app's formats.
+ */
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { SPEECH_ENGINES } = require('../../config/aiConfig');
+
+const config = SPEECH_ENGINES.local;
+
+const FORMAT_MIME = {
+  wav: 'audio/wav',
+  mp3: 'audio/mpeg',
+  opus: 'audio/ogg',
+  aac: 'audio/aac',
+  flac: 'audio/flac'
+};
+
+const baseLanguage = (language) => String(language || '').toLowerCase().split(/[-_]/)[0];
+
+/**
+ * Run a binary with arguments (never through a shell), optionally feeding
+ * stdin. Rejects with the tail of stderr on a non-zero exit or timeout.
+ */
+const run = (bin, args, { input } = {}) => new Promise((resolve, reject) => {
+  const child = execFile(bin, args, {
+    timeout: config.timeoutMs,
+    maxBuffer: 10 * 1024 * 1024
+  }, (error, stdout, stderr) => {
+    if (error) {
+      const detail = String(stderr || error.message).trim().split('\n').slice(-3).join(' ');
+      return reject(new Error(`${path.basename(bin)} failed: ${detail}`));
+    }
+    resolve(stdout);
+  });
+  if (input !== undefined) {
+    child.stdin.end(input);
+  }
+});
+
+// Scratch directory for one request, always removed afterwards
+const withTempDir = async (work) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'speech-'));
+  try {
+    return await work(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+};
+
+const voiceFor = (language) => config.piper.voices[baseLanguage(language)] || null;
+
+const supports = (kind, language) => {
+  if (kind === 'tts') {
+    return Boolean(config.piper.voicesDir && voiceFor(language));
+  }
+  return Boolean(config.whisper.model);
+};
+
+/**
+ * @param {Object} request - { text, language, speed, format }
+ * @returns {Promise<{ audio: Buffer, format: String, mimeType: String, voice: String }>}
+ */
+const synthesize = ({ text, language, speed = 1.0, format = 'mp3' }) => withTempDir(async (dir) => {
+  const voice = voiceFor(language);
+  const wavPath = path.join(dir, 'speech.wav');
+
+  await run(config.piper.bin, [
+    '--model', path.join(config.piper.voicesDir, `${voice}.onnx`),
+    '--output_file', wavPath,
+    // Piper slows down as length_scale grows
+    '--length_scale', String(Math.round((1 / Math.max(0.25, Math.min(4.0, speed))) * 100) / 100)
+  ], { input: text });
+
+  const outputFormat = FORMAT_MIME[format] ? format : 'mp3';
+  let outputPath = wavPath;
+  if (outputFormat !== 'wav') {
+    outputPath = path.join(dir, `speech.${outputFormat}`);
+    await run(config.ffmpegBin, ['-loglevel', 'error', '-y', '-i', wavPath, outputPath]);
+  }
+
+  return {
+    audio: await fs.readFile(outputPath),
+    format: outputFormat,
+    mimeType: FORMAT_MIME[outputFormat],
+    voice
+  };
+});
+
+/**
+ * @param {Object} request - { audio: Buffer, filename, language }
+ * @returns {Promise<{ text: String, language: String, duration: Number }>}
+ */
+const transcribe = ({ audio, filename = 'audio.mp3', language }) => withTempDir(async (dir) => {
+  const ext = path.extname(filename).replace(/[^a-z0-9.]/gi, '') || '.mp3';
+  const inputPath = path.join(dir, `input${ext}`);
+  const wavPath = path.join(dir, 'pcm16k.wav');
+  const outputBase = path.join(dir, 'transcript');
+
+  await fs.writeFile(inputPath, audio);
+  // whisper.cpp only reads 16 kHz mono PCM WAV
+  await run(config.ffmpegBin, [
+    '-loglevel', 'error', '-y', '-i', inputPath,
+    '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', wavPath
+  ]);
+
+  await run(config.whisper.bin, [
+    '-m', config.whisper.model,
+    '-f', wavPath,
+    '-l', baseLanguage(language) || 'auto',
+    '-t', String(config.whisper.threads),
+    '-oj', '-of', outputBase,
+    '-np'
+  ]);
+
+  const output = JSON.parse(await fs.readFile(`${outputBase}.json`, 'utf8'));
+  const segments = output.transcription || [];
+  const last = segments[segments.length - 1];
+
+  return {
+    text: segments.map(s => String(s.text || '').trim()).filter(Boolean).join(' '),
+    language: output.result?.language || language,
+    duration: last?.offsets ? last.offsets.to / 1000 : undefined
+  };
+});
+
+module.exports = {
+  name: 'local',
+  supports,
+  ttsVoice: (language) => voiceFor(language),
+  synthesize,
+  transcribe
+};
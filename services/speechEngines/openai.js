@@ -0,0 +1,32 @@
+/**
+ * OpenAI speech engine — tts-1 for TTS, Whisper for STT.
+ */
+
+const { textToSpeech, speechToText } = require('../aiProviderService');
+const { getTTSVoice } = require('../../utils/audioUtils');
+
+const FORMAT_MIME = {
+  mp3: 'audio/mpeg',
+  opus: 'audio/ogg',
+  aac: 'audio/aac',
+  flac: 'audio/flac'
+};
+
+const isConfigured = () => Boolean(process.env.OPENAI_API_KEY);
+
+module.exports = {
+  name: 'openai',
+  // Every language Whisper and tts-1 handle, i.e. all the app offers
+  supports: () => isConfigured(),
+  ttsVoice: (language, voice) => getTTSVoice(language, voice),
+
+  synthesize: async ({ text, voice, speed, format = 'mp3' }) => {
+    const audio = await textToSpeech({ text, voice, speed, format });
+    return { audio, format, mimeType: FORMAT_MIME[format] || 'audio/mpeg' };
+  },
+
+  transcribe: async ({ audio, filename, language, prompt }) => {
+    const result = await speechToText({ audio, filename, language, prompt });
+    return { text: result.text, language: result.language, duration: result.duration };
+  }
+};
@@ -1,13 +1,15 @@
 /**
  * Speech Service
- * Handles TTS generation, STT transcription, and pronunciation evaluation
+ * Handles TTS generation, STT transcription, and pronunciation evaluation.
+ * Audio goes through the per-language engine chain in services/speechEngines
+ * (OpenAI, local Piper/whisper.cpp, or the fake engine).
  */
 
 const AudioCache = require('../models/AudioCache');
 const PronunciationAttempt = require('../models/PronunciationAttempt');
+const speechEngines = require('./speechEngines');
+const { score: scorePronunciation, attemptBreakdown } = require('./pronunciationScoring');
 const {
-  textToSpeech,
-  speechToText,
   chatCompletion,
   buildPronunciationFeedbackPrompt,
   parseJSONResponse,
@@ -18,7 +20,6 @@ const {
   validateAudioFile,
   calculatePronunciationMetrics,
   generateAudioFilename,
-  getTTSVoice,
   estimateAudioDuration
 } = require('../utils/audioUtils');
 const { uploadToSpaces, deleteFromSpaces } = require('./storageService');
@@ -51,32 +52,38 @@ const generateTTS = async (options) => {
     throw new Error(validation.errors.join(', '));
   }
 
-  // Check cache first
-  const cached = await AudioCache.getCached(text, language, voice, speed);
-  if (cached) {
-    return {
-      audioUrl: cached.audioUrl,
-      duration: cached.duration,
-      cached: true,
-      usageCount: cached.usageCount
-    };
+  // Check cache first — entries are per engine, so look under each engine
+  // this language could use, in routing order
+  for (const engine of speechEngines.resolveEngines('tts', language)) {
+    const cached = await AudioCache.getCached(
+      validation.sanitized,
+      language,
+      engine.ttsVoice(language, voice),
+      speed,
+      engine.name
+    );
+    if (cached) {
+      return {
+        audioUrl: cached.audioUrl,
+        duration: cached.duration,
+        cached: true,
+        usageCount: cached.usageCount
+      };
+    }
   }
 
-  // Select voice
-  const selectedVoice = voice || getTTSVoice(language);
-
   try {
-    // Generate audio using OpenAI TTS
-    const audioBuffer = await textToSpeech({
+    const speech = await speechEngines.synthesize({
       text: validation.sanitized,
-      voice: selectedVoice,
+      language,
+      voice,
       speed,
       format
     });
 
     // Upload to storage
-    const filename = generateAudioFilename('tts', format);
-    const audioUrl = await uploadToSpaces(audioBuffer, filename, `audio/${format}`);
+    const filename = generateAudioFilename('tts', speech.format);
+    const audioUrl = await uploadToSpaces(speech.audio, filename, speech.mimeType);
 
     // Estimate duration
     const duration = estimateAudioDuration(text, speed);
@@ -85,14 +92,14 @@ const generateTTS = async (options) => {
     await AudioCache.saveToCache({
       text: validation.sanitized,
       language,
-      voice: selectedVoice,
+      voice: speech.voice,
       speed,
       audioUrl,
-      format,
+      format: speech.format,
       duration,
-      fileSize: audioBuffer.length,
+      fileSize: speech.audio.length,
       sourceType,
-      provider: 'openai'
+      provider: speech.engine
     });
 
     // Track usage
@@ -100,8 +107,8 @@ const generateTTS = async (options) => {
       await trackUsage({
         userId,
         feature: 'tts',
-        provider: 'openai',
-        metadata: { language, voice: selectedVoice, characterCount: text.length }
+        provider: speech.engine,
+        metadata: { language, voice: speech.voice, characterCount: text.length }
       });
     }
 
@@ -109,7 +116,8 @@ const generateTTS = async (options) => {
       audioUrl,
       duration,
       cached: false,
-      voice: selectedVoice,
+      voice: speech.voice,
+      engine: speech.engine,
       characterCount: validation.characterCount
     };
   } catch (error) {
@@ -144,7 +152,7 @@ const transcribeAudio = async (options) => {
   }
 
   try {
-    const result = await speechToText({
+    const result = await speechEngines.transcribe({
       audio: audioBuffer || audioFile.buffer,
       language,
       filename: audioFile?.originalname || 'audio.mp3'
@@ -155,7 +163,7 @@ const transcribeAudio = async (options) => {
       await trackUsage({
         userId,
         feature: 'stt',
-        provider: 'openai',
+        provider: result.engine,
         metadata: { language, duration: result.duration }
       });
     }
@@ -163,7 +171,8 @@ const transcribeAudio = async (options) => {
     return {
       text: result.text,
       language: result.language || language,
-      duration: result.duration
+      duration: result.duration,
+      engine: result.engine
     };
   } catch (error) {
     console.error('STT transcription failed:', error.message);
@@ -182,6 +191,7 @@ const evaluatePronunciation = async (options) => {
     audioFile,
     targetText,
     language,
+    nativeLanguage,
     userId,
     context = {}
   } = options;
@@ -202,17 +212,20 @@ const evaluatePronunciation = async (options) => {
 
   try {
     // Step 1: Transcribe the user's audio
-    const transcription = await speechToText({
+    const transcription = await speechEngines.transcribe({
       audio: audioBuffer || audioFile.buffer,
       language,
       filename: audioFile?.originalname || 'audio.mp3'
     });
 
-    // Step 2: Calculate basic pronunciation metrics
+    // Step 2: Calculate basic pronunciation metrics and the word / phoneme
+    // alignment
     const basicMetrics = calculatePronunciationMetrics(targetText, transcription.text);
+    const alignment = scorePronunciation(transcription.text, targetText, { language, nativeLanguage });
 
     // Step 3: Get AI feedback for detailed analysis
     let aiFeedback = null;
+    let feedbackProvider = null;
     try {
       const prompt = buildPronunciationFeedbackPrompt({
         targetText,
@@ -222,12 +235,14 @@ const evaluatePronunciation = async (options) => {
       });
 
       const response = await chatCompletion({
+        userId,
         messages: [{ role: 'user', content: prompt }],
         feature: 'pronunciationFeedback',
         json: true
       });
 
       aiFeedback = parseJSONResponse(response.content);
+      feedbackProvider = response.provider;
     } catch (aiError) {
       console.error('AI feedback failed, using basic metrics:', aiError.message);
     }
@@ -291,6 +306,8 @@ const evaluatePronunciation = async (options) => {
         transcription: transcription.text,
         referenceAudioUrl,
         score: finalScore,
+        nativeLanguage,
+        ...attemptBreakdown(alignment),
         feedback,
         context: {
           source: context.source || 'practice',
@@ -306,7 +323,7 @@ const evaluatePronunciation = async (options) => {
       await trackUsage({
         userId,
         feature: 'pronunciationEvaluation',
-        provider: 'openai',
+        provider: feedbackProvider || transcription.engine,
         metadata: {
           language,
           score: finalScore.overall,
@@ -319,6 +336,9 @@ const evaluatePronunciation = async (options) => {
       attemptId,
       transcription: transcription.text,
       score: finalScore,
+      tokenScores: alignment.wordScores,
+      phonemeSet: alignment.phonemeSet,
+      interference: alignment.interference,
       feedback,
       referenceAudioUrl,
       xpAwarded,
@@ -385,11 +405,11 @@ const transcribeFromUrl = async (audioUrl, { language, userId } = {}) => {
   const arrayBuffer = await fetchResponse.arrayBuffer();
   const audioBuffer = Buffer.from(arrayBuffer);
 
-  // Derive a plausible filename from the URL for Whisper's format detection
+  // Derive a plausible filename from the URL for the STT engine's format detection
   const urlPath = new URL(audioUrl).pathname;
   const filename = urlPath.split('/').pop() || 'audio.mp3';
 
-  const result = await speechToText({
+  const result = await speechEngines.transcribe({
     audio: audioBuffer,
     language,
     filename
@@ -399,7 +419,7 @@ const transcribeFromUrl = async (audioUrl, { language, userId } = {}) => {
     await trackUsage({
       userId,
       feature: 'stt',
-      provider: 'openai',
+      provider: result.engine,
       metadata: { language, duration: result.duration, source: 'url' }
     });
   }
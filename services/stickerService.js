@@ -0,0 +1,502 @@
+/**
+ * Sticker Service
+ * The sticker/GIF pack catalog, admin uploads to Spaces, per-pack coin
+ * unlocks, per-user recents and favorites, and the ownership check every
+ * sticker message goes through before it is saved.
+ *
+ * The active catalog is cached (CATALOG_TTL_SECONDS) and dropped on every
+ * admin change. Rules live in lib/stickerPacks.js.
+ */
+
+const sharp = require('sharp');
+const StickerPack = require('../models/StickerPack');
+const StickerLibrary = require('../models/StickerLibrary');
+const AdminAuditLog = require('../models/AdminAuditLog');
+const ErrorResponse = require('../utils/errorResponse');
+const cache = require('./redisService');
+const coinLedger = require('../lib/coinLedger');
+const { uploadToSpaces, deleteFromSpaces, generateUniqueFilename } = require('./storageService');
+const { COINS_ENABLED } = require('../config/limitations');
+const {
+  PACK_KINDS,
+  PACK_ACCESS,
+  MAX_STICKERS_PER_PACK,
+  MAX_RECENT_STICKERS,
+  MAX_FAVORITE_STICKERS,
+  isStickerUnlockKey,
+  packCost,
+  canUsePack,
+  checkUnlock,
+  findSticker,
+  checkStickerMessage,
+  normalizePackName,
+  normalizeStickerTags,
+  checkUpload,
+  resolveStickerEntries
+} = require('../lib/stickerPacks');
+
+const CATALOG_KEY = 'stickerPacks:catalog';
+const CATALOG_TTL_SECONDS = 10 * 60;
+
+/**
+ * All active packs, in store order (cached)
+ * @returns {Promise<Object[]>}
+ */
+const getCatalog = () => cache.get(CATALOG_KEY, () =>
+  StickerPack.find({ isActive: true })
+    .sort({ position: 1, createdAt: 1 })
+    .select('-createdBy')
+    .lean(),
+CATALOG_TTL_SECONDS);
+
+const invalidateCatalog = () => cache.invalidate(CATALOG_KEY);
+
+/**
+ * Ids of the packs a user bought with coins
+ * @param {string} userId
+ * @returns {Promise<string[]>}
+ */
+const getOwnedPackIds = async (userId) => {
+  const library = await StickerLibrary.findOne({ user: userId }).select('ownedPacks.pack').lean();
+  return library ? library.ownedPacks.map(o => String(o.pack)) : [];
+};
+
+const toPackSummary = (pack, user, ownedPackIds) => ({
+  _id: pack._id,
+  name: pack.name,
+  description: pack.description || null,
+  kind: pack.kind,
+  access: pack.access,
+  cost: packCost(pack),
+  coverUrl: pack.coverUrl || (pack.stickers[0] && pack.stickers[0].url) || null,
+  stickerCount: pack.stickers.length,
+  usable: canUsePack(pack, user, ownedPackIds),
+  owned: ownedPackIds.includes(String(pack._id))
+});
+
+/**
+ * The sticker store
+ * @param {Object} user
+ * @param {Object} [query] - { kind }
+ * @returns {Promise<Object[]>}
+ */
+const listPacks = async (user, { kind } = {}) => {
+  if (kind !== undefined && !PACK_KINDS.includes(kind)) {
+    throw new ErrorResponse(`kind must be one of ${PACK_KINDS.join(', ')}`, 400);
+  }
+  const [catalog, ownedPackIds] = await Promise.all([getCatalog(), getOwnedPackIds(user._id)]);
+  return catalog
+    .filter(pack => !kind || pack.kind === kind)
+    .map(pack => toPackSummary(pack, user, ownedPackIds));
+};
+
+/**
+ * One pack with its stickers; locked packs are shown too, as a preview
+ * @param {string} packId
+ * @param {Object} user
+ * @returns {Promise<Object>}
+ */
+const getPack = async (packId, user) => {
+  const [pack, ownedPackIds] = await Promise.all([
+    StickerPack.findOne({ _id: packId, isActive: true }).select('-createdBy').lean(),
+    getOwnedPackIds(user._id)
+  ]);
+  if (!pack) {
+    throw new ErrorResponse('Sticker pack not found', 404, 'STICKER_PACK_NOT_FOUND');
+  }
+  return { ...toPackSummary(pack, user, ownedPackIds), stickers: pack.stickers };
+};
+
+/**
+ * Buy a coin pack. The pack is claimed in the library first and the claim
+ * undone if the debit fails, so two concurrent requests can't both charge.
+ * @param {string} packId
+ * @param {Object} user
+ * @returns {Promise<{ pack: Object, alreadyOwned: boolean, balance: number }>}
+ */
+const unlockPack = async (packId, user) => {
+  if (!COINS_ENABLED) {
+    throw new ErrorResponse('Coin unlocks are not available', 404);
+  }
+  const pack = await StickerPack.findById(packId).lean();
+  const denied = checkUnlock(pack, user);
+  if (denied) {
+    throw new ErrorResponse(denied.error, denied.status, denied.code);
+  }
+
+  let claimed;
+  try {
+    claimed = await StickerLibrary.updateOne(
+      { user: user._id, 'ownedPacks.pack': { $ne: pack._id } },
+      { $push: { ownedPacks: { pack: pack._id } } },
+      { upsert: true }
+    );
+  } catch (err) {
+    // The upsert collides with the existing library that already owns it
+    if (err.code !== 11000) throw err;
+    claimed = null;
+  }
+  if (!claimed || (claimed.modifiedCount === 0 && claimed.upsertedCount === 0)) {
+    return { pack: toPackSummary(pack, user, [String(pack._id)]), alreadyOwned: true, balance: user.coinBalance || 0 };
+  }
+
+  const debit = await coinLedger.debit(user._id, packCost(pack), {
+    reason: `unlock:${pack.unlockKey}`,
+    relatedId: String(pack._id)
+  });
+  if (!debit.ok) {
+    await StickerLibrary.updateOne({ user: user._id }, { $pull: { ownedPacks: { pack: pack._id } } });
+    throw new ErrorResponse('Not enough coins to unlock this pack', 402, 'INSUFFICIENT_COINS');
+  }
+
+  await StickerLibrary.updateOne(
+    { user: user._id, 'ownedPacks.pack': pack._id },
+    { $set: { 'ownedPacks.$.transaction': debit.transaction._id } }
+  );
+
+  return { pack: toPackSummary(pack, user, [String(pack._id)]), alreadyOwned: false, balance: debit.balanceAfter };
+};
+
+/**
+ * The caller's usable packs, recents and favorites
+ * @param {Object} user
+ * @returns {Promise<Object>}
+ */
+const getLibrary = async (user) => {
+  const library = await StickerLibrary.findOne({ user: user._id }).lean();
+  const ownedPackIds = library ? library.ownedPacks.map(o => String(o.pack)) : [];
+
+  const referenced = new Set([
+    ...(library ? library.recent : []),
+    ...(library ? library.favorites : [])
+  ].map(entry => String(entry.pack)));
+  const [catalog, inactive] = await Promise.all([
+    getCatalog(),
+    // Inactive packs aren't in the catalog but still show as locked
+    referenced.size
+      ? StickerPack.find({ _id: { $in: [...referenced] }, isActive: false }).select('-createdBy').lean()
+      : []
+  ]);
+  const packsById = new Map([...catalog, ...inactive].map(pack => [String(pack._id), pack]));
+
+  return {
+    packs: catalog
+      .filter(pack => canUsePack(pack, user, ownedPackIds))
+      .map(pack => toPackSummary(pack, user, ownedPackIds)),
+    recent: resolveStickerEntries(library ? library.recent : [], packsById, user, ownedPackIds),
+    favorites: resolveStickerEntries(library ? library.favorites : [], packsById, user, ownedPackIds)
+  };
+};
+
+/**
+ * Favorite a sticker from a pack the caller can use
+ * @param {Object} user
+ * @param {Object} ref - { pack, stickerId }
+ * @returns {Promise<Object>} the library
+ */
+const addFavorite = async (user, { pack: packId, stickerId } = {}) => {
+  const [pack, ownedPackIds] = await Promise.all([
+    packId ? StickerPack.findById(packId).lean() : null,
+    getOwnedPackIds(user._id)
+  ]);
+  if (!pack || !findSticker(pack, stickerId)) {
+    throw new ErrorResponse('Sticker not found', 404, 'STICKER_NOT_FOUND');
+  }
+  if (!canUsePack(pack, user, ownedPackIds)) {
+    throw new ErrorResponse('You do not own this sticker pack', 403, 'STICKER_PACK_NOT_OWNED');
+  }
+
+  const library = await StickerLibrary.findOne({ user: user._id }).select('favorites.stickerId').lean();
+  const favorites = library ? library.favorites : [];
+  if (!favorites.some(f => String(f.stickerId) === String(stickerId))) {
+    if (favorites.length >= MAX_FAVORITE_STICKERS) {
+      throw new ErrorResponse(`You can have at most ${MAX_FAVORITE_STICKERS} favorite stickers`, 400, 'FAVORITES_FULL');
+    }
+    await StickerLibrary.updateOne(
+      { user: user._id, 'favorites.stickerId': { $ne: stickerId } },
+      { $push: { favorites: { $each: [{ pack: pack._id, stickerId }], $position: 0 } } },
+      { upsert: true }
+    ).catch(err => {
+      if (err.code !== 11000) throw err;
+    });
+  }
+  return getLibrary(user);
+};
+
+/**
+ * @param {Object} user
+ * @param {string} stickerId
+ * @returns {Promise<Object>} the library
+ */
+const removeFavorite = async (user, stickerId) => {
+  await StickerLibrary.updateOne({ user: user._id }, { $pull: { favorites: { stickerId } } });
+  return getLibrary(user);
+};
+
+/**
+ * Check the sticker a message references and return what the message
+ * stores about it. Null when the message carries no reference (emoji
+ * stickers and GIF links in the text are still allowed).
+ * @param {Object} user - the sender ({ _id, userMode })
+ * @param {string} messageType
+ * @param {Object} [ref] - { pack, stickerId }
+ * @returns {Promise<Object|null>}
+ */
+const resolveMessageSticker = async (user, messageType, ref) => {
+  if (ref === undefined || ref === null) return null;
+  const packId = ref && ref.pack;
+  const [pack, ownedPackIds] = await Promise.all([
+    packId && /^[0-9a-fA-F]{24}$/.test(String(packId)) ? StickerPack.findById(packId).lean() : null,
+    getOwnedPackIds(user._id)
+  ]);
+  const checked = checkStickerMessage(messageType, ref, pack, user, ownedPackIds);
+  if (checked.error) {
+    throw new ErrorResponse(checked.error, checked.status, checked.code);
+  }
+  return checked.sticker;
+};
+
+/**
+ * Move a sent sticker to the front of the sender's recents. Best effort.
+ * @param {string} userId
+ * @param {Object} sticker - snapshot from resolveMessageSticker
+ */
+const recordUse = async (userId, sticker) => {
+  if (!sticker) return;
+  try {
+    await StickerLibrary.updateOne({ user: userId }, { $pull: { recent: { stickerId: sticker.stickerId } } });
+    await StickerLibrary.updateOne(
+      { user: userId },
+      {
+        $push: {
+          recent: {
+            $each: [{ pack: sticker.pack, stickerId: sticker.stickerId, usedAt: new Date() }],
+            $position: 0,
+            $slice: MAX_RECENT_STICKERS
+          }
+        }
+      },
+      { upsert: true }
+    );
+  } catch (err) {
+    console.error(`[stickers] recent update failed for ${userId}:`, err.message);
+  }
+};
+
+// ===================== ADMIN =====================
+
+/**
+ * Validated pack fields from an admin request
+ * @param {Object} body
+ * @param {Object} [existing] - the pack being edited
+ * @returns {Object}
+ */
+const readPackFields = (body = {}, existing = {}) => {
+  const fields = {};
+  if (body.name !== undefined || !existing._id) {
+    fields.name = normalizePackName(body.name);
+    if (!fields.name) {
+      throw new ErrorResponse('name is required (at most 50 characters)', 400);
+    }
+  }
+  if (body.description !== undefined) {
+    fields.description = typeof body.description === 'string' ? body.description.trim() : undefined;
+  }
+  if (body.kind !== undefined) {
+    if (existing._id && body.kind !== existing.kind) {
+      throw new ErrorResponse('A pack\'s kind cannot change once created', 400);
+    }
+    if (!PACK_KINDS.includes(body.kind)) {
+      throw new ErrorResponse(`kind must be one of ${PACK_KINDS.join(', ')}`, 400);
+    }
+    fields.kind = body.kind;
+  }
+  if (body.access !== undefined) {
+    if (!PACK_ACCESS.includes(body.access)) {
+      throw new ErrorResponse(`access must be one of ${PACK_ACCESS.join(', ')}`, 400);
+    }
+    fields.access = body.access;
+  }
+  const access = fields.access || existing.access || 'free';
+  const unlockKey = body.unlockKey !== undefined ? body.unlockKey : existing.unlockKey;
+  if (access === 'coins') {
+    if (!isStickerUnlockKey(unlockKey)) {
+      throw new ErrorResponse('Coin packs need an unlockKey from the coin catalog (sticker_pack*)', 400);
+    }
+    fields.unlockKey = unlockKey;
+  } else {
+    fields.unlockKey = null;
+  }
+  if (body.position !== undefined) {
+    const position = parseInt(body.position, 10);
+    if (!Number.isFinite(position)) {
+      throw new ErrorResponse('position must be a number', 400);
+    }
+    fields.position = position;
+  }
+  if (body.isActive !== undefined) {
+    fields.isActive = body.isActive === true || body.isActive === 'true';
+  }
+  return fields;
+};
+
+/**
+ * @param {string} adminId
+ * @param {Object} body - { name, description?, kind?, access?, unlockKey?, position? }
+ * @returns {Promise<Object>}
+ */
+const createPack = async (adminId, body) => {
+  const pack = await StickerPack.create({ ...readPackFields(body), createdBy: adminId });
+  await invalidateCatalog();
+  AdminAuditLog.logAction({
+    moderator: adminId,
+    action: 'sticker_pack_created',
+    targetType: 'sticker_pack',
+    details: { pack: pack._id, name: pack.name, access: pack.access }
+  });
+  return pack;
+};
+
+/**
+ * @param {string} packId
+ * @param {string} adminId
+ * @param {Object} body
+ * @returns {Promise<Object>}
+ */
+const updatePack = async (packId, adminId, body) => {
+  const pack = await StickerPack.findById(packId);
+  if (!pack) {
+    throw new ErrorResponse('Sticker pack not found', 404, 'STICKER_PACK_NOT_FOUND');
+  }
+  const fields = readPackFields(body, pack);
+  pack.set(fields);
+  await pack.save();
+  await invalidateCatalog();
+  AdminAuditLog.logAction({
+    moderator: adminId,
+    action: 'sticker_pack_updated',
+    targetType: 'sticker_pack',
+    details: { pack: pack._id, changes: fields }
+  });
+  return pack;
+};
+
+/**
+ * Upload sticker files to Spaces and append them to a pack
+ * @param {string} packId
+ * @param {string} adminId
+ * @param {Object[]} files - multer memory files
+ * @param {Object} body - { tags } a JSON array per file, or one list for all
+ * @returns {Promise<Object>}
+ */
+const uploadStickers = async (packId, adminId, files = [], body = {}) => {
+  const pack = await StickerPack.findById(packId);
+  if (!pack) {
+    throw new ErrorResponse('Sticker pack not found', 404, 'STICKER_PACK_NOT_FOUND');
+  }
+  if (!files.length) {
+    throw new ErrorResponse('Upload at least one sticker file', 400);
+  }
+  if (pack.stickers.length + files.length > MAX_STICKERS_PER_PACK) {
+    throw new ErrorResponse(`A pack can hold at most ${MAX_STICKERS_PER_PACK} stickers`, 400);
+  }
+
+  let tags = body.tags;
+  if (typeof tags === 'string' && tags.trim().startsWith('[')) {
+    try {
+      tags = JSON.parse(tags);
+    } catch (err) {
+      throw new ErrorResponse('tags must be a JSON array', 400);
+    }
+  }
+  const tagsFor = (i) => normalizeStickerTags(Array.isArray(tags) && Array.isArray(tags[i]) ? tags[i] : tags);
+
+  // Validate everything before anything is uploaded
+  const prepared = [];
+  for (const file of files) {
+    const checked = checkUpload(file, pack.kind);
+    if (checked.error) {
+      throw new ErrorResponse(`${file.originalname}: ${checked.error}`, 400);
+    }
+    let metadata;
+    try {
+      metadata = await sharp(file.buffer, { animated: true }).metadata();
+    } catch (err) {
+      throw new ErrorResponse(`${file.originalname}: not a readable image`, 400);
+    }
+    prepared.push({ file, extension: checked.extension, metadata });
+  }
+
+  for (const [i, { file, extension, metadata }] of prepared.entries()) {
+    const url = await uploadToSpaces(
+      file.buffer,
+      generateUniqueFilename(pack.kind, extension),
+      file.mimetype,
+      `stickers/${pack._id}`
+    );
+    pack.stickers.push({
+      url,
+      tags: tagsFor(i),
+      width: metadata.width,
+      // pageHeight is one frame of an animated image
+      height: metadata.pageHeight || metadata.height,
+      animated: (metadata.pages || 1) > 1,
+      mimeType: file.mimetype
+    });
+  }
+  if (!pack.coverUrl) pack.coverUrl = pack.stickers[0].url;
+  await pack.save();
+  await invalidateCatalog();
+  AdminAuditLog.logAction({
+    moderator: adminId,
+    action: 'stickers_uploaded',
+    targetType: 'sticker_pack',
+    details: { pack: pack._id, count: prepared.length }
+  });
+  return pack;
+};
+
+/**
+ * Remove a sticker from a pack and its file from Spaces. Messages that
+ * already sent it keep their snapshot.
+ * @param {string} packId
+ * @param {string} stickerId
+ * @param {string} adminId
+ * @returns {Promise<Object>}
+ */
+const removeSticker = async (packId, stickerId, adminId) => {
+  const pack = await StickerPack.findById(packId);
+  const sticker = findSticker(pack, stickerId);
+  if (!sticker) {
+    throw new ErrorResponse('Sticker not found', 404, 'STICKER_NOT_FOUND');
+  }
+  pack.stickers.pull(sticker._id);
+  if (pack.coverUrl === sticker.url) {
+    pack.coverUrl = pack.stickers[0] ? pack.stickers[0].url : undefined;
+  }
+  await pack.save();
+  await invalidateCatalog();
+  await deleteFromSpaces(sticker.url);
+  AdminAuditLog.logAction({
+    moderator: adminId,
+    action: 'sticker_removed',
+    targetType: 'sticker_pack',
+    details: { pack: pack._id, sticker: sticker._id }
+  });
+  return pack;
+};
+
+module.exports = {
+  listPacks,
+  getPack,
+  unlockPack,
+  getLibrary,
+  addFavorite,
+  removeFavorite,
+  resolveMessageSticker,
+  recordUse,
+  createPack,
+  updatePack,
+  uploadStickers,
+  removeSticker
+};
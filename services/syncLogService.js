@@ -0,0 +1,252 @@
+/**
+ * Sync Log Service
+ * Multi-device catch-up for direct and group messages.
+ *
+ * Live events still go out over the socket. This service also appends
+ * each change to the affected users' logs (models/SyncEvent.js) so a
+ * device that was offline — the tablet while the phone was in use — can
+ * fetch what it missed with GET /messages/sync?since=<seq>.
+ *
+ * Where changes come from:
+ * - Message post-save hook: created, edited, deleted for everyone,
+ *   reactions changed. Covers every path that saves a DM or group message.
+ * - Call sites: delete for me (only the deleter's log), hard deletes,
+ *   and reads (updateMany, so no document hooks).
+ *
+ * Recording never fails the request that made the change; a lost event
+ * shows up as a seq gap that readers step over.
+ */
+
+const Message = require('../models/Message');
+const SyncEvent = require('../models/SyncEvent');
+const User = require('../models/User');
+const ErrorResponse = require('../utils/errorResponse');
+const {
+  SYNC_RETENTION_MS,
+  parseSince,
+  parseLimit,
+  readablePage,
+  foldChanges,
+  pruneThrough
+} = require('../lib/syncLog');
+
+const PRUNE_BATCH = 200;
+
+const uniqueIds = (ids) => [...new Set((ids || []).filter(Boolean).map(String))];
+
+/**
+ * Append one event to a user's log under the next seq
+ * @param {string} userId
+ * @param {Object} fields - kind, message, conversation, peer, data
+ * @returns {Promise<void>}
+ */
+const appendEvent = async (userId, fields) => {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { syncSeq: 1 } },
+    { new: true }
+  ).select('syncSeq').lean();
+  if (!user) return;
+
+  await SyncEvent.create({ ...fields, user: userId, seq: user.syncSeq });
+};
+
+/**
+ * Record a change to one message in each user's log
+ * @param {Array} userIds - whose devices must see it
+ * @param {string} kind - 'message' | 'reaction' | 'delete'
+ * @param {Object} fields - { message, conversation, data }
+ * @returns {Promise<void>}
+ */
+const recordChange = async (userIds, kind, fields = {}) => {
+  try {
+    await Promise.all(uniqueIds(userIds).map(userId => appendEvent(userId, { ...fields, kind })));
+  } catch (err) {
+    console.error(`[syncLog] failed to record ${kind} change:`, err.message);
+  }
+};
+
+/**
+ * Record that `readerId` read the messages `peerId` sent them. Both logs
+ * get it: the reader's other devices clear the unread badge, the
+ * sender's devices show read ticks.
+ * @param {string} readerId
+ * @param {string} peerId
+ * @param {Object} [options]
+ * @param {string} [options.conversationId]
+ * @param {Date} [options.readAt]
+ * @returns {Promise<void>}
+ */
+const recordRead = async (readerId, peerId, { conversationId = null, readAt = new Date() } = {}) => {
+  if (!readerId || !peerId) return;
+  const data = { readBy: String(readerId), readAt };
+  try {
+    await Promise.all([
+      appendEvent(readerId, { kind: 'read', conversation: conversationId, peer: peerId, data }),
+      appendEvent(peerId, { kind: 'read', conversation: conversationId, peer: readerId, data })
+    ]);
+  } catch (err) {
+    console.error('[syncLog] failed to record read:', err.message);
+  }
+};
+
+/**
+ * Record that `readerId` read a group up to now, in every member's log
+ * @param {string} readerId
+ * @param {Array} memberIds - the group's members, reader included
+ * @param {Object} [options]
+ * @param {string} [options.conversationId]
+ * @param {Date} [options.readAt]
+ * @returns {Promise<void>}
+ */
+const recordGroupRead = async (readerId, memberIds, { conversationId = null, readAt = new Date() } = {}) => {
+  const data = { readBy: String(readerId), readAt };
+  try {
+    await Promise.all(uniqueIds(memberIds).map(userId =>
+      appendEvent(userId, { kind: 'read', conversation: conversationId, data })
+    ));
+  } catch (err) {
+    console.error('[syncLog] failed to record group read:', err.message);
+  }
+};
+
+/**
+ * Changes after `since` for one user, folded to what a device applies
+ * @param {string} userId
+ * @param {Object} query
+ * @param {*} query.since - last seq the device applied (0 = from the start)
+ * @param {string} [query.deviceId] - FCM device id; its cursor is stored
+ * @param {*} [query.limit]
+ * @param {Date} [now]
+ * @returns {Promise<Object>}
+ */
+const getChanges = async (userId, { since, deviceId, limit } = {}, now = new Date()) => {
+  const from = parseSince(since);
+  if (from === null) {
+    throw new ErrorResponse('since must be a non-negative integer', 400);
+  }
+
+  const user = await User.findById(userId).select('syncSeq syncPrunedSeq fcmTokens').lean();
+  if (!user) {
+    throw new ErrorResponse('User not found', 404);
+  }
+
+  if (deviceId) {
+    const device = (user.fcmTokens || []).find(t => t.deviceId === deviceId);
+    if (!device) {
+      throw new ErrorResponse('Device not registered; register its FCM token first', 404);
+    }
+    // since is what the device has applied, so that is its cursor
+    await User.updateOne(
+      { _id: userId, 'fcmTokens.deviceId': deviceId },
+      { $set: { 'fcmTokens.$.syncCursor': from, 'fcmTokens.$.lastSyncAt': now } }
+    );
+  }
+
+  const head = user.syncSeq || 0;
+
+  // Behind the pruned part of the log, or ahead of it: the device can't
+  // catch up incrementally. It reloads, then syncs from `cursor`.
+  if (from < (user.syncPrunedSeq || 0) || from > head) {
+    return { resetRequired: true, cursor: head, hasMore: false, messages: [], reactions: [], deleted: [], reads: [] };
+  }
+
+  const pageSize = parseLimit(limit);
+  const candidates = await SyncEvent.find({ user: userId, seq: { $gt: from } })
+    .sort({ seq: 1 })
+    .limit(pageSize + 1)
+    .lean();
+  const { events, hasMore } = readablePage(candidates, from, pageSize, now);
+  const { messageIds, reactionIds, deleted, reads } = foldChanges(events);
+
+  const [messages, reacted] = await Promise.all([
+    messageIds.length
+      ? Message.find({ _id: { $in: messageIds } })
+        .populate('sender', 'name images userMode')
+        .populate('receiver', 'name images userMode')
+        .lean()
+      : [],
+    reactionIds.length
+      ? Message.find({ _id: { $in: reactionIds } }).select('reactions deletedFor isDeleted').lean()
+      : []
+  ]);
+
+  // Deleted for me (or gone entirely) since the event was written
+  const hiddenFromMe = (msg) => (msg.deletedFor || []).some(id => String(id) === String(userId));
+  const deletedIds = new Set(deleted.map(d => d.messageId));
+  const markDeleted = (messageId) => {
+    if (deletedIds.has(messageId)) return;
+    deletedIds.add(messageId);
+    deleted.push({ messageId, deletedForEveryone: false });
+  };
+
+  const found = new Set([...messages, ...reacted].map(m => String(m._id)));
+  [...messageIds, ...reactionIds].filter(id => !found.has(id)).forEach(markDeleted);
+
+  const visibleMessages = messages.filter(msg => {
+    if (!hiddenFromMe(msg)) return true;
+    markDeleted(String(msg._id));
+    return false;
+  });
+  const reactions = reacted
+    .filter(msg => {
+      if (!hiddenFromMe(msg)) return true;
+      markDeleted(String(msg._id));
+      return false;
+    })
+    .map(msg => ({ messageId: String(msg._id), reactions: msg.reactions || [] }));
+
+  return {
+    resetRequired: false,
+    cursor: events.length ? events[events.length - 1].seq : from,
+    hasMore,
+    messages: visibleMessages,
+    reactions,
+    deleted,
+    reads
+  };
+};
+
+/**
+ * Drop log entries no device needs any more and entries past retention.
+ * @param {Date} [now]
+ * @returns {Promise<{ users: number, pruned: number }>}
+ */
+const pruneSyncLog = async (now = new Date()) => {
+  let users = 0;
+  let pruned = 0;
+
+  const cursor = User.find({ $expr: { $gt: ['$syncSeq', { $ifNull: ['$syncPrunedSeq', 0] }] } })
+    .select('_id fcmTokens syncPrunedSeq')
+    .lean()
+    .cursor({ batchSize: PRUNE_BATCH });
+
+  for await (const user of cursor) {
+    try {
+      const expired = await SyncEvent.findOne({
+        user: user._id,
+        createdAt: { $lt: new Date(now.getTime() - SYNC_RETENTION_MS) }
+      }).sort({ seq: -1 }).select('seq').lean();
+
+      const through = pruneThrough(user.fcmTokens, expired ? expired.seq : 0, now);
+      if (through <= (user.syncPrunedSeq || 0)) continue;
+
+      const result = await SyncEvent.deleteMany({ user: user._id, seq: { $lte: through } });
+      await User.updateOne({ _id: user._id }, { $max: { syncPrunedSeq: through } });
+      users += 1;
+      pruned += result.deletedCount || 0;
+    } catch (err) {
+      console.error(`[syncLog] prune failed for user ${user._id}:`, err.message);
+    }
+  }
+
+  return { users, pruned };
+};
+
+module.exports = {
+  recordChange,
+  recordRead,
+  recordGroupRead,
+  getChanges,
+  pruneSyncLog
+};
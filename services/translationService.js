@@ -155,9 +155,52 @@ const translateText = async (text, targetLanguage, sourceLanguage = null) => {
 };
 
 /**
- * Get or create translation for a moment or comment
- * @param {String} sourceId - ID of moment or comment
- * @param {String} sourceType - 'moment' or 'comment'
+ * Look up a cached translation without translating
+ * @param {String} sourceId - ID of moment, comment or message
+ * @param {String} sourceType - 'moment', 'comment' or 'message'
+ * @param {String} targetLanguage - Target language code
+ * @returns {Promise<Object|null>} Translation data, or null on a cache miss
+ */
+exports.getCachedTranslation = async (sourceId, sourceType, targetLanguage) => {
+  const cached = await Translation.getTranslation(sourceId, sourceType, targetLanguage);
+  if (!cached || !cached.cached) {
+    return null;
+  }
+
+  // Auto-heal poisoned rows from before the identity-skip fix. A row
+  // where sourceLanguage === targetLanguage is not a real translation
+  // — it was a same-language short-circuit that should never have been
+  // persisted. Drop it inline and report a miss so the caller translates
+  // afresh and every call auto-cleans without the offline purge script.
+  if (cached.sourceLanguage === cached.targetLanguage) {
+    try { await cached.deleteOne(); } catch (_) {}
+    return null;
+  }
+
+  return {
+    language: cached.targetLanguage,
+    sourceLanguage: cached.sourceLanguage,
+    translatedText: cached.translatedText,
+    translatedAt: cached.cachedAt,
+    cached: true,
+    provider: cached.provider
+  };
+};
+
+/**
+ * Drop every cached translation of a source (e.g. after a message edit)
+ * @param {String} sourceId - ID of moment, comment or message
+ * @param {String} sourceType - 'moment', 'comment' or 'message'
+ * @returns {Promise<void>}
+ */
+exports.clearTranslations = async (sourceId, sourceType) => {
+  await Translation.deleteMany({ sourceId, sourceType });
+};
+
+/**
+ * Get or create translation for a moment, comment or message
+ * @param {String} sourceId - ID of moment, comment or message
+ * @param {String} sourceType - 'moment', 'comment' or 'message'
  * @param {String} sourceText - Original text to translate
  * @param {String} targetLanguage - Target language code
  * @param {String} sourceLanguage - Source language code (optional)
@@ -166,25 +209,9 @@ const translateText = async (text, targetLanguage, sourceLanguage = null) => {
 exports.getOrCreateTranslation = async (sourceId, sourceType, sourceText, targetLanguage, sourceLanguage = null) => {
   try {
     // Check cache first
-    const cached = await Translation.getTranslation(sourceId, sourceType, targetLanguage);
-
-    if (cached && cached.cached) {
-      // Auto-heal poisoned rows from before the identity-skip fix. A row
-      // where sourceLanguage === targetLanguage is not a real translation
-      // — it was a same-language short-circuit that should never have been
-      // persisted. Drop it inline and fall through to a fresh translate so
-      // every call auto-cleans without needing the offline purge script.
-      if (cached.sourceLanguage === cached.targetLanguage) {
-        try { await cached.deleteOne(); } catch (_) {}
-      } else {
-        return {
-          language: cached.targetLanguage,
-          translatedText: cached.translatedText,
-          translatedAt: cached.cachedAt,
-          cached: true,
-          provider: cached.provider
-        };
-      }
+    const cached = await exports.getCachedTranslation(sourceId, sourceType, targetLanguage);
+    if (cached) {
+      return cached;
     }
 
     // Auto-detect source language if not provided
@@ -217,6 +244,7 @@ exports.getOrCreateTranslation = async (sourceId, sourceType, sourceText, target
 
     return {
       language: targetLanguage,
+      sourceLanguage: translationResult.sourceLanguage,
       translatedText: translationResult.translatedText,
       translatedAt: new Date(),
       cached: false,
@@ -117,6 +117,7 @@ const gradeScenario = async (session, scenario) => {
 
   try {
     const result = await aiProvider.chatCompletion({
+      userId: session.user,
       messages: [
         { role: 'system', content: judgePrompt },
         { role: 'user', content: transcript },
@@ -137,23 +138,27 @@ const gradeScenario = async (session, scenario) => {
   }
 };
 
+// System prompt + last 20 messages; cards are summarized so the model
+// remembers it already sent them.
+const buildTutorMessages = (systemPrompt, history) => [
+  { role: 'system', content: systemPrompt },
+  ...history.slice(-20).map(m => ({
+    role: m.role === 'assistant' ? 'assistant' : 'user',
+    content: m.role === 'assistant' && m.messageType && m.messageType !== 'text'
+      ? `${m.content}\n[previously sent card: ${m.messageType}]`
+      : m.content,
+  })),
+];
+
 /**
  * Call gpt-4o-mini in JSON mode with the system prompt + last 20 messages.
  * Returns the raw string content (caller is responsible for parseTutorReply).
+ * Pass { userId } so the call counts against that user's monthly AI budget.
  */
-const callTutorModel = async (systemPrompt, history) => {
-  const messages = [
-    { role: 'system', content: systemPrompt },
-    ...history.slice(-20).map(m => ({
-      role: m.role === 'assistant' ? 'assistant' : 'user',
-      content: m.role === 'assistant' && m.messageType && m.messageType !== 'text'
-        ? `${m.content}\n[previously sent card: ${m.messageType}]`
-        : m.content,
-    })),
-  ];
-
+const callTutorModel = async (systemPrompt, history, { userId } = {}) => {
   const result = await aiProvider.chatCompletion({
-    messages,
+    userId,
+    messages: buildTutorMessages(systemPrompt, history),
     feature: 'conversation',
     json: true,
     maxTokens: 600,
@@ -163,6 +168,25 @@ const callTutorModel = async (systemPrompt, history) => {
   return result?.content || '';
 };
 
+/**
+ * Streaming variant of callTutorModel. onChunk(delta, full) receives raw
+ * JSON fragments — see lib/tutorStream.js for turning them into text.
+ * Resolves with the complete raw content.
+ */
+const streamTutorModel = async (systemPrompt, history, { userId, onChunk } = {}) => {
+  const result = await aiProvider.streamChatCompletion({
+    userId,
+    messages: buildTutorMessages(systemPrompt, history),
+    feature: 'conversation',
+    json: true,
+    maxTokens: 600,
+    temperature: 0.7,
+    onChunk,
+  });
+
+  return result?.content || '';
+};
+
 /**
  * Defensive parser — if the AI emits non-JSON or unknown type, falls back to
  * a text bubble using whatever string came back. Never throws.
@@ -248,6 +272,7 @@ const summarizeSession = async (session) => {
 
   try {
     const result = await aiProvider.chatCompletion({
+      userId: session.user,
       messages: [
         { role: 'system', content: 'Summarize this tutor session in ≤30 words, focusing on the main topic, what the user worked on, and any errors corrected. Output JSON: {"summary":"..."}.' },
         { role: 'user', content: transcript },
@@ -288,10 +313,56 @@ const appendSummaryToMemory = async (userId, sessionId, summary) => {
   }
 };
 
+/**
+ * Step 18: when the AI teaches a word, auto-queue it into the SRS vocabulary.
+ * Sets payload.queued so the Flutter VocabCard starts in "Added ✓" state.
+ * Never throws — a failed insert just leaves the card un-queued.
+ * @param {string} userId
+ * @param {Object} payload - vocab_card payload ({ word, definition, example, language })
+ * @param {Object} langs   - { targetLang, nativeLang } profile fallbacks
+ */
+const queueVocabCard = async (userId, payload, { targetLang = 'en', nativeLang = 'en' } = {}) => {
+  const word = String(payload?.word || '').trim();
+  if (!word) return;
+
+  const example = payload.example
+    ? String(payload.example).slice(0, 500)
+    : undefined;
+  const now = new Date();
+  try {
+    await Vocabulary.findOneAndUpdate(
+      { user: userId, word },
+      {
+        $setOnInsert: {
+          user: userId,
+          word,
+          translation: String(payload.definition || '').slice(0, 500),
+          language: payload.language || targetLang,
+          nativeLanguage: nativeLang,
+          partOfSpeech: 'other',
+          context: { source: 'conversation', ...(example ? { example } : {}) },
+          srsLevel: 0,
+          easeFactor: 2.5,
+          interval: 0,
+          nextReview: now,
+          isArchived: false,
+          isMastered: false,
+        },
+      },
+      { upsert: true, new: false }
+    );
+    payload.queued = true;
+  } catch (err) {
+    console.error('[tutor] vocab_card → Vocabulary failed:', err.message);
+  }
+};
+
 module.exports = {
   buildSystemPrompt,
   callTutorModel,
+  streamTutorModel,
   parseTutorReply,
+  queueVocabCard,
   generateDailyPlan,
   summarizeSession,
   appendSummaryToMemory,
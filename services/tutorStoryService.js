@@ -10,6 +10,7 @@
 const TutorMemory = require('../models/TutorMemory');
 const Vocabulary  = require('../models/Vocabulary');
 const aiProvider  = require('./aiProviderService');
+const { storyPreview } = require('../lib/tutorStream');
 
 const VALID_THEMES = ['adventure', 'mystery', 'romance', 'sci_fi', 'slice_of_life', 'free'];
 
@@ -41,9 +42,12 @@ No code fences. No commentary. JSON only.
  * @param {string} opts.userId
  * @param {number} opts.wordCount   Number of vocab words to weave in (5/10/15)
  * @param {string} opts.theme       One of VALID_THEMES or 'free'
+ * @param {Function} [opts.onProgress] Streams the story: called with
+ *        { title, paragraphs: [{ text }] } as text arrives. Questions and
+ *        vocabUsed only come with the final result.
  * @returns {Promise<Object>} The generated story (no persistence)
  */
-const generateStory = async ({ userId, wordCount = 5, theme = 'free' }) => {
+const generateStory = async ({ userId, wordCount = 5, theme = 'free', onProgress }) => {
   const mem = await TutorMemory.findOne({ user: userId }).lean();
   const level = mem?.proficiencyLevel || 'A2';
   const targetLanguage = (mem?.targetLanguages || [])[0] || 'English';
@@ -89,7 +93,8 @@ const generateStory = async ({ userId, wordCount = 5, theme = 'free' }) => {
     STORY_RESPONSE_SCHEMA,
   ].join('\n');
 
-  const result = await aiProvider.chatCompletion({
+  const request = {
+    userId,
     messages: [
       { role: 'system', content: systemPrompt },
       { role: 'user', content: 'Generate the story now.' },
@@ -98,7 +103,25 @@ const generateStory = async ({ userId, wordCount = 5, theme = 'free' }) => {
     json: true,
     maxTokens: 1400,
     temperature: 0.85,
-  });
+  };
+
+  let result;
+  if (onProgress) {
+    let last = '';
+    result = await aiProvider.streamChatCompletion({
+      ...request,
+      onChunk: (delta, full) => {
+        const preview = storyPreview(full);
+        const key = JSON.stringify(preview);
+        if (key !== last) {
+          last = key;
+          onProgress(preview);
+        }
+      },
+    });
+  } else {
+    result = await aiProvider.chatCompletion(request);
+  }
 
   let parsed;
   try {
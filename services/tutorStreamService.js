@@ -0,0 +1,330 @@
+/**
+ * Tutor streaming.
+ *
+ * Streams tutor replies token by token to the SSE routes in
+ * controllers/tutor.js and the `tutor:stream` socket event
+ * (socket/tutorHandler.js).
+ *
+ * A streamed reply is pushed onto the session as an assistant message with
+ * status 'streaming' before the model is called, and its partial text is
+ * written back every PERSIST_INTERVAL_MS. A client that drops mid-reply can
+ * re-read the session or follow the message again with followMessage():
+ * it gets everything generated so far, then the rest live when the stream
+ * runs in this process, or by polling the session when it runs elsewhere.
+ * A 'streaming' message nobody has touched for STALE_AFTER_MS (the server
+ * died mid-reply) is marked 'interrupted' with the text it got.
+ */
+
+const { EventEmitter } = require('events');
+const AITutorSession = require('../models/AITutorSession');
+const TutorMemory    = require('../models/TutorMemory');
+const User           = require('../models/User');
+const ErrorResponse  = require('../utils/errorResponse');
+const tutorService   = require('./tutorService');
+const scenarios      = require('./tutorScenarios');
+const { tutorReplyPreview, previewDelta } = require('../lib/tutorStream');
+
+const PERSIST_INTERVAL_MS = 1000;
+// Longer than AI_ROUTING.requestTimeoutMs so a slow first token is not stale
+const STALE_AFTER_MS = 90 * 1000;
+const POLL_INTERVAL_MS = 1000;
+
+const FALLBACK_REPLY = "I'm having a moment — try again in a sec?";
+
+// messageId -> { emitter, content } for replies generating in this process
+const liveStreams = new Map();
+
+/**
+ * Validate a user turn, persist it, and build the prompt for the reply.
+ * The user message is saved FIRST so input is never lost on an AI failure.
+ * @param {Object} opts
+ * @param {string} opts.sessionId
+ * @param {string} opts.userId
+ * @param {string} opts.content
+ * @param {Function} [opts.loadMemory] - (userId) => TutorMemory doc
+ * @returns {Promise<{ session, systemPrompt, scenario, user }>}
+ */
+const prepareSessionTurn = async ({ sessionId, userId, content, loadMemory }) => {
+  if (!content || typeof content !== 'string' || !content.trim()) {
+    throw new ErrorResponse('Message content is required', 400);
+  }
+
+  const session = await AITutorSession.findById(sessionId);
+  if (!session) throw new ErrorResponse('Session not found', 404);
+  if (session.user.toString() !== userId.toString()) {
+    throw new ErrorResponse('Not authorized', 403);
+  }
+  if (session.endedAt) {
+    throw new ErrorResponse('Session has ended; start a new one', 409);
+  }
+
+  session.messages.push({ role: 'user', content: content.trim(), messageType: 'text' });
+  await session.save();
+
+  const mem = loadMemory
+    ? await loadMemory(userId)
+    : await TutorMemory.findOne({ user: userId });
+  const user = await User.findById(userId)
+    .select('name native_language language_to_learn')
+    .lean();
+  const scenario = session.mode === 'roleplay' && session.scenarioId
+    ? scenarios.findById(session.scenarioId)
+    : null;
+  const systemPrompt = tutorService.buildSystemPrompt(mem || {}, user || { name: 'Friend' }, { scenario });
+
+  return { session, systemPrompt, scenario, user };
+};
+
+// Write the partial text of a streaming message without touching the rest
+// of the session document. Only while it is still streaming, so a write
+// that lands late can't overwrite the final reply.
+const persistPartial = (sessionId, messageId, content) =>
+  AITutorSession.updateOne(
+    { _id: sessionId, messages: { $elemMatch: { _id: messageId, status: 'streaming' } } },
+    { $set: { 'messages.$.content': content, 'messages.$.streamUpdatedAt': new Date() } }
+  ).catch(err => console.error('[tutorStream] partial save failed:', err.message));
+
+/**
+ * Stream one assistant reply into a session.
+ * @param {Object} session - AITutorSession document
+ * @param {Object} opts
+ * @param {string} opts.systemPrompt
+ * @param {Array}  [opts.history]   - defaults to session.messages
+ * @param {string} opts.userId      - budgets the call
+ * @param {boolean} [opts.textOnly] - roleplay: cards are flattened to text
+ * @param {string} [opts.fallbackContent] - reply when the model fails before any output;
+ *   an ErrorResponse (budget refusal) is rethrown instead, placeholder removed
+ * @param {Function} [opts.prepare] - async (parsed) => void, runs before the final save
+ * @param {Function} [opts.onStart] - (message) once the placeholder is saved
+ * @param {Function} [opts.onDelta] - ({ delta, replace }) per text change
+ * @returns {Promise<Object>} the saved assistant message
+ */
+const streamAssistantReply = async (session, {
+  systemPrompt,
+  history,
+  userId,
+  textOnly = false,
+  fallbackContent = FALLBACK_REPLY,
+  prepare,
+  onStart,
+  onDelta,
+}) => {
+  const turnHistory = history || session.messages.slice();
+
+  session.messages.push({
+    role: 'assistant',
+    content: '',
+    messageType: 'text',
+    payload: null,
+    status: 'streaming',
+    streamUpdatedAt: new Date(),
+  });
+  await session.save();
+  const message = session.messages[session.messages.length - 1];
+  const messageId = message._id.toString();
+
+  const live = { emitter: new EventEmitter(), content: '' };
+  liveStreams.set(messageId, live);
+  if (onStart) onStart(message);
+
+  let lastPersist = Date.now();
+  let persisting = Promise.resolve(); // partial writes, one at a time
+  const emit = (next) => {
+    const change = previewDelta(live.content, next);
+    if (!change) return;
+    live.content = next;
+    if (onDelta) onDelta(change);
+    live.emitter.emit('delta', change);
+  };
+
+  let parsed;
+  let interrupted = false;
+  try {
+    const raw = await tutorService.streamTutorModel(systemPrompt, turnHistory, {
+      userId,
+      onChunk: (delta, full) => {
+        emit(tutorReplyPreview(full));
+        if (Date.now() - lastPersist >= PERSIST_INTERVAL_MS) {
+          lastPersist = Date.now();
+          const content = live.content;
+          persisting = persisting.then(() => persistPartial(session._id, message._id, content));
+        }
+      },
+    });
+    parsed = tutorService.parseTutorReply(raw);
+    if (textOnly && parsed.messageType !== 'text') {
+      parsed = { messageType: 'text', content: parsed.content || '', payload: null };
+    }
+  } catch (e) {
+    // A refusal (AI budget) before any output is the caller's to report,
+    // not something to paper over with the canned reply.
+    if (e instanceof ErrorResponse && !live.content) {
+      await persisting;
+      session.messages.splice(session.messages.indexOf(message), 1);
+      try {
+        await session.save();
+      } finally {
+        liveStreams.delete(messageId);
+        live.emitter.emit('done', null);
+      }
+      throw e;
+    }
+    console.error('[tutorStream] AI call failed:', e.message);
+    interrupted = live.content.length > 0;
+    parsed = {
+      messageType: 'text',
+      content: interrupted ? live.content : fallbackContent,
+      payload: null,
+    };
+  }
+
+  // The final parse can differ from the preview (prose fallback, trailing
+  // whitespace); send whatever closes the gap.
+  emit(parsed.content);
+
+  try {
+    await persisting;
+    if (prepare && !interrupted) await prepare(parsed);
+
+    message.content = parsed.content;
+    message.messageType = parsed.messageType;
+    message.payload = parsed.payload;
+    message.status = interrupted ? 'interrupted' : 'complete';
+    message.streamUpdatedAt = new Date();
+    await session.save();
+  } finally {
+    liveStreams.delete(messageId);
+    live.emitter.emit('done', message);
+  }
+
+  return message;
+};
+
+/**
+ * One streamed tutor turn: prepareSessionTurn + streamAssistantReply, with
+ * roleplay sessions kept text-only and vocab cards queued into the SRS.
+ * @param {Object} opts - prepareSessionTurn options plus onStart / onDelta
+ * @returns {Promise<{ session, message }>}
+ */
+const streamSessionTurn = async ({ sessionId, userId, content, loadMemory, onStart, onDelta }) => {
+  const { session, systemPrompt, scenario, user } = await prepareSessionTurn({
+    sessionId, userId, content, loadMemory,
+  });
+
+  const message = await streamAssistantReply(session, {
+    systemPrompt,
+    userId,
+    textOnly: Boolean(scenario),
+    prepare: async (parsed) => {
+      if (parsed.messageType === 'vocab_card' && parsed.payload?.word) {
+        await tutorService.queueVocabCard(userId, parsed.payload, {
+          targetLang: user?.language_to_learn || 'en',
+          nativeLang: user?.native_language || 'en',
+        });
+      }
+    },
+    onStart,
+    onDelta,
+  });
+
+  return { session, message };
+};
+
+const isStale = (message, now = Date.now()) =>
+  !message.streamUpdatedAt || now - new Date(message.streamUpdatedAt).getTime() > STALE_AFTER_MS;
+
+const loadOwnedMessage = async (sessionId, userId, messageId) => {
+  const session = await AITutorSession.findById(sessionId).select('user messages').lean();
+  if (!session) throw new ErrorResponse('Session not found', 404);
+  if (session.user.toString() !== userId.toString()) {
+    throw new ErrorResponse('Not authorized', 403);
+  }
+  const message = (session.messages || []).find(m => m._id.toString() === messageId.toString());
+  if (!message) throw new ErrorResponse('Message not found', 404);
+  return message;
+};
+
+/**
+ * Resume a (possibly still generating) assistant message.
+ * Sends the text after the first `from` characters as one delta, then every
+ * further change, and resolves with the final message — or null if aborted
+ * or the reply was refused.
+ * @param {Object} opts
+ * @param {string} opts.sessionId
+ * @param {string} opts.userId
+ * @param {string} opts.messageId
+ * @param {number} [opts.from]    - characters the client already has
+ * @param {Function} opts.onDelta - ({ delta, replace })
+ * @param {AbortSignal} [opts.signal]
+ * @returns {Promise<Object|null>}
+ */
+const followMessage = async ({ sessionId, userId, messageId, from = 0, onDelta, signal }) => {
+  let message = await loadOwnedMessage(sessionId, userId, messageId);
+  let sent = '';
+  const send = (content) => {
+    const change = previewDelta(sent, content);
+    sent = content;
+    if (change) onDelta(change);
+  };
+
+  const skip = Math.max(0, Number(from) || 0);
+  const snapshot = (content) => {
+    // Seed with what the client has, unless it claims more than exists
+    sent = skip <= content.length ? content.slice(0, skip) : '';
+    send(content);
+  };
+
+  const live = liveStreams.get(messageId.toString());
+  if (message.status === 'streaming' && live) {
+    snapshot(live.content);
+    return new Promise((resolve) => {
+      const onLiveDelta = () => send(live.content);
+      const cleanup = () => {
+        live.emitter.off('delta', onLiveDelta);
+        live.emitter.off('done', onDone);
+        if (signal) signal.removeEventListener('abort', onAbort);
+      };
+      const onDone = (final) => {
+        cleanup();
+        if (!final) return resolve(null); // refused, placeholder removed
+        send(final.content);
+        resolve(typeof final.toObject === 'function' ? final.toObject() : final);
+      };
+      const onAbort = () => {
+        cleanup();
+        resolve(null);
+      };
+      live.emitter.on('delta', onLiveDelta);
+      live.emitter.once('done', onDone);
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  snapshot(message.content || '');
+
+  // Generating in another process (or orphaned) — poll the persisted text.
+  while (message.status === 'streaming') {
+    if (isStale(message)) {
+      await AITutorSession.updateOne(
+        { _id: sessionId, messages: { $elemMatch: { _id: message._id, status: 'streaming' } } },
+        { $set: { 'messages.$.status': 'interrupted' } }
+      );
+      return { ...message, status: 'interrupted' };
+    }
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+    if (signal?.aborted) return null;
+    message = await loadOwnedMessage(sessionId, userId, messageId);
+    send(message.content || '');
+  }
+
+  return message;
+};
+
+module.exports = {
+  prepareSessionTurn,
+  streamAssistantReply,
+  streamSessionTurn,
+  followMessage,
+  FALLBACK_REPLY,
+  STALE_AFTER_MS,
+};
@@ -0,0 +1,375 @@
+/**
+ * Vocabulary Exchange Service
+ * Bulk import (CSV/TSV, Anki .apkg) and export of a user's Vocabulary.
+ *
+ * Import is two-phase so the same code path serves the dry-run preview and
+ * the real write:
+ *   parseImportFile → rows [{ line, entry | error }]
+ *   planImport      → per-row decision (create / update / restore / skip /
+ *                     invalid / over_limit) + the bulkWrite ops
+ *   applyImport     → executes the ops; a word added in the meantime
+ *                     turns its row into a skip instead of failing the rest
+ *
+ * Duplicates are detected case-insensitively against the user's existing
+ * words (archived ones included — the { user, word } unique index spans
+ * them, so an archived match is restored rather than re-inserted) and
+ * within the file itself (first occurrence wins).
+ */
+
+const mongoose = require('mongoose');
+const Vocabulary = require('../models/Vocabulary');
+const ErrorResponse = require('../utils/errorResponse');
+const {
+  DELIMITERS,
+  parseDelimited,
+  resolveFieldMapping,
+  rowToEntry,
+  serializeDelimited,
+} = require('../lib/vocabCsv');
+const { readApkg, buildApkg } = require('./ankiPackageService');
+
+const MAX_IMPORT_ROWS = 5000;
+const PREVIEW_ITEMS = 200;
+const EXPORT_FORMATS = ['csv', 'tsv', 'apkg'];
+const DUPLICATE_STRATEGIES = ['skip', 'update'];
+
+const EXPORT_HEADER = [
+  'word', 'translation', 'language', 'nativeLanguage', 'partOfSpeech', 'pronunciation',
+  'notes', 'tags', 'example', 'exampleTranslation',
+  'srsLevel', 'easeFactor', 'interval', 'nextReview',
+  'totalReviews', 'correctReviews', 'incorrectReviews', 'lastReviewedAt', 'isMastered',
+  'fsrsStability', 'fsrsDifficulty',
+];
+
+const duplicateKey = (word) => String(word || '').trim().normalize('NFC').toLowerCase();
+
+/**
+ * Work out the file format from the explicit `format` param, then the
+ * filename extension, then the MIME type.
+ * @returns {'csv'|'tsv'|'apkg'|null}
+ */
+function detectFormat({ format, filename, mimetype } = {}) {
+  if (format) return ['csv', 'tsv', 'apkg'].includes(format) ? format : null;
+  const ext = String(filename || '').toLowerCase().split('.').pop();
+  if (['csv', 'tsv', 'apkg'].includes(ext)) return ext;
+  if (ext === 'txt') return 'tsv'; // Anki's "Notes in Plain Text" export
+  if (mimetype === 'text/tab-separated-values') return 'tsv';
+  if (mimetype === 'text/csv') return 'csv';
+  if (mimetype === 'application/zip' || mimetype === 'application/x-zip-compressed') return 'apkg';
+  return null;
+}
+
+/**
+ * @param {Object} file
+ * @param {Buffer} file.buffer
+ * @param {string} [file.filename]
+ * @param {string} [file.mimetype]
+ * @param {Object} [options]
+ * @param {string} [options.format] - csv | tsv | apkg
+ * @param {Object} [options.mapping] - { field: header | index }
+ * @param {boolean} [options.hasHeader]
+ * @returns {Promise<{ format: string, rows: Array<Object> }>}
+ */
+async function parseImportFile({ buffer, filename, mimetype }, options = {}) {
+  const format = detectFormat({ format: options.format, filename, mimetype });
+  if (!format) {
+    throw new ErrorResponse('Unsupported file format. Use CSV, TSV or Anki .apkg', 400);
+  }
+
+  let rows;
+  if (format === 'apkg') {
+    ({ rows } = await readApkg(buffer, { mapping: options.mapping }));
+  } else {
+    const text = buffer.toString('utf8');
+    // Anki plain-text exports start with "#separator:tab" style directives.
+    const body = text.replace(/^(#[a-z ]+:.*\r?\n)+/i, '');
+    const parsed = parseDelimited(body, { delimiter: format === 'tsv' ? DELIMITERS.tsv : undefined });
+    if (parsed.rows.length === 0) {
+      throw new ErrorResponse('File is empty', 400);
+    }
+
+    const resolved = resolveFieldMapping(parsed.rows[0], options.mapping, { hasHeader: options.hasHeader });
+    if (resolved.error) {
+      throw new ErrorResponse(resolved.error, 400);
+    }
+
+    const dataRows = resolved.hasHeader ? parsed.rows.slice(1) : parsed.rows;
+    const firstLine = resolved.hasHeader ? 2 : 1;
+    rows = dataRows.map((row, i) => {
+      const result = rowToEntry(row, resolved.columns);
+      return result.error
+        ? { line: firstLine + i, error: result.error }
+        : { line: firstLine + i, entry: result.entry };
+    });
+  }
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ErrorResponse(`Import is limited to ${MAX_IMPORT_ROWS} words per file`, 400);
+  }
+  return { format, rows };
+}
+
+/**
+ * Vocabulary fields for an imported entry's SRS state. Only called when the
+ * caller opted into carrying SRS over.
+ */
+function srsFields(srs = {}) {
+  const fields = {};
+  if (srs.srsLevel !== undefined) fields.srsLevel = Math.min(9, Math.max(0, Math.round(srs.srsLevel)));
+  if (srs.easeFactor !== undefined) fields.easeFactor = Math.max(1.3, srs.easeFactor);
+  if (srs.interval !== undefined) fields.interval = Math.max(0, srs.interval);
+  if (srs.nextReview) fields.nextReview = srs.nextReview;
+  if (srs.isMastered !== undefined) {
+    fields.isMastered = srs.isMastered;
+    if (srs.isMastered) fields.masteredAt = srs.lastReviewedAt || new Date();
+  }
+  const stats = {
+    totalReviews: srs.totalReviews,
+    correctReviews: srs.correctReviews,
+    incorrectReviews: srs.incorrectReviews,
+    lastReviewedAt: srs.lastReviewedAt,
+  };
+  for (const [key, value] of Object.entries(stats)) {
+    if (value !== undefined) fields[`reviewStats.${key}`] = value;
+  }
+  if (srs.fsrsStability > 0 && srs.fsrsDifficulty > 0) {
+    fields.fsrs = {
+      stability: srs.fsrsStability,
+      difficulty: Math.min(10, Math.max(1, srs.fsrsDifficulty)),
+      lastReview: srs.lastReviewedAt || null,
+    };
+  }
+  return fields;
+}
+
+/** Content fields an import may set (never ownership/archival). */
+function contentFields(entry, defaults) {
+  const fields = {
+    translation: entry.translation,
+    language: entry.language || defaults.language,
+  };
+  for (const key of ['partOfSpeech', 'pronunciation', 'notes', 'tags', 'examples']) {
+    if (entry[key] !== undefined) fields[key] = entry[key];
+  }
+  return fields;
+}
+
+/**
+ * Decide what happens to every row. Pure apart from the one lookup of the
+ * user's existing words.
+ *
+ * @param {string} userId
+ * @param {Array<Object>} rows - from parseImportFile
+ * @param {Object} options
+ * @param {string} [options.onDuplicate] - skip (default) | update
+ * @param {boolean} [options.includeSrs] - carry SRS state from the file
+ * @param {Object} options.defaults - { language, nativeLanguage }
+ * @param {number} [options.capacity] - words the user may still add (-1 unlimited)
+ * @returns {Promise<{ summary: Object, items: Array<Object>, ops: Array<Object> }>}
+ */
+async function planImport(userId, rows, options = {}) {
+  const onDuplicate = DUPLICATE_STRATEGIES.includes(options.onDuplicate) ? options.onDuplicate : 'skip';
+  const includeSrs = !!options.includeSrs;
+  const defaults = options.defaults || {};
+  let capacity = options.capacity === undefined ? -1 : options.capacity;
+
+  const candidateWords = rows.filter((r) => r.entry).map((r) => r.entry.word);
+  const existing = candidateWords.length === 0 ? [] : await Vocabulary.find({
+    user: userId,
+    word: { $in: candidateWords },
+  })
+    .collation({ locale: 'en', strength: 2 })
+    .select('_id word isArchived')
+    .lean();
+  const existingByKey = new Map(existing.map((doc) => [duplicateKey(doc.word), doc]));
+
+  const summary = { total: rows.length, create: 0, update: 0, restore: 0, skip: 0, invalid: 0, overLimit: 0 };
+  const items = [];
+  const ops = [];
+  const opItems = []; // opItems[i] is the item ops[i] was planned for
+  const seen = new Set();
+  const now = new Date();
+
+  for (const row of rows) {
+    if (row.error) {
+      summary.invalid += 1;
+      items.push({ line: row.line, status: 'invalid', reason: row.error });
+      continue;
+    }
+
+    const { entry } = row;
+    const key = duplicateKey(entry.word);
+    if (seen.has(key)) {
+      summary.skip += 1;
+      items.push({ line: row.line, word: entry.word, status: 'skip', reason: 'duplicate_in_file' });
+      continue;
+    }
+    seen.add(key);
+
+    const srs = includeSrs && entry.srs ? srsFields(entry.srs) : {};
+    const match = existingByKey.get(key);
+
+    if (match && !match.isArchived && onDuplicate === 'skip') {
+      summary.skip += 1;
+      items.push({ line: row.line, word: entry.word, status: 'skip', reason: 'already_in_vocabulary', existingId: match._id });
+      continue;
+    }
+
+    if (match) {
+      const status = match.isArchived ? 'restore' : 'update';
+      summary[status] += 1;
+      items.push({ line: row.line, word: entry.word, status, existingId: match._id });
+      opItems.push(items[items.length - 1]);
+      ops.push({
+        updateOne: {
+          filter: { _id: match._id, user: userId },
+          update: {
+            $set: {
+              ...contentFields(entry, defaults),
+              ...srs,
+              ...(match.isArchived ? { isArchived: false, archivedAt: null } : {}),
+            },
+          },
+        },
+      });
+      continue;
+    }
+
+    if (capacity === 0) {
+      summary.overLimit += 1;
+      items.push({ line: row.line, word: entry.word, status: 'over_limit' });
+      continue;
+    }
+    if (capacity > 0) capacity -= 1;
+
+    summary.create += 1;
+    items.push({ line: row.line, word: entry.word, status: 'create' });
+    opItems.push(items[items.length - 1]);
+
+    const doc = {
+      user: new mongoose.Types.ObjectId(userId),
+      word: entry.word,
+      nativeLanguage: defaults.nativeLanguage,
+      ...contentFields(entry, defaults),
+      context: { source: 'import' },
+      srsLevel: 0,
+      easeFactor: 2.5,
+      interval: 0,
+      nextReview: now,
+      isArchived: false,
+      isMastered: false,
+    };
+    // Dotted reviewStats.* keys are for $set; nest them for an insert.
+    for (const [field, value] of Object.entries(srs)) {
+      if (field.startsWith('reviewStats.')) {
+        doc.reviewStats = { ...(doc.reviewStats || {}), [field.slice('reviewStats.'.length)]: value };
+      } else {
+        doc[field] = value;
+      }
+    }
+    ops.push({ insertOne: { document: doc } });
+  }
+
+  return { summary, items, ops, opItems };
+}
+
+/**
+ * Execute a plan's ops (unordered, so one failing row doesn't stop the
+ * rest). Rows that hit the { user, word } unique index — the word was
+ * added between planning and writing — become skips in plan.summary and
+ * plan.items; any other write error is rethrown.
+ * @param {Object} plan - from planImport
+ * @returns {Promise<{ inserted: number, modified: number, skipped: number }>}
+ */
+async function applyImport(plan) {
+  const { ops, opItems, summary } = plan;
+  if (!ops.length) return { inserted: 0, modified: 0, skipped: 0 };
+
+  let result;
+  let writeErrors = [];
+  try {
+    result = await Vocabulary.bulkWrite(ops, { ordered: false });
+  } catch (err) {
+    writeErrors = [].concat(err.writeErrors || []);
+    if (!err.result || writeErrors.length === 0 || writeErrors.some((e) => e.code !== 11000)) throw err;
+    result = err.result;
+  }
+
+  for (const writeError of writeErrors) {
+    const item = opItems[writeError.index];
+    summary[item.status] -= 1;
+    summary.skip += 1;
+    item.status = 'skip';
+    item.reason = 'already_in_vocabulary';
+  }
+
+  return {
+    inserted: result.insertedCount || 0,
+    modified: result.modifiedCount || 0,
+    skipped: writeErrors.length,
+  };
+}
+
+/**
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {string} [options.format] - csv (default) | tsv | apkg
+ * @param {string} [options.language]
+ * @returns {Promise<{ body: Buffer|string, contentType: string, filename: string, count: number }>}
+ */
+async function buildExport(userId, options = {}) {
+  const format = options.format || 'csv';
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new ErrorResponse('format must be csv, tsv or apkg', 400);
+  }
+
+  const filter = { user: userId, isArchived: false };
+  if (options.language) filter.language = options.language;
+
+  const words = await Vocabulary.find(filter)
+    .select('-reviewHistory')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  const filename = `bananatalk-vocabulary-${stamp}.${format}`;
+
+  if (format === 'apkg') {
+    return {
+      body: await buildApkg(words),
+      contentType: 'application/octet-stream',
+      filename,
+      count: words.length,
+    };
+  }
+
+  const rows = words.map((w) => {
+    const stats = w.reviewStats || {};
+    const example = Array.isArray(w.examples) && w.examples[0] ? w.examples[0] : {};
+    return [
+      w.word, w.translation, w.language, w.nativeLanguage, w.partOfSpeech, w.pronunciation,
+      w.notes, (w.tags || []).join(' '), example.sentence, example.translation,
+      w.srsLevel, w.easeFactor, w.interval, w.nextReview,
+      stats.totalReviews, stats.correctReviews, stats.incorrectReviews, stats.lastReviewedAt, w.isMastered,
+      w.fsrs?.stability, w.fsrs?.difficulty,
+    ];
+  });
+
+  return {
+    body: serializeDelimited(EXPORT_HEADER, rows, DELIMITERS[format]),
+    contentType: format === 'tsv' ? 'text/tab-separated-values; charset=utf-8' : 'text/csv; charset=utf-8',
+    filename,
+    count: words.length,
+  };
+}
+
+module.exports = {
+  parseImportFile,
+  planImport,
+  applyImport,
+  buildExport,
+  detectFormat,
+  MAX_IMPORT_ROWS,
+  PREVIEW_ITEMS,
+  EXPORT_HEADER,
+};
@@ -0,0 +1,171 @@
+/**
+ * Vocab Pack Service
+ * Copies pack words into learners' personal Vocabulary — for the one-shot
+ * "add pack" action, for new subscribers, and for pushing words an owner
+ * adds later to every existing subscriber.
+ *
+ * Every copy is an upsert with $setOnInsert on the { user, word } key, so
+ * re-adding is idempotent and never resets a learner's SRS progress on a
+ * word they already have. New words stop at the learner's tier
+ * vocabularyLimit, like every other way of adding vocabulary.
+ */
+
+const Vocabulary = require('../models/Vocabulary');
+const VocabPack = require('../models/VocabPack');
+const VocabPackSubscription = require('../models/VocabPackSubscription');
+const User = require('../models/User');
+const LIMITS = require('../config/limitations');
+const { getUserTier } = require('../middleware/checkLimitations');
+const { canViewPack } = require('../lib/vocabPackAccess');
+
+const SUBSCRIBER_BATCH = 200;
+const USER_FIELDS = 'native_language userMode vipSubscription';
+
+/**
+ * @param {Object} pack - { _id, language }
+ * @param {Object} w - pack word
+ * @param {string} userId
+ * @param {string} [nativeLanguage]
+ * @param {Date} now
+ * @returns {Object} bulkWrite updateOne op
+ */
+function packWordToVocabularyOp(pack, w, userId, nativeLanguage, now) {
+  const translation = w.translationHint || w.definition;
+  return {
+    updateOne: {
+      filter: { user: userId, word: w.word },
+      update: {
+        $setOnInsert: {
+          user: userId,
+          word: w.word,
+          translation,
+          language: pack.language || 'English',
+          nativeLanguage,
+          ...(w.definition && w.definition !== translation ? { notes: w.definition } : {}),
+          examples: w.example ? [{ sentence: w.example }] : [],
+          context: { source: 'vocab_pack', packId: pack._id },
+          srsLevel: 0,
+          easeFactor: 2.5,
+          interval: 0,
+          nextReview: now,
+          isArchived: false,
+          isMastered: false,
+        },
+      },
+      upsert: true,
+    },
+  };
+}
+
+/**
+ * Room left in a user's Vocabulary under their tier's vocabularyLimit.
+ * @param {Object} user - { _id, userMode, vipSubscription }
+ * @returns {Promise<number>} -1 when unlimited
+ */
+async function vocabularyCapacity(user) {
+  const limits = LIMITS[getUserTier(user)] || LIMITS.regular;
+  if (limits.vocabularyLimit === -1) return -1;
+  const count = await Vocabulary.countDocuments({ user: user._id, isArchived: false });
+  return Math.max(0, limits.vocabularyLimit - count);
+}
+
+/**
+ * Copy `words` (default: all of the pack's words) into one user's Vocabulary.
+ * Words the user doesn't have yet are added only while they have room under
+ * their vocabularyLimit; the rest are counted as overLimit.
+ * @param {string} userId
+ * @param {Object} pack
+ * @param {Array<Object>} [words]
+ * @param {Object} [user] - lean { _id, native_language, userMode, vipSubscription }; looked up when omitted
+ * @returns {Promise<{ added: number, overLimit: number }>}
+ */
+async function addPackWordsToUser(userId, pack, words = pack.words, user) {
+  if (!words || words.length === 0) return { added: 0, overLimit: 0 };
+
+  const owner = user || await User.findById(userId).select(USER_FIELDS).lean();
+  if (!owner) return { added: 0, overLimit: 0 };
+
+  let toAdd = words;
+  let overLimit = 0;
+  const capacity = await vocabularyCapacity({ ...owner, _id: userId });
+  if (capacity !== -1) {
+    const existing = await Vocabulary.find({ user: userId, word: { $in: words.map((w) => w.word) } })
+      .select('word')
+      .lean();
+    const have = new Set(existing.map((v) => v.word));
+    const fresh = words.filter((w) => !have.has(w.word));
+    toAdd = fresh.slice(0, capacity);
+    overLimit = fresh.length - toAdd.length;
+    if (toAdd.length === 0) return { added: 0, overLimit };
+  }
+
+  const now = new Date();
+  const ops = toAdd.map((w) => packWordToVocabularyOp(pack, w, userId, owner.native_language, now));
+  const result = await Vocabulary.bulkWrite(ops, { ordered: false });
+  return { added: result.upsertedCount || 0, overLimit };
+}
+
+/**
+ * Push newly added pack words into every subscriber's review queue.
+ * Subscribers are processed in batches so a popular pack cannot load every
+ * subscription at once. Only packs subscribers can still see are pushed:
+ * the pack is re-read before each batch, so going private or being hidden
+ * pending review stops a push under way. Call fire-and-forget after
+ * responding to the owner.
+ * @param {Object} pack
+ * @param {Array<Object>} words - only the words that were just added
+ * @returns {Promise<{ subscribers: number, added: number }>}
+ */
+async function pushWordsToSubscribers(pack, words) {
+  if (!words || words.length === 0) return { subscribers: 0, added: 0 };
+
+  let subscribers = 0;
+  let added = 0;
+  let lastId = null;
+
+  for (;;) {
+    const current = await VocabPack.findById(pack._id)
+      .select('owner visibility isActive hiddenPendingReview')
+      .lean();
+    if (!canViewPack(current, null)) break;
+
+    const filter = { pack: pack._id };
+    if (lastId) filter._id = { $gt: lastId };
+    const batch = await VocabPackSubscription.find(filter)
+      .sort({ _id: 1 })
+      .limit(SUBSCRIBER_BATCH)
+      .select('user')
+      .lean();
+    if (batch.length === 0) break;
+    lastId = batch[batch.length - 1]._id;
+
+    const users = await User.find({ _id: { $in: batch.map((s) => s.user) } })
+      .select(USER_FIELDS)
+      .lean();
+    const userById = new Map(users.map((u) => [String(u._id), u]));
+
+    for (const sub of batch) {
+      // Deleted accounts leave no user row — skip them rather than seed orphans.
+      if (!userById.has(String(sub.user))) continue;
+      const result = await addPackWordsToUser(sub.user, pack, words, userById.get(String(sub.user)));
+      subscribers += 1;
+      added += result.added;
+    }
+
+    await VocabPackSubscription.updateMany(
+      { _id: { $in: batch.map((s) => s._id) } },
+      { $set: { lastSyncedAt: new Date() } }
+    );
+
+    if (batch.length < SUBSCRIBER_BATCH) break;
+  }
+
+  return { subscribers, added };
+}
+
+module.exports = {
+  packWordToVocabularyOp,
+  vocabularyCapacity,
+  addPackWordsToUser,
+  pushWordsToSubscribers,
+};
@@ -0,0 +1,191 @@
+/**
+ * Voice Transcription Service
+ * Transcribes queued voice messages (models/Message.js queues every new,
+ * unencrypted voice message as `transcription.status: 'pending'`).
+ *
+ * Run by jobs/voiceTranscriptionJob.js. Each message is claimed atomically,
+ * so an overrunning tick or a second app instance never transcribes one
+ * twice. The audio is fetched from our own media hosts only (capped at the
+ * speech engine's upload limit), transcribed with speechService and tagged
+ * with the language the engine detected, falling back to text detection.
+ *
+ * When a transcript is ready, or a message finally fails, both
+ * participants get 'voiceTranscribed' and the change goes to the sync log
+ * so their other devices pick it up.
+ */
+
+const Message = require('../models/Message');
+const speechService = require('./speechService');
+const { detectLanguage } = require('./translationService');
+const { recordChange } = require('./syncLogService');
+const { AI_FEATURES } = require('../config/aiConfig');
+const { MAX_FILE_SIZES } = require('../utils/audioUtils');
+const {
+  MAX_ATTEMPTS,
+  claimableFilter,
+  statusAfterFailure,
+  mediaHosts,
+  isOwnMediaUrl,
+  audioFileInfo,
+  normalizeTranscript,
+  languageTag,
+  publicTranscription
+} = require('../lib/voiceTranscription');
+
+const TRANSCRIPTION_BATCH = 5;
+const FETCH_TIMEOUT_MS = 15000;
+const MAX_AUDIO_BYTES = MAX_FILE_SIZES.stt;
+
+// An error that retrying won't fix
+const permanentError = (message) => Object.assign(new Error(message), { permanent: true });
+
+// Deleted for everyone while it was being transcribed: the transcript must
+// not be written back
+const liveFilter = (message) => ({ _id: message._id, isDeleted: { $ne: true } });
+
+/**
+ * Download a voice message's audio, refusing anything over MAX_AUDIO_BYTES
+ * @param {string} url - already checked to be on our media hosts
+ * @returns {Promise<Buffer>}
+ */
+const fetchAudio = async (url) => {
+  const response = await fetch(url, {
+    redirect: 'error',
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    const error = new Error(`Failed to fetch audio: ${response.status}`);
+    error.permanent = response.status === 403 || response.status === 404;
+    throw error;
+  }
+  if (Number(response.headers.get('content-length')) > MAX_AUDIO_BYTES) {
+    throw permanentError('Audio is too large to transcribe');
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > MAX_AUDIO_BYTES) throw permanentError('Audio is too large to transcribe');
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Transcribe one claimed message
+ * @param {Object} message - lean, with media and sender
+ * @returns {Promise<{ text: string, language: string|null }>}
+ */
+const transcribe = async (message) => {
+  const url = message.media.url;
+  if (!isOwnMediaUrl(url, mediaHosts(process.env))) {
+    throw permanentError('Audio is not hosted by us');
+  }
+  const fileInfo = audioFileInfo(url, message.media.mimeType);
+  if (!fileInfo) {
+    throw permanentError('Unsupported audio format');
+  }
+
+  const buffer = await fetchAudio(url);
+  const result = await speechService.transcribeAudio({
+    audioFile: { ...fileInfo, buffer, size: buffer.length },
+    userId: message.sender
+  });
+
+  const text = normalizeTranscript(result.text);
+  let language = languageTag(result.language);
+  if (!language && text) {
+    language = languageTag(await detectLanguage(text));
+  }
+  return { text, language };
+};
+
+/**
+ * Tell both participants about a finished transcription
+ * @param {Object} message - lean
+ * @param {Object} transcription
+ * @param {Object} [io]
+ */
+const announce = (message, transcription, io) => {
+  const userIds = message.participants && message.participants.length
+    ? message.participants
+    : [message.sender, message.receiver].filter(Boolean);
+
+  if (io) {
+    const payload = {
+      messageId: message._id,
+      transcription: publicTranscription(transcription)
+    };
+    for (const userId of userIds) {
+      io.to(`user_${userId}`).emit('voiceTranscribed', payload);
+    }
+  }
+  recordChange(userIds, 'message', { message: message._id });
+};
+
+/**
+ * Claim and transcribe up to TRANSCRIPTION_BATCH pending voice messages
+ * @param {Object} [options]
+ * @param {Object} [options.io]
+ * @param {Date} [options.now]
+ * @returns {Promise<{ completed: number, retried: number, failed: number }>}
+ */
+const transcribePending = async ({ io, now = new Date() } = {}) => {
+  const counts = { completed: 0, retried: 0, failed: 0 };
+  if (!AI_FEATURES.speechFeatures) return counts;
+
+  for (let i = 0; i < TRANSCRIPTION_BATCH; i++) {
+    const message = await Message.findOneAndUpdate(
+      claimableFilter(now),
+      {
+        $set: { 'transcription.status': 'processing', 'transcription.claimedAt': now },
+        $inc: { 'transcription.attempts': 1 }
+      },
+      { new: true, sort: { createdAt: 1 } }
+    ).select('sender receiver participants media transcription').lean();
+    if (!message) break;
+
+    const attempts = message.transcription.attempts;
+    try {
+      if (attempts > MAX_ATTEMPTS) {
+        throw permanentError('Gave up after an abandoned final attempt');
+      }
+      const { text, language } = await transcribe(message);
+      const transcription = {
+        status: 'completed',
+        text,
+        language,
+        attempts,
+        completedAt: new Date()
+      };
+      const { matchedCount } = await Message.updateOne(liveFilter(message), { $set: { transcription } });
+      if (matchedCount === 0) continue;
+      announce(message, transcription, io);
+      counts.completed += 1;
+    } catch (err) {
+      const status = statusAfterFailure(attempts, err.permanent);
+      console.error(`[voiceTranscription] ${message._id} attempt ${attempts} failed:`, err.message);
+      const transcription = {
+        status,
+        attempts,
+        claimedAt: now,
+        error: String(err.message).slice(0, 200)
+      };
+      const { matchedCount } = await Message.updateOne(liveFilter(message), { $set: { transcription } });
+      if (matchedCount === 0) continue;
+      if (status === 'failed') {
+        announce(message, transcription, io);
+        counts.failed += 1;
+      } else {
+        counts.retried += 1;
+      }
+    }
+  }
+
+  return counts;
+};
+
+module.exports = {
+  transcribePending
+};
@@ -0,0 +1,198 @@
+/**
+ * Web Push Service
+ * Pushes to browsers, alongside fcmService for phones.
+ *
+ * A browser subscribes with our VAPID public key (GET
+ * /notifications/web-push/key) and registers the PushSubscription it gets
+ * (POST /notifications/web-push/subscribe). Each push is encrypted for that
+ * subscription and POSTed to its push service (lib/webPush.js). A
+ * subscription the push service reports gone (404/410) is removed at once;
+ * jobs/notificationJobs.js cleanupInactiveTokens drops the ones not
+ * re-registered in 90 days.
+ *
+ * Setup:
+ *   node -e "console.log(require('./lib/webPush').generateVapidKeys())"
+ *   VAPID_PUBLIC_KEY=<publicKey>
+ *   VAPID_PRIVATE_KEY=<privateKey>
+ *   VAPID_SUBJECT=mailto:admin@example.com
+ * Without them web push is off: sendToUser delivers nothing and the
+ * subscribe endpoints answer 503. For a local push-service stub, set
+ * WEB_PUSH_EXTRA_HOSTS=localhost and WEB_PUSH_ALLOW_INSECURE=true so its
+ * http:// endpoint is accepted.
+ */
+
+const User = require('../models/User');
+const ErrorResponse = require('../utils/errorResponse');
+const { checkSubscription, buildPayload, buildRequest, responseOutcome } = require('../lib/webPush');
+
+const SEND_TIMEOUT_MS = 10 * 1000;
+const MAX_SUBSCRIPTIONS = 10;
+// Pushes the push service should deliver right away rather than batch
+const HIGH_URGENCY_TYPES = new Set(['chat_message', 'incoming_call', 'missed_call']);
+
+let logged = false;
+
+/**
+ * VAPID settings, or null when web push isn't configured
+ * @returns {{ publicKey: string, privateKey: string, subject: string }|null}
+ */
+function vapidConfig() {
+  const { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_SUBJECT } = process.env;
+  if (!VAPID_PUBLIC_KEY || !VAPID_PRIVATE_KEY || !VAPID_SUBJECT) {
+    if (!logged) {
+      console.warn('[webPush] VAPID_* env vars not fully set — web push delivery disabled.');
+      logged = true;
+    }
+    return null;
+  }
+  return { publicKey: VAPID_PUBLIC_KEY, privateKey: VAPID_PRIVATE_KEY, subject: VAPID_SUBJECT };
+}
+
+/**
+ * The key browsers subscribe with, or null when web push is off
+ * @returns {string|null}
+ */
+const getPublicKey = () => {
+  const vapid = vapidConfig();
+  return vapid ? vapid.publicKey : null;
+};
+
+const subscriptionOptions = () => ({
+  extraHosts: (process.env.WEB_PUSH_EXTRA_HOSTS || '').split(',').map(h => h.trim()).filter(Boolean),
+  allowInsecure: process.env.WEB_PUSH_ALLOW_INSECURE === 'true',
+});
+
+/**
+ * Register a browser's subscription for a user, replacing the device's
+ * previous one. An endpoint belongs to one account: a browser that
+ * switched accounts stops getting the old account's pushes.
+ * @param {string} userId
+ * @param {Object} body - { subscription: { endpoint, keys }, deviceId, userAgent? }
+ * @returns {Promise<{ deviceId: string }>}
+ */
+const saveSubscription = async (userId, { subscription, deviceId, userAgent } = {}) => {
+  if (!getPublicKey()) {
+    throw new ErrorResponse('Web push is not available', 503);
+  }
+  const { subscription: checked, error } = checkSubscription(subscription, subscriptionOptions());
+  if (error) throw new ErrorResponse(error, 400);
+
+  await User.updateMany(
+    { _id: { $ne: userId }, 'webPushSubscriptions.endpoint': checked.endpoint },
+    { $pull: { webPushSubscriptions: { endpoint: checked.endpoint } } }
+  );
+
+  const user = await User.findById(userId).select('webPushSubscriptions');
+  if (!user) throw new ErrorResponse('User not found', 404);
+
+  const entry = {
+    endpoint: checked.endpoint,
+    keys: checked.keys,
+    deviceId,
+    userAgent: typeof userAgent === 'string' ? userAgent.slice(0, 300) : null,
+    lastUpdated: new Date(),
+    active: true
+  };
+  const others = user.webPushSubscriptions.filter(s => s.deviceId !== deviceId && s.endpoint !== checked.endpoint);
+  // Most recent first; the oldest browsers drop off past the limit
+  others.sort((a, b) => b.lastUpdated - a.lastUpdated);
+  user.webPushSubscriptions = [entry, ...others.slice(0, MAX_SUBSCRIPTIONS - 1)];
+  await user.save();
+
+  return { deviceId };
+};
+
+/**
+ * Unregister a browser (on logout or when the user turns pushes off)
+ * @param {string|null} userId - null when called without a session
+ * @param {string} deviceId
+ * @returns {Promise<boolean>} whether a subscription was removed
+ */
+const removeSubscription = async (userId, deviceId) => {
+  const filter = userId ? { _id: userId } : { 'webPushSubscriptions.deviceId': deviceId };
+  const result = await User.updateOne(filter, { $pull: { webPushSubscriptions: { deviceId } } });
+  return result.modifiedCount > 0;
+};
+
+/**
+ * POST one push to one subscription
+ * @param {Object} subscription - { endpoint, keys }
+ * @param {string} payload
+ * @param {Object} options - lib/webPush.js buildRequest options, with vapid
+ * @returns {Promise<'delivered'|'gone'|'failed'>}
+ */
+const deliver = async (subscription, payload, options) => {
+  const request = buildRequest(subscription, payload, options);
+  const response = await fetch(request.url, {
+    method: request.method,
+    headers: request.headers,
+    body: request.body,
+    signal: AbortSignal.timeout(SEND_TIMEOUT_MS)
+  });
+  const outcome = responseOutcome(response.status);
+  if (outcome === 'failed') {
+    const detail = await response.text().catch(() => '');
+    console.log(`⚠️ Web push failed: status=${response.status} ${detail.slice(0, 200)}`);
+  }
+  return outcome;
+};
+
+/**
+ * Send a notification to every browser a user subscribed
+ * @param {Object|string} userOrId - user with webPushSubscriptions loaded, or an id
+ * @param {Object} notification - { title, body, imageUrl }
+ * @param {Object} data - Custom payload data
+ * @returns {Promise<Object>} - { success, delivered, failed }
+ */
+const sendToUser = async (userOrId, notification, data = {}) => {
+  try {
+    const vapid = vapidConfig();
+    if (!vapid) {
+      return { success: true, delivered: 0, failed: 0, reason: 'Web push not configured' };
+    }
+
+    const user = userOrId && userOrId.webPushSubscriptions
+      ? userOrId
+      : await User.findById(userOrId).select('webPushSubscriptions');
+    if (!user) {
+      return { success: false, error: 'User not found' };
+    }
+
+    const subscriptions = (user.webPushSubscriptions || []).filter(s => s.active);
+    if (subscriptions.length === 0) {
+      return { success: true, delivered: 0, failed: 0, reason: 'No active subscriptions' };
+    }
+
+    const payload = buildPayload(notification, data);
+    const options = { vapid, urgency: HIGH_URGENCY_TYPES.has(data.type) ? 'high' : 'normal' };
+    const outcomes = await Promise.all(subscriptions.map(s =>
+      deliver(s, payload, options).catch(err => {
+        console.log(`⚠️ Web push failed for user ${user._id}: ${err.message}`);
+        return 'failed';
+      })
+    ));
+
+    const gone = subscriptions.filter((s, i) => outcomes[i] === 'gone').map(s => s.endpoint);
+    if (gone.length > 0) {
+      await User.updateOne(
+        { _id: user._id },
+        { $pull: { webPushSubscriptions: { endpoint: { $in: gone } } } }
+      );
+      console.log(`🗑️ Removed ${gone.length} expired web push subscriptions for user ${user._id}`);
+    }
+
+    const delivered = outcomes.filter(o => o === 'delivered').length;
+    return { success: true, delivered, failed: outcomes.length - delivered };
+  } catch (error) {
+    console.error(`❌ Error sending web push to user ${userOrId && userOrId._id ? userOrId._id : userOrId}:`, error);
+    return { success: false, error: error.message };
+  }
+};
+
+module.exports = {
+  getPublicKey,
+  saveSubscription,
+  removeSubscription,
+  deliver,
+  sendToUser
+};
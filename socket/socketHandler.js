@@ -8,10 +8,17 @@ const LIMITS = require('../config/limitations');
 const notificationService = require('../services/notificationService');
 const { registerCallHandlers } = require('./callHandler');
 const { registerAIConversationHandlers, registerGrammarFeedbackHandlers } = require('./aiConversationHandler');
+const { registerTutorHandlers } = require('./tutorHandler');
 const { registerVoiceRoomHandlers } = require('./voiceRoomHandler');
 const { registerRoomHandlers, handleRoomDisconnect } = require('./roomHandler');
 const learningTrackingService = require('../services/learningTrackingService');
 const { detectLanguage } = require('../services/translationService');
+const e2eKeyService = require('../services/e2eKeyService');
+const autoTranslationService = require('../services/autoTranslationService');
+const syncLogService = require('../services/syncLogService');
+const groupChatService = require('../services/groupChatService');
+const stickerService = require('../services/stickerService');
+const { checkEnvelope } = require('../lib/e2eEnvelope');
 
 
 
@@ -363,6 +370,7 @@ const initializeSocket = (io) => {
     registerVoiceRoomHandlers(socket, io);
     registerAIConversationHandlers(socket, io);
     registerGrammarFeedbackHandlers(socket, io);
+    registerTutorHandlers(socket, io);
     registerRoomHandlers(socket, io); // Workstream D — language rooms (hubs)
 
     // Handle disconnection
@@ -755,25 +763,45 @@ const registerMessageHandlers = (socket, io) => {
     }
 
     try {
+      // Private group chats: { groupId, message, messageType, sticker? }
+      if (data?.groupId) {
+        const senderUser = await getCachedUser(userId);
+        if (!senderUser) {
+          throw new Error('Sender not found');
+        }
+        if (!(await senderUser.canSendMessage())) {
+          const { current, max, resetTime } = getMessageLimitInfo(senderUser);
+          throw new Error(
+            `Daily message limit exceeded. Used ${current}/${max}. Resets at ${resetTime}.`
+          );
+        }
+
+        const groupMessage = await groupChatService.sendMessage(data.groupId, userId, {
+          message: data.message || data.text || data.content,
+          messageType: data.messageType,
+          sticker: data.sticker
+        }, io);
+
+        if (callback && typeof callback === 'function') {
+          callback({ status: 'success', message: groupMessage, conversationId: data.groupId });
+        }
+
+        resetDailyCounters(senderUser)
+          .then(() => senderUser.incrementMessageCount())
+          .catch(err => console.error('Background update error:', err.message));
+        return;
+      }
+
       const receiver = data?.receiver || data?.receiverId;
       let messageText = data?.message || data?.text || data?.content;
+      // Secret chats send { encrypted: envelope } instead of text
+      const isEncrypted = Boolean(data?.encrypted);
 
       // ========== PHASE 1: FAST VALIDATION (no DB calls) ==========
       if (!receiver) {
         throw new Error('Receiver ID is required');
       }
 
-      if (!messageText || typeof messageText !== 'string' || messageText.trim().length === 0) {
-        throw new Error('Message text is required');
-      }
-
-      const MAX_MESSAGE_LENGTH = 10000;
-      if (messageText.length > MAX_MESSAGE_LENGTH) {
-        throw new Error(`Message too long. Maximum ${MAX_MESSAGE_LENGTH} characters allowed.`);
-      }
-
-      messageText = messageText.trim();
-
       if (!/^[0-9a-fA-F]{24}$/.test(receiver)) {
         throw new Error('Invalid receiver ID format');
       }
@@ -782,14 +810,47 @@ const registerMessageHandlers = (socket, io) => {
         throw new Error('Cannot send message to yourself');
       }
 
+      let envelope = null;
+      if (isEncrypted) {
+        // Ciphertext only: any plaintext sent alongside is dropped
+        const checked = checkEnvelope(data.encrypted, { senderId: userId, receiverId: receiver });
+        if (checked.error) {
+          throw new Error(checked.error);
+        }
+        envelope = checked.envelope;
+        messageText = null;
+      } else if (!messageText && data?.sticker) {
+        // Pack stickers need no text; the sticker is checked below
+        messageText = null;
+      } else {
+        if (!messageText || typeof messageText !== 'string' || messageText.trim().length === 0) {
+          throw new Error('Message text is required');
+        }
+
+        const MAX_MESSAGE_LENGTH = 10000;
+        if (messageText.length > MAX_MESSAGE_LENGTH) {
+          throw new Error(`Message too long. Maximum ${MAX_MESSAGE_LENGTH} characters allowed.`);
+        }
+
+        messageText = messageText.trim();
+      }
+
       // ========== PHASE 2: PARALLEL DB LOOKUPS ==========
       // Run all pre-checks in parallel for speed
-      const [senderUser, receiverHasReplied, messagesSentToReceiver] = await Promise.all([
+      const [senderUser, receiverHasReplied, messagesSentToReceiver, isSecret] = await Promise.all([
         getCachedUser(userId), // Use cache instead of direct DB lookup
         Message.exists({ sender: receiver, receiver: userId }),
-        Message.countDocuments({ sender: userId, receiver: receiver })
+        Message.countDocuments({ sender: userId, receiver: receiver }),
+        e2eKeyService.isSecretBetween(userId, receiver)
       ]);
 
+      if (isSecret && !isEncrypted) {
+        throw new Error('This is a secret chat; send an end-to-end encrypted message instead');
+      }
+      if (isEncrypted && !isSecret) {
+        throw new Error('Encrypted messages can only be sent in a secret chat');
+      }
+
       if (!senderUser) {
         console.error(`❌ Sender not found in database: "${userId}"`);
         throw new Error('Sender not found');
@@ -824,13 +885,15 @@ const registerMessageHandlers = (socket, io) => {
       // Create message first - this is the critical path
       const validMessageTypes = ['text', 'sticker', 'gif'];
       const msgType = validMessageTypes.includes(data?.messageType) ? data.messageType : 'text';
+      // Pack stickers must come from a pack the sender can use
+      const sticker = isEncrypted
+        ? null
+        : await stickerService.resolveMessageSticker(senderUser, msgType, data?.sticker);
 
-      const newMessage = await Message.create({
-        sender: userId,
-        receiver,
-        message: messageText,
-        messageType: msgType
-      });
+      const newMessage = await Message.create(isEncrypted
+        ? { sender: userId, receiver, isEncrypted: true, encrypted: envelope, messageType: 'text' }
+        : { sender: userId, receiver, message: messageText, messageType: msgType, ...(sticker && { sticker }) });
+      stickerService.recordUse(userId, sticker);
 
       // Get sender/receiver info for response (parallel)
       const [senderInfo, receiverInfo] = await Promise.all([
@@ -845,6 +908,8 @@ const registerMessageHandlers = (socket, io) => {
         receiver: receiverInfo,
         message: newMessage.message,
         messageType: newMessage.messageType || 'text',
+        ...(sticker && { sticker: newMessage.sticker }),
+        ...(isEncrypted && { isEncrypted: true, encrypted: envelope }),
         read: false,
         createdAt: newMessage.createdAt,
         updatedAt: newMessage.updatedAt
@@ -926,6 +991,15 @@ const registerMessageHandlers = (socket, io) => {
                 console.error('❌ messageDelivered emit error:', deliveredErr.message);
               }
             })();
+
+            // Receiver's auto-translation follows as 'messageTranslated'.
+            // Offline receivers get it with the message list instead.
+            conversationUpdatePromise.then(conv => autoTranslationService.translateIncoming({
+              io,
+              message: newMessage,
+              receiverId: receiver,
+              conversation: conv
+            }));
           }
 
           // Reset counters and increment sequentially to avoid parallel save on same doc
@@ -941,15 +1015,23 @@ const registerMessageHandlers = (socket, io) => {
           // push is suppressed; acceptable.
           const receiverIsOnline = userConnections.has(String(receiver));
           if (!receiverIsOnline) {
-            notificationService.sendChatMessage(
-              receiver,
-              userId,
-              {
+            // Secret chats get a content-free push: no text, no sender
+            const push = isEncrypted
+              ? notificationService.sendSecretChatMessage(receiver, userId, {
                 _id: newMessage._id,
-                text: messageText,
                 conversation: newMessage.conversation
-              }
-            ).then(result => {
+              })
+              : notificationService.sendChatMessage(
+                receiver,
+                userId,
+                {
+                  _id: newMessage._id,
+                  text: messageText,
+                  messageType: newMessage.messageType,
+                  conversation: newMessage.conversation
+                }
+              );
+            push.then(result => {
               if (result.skipped) {
                 console.log(`📱 Push notification skipped for ${receiver} (user preferences)`);
               } else if (result.success) {
@@ -960,7 +1042,8 @@ const registerMessageHandlers = (socket, io) => {
             console.log(`📱 Push skipped for ${receiver} — receiver online (socket connected)`);
           }
 
-          // Learning tracking (already async) - get conversation ID first
+          // Learning tracking (already async) - get conversation ID first.
+          // Encrypted messages have no messageText and are never analysed.
           if (messageText && messageText.length > 0) {
             // Find conversation for tracking (may have just been created)
             Conversation.findOne({
@@ -1021,6 +1104,7 @@ const registerMessageHandlers = (socket, io) => {
       console.log(`📖 Mark as read: ${senderId} → ${userId}`);
 
       // Update messages
+      const readAt = new Date();
       const result = await Message.updateMany(
         {
           sender: senderId,
@@ -1029,12 +1113,16 @@ const registerMessageHandlers = (socket, io) => {
         },
         {
           read: true,
-          readAt: new Date()
+          readAt
         }
       );
 
       console.log(`✅ Marked ${result.modifiedCount} messages as read`);
 
+      if (result.modifiedCount > 0) {
+        await syncLogService.recordRead(userId, senderId, { readAt });
+      }
+
       // Update conversation unread count
       await updateConversationUnreadCount(userId, senderId, 0);
 
@@ -1104,17 +1192,30 @@ const registerMessageHandlers = (socket, io) => {
       if (message.sender.toString() !== userId) {
         throw new Error('Not authorized to delete this message');
       }
-      
-      const receiverId = message.receiver.toString();
+      if (message.isGroupMessage) {
+        await groupChatService.loadMessageGroup(message, userId);
+      }
       
       await message.deleteOne();
-      
-      // Notify receiver reliably
-      await sendMessageWithRetry(io, receiverId, 'messageDeleted', {
-        messageId,
-        senderId: userId
+      await syncLogService.recordChange(message.participants, 'delete', {
+        message: message._id,
+        data: { deletedForEveryone: true }
       });
       
+      if (message.isGroupMessage) {
+        // Every member it was delivered to
+        await groupChatService.emitMessageUpdate(message, io, 'messageDeleted', {
+          messageId,
+          senderId: userId
+        });
+      } else {
+        // Notify receiver reliably
+        await sendMessageWithRetry(io, message.receiver.toString(), 'messageDeleted', {
+          messageId,
+          senderId: userId
+        });
+      }
+      
       console.log(`🗑️ Message deleted: ${messageId}`);
       
       if (callback) {
@@ -2020,11 +2121,17 @@ const registerVoiceMessageHandlers = (socket, io) => {
       
       if (!messageId || !senderId) return;
       
-      // Mark as read
-      await Message.findByIdAndUpdate(messageId, {
-        read: true,
-        readAt: new Date()
-      });
+      // Mark as read (the receiver only), and tell their other devices and
+      // the sender's via the sync log like markAsRead does
+      const readAt = new Date();
+      const played = await Message.findOneAndUpdate(
+        { _id: messageId, receiver: userId, read: false },
+        { read: true, readAt },
+        { new: true }
+      ).select('sender');
+      if (played) {
+        await syncLogService.recordRead(userId, played.sender, { readAt });
+      }
       
       // Notify sender
       io.to(`user_${senderId}`).emit('voiceMessageListened', {
@@ -2047,7 +2154,7 @@ const registerCorrectionHandlers = (socket, io) => {
   // Send correction suggestion
   socket.on('sendCorrection', async (data, callback) => {
     try {
-      const { messageId, correctedText, explanation } = data;
+      const { messageId, correctedText, explanation, revision } = data;
       
       if (!messageId || !correctedText) {
         throw new Error('Message ID and corrected text are required');
@@ -2063,6 +2170,12 @@ const registerCorrectionHandlers = (socket, io) => {
       if (message.sender.toString() === userId) {
         throw new Error('Cannot correct your own message');
       }
+
+      if (revision !== undefined && Number(revision) !== (message.revision || 0)) {
+        throw new Error('The message was edited; reload it before correcting');
+      }
+
+      e2eKeyService.assertNotEncrypted(message, 'correct');
       
       console.log(`📝 Correction: ${userId} → message ${messageId}`);
       
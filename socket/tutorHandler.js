@@ -0,0 +1,209 @@
+/**
+ * AI Tutor Socket Handler
+ * Streams tutor replies and stories over the socket — the socket twin of
+ * the SSE paths on /api/v1/tutor (see services/tutorStreamService.js).
+ */
+
+const AITutorSession = require('../models/AITutorSession');
+const User = require('../models/User');
+const { AI_QUOTA_ENABLED } = require('../config/limitations');
+const { buildQuotaExceededResponse } = require('../middleware/checkTutorQuota');
+const tutorStreamService = require('../services/tutorStreamService');
+const tutorStoryService = require('../services/tutorStoryService');
+const learningTrackingService = require('../services/learningTrackingService');
+const { xpForChip } = require('../lib/tutorXp');
+
+// Flood limit for tutor:stream, matching the REST tutorMessageLimiter
+// (30 turns a minute per user). Windows outlive a disconnect so a client
+// can't reset its budget by reconnecting.
+const STREAM_LIMIT = 30;
+const STREAM_WINDOW_MS = 60 * 1000;
+const streamWindows = new Map(); // userId -> { start, count }
+
+function allowStream(userId) {
+  const now = Date.now();
+  if (streamWindows.size > 10000) {
+    for (const [key, w] of streamWindows) {
+      if (now - w.start >= STREAM_WINDOW_MS) streamWindows.delete(key);
+    }
+  }
+  let w = streamWindows.get(userId);
+  if (!w || now - w.start >= STREAM_WINDOW_MS) {
+    w = { start: now, count: 0 };
+    streamWindows.set(userId, w);
+  }
+  if (w.count >= STREAM_LIMIT) return false;
+  w.count += 1;
+  return true;
+}
+
+/**
+ * Consume a tutor quota the way middleware/checkTutorQuota does.
+ * @returns {Promise<Object|null>} error payload when the turn may not run
+ */
+const consumeQuota = async (userId, featureKey) => {
+  if (!AI_QUOTA_ENABLED) return null;
+  let result;
+  try {
+    result = await User.consumeQuota(userId, featureKey);
+  } catch (err) {
+    console.error(`[tutorSocket:${featureKey}] consumeQuota failed:`, err);
+    return { success: false, error: 'quota_check_failed', message: 'Try again in a moment.', retryAfter: 5 };
+  }
+  return result.allowed ? null : buildQuotaExceededResponse(featureKey, result.resetAt);
+};
+
+/**
+ * Register AI tutor socket event handlers
+ * @param {Socket} socket - Socket.IO socket instance
+ * @param {Server} io - Socket.IO server instance
+ */
+const registerTutorHandlers = (socket, io) => {
+  const userId = socket.user.id;
+
+  const fail = (data, callback, error) => {
+    const payload = typeof error === 'string' ? { error } : error;
+    socket.emit('tutor:streamError', {
+      requestId: data?.requestId,
+      sessionId: data?.sessionId,
+      ...payload
+    });
+    if (callback) {
+      callback({ success: false, ...payload });
+    }
+  };
+
+  /**
+   * Stream a tutor reply or a story
+   * Event: tutor:stream
+   * Data: { kind: 'message', sessionId, content, requestId? }
+   *     | { kind: 'story', wordCount?, theme?, requestId? }
+   * Emits: tutor:streamStart, tutor:streamChunk, tutor:streamComplete, tutor:streamError
+   */
+  socket.on('tutor:stream', async (data, callback) => {
+    const { kind = 'message', requestId } = data || {};
+
+    if (!allowStream(userId.toString())) {
+      return fail(data, callback, { error: 'rate_limited', message: 'Too many tutor messages. Slow down a sec.' });
+    }
+
+    try {
+      if (kind === 'story') {
+        const quotaError = await consumeQuota(userId, 'story');
+        if (quotaError) return fail(data, callback, quotaError);
+
+        const wordCount = Math.max(3, Math.min(15, Number(data.wordCount) || 5));
+        const theme = tutorStoryService.VALID_THEMES.includes(data.theme) ? data.theme : 'free';
+
+        socket.emit('tutor:streamStart', { requestId, kind });
+        const story = await tutorStoryService.generateStory({
+          userId,
+          wordCount,
+          theme,
+          onProgress: (preview) => socket.emit('tutor:streamChunk', { requestId, kind, story: preview })
+        });
+
+        const xp = xpForChip('story');
+        learningTrackingService
+          .awardXP(userId, xp, 'tutor_story')
+          .catch(e => console.error('[tutorSocket] XP award failed (story):', e.message));
+
+        socket.emit('tutor:streamComplete', { requestId, kind, story });
+        if (callback) {
+          callback({ success: true, data: story });
+        }
+        return;
+      }
+
+      const { sessionId, content } = data || {};
+      if (!sessionId) {
+        return fail(data, callback, 'Session ID is required');
+      }
+      // Everything streamSessionTurn would refuse is refused here, before
+      // the quota is charged for a turn that never runs.
+      if (!content || typeof content !== 'string' || !content.trim()) {
+        return fail(data, callback, 'Message content is required');
+      }
+
+      // Same gate as checkChatQuotaSessionAware: roleplay turns were paid
+      // for at session start.
+      const session = await AITutorSession.findById(sessionId).select('user mode endedAt').lean();
+      if (!session || session.user.toString() !== userId.toString()) {
+        return fail(data, callback, 'Session not found');
+      }
+      if (session.endedAt) {
+        return fail(data, callback, 'Session has ended; start a new one');
+      }
+      if (session.mode !== 'roleplay') {
+        const quotaError = await consumeQuota(userId, 'chat');
+        if (quotaError) return fail(data, callback, quotaError);
+      }
+
+      let messageId = null;
+      const result = await tutorStreamService.streamSessionTurn({
+        sessionId,
+        userId,
+        content,
+        onStart: (message) => {
+          messageId = message._id;
+          socket.emit('tutor:streamStart', { requestId, kind, sessionId, messageId });
+        },
+        onDelta: ({ delta, replace }) => socket.emit('tutor:streamChunk', {
+          requestId, kind, sessionId, messageId, delta, replace
+        })
+      });
+
+      socket.emit('tutor:streamComplete', { requestId, kind, sessionId, message: result.message });
+      if (callback) {
+        callback({ success: true, data: { sessionId, message: result.message } });
+      }
+    } catch (error) {
+      console.error('Tutor streaming error:', error.message);
+      fail(data, callback, error.message);
+    }
+  });
+
+  /**
+   * Resume a streamed reply after a reconnect
+   * Event: tutor:resume
+   * Data: { sessionId, messageId, from? } — from = characters already received
+   */
+  socket.on('tutor:resume', async (data, callback) => {
+    const { sessionId, messageId, from } = data || {};
+    const controller = new AbortController();
+    const onDisconnect = () => controller.abort();
+    socket.once('disconnect', onDisconnect);
+
+    try {
+      if (!sessionId || !messageId) {
+        return fail(data, callback, 'Session ID and message ID are required');
+      }
+
+      const message = await tutorStreamService.followMessage({
+        sessionId,
+        userId,
+        messageId,
+        from,
+        onDelta: ({ delta, replace }) => socket.emit('tutor:streamChunk', {
+          kind: 'message', sessionId, messageId, delta, replace
+        }),
+        signal: controller.signal
+      });
+      if (!message) return;
+
+      socket.emit('tutor:streamComplete', { kind: 'message', sessionId, message });
+      if (callback) {
+        callback({ success: true, data: { sessionId, message } });
+      }
+    } catch (error) {
+      console.error('Tutor resume error:', error.message);
+      fail(data, callback, error.message);
+    } finally {
+      socket.off('disconnect', onDisconnect);
+    }
+  });
+};
+
+module.exports = {
+  registerTutorHandlers
+};
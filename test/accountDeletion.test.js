@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mock } = require('node:test');
+const mongoose = require('mongoose');
+
+// No database here: anything not stubbed below fails at once instead of
+// waiting for a connection, and deleteAccount absorbs those failures.
+mongoose.set('bufferCommands', false);
+
+process.env.FACEBOOK_APP_ID = 'test_fb_id';
+process.env.FACEBOOK_APP_SECRET = 'test_fb_secret';
+process.env.GOOGLE_CLIENT_ID = 'test_google_id';
+process.env.GOOGLE_CLIENT_SECRET = 'test_google_secret';
+
+const USER_ID = '64b000000000000000000001';
+
+const user = {
+  _id: USER_ID,
+  email: 'learner@example.com',
+  googleId: 'g-1',
+  userMode: 'regular',
+  isVIP: () => false,
+};
+const mockFindByIdAndDelete = mock.fn(() => Promise.resolve(user));
+mock.module('../models/User.js', {
+  defaultExport: {
+    findById: mock.fn(() => ({ select: () => Promise.resolve(user) })),
+    updateMany: mock.fn(() => Promise.resolve({})),
+    findByIdAndDelete: mockFindByIdAndDelete,
+  },
+});
+
+const VocabPack = require('../models/VocabPack');
+const VocabPackSubscription = require('../models/VocabPackSubscription');
+const { deleteAccount } = require('../controllers/auth');
+
+test('deleteAccount — removes the packs a user authored and their pack subscriptions', async () => {
+  const packDeletes = mock.method(VocabPack, 'deleteMany', () => Promise.resolve({ deletedCount: 2 }));
+  const subscriptionDeletes = mock.method(VocabPackSubscription, 'deleteMany', () => Promise.resolve({ deletedCount: 3 }));
+
+  let status = null;
+  let error = null;
+  const res = {
+    cookie: () => res,
+    status: (code) => { status = code; return res; },
+    json: () => res,
+  };
+  await deleteAccount(
+    { user: { id: USER_ID }, body: { confirmText: 'DELETE' }, ip: '127.0.0.1' },
+    res,
+    (err) => { error = err; }
+  );
+
+  assert.equal(error, null);
+  assert.equal(status, 200);
+  assert.deepEqual(packDeletes.mock.calls.map(c => c.arguments[0]), [{ owner: USER_ID }]);
+  assert.deepEqual(subscriptionDeletes.mock.calls.map(c => c.arguments[0]), [{ user: USER_ID }]);
+  assert.equal(mockFindByIdAndDelete.mock.calls[0].arguments[0], USER_ID);
+});
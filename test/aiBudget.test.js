@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mock } = require('node:test');
+
+// ALL mock.module calls before require('../services/aiProviderService')
+const mockLedgerFindOne = mock.fn();
+const mockLedgerUpdateOne = mock.fn(() => Promise.resolve({}));
+const mockUserFindById = mock.fn();
+
+mock.module('../models/AIBudgetLedger.js', {
+  defaultExport: { findOne: mockLedgerFindOne, updateOne: mockLedgerUpdateOne },
+});
+mock.module('../models/User.js', {
+  defaultExport: { findById: mockUserFindById },
+});
+mock.module('../models/AIUsageLog.js', {
+  defaultExport: { create: mock.fn(() => Promise.resolve({})) },
+});
+
+const { budgetPeriod, periodResetsAt, evaluateBudget } = require('../lib/aiBudget');
+const { AI_ROUTING } = require('../config/aiConfig');
+const registry = require('../services/aiProviders');
+const { createFakeProvider } = require('../services/aiProviders/fake');
+const aiBudgetService = require('../services/aiBudgetService');
+const aiProviderService = require('../services/aiProviderService');
+
+const USER_ID = '64b000000000000000000001';
+
+// Model.findOne(...).lean() / Model.findById(...).select(...).lean() chains.
+const leanReturning = (doc) => () => ({ lean: () => Promise.resolve(doc) });
+const selectLeanReturning = (doc) => () => ({ select: () => ({ lean: () => Promise.resolve(doc) }) });
+
+const regularUser = { userMode: 'regular' };
+
+// ---------------------------------------------------------------------------
+// lib/aiBudget.js
+// ---------------------------------------------------------------------------
+
+test('budgetPeriod / periodResetsAt — calendar months in UTC', () => {
+  const now = new Date('2026-12-31T23:30:00Z');
+  assert.equal(budgetPeriod(now), '2026-12');
+  assert.equal(periodResetsAt(now).toISOString(), '2027-01-01T00:00:00.000Z');
+});
+
+test('evaluateBudget — ok below both limits, with remaining and percent', () => {
+  const r = evaluateBudget(
+    { tokens: 1000, costUsd: 1, onExceeded: 'degrade', hardLimitMultiplier: 2 },
+    { tokens: 250, costUsd: 0.4 }
+  );
+  assert.equal(r.status, 'ok');
+  assert.deepEqual(r.remaining, { tokens: 750, costUsd: 0.6 });
+  assert.equal(r.percentUsed, 40);
+});
+
+test('evaluateBudget — the first limit reached decides; degrade until the hard limit', () => {
+  const budget = { tokens: 1000, costUsd: 1, onExceeded: 'degrade', hardLimitMultiplier: 2 };
+  assert.equal(evaluateBudget(budget, { tokens: 1000, costUsd: 0.1 }).status, 'degraded');
+  assert.equal(evaluateBudget(budget, { tokens: 10, costUsd: 1.5 }).status, 'degraded');
+  assert.equal(evaluateBudget(budget, { tokens: 10, costUsd: 2 }).status, 'blocked');
+  assert.equal(evaluateBudget(budget, { tokens: 1500, costUsd: 0 }).remaining.tokens, 0);
+});
+
+test("evaluateBudget — onExceeded 'block' and unlimited budgets", () => {
+  assert.equal(evaluateBudget({ tokens: 100, costUsd: -1, onExceeded: 'block' }, { tokens: 100 }).status, 'blocked');
+
+  const unlimited = evaluateBudget({ tokens: -1, costUsd: -1 }, { tokens: 1e9, costUsd: 1e4 });
+  assert.equal(unlimited.status, 'ok');
+  assert.equal(unlimited.unlimited, true);
+  assert.deepEqual(unlimited.remaining, { tokens: null, costUsd: null });
+});
+
+// ---------------------------------------------------------------------------
+// Enforcement in aiProviderService
+// ---------------------------------------------------------------------------
+
+const normal = createFakeProvider({ name: 'fakeNormal' });
+const cheap = createFakeProvider({ name: 'fakeCheap' });
+registry.registerProvider(normal);
+registry.registerProvider(cheap);
+
+AI_ROUTING.features.budgetTest = [{ provider: 'fakeNormal' }];
+const defaultDegraded = AI_ROUTING.degraded;
+
+const messages = [{ role: 'user', content: 'Hi' }];
+
+test.beforeEach(() => {
+  normal.reset();
+  cheap.reset();
+  mockLedgerUpdateOne.mock.resetCalls();
+  mockUserFindById.mock.mockImplementation(selectLeanReturning(regularUser));
+  AI_ROUTING.degraded = [{ provider: 'fakeCheap' }];
+});
+
+test.after(() => {
+  AI_ROUTING.degraded = defaultDegraded;
+});
+
+test('chatCompletion — within budget uses the normal route and records spend', async () => {
+  mockLedgerFindOne.mock.mockImplementation(leanReturning(null));
+
+  const r = await aiProviderService.chatCompletion({ userId: USER_ID, messages, feature: 'budgetTest' });
+  assert.equal(r.provider, 'fakeNormal');
+  assert.equal(r.degraded, false);
+
+  const [filter, update, opts] = mockLedgerUpdateOne.mock.calls[0].arguments;
+  assert.equal(filter.user, USER_ID);
+  assert.equal(filter.period, budgetPeriod(new Date()));
+  assert.deepEqual(update.$inc, { inputTokens: 1, outputTokens: 3, costUsd: 0, calls: 1, degradedCalls: 0 });
+  assert.deepEqual(opts, { upsert: true });
+});
+
+test('chatCompletion — over budget soft-degrades to the cheaper route', async () => {
+  mockLedgerFindOne.mock.mockImplementation(leanReturning({ inputTokens: 900000, outputTokens: 200000, costUsd: 0.2 }));
+
+  const r = await aiProviderService.chatCompletion({ userId: USER_ID, messages, feature: 'budgetTest' });
+  assert.equal(r.provider, 'fakeCheap');
+  assert.equal(r.degraded, true);
+  assert.equal(normal.calls.length, 0);
+  assert.equal(mockLedgerUpdateOne.mock.calls[0].arguments[1].$inc.degradedCalls, 1);
+});
+
+test('chatCompletion — past the hard limit rejects with 429 before calling a provider', async () => {
+  mockLedgerFindOne.mock.mockImplementation(leanReturning({ inputTokens: 0, outputTokens: 0, costUsd: 1.2 }));
+
+  await assert.rejects(
+    () => aiProviderService.chatCompletion({ userId: USER_ID, messages, feature: 'budgetTest' }),
+    (e) => e.statusCode === 429 && /resets on \d{4}-\d{2}-01/.test(e.message)
+  );
+  assert.equal(normal.calls.length + cheap.calls.length, 0);
+  assert.equal(mockLedgerUpdateOne.mock.calls.length, 0);
+});
+
+test('chatCompletion — calls without a userId are not budgeted', async () => {
+  mockLedgerFindOne.mock.resetCalls();
+  const r = await aiProviderService.chatCompletion({ messages, feature: 'budgetTest' });
+  assert.equal(r.provider, 'fakeNormal');
+  assert.equal(mockLedgerFindOne.mock.calls.length, 0);
+  assert.equal(mockLedgerUpdateOne.mock.calls.length, 0);
+});
+
+test('exam essay evaluation is budgeted for the user it is run for', async (t) => {
+  const examEvaluationService = require('../services/examEvaluationService');
+  const defaultRoute = AI_ROUTING.features.examEssayEvaluation;
+  const defaultKey = process.env.OPENAI_API_KEY;
+  AI_ROUTING.features.examEssayEvaluation = [{ provider: 'fakeNormal' }];
+  process.env.OPENAI_API_KEY = 'test';
+  t.after(() => {
+    AI_ROUTING.features.examEssayEvaluation = defaultRoute;
+    if (defaultKey === undefined) delete process.env.OPENAI_API_KEY;
+    else process.env.OPENAI_API_KEY = defaultKey;
+  });
+  mockLedgerFindOne.mock.mockImplementation(leanReturning({ inputTokens: 0, outputTokens: 0, costUsd: 1.2 }));
+
+  await assert.rejects(
+    () => examEvaluationService.evaluateEssay({ essay: 'word '.repeat(60), userId: USER_ID }),
+    (e) => e.statusCode === 429
+  );
+  assert.equal(normal.calls.length, 0);
+});
+
+test('getBudgetStatus — VIP has no token cap, only a cost ceiling', async () => {
+  mockUserFindById.mock.mockImplementation(selectLeanReturning({
+    userMode: 'vip',
+    vipSubscription: { isActive: true, endDate: new Date(Date.now() + 86400000) },
+  }));
+  mockLedgerFindOne.mock.mockImplementation(leanReturning({ inputTokens: 5e7, outputTokens: 0, costUsd: 1 }));
+
+  const status = await aiBudgetService.getBudgetStatus(USER_ID);
+  assert.equal(status.tier, 'vip');
+  assert.equal(status.status, 'ok');
+  assert.equal(status.remaining.tokens, null);
+  assert.equal(status.remaining.costUsd, 4);
+});
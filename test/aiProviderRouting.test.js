@@ -0,0 +1,182 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mock } = require('node:test');
+
+// ALL mock.module calls before require('../services/aiProviderService')
+const mockCreate = mock.fn(() => Promise.resolve({}));
+
+mock.module('../models/AIUsageLog.js', {
+  defaultExport: { create: mockCreate },
+});
+
+const { AI_ROUTING } = require('../config/aiConfig');
+const registry = require('../services/aiProviders');
+const { createFakeProvider } = require('../services/aiProviders/fake');
+const { toAnthropicMessages } = require('../services/aiProviders/anthropic');
+const aiProviderService = require('../services/aiProviderService');
+
+const USER_ID = '64b000000000000000000001';
+
+const primary = createFakeProvider({ name: 'fakePrimary' });
+const backup = createFakeProvider({ name: 'fakeBackup' });
+registry.registerProvider(primary);
+registry.registerProvider(backup);
+
+AI_ROUTING.features.routingTest = [
+  { provider: 'fakePrimary', model: 'primary-model' },
+  { provider: 'unknownProvider' },
+  { provider: 'fakeBackup', model: 'backup-model' },
+];
+
+const messages = [
+  { role: 'system', content: 'You are a tutor.' },
+  { role: 'user', content: 'Hello there' },
+];
+
+test.beforeEach(() => {
+  primary.reset();
+  backup.reset();
+  registry.resetHealth();
+  mockCreate.mock.resetCalls();
+});
+
+// ---------------------------------------------------------------------------
+// Fake provider
+// ---------------------------------------------------------------------------
+
+test('fake provider is deterministic and reports token usage', async () => {
+  const a = await primary.chat({ model: 'm', messages, feature: 'conversation' });
+  const b = await primary.chat({ model: 'm', messages, feature: 'conversation' });
+  assert.deepEqual(a, b);
+  assert.equal(a.content, '[fake] Hello there');
+  assert.deepEqual(a.usage, { inputTokens: 7, outputTokens: 5, totalTokens: 12 });
+});
+
+test('fake provider returns feature-shaped JSON when json is requested', async () => {
+  const r = await primary.chat({ model: 'm', messages, feature: 'grammarFeedback', json: true });
+  const parsed = aiProviderService.parseJSONResponse(r.content);
+  assert.deepEqual(parsed.errors, []);
+  assert.equal(parsed.overallScore, 100);
+  assert.equal(parsed.echo, 'Hello there');
+});
+
+// ---------------------------------------------------------------------------
+// Routing + failover
+// ---------------------------------------------------------------------------
+
+test('chatCompletion — routes to the first provider and reports provider/model/cost', async () => {
+  const r = await aiProviderService.chatCompletion({ messages, feature: 'routingTest' });
+  assert.equal(r.provider, 'fakePrimary');
+  assert.equal(r.model, 'primary-model');
+  assert.equal(r.failedOver, false);
+  assert.equal(r.costUsd, 0);
+  assert.equal(primary.calls[0].maxTokens, 1024);
+  assert.equal(backup.calls.length, 0);
+});
+
+test('chatCompletion — fails over on an outage and cools the provider down', async () => {
+  primary.queue({ error: { status: 503, message: 'overloaded' } });
+
+  const r = await aiProviderService.chatCompletion({ messages, feature: 'routingTest' });
+  assert.equal(r.provider, 'fakeBackup');
+  assert.equal(r.model, 'backup-model');
+  assert.equal(r.failedOver, true);
+  assert.equal(registry.isCoolingDown('fakePrimary'), true);
+
+  // While cooling down, the backup is tried first
+  const next = await aiProviderService.chatCompletion({ messages, feature: 'routingTest' });
+  assert.equal(next.provider, 'fakeBackup');
+  assert.equal(primary.calls.length, 1);
+});
+
+test('chatCompletion — bad requests do not fail over', async () => {
+  primary.queue({ error: { status: 400, message: 'bad request' } });
+  await assert.rejects(
+    () => aiProviderService.chatCompletion({ messages, feature: 'routingTest' }),
+    (e) => e.status === 400
+  );
+  assert.equal(backup.calls.length, 0);
+});
+
+test('chatCompletion — throws the last error when every provider fails', async () => {
+  primary.queue({ error: { status: 401, message: 'bad key' } });
+  backup.queue({ error: { status: 404, message: 'no model' } });
+  await assert.rejects(
+    () => aiProviderService.chatCompletion({ messages, feature: 'routingTest' }),
+    (e) => e.status === 404
+  );
+});
+
+test('streamChatCompletion — fails over before the first chunk, streams from the backup', async () => {
+  primary.queue({ error: { status: 500 } });
+  const chunks = [];
+  const r = await aiProviderService.streamChatCompletion({
+    messages,
+    feature: 'routingTest',
+    onChunk: (delta) => chunks.push(delta),
+  });
+  assert.equal(r.provider, 'fakeBackup');
+  assert.equal(chunks.join(''), '[fake] Hello there');
+  assert.equal(r.content, '[fake] Hello there');
+});
+
+test('resolveRoute — AI_ROUTE_<FEATURE> env override with a model', () => {
+  process.env.AI_ROUTE_ROUTINGTEST = 'fakeBackup:override-model';
+  try {
+    const route = registry.resolveRoute('routingTest');
+    assert.deepEqual(route.map(r => [r.provider.name, r.model]), [['fakeBackup', 'override-model']]);
+  } finally {
+    delete process.env.AI_ROUTE_ROUTINGTEST;
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Cost accounting
+// ---------------------------------------------------------------------------
+
+test('estimateCostUsd — per-1M pricing, dated model ids, unknown models are free', () => {
+  const usage = { inputTokens: 1000000, outputTokens: 500000 };
+  assert.equal(registry.estimateCostUsd('openai', 'gpt-4o-mini', usage), 0.45);
+  assert.equal(registry.estimateCostUsd('openai', 'gpt-4o-mini-2024-07-18', usage), 0.45);
+  assert.equal(registry.estimateCostUsd('openai', 'gpt-4o-2024-08-06', usage), 7.5);
+  assert.equal(registry.estimateCostUsd('local', 'llama3.1', usage), 0);
+  assert.equal(registry.estimateCostUsd('openai', 'mystery', usage), 0);
+});
+
+test('trackUsage — records provider, model, tokens and cost', async () => {
+  await aiProviderService.trackUsage({
+    userId: USER_ID,
+    feature: 'conversation',
+    tokensUsed: { inputTokens: 2000, outputTokens: 1000 },
+    provider: 'anthropic',
+    model: 'claude-3-5-haiku-latest',
+  });
+  assert.deepEqual(mockCreate.mock.calls[0].arguments[0], {
+    userId: USER_ID,
+    feature: 'conversation',
+    provider: 'anthropic',
+    model: 'claude-3-5-haiku-latest',
+    inputTokens: 2000,
+    outputTokens: 1000,
+    costUsd: 0.0056,
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Anthropic message translation
+// ---------------------------------------------------------------------------
+
+test('toAnthropicMessages — lifts system prompts and merges same-role turns', () => {
+  const r = toAnthropicMessages([
+    { role: 'system', content: 'Be brief.' },
+    { role: 'assistant', content: 'Hi!' },
+    { role: 'user', content: 'One' },
+    { role: 'user', content: 'Two' },
+  ], true);
+  assert.match(r.system, /^Be brief\.\n\nRespond with a single valid JSON object/);
+  assert.deepEqual(r.messages, [
+    { role: 'user', content: '(continue)' },
+    { role: 'assistant', content: 'Hi!' },
+    { role: 'user', content: 'One\n\nTwo' },
+  ]);
+});
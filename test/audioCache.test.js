@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const AudioCache = require('../models/AudioCache');
+
+const sha256 = (s) => crypto.createHash('sha256').update(s).digest('hex');
+
+test('generateHash — OpenAI keeps the pre-engine key so existing clips still hit', () => {
+  const legacy = sha256('안녕하세요|ko|nova|1');
+  assert.equal(AudioCache.generateHash('안녕하세요', 'ko', 'nova', 1), legacy);
+  assert.equal(AudioCache.generateHash('안녕하세요', 'ko', 'nova', 1, 'openai'), legacy);
+});
+
+test('generateHash — other engines get their own keys', () => {
+  const google = AudioCache.generateHash('안녕하세요', 'ko', 'nova', 1, 'google');
+  assert.equal(google, sha256('google|안녕하세요|ko|nova|1'));
+  assert.notEqual(google, AudioCache.generateHash('안녕하세요', 'ko', 'nova', 1, 'azure'));
+});
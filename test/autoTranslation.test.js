@@ -0,0 +1,247 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mock } = require('node:test');
+
+const ME = '64c000000000000000000001';
+const PARTNER = '64c000000000000000000002';
+
+// ---------------------------------------------------------------------------
+// lib/autoTranslate.js
+// ---------------------------------------------------------------------------
+
+const {
+  isAutoTranslatable,
+  participantLanguageSettings,
+  resolveTargetLanguage,
+} = require('../lib/autoTranslate');
+
+test('isAutoTranslatable — only incoming plain text', () => {
+  const incoming = { _id: 'm1', sender: PARTNER, message: '안녕하세요', messageType: 'text' };
+  assert.equal(isAutoTranslatable(incoming, ME), true);
+  assert.equal(isAutoTranslatable({ ...incoming, sender: { _id: PARTNER } }, ME), true);
+  assert.equal(isAutoTranslatable(incoming, PARTNER), false);
+  assert.equal(isAutoTranslatable({ ...incoming, isEncrypted: true, message: null }, ME), false);
+  assert.equal(isAutoTranslatable({ ...incoming, messageType: 'voice' }, ME), false);
+  assert.equal(isAutoTranslatable({ ...incoming, message: '   ' }, ME), false);
+});
+
+test('participantLanguageSettings — own entry wins, else conversation defaults', () => {
+  const conversation = {
+    languageSettings: { autoTranslate: false, translateTo: 'en' },
+    userLanguageSettings: [{ user: ME, autoTranslate: true, translateTo: 'ja' }],
+  };
+  assert.deepEqual(participantLanguageSettings(conversation, ME), { autoTranslate: true, translateTo: 'ja' });
+  assert.deepEqual(participantLanguageSettings(conversation, PARTNER), { autoTranslate: false, translateTo: 'en' });
+
+  assert.equal(resolveTargetLanguage({ translateTo: null }, { native_language: 'Korean' }), 'ko');
+  assert.equal(resolveTargetLanguage({ translateTo: 'es' }, { native_language: 'Korean' }), 'es');
+  assert.equal(resolveTargetLanguage({}, { native_language: '' }), null);
+});
+
+// ---------------------------------------------------------------------------
+// services/autoTranslationService.js
+// ---------------------------------------------------------------------------
+
+let cache;
+let conversation;
+let conversations;
+let viewer;
+
+const mockGetOrCreate = mock.fn((sourceId, sourceType, text, targetLanguage, sourceLanguage) => {
+  const translation = { language: targetLanguage, sourceLanguage, translatedText: `[${targetLanguage}] ${text}`, cached: false };
+  cache.set(`${sourceId}:${targetLanguage}`, { ...translation, cached: true });
+  return Promise.resolve(translation);
+});
+const mockDetectLanguage = mock.fn((text) => Promise.resolve(/[가-힣]/.test(text) ? 'ko' : 'en'));
+mock.module('../services/translationService.js', {
+  namedExports: {
+    getCachedTranslation: mock.fn((sourceId, sourceType, targetLanguage) => {
+      assert.equal(sourceType, 'message');
+      return Promise.resolve(cache.get(`${sourceId}:${targetLanguage}`) || null);
+    }),
+    detectLanguage: mockDetectLanguage,
+    getOrCreateTranslation: mockGetOrCreate,
+  },
+});
+const chain = (value) => ({ select: () => chain(value), lean: () => Promise.resolve(value) });
+mock.module('../models/Conversation.js', {
+  defaultExport: {
+    findOne: mock.fn(() => chain(conversation)),
+    find: mock.fn(() => chain(conversations)),
+  },
+});
+mock.module('../models/User.js', {
+  defaultExport: { findById: mock.fn(() => Promise.resolve(viewer)) },
+});
+
+const { attachAutoTranslations, attachInboxAutoTranslations, translateIncoming } = require('../services/autoTranslationService');
+
+// A viewer with `quota` translations left today
+const makeViewer = (quota) => {
+  const user = {
+    _id: ME,
+    native_language: 'English',
+    quota,
+    canTranslate: () => ({ allowed: user.quota > 0 }),
+    incrementTranslationCount: mock.fn(() => {
+      user.quota -= 1;
+      return Promise.resolve({ allowed: true, via: 'free' });
+    }),
+  };
+  return user;
+};
+
+const msg = (id, text, sender = PARTNER, extra = {}) => ({ _id: id, sender: { _id: sender }, message: text, messageType: 'text', ...extra });
+
+test.beforeEach(() => {
+  cache = new Map();
+  conversation = {
+    _id: 'c1',
+    userLanguageSettings: [{ user: ME, autoTranslate: true }],
+  };
+  viewer = makeViewer(5);
+  mockGetOrCreate.mock.resetCalls();
+  mockDetectLanguage.mock.resetCalls();
+});
+
+const fakeIo = () => {
+  const emitted = [];
+  return { emitted, to: (room) => ({ emit: (event, data) => emitted.push({ room, event, data }) }) };
+};
+
+// Background translations start on setImmediate and run on resolved mocks
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+test('attachAutoTranslations — cached inline, the rest follow as messageTranslated', async () => {
+  cache.set('m1:en', { language: 'en', sourceLanguage: 'ko', translatedText: 'Hello', cached: true });
+  const page = [
+    msg('m1', '안녕하세요'),
+    msg('m2', '고마워요'),
+    msg('m3', 'see you tomorrow'),
+    msg('m4', '내 메시지', ME),
+    msg('m5', null, PARTNER, { isEncrypted: true }),
+  ];
+  const io = fakeIo();
+
+  const { messages, autoTranslate } = await attachAutoTranslations(page, viewer, conversation, { io });
+
+  assert.deepEqual(autoTranslate, { enabled: true, translateTo: 'en', limitReached: false, pending: 2 });
+  assert.equal(messages[0].autoTranslation.translatedText, 'Hello');
+  assert.equal(messages[0].autoTranslation.cached, true);
+  assert.equal(messages[1].autoTranslation, undefined);
+  assert.equal(messages[3].autoTranslation, undefined);
+  assert.equal(messages[4].autoTranslation, undefined);
+  // Nothing reaches the provider before the page is returned
+  assert.equal(mockDetectLanguage.mock.callCount(), 0);
+
+  await settle();
+  assert.deepEqual(io.emitted.map(e => `${e.room}:${e.event}:${e.data.messageId}`), [`user_${ME}:messageTranslated:m2`]);
+  assert.equal(io.emitted[0].data.autoTranslation.translatedText, '[en] 고마워요');
+  assert.equal(io.emitted[0].data.conversationId, 'c1');
+  // m3 was detected as English already: no translation, no charge
+  assert.equal(mockGetOrCreate.mock.callCount(), 1);
+  assert.equal(viewer.incrementTranslationCount.mock.callCount(), 1);
+});
+
+test('attachAutoTranslations — stops translating when the quota runs out, still shows cached', async () => {
+  viewer = makeViewer(1);
+  cache.set('old:en', { language: 'en', sourceLanguage: 'ko', translatedText: 'Old one', cached: true });
+  const page = [msg('old', '예전 메시지'), msg('a', '첫 번째'), msg('b', '두 번째')];
+  const io = fakeIo();
+
+  const { messages, autoTranslate } = await attachAutoTranslations(page, viewer, conversation, { io });
+  assert.equal(messages[0].autoTranslation.translatedText, 'Old one');
+  assert.equal(autoTranslate.pending, 2);
+  await settle();
+
+  // Newest first: 'b' uses the last translation, 'a' hits the limit
+  assert.deepEqual(io.emitted.map(e => `${e.event}:${e.data.messageId}`), [
+    'messageTranslated:b',
+    'autoTranslateLimitReached:a',
+  ]);
+  assert.equal(viewer.incrementTranslationCount.mock.callCount(), 1);
+  // No detection once the quota is gone
+  assert.equal(mockDetectLanguage.mock.callCount(), 1);
+
+  // Out of quota already: nothing is queued
+  const again = await attachAutoTranslations(page, viewer, conversation, { io: fakeIo() });
+  assert.equal(again.autoTranslate.limitReached, true);
+  assert.equal(again.autoTranslate.pending, 0);
+});
+
+test('attachAutoTranslations — a page fetched twice is translated once', async () => {
+  const page = [msg('m1', '안녕하세요')];
+  const io = fakeIo();
+  // The first run is still detecting when the second page load arrives
+  mockDetectLanguage.mock.mockImplementationOnce(() => new Promise(resolve => setTimeout(() => resolve('ko'), 5)));
+
+  await attachAutoTranslations(page, viewer, conversation, { io });
+  await new Promise(resolve => setImmediate(resolve));
+  await attachAutoTranslations(page, viewer, conversation, { io });
+  await settle();
+
+  assert.equal(mockGetOrCreate.mock.callCount(), 1);
+  assert.equal(io.emitted.length, 1);
+});
+
+test('attachInboxAutoTranslations — follows the viewer\'s setting per chat, incoming only', async () => {
+  const OTHER = '64c000000000000000000003';
+  conversations = [
+    { _id: 'c1', participants: [ME, PARTNER], userLanguageSettings: [{ user: ME, autoTranslate: true }] },
+    { _id: 'c2', participants: [ME, OTHER], userLanguageSettings: [] },
+  ];
+  cache.set('p1:en', { language: 'en', sourceLanguage: 'ko', translatedText: 'Hi', cached: true });
+  const inbox = [
+    { ...msg('p2', '배고파요'), receiver: { _id: ME }, createdAt: new Date(3000) },
+    { ...msg('o1', '좋아요', OTHER), receiver: { _id: ME }, createdAt: new Date(2000) },
+    { ...msg('p1', '안녕'), receiver: { _id: ME }, createdAt: new Date(1000) },
+  ];
+  const io = fakeIo();
+
+  const messages = await attachInboxAutoTranslations(inbox, viewer, { io });
+  await settle();
+
+  assert.equal(messages[2].autoTranslation.translatedText, 'Hi');
+  assert.equal(messages[1].autoTranslation, undefined);
+  assert.deepEqual(io.emitted.map(e => `${e.event}:${e.data.messageId}:${e.data.conversationId}`), [
+    'messageTranslated:p2:c1',
+  ]);
+});
+
+test('attachAutoTranslations — untouched when the viewer has it off', async () => {
+  conversation.userLanguageSettings = [{ user: PARTNER, autoTranslate: true }];
+  const page = [msg('m1', '안녕하세요')];
+
+  const result = await attachAutoTranslations(page, viewer, conversation);
+
+  assert.equal(result.autoTranslate, null);
+  assert.equal(result.messages, page);
+});
+
+test('translateIncoming — emits messageTranslated to the receiver only', async () => {
+  const io = fakeIo();
+  const message = { _id: 'm9', sender: PARTNER, message: '잘 자요', messageType: 'text' };
+
+  const sent = await translateIncoming({ io, message, receiverId: ME });
+
+  assert.equal(sent.translatedText, '[en] 잘 자요');
+  assert.deepEqual(io.emitted.map(e => `${e.room}:${e.event}`), [`user_${ME}:messageTranslated`]);
+  assert.equal(io.emitted[0].data.conversationId, 'c1');
+
+  // The sender's own setting never translates their outgoing messages
+  const other = fakeIo();
+  assert.equal(await translateIncoming({ io: other, message: { ...message, _id: 'm10' }, receiverId: PARTNER }), null);
+  assert.equal(other.emitted.length, 0);
+});
+
+test('translateIncoming — ciphertext is never translated; quota exhaustion is reported', async () => {
+  const io = fakeIo();
+  await translateIncoming({ io, message: { _id: 'e1', sender: PARTNER, isEncrypted: true, message: null }, receiverId: ME });
+  assert.equal(io.emitted.length, 0);
+
+  viewer = makeViewer(0);
+  await translateIncoming({ io, message: { _id: 'm11', sender: PARTNER, message: '배고파요', messageType: 'text' }, receiverId: ME });
+  assert.deepEqual(io.emitted.map(e => e.event), ['autoTranslateLimitReached']);
+  assert.equal(mockGetOrCreate.mock.callCount(), 0);
+  assert.equal(mockDetectLanguage.mock.callCount(), 0);
+});
@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  buildFolderConditions,
+  normalizeFolderRules,
+  normalizeLabel
+} = require('../lib/conversationListQuery');
+
+test('normalizeLabel trims names, uppercases colors and rejects bad input', () => {
+  assert.deepEqual(normalizeLabel({ name: '  Japanese   partners ', color: '#4f46e5' }), {
+    label: { name: 'Japanese partners', color: '#4F46E5' }
+  });
+  assert.deepEqual(normalizeLabel({ name: 'Tutor' }), { label: { name: 'Tutor', color: null } });
+  assert.ok(normalizeLabel({}).error);
+  assert.ok(normalizeLabel({ name: 'x'.repeat(31) }).error);
+  assert.ok(normalizeLabel({ name: 'Tutor', color: 'red' }).error);
+});
+
+test('normalizeLabel partial only returns the fields given', () => {
+  assert.deepEqual(normalizeLabel({ color: '#000000' }, { partial: true }), { label: { color: '#000000' } });
+  assert.deepEqual(normalizeLabel({ color: null }, { partial: true }), { label: { color: null } });
+  assert.ok(normalizeLabel({ name: '  ' }, { partial: true }).error);
+});
+
+test('normalizeFolderRules keeps valid rules and dedupes lists', () => {
+  const { rules, error } = normalizeFolderRules({
+    unread: true,
+    languages: ['JA', 'ja', 'ko'],
+    hasCorrections: true,
+    lastActive: { withinDays: 30, olderThanDays: 7 },
+    labels: ['Tutor', 'Tutor']
+  });
+
+  assert.equal(error, undefined);
+  assert.deepEqual(rules, {
+    unread: true,
+    languages: ['ja', 'ko'],
+    hasCorrections: true,
+    lastActive: { withinDays: 30, olderThanDays: 7 },
+    labels: ['Tutor']
+  });
+});
+
+test('normalizeFolderRules rejects empty and malformed rules', () => {
+  assert.ok(normalizeFolderRules({}).error);
+  assert.ok(normalizeFolderRules(null).error);
+  assert.ok(normalizeFolderRules({ unread: false }).error);
+  assert.ok(normalizeFolderRules({ languages: ['Japanese'] }).error);
+  assert.ok(normalizeFolderRules({ languages: [] }).error);
+  assert.ok(normalizeFolderRules({ lastActive: {} }).error);
+  assert.ok(normalizeFolderRules({ lastActive: { withinDays: 0 } }).error);
+  assert.ok(normalizeFolderRules({ lastActive: { withinDays: 7, olderThanDays: 30 } }).error);
+});
+
+test('buildFolderConditions turns each rule into one condition', () => {
+  const now = new Date('2026-01-31T00:00:00Z');
+  const conditions = buildFolderConditions('u1', {
+    unread: true,
+    languages: ['ja'],
+    hasCorrections: true,
+    lastActive: { withinDays: 30 },
+    labels: ['Tutor']
+  }, { now, languagePartnerIds: ['p1'], correctionPartnerIds: ['p2'] });
+
+  assert.deepEqual(conditions, [
+    { unreadCount: { $elemMatch: { user: 'u1', count: { $gt: 0 } } } },
+    {
+      $or: [
+        { isGroup: { $ne: true }, participants: { $in: ['p1'] } },
+        { 'languageSettings.primaryLanguage': { $in: ['ja'] } }
+      ]
+    },
+    { isGroup: { $ne: true }, participants: { $in: ['p2'] } },
+    { lastMessageAt: { $gte: new Date('2026-01-01T00:00:00Z') } },
+    { labels: { $elemMatch: { addedBy: 'u1', name: { $in: ['Tutor'] } } } }
+  ]);
+});
+
+test('buildFolderConditions matches nothing when no partner has corrections', () => {
+  const conditions = buildFolderConditions('u1', { hasCorrections: true });
+  assert.deepEqual(conditions, [{ isGroup: { $ne: true }, participants: { $in: [] } }]);
+});
@@ -57,6 +57,14 @@ test('resolveUnlockRequest: unknown featureKey -> 404', () => {
   assert.equal(d2.status, 404);
 });
 
+test('resolveUnlockRequest: sticker pack tiers are bought per pack -> 400', () => {
+  for (const key of ['sticker_pack', 'sticker_pack_premium']) {
+    const d = resolveUnlockRequest(key);
+    assert.equal(d.ok, false);
+    assert.equal(d.status, 400, `${key} must not grant a coinBonus flag`);
+  }
+});
+
 test('resolveUnlockRequest: missing/blank featureKey -> 400', () => {
   for (const bad of [undefined, null, '', 123, {}]) {
     const d = resolveUnlockRequest(bad);
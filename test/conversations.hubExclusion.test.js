@@ -68,3 +68,26 @@ test('never allows roomType exclusion to be overridden by filters object', () =>
   });
   assert.deepEqual(query.roomType, { $nin: ['hub', 'topic'] });
 });
+
+test('adds unread and label filters under $and, keeping the base filters', () => {
+  const userId = 'u1';
+  const query = buildConversationListQuery(userId, { unread: 'true', label: ' Tutor ', archived: 'false' });
+
+  assert.deepEqual(query.roomType, { $nin: ['hub', 'topic'] });
+  assert.deepEqual(query.archivedBy, { $ne: userId });
+  assert.deepEqual(query.$and, [
+    { unreadCount: { $elemMatch: { user: userId, count: { $gt: 0 } } } },
+    { labels: { $elemMatch: { addedBy: userId, name: { $in: ['Tutor'] } } } }
+  ]);
+  assert.equal(buildConversationListQuery(userId, {}).$and, undefined);
+});
+
+test('folder conditions cannot override the participants clause', () => {
+  const userId = 'u1';
+  const query = buildConversationListQuery(userId, {
+    conditions: [{ isGroup: { $ne: true }, participants: { $in: ['u2'] } }]
+  });
+
+  assert.equal(query.participants, userId);
+  assert.deepEqual(query.$and, [{ isGroup: { $ne: true }, participants: { $in: ['u2'] } }]);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  preferredHour,
+  localTime,
+  localDateKey,
+  spreadMinute,
+  chooseHour,
+  nextLocalTime,
+  planSendAt,
+} = require('../lib/deliveryTime');
+const deliveryConfig = require('../config/notificationDelivery');
+
+const hist = (entries) => {
+  const counts = new Array(24).fill(0);
+  for (const [hour, n] of Object.entries(entries)) counts[hour] = n;
+  return counts;
+};
+
+test('preferredHour needs enough opens', () => {
+  assert.equal(preferredHour(hist({ 19: 4 })), null);
+  assert.equal(preferredHour(hist({ 19: 5 })), 19);
+});
+
+test('preferredHour favours a cluster over a lone spike', () => {
+  // 8am spike of 4 vs a 20-22h cluster of 3+3+3
+  assert.equal(preferredHour(hist({ 8: 4, 20: 3, 21: 3, 22: 3 })), 21);
+  // Smoothing wraps around midnight
+  assert.equal(preferredHour(hist({ 23: 3, 0: 3, 1: 3, 12: 4 })), 0);
+});
+
+test('localTime and localDateKey follow the timezone', () => {
+  const at = new Date('2026-03-01T15:30:00Z');
+  assert.deepEqual(localTime(at, 'Asia/Seoul'), { hour: 0, minute: 30 });
+  assert.equal(localDateKey(at, 'Asia/Seoul'), '2026-03-02');
+  assert.equal(localDateKey(at, 'America/New_York'), '2026-03-01');
+});
+
+test('spreadMinute is stable per user and kind and within the hour', () => {
+  const minute = spreadMinute('u1', 'srs_review');
+  assert.equal(spreadMinute('u1', 'srs_review'), minute);
+  assert.ok(minute >= 0 && minute < 60);
+  const minutes = new Set(Array.from({ length: 50 }, (_, i) => spreadMinute(`user${i}`, 'srs_review')));
+  assert.ok(minutes.size > 20);
+});
+
+test('chooseHour clamps to the window and steps out of quiet hours', () => {
+  const config = { defaultHour: 20, earliest: 12, latest: 22 };
+  assert.equal(chooseHour(null, config), 20);
+  assert.equal(chooseHour(7, config), 12);
+  assert.equal(chooseHour(23, config), 22);
+
+  const quiet = { enabled: true, start: '21:00', end: '08:00' };
+  assert.equal(chooseHour(22, config, quiet), 20);
+  // Whole window quiet: keep the clamped hour
+  assert.equal(chooseHour(15, config, { enabled: true, start: '10:00', end: '23:30' }), 15);
+  // Disabled quiet hours are ignored
+  assert.equal(chooseHour(22, config, { ...quiet, enabled: false }), 22);
+});
+
+test('nextLocalTime is the next occurrence, never now', () => {
+  const now = new Date('2026-03-01T00:00:00Z'); // 09:00 KST
+  assert.equal(nextLocalTime(now, 'Asia/Seoul', 20, 15).toISOString(), '2026-03-01T11:15:00.000Z');
+  assert.equal(nextLocalTime(now, 'Asia/Seoul', 9, 0).toISOString(), '2026-03-02T00:00:00.000Z');
+  assert.equal(nextLocalTime(now, 'Asia/Seoul', 8, 0).toISOString(), '2026-03-01T23:00:00.000Z');
+});
+
+test('planSendAt uses the learned hour in the user timezone', () => {
+  const now = new Date('2026-03-01T00:00:00Z');
+  const user = {
+    _id: 'u1',
+    quietHours: { enabled: false, timezone: 'Europe/London' },
+    notificationTiming: { preferredHour: 18 },
+  };
+  const at = planSendAt({ user, kind: 'streak_reminder', config: deliveryConfig.streak_reminder, now });
+  assert.deepEqual(localTime(at, 'Europe/London'), { hour: 18, minute: spreadMinute('u1', 'streak_reminder') });
+  assert.ok(at > now);
+});
+
+test('planSendAt falls back to the default hour in KST', () => {
+  const now = new Date('2026-03-01T00:00:00Z');
+  const at = planSendAt({ user: { _id: 'u2' }, kind: 'srs_review', config: deliveryConfig.srs_review, now });
+  assert.equal(localTime(at, 'Asia/Seoul').hour, deliveryConfig.srs_review.defaultHour);
+});
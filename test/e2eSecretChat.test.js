@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mock } = require('node:test');
+
+const { checkEnvelope, checkDeviceRegistration } = require('../lib/e2eEnvelope');
+
+const SENDER = '64b000000000000000000001';
+const RECEIVER = '64b000000000000000000002';
+const STRANGER = '64b000000000000000000003';
+
+const b64 = (bytes) => Buffer.alloc(bytes, 7).toString('base64');
+
+// ---------------------------------------------------------------------------
+// Payload validation
+// ---------------------------------------------------------------------------
+
+const envelope = (recipients) => ({ v: 1, senderDeviceId: 'phone-1', recipients });
+
+test('checkEnvelope — accepts per-device ciphertexts for sender and receiver', () => {
+  const { error, envelope: normalized } = checkEnvelope(envelope([
+    { user: RECEIVER, deviceId: 'ipad', type: 'prekey', body: b64(90), plaintext: 'hi' },
+    { user: SENDER, deviceId: 'laptop', type: 'message', body: b64(40) },
+  ]), { senderId: SENDER, receiverId: RECEIVER });
+
+  assert.equal(error, null);
+  assert.equal(normalized.recipients.length, 2);
+  assert.equal('plaintext' in normalized.recipients[0], false);
+});
+
+test('checkEnvelope — rejects outsiders, duplicates, bad bodies and no receiver device', () => {
+  const params = { senderId: SENDER, receiverId: RECEIVER };
+  const cases = [
+    envelope([{ user: STRANGER, deviceId: 'x', type: 'message', body: b64(16) }]),
+    envelope([
+      { user: RECEIVER, deviceId: 'x', type: 'message', body: b64(16) },
+      { user: RECEIVER, deviceId: 'x', type: 'message', body: b64(16) },
+    ]),
+    envelope([{ user: RECEIVER, deviceId: 'x', type: 'message', body: 'not base64!' }]),
+    envelope([{ user: SENDER, deviceId: 'laptop', type: 'message', body: b64(16) }]),
+    { ...envelope([{ user: RECEIVER, deviceId: 'x', type: 'message', body: b64(16) }]), v: 2 },
+    'hello in plaintext',
+  ];
+  for (const payload of cases) {
+    assert.notEqual(checkEnvelope(payload, params).error, null, JSON.stringify(payload));
+  }
+});
+
+test('checkDeviceRegistration — key sizes and signature length', () => {
+  const keys = {
+    identityKey: b64(33),
+    registrationId: 1234,
+    signedPreKey: { keyId: 1, publicKey: b64(33), signature: b64(64) },
+    preKeys: [{ keyId: 1, publicKey: b64(32) }, { keyId: 2, publicKey: b64(32) }],
+  };
+  assert.equal(checkDeviceRegistration(keys), null);
+  assert.match(checkDeviceRegistration({ ...keys, identityKey: b64(16) }), /identityKey/);
+  assert.match(checkDeviceRegistration({ ...keys, signedPreKey: { ...keys.signedPreKey, signature: b64(32) } }), /signedPreKey/);
+  assert.match(checkDeviceRegistration({ ...keys, preKeys: [keys.preKeys[0], keys.preKeys[0]] }), /Duplicate/);
+});
+
+// ---------------------------------------------------------------------------
+// Key service and push
+// ---------------------------------------------------------------------------
+
+const lean = (value) => ({ select: () => lean(value), lean: () => Promise.resolve(value) });
+
+// Two devices; the phone has prekeys 5 and 6, the tablet has run out
+const devices = [
+  { _id: 'd1', deviceId: 'phone', registrationId: 1, identityKey: 'IK1', signedPreKey: { keyId: 1 }, oneTimePreKeys: [{ keyId: 5 }, { keyId: 6 }] },
+  { _id: 'd2', deviceId: 'tablet', registrationId: 2, identityKey: 'IK2', signedPreKey: { keyId: 1 }, oneTimePreKeys: [] },
+];
+const mockFindOneAndUpdate = mock.fn((filter, update) => {
+  const device = devices.find(d => d._id === filter._id);
+  const before = { ...device, oneTimePreKeys: device.oneTimePreKeys.slice(0, 1) };
+  if (update.$pop) device.oneTimePreKeys = device.oneTimePreKeys.slice(1);
+  return lean(before);
+});
+
+mock.module('../models/DeviceKey.js', {
+  defaultExport: {
+    find: mock.fn(() => lean(devices.map(d => ({ _id: d._id })))),
+    findOneAndUpdate: mockFindOneAndUpdate,
+    exists: mock.fn(() => Promise.resolve(null)),
+  },
+});
+
+const sentPushes = [];
+const recipient = {
+  _id: RECEIVER,
+  preferredLocale: 'ko',
+  notificationSettings: { enabled: true, chatMessages: true, mutedChats: [], showPreview: true },
+  notificationPreferences: {},
+};
+mock.module('../models/User.js', {
+  defaultExport: {
+    findById: mock.fn(() => Promise.resolve(recipient)),
+    findByIdAndUpdate: mock.fn(() => Promise.resolve(recipient)),
+  },
+});
+mock.module('../services/fcmService.js', {
+  defaultExport: {
+    sendToUser: mock.fn((userId, notification, data) => {
+      sentPushes.push({ userId, notification, data });
+      return Promise.resolve({ success: true, delivered: 1 });
+    }),
+  },
+});
+
+const e2eKeyService = require('../services/e2eKeyService');
+const notificationService = require('../services/notificationService');
+
+test('getBundles — claims one one-time prekey per device, none twice', async () => {
+  const first = await e2eKeyService.getBundles(RECEIVER);
+  const second = await e2eKeyService.getBundles(RECEIVER);
+
+  assert.deepEqual(first.map(b => [b.deviceId, b.preKey?.keyId ?? null]), [['phone', 5], ['tablet', null]]);
+  assert.deepEqual(second.map(b => [b.deviceId, b.preKey?.keyId ?? null]), [['phone', 6], ['tablet', null]]);
+  assert.deepEqual(mockFindOneAndUpdate.mock.calls[0].arguments[1], { $pop: { oneTimePreKeys: -1 } });
+});
+
+test('assertCanClaimBundles — strangers are refused; a follow or a 1:1 chat is enough', async (t) => {
+  const Conversation = require('../models/Conversation');
+  let chatted = null;
+  const exists = t.mock.method(Conversation, 'exists', () => Promise.resolve(chatted));
+  const requester = { _id: SENDER, following: [], followers: [] };
+
+  await assert.rejects(
+    e2eKeyService.assertCanClaimBundles(requester, STRANGER),
+    (err) => err.statusCode === 403 && err.errorCode === 'E2E_NOT_CONNECTED'
+  );
+
+  await e2eKeyService.assertCanClaimBundles({ ...requester, followers: [STRANGER] }, STRANGER);
+  await e2eKeyService.assertCanClaimBundles(requester, SENDER);
+  assert.equal(exists.mock.callCount(), 1);
+
+  chatted = { _id: 'c1' };
+  await e2eKeyService.assertCanClaimBundles(requester, RECEIVER);
+});
+
+test('assertNotEncrypted — 403 E2E_ENCRYPTED for secret chat messages only', () => {
+  assert.doesNotThrow(() => e2eKeyService.assertNotEncrypted({ message: 'hi' }, 'translate'));
+  assert.throws(
+    () => e2eKeyService.assertNotEncrypted({ isEncrypted: true }, 'translate'),
+    err => err.statusCode === 403 && err.errorCode === 'E2E_ENCRYPTED'
+  );
+});
+
+test('sendSecretChatMessage — push names neither sender nor content', async () => {
+  const result = await notificationService.sendSecretChatMessage(RECEIVER, SENDER, {
+    _id: 'm1',
+    conversation: 'c1',
+    message: 'should never leak',
+  });
+
+  assert.equal(result.success, true);
+  const [push] = sentPushes;
+  assert.deepEqual(push.data, { type: 'secret_chat_message', conversationId: 'c1', messageId: 'm1', screen: 'chat' });
+  assert.equal(push.notification.imageUrl, undefined);
+  const text = JSON.stringify(push);
+  assert.equal(text.includes(SENDER), false);
+  assert.equal(text.includes('should never leak'), false);
+  assert.equal(push.notification.title, '🔒 비밀 채팅');
+});
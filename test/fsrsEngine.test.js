@@ -0,0 +1,210 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  applyFsrsReview,
+  retrievability,
+  fromSm2,
+  ratingFromQuality,
+  forgettingCurve,
+  nextIntervalDays,
+  RATING,
+} = require('../lib/fsrsEngine');
+const { getScheduler, isValidScheduler, rankByRecall } = require('../lib/srsScheduler');
+const { applyReview } = require('../lib/srsEngine');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-07-16T00:00:00Z');
+const daysAgo = (n) => new Date(NOW.getTime() - n * DAY_MS);
+
+const freshWord = () => ({
+  srsLevel: 0,
+  interval: 0,
+  easeFactor: 2.5,
+  isMastered: false,
+  masteredAt: null,
+  reviewStats: {},
+});
+
+// ---------------------------------------------------------------------------
+// Core FSRS math.
+// ---------------------------------------------------------------------------
+
+test('ratingFromQuality: 0-2 Again, 3 Hard, 4 Good, 5 Easy', () => {
+  assert.equal(ratingFromQuality(0), RATING.AGAIN);
+  assert.equal(ratingFromQuality(2), RATING.AGAIN);
+  assert.equal(ratingFromQuality(3), RATING.HARD);
+  assert.equal(ratingFromQuality(4), RATING.GOOD);
+  assert.equal(ratingFromQuality(5), RATING.EASY);
+});
+
+test('forgettingCurve: recall is 90% after exactly S days and decays monotonically', () => {
+  assert.equal(forgettingCurve(0, 10), 1);
+  assert.ok(Math.abs(forgettingCurve(10, 10) - 0.9) < 1e-9);
+  assert.ok(forgettingCurve(20, 10) < forgettingCurve(10, 10));
+  assert.equal(forgettingCurve(5, 0), 0);
+});
+
+test('nextIntervalDays: interval equals stability at 90% retention, clamped >= 1', () => {
+  assert.equal(nextIntervalDays(10), 10);
+  assert.equal(nextIntervalDays(0.2), 1);
+  assert.ok(nextIntervalDays(10, 0.8) > nextIntervalDays(10, 0.95));
+});
+
+// ---------------------------------------------------------------------------
+// applyFsrsReview
+// ---------------------------------------------------------------------------
+
+test('applyFsrsReview: first Good review initialises memory state and schedules ahead', () => {
+  const r = applyFsrsReview(freshWord(), 4, NOW);
+  assert.equal(r.wasCorrect, true);
+  assert.equal(r.srsLevel, 1);
+  assert.ok(r.fsrs.stability > 0);
+  assert.ok(r.fsrs.difficulty >= 1 && r.fsrs.difficulty <= 10);
+  assert.equal(r.fsrs.lastReview.getTime(), NOW.getTime());
+  assert.ok(r.interval >= 1);
+  assert.equal(r.nextReview.getTime(), NOW.getTime() + r.interval * DAY_MS);
+  assert.equal(r.reviewStats.totalReviews, 1);
+});
+
+test('applyFsrsReview: Easy yields more stability than Good than Hard on a new card', () => {
+  const hard = applyFsrsReview(freshWord(), 3, NOW).fsrs.stability;
+  const good = applyFsrsReview(freshWord(), 4, NOW).fsrs.stability;
+  const easy = applyFsrsReview(freshWord(), 5, NOW).fsrs.stability;
+  assert.ok(hard < good && good < easy);
+});
+
+test('applyFsrsReview: Again is a lapse — due now, level 0, stability never grows', () => {
+  const word = {
+    ...freshWord(),
+    srsLevel: 5,
+    interval: 30,
+    fsrs: { stability: 30, difficulty: 5, lastReview: daysAgo(30) },
+    reviewStats: { totalReviews: 5, lastReviewedAt: daysAgo(30) },
+  };
+  const r = applyFsrsReview(word, 1, NOW);
+  assert.equal(r.wasCorrect, false);
+  assert.equal(r.srsLevel, 0);
+  assert.equal(r.interval, 0);
+  assert.equal(r.nextReview.getTime(), NOW.getTime());
+  assert.ok(r.fsrs.stability < 30);
+  assert.ok(r.fsrs.difficulty > 5);
+});
+
+test('applyFsrsReview: successful reviews grow intervals without SM-2 style runaway', () => {
+  let word = freshWord();
+  let clock = NOW;
+  const intervals = [];
+  for (let i = 0; i < 8; i++) {
+    const r = applyFsrsReview(word, 4, clock);
+    intervals.push(r.interval);
+    word = { ...word, ...r };
+    clock = new Date(clock.getTime() + r.interval * DAY_MS);
+  }
+  for (let i = 1; i < intervals.length; i++) {
+    assert.ok(intervals[i] >= intervals[i - 1], `intervals not monotonic: ${intervals}`);
+  }
+  assert.ok(intervals[intervals.length - 1] < 36500);
+});
+
+test('applyFsrsReview: leaves easeFactor untouched and does not mutate input', () => {
+  const word = { ...freshWord(), easeFactor: 2.1 };
+  const snapshot = JSON.stringify(word);
+  const r = applyFsrsReview(word, 5, NOW);
+  assert.equal(r.easeFactor, 2.1);
+  assert.equal(JSON.stringify(word), snapshot);
+});
+
+test('applyFsrsReview: mastery ladder is shared with SM-2 (justMastered fires once)', () => {
+  const word = { ...freshWord(), srsLevel: 8 };
+  const r = applyFsrsReview(word, 4, NOW);
+  assert.equal(r.srsLevel, 9);
+  assert.equal(r.isMastered, true);
+  assert.equal(r.justMastered, true);
+  const again = applyFsrsReview({ ...word, ...r }, 4, NOW);
+  assert.equal(again.justMastered, false);
+});
+
+// ---------------------------------------------------------------------------
+// SM-2 → FSRS migration path
+// ---------------------------------------------------------------------------
+
+test('fromSm2: never-reviewed cards have no memory state', () => {
+  assert.equal(fromSm2(freshWord()), null);
+});
+
+test('fromSm2: interval seeds stability, easeFactor seeds difficulty', () => {
+  const m = fromSm2({ interval: 14, easeFactor: 2.5, reviewStats: { totalReviews: 4, lastReviewedAt: daysAgo(14) } });
+  assert.equal(m.stability, 14);
+  assert.equal(m.difficulty, 5);
+  assert.equal(m.lastReview.getTime(), daysAgo(14).getTime());
+
+  assert.equal(fromSm2({ interval: 1, easeFactor: 1.3, reviewStats: { totalReviews: 1 } }).difficulty, 10);
+  assert.equal(fromSm2({ interval: 1, easeFactor: 4, reviewStats: { totalReviews: 1 } }).difficulty, 1);
+});
+
+test('fromSm2: lastReview is derived from nextReview - interval when stats lack it', () => {
+  const m = fromSm2({ interval: 6, easeFactor: 2.5, nextReview: NOW, reviewStats: { totalReviews: 2 } });
+  assert.equal(m.lastReview.getTime(), daysAgo(6).getTime());
+});
+
+test('applyFsrsReview: an SM-2 card keeps its progress on the first FSRS review', () => {
+  const sm2Card = {
+    ...freshWord(),
+    srsLevel: 4,
+    interval: 20,
+    reviewStats: { totalReviews: 4, lastReviewedAt: daysAgo(20) },
+  };
+  const r = applyFsrsReview(sm2Card, 4, NOW);
+  assert.ok(r.fsrs.stability > 20);
+  assert.ok(r.interval > 20);
+});
+
+test('applyFsrsReview: stale FSRS state (SM-2 reviewed since) is re-seeded from SM-2', () => {
+  const card = {
+    ...freshWord(),
+    interval: 40,
+    fsrs: { stability: 2, difficulty: 9, lastReview: daysAgo(60) },
+    reviewStats: { totalReviews: 6, lastReviewedAt: daysAgo(40) },
+  };
+  assert.ok(Math.abs(retrievability(card, NOW) - 0.9) < 1e-9);
+});
+
+// ---------------------------------------------------------------------------
+// Scheduler registry + recall ordering
+// ---------------------------------------------------------------------------
+
+test('getScheduler: unknown / missing names fall back to SM-2', () => {
+  assert.equal(getScheduler().name, 'sm2');
+  assert.equal(getScheduler('anki').name, 'sm2');
+  assert.equal(getScheduler('fsrs').name, 'fsrs');
+  assert.equal(getScheduler('sm2').applyReview, applyReview);
+  assert.equal(isValidScheduler('fsrs'), true);
+  assert.equal(isValidScheduler('toString'), false);
+});
+
+test('rankByRecall: weakest recall first, never-reviewed cards last in incoming order', () => {
+  const reviewed = (id, stability, ago) => ({
+    _id: id,
+    fsrs: { stability, difficulty: 5, lastReview: daysAgo(ago) },
+    reviewStats: { totalReviews: 3, lastReviewedAt: daysAgo(ago) },
+  });
+  const ranked = rankByRecall([
+    { _id: 'new1', reviewStats: {} },
+    reviewed('strong', 100, 10),
+    { _id: 'new2', reviewStats: {} },
+    reviewed('weak', 2, 10),
+    reviewed('mid', 10, 10),
+  ], NOW);
+
+  assert.deepEqual(ranked.map((c) => c._id), ['weak', 'mid', 'strong', 'new1', 'new2']);
+  assert.equal(ranked[3].predictedRecall, null);
+  assert.ok(ranked[0].predictedRecall < ranked[1].predictedRecall);
+});
+
+test('rankByRecall: SM-2-only cards are ranked via the migration estimate', () => {
+  const ranked = rankByRecall([
+    { _id: 'long', interval: 60, easeFactor: 2.5, reviewStats: { totalReviews: 5, lastReviewedAt: daysAgo(61) } },
+    { _id: 'short', interval: 1, easeFactor: 2.5, reviewStats: { totalReviews: 1, lastReviewedAt: daysAgo(5) } },
+  ], NOW);
+  assert.deepEqual(ranked.map((c) => c._id), ['short', 'long']);
+});
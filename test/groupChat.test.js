@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MAX_GROUP_MEMBERS,
+  normalizeGroupName,
+  memberRole,
+  canRemove,
+  checkNewGroup,
+  checkInvite,
+  nextOwner,
+  deliveryRecipients,
+  readReceipts
+} = require('../lib/groupChat');
+
+const group = {
+  owner: 'a',
+  admins: ['c'],
+  participants: ['a', 'b', 'c', 'd']
+};
+
+test('normalizeGroupName trims and rejects empty or long names', () => {
+  assert.equal(normalizeGroupName('  Korean   study  '), 'Korean study');
+  assert.equal(normalizeGroupName('   '), null);
+  assert.equal(normalizeGroupName(42), null);
+  assert.equal(normalizeGroupName('x'.repeat(51)), null);
+});
+
+test('memberRole reads owner, admins and members', () => {
+  assert.equal(memberRole(group, 'a'), 'owner');
+  assert.equal(memberRole(group, 'c'), 'admin');
+  assert.equal(memberRole(group, 'b'), 'member');
+  assert.equal(memberRole(group, 'z'), null);
+  // Populated participants work too
+  assert.equal(memberRole({ ...group, participants: [{ _id: 'a' }, { _id: 'b' }] }, 'b'), 'member');
+});
+
+test('canRemove: owner removes anyone else, admins remove members only', () => {
+  assert.equal(canRemove('owner', 'admin'), true);
+  assert.equal(canRemove('owner', 'member'), true);
+  assert.equal(canRemove('admin', 'member'), true);
+  assert.equal(canRemove('admin', 'admin'), false);
+  assert.equal(canRemove('admin', 'owner'), false);
+  assert.equal(canRemove('member', 'member'), false);
+  assert.equal(canRemove('owner', null), false);
+});
+
+test('checkNewGroup counts the creator and enforces size and blocks', () => {
+  assert.deepEqual(checkNewGroup('a', ['b', 'c', 'b', 'a']), { memberIds: ['a', 'b', 'c'] });
+  assert.equal(checkNewGroup('a', ['b']).code, 'GROUP_TOO_SMALL');
+
+  const many = Array.from({ length: MAX_GROUP_MEMBERS }, (_, i) => `u${i}`);
+  assert.equal(checkNewGroup('a', many).code, 'GROUP_FULL');
+  assert.equal(checkNewGroup('a', ['b', 'c'], ['c']).code, 'GROUP_MEMBER_BLOCKED');
+});
+
+test('checkInvite skips existing members and caps the group', () => {
+  assert.deepEqual(checkInvite(group, ['b', 'e']), { added: ['e'] });
+  assert.equal(checkInvite(group, ['e'], ['e']).code, 'GROUP_MEMBER_BLOCKED');
+
+  const invitees = Array.from({ length: MAX_GROUP_MEMBERS - 3 }, (_, i) => `n${i}`);
+  assert.equal(checkInvite(group, invitees).code, 'GROUP_FULL');
+});
+
+test('nextOwner prefers an admin, then the earliest member', () => {
+  assert.equal(nextOwner(group, 'a'), 'c');
+  assert.equal(nextOwner({ ...group, admins: [] }, 'a'), 'b');
+  assert.equal(nextOwner({ owner: 'a', admins: [], participants: ['a'] }, 'a'), null);
+});
+
+test('deliveryRecipients leaves out the sender and block relations', () => {
+  assert.deepEqual(deliveryRecipients(['a', 'b', 'c', 'd'], 'a', ['c']), ['b', 'd']);
+});
+
+test('readReceipts lists readers once and everyone else as unread', () => {
+  const readAt = new Date('2026-03-01T12:00:00Z');
+  const receipts = readReceipts({
+    sender: 'a',
+    participants: ['a', 'b', 'c', 'd'],
+    readBy: [{ user: 'b', readAt }, { user: 'b', readAt: new Date() }, { user: 'x', readAt }]
+  });
+  assert.deepEqual(receipts, { readBy: [{ user: 'b', readAt }], unreadBy: ['c', 'd'] });
+});
@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mock } = require('node:test');
+const mongoose = require('mongoose');
+
+// Edits, deletes, pins and reactions on a group message reach every member
+// it was sent to, and only members can make them. Groups only take people
+// the inviter already knows.
+
+mongoose.set('bufferCommands', false);
+
+const OWNER = '64b000000000000000000001';
+const BEN = '64b000000000000000000002';
+const CARA = '64b000000000000000000003';
+const STRANGER = '64b000000000000000000009';
+const GROUP_ID = '64b0000000000000000000aa';
+const MESSAGE_ID = '64b0000000000000000000bb';
+
+mock.module('../utils/blockingUtils.js', {
+  namedExports: { getBlockedUserIds: mock.fn(() => Promise.resolve([])) },
+});
+
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const User = require('../models/User');
+const groupChatService = require('../services/groupChatService');
+const { editMessage, deleteMessage, pinMessage } = require('../controllers/messageManagement');
+const { addReaction } = require('../controllers/messageReactions');
+
+const group = () => ({ _id: GROUP_ID, isGroup: true, owner: OWNER, admins: [], participants: [OWNER, BEN, CARA] });
+
+const groupMessage = (overrides = {}) => {
+  const msg = {
+    _id: MESSAGE_ID,
+    sender: OWNER,
+    isGroupMessage: true,
+    conversationId: GROUP_ID,
+    participants: [OWNER, BEN, CARA],
+    message: 'hello all',
+    createdAt: new Date(),
+    reactions: [],
+    deletedFor: [],
+    save: mock.fn(async () => msg),
+    populate: mock.fn(async () => msg),
+    ...overrides,
+  };
+  return msg;
+};
+
+const fakeIo = () => {
+  const emitted = [];
+  return { emitted, to: (room) => ({ emit: (event) => emitted.push(`${room}:${event}`) }) };
+};
+
+const call = async (handler, { userId, body = {}, io }) => {
+  let error = null;
+  let status = null;
+  const res = {
+    status: (code) => { status = code; return res; },
+    json: () => res,
+  };
+  await handler(
+    { params: { id: MESSAGE_ID }, body, user: { _id: userId }, app: { get: () => io } },
+    res,
+    (err) => { error = err; }
+  );
+  return { error, status };
+};
+
+const rooms = (...ids) => ids.map((id) => `user_${id}`);
+
+test.beforeEach((t) => {
+  t.mock.method(Conversation, 'findOne', () => Promise.resolve(group()));
+});
+
+test('editMessage — a group edit reaches every member', async (t) => {
+  t.mock.method(Message, 'findById', () => ({ select: () => Promise.resolve(groupMessage()) }));
+  const io = fakeIo();
+
+  const { error, status } = await call(editMessage, { userId: OWNER, body: { message: 'hello all' }, io });
+
+  assert.equal(error, null);
+  assert.equal(status, 200);
+  assert.deepEqual(io.emitted.sort(), rooms(BEN, CARA, OWNER).map((r) => `${r}:messageEdited`).sort());
+});
+
+test('deleteMessage — for everyone in a group hides it from all members and tells each', async (t) => {
+  const msg = groupMessage({ transcription: { status: 'completed', text: 'hello all' } });
+  t.mock.method(Message, 'findById', () => Promise.resolve(msg));
+  const io = fakeIo();
+
+  const { error } = await call(deleteMessage, { userId: OWNER, body: { deleteForEveryone: true }, io });
+
+  assert.equal(error, null);
+  assert.equal(msg.isDeleted, true);
+  assert.equal(msg.transcription, undefined);
+  assert.deepEqual([...msg.deletedFor].sort(), [OWNER, BEN, CARA].sort());
+  assert.deepEqual(io.emitted.sort(), rooms(BEN, CARA, OWNER).map((r) => `${r}:messageDeleted`).sort());
+});
+
+test('pinMessage / addReaction — someone outside the group is refused', async (t) => {
+  t.mock.method(Message, 'findById', () => Promise.resolve(groupMessage()));
+
+  const pin = await call(pinMessage, { userId: STRANGER, io: fakeIo() });
+  assert.equal(pin.error.statusCode, 404);
+
+  const reaction = await call(addReaction, { userId: STRANGER, body: { emoji: '👍' }, io: fakeIo() });
+  assert.equal(reaction.error.statusCode, 404);
+});
+
+test('addReaction — a member\'s reaction reaches every member', async (t) => {
+  t.mock.method(Message, 'findById', () => Promise.resolve(groupMessage()));
+  const io = fakeIo();
+
+  const { error } = await call(addReaction, { userId: BEN, body: { emoji: '👍' }, io });
+
+  assert.equal(error, null);
+  assert.deepEqual(io.emitted.sort(), rooms(BEN, CARA, OWNER).map((r) => `${r}:messageReaction`).sort());
+});
+
+test('createGroup — people the creator has no tie to cannot be added', async (t) => {
+  t.mock.method(User, 'countDocuments', () => Promise.resolve(2));
+  t.mock.method(User, 'findById', () => ({
+    select: () => ({ lean: () => Promise.resolve({ followers: [], following: [BEN] }) }),
+  }));
+  t.mock.method(Conversation, 'find', () => ({ select: () => ({ lean: () => Promise.resolve([]) }) }));
+  const create = t.mock.method(Conversation, 'create', () => Promise.reject(new Error('created')));
+
+  await assert.rejects(
+    groupChatService.createGroup(OWNER, { name: 'Study', memberIds: [BEN, STRANGER] }),
+    (err) => err.statusCode === 403 && err.errorCode === 'GROUP_MEMBER_NOT_CONNECTED'
+  );
+  assert.equal(create.mock.callCount(), 0);
+});
+
+test('createGroup — a 1:1 chat or a follow is enough', async (t) => {
+  t.mock.method(User, 'countDocuments', () => Promise.resolve(2));
+  t.mock.method(User, 'findById', () => ({
+    select: () => ({ lean: () => Promise.resolve({ followers: [CARA], following: [] }) }),
+  }));
+  t.mock.method(Conversation, 'find', () => ({
+    select: () => ({ lean: () => Promise.resolve([{ participants: [OWNER, BEN] }]) }),
+  }));
+  t.mock.method(Conversation, 'create', () => Promise.reject(new Error('created')));
+
+  await assert.rejects(
+    groupChatService.createGroup(OWNER, { name: 'Study', memberIds: [BEN, CARA] }),
+    { message: 'created' }
+  );
+});
@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { editWindowMs, checkEdit, listRevisions } = require('../lib/messageRevisions');
+
+const CREATED = new Date('2026-02-01T10:00:00Z');
+const minutesLater = (m) => new Date(CREATED.getTime() + m * 60 * 1000);
+
+test('editWindowMs reads MESSAGE_EDIT_WINDOW_MINUTES, defaulting to 15', () => {
+  assert.equal(editWindowMs({}), 15 * 60 * 1000);
+  assert.equal(editWindowMs({ MESSAGE_EDIT_WINDOW_MINUTES: '60' }), 60 * 60 * 1000);
+  assert.equal(editWindowMs({ MESSAGE_EDIT_WINDOW_MINUTES: '0' }), 15 * 60 * 1000);
+  assert.equal(editWindowMs({ MESSAGE_EDIT_WINDOW_MINUTES: 'soon' }), 15 * 60 * 1000);
+});
+
+test('checkEdit enforces the window', () => {
+  const msg = { createdAt: CREATED, message: 'I goed home' };
+  const windowMs = 15 * 60 * 1000;
+
+  assert.deepEqual(checkEdit(msg, 'I went home', { now: minutesLater(14), windowMs }), {});
+  assert.deepEqual(checkEdit(msg, 'I went home', { now: minutesLater(16), windowMs }), {
+    error: 'Message can only be edited within 15 minutes',
+    code: 'EDIT_WINDOW_EXPIRED'
+  });
+  assert.equal(
+    checkEdit(msg, 'x', { now: minutesLater(2), windowMs: 60 * 1000 }).error,
+    'Message can only be edited within 1 minute'
+  );
+});
+
+test('checkEdit refuses deleted messages and spots unchanged text', () => {
+  const now = minutesLater(1);
+  assert.equal(checkEdit({ createdAt: CREATED, isDeleted: true }, 'x', { now }).error, 'Cannot edit deleted message');
+  assert.deepEqual(checkEdit({ createdAt: CREATED, message: 'same' }, 'same', { now }), { unchanged: true });
+});
+
+test('listRevisions lists history oldest first with the current text last', () => {
+  const revisions = listRevisions({
+    message: 'I went home yesterday',
+    revision: 2,
+    createdAt: CREATED,
+    editedAt: minutesLater(5),
+    editHistory: [
+      { revision: 0, message: 'I goed home', createdAt: CREATED },
+      { revision: 1, message: 'I went home', createdAt: minutesLater(2) }
+    ],
+    corrections: [
+      { _id: 'c1', revision: 0 },
+      { _id: 'c2', revision: 2 },
+      { _id: 'c3' }
+    ]
+  });
+
+  assert.deepEqual(revisions, [
+    { revision: 0, message: 'I goed home', createdAt: CREATED, current: false, corrections: ['c1', 'c3'] },
+    { revision: 1, message: 'I went home', createdAt: minutesLater(2), current: false, corrections: [] },
+    { revision: 2, message: 'I went home yesterday', createdAt: minutesLater(5), current: true, corrections: ['c2'] }
+  ]);
+});
+
+test('listRevisions for a never-edited message is just the original', () => {
+  assert.deepEqual(listRevisions({ message: 'hi', createdAt: CREATED }), [
+    { revision: 0, message: 'hi', createdAt: CREATED, current: true, corrections: [] }
+  ]);
+});
@@ -0,0 +1,185 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mock } = require('node:test');
+
+const {
+  indexTokens,
+  parseQuery,
+  rankScore,
+  highlightSnippet
+} = require('../lib/searchTokenizer');
+
+// ---------------------------------------------------------------------------
+// Tokenizer
+// ---------------------------------------------------------------------------
+
+const matches = (text, q) => {
+  const tokens = new Set(indexTokens(text));
+  return parseQuery(q).tokens.every(t => tokens.has(t));
+};
+
+test('Korean words match inside particles and endings', () => {
+  assert.equal(matches('내일 학교에서 만나요', '학교'), true);
+  assert.equal(matches('내일 학교에서 만나요', '만나'), true);
+  assert.equal(matches('내일 학교에서 만나요', '학생'), false);
+});
+
+test('Japanese and Chinese match without spaces; characters must be adjacent', () => {
+  assert.equal(matches('明日東京に行きます', '東京'), true);
+  assert.equal(matches('明日東京に行きます', '東京に行く'), false);
+  assert.equal(matches('我们明天去北京吧', '北京'), true);
+  assert.equal(matches('北の京都', '北京'), false);
+});
+
+test('mixed-script messages and Latin diacritics', () => {
+  const text = 'See you at the Café — 카페에서 봐요!';
+  assert.equal(matches(text, 'cafe'), true);
+  assert.equal(matches(text, 'CAFÉ 카페'), true);
+  assert.equal(matches(text, 'coffee'), false);
+});
+
+test('ranking prefers whole-word and phrase matches, then recency', () => {
+  const now = Date.now();
+  const query = parseQuery('coffee shop');
+  const phrase = rankScore({ text: 'meet at the coffee shop', query, createdAt: now, now });
+  const scattered = rankScore({ text: 'shop for coffee later', query, createdAt: now, now });
+  const old = rankScore({ text: 'meet at the coffee shop', query, createdAt: now - 90 * 86400000, now });
+  assert.ok(phrase > scattered);
+  assert.ok(phrase > old);
+});
+
+test('highlightSnippet — ranges on the original text, windowed for long messages', () => {
+  const short = highlightSnippet('See you at the Café', parseQuery('cafe').terms);
+  assert.deepEqual(short.highlights.map(([s, e]) => short.text.slice(s, e)), ['Café']);
+
+  const long = `${'blah '.repeat(60)}明日は東京に行きます${' blah'.repeat(60)}`;
+  const snippet = highlightSnippet(long, parseQuery('東京').terms, { maxLength: 60 });
+  assert.ok(snippet.text.startsWith('…') && snippet.text.endsWith('…'));
+  assert.deepEqual(snippet.highlights.map(([s, e]) => snippet.text.slice(s, e)), ['東京']);
+});
+
+// ---------------------------------------------------------------------------
+// Service
+// ---------------------------------------------------------------------------
+
+const USER_ID = '64b000000000000000000001';
+const OTHER_ID = '64b000000000000000000002';
+const ROOM_ID = '64b0000000000000000000aa';
+
+const chain = (result) => {
+  const query = {
+    select: () => query,
+    sort: () => query,
+    limit: () => query,
+    skip: () => query,
+    populate: () => query,
+    lean: () => Promise.resolve(typeof result === 'function' ? result() : result),
+  };
+  return query;
+};
+
+let stored = [];
+const mockFind = mock.fn((filter) => {
+  if (filter._id && filter._id.$in) {
+    const ids = filter._id.$in.map(String);
+    return chain(stored.filter(m => ids.includes(String(m._id))));
+  }
+  return chain(() => stored
+    .filter(m => (filter.searchTokens?.$all || []).every(t => m.searchTokens.includes(t)))
+    .sort((a, b) => b.createdAt - a.createdAt));
+});
+const mockRoomFindOne = mock.fn(() => chain(null));
+
+mock.module('../models/Message.js', {
+  defaultExport: {
+    schema: { path: () => ({ enumValues: ['text', 'media', 'voice', 'system'] }) },
+    find: mockFind,
+    countDocuments: mock.fn(() => Promise.resolve(stored.length)),
+  },
+});
+mock.module('../models/Conversation.js', {
+  defaultExport: {
+    find: mock.fn(() => ({ distinct: () => Promise.resolve([ROOM_ID]) })),
+    findOne: mockRoomFindOne,
+  },
+});
+
+const messageSearchService = require('../services/messageSearchService');
+
+const message = (id, text, daysAgo) => ({
+  _id: id,
+  message: text,
+  createdAt: new Date(Date.now() - daysAgo * 86400000),
+  searchTokens: indexTokens(text),
+});
+
+test.beforeEach(() => {
+  mockFind.mock.resetCalls();
+  stored = [
+    message('m1', '학교 끝나고 카페에서 공부해요', 3),
+    message('m2', '오늘 학교에서 학교 축제가 있어요', 1),
+    message('m3', 'see you at school', 0),
+  ];
+});
+
+test('searchMessages — ranks token matches and returns highlighted snippets', async () => {
+  const result = await messageSearchService.searchMessages(USER_ID, { q: '학교' });
+
+  assert.deepEqual(result.messages.map(m => m._id), ['m2', 'm1']);
+  assert.equal(result.total, 2);
+  assert.deepEqual(result.terms, ['학교']);
+  const { text, highlights } = result.messages[0].search.snippet;
+  assert.deepEqual(highlights.map(([s, e]) => text.slice(s, e)), ['학교', '학교']);
+
+  // Visibility: the user's DMs plus the rooms they belong to
+  const scope = mockFind.mock.calls[0].arguments[0];
+  assert.deepEqual(scope.searchTokens, { $all: ['학교'] });
+  const visible = scope.$and.find(c => c.$or).$or;
+  assert.equal(visible.length, 3);
+  assert.deepEqual(visible[2], { conversationId: { $in: [ROOM_ID] } });
+});
+
+test('searchMessages — sort=recent keeps newest first; filters become clauses', async () => {
+  const result = await messageSearchService.searchMessages(USER_ID, {
+    q: '학교',
+    sort: 'recent',
+    conversationId: OTHER_ID,
+    messageType: 'text,voice',
+    dateFrom: '2026-01-01',
+  });
+  assert.deepEqual(result.messages.map(m => m._id), ['m2', 'm1']);
+
+  const clauses = mockFind.mock.calls[0].arguments[0].$and;
+  assert.ok(clauses.some(c => c.isGroupMessage && c.$or?.length === 2));
+  assert.ok(clauses.some(c => c.messageType && c.messageType.$in.join() === 'text,voice'));
+  assert.ok(clauses.some(c => c.createdAt?.$gte instanceof Date));
+});
+
+test('searchMessages — rejects bad filters and rooms the user is not in', async () => {
+  await assert.rejects(
+    messageSearchService.searchMessages(USER_ID, { q: 'x', messageType: 'bogus' }),
+    err => err.statusCode === 400
+  );
+  await assert.rejects(
+    messageSearchService.searchMessages(USER_ID, { q: '!!!' }),
+    err => err.statusCode === 400
+  );
+  await assert.rejects(
+    messageSearchService.searchMessages(USER_ID, { q: 'x', roomId: ROOM_ID }),
+    err => err.statusCode === 404
+  );
+});
+
+test('registerSearchEngine — a plugged-in engine supplies the candidates', async () => {
+  process.env.MESSAGE_SEARCH_ENGINE = 'stub';
+  messageSearchService.registerSearchEngine({
+    name: 'stub',
+    findCandidates: async () => [stored[2]],
+  });
+  try {
+    const result = await messageSearchService.searchMessages(USER_ID, { q: 'school' });
+    assert.deepEqual(result.messages.map(m => m._id), ['m3']);
+  } finally {
+    delete process.env.MESSAGE_SEARCH_ENGINE;
+  }
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+// No database: the query fails after its pre hooks ran, which is all we look at
+mongoose.set('bufferCommands', false);
+
+const Message = require('../models/Message');
+const { indexTokens } = require('../lib/searchTokenizer');
+
+const updateAfterHooks = async (query) => {
+  await query.exec().catch(() => {});
+  return query.getUpdate().$set || {};
+};
+
+test('query updates that change the text re-index searchTokens', async () => {
+  for (const op of ['updateOne', 'updateMany', 'findOneAndUpdate']) {
+    const set = await updateAfterHooks(Message[op]({}, { message: 'See you tomorrow' }));
+    assert.deepEqual(set.searchTokens, indexTokens('See you tomorrow'), op);
+  }
+});
+
+test('encrypting clears searchTokens; unrelated updates leave them alone', async () => {
+  const encrypted = await updateAfterHooks(Message.updateOne({}, { $set: { isEncrypted: true, message: null } }));
+  assert.deepEqual(encrypted.searchTokens, []);
+
+  const read = await updateAfterHooks(Message.updateMany({}, { $set: { read: true } }));
+  assert.equal('searchTokens' in read, false);
+});
@@ -0,0 +1,97 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { onlyPublished, isPublished, resolvePublishState } = require('../lib/momentPublishing');
+
+const NOW = new Date('2026-10-18T09:00:00Z');
+const inHours = (h) => new Date(NOW.getTime() + h * 3600000).toISOString();
+
+// ---------------------------------------------------------------------------
+// onlyPublished / isPublished
+// ---------------------------------------------------------------------------
+
+test('onlyPublished: hides drafts and scheduled, keeps legacy moments without a status', () => {
+  const input = { privacy: 'public', isReel: { $ne: true } };
+  const query = onlyPublished(input);
+  assert.deepEqual(query, { privacy: 'public', isReel: { $ne: true }, status: { $nin: ['draft', 'scheduled'] } });
+  assert.equal(input.status, undefined);
+
+  assert.equal(isPublished({}), true);
+  assert.equal(isPublished({ status: 'published' }), true);
+  assert.equal(isPublished({ status: 'scheduled' }), false);
+});
+
+// ---------------------------------------------------------------------------
+// resolvePublishState
+// ---------------------------------------------------------------------------
+
+test('resolvePublishState: create — published now, scheduled, or draft', () => {
+  assert.deepEqual(resolvePublishState({ now: NOW }), { change: true, status: 'published', scheduledFor: null, publishNow: true });
+
+  const scheduled = resolvePublishState({ scheduledFor: inHours(10), now: NOW });
+  assert.equal(scheduled.status, 'scheduled');
+  assert.equal(scheduled.publishNow, false);
+
+  const draft = resolvePublishState({ status: 'draft', scheduledFor: inHours(10), now: NOW });
+  assert.equal(draft.status, 'draft');
+});
+
+test('resolvePublishState: rejects past, far-future and time-less schedules', () => {
+  assert.match(resolvePublishState({ scheduledFor: inHours(-1), now: NOW }).error, /future/);
+  assert.match(resolvePublishState({ scheduledFor: inHours(24 * 91), now: NOW }).error, /90 days/);
+  assert.match(resolvePublishState({ status: 'scheduled', now: NOW }).error, /required/);
+  assert.match(resolvePublishState({ scheduledFor: 'tomorrow-ish', now: NOW }).error, /valid date/);
+});
+
+test('resolvePublishState: update — no change, publish a draft, never unpublish', () => {
+  assert.deepEqual(resolvePublishState({ currentStatus: 'scheduled', now: NOW }), { change: false });
+  assert.equal(resolvePublishState({ currentStatus: 'draft', status: 'published', now: NOW }).publishNow, true);
+  assert.equal(resolvePublishState({ currentStatus: 'draft', scheduledFor: inHours(2), now: NOW }).status, 'scheduled');
+  assert.match(resolvePublishState({ currentStatus: 'scheduled', scheduledFor: null, now: NOW }).error, /unschedule/);
+  assert.match(resolvePublishState({ currentStatus: 'published', status: 'draft', now: NOW }).error, /cannot be unpublished/);
+  assert.deepEqual(resolvePublishState({ currentStatus: 'published', status: 'published', now: NOW }), { change: false });
+});
+
+// ---------------------------------------------------------------------------
+// jobs/momentPublishJob.js
+// ---------------------------------------------------------------------------
+
+const moments = [
+  { _id: 'm1', user: 'u1', description: 'Hello from Seoul', status: 'scheduled' },
+  { _id: 'm2', user: 'u2', description: 'Drafted then unscheduled', status: 'draft' },
+];
+const updates = [];
+const mockFindOneAndUpdate = mock.fn((filter, update) => {
+  const moment = moments.find(m => m._id === filter._id && m.status === filter.status);
+  if (moment) {
+    Object.assign(moment, update.$set);
+    updates.push({ id: filter._id, ...update.$set });
+  }
+  return { select: () => Promise.resolve(moment || null) };
+});
+const chain = (value) => ({ select: () => chain(value), sort: () => chain(value), limit: () => chain(value), lean: () => Promise.resolve(value) });
+
+mock.module('../models/Moment.js', {
+  defaultExport: {
+    // m2 was due when listed but moved back to draft before the flip
+    find: mock.fn(() => chain([{ _id: 'm1' }, { _id: 'm2' }])),
+    findOneAndUpdate: mockFindOneAndUpdate,
+  },
+});
+const mockSendFollowerMoment = mock.fn(() => Promise.resolve({ success: true }));
+mock.module('../services/notificationService.js', {
+  namedExports: { sendFollowerMoment: mockSendFollowerMoment },
+});
+
+const { _runPublishes } = require('../jobs/momentPublishJob');
+
+test('momentPublishJob: publishes due moments once and notifies followers at publish time', async () => {
+  const first = await _runPublishes(NOW);
+  assert.deepEqual(first, { published: 1 });
+  assert.deepEqual(updates, [{ id: 'm1', status: 'published', publishedAt: NOW, createdAt: NOW }]);
+  assert.deepEqual(mockSendFollowerMoment.mock.calls[0].arguments, ['u1', 'm1', 'Hello from Seoul']);
+
+  // A second (overlapping) run finds nothing left to flip
+  const second = await _runPublishes(NOW);
+  assert.deepEqual(second, { published: 0 });
+  assert.equal(mockSendFollowerMoment.mock.callCount(), 1);
+});
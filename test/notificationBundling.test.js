@@ -1,38 +1,111 @@
 const test = require('node:test');
 const assert = require('node:assert/strict');
-const { collect, _flushNow, _reset } = require('../services/notificationBundlingService');
+const MemoryRedis = require('../lib/memoryRedis');
+const {
+  collect,
+  registerDispatcher,
+  flushDue,
+  _flushNow,
+  _setClient,
+  _reset,
+} = require('../services/notificationBundlingService');
 
-test('emits a single push after window for 5 likes', async () => {
-  _reset();
+// Collects dispatched bundles for every bundleable type and chat_message
+function capture() {
   const dispatched = [];
   const dispatcher = (payload) => { dispatched.push(payload); return Promise.resolve(); };
+  for (const type of ['moment_like', 'follower_moment', 'profile_visit', 'friend_request', 'chat_message']) {
+    registerDispatcher(type, dispatcher);
+  }
+  return dispatched;
+}
+
+const HOUR = 60 * 60 * 1000;
+
+test('emits a single push after window for 5 likes', async () => {
+  _reset();
+  const dispatched = capture();
 
   for (let i = 0; i < 5; i++) {
-    await collect('user1', 'moment_like', { momentId: 'm1', actorId: `actor${i}`, actorName: `A${i}` }, dispatcher);
+    await collect('user1', 'moment_like', { momentId: 'm1', actorId: `actor${i}`, actorName: `A${i}` });
   }
-  await _flushNow('user1', 'moment_like', 'm1', dispatcher);
+  await _flushNow('user1', 'moment_like', 'm1');
 
   assert.equal(dispatched.length, 1);
   assert.equal(dispatched[0].count, 5);
   assert.equal(dispatched[0].actorIds.length, 5);
+  assert.equal(dispatched[0].userId, 'user1');
+  assert.equal(dispatched[0].vars.actorName, 'A4');
+  assert.equal(dispatched[0].vars.momentId, 'm1');
 });
 
 test('non-bundleable types pass through immediately', async () => {
   _reset();
-  const dispatched = [];
-  await collect('user1', 'chat_message', { actorName: 'X', message: 'hi' },
-    (p) => { dispatched.push(p); return Promise.resolve(); });
+  const dispatched = capture();
+  await collect('user1', 'chat_message', { actorName: 'X', message: 'hi' });
   assert.equal(dispatched.length, 1);
   assert.equal(dispatched[0].count, 1);
 });
 
 test('different bundle keys do not coalesce', async () => {
   _reset();
-  const dispatched = [];
-  const dispatcher = (p) => { dispatched.push(p); return Promise.resolve(); };
-  await collect('user1', 'moment_like', { momentId: 'm1', actorName: 'A' }, dispatcher);
-  await collect('user1', 'moment_like', { momentId: 'm2', actorName: 'B' }, dispatcher);
-  await _flushNow('user1', 'moment_like', 'm1', dispatcher);
-  await _flushNow('user1', 'moment_like', 'm2', dispatcher);
+  const dispatched = capture();
+  await collect('user1', 'moment_like', { momentId: 'm1', actorName: 'A' });
+  await collect('user1', 'moment_like', { momentId: 'm2', actorName: 'B' });
+  await _flushNow('user1', 'moment_like', 'm1');
+  await _flushNow('user1', 'moment_like', 'm2');
   assert.equal(dispatched.length, 2);
 });
+
+test('only buckets whose window has closed are flushed', async () => {
+  _reset();
+  const dispatched = capture();
+  await collect('user1', 'moment_like', { momentId: 'm1', actorId: 'a1' });   // 60s window
+  await collect('user1', 'profile_visit', { actorId: 'a2' });                // 5min window
+
+  await flushDue({ now: Date.now() });
+  assert.equal(dispatched.length, 0);
+
+  await flushDue({ now: Date.now() + 2 * 60 * 1000 });
+  assert.deepEqual(dispatched.map(d => d.type), ['moment_like']);
+
+  await flushDue({ now: Date.now() + HOUR });
+  assert.deepEqual(dispatched.map(d => d.type), ['moment_like', 'profile_visit']);
+});
+
+test('two instances sharing Redis flush a bucket once', async () => {
+  _reset();
+  const shared = new MemoryRedis();
+  _setClient(shared);
+  const dispatched = capture();
+
+  await collect('user1', 'friend_request', { actorId: 'a1', actorName: 'A' });
+  await collect('user1', 'friend_request', { actorId: 'a2', actorName: 'B' });
+
+  const later = Date.now() + HOUR;
+  await Promise.all([flushDue({ now: later }), flushDue({ now: later })]);
+
+  assert.equal(dispatched.length, 1);
+  assert.equal(dispatched[0].count, 2);
+  assert.deepEqual(dispatched[0].actorIds, ['a1', 'a2']);
+});
+
+test('buckets collected before a restart are flushed after it', async () => {
+  _reset();
+  const redis = new MemoryRedis();
+  _setClient(redis);
+  capture();
+  await collect('user1', 'moment_like', { momentId: 'm1', actorId: 'a1', actorName: 'A' });
+  await collect('user1', 'moment_like', { momentId: 'm1', actorId: 'a2', actorName: 'B' });
+
+  // A new process: nothing in memory but the dispatchers it registers
+  _reset();
+  _setClient(redis);
+  const dispatched = capture();
+  await flushDue({ now: Date.now() + HOUR });
+
+  assert.equal(dispatched.length, 1);
+  assert.equal(dispatched[0].count, 2);
+  assert.equal(dispatched[0].vars.actorName, 'B');
+  assert.equal(await redis.zcard('bt:nbundle:due'), 0);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  placeholders,
+  inSample,
+  assignVariant,
+  variantCopy,
+  parseExperiment,
+  compareVariants,
+} = require('../lib/notificationExperiments');
+
+const experiment = {
+  _id: 'e1',
+  status: 'running',
+  variants: [
+    { key: 'control', weight: 1 },
+    { key: 'short', weight: 3, title: '{actorName} commented', body: '{snippet}' },
+  ],
+};
+
+test('assignment is sticky per user and follows the weights', () => {
+  assert.equal(assignVariant(experiment, 'u1').key, assignVariant(experiment, 'u1').key);
+
+  const counts = { control: 0, short: 0 };
+  for (let i = 0; i < 2000; i++) counts[assignVariant(experiment, `user${i}`).key] += 1;
+  assert.ok(counts.short > 1350 && counts.short < 1650, JSON.stringify(counts));
+});
+
+test('a promoted experiment gives everyone the winner; a stopped one nothing', () => {
+  const promoted = { ...experiment, status: 'promoted', winner: 'control' };
+  for (let i = 0; i < 20; i++) assert.equal(assignVariant(promoted, `user${i}`).key, 'control');
+  assert.equal(assignVariant({ ...experiment, status: 'stopped' }, 'u1'), null);
+});
+
+test('broadcast sample is roughly the sample rate', () => {
+  const sampled = { _id: 'b1', sampleRate: 0.2 };
+  let n = 0;
+  for (let i = 0; i < 2000; i++) if (inSample(sampled, `user${i}`)) n += 1;
+  assert.ok(n > 320 && n < 480, String(n));
+  assert.equal(inSample({ _id: 'b2' }, 'u1'), true);
+});
+
+test('variant copy: locale, then default, then null for the control', () => {
+  const variant = { title: 'Hi', body: 'there', locales: { ko: { title: '안녕', body: '하세요' } } };
+  assert.deepEqual(variantCopy(variant, 'ko'), { title: '안녕', body: '하세요' });
+  assert.deepEqual(variantCopy(variant, 'ja'), { title: 'Hi', body: 'there' });
+  assert.equal(variantCopy({ key: 'control' }, 'en'), null);
+});
+
+test('parseExperiment validates template experiments', () => {
+  const templateVars = ['actorName', 'snippet'];
+  const ok = parseExperiment({ name: 'Short', templateKey: 'moment_comment', variants: experiment.variants }, { templateVars });
+  assert.equal(ok.error, null);
+  assert.equal(ok.experiment.kind, 'template');
+  assert.equal(ok.experiment.variants[0].title, undefined);
+
+  const bad = (body) => parseExperiment({ name: 'x', templateKey: 'moment_comment', ...body }, { templateVars }).error;
+  assert.match(bad({ variants: [experiment.variants[0]] }), /2 to 5/);
+  assert.match(bad({ variants: [{ key: 'a' }, { key: 'a', title: 't', body: 'b' }] }), /Duplicate/);
+  assert.match(bad({ variants: [{ key: 'a' }, { key: 'b', weight: 0, title: 't', body: 'b' }] }), /weight/);
+  assert.match(bad({ variants: [{ key: 'a' }, { key: 'b' }] }), /own copy/);
+  assert.match(bad({ variants: [{ key: 'a' }, { key: 'b', title: '{roomName}', body: 'b' }] }), /\{roomName\}/);
+  assert.match(bad({ templateKey: 'chat_message', variants: experiment.variants }), /can't be measured/);
+});
+
+test('parseExperiment requires copy on every broadcast variant', () => {
+  const variants = [{ key: 'a', title: 'Sale', body: 'Today only' }, { key: 'b', title: 'Hi', body: 'New' }];
+  const ok = parseExperiment({ name: 'b', kind: 'broadcast', variants, sampleRate: 0.1 });
+  assert.equal(ok.error, null);
+  assert.equal(ok.experiment.sampleRate, 0.1);
+
+  assert.match(parseExperiment({ name: 'b', kind: 'broadcast', variants: [{ key: 'a' }, variants[1]] }).error, /title/);
+  assert.match(parseExperiment({ name: 'b', kind: 'broadcast', variants, sampleRate: 0 }).error, /sampleRate/);
+});
+
+test('compareVariants reports open rates against the first variant', () => {
+  const { variants, leader } = compareVariants(experiment.variants, [
+    { _id: 'control', sent: 1000, opened: 100, read: 300 },
+    { _id: 'short', sent: 1000, opened: 150, read: 320 },
+  ]);
+  assert.equal(leader, 'short');
+  assert.equal(variants[0].lift, null);
+  assert.equal(variants[1].openRate, 0.15);
+  assert.ok(Math.abs(variants[1].lift - 0.5) < 1e-9);
+  assert.equal(variants[1].significant, true);
+
+  const empty = compareVariants(experiment.variants, []);
+  assert.equal(empty.leader, null);
+  assert.equal(empty.variants[1].sent, 0);
+});
+
+test('placeholders lists {vars}', () => {
+  assert.deepEqual(placeholders('❤️ {actorName} and {othersCount} others'), ['actorName', 'othersCount']);
+});
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  typeRule,
+  resolveChannels,
+  pushSuppression,
+  isDigestDue,
+  digestCounts,
+  parseRulesUpdate,
+  describeRules,
+  NOTIFICATION_TYPES,
+} = require('../lib/notificationRules');
+
+const userWith = (rules = {}, extra = {}) => ({
+  notificationSettings: { mutedChats: [] },
+  notificationRules: {
+    types: new Map(Object.entries(rules.types || {})),
+    conversations: new Map(Object.entries(rules.conversations || {})),
+    rooms: new Map(Object.entries(rules.rooms || {})),
+    digest: rules.digest || {},
+  },
+  ...extra,
+});
+
+test('defaults: push and in-app on, email off; chat has no in-app', () => {
+  const user = userWith();
+  assert.deepEqual(typeRule(user, 'moment_like'), { push: true, inApp: true, email: false, digest: false });
+  assert.deepEqual(typeRule(user, 'chat_message'), { push: true, inApp: false, email: false, digest: false });
+});
+
+test('per-type channels are applied independently', () => {
+  const user = userWith({ types: { moment_comment: { push: false, email: true } } });
+  assert.deepEqual(resolveChannels(user, 'moment_comment'), { push: false, inApp: true, email: true, digest: false });
+  assert.deepEqual(resolveChannels(user, 'moment_like'), { push: true, inApp: true, email: false, digest: false });
+});
+
+test('digest replaces the push for digestible types only', () => {
+  const user = userWith({ types: { moment_like: { digest: true }, system: { digest: true } } });
+  assert.deepEqual(resolveChannels(user, 'moment_like'), { push: false, inApp: true, email: false, digest: true });
+  assert.equal(resolveChannels(user, 'system').push, true);
+});
+
+test('conversation override none silences it; legacy muted chats count as none', () => {
+  const user = userWith({ conversations: { c1: 'none', c2: 'all' } });
+  user.notificationSettings.mutedChats = [{ toString: () => 'c2' }, { toString: () => 'c3' }];
+  assert.equal(resolveChannels(user, 'chat_message', { conversationId: 'c1' }).push, false);
+  // explicit 'all' wins over the legacy mute
+  assert.equal(resolveChannels(user, 'chat_message', { conversationId: 'c2' }).push, true);
+  assert.equal(resolveChannels(user, 'chat_message', { conversationId: 'c3' }).push, false);
+  assert.equal(resolveChannels(user, 'chat_message', { conversationId: 'c4' }).push, true);
+});
+
+test('room override mentions lets only room mentions through', () => {
+  const user = userWith({ rooms: { r1: 'mentions', r2: 'none' } });
+  assert.equal(resolveChannels(user, 'room_message', { roomId: 'r1' }).push, false);
+  assert.equal(resolveChannels(user, 'room_message', { roomId: 'r1' }).inApp, false);
+  assert.equal(resolveChannels(user, 'room_mention', { roomId: 'r1' }).push, true);
+  assert.equal(resolveChannels(user, 'room_mention', { roomId: 'r2' }).push, false);
+});
+
+test('pushSuppression: quiet hours, urgent chats and caps', () => {
+  const night = new Date('2026-01-01T14:00:00Z'); // 23:00 in Seoul
+  const quiet = { enabled: true, start: '22:00', end: '08:00', timezone: 'Asia/Seoul', allowUrgent: false };
+  assert.equal(pushSuppression({ quietHours: quiet }, 'moment_like', night), 'quiet_hours');
+  assert.equal(pushSuppression({ quietHours: { ...quiet, allowUrgent: true } }, 'chat_message', night), null);
+
+  const capped = { notificationCounters: { daily: new Map([['moment_like', 5]]) } };
+  assert.equal(pushSuppression(capped, 'moment_like', night), 'frequency_cap');
+  assert.equal(pushSuppression(capped, 'moment_comment', night), null);
+});
+
+test('isDigestDue: after the digest time, once per local day', () => {
+  const quietHours = { timezone: 'Asia/Seoul' };
+  const before = new Date('2026-01-01T10:00:00Z'); // 19:00 in Seoul
+  const after = new Date('2026-01-01T11:30:00Z');  // 20:30 in Seoul
+  assert.equal(isDigestDue(userWith({}, { quietHours }), before), false);
+  assert.equal(isDigestDue(userWith({}, { quietHours }), after), true);
+  assert.equal(isDigestDue(userWith({ digest: { time: '21:00' } }, { quietHours }), after), false);
+
+  const sentToday = userWith({ digest: { lastSentAt: new Date('2026-01-01T11:05:00Z') } }, { quietHours });
+  assert.equal(isDigestDue(sentToday, after), false);
+  const sentYesterday = userWith({ digest: { lastSentAt: new Date('2025-12-31T11:05:00Z') } }, { quietHours });
+  assert.equal(isDigestDue(sentYesterday, after), true);
+});
+
+test('digestCounts groups by type', () => {
+  assert.deepEqual(
+    digestCounts([{ type: 'moment_like' }, { type: 'wave' }, { type: 'moment_like' }]),
+    { moment_like: 2, wave: 1 }
+  );
+});
+
+test('parseRulesUpdate builds $set paths and rejects bad input', () => {
+  const { set, error } = parseRulesUpdate({
+    types: { moment_like: { push: false, digest: true }, chat_message: { email: true } },
+    digest: { time: '07:30' },
+  });
+  assert.equal(error, null);
+  assert.deepEqual(set, {
+    'notificationRules.types.moment_like.push': false,
+    'notificationRules.types.moment_like.digest': true,
+    'notificationRules.types.chat_message.email': true,
+    'notificationRules.digest.time': '07:30',
+  });
+
+  assert.match(parseRulesUpdate({ types: { nope: { push: true } } }).error, /Unknown notification type/);
+  assert.match(parseRulesUpdate({ types: { chat_message: { inApp: true } } }).error, /no inApp/);
+  assert.match(parseRulesUpdate({ types: { system: { digest: true } } }).error, /no digest/);
+  assert.match(parseRulesUpdate({ types: { wave: { push: 'yes' } } }).error, /boolean/);
+  assert.match(parseRulesUpdate({ digest: { time: '25:00' } }).error, /HH:mm/);
+});
+
+test('describeRules lists every type with its channels', () => {
+  const described = describeRules(userWith({ rooms: { r1: 'mentions' } }));
+  assert.deepEqual(Object.keys(described.types), NOTIFICATION_TYPES);
+  assert.deepEqual(described.types.chat_message.channels, ['push', 'email']);
+  assert.equal(described.types.wave.digestible, true);
+  assert.deepEqual(described.rooms, { r1: 'mentions' });
+  assert.equal(described.digest.time, '20:00');
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+// Pushes that have no history row of their own (scheduled rooms, the wave
+// summary, VIP expiry notices, broadcasts) still obey the user's rules.
+
+mongoose.set('bufferCommands', false);
+
+const User = require('../models/User');
+const fcmService = require('../services/fcmService');
+const notificationService = require('../services/notificationService');
+
+const USER_ID = '64b000000000000000000001';
+const ROOM_ID = '64b0000000000000000000aa';
+
+const userWith = ({ settings = {}, rules = {} } = {}) => ({
+  _id: USER_ID,
+  notificationSettings: { enabled: true, marketing: true, mutedChats: [], ...settings },
+  notificationPreferences: {},
+  notificationRules: {
+    types: new Map(Object.entries(rules.types || {})),
+    conversations: new Map(),
+    rooms: new Map(Object.entries(rules.rooms || {})),
+    digest: {},
+  },
+});
+
+const setup = (t, user) => {
+  t.mock.method(User, 'findById', () => Promise.resolve(user));
+  return t.mock.method(fcmService, 'sendToUser', () => Promise.resolve({ success: true, delivered: 1, failed: 0 }));
+};
+
+test('sendScheduledRoomStarted — a room muted with an override gets no push', async (t) => {
+  const push = setup(t, userWith({ rules: { rooms: { [ROOM_ID]: 'none' } } }));
+
+  const result = await notificationService.sendScheduledRoomStarted(USER_ID, ROOM_ID, 'Korean hour');
+
+  assert.equal(result.skipped, true);
+  assert.equal(push.mock.callCount(), 0);
+});
+
+test('sendScheduledRoomReminder — goes out when nothing blocks it', async (t) => {
+  const push = setup(t, userWith());
+
+  await notificationService.sendScheduledRoomReminder(USER_ID, ROOM_ID, 'Korean hour', '1h');
+
+  assert.equal(push.mock.callCount(), 1);
+  assert.equal(push.mock.calls[0].arguments[2].type, 'scheduled_room_reminder');
+});
+
+test('sendPush — the type\'s push channel and category toggles apply', async (t) => {
+  let user = userWith({ rules: { types: { wave: { push: false } } } });
+  t.mock.method(User, 'findById', () => Promise.resolve(user));
+  const push = t.mock.method(fcmService, 'sendToUser', () => Promise.resolve({ success: true, delivered: 1, failed: 0 }));
+
+  const wave = await notificationService.sendPush(USER_ID, 'wave', { title: 't', body: 'b' }, { type: 'wave_daily_summary' });
+  assert.equal(wave.skipped, true);
+
+  user = userWith({ settings: { marketing: false } });
+  const broadcast = await notificationService.sendPush(USER_ID, 'system', { title: 't', body: 'b' }, { type: 'system_broadcast' });
+  assert.equal(broadcast.skipped, true);
+
+  assert.equal(push.mock.callCount(), 0);
+});
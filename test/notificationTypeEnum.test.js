@@ -2,6 +2,7 @@ const { test } = require('node:test');
 const assert = require('node:assert/strict');
 const Notification = require('../models/Notification');
 const fcmService = require('../services/fcmService');
+const { NOTIFICATION_TYPES } = require('../lib/notificationRules');
 
 /**
  * Definitive list of notification types that actually reach
@@ -34,12 +35,12 @@ const fcmService = require('../services/fcmService');
  * through notificationService.send instead of raw fcmService.sendToUser).
  *
  * Explicitly excluded (reviewer I3 — these never touch the enum because they
- * go via raw fcmService.sendToUser directly, bypassing notificationService.send
- * and therefore _saveToHistory):
+ * go via notificationService.sendPush, which applies the user's rules but
+ * writes no history row of its own):
  *   - scheduled_room_started (services/notificationService.js sendScheduledRoomStarted)
  *   - scheduled_room_reminder (services/notificationService.js sendScheduledRoomReminder)
  *   - voice_room_start (data.type on the scheduled-room-started push)
- *   - wave_daily_summary (jobs/waveDailySummaryJob.js — raw fcmService.sendToUser)
+ *   - wave_daily_summary (jobs/waveDailySummaryJob.js — sendPush under the 'wave' rules)
  */
 const SENT_TYPES = [
   'chat_message',
@@ -81,8 +82,14 @@ test('every type ever passed to notificationService.send() is in fcmService.NOTI
   }
 });
 
-test('excluded raw-fcmService types are NOT required in the enum (documents the boundary)', () => {
-  // These are sent via fcmService.sendToUser directly and never touch
+test('lib/notificationRules.NOTIFICATION_TYPES matches the Notification model enum', () => {
+  // Preferences are offered for exactly the enum's types
+  const enumValues = Notification.schema.path('type').enumValues;
+  assert.deepEqual([...NOTIFICATION_TYPES].sort(), [...enumValues].sort());
+});
+
+test('excluded sendPush types are NOT required in the enum (documents the boundary)', () => {
+  // These are sent via notificationService.sendPush and never touch
   // notificationService.send()/_saveToHistory, so they are out of scope for
   // this fix. Not asserting their absence (harmless if present) — just
   // documenting why they're excluded from SENT_TYPES above.
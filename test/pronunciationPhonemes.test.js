@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { toPhonemes, phonemeSet, alignPhonemes } = require('../lib/phonemes');
+const { matchInterference, PATTERNS } = require('../lib/l1Interference');
+const PronunciationAttempt = require('../models/PronunciationAttempt');
+
+test('toPhonemes — spelling rules per language, graphemes otherwise', () => {
+  assert.deepEqual(toPhonemes('make', 'en'), ['M', 'EY', 'K']);
+  assert.deepEqual(toPhonemes('berry', 'en'), ['B', 'ER', 'IY']);
+  assert.deepEqual(toPhonemes('think', 'en-US'), ['TH', 'IH', 'N', 'K']);
+  assert.deepEqual(toPhonemes('guitarra', 'es'), ['G', 'I', 'T', 'A', 'RR', 'A']);
+  assert.deepEqual(toPhonemes('한국', 'ko'), ['h', 'a', 'n_', 'g', 'u', 'k_']);
+  assert.deepEqual(toPhonemes('キャット', 'ja'), ['kya', 'Q', 'to']);
+  assert.deepEqual(toPhonemes('Haus', 'de'), ['h', 'a', 'u', 's']);
+  assert.equal(phonemeSet('ko'), 'jamo');
+  assert.equal(phonemeSet('fr'), 'grapheme');
+});
+
+test('alignPhonemes — substitutions and dropped sounds, extra sounds ignored', () => {
+  assert.deepEqual(alignPhonemes(['HH', 'AW', 'S'], ['AW', 'S', 'IH']), [
+    { phoneme: 'HH', heard: null, status: 'missing' },
+    { phoneme: 'AW', heard: 'AW', status: 'ok' },
+    { phoneme: 'S', heard: 'S', status: 'ok' },
+  ]);
+  assert.equal(matchInterference({ nativeLanguage: 'fr', language: 'en', expected: 'HH', heard: null }), 'h_dropping');
+  assert.equal(matchInterference({ nativeLanguage: 'en', language: 'en', expected: 'R', heard: 'L' }), null);
+});
+
+test('interference pattern ids are unique', () => {
+  const ids = PATTERNS.map(p => p.id);
+  assert.equal(new Set(ids).size, ids.length);
+});
+
+test('getPhonemeTrends — weekly accuracy per phoneme, weakest first, with interference counts', async () => {
+  const since = Date.now() - 4 * 7 * 24 * 60 * 60 * 1000;
+  const calls = [];
+  const model = {
+    aggregate: async (pipeline) => {
+      calls.push(pipeline);
+      if (calls.length === 1) {
+        return [
+          { _id: { language: 'en', phoneme: 'R', week: 3 }, attempts: 10, correct: 8 },
+          { _id: { language: 'en', phoneme: 'R', week: 0 }, attempts: 10, correct: 2 },
+          { _id: { language: 'en', phoneme: 'S', week: 2 }, attempts: 4, correct: 4 },
+        ];
+      }
+      return [
+        { _id: 'ko_r_l', count: 9, lastSeen: new Date() },
+        { _id: 'retired_pattern', count: 1, lastSeen: new Date() },
+      ];
+    },
+  };
+
+  const { phonemes, interference } = await PronunciationAttempt.getPhonemeTrends.call(model, { user: 'u1' });
+
+  assert.deepEqual(phonemes.map(p => [p.phoneme, p.attempts, p.accuracy, p.change]), [
+    ['R', 20, 50, 60],
+    ['S', 4, 100, null],
+  ]);
+  assert.deepEqual(phonemes[0].weekly.map(w => w.accuracy), [20, 80]);
+  assert.ok(Math.abs(phonemes[0].weekly[0].weekStart.getTime() - since) < 5000);
+  assert.deepEqual(interference.map(i => [i.id, i.count]), [['ko_r_l', 9]]);
+  assert.equal(calls[0][0].$match.user, 'u1');
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+// A planned re-engagement push goes through notificationService.send, so it
+// has a history row and a notificationId that /mark-opened can attribute.
+
+mongoose.set('bufferCommands', false);
+
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const fcmService = require('../services/fcmService');
+const { sendReengagementTo } = require('../jobs/notificationJobs');
+
+const USER_ID = '64b000000000000000000001';
+const ROW_ID = '64b0000000000000000000cc';
+const now = new Date('2026-10-18T01:00:00Z');
+
+const inactiveUser = (settings = {}) => ({
+  _id: USER_ID,
+  language_to_learn: 'Korean',
+  lastSeenAt: new Date(now.getTime() - 10 * 24 * 60 * 60 * 1000),
+  fcmTokens: [{ token: 't', active: true }],
+  notificationPreferences: {},
+  notificationSettings: { enabled: true, marketing: true, showPreview: true, mutedChats: [], ...settings },
+});
+
+const stubUser = (t, user) => {
+  // Loaded both as User.findById(id).select(...) and as await User.findById(id)
+  t.mock.method(User, 'findById', () => Object.assign(Promise.resolve(user), { select: () => Promise.resolve(user) }));
+  t.mock.method(User, 'findByIdAndUpdate', () => Promise.resolve(user));
+  return t.mock.method(User, 'updateOne', () => Promise.resolve({}));
+};
+
+test('sendReengagementTo — saves a history row and pushes its notificationId', async (t) => {
+  const marked = stubUser(t, inactiveUser());
+  const create = t.mock.method(Notification, 'create', (row) => Promise.resolve({ _id: ROW_ID, ...row }));
+  const push = t.mock.method(fcmService, 'sendToUser', () => Promise.resolve({ success: true, delivered: 1, failed: 0 }));
+
+  assert.equal(await sendReengagementTo(USER_ID, { now }), true);
+
+  assert.equal(create.mock.calls[0].arguments[0].type, 'system');
+  assert.equal(create.mock.calls[0].arguments[0].data.type, 'reengagement');
+  assert.equal(push.mock.calls[0].arguments[2].notificationId, ROW_ID);
+  assert.equal(marked.mock.callCount(), 1);
+});
+
+test('sendReengagementTo — a push the rules skip is not recorded as sent', async (t) => {
+  const marked = stubUser(t, inactiveUser({ enabled: false }));
+  const push = t.mock.method(fcmService, 'sendToUser', () => Promise.resolve({ success: true, delivered: 1, failed: 0 }));
+
+  assert.equal(await sendReengagementTo(USER_ID, { now }), false);
+  assert.equal(push.mock.callCount(), 0);
+  assert.equal(marked.mock.callCount(), 0);
+});
@@ -0,0 +1,187 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mock } = require('node:test');
+
+const SENDER = '64b000000000000000000001';
+const RECEIVER = '64b000000000000000000002';
+
+const user = (id, { blocked = [], blockedBy = [] } = {}) => ({
+  _id: id,
+  name: `user ${id.slice(-1)}`,
+  isBlocked: (other) => blocked.includes(String(other)),
+  isBlockedBy: (other) => blockedBy.includes(String(other)),
+  incrementMessageCount: mock.fn(() => Promise.resolve()),
+});
+
+let users;
+let queue;
+let secret;
+const finished = [];
+const createdMessages = [];
+
+const mockMessageCreate = mock.fn((doc) => {
+  if (createdMessages.some(m => m._id === doc._id)) {
+    return Promise.reject(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+  }
+  const message = { ...doc, createdAt: new Date() };
+  createdMessages.push(message);
+  return Promise.resolve(message);
+});
+
+mock.module('../models/Message.js', {
+  defaultExport: {
+    create: mockMessageCreate,
+    exists: mock.fn(() => Promise.resolve(null)),
+    countDocuments: mock.fn(() => Promise.resolve(0)),
+  },
+});
+mock.module('../models/ScheduledMessage.js', {
+  defaultExport: {
+    schema: {
+      path: (name) => ({
+        enumValues: name === 'status'
+          ? ['pending', 'sending', 'sent', 'cancelled', 'failed']
+          : ['text', 'sticker', 'gif'],
+      }),
+    },
+    // The job claims one due entry per call
+    findOneAndUpdate: mock.fn(() => Promise.resolve(queue.shift() || null)),
+    updateOne: mock.fn((filter, update) => {
+      finished.push({ id: filter._id, ...update.$set });
+      return Promise.resolve({ modifiedCount: 1 });
+    }),
+    countDocuments: mock.fn(() => Promise.resolve(0)),
+    create: mock.fn((doc) => Promise.resolve({ _id: 's-new', status: 'pending', ...doc })),
+  },
+});
+const conversation = {
+  _id: 'c1',
+  deletedBy: [RECEIVER],
+  updateUnreadCount: mock.fn(() => Promise.resolve()),
+};
+mock.module('../models/Conversation.js', {
+  defaultExport: {
+    findOne: mock.fn(() => Promise.resolve(conversation)),
+    create: mock.fn(() => Promise.resolve(conversation)),
+  },
+});
+mock.module('../models/User.js', {
+  defaultExport: {
+    findById: mock.fn((id) => Promise.resolve(users[String(id)] || null)),
+    exists: mock.fn(() => Promise.resolve(true)),
+  },
+});
+const mockSendChatMessage = mock.fn(() => Promise.resolve({ success: true }));
+mock.module('../services/notificationService.js', {
+  defaultExport: { sendChatMessage: mockSendChatMessage },
+});
+mock.module('../services/e2eKeyService.js', {
+  namedExports: { isSecretBetween: mock.fn(() => Promise.resolve(secret)) },
+});
+
+const scheduledMessageService = require('../services/scheduledMessageService');
+
+const fakeIo = (onlineUsers = []) => {
+  const emitted = [];
+  return {
+    emitted,
+    to: (room) => ({ emit: (event, data) => emitted.push({ room, event, data }) }),
+    in: (room) => ({
+      fetchSockets: () => Promise.resolve(onlineUsers.some(id => room === `user_${id}`) ? [{}] : []),
+    }),
+  };
+};
+
+const due = (id) => ({
+  _id: id,
+  sender: SENDER,
+  receiver: RECEIVER,
+  message: 'Good morning! 좋은 아침이에요',
+  messageType: 'text',
+  scheduledFor: new Date(Date.now() - 1000),
+});
+
+test.beforeEach(() => {
+  users = { [SENDER]: user(SENDER), [RECEIVER]: user(RECEIVER) };
+  queue = [];
+  secret = false;
+  finished.length = 0;
+  createdMessages.length = 0;
+  mockSendChatMessage.mock.resetCalls();
+  conversation.deletedBy = [RECEIVER];
+});
+
+test('scheduleMessage — validates time window, blocks and secret chats', async () => {
+  const sender = users[SENDER];
+  const inOneHour = new Date(Date.now() + 3600000).toISOString();
+
+  const scheduled = await scheduledMessageService.scheduleMessage(sender, {
+    receiver: RECEIVER, message: '  see you  ', scheduledFor: inOneHour,
+  });
+  assert.equal(scheduled.message, 'see you');
+  assert.equal(sender.incrementMessageCount.mock.callCount(), 1);
+
+  const rejects = (params, status, who = sender) => assert.rejects(
+    scheduledMessageService.scheduleMessage(who, { receiver: RECEIVER, message: 'hi', scheduledFor: inOneHour, ...params }),
+    err => err.statusCode === status
+  );
+  await rejects({ scheduledFor: new Date(Date.now() - 60000).toISOString() }, 400);
+  await rejects({ scheduledFor: new Date(Date.now() + 40 * 86400000).toISOString() }, 400);
+  await rejects({ message: '   ' }, 400);
+  await rejects({}, 403, user(SENDER, { blockedBy: [RECEIVER] }));
+  secret = true;
+  await rejects({}, 403);
+});
+
+test('deliverDueMessages — creates the Message, reopens the chat, emits, pushes when offline', async () => {
+  queue = [due('s1')];
+  const io = fakeIo();
+
+  const counts = await scheduledMessageService.deliverDueMessages({ io });
+
+  assert.deepEqual(counts, { sent: 1, cancelled: 0, failed: 0 });
+  assert.equal(createdMessages[0]._id, 's1');
+  assert.equal(createdMessages[0].isScheduled, true);
+  assert.deepEqual(conversation.deletedBy, []);
+  assert.deepEqual(io.emitted.map(e => `${e.room}:${e.event}`), [
+    `user_${RECEIVER}:newMessage`,
+    `user_${SENDER}:messageSent`,
+    `user_${SENDER}:scheduledMessageSent`,
+  ]);
+  assert.equal(mockSendChatMessage.mock.callCount(), 1);
+  assert.equal(finished[0].status, 'sent');
+});
+
+test('deliverDueMessages — no push when the receiver has a live socket', async () => {
+  queue = [due('s2')];
+  await scheduledMessageService.deliverDueMessages({ io: fakeIo([RECEIVER]) });
+  assert.equal(mockSendChatMessage.mock.callCount(), 0);
+});
+
+test('deliverDueMessages — a block placed after scheduling cancels delivery', async () => {
+  users[RECEIVER] = user(RECEIVER, { blocked: [SENDER] });
+  users[SENDER] = user(SENDER, { blockedBy: [RECEIVER] });
+  queue = [due('s3')];
+  const io = fakeIo();
+
+  const counts = await scheduledMessageService.deliverDueMessages({ io });
+
+  assert.deepEqual(counts, { sent: 0, cancelled: 1, failed: 0 });
+  assert.equal(createdMessages.length, 0);
+  assert.deepEqual(finished[0], { id: 's3', status: 'cancelled', reason: 'blocked' });
+  assert.deepEqual(io.emitted.map(e => e.event), ['scheduledMessageFailed']);
+});
+
+test('deliverDueMessages — a reclaimed entry whose Message exists is not sent twice', async () => {
+  queue = [due('s4')];
+  await scheduledMessageService.deliverDueMessages({ io: fakeIo() });
+  queue = [due('s4')];
+  const io = fakeIo();
+
+  const counts = await scheduledMessageService.deliverDueMessages({ io });
+
+  assert.equal(counts.sent, 1);
+  assert.equal(createdMessages.length, 1);
+  assert.equal(io.emitted.length, 0);
+  assert.equal(mockSendChatMessage.mock.callCount(), 1);
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mock } = require('node:test');
+
+// REST sends (POST /messages, /messages/voice, /messages/:id/reply) refuse
+// plaintext between two users who share a secret chat, like socket
+// sendMessage does.
+
+const SENDER = '64b000000000000000000001';
+const RECEIVER = '64b000000000000000000002';
+
+let secret = true;
+
+const users = {
+  [SENDER]: {
+    _id: SENDER,
+    userMode: 'regular',
+    isBlocked: () => false,
+    isBlockedBy: () => false,
+    canSendMessage: () => Promise.resolve(true),
+    incrementMessageCount: () => Promise.resolve(),
+  },
+  [RECEIVER]: { _id: RECEIVER, userMode: 'regular' },
+};
+
+mock.module('../models/User.js', {
+  defaultExport: {
+    findById: mock.fn((id) => Promise.resolve(users[String(id)] || null)),
+  },
+});
+mock.module('../models/Conversation.js', {
+  defaultExport: {
+    exists: mock.fn(() => Promise.resolve(secret ? { _id: 'c1' } : null)),
+  },
+});
+const mockCreate = mock.fn(() => Promise.reject(new Error('created')));
+mock.module('../models/Message.js', {
+  defaultExport: {
+    create: mockCreate,
+    exists: mock.fn(() => Promise.resolve(true)),
+    countDocuments: mock.fn(() => Promise.resolve(0)),
+    findById: mock.fn(() => Promise.resolve({ _id: 'm0', message: 'original' })),
+  },
+});
+const mockDeleteFromSpaces = mock.fn(() => Promise.resolve());
+mock.module('../utils/deleteFromSpaces.js', { defaultExport: mockDeleteFromSpaces });
+
+const { createMessage } = require('../controllers/messages');
+const { sendVoiceMessage } = require('../controllers/advancedMessages');
+const { replyToMessage } = require('../controllers/messageManagement');
+
+const call = async (handler, req) => {
+  let error = null;
+  await handler({ user: { _id: SENDER, id: SENDER }, params: {}, ...req }, {}, (err) => { error = err; });
+  return error;
+};
+
+const assertSecretRefused = (err) => {
+  assert.equal(err.statusCode, 403);
+  assert.equal(err.errorCode, 'SECRET_CHAT_E2E_ONLY');
+};
+
+test.beforeEach(() => {
+  secret = true;
+  mockCreate.mock.resetCalls();
+  mockDeleteFromSpaces.mock.resetCalls();
+});
+
+test('POST /messages — plaintext and attachments refused in a secret chat', async () => {
+  const err = await call(createMessage, {
+    body: { message: 'hello in plaintext', receiver: RECEIVER },
+    file: { location: 'https://cdn.example.com/a.jpg', mimetype: 'image/jpeg' },
+  });
+
+  assertSecretRefused(err);
+  assert.equal(mockCreate.mock.callCount(), 0);
+  assert.deepEqual(mockDeleteFromSpaces.mock.calls[0].arguments, ['https://cdn.example.com/a.jpg']);
+});
+
+test('POST /messages — outside a secret chat the message is created', async () => {
+  secret = false;
+  const err = await call(createMessage, { body: { message: 'hello', receiver: RECEIVER } });
+
+  assert.equal(err.message, 'created');
+  assert.equal(mockCreate.mock.callCount(), 1);
+});
+
+test('POST /messages/voice — refused and the upload deleted', async () => {
+  const err = await call(sendVoiceMessage, {
+    body: { receiver: RECEIVER, duration: 3 },
+    file: { location: 'https://cdn.example.com/v.m4a', mimetype: 'audio/mp4', size: 100 },
+  });
+
+  assertSecretRefused(err);
+  assert.equal(mockCreate.mock.callCount(), 0);
+  assert.deepEqual(mockDeleteFromSpaces.mock.calls[0].arguments, ['https://cdn.example.com/v.m4a']);
+});
+
+test('POST /messages/:id/reply — refused in a secret chat', async () => {
+  const err = await call(replyToMessage, {
+    params: { id: 'm0' },
+    body: { message: 'plaintext reply', receiver: RECEIVER },
+  });
+
+  assertSecretRefused(err);
+  assert.equal(mockCreate.mock.callCount(), 0);
+});
@@ -8,7 +8,7 @@ const { _shouldSendNotification } = require('../services/notificationService');
  * :22 — reviewer I1 caught that these are two different functions with two
  * different purposes: shouldNotify reads notificationPreferences.<key>,
  * _shouldSendNotification is the top-level per-type gate switch called from
- * send()).
+ * send()). It returns the per-channel decision; these check the push.
  */
 
 const baseUser = (overrides = {}) => ({
@@ -32,38 +32,38 @@ test('srs_review: vocabularyReviewReminders true + marketing false -> allowed',
   const user = baseUser({
     notificationSettings: { vocabularyReviewReminders: true, marketing: false },
   });
-  assert.equal(await _shouldSendNotification(user, 'srs_review'), true);
+  assert.equal((await _shouldSendNotification(user, 'srs_review')).push, true);
 });
 
 test('srs_review: vocabularyReviewReminders false -> blocked', async () => {
   const user = baseUser({
     notificationSettings: { vocabularyReviewReminders: false, marketing: true },
   });
-  assert.equal(await _shouldSendNotification(user, 'srs_review'), false);
+  assert.equal((await _shouldSendNotification(user, 'srs_review')).push, false);
 });
 
 // --- 'system' behavior must remain unchanged (still marketing-gated) ---
 
 test('system: marketing true -> allowed', async () => {
   const user = baseUser({ notificationSettings: { marketing: true } });
-  assert.equal(await _shouldSendNotification(user, 'system'), true);
+  assert.equal((await _shouldSendNotification(user, 'system')).push, true);
 });
 
 test('system: marketing false -> blocked', async () => {
   const user = baseUser({ notificationSettings: { marketing: false } });
-  assert.equal(await _shouldSendNotification(user, 'system'), false);
+  assert.equal((await _shouldSendNotification(user, 'system')).push, false);
 });
 
 // --- Task 2/3: streak_reminder gates on notificationSettings.streakReminders ---
 
 test('streak_reminder: streakReminders true -> allowed', async () => {
   const user = baseUser({ notificationSettings: { streakReminders: true } });
-  assert.equal(await _shouldSendNotification(user, 'streak_reminder'), true);
+  assert.equal((await _shouldSendNotification(user, 'streak_reminder')).push, true);
 });
 
 test('streak_reminder: streakReminders false -> blocked', async () => {
   const user = baseUser({ notificationSettings: { streakReminders: false } });
-  assert.equal(await _shouldSendNotification(user, 'streak_reminder'), false);
+  assert.equal((await _shouldSendNotification(user, 'streak_reminder')).push, false);
 });
 
 // --- Global kill switch still applies regardless of type ---
@@ -72,8 +72,8 @@ test('notificationSettings.enabled=false blocks every type regardless of per-typ
   const user = baseUser({
     notificationSettings: { enabled: false, vocabularyReviewReminders: true, streakReminders: true },
   });
-  assert.equal(await _shouldSendNotification(user, 'srs_review'), false);
-  assert.equal(await _shouldSendNotification(user, 'streak_reminder'), false);
+  assert.equal((await _shouldSendNotification(user, 'srs_review')).push, false);
+  assert.equal((await _shouldSendNotification(user, 'streak_reminder')).push, false);
 });
 
 // --- Task 9: new_follower gates on notificationPreferences.newFollower,
@@ -81,22 +81,22 @@ test('notificationSettings.enabled=false blocks every type regardless of per-typ
 
 test('new_follower: notificationPreferences.newFollower true -> allowed', async () => {
   const user = baseUser({ notificationPreferences: { newFollower: true } });
-  assert.equal(await _shouldSendNotification(user, 'new_follower'), true);
+  assert.equal((await _shouldSendNotification(user, 'new_follower')).push, true);
 });
 
 test('new_follower: notificationPreferences.newFollower false -> blocked', async () => {
   const user = baseUser({ notificationPreferences: { newFollower: false } });
-  assert.equal(await _shouldSendNotification(user, 'new_follower'), false);
+  assert.equal((await _shouldSendNotification(user, 'new_follower')).push, false);
 });
 
 // --- Task 10: profile_visit gate sanity (re-enable case) ---
 
 test('profile_visit: notificationSettings.profileVisits false -> blocked', async () => {
   const user = baseUser({ notificationSettings: { profileVisits: false } });
-  assert.equal(await _shouldSendNotification(user, 'profile_visit'), false);
+  assert.equal((await _shouldSendNotification(user, 'profile_visit')).push, false);
 });
 
 test('profile_visit: notificationSettings.profileVisits true -> allowed', async () => {
   const user = baseUser({ notificationSettings: { profileVisits: true } });
-  assert.equal(await _shouldSendNotification(user, 'profile_visit'), true);
+  assert.equal((await _shouldSendNotification(user, 'profile_visit')).push, true);
 });
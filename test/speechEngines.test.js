@@ -0,0 +1,171 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mock } = require('node:test');
+
+// ALL mock.module calls before require('../services/speechService')
+const mockGetCached = mock.fn(() => Promise.resolve(null));
+const mockSaveToCache = mock.fn(() => Promise.resolve({}));
+const mockAttemptCreate = mock.fn((doc) => Promise.resolve({ _id: 'attempt-1', ...doc }));
+const mockUpload = mock.fn((buffer, filename) => Promise.resolve(`https://cdn.test/audio/${filename}`));
+
+mock.module('../models/AudioCache.js', {
+  defaultExport: { getCached: mockGetCached, saveToCache: mockSaveToCache },
+});
+mock.module('../models/PronunciationAttempt.js', {
+  defaultExport: { create: mockAttemptCreate },
+});
+mock.module('../models/AIUsageLog.js', {
+  defaultExport: { create: mock.fn(() => Promise.resolve({})) },
+});
+mock.module('../models/AIBudgetLedger.js', {
+  defaultExport: {
+    findOne: mock.fn(() => ({ lean: () => Promise.resolve(null) })),
+    updateOne: mock.fn(() => Promise.resolve({})),
+  },
+});
+mock.module('../models/User.js', {
+  defaultExport: {
+    findById: mock.fn(() => ({ select: () => ({ lean: () => Promise.resolve({ userMode: 'regular' }) }) })),
+  },
+});
+mock.module('../services/storageService.js', {
+  namedExports: { uploadToSpaces: mockUpload, deleteFromSpaces: mock.fn() },
+});
+
+const { SPEECH_ROUTING, AI_ROUTING } = require('../config/aiConfig');
+const speechEngines = require('../services/speechEngines');
+const { createFakeSpeechEngine } = require('../services/speechEngines/fake');
+const speechService = require('../services/speechService');
+
+const USER_ID = '64b000000000000000000001';
+
+const primary = createFakeSpeechEngine({ name: 'fakePrimary', fixturesFile: null });
+const backup = createFakeSpeechEngine({ name: 'fakeBackup', fixturesFile: null });
+speechEngines.registerEngine(primary);
+speechEngines.registerEngine(backup);
+
+const defaults = {
+  override: SPEECH_ROUTING.override,
+  tts: SPEECH_ROUTING.tts.default,
+  stt: SPEECH_ROUTING.stt.default,
+  aiOverride: AI_ROUTING.override,
+};
+
+test.beforeEach(() => {
+  primary.reset();
+  backup.reset();
+  mockGetCached.mock.resetCalls();
+  mockSaveToCache.mock.resetCalls();
+  mockGetCached.mock.mockImplementation(() => Promise.resolve(null));
+  SPEECH_ROUTING.override = null;
+  SPEECH_ROUTING.tts.default = ['fakePrimary', 'fakeBackup'];
+  SPEECH_ROUTING.stt.default = ['fakePrimary', 'fakeBackup'];
+  SPEECH_ROUTING.tts.languages = {};
+  SPEECH_ROUTING.stt.languages = {};
+});
+
+test.after(() => {
+  SPEECH_ROUTING.override = defaults.override;
+  SPEECH_ROUTING.tts.default = defaults.tts;
+  SPEECH_ROUTING.stt.default = defaults.stt;
+  SPEECH_ROUTING.tts.languages = {};
+  SPEECH_ROUTING.stt.languages = {};
+  AI_ROUTING.override = defaults.aiOverride;
+});
+
+// ---------------------------------------------------------------------------
+// Routing
+// ---------------------------------------------------------------------------
+
+test('resolveEngines — per-language config, env override per language, then default', () => {
+  SPEECH_ROUTING.tts.languages.ja = ['fakeBackup'];
+  assert.deepEqual(speechEngines.resolveEngines('tts', 'ja-JP').map(e => e.name), ['fakeBackup']);
+  assert.deepEqual(speechEngines.resolveEngines('tts', 'en').map(e => e.name), ['fakePrimary', 'fakeBackup']);
+
+  process.env.TTS_ENGINES_EN = 'fakeBackup,unknownEngine';
+  try {
+    assert.deepEqual(speechEngines.resolveEngines('tts', 'en').map(e => e.name), ['fakeBackup']);
+  } finally {
+    delete process.env.TTS_ENGINES_EN;
+  }
+
+  SPEECH_ROUTING.override = ['fakePrimary'];
+  assert.deepEqual(speechEngines.resolveEngines('tts', 'ja').map(e => e.name), ['fakePrimary']);
+});
+
+test('resolveEngines — skips engines that are not configured for the language', () => {
+  SPEECH_ROUTING.tts.default = ['local', 'fakeBackup'];
+  // No PIPER_VOICES_DIR in the test environment
+  assert.deepEqual(speechEngines.resolveEngines('tts', 'en').map(e => e.name), ['fakeBackup']);
+});
+
+test('transcribe — falls through to the next engine when one fails', async () => {
+  primary.queue({ error: { message: 'whisper crashed' } });
+  backup.queue({ text: 'hola mundo', language: 'es' });
+
+  const result = await speechEngines.transcribe({ audio: Buffer.from('abc'), language: 'es' });
+  assert.equal(result.engine, 'fakeBackup');
+  assert.equal(result.text, 'hola mundo');
+});
+
+test('fake engine — transcribes fixture audio and synthesizes a playable WAV', async () => {
+  const audio = Buffer.from('recording-of-hola');
+  primary.addFixture(audio, { text: 'hola', language: 'es' });
+
+  assert.equal((await primary.transcribe({ audio })).text, 'hola');
+  assert.equal((await primary.transcribe({ audio: Buffer.from('unknown') })).text, '');
+
+  const speech = await primary.synthesize({ text: 'Hola, ¿qué tal?', speed: 1 });
+  assert.equal(speech.audio.toString('ascii', 0, 4), 'RIFF');
+  assert.equal(speech.audio.toString('ascii', 8, 12), 'WAVE');
+  assert.equal(speech.format, 'wav');
+});
+
+// ---------------------------------------------------------------------------
+// speechService
+// ---------------------------------------------------------------------------
+
+test('generateTTS — cache lookups and writes carry the engine name', async () => {
+  const result = await speechService.generateTTS({ text: 'Good morning', language: 'en', userId: USER_ID });
+
+  assert.equal(result.engine, 'fakePrimary');
+  assert.equal(result.cached, false);
+  assert.deepEqual(mockGetCached.mock.calls.map(c => c.arguments[4]), ['fakePrimary', 'fakeBackup']);
+  const saved = mockSaveToCache.mock.calls[0].arguments[0];
+  assert.equal(saved.provider, 'fakePrimary');
+  assert.equal(saved.format, 'wav');
+  assert.equal(saved.voice, 'fake');
+});
+
+test('generateTTS — a cached clip from a later engine in the chain is reused', async () => {
+  mockGetCached.mock.mockImplementation((text, language, voice, speed, engine) =>
+    Promise.resolve(engine === 'fakeBackup' ? { audioUrl: 'https://cdn.test/cached.wav', duration: 1, usageCount: 3 } : null));
+
+  const result = await speechService.generateTTS({ text: 'Good morning', language: 'en' });
+  assert.equal(result.cached, true);
+  assert.equal(result.audioUrl, 'https://cdn.test/cached.wav');
+  assert.equal(primary.calls.length + backup.calls.length, 0);
+});
+
+test('evaluatePronunciation — runs end to end on the fake speech engine and chat provider', async () => {
+  SPEECH_ROUTING.override = ['fakePrimary'];
+  AI_ROUTING.override = [{ provider: 'fake' }];
+  const audio = Buffer.from('user-says-the-sentence');
+  primary.addFixture(audio, { text: 'the quick brown fox', language: 'en' });
+
+  const result = await speechService.evaluatePronunciation({
+    audioBuffer: audio,
+    targetText: 'The quick brown fox',
+    language: 'en',
+    userId: USER_ID,
+  });
+
+  assert.equal(result.transcription, 'the quick brown fox');
+  assert.equal(result.score.overall, 100);
+  assert.ok(result.referenceAudioUrl.endsWith('.wav'));
+  const attempt = mockAttemptCreate.mock.calls[0].arguments[0];
+  assert.equal(attempt.transcription, 'the quick brown fox');
+  assert.equal(attempt.phonemeSet, 'arpabet');
+  assert.deepEqual(attempt.tokenScores.map(t => t.accuracy), [100, 100, 100, 100]);
+  assert.ok(attempt.phonemeTally.some(p => p.phoneme === 'K' && p.correct === p.attempts));
+});
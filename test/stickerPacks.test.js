@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { UNLOCKS } = require('../config/coinCatalog');
+const {
+  isStickerUnlockKey,
+  packCost,
+  canUsePack,
+  checkUnlock,
+  checkStickerMessage,
+  normalizePackName,
+  normalizeStickerTags,
+  checkUpload,
+  resolveStickerEntries
+} = require('../lib/stickerPacks');
+
+const sticker = { _id: 's1', url: 'https://cdn.example/s1.webp', width: 512, height: 512, animated: false, tags: ['😂'] };
+const freePack = { _id: 'p1', kind: 'sticker', access: 'free', isActive: true, stickers: [sticker] };
+const coinPack = { _id: 'p2', kind: 'sticker', access: 'coins', unlockKey: 'sticker_pack', isActive: true, stickers: [{ ...sticker, _id: 's2' }] };
+const vipPack = { _id: 'p3', kind: 'gif', access: 'vip', isActive: true, stickers: [{ ...sticker, _id: 's3', animated: true }] };
+
+const regular = { _id: 'u1', userMode: 'regular' };
+const vip = { _id: 'u2', userMode: 'vip' };
+
+test('only sticker_pack* catalog keys price packs', () => {
+  assert.equal(isStickerUnlockKey('sticker_pack'), true);
+  assert.equal(isStickerUnlockKey('sticker_pack_bogus'), false);
+  assert.equal(isStickerUnlockKey('wallpaper'), false);
+  assert.equal(packCost(coinPack), UNLOCKS.sticker_pack.cost);
+  assert.equal(packCost(freePack), null);
+  assert.equal(packCost({ ...coinPack, unlockKey: 'translation' }), null);
+});
+
+test('canUsePack: free for all, vip while VIP, coins once bought', () => {
+  assert.equal(canUsePack(freePack, regular), true);
+  assert.equal(canUsePack(vipPack, regular), false);
+  assert.equal(canUsePack(vipPack, vip), true);
+  assert.equal(canUsePack(coinPack, vip), false);
+  assert.equal(canUsePack(coinPack, regular, ['p2']), true);
+  assert.equal(canUsePack({ ...freePack, isActive: false }, regular), false);
+});
+
+test('checkUnlock refuses missing, unsold and visitor purchases', () => {
+  assert.equal(checkUnlock(null, regular).status, 404);
+  assert.equal(checkUnlock(freePack, regular).code, 'STICKER_PACK_NOT_FOR_SALE');
+  assert.equal(checkUnlock(coinPack, { userMode: 'visitor' }).status, 403);
+  assert.equal(checkUnlock(coinPack, regular), null);
+});
+
+test('checkStickerMessage requires an owned pack of the matching kind', () => {
+  assert.deepEqual(checkStickerMessage('sticker', { pack: 'p1', stickerId: 's1' }, freePack, regular), {
+    sticker: { pack: 'p1', stickerId: 's1', url: sticker.url, width: 512, height: 512, animated: false }
+  });
+  assert.equal(checkStickerMessage('sticker', { pack: 'p2', stickerId: 's2' }, coinPack, regular).code, 'STICKER_PACK_NOT_OWNED');
+  assert.ok(checkStickerMessage('sticker', { pack: 'p2', stickerId: 's2' }, coinPack, regular, ['p2']).sticker);
+  assert.equal(checkStickerMessage('sticker', { pack: 'p1', stickerId: 'nope' }, freePack, regular).code, 'STICKER_NOT_FOUND');
+  assert.equal(checkStickerMessage('sticker', { pack: 'p3', stickerId: 's3' }, vipPack, vip).code, 'INVALID_STICKER');
+  assert.equal(checkStickerMessage('text', { pack: 'p1', stickerId: 's1' }, freePack, regular).status, 400);
+  assert.equal(checkStickerMessage('sticker', 'p1', freePack, regular).status, 400);
+});
+
+test('pack names, tags and uploads are normalized and checked', () => {
+  assert.equal(normalizePackName('  Cute   cats '), 'Cute cats');
+  assert.equal(normalizePackName(''), null);
+  assert.equal(normalizePackName('x'.repeat(51)), null);
+  assert.deepEqual(normalizeStickerTags('😂, Laugh ,laugh,lol'), ['😂', 'laugh', 'lol']);
+  assert.deepEqual(checkUpload({ mimetype: 'image/png', size: 1000 }, 'sticker'), { extension: 'png' });
+  assert.ok(checkUpload({ mimetype: 'image/png', size: 1000 }, 'gif').error);
+  assert.ok(checkUpload({ mimetype: 'image/webp', size: 2 * 1024 * 1024 }, 'sticker').error);
+  assert.ok(checkUpload({ mimetype: 'image/gif', size: 2 * 1024 * 1024 }, 'gif').extension);
+});
+
+test('resolveStickerEntries drops removed stickers and locks unusable ones', () => {
+  const packsById = new Map([['p1', freePack], ['p2', coinPack]]);
+  const usedAt = new Date('2026-10-01T00:00:00Z');
+  const entries = [
+    { pack: 'p1', stickerId: 's1', usedAt },
+    { pack: 'p2', stickerId: 's2', usedAt },
+    { pack: 'p1', stickerId: 'removed', usedAt },
+    { pack: 'gone', stickerId: 's9', usedAt }
+  ];
+  const resolved = resolveStickerEntries(entries, packsById, regular, []);
+  assert.deepEqual(resolved.map(r => [r.stickerId, r.locked]), [['s1', false], ['s2', true]]);
+  assert.equal(resolved[0].kind, 'sticker');
+  assert.deepEqual(resolved[0].usedAt, usedAt);
+});
@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  STALE_DEVICE_MS,
+  GAP_GRACE_MS,
+  parseSince,
+  parseLimit,
+  readablePage,
+  foldChanges,
+  pruneThrough
+} = require('../lib/syncLog');
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+const ago = (ms) => new Date(NOW.getTime() - ms);
+const event = (seq, fields = {}) => ({ seq, createdAt: ago(60 * 1000), ...fields });
+
+test('parseSince accepts non-negative integers only', () => {
+  assert.equal(parseSince('0'), 0);
+  assert.equal(parseSince('42'), 42);
+  assert.equal(parseSince(undefined), null);
+  assert.equal(parseSince(''), null);
+  assert.equal(parseSince('-1'), null);
+  assert.equal(parseSince('1.5'), null);
+  assert.equal(parseSince('abc'), null);
+});
+
+test('parseLimit defaults and caps', () => {
+  assert.equal(parseLimit(undefined), 200);
+  assert.equal(parseLimit('0'), 200);
+  assert.equal(parseLimit('50'), 50);
+  assert.equal(parseLimit('10000'), 500);
+});
+
+test('readablePage pages contiguous events and reports hasMore', () => {
+  const events = [event(11), event(12), event(13)];
+  assert.deepEqual(readablePage(events, 10, 2, NOW), { events: events.slice(0, 2), hasMore: true });
+  assert.deepEqual(readablePage(events, 10, 5, NOW), { events, hasMore: false });
+});
+
+test('readablePage stops at a recent gap but steps over an old one', () => {
+  const fresh = [event(11), { seq: 13, createdAt: ago(GAP_GRACE_MS / 2) }];
+  const page = readablePage(fresh, 10, 10, NOW);
+  assert.deepEqual(page.events.map(e => e.seq), [11]);
+  assert.equal(page.hasMore, true);
+
+  const stale = [event(11), event(13), event(14)];
+  assert.deepEqual(readablePage(stale, 10, 10, NOW).events.map(e => e.seq), [11, 13, 14]);
+});
+
+test('foldChanges reports each message once, deletion winning', () => {
+  const folded = foldChanges([
+    event(1, { kind: 'message', message: 'm1' }),
+    event(2, { kind: 'reaction', message: 'm1' }),
+    event(3, { kind: 'reaction', message: 'm2' }),
+    event(4, { kind: 'message', message: 'm3' }),
+    event(5, { kind: 'delete', message: 'm3', data: { deletedForEveryone: true } }),
+    event(6, { kind: 'reaction', message: 'm4' }),
+    event(7, { kind: 'message', message: 'm4' })
+  ]);
+
+  assert.deepEqual(folded.messageIds, ['m1', 'm4']);
+  assert.deepEqual(folded.reactionIds, ['m2']);
+  assert.deepEqual(folded.deleted, [{ messageId: 'm3', deletedForEveryone: true }]);
+  assert.deepEqual(folded.reads, []);
+});
+
+test('foldChanges keeps the latest read per conversation and reader', () => {
+  const first = new Date('2026-03-01T10:00:00Z');
+  const second = new Date('2026-03-01T11:00:00Z');
+  const folded = foldChanges([
+    event(1, { kind: 'read', conversation: 'c1', peer: 'u2', data: { readBy: 'u1', readAt: first } }),
+    event(2, { kind: 'read', conversation: 'c1', peer: 'u2', data: { readBy: 'u1', readAt: second } }),
+    event(3, { kind: 'read', conversation: 'c1', peer: 'u2', data: { readBy: 'u2', readAt: first } })
+  ]);
+
+  assert.deepEqual(folded.reads, [
+    { conversationId: 'c1', peerId: 'u2', readBy: 'u1', readAt: second },
+    { conversationId: 'c1', peerId: 'u2', readBy: 'u2', readAt: first }
+  ]);
+});
+
+test('pruneThrough keeps what a recently synced device still needs', () => {
+  const devices = [
+    { deviceId: 'phone', syncCursor: 120, lastSyncAt: ago(60 * 1000) },
+    { deviceId: 'tablet', syncCursor: 80, lastSyncAt: ago(STALE_DEVICE_MS / 2) }
+  ];
+  assert.equal(pruneThrough(devices, 0, NOW), 80);
+  assert.equal(pruneThrough(devices, 100, NOW), 100);
+});
+
+test('pruneThrough ignores stale, inactive and never-synced devices', () => {
+  const devices = [
+    { deviceId: 'phone', syncCursor: 120, lastSyncAt: ago(60 * 1000) },
+    { deviceId: 'old', syncCursor: 5, lastSyncAt: ago(STALE_DEVICE_MS + 1) },
+    { deviceId: 'off', syncCursor: 7, lastSyncAt: ago(1000), active: false },
+    { deviceId: 'new', syncCursor: 0, lastSyncAt: null }
+  ];
+  assert.equal(pruneThrough(devices, 0, NOW), 120);
+  assert.equal(pruneThrough([], 30, NOW), 30);
+  assert.equal(pruneThrough(undefined, 0, NOW), 0);
+});
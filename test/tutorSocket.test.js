@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mock } = require('node:test');
+
+// tutor:stream refuses bad turns before charging the chat quota, and
+// floods are cut off per user like the REST tutorMessageLimiter.
+
+const SESSION_ID = '64b0000000000000000000aa';
+
+let storedSession = null;
+mock.module('../models/AITutorSession.js', {
+  defaultExport: {
+    findById: mock.fn(() => ({ select: () => ({ lean: () => Promise.resolve(storedSession) }) })),
+  },
+});
+const mockConsumeQuota = mock.fn(() => Promise.resolve({ allowed: false, resetAt: new Date() }));
+mock.module('../models/User.js', {
+  defaultExport: { consumeQuota: mockConsumeQuota },
+});
+
+const { registerTutorHandlers } = require('../socket/tutorHandler');
+
+const connect = (userId) => {
+  const handlers = {};
+  const socket = {
+    user: { id: userId },
+    on: (event, fn) => { handlers[event] = fn; },
+    emit: mock.fn(),
+  };
+  registerTutorHandlers(socket, {});
+  const stream = (data) => new Promise((resolve) => handlers['tutor:stream'](data, resolve));
+  return { socket, stream };
+};
+
+test.beforeEach(() => {
+  mockConsumeQuota.mock.resetCalls();
+});
+
+test('tutor:stream — empty content or an ended session is refused without charging quota', async () => {
+  const userId = '64b000000000000000000001';
+  const { stream } = connect(userId);
+
+  storedSession = { user: userId, mode: 'free', endedAt: null };
+  const empty = await stream({ sessionId: SESSION_ID, content: '   ' });
+  assert.equal(empty.error, 'Message content is required');
+
+  storedSession = { user: userId, mode: 'free', endedAt: new Date() };
+  const ended = await stream({ sessionId: SESSION_ID, content: 'Hi' });
+  assert.equal(ended.error, 'Session has ended; start a new one');
+
+  assert.equal(mockConsumeQuota.mock.callCount(), 0);
+});
+
+test('tutor:stream — a valid turn is charged against the chat quota', async () => {
+  const userId = '64b000000000000000000002';
+  const { stream } = connect(userId);
+  storedSession = { user: userId, mode: 'free', endedAt: null };
+
+  const result = await stream({ sessionId: SESSION_ID, content: 'Hi' });
+  assert.equal(result.success, false);
+  assert.deepEqual(mockConsumeQuota.mock.calls[0].arguments, [userId, 'chat']);
+});
+
+test('tutor:stream — more than 30 turns a minute are rate limited, across reconnects', async () => {
+  const userId = '64b000000000000000000003';
+  const first = connect(userId);
+  for (let i = 0; i < 30; i++) {
+    const result = await first.stream({});
+    assert.equal(result.error, 'Session ID is required');
+  }
+
+  const second = connect(userId);
+  const limited = await second.stream({ sessionId: SESSION_ID, content: 'Hi' });
+  assert.equal(limited.error, 'rate_limited');
+  assert.equal(mockConsumeQuota.mock.callCount(), 0);
+});
@@ -0,0 +1,336 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mock } = require('node:test');
+
+// ALL mock.module calls before require('../services/tutorStreamService')
+const mockSessionFindById = mock.fn();
+const mockSessionUpdateOne = mock.fn(() => Promise.resolve({}));
+
+mock.module('../models/AITutorSession.js', {
+  defaultExport: { findById: mockSessionFindById, updateOne: mockSessionUpdateOne },
+});
+mock.module('../models/TutorMemory.js', {
+  defaultExport: { findOne: mock.fn(() => Promise.resolve({ persona: 'nana', proficiencyLevel: 'A2' })) },
+});
+mock.module('../models/User.js', {
+  defaultExport: {
+    findById: mock.fn(() => ({ select: () => ({ lean: () => Promise.resolve({ name: 'Mina' }) }) })),
+  },
+});
+mock.module('../models/Vocabulary.js', {
+  defaultExport: { findOneAndUpdate: mock.fn(() => Promise.resolve(null)) },
+});
+mock.module('../models/AIBudgetLedger.js', {
+  defaultExport: {
+    findOne: mock.fn(() => ({ lean: () => Promise.resolve(null) })),
+    updateOne: mock.fn(() => Promise.resolve({})),
+  },
+});
+mock.module('../models/AIUsageLog.js', {
+  defaultExport: { create: mock.fn(() => Promise.resolve({})) },
+});
+
+const { parsePartialJson, tutorReplyPreview, storyPreview, previewDelta } = require('../lib/tutorStream');
+const { AI_ROUTING } = require('../config/aiConfig');
+const registry = require('../services/aiProviders');
+const { createFakeProvider } = require('../services/aiProviders/fake');
+const tutorStreamService = require('../services/tutorStreamService');
+const aiBudgetService = require('../services/aiBudgetService');
+const ErrorResponse = require('../utils/errorResponse');
+
+const USER_ID = '64b000000000000000000001';
+const SESSION_ID = '64b0000000000000000000aa';
+
+// In-memory AITutorSession document: save() hands out subdocument ids.
+let nextId = 1;
+const fakeSession = (overrides = {}) => {
+  const session = {
+    _id: SESSION_ID,
+    user: USER_ID,
+    mode: 'free',
+    messages: [],
+    ...overrides,
+  };
+  session.save = mock.fn(async () => {
+    for (const m of session.messages) {
+      if (!m._id) m._id = `64b0000000000000000${String(nextId++).padStart(5, '0')}`;
+    }
+    return session;
+  });
+  return session;
+};
+
+const tutorFake = createFakeProvider({ name: 'fakeTutor' });
+registry.registerProvider(tutorFake);
+const defaultConversationRoute = AI_ROUTING.features.conversation;
+
+test.beforeEach(() => {
+  tutorFake.reset();
+  mockSessionUpdateOne.mock.resetCalls();
+  AI_ROUTING.features.conversation = [{ provider: 'fakeTutor' }];
+});
+
+test.after(() => {
+  AI_ROUTING.features.conversation = defaultConversationRoute;
+});
+
+// ---------------------------------------------------------------------------
+// lib/tutorStream.js
+// ---------------------------------------------------------------------------
+
+test('parsePartialJson — closes open strings, containers and dangling keys', () => {
+  assert.deepEqual(parsePartialJson('{"type":"text","content":"Hol'), { type: 'text', content: 'Hol' });
+  assert.deepEqual(parsePartialJson('{"type"'), { type: null });
+  assert.deepEqual(parsePartialJson('{"a":'), { a: null });
+  assert.deepEqual(parsePartialJson('[1,2,'), [1, 2]);
+  assert.deepEqual(parsePartialJson('{"n":12'), { n: null }, 'unconfirmed numbers are dropped');
+  assert.deepEqual(parsePartialJson('{"c":"x\\u00'), { c: 'x' }, 'half a unicode escape is cut');
+  assert.deepEqual(parsePartialJson('{"c":"a\\'), { c: 'a' });
+  assert.equal(parsePartialJson('no json here'), null);
+});
+
+test('tutorReplyPreview — grows monotonically over every prefix of a reply', () => {
+  const raw = JSON.stringify({
+    type: 'vocab_card',
+    content: 'Say "hola" \\ then wave 👋',
+    payload: { word: 'hola', n: 3 },
+  });
+  let previous = '';
+  for (let i = 1; i <= raw.length; i++) {
+    const preview = tutorReplyPreview(raw.slice(0, i));
+    assert.ok(preview.startsWith(previous), `prefix ${i}`);
+    previous = preview;
+  }
+  assert.equal(previous, 'Say "hola" \\ then wave 👋');
+  assert.equal(tutorReplyPreview('Plain prose reply'), 'Plain prose reply');
+});
+
+test('storyPreview / previewDelta', () => {
+  assert.deepEqual(
+    storyPreview('{"title":"Rain","paragraphs":[{"text":"One.","question":{"q":"?"}},{"text":"Tw'),
+    { title: 'Rain', paragraphs: [{ text: 'One.' }, { text: 'Tw' }] }
+  );
+  assert.deepEqual(previewDelta('Hel', 'Hello'), { delta: 'lo', replace: false });
+  assert.deepEqual(previewDelta('Hello', 'Bye'), { delta: 'Bye', replace: true });
+  assert.equal(previewDelta('Same', 'Same'), null);
+});
+
+// ---------------------------------------------------------------------------
+// services/tutorStreamService.js
+// ---------------------------------------------------------------------------
+
+test('streamSessionTurn — streams the content text and saves a complete reply', async () => {
+  const session = fakeSession();
+  mockSessionFindById.mock.mockImplementation(() => Promise.resolve(session));
+  tutorFake.queue(JSON.stringify({ type: 'text', content: 'Muy bien, seguimos.' }));
+
+  const deltas = [];
+  let started = null;
+  const { message } = await tutorStreamService.streamSessionTurn({
+    sessionId: SESSION_ID,
+    userId: USER_ID,
+    content: '  Hola  ',
+    onStart: (m) => { started = { status: m.status, content: m.content }; },
+    onDelta: (change) => deltas.push(change),
+  });
+
+  assert.deepEqual(started, { status: 'streaming', content: '' });
+  assert.equal(deltas.map(d => d.delta).join(''), 'Muy bien, seguimos.');
+  assert.ok(deltas.every(d => !d.replace));
+  assert.equal(message.status, 'complete');
+  assert.equal(message.content, 'Muy bien, seguimos.');
+  assert.deepEqual(session.messages.map(m => m.role), ['user', 'assistant']);
+  assert.equal(session.messages[0].content, 'Hola');
+  // The model saw the user turn but not the placeholder reply
+  const sent = tutorFake.calls[0].messages;
+  assert.equal(sent[sent.length - 1].content, 'Hola');
+});
+
+test('streamSessionTurn — roleplay sessions flatten cards to text', async () => {
+  const session = fakeSession({ mode: 'roleplay', scenarioId: 'coffee_shop' });
+  mockSessionFindById.mock.mockImplementation(() => Promise.resolve(session));
+  tutorFake.queue(JSON.stringify({ type: 'quiz_card', content: '¿Algo más?', payload: { q: 'x' } }));
+
+  const { message } = await tutorStreamService.streamSessionTurn({
+    sessionId: SESSION_ID, userId: USER_ID, content: 'Un café',
+  });
+  assert.equal(message.messageType, 'text');
+  assert.equal(message.payload, null);
+});
+
+test('streamSessionTurn — rejects ended sessions before saving anything', async () => {
+  const session = fakeSession({ endedAt: new Date() });
+  mockSessionFindById.mock.mockImplementation(() => Promise.resolve(session));
+
+  await assert.rejects(
+    () => tutorStreamService.streamSessionTurn({ sessionId: SESSION_ID, userId: USER_ID, content: 'Hi' }),
+    (e) => e.statusCode === 409
+  );
+  assert.equal(session.save.mock.calls.length, 0);
+});
+
+test('streamAssistantReply — a failure mid-stream keeps the partial text as interrupted', async () => {
+  const session = fakeSession();
+  registry.registerProvider({
+    name: 'fakeBroken',
+    isConfigured: () => true,
+    chat: async () => { throw new Error('unused'); },
+    streamChat: async ({ onChunk }) => {
+      onChunk('{"type":"text","content":"Half a ', '{"type":"text","content":"Half a ');
+      const err = new Error('connection reset');
+      err.status = 400;
+      throw err;
+    },
+  });
+  AI_ROUTING.features.conversation = [{ provider: 'fakeBroken' }];
+
+  const message = await tutorStreamService.streamAssistantReply(session, {
+    systemPrompt: 'sys', history: [{ role: 'user', content: 'Hi' }], userId: USER_ID,
+  });
+  assert.equal(message.status, 'interrupted');
+  assert.equal(message.content, 'Half a ');
+});
+
+test('streamAssistantReply — nothing streamed falls back to the canned reply', async () => {
+  const session = fakeSession();
+  tutorFake.queue({ error: { status: 400, message: 'bad request' } });
+
+  const deltas = [];
+  const message = await tutorStreamService.streamAssistantReply(session, {
+    systemPrompt: 'sys', history: [{ role: 'user', content: 'Hi' }], userId: USER_ID,
+    onDelta: (change) => deltas.push(change.delta),
+  });
+  assert.equal(message.status, 'complete');
+  assert.equal(message.content, tutorStreamService.FALLBACK_REPLY);
+  assert.deepEqual(deltas, [tutorStreamService.FALLBACK_REPLY]);
+});
+
+test('streamAssistantReply — partial writes only touch a streaming message and land before the final save', async (t) => {
+  const session = fakeSession();
+  const order = [];
+  mockSessionUpdateOne.mock.mockImplementationOnce(async () => {
+    await new Promise(resolve => setImmediate(resolve));
+    order.push('partial');
+    return {};
+  });
+  const realNow = Date.now;
+  registry.registerProvider({
+    name: 'fakeSlow',
+    isConfigured: () => true,
+    chat: async () => { throw new Error('unused'); },
+    streamChat: async ({ onChunk }) => {
+      t.mock.method(Date, 'now', () => realNow() + 5000);
+      onChunk('{"type":"text","content":"Hel', '{"type":"text","content":"Hel');
+      onChunk('lo"}', '{"type":"text","content":"Hello"}');
+      return { content: '{"type":"text","content":"Hello"}' };
+    },
+  });
+  AI_ROUTING.features.conversation = [{ provider: 'fakeSlow' }];
+
+  const message = await tutorStreamService.streamAssistantReply(session, {
+    systemPrompt: 'sys', history: [{ role: 'user', content: 'Hi' }], userId: USER_ID,
+    prepare: async () => { order.push('final'); },
+  });
+  t.mock.restoreAll();
+
+  assert.equal(message.content, 'Hello');
+  assert.deepEqual(order, ['partial', 'final']);
+  const [filter] = mockSessionUpdateOne.mock.calls[0].arguments;
+  assert.deepEqual(filter.messages, { $elemMatch: { _id: message._id, status: 'streaming' } });
+});
+
+test('streamAssistantReply — a budget refusal is rethrown and the placeholder removed', async (t) => {
+  const session = fakeSession();
+  const refusal = new ErrorResponse('Monthly AI budget used up.', 429);
+  t.mock.method(aiBudgetService, 'checkBudget', () => Promise.reject(refusal));
+
+  const deltas = [];
+  await assert.rejects(
+    tutorStreamService.streamAssistantReply(session, {
+      systemPrompt: 'sys', history: [{ role: 'user', content: 'Hi' }], userId: USER_ID,
+      onDelta: (change) => deltas.push(change.delta),
+    }),
+    refusal
+  );
+  assert.deepEqual(session.messages, []);
+  assert.deepEqual(deltas, []);
+  assert.equal(tutorFake.calls.length, 0);
+});
+
+test('followMessage — a reconnecting client gets the missing text, then the rest live', async () => {
+  const session = fakeSession();
+  let release;
+  let firstChunkSent;
+  const gate = new Promise((resolve) => { release = resolve; });
+  const firstChunk = new Promise((resolve) => { firstChunkSent = resolve; });
+  registry.registerProvider({
+    name: 'fakeSlow',
+    isConfigured: () => true,
+    chat: async () => { throw new Error('unused'); },
+    streamChat: async ({ onChunk }) => {
+      const first = '{"type":"text","content":"Hello ';
+      onChunk(first, first);
+      firstChunkSent();
+      await gate;
+      const full = `${first}again"}`;
+      onChunk('again"}', full);
+      return { content: full, usage: { inputTokens: 1, outputTokens: 1 }, finishReason: 'stop', model: 'slow' };
+    },
+  });
+  AI_ROUTING.features.conversation = [{ provider: 'fakeSlow' }];
+
+  let messageId;
+  const streaming = tutorStreamService.streamAssistantReply(session, {
+    systemPrompt: 'sys', history: [{ role: 'user', content: 'Hi' }], userId: USER_ID,
+    onStart: (m) => { messageId = m._id; },
+  });
+  await firstChunk;
+
+  // The persisted copy still says 'streaming' — this process holds the live text
+  mockSessionFindById.mock.mockImplementation(() => ({
+    select: () => ({
+      lean: () => Promise.resolve({
+        user: USER_ID,
+        messages: [{ _id: messageId, role: 'assistant', content: '', status: 'streaming', streamUpdatedAt: new Date() }],
+      }),
+    }),
+  }));
+
+  const received = [];
+  const following = tutorStreamService.followMessage({
+    sessionId: SESSION_ID, userId: USER_ID, messageId, from: 2,
+    onDelta: (change) => received.push(change.delta),
+  });
+  await new Promise(resolve => setImmediate(resolve));
+  release();
+
+  const [final] = await Promise.all([following, streaming]);
+  assert.deepEqual(received, ['llo ', 'again']);
+  assert.equal(final.status, 'complete');
+  assert.equal(final.content, 'Hello again');
+});
+
+test('followMessage — an orphaned streaming message is marked interrupted', async () => {
+  mockSessionFindById.mock.mockImplementation(() => ({
+    select: () => ({
+      lean: () => Promise.resolve({
+        user: USER_ID,
+        messages: [{
+          _id: '64b0000000000000000000ff',
+          content: 'Partial',
+          status: 'streaming',
+          streamUpdatedAt: new Date(Date.now() - tutorStreamService.STALE_AFTER_MS - 1000),
+        }],
+      }),
+    }),
+  }));
+
+  const received = [];
+  const final = await tutorStreamService.followMessage({
+    sessionId: SESSION_ID, userId: USER_ID, messageId: '64b0000000000000000000ff',
+    onDelta: (change) => received.push(change.delta),
+  });
+  assert.deepEqual(received, ['Partial']);
+  assert.equal(final.status, 'interrupted');
+  assert.equal(mockSessionUpdateOne.mock.calls[0].arguments[1].$set['messages.$.status'], 'interrupted');
+});
@@ -0,0 +1,262 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mock } = require('node:test');
+
+// ALL mock.module calls before require('../services/vocabExchangeService')
+const mockFind = mock.fn();
+const mockBulkWrite = mock.fn();
+
+mock.module('../models/Vocabulary.js', {
+  defaultExport: { find: mockFind, bulkWrite: mockBulkWrite },
+});
+
+const {
+  parseDelimited,
+  resolveFieldMapping,
+  rowToEntry,
+  serializeDelimited,
+} = require('../lib/vocabCsv');
+const AdmZip = require('adm-zip');
+const { buildApkg, readApkg, cardToSrs } = require('../services/ankiPackageService');
+const vocabExchangeService = require('../services/vocabExchangeService');
+
+const USER_ID = '64b000000000000000000001';
+
+// Vocabulary.find(...).collation(...).select(...).lean() chain.
+const findReturning = (docs) => () => ({
+  collation: () => ({ select: () => ({ lean: () => Promise.resolve(docs) }) }),
+});
+
+// ---------------------------------------------------------------------------
+// lib/vocabCsv.js — parsing + mapping
+// ---------------------------------------------------------------------------
+
+test('parseDelimited — quoted fields keep delimiters, doubled quotes and newlines', () => {
+  const { delimiter, rows } = parseDelimited('word,translation\r\n"hello, world","say ""hi""\nthere"\r\n\r\n');
+  assert.equal(delimiter, ',');
+  assert.deepEqual(rows, [['word', 'translation'], ['hello, world', 'say "hi"\nthere']]);
+});
+
+test('parseDelimited — sniffs tabs and strips a BOM', () => {
+  const { delimiter, rows } = parseDelimited('﻿사과\tapple\n猫\tcat');
+  assert.equal(delimiter, '\t');
+  assert.deepEqual(rows, [['사과', 'apple'], ['猫', 'cat']]);
+});
+
+test('resolveFieldMapping — recognises our export header and Anki Front/Back', () => {
+  const ours = resolveFieldMapping(['word', 'translation', 'srsLevel', 'nextReview']);
+  assert.equal(ours.hasHeader, true);
+  assert.deepEqual(ours.columns, { word: 0, translation: 1, srsLevel: 2, nextReview: 3 });
+
+  const anki = resolveFieldMapping(['Front', 'Back']);
+  assert.deepEqual(anki.columns, { word: 0, translation: 1 });
+});
+
+test('resolveFieldMapping — headerless files default to word,translation', () => {
+  const r = resolveFieldMapping(['사과', 'apple']);
+  assert.equal(r.hasHeader, false);
+  assert.deepEqual(r.columns, { word: 0, translation: 1 });
+});
+
+test('resolveFieldMapping — explicit mapping by header name or index', () => {
+  const r = resolveFieldMapping(['Kanji', 'English', 'Kana'], { word: 'Kanji', translation: 1, pronunciation: 'kana' });
+  assert.deepEqual(r.columns, { word: 0, translation: 1, pronunciation: 2 });
+  assert.equal(r.hasHeader, true);
+
+  assert.match(resolveFieldMapping(['a', 'b'], { word: 0 }).error, /word and translation/);
+  assert.match(resolveFieldMapping(['a', 'b'], { word: 0, translation: 5 }).error, /out of range/);
+  assert.match(resolveFieldMapping(['a', 'b'], { word: 0, translation: 1, owner: 0 }).error, /Unknown mapping field/);
+});
+
+test('rowToEntry — builds an entry, rejects empty word/translation', () => {
+  const columns = { word: 0, translation: 1, tags: 2, partOfSpeech: 3, srsLevel: 4 };
+  const { entry } = rowToEntry([' 사과 ', 'apple', 'food, fruit', 'Noun', '3'], columns);
+  assert.equal(entry.word, '사과');
+  assert.deepEqual(entry.tags, ['food', 'fruit']);
+  assert.equal(entry.partOfSpeech, 'noun');
+  assert.equal(entry.srs.srsLevel, 3);
+
+  assert.equal(rowToEntry(['', 'apple'], columns).error, 'word is empty');
+  assert.equal(rowToEntry(['사과', ' '], columns).error, 'translation is empty');
+});
+
+test('serializeDelimited — quotes and neutralises spreadsheet formulas', () => {
+  const out = serializeDelimited(['word', 'translation'], [['=SUM(A1)', 'a,b'], ['-5', 'ok']]);
+  assert.equal(out, 'word,translation\r\n\'=SUM(A1),"a,b"\r\n-5,ok\r\n');
+});
+
+// ---------------------------------------------------------------------------
+// services/ankiPackageService.js — .apkg round trip
+// ---------------------------------------------------------------------------
+
+test('buildApkg → readApkg round-trips words, tags and SRS state', async () => {
+  const now = new Date('2026-07-16T00:00:00Z');
+  const nextReview = new Date('2026-07-30T00:00:00Z');
+  const buffer = await buildApkg([
+    {
+      word: '사과',
+      translation: 'apple',
+      pronunciation: 'sagwa',
+      tags: ['food'],
+      srsLevel: 4,
+      interval: 14,
+      easeFactor: 2.3,
+      nextReview,
+      reviewStats: { totalReviews: 5, correctReviews: 4, incorrectReviews: 1 },
+    },
+    { word: '고양이 <b>', translation: 'cat & kitten', reviewStats: {} },
+  ], { now });
+
+  const { rows } = await readApkg(buffer);
+  assert.equal(rows.length, 2);
+
+  const [apple, cat] = rows.map((r) => r.entry);
+  assert.equal(apple.word, '사과');
+  assert.equal(apple.translation, 'apple');
+  assert.equal(apple.pronunciation, 'sagwa');
+  assert.deepEqual(apple.tags, ['food']);
+  assert.equal(apple.srs.interval, 14);
+  assert.equal(apple.srs.easeFactor, 2.3);
+  assert.equal(apple.srs.totalReviews, 5);
+  assert.equal(apple.srs.incorrectReviews, 1);
+  assert.equal(apple.srs.nextReview.getTime(), nextReview.getTime());
+
+  assert.equal(cat.word, '고양이 <b>');
+  assert.equal(cat.translation, 'cat & kitten');
+  assert.equal(cat.srs, undefined);
+});
+
+test('readApkg — rejects non-zip input with a 400', async () => {
+  await assert.rejects(() => readApkg(Buffer.from('not a zip')), (e) => e.statusCode === 400);
+});
+
+test('readApkg — a corrupt collection is a 400, not a 500', async () => {
+  const zip = new AdmZip();
+  zip.addFile('collection.anki2', Buffer.from('definitely not SQLite'.repeat(50)));
+  await assert.rejects(
+    () => readApkg(zip.toBuffer()),
+    (e) => e.statusCode === 400 && e.message === 'Invalid .apkg file'
+  );
+});
+
+test('readApkg — refuses an oversized collection before inflating it', async () => {
+  const zip = new AdmZip();
+  zip.addFile('collection.anki2', Buffer.alloc(1024));
+  const buffer = zip.toBuffer();
+  // Declare a 1GB uncompressed size in the central directory entry
+  const central = buffer.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+  buffer.writeUInt32LE(1024 * 1024 * 1024, central + 24);
+
+  await assert.rejects(() => readApkg(buffer), (e) => e.statusCode === 400 && /too large/.test(e.message));
+});
+
+test('cardToSrs — learning cards are due at their epoch timestamp, level 0', () => {
+  const srs = cardToSrs({ type: 1, due: 1784160000, ivl: 0, factor: 2500, reps: 2, lapses: 1 }, 0, null);
+  assert.equal(srs.srsLevel, 0);
+  assert.equal(srs.interval, 0);
+  assert.equal(srs.nextReview.getTime(), 1784160000 * 1000);
+  assert.equal(srs.correctReviews, 1);
+});
+
+// ---------------------------------------------------------------------------
+// services/vocabExchangeService.js — plan (the dry-run preview)
+// ---------------------------------------------------------------------------
+
+test('parseImportFile — unknown formats are a 400', async () => {
+  await assert.rejects(
+    () => vocabExchangeService.parseImportFile({ buffer: Buffer.from('x'), filename: 'words.docx' }),
+    (e) => e.statusCode === 400
+  );
+});
+
+test('parseImportFile — skips Anki plain-text directives and reports bad lines', async () => {
+  const { format, rows } = await vocabExchangeService.parseImportFile({
+    buffer: Buffer.from('#separator:tab\n#html:false\n사과\tapple\n\tmissing word\n'),
+    filename: 'deck.txt',
+  });
+  assert.equal(format, 'tsv');
+  assert.equal(rows[0].entry.word, '사과');
+  assert.deepEqual(rows[1], { line: 2, error: 'word is empty' });
+});
+
+test('planImport — classifies create / skip / update / restore / invalid / over_limit', async () => {
+  mockFind.mock.mockImplementationOnce(findReturning([
+    { _id: 'e1', word: 'Apple', isArchived: false },
+    { _id: 'e2', word: 'cat', isArchived: true },
+  ]));
+
+  const rows = [
+    { line: 2, entry: { word: 'apple', translation: '사과' } },
+    { line: 3, entry: { word: 'cat', translation: '고양이' } },
+    { line: 4, entry: { word: 'dog', translation: '개' } },
+    { line: 5, entry: { word: 'DOG', translation: '개' } },
+    { line: 6, error: 'translation is empty' },
+    { line: 7, entry: { word: 'bird', translation: '새' } },
+  ];
+
+  const plan = await vocabExchangeService.planImport(USER_ID, rows, {
+    defaults: { language: 'Korean', nativeLanguage: 'English' },
+    capacity: 1,
+  });
+
+  assert.deepEqual(plan.summary, { total: 6, create: 1, update: 0, restore: 1, skip: 2, invalid: 1, overLimit: 1 });
+  assert.deepEqual(plan.items.map((i) => i.status), ['skip', 'restore', 'create', 'skip', 'invalid', 'over_limit']);
+  assert.equal(plan.items[3].reason, 'duplicate_in_file');
+  assert.equal(plan.ops.length, 2);
+  assert.equal(plan.ops[0].updateOne.update.$set.isArchived, false);
+  assert.equal(plan.ops[1].insertOne.document.context.source, 'import');
+  assert.equal(plan.ops[1].insertOne.document.language, 'Korean');
+});
+
+test('applyImport — a word added since planning becomes a skip, the other rows are written', async () => {
+  mockFind.mock.mockImplementationOnce(findReturning([]));
+  const rows = [
+    { line: 2, entry: { word: 'dog', translation: '개' } },
+    { line: 3, entry: { word: 'bird', translation: '새' } },
+  ];
+  const plan = await vocabExchangeService.planImport(USER_ID, rows, { defaults: {} });
+
+  // What the driver throws for an unordered bulkWrite with a duplicate key
+  const err = new Error('E11000 duplicate key error collection: vocabularies');
+  err.code = 11000;
+  err.writeErrors = [{ index: 0, code: 11000 }];
+  err.result = { insertedCount: 1, modifiedCount: 0 };
+  mockBulkWrite.mock.mockImplementationOnce(() => Promise.reject(err));
+
+  const written = await vocabExchangeService.applyImport(plan);
+
+  assert.deepEqual(written, { inserted: 1, modified: 0, skipped: 1 });
+  assert.equal(plan.summary.create, 1);
+  assert.equal(plan.summary.skip, 1);
+  assert.deepEqual(plan.items.map((i) => [i.word, i.status]), [['dog', 'skip'], ['bird', 'create']]);
+  assert.equal(plan.items[0].reason, 'already_in_vocabulary');
+});
+
+test('applyImport — other write errors still fail the request', async () => {
+  mockFind.mock.mockImplementationOnce(findReturning([]));
+  const plan = await vocabExchangeService.planImport(USER_ID, [{ line: 2, entry: { word: 'dog', translation: '개' } }], { defaults: {} });
+
+  const err = new Error('validation failed');
+  err.writeErrors = [{ index: 0, code: 121 }];
+  err.result = { insertedCount: 0, modifiedCount: 0 };
+  mockBulkWrite.mock.mockImplementationOnce(() => Promise.reject(err));
+
+  await assert.rejects(vocabExchangeService.applyImport(plan), err);
+});
+
+test('planImport — onDuplicate:update overwrites, SRS only when includeSrs', async () => {
+  mockFind.mock.mockImplementation(findReturning([{ _id: 'e1', word: 'apple', isArchived: false }]));
+  const rows = [{ line: 1, entry: { word: 'apple', translation: 'red fruit', srs: { srsLevel: 5, interval: 30, totalReviews: 7 } } }];
+
+  const withoutSrs = await vocabExchangeService.planImport(USER_ID, rows, { onDuplicate: 'update', defaults: {} });
+  assert.equal(withoutSrs.summary.update, 1);
+  assert.equal(withoutSrs.ops[0].updateOne.update.$set.translation, 'red fruit');
+  assert.equal(withoutSrs.ops[0].updateOne.update.$set.srsLevel, undefined);
+
+  const withSrs = await vocabExchangeService.planImport(USER_ID, rows, { onDuplicate: 'update', includeSrs: true, defaults: {} });
+  const $set = withSrs.ops[0].updateOne.update.$set;
+  assert.equal($set.srsLevel, 5);
+  assert.equal($set.interval, 30);
+  assert.equal($set['reviewStats.totalReviews'], 7);
+  mockFind.mock.resetCalls();
+});
@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MAX_WORDS_PER_PACK,
+  isPackOwner,
+  canViewPack,
+  canSubscribe,
+  vocabularyToPackWord,
+  mergePackWords,
+  normalizePackTags,
+} = require('../lib/vocabPackAccess');
+
+const OWNER = '64b000000000000000000001';
+const OTHER = '64b000000000000000000002';
+
+const userPack = (over = {}) => ({
+  _id: 'p1',
+  owner: OWNER,
+  visibility: 'public',
+  isActive: true,
+  hiddenPendingReview: false,
+  words: [],
+  ...over,
+});
+
+// ---------------------------------------------------------------------------
+// Visibility / ownership
+// ---------------------------------------------------------------------------
+
+test('curated packs (no owner) are visible to everyone while active', () => {
+  assert.equal(canViewPack({ owner: null, isActive: true }, OTHER), true);
+  assert.equal(canViewPack({ owner: null, isActive: false }, OTHER), false);
+});
+
+test('private packs are owner-only; unlisted and public are visible to others', () => {
+  assert.equal(canViewPack(userPack({ visibility: 'private' }), OWNER), true);
+  assert.equal(canViewPack(userPack({ visibility: 'private' }), OTHER), false);
+  assert.equal(canViewPack(userPack({ visibility: 'unlisted' }), OTHER), true);
+  assert.equal(canViewPack(userPack({ visibility: 'public' }), OTHER), true);
+});
+
+test('packs hidden pending review stay visible to the owner only', () => {
+  const hidden = userPack({ hiddenPendingReview: true });
+  assert.equal(canViewPack(hidden, OTHER), false);
+  assert.equal(canViewPack(hidden, OWNER), true);
+});
+
+test('isPackOwner handles populated owners and curated packs', () => {
+  assert.equal(isPackOwner(userPack({ owner: { _id: OWNER, name: 'A' } }), OWNER), true);
+  assert.equal(isPackOwner({ owner: null }, OWNER), false);
+  assert.equal(isPackOwner(null, OWNER), false);
+});
+
+test('canSubscribe — 404 when not visible, 400 on your own pack', () => {
+  assert.deepEqual(canSubscribe(userPack(), OTHER), { ok: true });
+  assert.equal(canSubscribe(userPack({ visibility: 'private' }), OTHER).status, 404);
+  assert.equal(canSubscribe(null, OTHER).status, 404);
+  assert.equal(canSubscribe(userPack(), OWNER).status, 400);
+});
+
+// ---------------------------------------------------------------------------
+// Pack content helpers
+// ---------------------------------------------------------------------------
+
+test('vocabularyToPackWord — notes become the definition, translation the hint', () => {
+  assert.deepEqual(
+    vocabularyToPackWord({ word: ' 사과 ', translation: 'apple', notes: 'the fruit', examples: [{ sentence: '사과를 먹어요' }] }),
+    { word: '사과', definition: 'the fruit', example: '사과를 먹어요', translationHint: 'apple' }
+  );
+  assert.deepEqual(
+    vocabularyToPackWord({ word: 'cat', translation: '고양이' }),
+    { word: 'cat', definition: '고양이', translationHint: '고양이' }
+  );
+});
+
+test('mergePackWords — skips case-insensitive duplicates, first one wins', () => {
+  const r = mergePackWords(
+    [{ word: 'Apple', definition: 'a' }],
+    [{ word: 'apple', definition: 'b' }, { word: 'Pear', definition: 'c' }, { word: 'pear', definition: 'd' }]
+  );
+  assert.deepEqual(r.words.map((w) => w.word), ['Apple', 'Pear']);
+  assert.deepEqual(r.added.map((w) => w.definition), ['c']);
+  assert.equal(r.skipped, 2);
+});
+
+test('mergePackWords — stops at MAX_WORDS_PER_PACK', () => {
+  const existing = Array.from({ length: MAX_WORDS_PER_PACK - 1 }, (_, i) => ({ word: `w${i}` }));
+  const r = mergePackWords(existing, [{ word: 'last' }, { word: 'overflow' }]);
+  assert.equal(r.words.length, MAX_WORDS_PER_PACK);
+  assert.deepEqual(r.added.map((w) => w.word), ['last']);
+  assert.equal(r.skipped, 1);
+});
+
+test('normalizePackTags — lower-cases, strips #, de-duplicates, caps at 10', () => {
+  assert.deepEqual(normalizePackTags(['#TOPIK', 'topik', ' Travel ', '']), ['topik', 'travel']);
+  assert.deepEqual(normalizePackTags('jlpt,n3'), ['jlpt', 'n3']);
+  assert.equal(normalizePackTags(Array.from({ length: 15 }, (_, i) => `t${i}`)).length, 10);
+  assert.deepEqual(normalizePackTags(undefined), []);
+});
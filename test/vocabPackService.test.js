@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+// No database here: anything not stubbed below fails at once.
+mongoose.set('bufferCommands', false);
+
+const Vocabulary = require('../models/Vocabulary');
+const VocabPack = require('../models/VocabPack');
+const VocabPackSubscription = require('../models/VocabPackSubscription');
+const LIMITS = require('../config/limitations');
+const vocabPackService = require('../services/vocabPackService');
+
+const USER_ID = '64b000000000000000000001';
+const OWNER_ID = '64b000000000000000000002';
+const PACK_ID = '64b0000000000000000000aa';
+
+const lean = (value) => ({ select: () => ({ lean: () => Promise.resolve(value) }) });
+const words = ['alpha', 'beta', 'gamma', 'delta'].map((word) => ({ word, definition: `${word} def` }));
+const regularUser = { _id: USER_ID, native_language: 'Korean', userMode: 'regular' };
+
+test('addPackWordsToUser — new words stop at the vocabularyLimit; words already owned are free', async (t) => {
+  t.mock.method(Vocabulary, 'countDocuments', () => Promise.resolve(LIMITS.regular.vocabularyLimit - 2));
+  t.mock.method(Vocabulary, 'find', () => lean([{ word: 'alpha' }]));
+  const bulkWrite = t.mock.method(Vocabulary, 'bulkWrite', (ops) => Promise.resolve({ upsertedCount: ops.length }));
+
+  const result = await vocabPackService.addPackWordsToUser(USER_ID, { _id: PACK_ID, words }, words, regularUser);
+
+  assert.deepEqual(result, { added: 2, overLimit: 1 });
+  const written = bulkWrite.mock.calls[0].arguments[0].map((op) => op.updateOne.filter.word);
+  assert.deepEqual(written, ['beta', 'gamma']);
+});
+
+test('addPackWordsToUser — at the limit nothing is written', async (t) => {
+  t.mock.method(Vocabulary, 'countDocuments', () => Promise.resolve(LIMITS.regular.vocabularyLimit));
+  t.mock.method(Vocabulary, 'find', () => lean([]));
+  const bulkWrite = t.mock.method(Vocabulary, 'bulkWrite', () => Promise.resolve({ upsertedCount: 0 }));
+
+  const result = await vocabPackService.addPackWordsToUser(USER_ID, { _id: PACK_ID, words }, words, regularUser);
+
+  assert.deepEqual(result, { added: 0, overLimit: 4 });
+  assert.equal(bulkWrite.mock.callCount(), 0);
+});
+
+test('addPackWordsToUser — unlimited tiers skip the count', async (t) => {
+  const count = t.mock.method(Vocabulary, 'countDocuments', () => Promise.resolve(0));
+  t.mock.method(Vocabulary, 'bulkWrite', (ops) => Promise.resolve({ upsertedCount: ops.length }));
+  const vip = {
+    ...regularUser,
+    userMode: 'vip',
+    vipSubscription: { isActive: true, endDate: new Date(Date.now() + 86400000) },
+  };
+
+  const result = await vocabPackService.addPackWordsToUser(USER_ID, { _id: PACK_ID, words }, words, vip);
+
+  assert.deepEqual(result, { added: 4, overLimit: 0 });
+  assert.equal(count.mock.callCount(), 0);
+});
+
+for (const [label, state] of [
+  ['private', { visibility: 'private' }],
+  ['hidden pending review', { visibility: 'public', hiddenPendingReview: true }],
+  ['deleted', { visibility: 'public', isActive: false }],
+]) {
+  test(`pushWordsToSubscribers — a ${label} pack is not pushed`, async (t) => {
+    t.mock.method(VocabPack, 'findById', () => lean({ _id: PACK_ID, owner: OWNER_ID, isActive: true, ...state }));
+    const subscriptions = t.mock.method(VocabPackSubscription, 'find', () => {
+      throw new Error('subscribers should not be loaded');
+    });
+
+    const result = await vocabPackService.pushWordsToSubscribers({ _id: PACK_ID, owner: OWNER_ID }, words);
+
+    assert.deepEqual(result, { subscribers: 0, added: 0 });
+    assert.equal(subscriptions.mock.callCount(), 0);
+  });
+}
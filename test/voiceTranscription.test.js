@@ -0,0 +1,113 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MAX_ATTEMPTS,
+  CLAIM_TIMEOUT_MS,
+  RETRY_DELAY_MS,
+  shouldTranscribe,
+  claimableFilter,
+  statusAfterFailure,
+  mediaHosts,
+  isOwnMediaUrl,
+  audioFileInfo,
+  normalizeTranscript,
+  languageTag,
+  messageText,
+  transcriptLanguage
+} = require('../lib/voiceTranscription');
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const speechService = require('../services/speechService');
+const { transcribePending } = require('../services/voiceTranscriptionService');
+
+// No database here: anything not stubbed fails at once.
+mongoose.set('bufferCommands', false);
+
+const voice = { messageType: 'voice', media: { url: 'https://cdn.example/voice.m4a' } };
+
+test('new unencrypted voice messages with audio are queued', () => {
+  assert.equal(shouldTranscribe(voice), true);
+  assert.equal(shouldTranscribe({ ...voice, isEncrypted: true }), false);
+  assert.equal(shouldTranscribe({ ...voice, media: {} }), false);
+  assert.equal(shouldTranscribe({ ...voice, messageType: 'media' }), false);
+  assert.equal(shouldTranscribe({ ...voice, transcription: { status: 'completed' } }), false);
+});
+
+test('claims fresh work, retries after a delay and reclaims abandoned work', () => {
+  const now = new Date('2026-10-18T12:00:00Z');
+  const [fresh, retry, abandoned] = claimableFilter(now).$or;
+  assert.deepEqual(fresh, { 'transcription.status': 'pending', 'transcription.claimedAt': null });
+  assert.equal(retry['transcription.claimedAt'].$lt.getTime(), now.getTime() - RETRY_DELAY_MS);
+  assert.equal(abandoned['transcription.status'], 'processing');
+  assert.equal(abandoned['transcription.claimedAt'].$lt.getTime(), now.getTime() - CLAIM_TIMEOUT_MS);
+
+  assert.equal(statusAfterFailure(1), 'pending');
+  assert.equal(statusAfterFailure(MAX_ATTEMPTS), 'failed');
+  assert.equal(statusAfterFailure(1, true), 'failed');
+});
+
+test('only https audio on our media hosts is fetched', () => {
+  const hosts = mediaHosts({ SPACES_CDN_URL: 'https://media.banatalk.com', DO_SPACES_ENDPOINT: 'sfo3.digitaloceanspaces.com' });
+  assert.ok(hosts.includes('media.banatalk.com'));
+  assert.ok(hosts.includes('bananatalk.sfo3.digitaloceanspaces.com'));
+
+  assert.equal(isOwnMediaUrl('https://media.banatalk.com/bananatalk/v.m4a', hosts), true);
+  assert.equal(isOwnMediaUrl('http://media.banatalk.com/v.m4a', hosts), false);
+  assert.equal(isOwnMediaUrl('https://media.banatalk.com:8443/v.m4a', hosts), false);
+  assert.equal(isOwnMediaUrl('https://user@media.banatalk.com/v.m4a', hosts), false);
+  assert.equal(isOwnMediaUrl('https://169.254.169.254/latest/meta-data', hosts), false);
+  assert.equal(isOwnMediaUrl('https://media.banatalk.com.evil.test/v.m4a', hosts), false);
+  assert.equal(isOwnMediaUrl(null, hosts), false);
+});
+
+test('names the audio for the speech engine from the URL or MIME type', () => {
+  assert.deepEqual(audioFileInfo('https://cdn.example/a/voice.M4A', 'audio/x-m4a'), { originalname: 'voice.m4a', mimetype: 'audio/x-m4a' });
+  assert.deepEqual(audioFileInfo('https://cdn.example/a/voice.mp3'), { originalname: 'voice.mp3', mimetype: 'audio/mpeg' });
+  assert.deepEqual(audioFileInfo('https://cdn.example/a/blob', 'audio/aac'), { originalname: 'voice.aac', mimetype: 'audio/aac' });
+  assert.equal(audioFileInfo('https://cdn.example/a/blob.exe', 'application/octet-stream'), null);
+});
+
+test('tags the detected language as an ISO 639-1 code', () => {
+  assert.equal(languageTag('en'), 'en');
+  assert.equal(languageTag('pt-BR'), 'pt');
+  assert.equal(languageTag('Korean'), 'ko');
+  assert.equal(languageTag('klingon'), null);
+  assert.equal(languageTag(undefined), null);
+  assert.equal(normalizeTranscript('  hello \n  world  '), 'hello world');
+});
+
+test('a completed transcript stands in for the text of a voice message', () => {
+  const done = { message: '', transcription: { status: 'completed', text: '안녕하세요', language: 'ko' } };
+  assert.equal(messageText(done), '안녕하세요');
+  assert.equal(transcriptLanguage(done), 'ko');
+  assert.equal(messageText({ message: 'hi', transcription: done.transcription }), 'hi');
+  assert.equal(messageText({ message: '', transcription: { status: 'pending' } }), null);
+  assert.equal(transcriptLanguage({ transcription: { status: 'failed', language: 'ko' } }), null);
+});
+
+test('a message deleted for everyone mid-transcription keeps no transcript', async (t) => {
+  const claimed = {
+    _id: '64b0000000000000000000bb',
+    sender: '64b000000000000000000001',
+    receiver: '64b000000000000000000002',
+    participants: [],
+    media: { url: 'https://my-projects-media.sfo3.cdn.digitaloceanspaces.com/voice.m4a' },
+    transcription: { status: 'processing', attempts: 1 }
+  };
+  let next = claimed;
+  t.mock.method(Message, 'findOneAndUpdate', () => {
+    const message = next;
+    next = null;
+    return { select: () => ({ lean: () => Promise.resolve(message) }) };
+  });
+  t.mock.method(globalThis, 'fetch', () => Promise.resolve(new Response(Buffer.from('audio'))));
+  t.mock.method(speechService, 'transcribeAudio', () => Promise.resolve({ text: 'secret words', language: 'en' }));
+  // The delete landed first, so the filter matches nothing
+  const update = t.mock.method(Message, 'updateOne', () => Promise.resolve({ matchedCount: 0 }));
+  const io = { to: () => ({ emit: () => assert.fail('a deleted message was announced') }) };
+
+  const counts = await transcribePending({ io });
+
+  assert.deepEqual(update.mock.calls[0].arguments[0], { _id: claimed._id, isDeleted: { $ne: true } });
+  assert.equal(counts.completed, 0);
+});
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const {
+  MAX_PAYLOAD_BYTES,
+  generateVapidKeys,
+  vapidAuthorization,
+  verifyVapidAuthorization,
+  encryptPayload,
+  decryptPayload,
+  checkSubscription,
+  buildPayload,
+  buildRequest,
+  responseOutcome,
+} = require('../lib/webPush');
+
+const b64u = (buf) => Buffer.from(buf).toString('base64url');
+
+// A browser: its subscription key pair and auth secret
+const browser = () => {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  const auth = b64u(crypto.randomBytes(16));
+  return { ecdh, auth, keys: { p256dh: b64u(ecdh.getPublicKey()), auth } };
+};
+
+const vapid = { ...generateVapidKeys(), subject: 'mailto:admin@example.com' };
+
+test('encryption matches the RFC 8291 example', () => {
+  const serverKeys = crypto.createECDH('prime256v1');
+  serverKeys.setPrivateKey(Buffer.from('yfWPiYE-n46HLnH0KqZOF1fJJU3MYrct3AELtAQ-oRw', 'base64url'));
+  const keys = {
+    p256dh: 'BCVxsr7N_eNgVRqvHtD0zTZsEc6-VV-JvLexhqUzORcxaOzi6-AYWXvTBHm4bjyPjs7Vd8pZGH6SRpkNtoIAiw4',
+    auth: 'BTBZMqHH6r4Tts7J_aSIgg',
+  };
+  const body = encryptPayload('When I grow up, I want to be a watermelon', keys, {
+    salt: Buffer.from('DGv6ra1nlYgDCS1FRnbzlw', 'base64url'),
+    serverKeys,
+  });
+  assert.equal(b64u(body), 'DGv6ra1nlYgDCS1FRnbzlwAAEABBBP4z9KsN6nGRTbVYI_c7VJSPQTBtkgcy27mlmlMoZIIgDll6e3vCYLocInmYWAmS6TlzAC8wEqKK6PBru3jl7A_yl95bQpu6cVPTpK4Mqgkf1CXztLVBSt2Ks3oZwbuwXPXLWyouBWLVWGNWQexSgSxsj_Qulcy4a-fN');
+});
+
+test('the browser decrypts what we encrypt, and only that browser', () => {
+  const receiver = browser();
+  const body = encryptPayload('안녕하세요 👋', receiver.keys);
+  assert.equal(decryptPayload(body, receiver).toString(), '안녕하세요 👋');
+  assert.throws(() => decryptPayload(body, browser()));
+});
+
+test('VAPID authorization is signed for the push service origin', () => {
+  const now = new Date('2026-03-01T00:00:00Z');
+  const authorization = vapidAuthorization('https://fcm.googleapis.com/fcm/send/abc', vapid, now);
+  const verified = verifyVapidAuthorization(authorization, now);
+  assert.equal(verified.publicKey, vapid.publicKey);
+  assert.equal(verified.claims.aud, 'https://fcm.googleapis.com');
+  assert.equal(verified.claims.sub, vapid.subject);
+
+  assert.equal(verifyVapidAuthorization(authorization, new Date('2026-03-02T00:00:00Z')), null);
+  const other = generateVapidKeys();
+  assert.equal(verifyVapidAuthorization(authorization.replace(vapid.publicKey, other.publicKey), now), null);
+});
+
+test('checkSubscription accepts known push services only', () => {
+  const { keys } = browser();
+  const ok = checkSubscription({ endpoint: 'https://updates.push.services.mozilla.com/wpush/v2/x', keys });
+  assert.equal(ok.error, null);
+  assert.deepEqual(ok.subscription.keys, keys);
+
+  assert.match(checkSubscription({ endpoint: 'https://evil.example.com/push', keys }).error, /known push service/);
+  assert.match(checkSubscription({ endpoint: 'http://fcm.googleapis.com/fcm/send/x', keys }).error, /https/);
+  assert.match(checkSubscription({ endpoint: 'not a url', keys }).error, /URL/);
+  assert.match(checkSubscription({ endpoint: 'https://fcm.googleapis.com/x', keys: { ...keys, auth: 'AAAA' } }).error, /auth/);
+  assert.match(checkSubscription({ endpoint: 'https://fcm.googleapis.com/x', keys: { ...keys, p256dh: keys.auth } }).error, /p256dh/);
+
+  const stub = checkSubscription({ endpoint: 'http://localhost:9000/push/1', keys }, { extraHosts: ['localhost'], allowInsecure: true });
+  assert.equal(stub.error, null);
+});
+
+test('buildPayload fits the record size', () => {
+  const small = JSON.parse(buildPayload({ title: 'Hi', body: 'there', imageUrl: 'https://x/y.png' }, { type: 'moment_like' }));
+  assert.equal(small.image, 'https://x/y.png');
+  assert.equal(small.data.type, 'moment_like');
+
+  const payload = buildPayload({ title: 'Hi', body: 'x'.repeat(5000) }, { type: 'chat_message', notificationId: 'n1', extra: 'y'.repeat(2000) });
+  assert.ok(Buffer.byteLength(payload) <= MAX_PAYLOAD_BYTES);
+  assert.deepEqual(JSON.parse(payload).data, { type: 'chat_message', notificationId: 'n1' });
+});
+
+test('responseOutcome', () => {
+  assert.equal(responseOutcome(201), 'delivered');
+  assert.equal(responseOutcome(410), 'gone');
+  assert.equal(responseOutcome(404), 'gone');
+  assert.equal(responseOutcome(429), 'failed');
+  assert.equal(responseOutcome(500), 'failed');
+});
+
+test('a push service stub verifies, decrypts and answers', async (t) => {
+  const receiver = browser();
+  const received = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', () => {
+      if (req.url === '/push/gone') {
+        res.writeHead(410).end();
+        return;
+      }
+      const verified = verifyVapidAuthorization(req.headers.authorization);
+      if (!verified || req.headers['content-encoding'] !== 'aes128gcm') {
+        res.writeHead(401).end();
+        return;
+      }
+      received.push({ headers: req.headers, payload: JSON.parse(decryptPayload(Buffer.concat(chunks), receiver)) });
+      res.writeHead(201).end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const send = async (endpoint) => {
+    const payload = buildPayload({ title: 'New message', body: 'hello' }, { type: 'chat_message', notificationId: 'n1' });
+    const request = buildRequest({ endpoint, keys: receiver.keys }, payload, { vapid, urgency: 'high', topic: 'chat:room/1' });
+    const response = await fetch(request.url, { method: request.method, headers: request.headers, body: request.body });
+    return responseOutcome(response.status);
+  };
+
+  assert.equal(await send(`${base}/push/1`), 'delivered');
+  assert.equal(received[0].payload.title, 'New message');
+  assert.equal(received[0].payload.data.notificationId, 'n1');
+  assert.equal(received[0].headers.urgency, 'high');
+  assert.equal(received[0].headers.topic, 'chatroom1');
+  assert.equal(received[0].headers.ttl, '86400');
+
+  assert.equal(await send(`${base}/push/gone`), 'gone');
+});
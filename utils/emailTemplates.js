@@ -593,6 +593,57 @@ ${t(locale, 'newMessage.textReply', vars)}`
   };
 };
 
+/**
+ * Any notification a user chose to get by email (User.notificationRules):
+ * the push's already-localized title and body in the common chrome
+ */
+exports.notificationEmail = (userName, title, body, locale = 'en') => {
+  const url = 'https://banatalk.com';
+  const escape = (value) => String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+  const content = `
+    <tr>
+      <td style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px; text-align: center;">
+        <h1 style="color: #ffffff; margin: 0; font-size: 28px; font-weight: bold;">${escape(title)}</h1>
+      </td>
+    </tr>
+    <tr>
+      <td style="padding: 40px 30px;">
+        <p style="font-size: 16px; color: #333333; line-height: 1.6; margin: 0 0 20px 0;">
+          ${t(locale, 'common.greeting', { userName: escape(userName) })}
+        </p>
+        <p style="font-size: 16px; color: #333333; line-height: 1.6; margin: 0 0 20px 0;">
+          ${escape(body)}
+        </p>
+
+        <table width="100%" cellpadding="0" cellspacing="0" style="margin: 30px 0;">
+          <tr>
+            <td align="center">
+              <a href="${url}" style="display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: #ffffff; text-decoration: none; padding: 15px 40px; border-radius: 30px; font-size: 16px; font-weight: bold;">
+                ${t(locale, 'common.openApp')}
+              </a>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  `;
+
+  return {
+    subject: title,
+    html: baseTemplate(content, '#667eea', null, locale),
+    text: `${t(locale, 'common.greeting', { userName })}
+
+${body}
+
+${t(locale, 'common.openApp')}: ${url}`
+  };
+};
+
 /**
  * Correction received notification (HelloTalk style)
  */
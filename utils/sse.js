@@ -0,0 +1,65 @@
+/**
+ * Server-Sent Events Utilities
+ *
+ * Helpers for routes that can answer either with a single JSON body or with
+ * a text/event-stream of incremental events (tutor streaming).
+ */
+
+/**
+ * Whether the client asked for an event stream, either with
+ * `Accept: text/event-stream` or `?stream=1` (for clients that cannot set
+ * headers, e.g. EventSource).
+ *
+ * @param {Object} req - Express request object
+ * @returns {boolean}
+ */
+exports.wantsEventStream = (req) => {
+  const stream = req.query?.stream;
+  if (stream === '1' || stream === 'true') return true;
+  return /text\/event-stream/i.test(req.get('accept') || '');
+};
+
+/**
+ * Switch the response to an event stream.
+ *
+ * @param {Object} res - Express response object
+ * @returns {{ send: Function, end: Function, closed: boolean }}
+ *
+ * @example
+ * const stream = openEventStream(res);
+ * stream.send('delta', { delta: 'Hel' });
+ * stream.end();
+ */
+exports.openEventStream = (res) => {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+
+  return {
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      // compression() buffers until flushed
+      if (typeof res.flush === 'function') res.flush();
+    },
+    end() {
+      if (closed) return;
+      closed = true;
+      res.end();
+    },
+    get closed() {
+      return closed;
+    }
+  };
+};
@@ -54,6 +54,14 @@ exports.createMessageValidation = [
   body('forwardedFrom.messageId')
     .optional()
     .isMongoId().withMessage('Invalid forwarded message ID'),
+
+  body('sticker.pack')
+    .optional()
+    .isMongoId().withMessage('Invalid sticker pack ID'),
+
+  body('sticker.stickerId')
+    .optional()
+    .isMongoId().withMessage('Invalid sticker ID'),
 ];
 
 /**
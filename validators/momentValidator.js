@@ -62,14 +62,18 @@ exports.createMomentValidation = [
     }),
 
   body('scheduledFor')
-    .optional()
+    .optional({ nullable: true })
     .isISO8601().withMessage('Scheduled date must be a valid ISO 8601 date')
     .custom((date) => {
       if (new Date(date) < new Date()) {
         throw new Error('Scheduled date must be in the future');
       }
       return true;
-    })
+    }),
+
+  body('status')
+    .optional()
+    .isIn(['draft', 'scheduled', 'published']).withMessage('Status must be draft, scheduled, or published')
 ];
 
 /**
@@ -109,5 +113,13 @@ exports.updateMomentValidation = [
 
   body('privacy')
     .optional()
-    .isIn(['public', 'friends', 'private']).withMessage('Privacy must be public, friends, or private')
+    .isIn(['public', 'friends', 'private']).withMessage('Privacy must be public, friends, or private'),
+
+  body('scheduledFor')
+    .optional({ nullable: true })
+    .isISO8601().withMessage('Scheduled date must be a valid ISO 8601 date'),
+
+  body('status')
+    .optional()
+    .isIn(['draft', 'scheduled', 'published']).withMessage('Status must be draft, scheduled, or published')
 ];